@@ -0,0 +1,11 @@
+-- Migration: 007_add_field_capacity_to_query.sql
+-- Stores field capacity and job duration estimates with each minimum power / recommendation query
+
+ALTER TABLE query
+ADD COLUMN IF NOT EXISTS field_capacity_ha_h DOUBLE PRECISION;
+
+ALTER TABLE query
+ADD COLUMN IF NOT EXISTS estimated_hours DOUBLE PRECISION;
+
+ALTER TABLE query
+ADD COLUMN IF NOT EXISTS estimated_workdays INTEGER;
@@ -0,0 +1,48 @@
+-- Migration: 008_add_tractor_stability_fields.sql
+-- Tractor geometry used to compute static tip-over angles on slopes
+
+ALTER TABLE tractor
+ADD COLUMN IF NOT EXISTS track_width_mm DOUBLE PRECISION;
+
+ALTER TABLE tractor
+ADD COLUMN IF NOT EXISTS wheelbase_mm DOUBLE PRECISION;
+
+ALTER TABLE tractor
+ADD COLUMN IF NOT EXISTS cg_height_mm DOUBLE PRECISION;
+
+UPDATE tractor
+SET track_width_mm = COALESCE(track_width_mm, CASE
+        WHEN brand = 'John Deere' AND model = '5075E' THEN 1750
+        WHEN brand = 'Massey Ferguson' AND model = '4709' THEN 1800
+        WHEN brand = 'New Holland' AND model = 'TT3.55' THEN 1500
+        ELSE NULL
+    END),
+    wheelbase_mm = COALESCE(wheelbase_mm, CASE
+        WHEN brand = 'John Deere' AND model = '5075E' THEN 2050
+        WHEN brand = 'Massey Ferguson' AND model = '4709' THEN 2250
+        WHEN brand = 'New Holland' AND model = 'TT3.55' THEN 1950
+        ELSE NULL
+    END),
+    cg_height_mm = COALESCE(cg_height_mm, CASE
+        WHEN brand = 'John Deere' AND model = '5075E' THEN 850
+        WHEN brand = 'Massey Ferguson' AND model = '4709' THEN 900
+        WHEN brand = 'New Holland' AND model = 'TT3.55' THEN 800
+        ELSE NULL
+    END);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_constraint
+        WHERE conname = 'tractor_stability_dimensions_valid'
+    ) THEN
+        ALTER TABLE tractor
+        ADD CONSTRAINT tractor_stability_dimensions_valid
+        CHECK (
+            (track_width_mm IS NULL OR track_width_mm > 0)
+            AND (wheelbase_mm IS NULL OR wheelbase_mm > 0)
+            AND (cg_height_mm IS NULL OR cg_height_mm > 0)
+        );
+    END IF;
+END $$;
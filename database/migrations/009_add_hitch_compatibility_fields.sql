@@ -0,0 +1,98 @@
+-- Migration: 009_add_hitch_compatibility_fields.sql
+-- Three-point hitch, rear lift, PTO and hydraulic data used to check
+-- whether a tractor can physically carry and drive an implement
+
+ALTER TABLE tractor
+ADD COLUMN IF NOT EXISTS hitch_category VARCHAR(2);
+
+ALTER TABLE tractor
+ADD COLUMN IF NOT EXISTS rear_lift_capacity_kg DOUBLE PRECISION;
+
+ALTER TABLE tractor
+ADD COLUMN IF NOT EXISTS pto_speed_rpm INTEGER;
+
+ALTER TABLE tractor
+ADD COLUMN IF NOT EXISTS hydraulic_flow_lpm DOUBLE PRECISION;
+
+ALTER TABLE implement
+ADD COLUMN IF NOT EXISTS hitch_category VARCHAR(2);
+
+ALTER TABLE implement
+ADD COLUMN IF NOT EXISTS pto_speed_rpm INTEGER;
+
+ALTER TABLE implement
+ADD COLUMN IF NOT EXISTS hydraulic_demand_lpm DOUBLE PRECISION;
+
+UPDATE tractor
+SET hitch_category = COALESCE(hitch_category, CASE
+        WHEN brand = 'John Deere' AND model = '5075E' THEN '2'
+        WHEN brand = 'Massey Ferguson' AND model = '4709' THEN '2'
+        WHEN brand = 'New Holland' AND model = 'TT3.55' THEN '1'
+        ELSE NULL
+    END),
+    rear_lift_capacity_kg = COALESCE(rear_lift_capacity_kg, CASE
+        WHEN brand = 'John Deere' AND model = '5075E' THEN 1600
+        WHEN brand = 'Massey Ferguson' AND model = '4709' THEN 2500
+        WHEN brand = 'New Holland' AND model = 'TT3.55' THEN 1200
+        ELSE NULL
+    END),
+    pto_speed_rpm = COALESCE(pto_speed_rpm, CASE
+        WHEN brand IN ('John Deere', 'Massey Ferguson', 'New Holland') THEN 540
+        ELSE NULL
+    END),
+    hydraulic_flow_lpm = COALESCE(hydraulic_flow_lpm, CASE
+        WHEN brand = 'John Deere' AND model = '5075E' THEN 60
+        WHEN brand = 'Massey Ferguson' AND model = '4709' THEN 57
+        WHEN brand = 'New Holland' AND model = 'TT3.55' THEN 40
+        ELSE NULL
+    END);
+
+UPDATE implement
+SET weight_kg = COALESCE(weight_kg, CASE
+        WHEN implement_name = '3-body disc plow' AND brand = 'Baldan' THEN 650
+        WHEN implement_name = '20-disc harrow' AND brand = 'Tatu' THEN 900
+        WHEN implement_name = '5-row seeder' AND brand = 'Semeato' THEN 1100
+        ELSE NULL
+    END),
+    hitch_category = COALESCE(hitch_category, CASE
+        WHEN implement_name = '3-body disc plow' AND brand = 'Baldan' THEN '2'
+        WHEN implement_name = '20-disc harrow' AND brand = 'Tatu' THEN '2'
+        WHEN implement_name = '5-row seeder' AND brand = 'Semeato' THEN '2'
+        ELSE NULL
+    END),
+    hydraulic_demand_lpm = COALESCE(hydraulic_demand_lpm, CASE
+        WHEN implement_name = '5-row seeder' AND brand = 'Semeato' THEN 25
+        ELSE NULL
+    END);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_constraint
+        WHERE conname = 'tractor_hitch_fields_valid'
+    ) THEN
+        ALTER TABLE tractor
+        ADD CONSTRAINT tractor_hitch_fields_valid
+        CHECK (
+            (hitch_category IS NULL OR hitch_category IN ('0', '1', '2', '3', '4'))
+            AND (rear_lift_capacity_kg IS NULL OR rear_lift_capacity_kg > 0)
+            AND (pto_speed_rpm IS NULL OR pto_speed_rpm IN (540, 1000))
+            AND (hydraulic_flow_lpm IS NULL OR hydraulic_flow_lpm > 0)
+        );
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_constraint
+        WHERE conname = 'implement_hitch_fields_valid'
+    ) THEN
+        ALTER TABLE implement
+        ADD CONSTRAINT implement_hitch_fields_valid
+        CHECK (
+            (hitch_category IS NULL OR hitch_category IN ('0', '1', '2', '3', '4'))
+            AND (pto_speed_rpm IS NULL OR pto_speed_rpm IN (540, 1000))
+            AND (hydraulic_demand_lpm IS NULL OR hydraulic_demand_lpm > 0)
+        );
+    END IF;
+END $$;
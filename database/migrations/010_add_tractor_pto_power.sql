@@ -0,0 +1,30 @@
+-- Migration: 010_add_tractor_pto_power.sql
+-- Rated PTO power used to check PTO demand separately from drawbar demand.
+-- When NULL the API estimates it as 90% of the engine power (ASABE D497)
+
+ALTER TABLE tractor
+ADD COLUMN IF NOT EXISTS pto_power_hp DOUBLE PRECISION;
+
+UPDATE tractor
+SET pto_power_hp = COALESCE(pto_power_hp, CASE
+        WHEN brand = 'John Deere' AND model = '5075E' THEN 63
+        WHEN brand = 'Massey Ferguson' AND model = '4709' THEN 76
+        WHEN brand = 'New Holland' AND model = 'TT3.55' THEN 47
+        ELSE NULL
+    END);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_constraint
+        WHERE conname = 'tractor_pto_power_valid'
+    ) THEN
+        ALTER TABLE tractor
+        ADD CONSTRAINT tractor_pto_power_valid
+        CHECK (
+            pto_power_hp IS NULL
+            OR (pto_power_hp > 0 AND pto_power_hp <= engine_power_hp)
+        );
+    END IF;
+END $$;
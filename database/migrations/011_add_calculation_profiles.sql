@@ -0,0 +1,36 @@
+-- Migration: 011_add_calculation_profiles.sql
+-- Versioned calculation coefficient profiles managed by admins.
+-- Only one profile is active; every query and recommendation records the version it used
+
+CREATE TABLE IF NOT EXISTS calculation_profile (
+    profile_id SERIAL PRIMARY KEY,
+    version INTEGER NOT NULL UNIQUE CHECK (version > 0),
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    coefficients JSONB NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT false,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    activated_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calculation_profile_active
+ON calculation_profile (is_active) WHERE is_active = true;
+
+-- Version 1: the coefficients that were hardcoded in the services
+INSERT INTO calculation_profile (version, name, description, coefficients, is_active, activated_at)
+SELECT 1, 'Valores por defecto', 'Coeficientes originales de los servicios de cálculo', '{
+    "powerLoss": {"BASE_TEMPERATURE_C": 15, "TEMP_LOSS_PER_5C": 1, "BASE_ALTITUDE_M": 0, "ALTITUDE_LOSS_PER_300M": 1, "DEFAULT_TRANSMISSION_LOSS": 0.13},
+    "minimumPower": {"SAFETY_MARGIN": 0.15, "STANDARD_DEPTH_M": 0.25, "SOIL_FACTORS": {"clay": 1.3, "loam": 1, "sandy": 0.8, "rocky": 1.5}},
+    "recommendation": {
+        "SCORING_CONFIG": {"WEIGHTS": {"EFFICIENCY": 30, "TRACTION": 25, "SOIL": 20, "ECONOMIC": 15, "AVAILABILITY": 10}, "ADVANCED_WEIGHTS": {"power_match": 40, "price": 30, "brand_preference": 20, "fuel_efficiency": 10}, "OVERPOWER_THRESHOLD": 1.3, "TOP_RECOMMENDATIONS": 5},
+        "TRACTION_BONUS": {"4x4": {"flat": 5, "rolling": 15, "steep": 25}, "4WD": {"flat": 5, "rolling": 15, "steep": 25}, "track": {"flat": 0, "rolling": 20, "steep": 30}, "4x2": {"flat": 10, "rolling": 0, "steep": -50}, "2WD": {"flat": 10, "rolling": 0, "steep": -50}}
+    }
+}'::jsonb, true, CURRENT_TIMESTAMP
+WHERE NOT EXISTS (SELECT 1 FROM calculation_profile);
+
+ALTER TABLE query
+ADD COLUMN IF NOT EXISTS calculation_profile_version INTEGER REFERENCES calculation_profile(version);
+
+ALTER TABLE recommendation
+ADD COLUMN IF NOT EXISTS calculation_profile_version INTEGER REFERENCES calculation_profile(version);
@@ -0,0 +1,79 @@
+-- Migration: 012_add_soil_catalog.sql
+-- Unified soil catalog: soil types with Spanish/English synonyms, cone index (Cn) and
+-- trafficability difficulty per moisture condition, and preferred tire.
+-- Terrains gain a moisture condition that selects the Cn and difficulty used in calculations.
+-- Soil coefficients move out of calculation profiles into this catalog
+
+CREATE TABLE IF NOT EXISTS soil_type (
+    soil_code VARCHAR(30) PRIMARY KEY,
+    name_es VARCHAR(100) NOT NULL,
+    name_en VARCHAR(100) NOT NULL,
+    cn_dry DOUBLE PRECISION NOT NULL CHECK (cn_dry > 0),
+    cn_moist DOUBLE PRECISION NOT NULL CHECK (cn_moist > 0),
+    cn_wet DOUBLE PRECISION NOT NULL CHECK (cn_wet > 0),
+    difficulty_dry INTEGER NOT NULL CHECK (difficulty_dry BETWEEN 0 AND 100),
+    difficulty_moist INTEGER NOT NULL CHECK (difficulty_moist BETWEEN 0 AND 100),
+    difficulty_wet INTEGER NOT NULL CHECK (difficulty_wet BETWEEN 0 AND 100),
+    preferred_tire VARCHAR(20) NOT NULL DEFAULT 'standard'
+        CHECK (preferred_tire IN ('standard', 'reinforced', 'track')),
+    is_active BOOLEAN NOT NULL DEFAULT true
+);
+
+CREATE TABLE IF NOT EXISTS soil_synonym (
+    synonym VARCHAR(100) PRIMARY KEY,
+    soil_code VARCHAR(30) NOT NULL REFERENCES soil_type(soil_code) ON DELETE CASCADE,
+    moisture_condition VARCHAR(10) CHECK (moisture_condition IN ('dry', 'moist', 'wet'))
+);
+
+INSERT INTO soil_type (
+    soil_code, name_es, name_en, cn_dry, cn_moist, cn_wet,
+    difficulty_dry, difficulty_moist, difficulty_wet, preferred_tire
+)
+VALUES
+    ('sandy', 'Arenoso', 'Sandy', 20, 25, 30, 25, 20, 25, 'standard'),
+    ('loam', 'Franco', 'Loam', 45, 35, 22, 35, 40, 65, 'standard'),
+    ('clay', 'Arcilloso', 'Clay', 60, 45, 25, 60, 70, 95, 'track'),
+    ('rocky', 'Pedregoso', 'Rocky', 55, 50, 45, 85, 85, 90, 'reinforced'),
+    ('firm', 'Firme', 'Firm', 55, 50, 35, 25, 30, 50, 'standard'),
+    ('soft', 'Suelto', 'Soft', 25, 20, 15, 45, 50, 70, 'standard')
+ON CONFLICT (soil_code) DO NOTHING;
+
+INSERT INTO soil_synonym (synonym, soil_code, moisture_condition)
+VALUES
+    ('arena', 'sandy', NULL),
+    ('arenoso', 'sandy', NULL),
+    ('sand', 'sandy', NULL),
+    ('franco', 'loam', NULL),
+    ('arcilla', 'clay', NULL),
+    ('arcilloso', 'clay', NULL),
+    ('arcilla_humeda', 'clay', 'wet'),
+    ('wet_clay', 'clay', 'wet'),
+    ('rocoso', 'rocky', NULL),
+    ('pedregoso', 'rocky', NULL),
+    ('firme', 'firm', NULL),
+    ('compactado', 'firm', NULL),
+    ('suave', 'soft', NULL),
+    ('suelto', 'soft', NULL),
+    ('labrado', 'soft', NULL)
+ON CONFLICT (synonym) DO NOTHING;
+
+ALTER TABLE terrain
+ADD COLUMN IF NOT EXISTS moisture_condition VARCHAR(10) NOT NULL DEFAULT 'moist';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_constraint
+        WHERE conname = 'terrain_moisture_condition_valid'
+    ) THEN
+        ALTER TABLE terrain
+        ADD CONSTRAINT terrain_moisture_condition_valid
+        CHECK (moisture_condition IN ('dry', 'moist', 'wet'));
+    END IF;
+END $$;
+
+-- Soil Cn and soil difficulty now come from the catalog
+UPDATE calculation_profile
+SET coefficients = (coefficients - 'soilCn') #- '{recommendation,SOIL_DIFFICULTY}'
+WHERE coefficients ? 'soilCn' OR coefficients->'recommendation' ? 'SOIL_DIFFICULTY';
@@ -0,0 +1,20 @@
+-- Migration: 013_add_user_preferred_units.sql
+-- Preferred unit system per user (metric, si, imperial).
+-- Used by the units middleware when the request has no X-Units header;
+-- NULL keeps the API responses in the canonical units without unit labels
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS preferred_units VARCHAR(10);
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_constraint
+        WHERE conname = 'users_preferred_units_valid'
+    ) THEN
+        ALTER TABLE users
+        ADD CONSTRAINT users_preferred_units_valid
+        CHECK (preferred_units IS NULL OR preferred_units IN ('metric', 'si', 'imperial'));
+    END IF;
+END $$;
@@ -0,0 +1,18 @@
+-- Migration: 014_add_calculation_snapshots.sql
+-- Reproducible power loss calculations.
+-- Every query stores the full input snapshot and the loss model version, and
+-- power_loss stores the full loss breakdown, so POST /api/calculations/:queryId/replay
+-- can recompute a calculation with the current model and diff it against the original.
+-- Rows created before this migration have no snapshot and cannot be replayed
+
+ALTER TABLE query
+ADD COLUMN IF NOT EXISTS input_snapshot JSONB,
+ADD COLUMN IF NOT EXISTS model_version VARCHAR(20);
+
+ALTER TABLE power_loss
+ADD COLUMN IF NOT EXISTS temperature_loss_hp DOUBLE PRECISION,
+ADD COLUMN IF NOT EXISTS transmission_loss_hp DOUBLE PRECISION,
+ADD COLUMN IF NOT EXISTS slippage_percent DOUBLE PRECISION,
+ADD COLUMN IF NOT EXISTS soil_cn DOUBLE PRECISION,
+ADD COLUMN IF NOT EXISTS has_turbo BOOLEAN,
+ADD COLUMN IF NOT EXISTS temperature_celsius DOUBLE PRECISION;
@@ -0,0 +1,18 @@
+-- Migration: 015_add_query_sets.sql
+-- Grouped batch calculations (tractors x terrains power loss matrix).
+-- A batch persisted with persist=true is stored as one query_set row with its
+-- parameters and the full matrix, instead of one query row per cell
+
+CREATE TABLE IF NOT EXISTS query_set (
+    query_set_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    name VARCHAR(100),
+    parameters JSONB NOT NULL,
+    results JSONB NOT NULL,
+    cell_count INTEGER NOT NULL CHECK (cell_count > 0),
+    model_version VARCHAR(20),
+    calculation_profile_version INTEGER REFERENCES calculation_profile(version),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_query_set_user ON query_set(user_id);
@@ -0,0 +1,69 @@
+-- Migration: 016_add_tractor_aspiration_type.sql
+-- Engine aspiration (turbo / aspirated). Altitude and temperature losses only apply
+-- to aspirated engines, so recommendations derate each tractor according to it
+
+ALTER TABLE tractor
+ADD COLUMN IF NOT EXISTS aspiration_type VARCHAR(20);
+
+-- Legacy catalogs stored a guess in tiene_turbo ('si'/'no') or turbo_aspirado
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'tractor' AND column_name = 'tiene_turbo'
+    ) THEN
+        EXECUTE $sql$
+            UPDATE tractor
+            SET aspiration_type = CASE
+                    WHEN LOWER(tiene_turbo::TEXT) IN ('si', 'sí', 'true') THEN 'turbo'
+                    ELSE 'aspirated'
+                END
+            WHERE aspiration_type IS NULL AND tiene_turbo IS NOT NULL
+        $sql$;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'tractor' AND column_name = 'turbo_aspirado'
+    ) THEN
+        EXECUTE $sql$
+            UPDATE tractor
+            SET aspiration_type = CASE
+                    WHEN LOWER(turbo_aspirado::TEXT) IN ('si', 'sí', 'true')
+                        OR LOWER(turbo_aspirado::TEXT) LIKE 'turbo%' THEN 'turbo'
+                    ELSE 'aspirated'
+                END
+            WHERE aspiration_type IS NULL AND turbo_aspirado IS NOT NULL
+        $sql$;
+    END IF;
+END $$;
+
+UPDATE tractor
+SET aspiration_type = COALESCE(aspiration_type, CASE
+        WHEN brand = 'John Deere' AND model = '5075E' THEN 'turbo'
+        WHEN brand = 'Massey Ferguson' AND model = '4709' THEN 'turbo'
+        WHEN brand = 'New Holland' AND model = 'TT3.55' THEN 'aspirated'
+        ELSE 'aspirated'
+    END);
+
+-- Unknown engines are treated as aspirated (the conservative choice)
+ALTER TABLE tractor
+ALTER COLUMN aspiration_type SET DEFAULT 'aspirated';
+
+ALTER TABLE tractor
+ALTER COLUMN aspiration_type SET NOT NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_constraint
+        WHERE conname = 'tractor_aspiration_type_valid'
+    ) THEN
+        ALTER TABLE tractor
+        ADD CONSTRAINT tractor_aspiration_type_valid
+        CHECK (aspiration_type IN ('turbo', 'aspirated'));
+    END IF;
+END $$;
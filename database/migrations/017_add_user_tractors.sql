@@ -0,0 +1,39 @@
+-- Migration: 017_add_user_tractors.sql
+-- Private tractor garage. A tractor with owner_user_id belongs to that user only:
+-- it is hidden from the public catalog and from other users, but its tractor_id
+-- works in the calculations and recommendations of its owner.
+-- Owned tractors also record the hour meter and the purchase date
+
+ALTER TABLE tractor
+ADD COLUMN IF NOT EXISTS owner_user_id INTEGER REFERENCES users(user_id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS hour_meter_hours DOUBLE PRECISION,
+ADD COLUMN IF NOT EXISTS purchase_date DATE;
+
+-- Owners rarely know the rated drawbar pull; it stays mandatory for the catalog
+ALTER TABLE tractor
+ALTER COLUMN traction_force_kn DROP NOT NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_constraint
+        WHERE conname = 'tractor_hour_meter_valid'
+    ) THEN
+        ALTER TABLE tractor
+        ADD CONSTRAINT tractor_hour_meter_valid
+        CHECK (hour_meter_hours IS NULL OR hour_meter_hours >= 0);
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1
+        FROM pg_constraint
+        WHERE conname = 'tractor_catalog_traction_force_required'
+    ) THEN
+        ALTER TABLE tractor
+        ADD CONSTRAINT tractor_catalog_traction_force_required
+        CHECK (owner_user_id IS NOT NULL OR traction_force_kn IS NOT NULL);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_tractor_owner ON tractor(owner_user_id);
@@ -0,0 +1,25 @@
+-- Migration: 018_add_recommendation_feedback.sql
+-- User feedback on persisted recommendations: accepted or rejected (with a reason),
+-- an optional 1-5 star rating and whether the tractor was finally purchased.
+-- One row per recommendation; sending feedback again updates it.
+-- The rows feed the learned preferences of the advanced recommendation and the
+-- admin acceptance report
+
+CREATE TABLE IF NOT EXISTS recommendation_feedback (
+    feedback_id SERIAL PRIMARY KEY,
+    recommendation_id INTEGER NOT NULL UNIQUE REFERENCES recommendation(recommendation_id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    decision VARCHAR(10) NOT NULL CHECK (decision IN ('accepted', 'rejected')),
+    reason_code VARCHAR(30) CHECK (
+        reason_code IN ('too_expensive', 'wrong_power', 'brand', 'fuel_consumption', 'availability', 'other')
+    ),
+    reason VARCHAR(500),
+    rating SMALLINT CHECK (rating BETWEEN 1 AND 5),
+    purchased BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Only an accepted recommendation can end in a purchase
+    CHECK (purchased = FALSE OR decision = 'accepted')
+);
+
+CREATE INDEX IF NOT EXISTS idx_recommendation_feedback_user ON recommendation_feedback(user_id);
@@ -0,0 +1,24 @@
+-- Migration: 019_add_scoring_presets.sql
+-- Named scoring presets for the advanced recommendation: ADVANCED_WEIGHTS
+-- (summing 100) plus default filters (budget, brandPreference).
+-- A preset with user_id belongs to that user only; user_id NULL marks an
+-- organization-wide preset published by an admin and visible to everyone.
+-- Referenced by preset_id in POST /api/recommendations/advanced
+
+CREATE TABLE IF NOT EXISTS scoring_preset (
+    preset_id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(user_id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(500),
+    weights JSONB NOT NULL,
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One name per owner (organization presets share user_id 0 in the index)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scoring_preset_owner_name
+    ON scoring_preset (COALESCE(user_id, 0), LOWER(name));
+
+CREATE INDEX IF NOT EXISTS idx_scoring_preset_user ON scoring_preset(user_id);
@@ -0,0 +1,9 @@
+-- Migration: 020_add_calculation_profile_previous_version.sql
+-- Rollback chain for calculation profiles.
+-- Each activation records in previous_version the profile that was active before it.
+-- A rollback reactivates that profile without rewriting its own pointer, so
+-- consecutive rollbacks walk back v3 -> v2 -> v1 instead of alternating between
+-- the last two versions
+
+ALTER TABLE calculation_profile
+ADD COLUMN IF NOT EXISTS previous_version INTEGER REFERENCES calculation_profile(version);
@@ -4,13 +4,17 @@
 -- ============================================
 
 -- Drop tables if they exist (for development)
+DROP TABLE IF EXISTS query_set CASCADE;
 DROP TABLE IF EXISTS query_history CASCADE;
 DROP TABLE IF EXISTS power_loss CASCADE;
 DROP TABLE IF EXISTS recommendation CASCADE;
 DROP TABLE IF EXISTS query CASCADE;
+DROP TABLE IF EXISTS calculation_profile CASCADE;
 DROP TABLE IF EXISTS implement CASCADE;
 DROP TABLE IF EXISTS tractor CASCADE;
 DROP TABLE IF EXISTS terrain CASCADE;
+DROP TABLE IF EXISTS soil_synonym CASCADE;
+DROP TABLE IF EXISTS soil_type CASCADE;
 DROP TABLE IF EXISTS users CASCADE;
 DROP TABLE IF EXISTS notification CASCADE;
 DROP TABLE IF EXISTS role CASCADE;
@@ -39,6 +43,7 @@ CREATE TABLE users (
     password VARCHAR(255) NOT NULL,
     role_id INTEGER NOT NULL REFERENCES role(role_id) ON DELETE RESTRICT,
     status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'inactive', 'suspended')),
+    preferred_units VARCHAR(10) CHECK (preferred_units IS NULL OR preferred_units IN ('metric', 'si', 'imperial')),
     registration_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     last_session TIMESTAMP
 );
@@ -57,14 +62,45 @@ CREATE TABLE terrain (
     altitude_meters DOUBLE PRECISION NOT NULL,
     slope_percentage DOUBLE PRECISION NOT NULL,
     soil_type VARCHAR(100) NOT NULL,
+    moisture_condition VARCHAR(10) NOT NULL DEFAULT 'moist'
+        CHECK (moisture_condition IN ('dry', 'moist', 'wet')),
     temperature_celsius DOUBLE PRECISION,
     registration_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     status VARCHAR(20) DEFAULT 'active'
 );
 
+-- ============================================
+-- TABLE: soil_type
+-- Soil catalog: cone index and difficulty per moisture condition
+-- ============================================
+CREATE TABLE soil_type (
+    soil_code VARCHAR(30) PRIMARY KEY,
+    name_es VARCHAR(100) NOT NULL,
+    name_en VARCHAR(100) NOT NULL,
+    cn_dry DOUBLE PRECISION NOT NULL CHECK (cn_dry > 0),
+    cn_moist DOUBLE PRECISION NOT NULL CHECK (cn_moist > 0),
+    cn_wet DOUBLE PRECISION NOT NULL CHECK (cn_wet > 0),
+    difficulty_dry INTEGER NOT NULL CHECK (difficulty_dry BETWEEN 0 AND 100),
+    difficulty_moist INTEGER NOT NULL CHECK (difficulty_moist BETWEEN 0 AND 100),
+    difficulty_wet INTEGER NOT NULL CHECK (difficulty_wet BETWEEN 0 AND 100),
+    preferred_tire VARCHAR(20) NOT NULL DEFAULT 'standard'
+        CHECK (preferred_tire IN ('standard', 'reinforced', 'track')),
+    is_active BOOLEAN NOT NULL DEFAULT true
+);
+
+-- ============================================
+-- TABLE: soil_synonym
+-- Spanish/English soil names (optionally implying a moisture condition)
+-- ============================================
+CREATE TABLE soil_synonym (
+    synonym VARCHAR(100) PRIMARY KEY,
+    soil_code VARCHAR(30) NOT NULL REFERENCES soil_type(soil_code) ON DELETE CASCADE,
+    moisture_condition VARCHAR(10) CHECK (moisture_condition IN ('dry', 'moist', 'wet'))
+);
+
 -- ============================================
 -- TABLE: tractor
--- Available tractors catalog
+-- Available tractors catalog and users' private tractors (owner_user_id)
 -- ============================================
 CREATE TABLE tractor (
     tractor_id SERIAL PRIMARY KEY,
@@ -75,17 +111,32 @@ CREATE TABLE tractor (
     engine_power_hp DOUBLE PRECISION NOT NULL,
     price DOUBLE PRECISION,
     weight_kg DOUBLE PRECISION NOT NULL,
-    traction_force_kn DOUBLE PRECISION NOT NULL,
+    traction_force_kn DOUBLE PRECISION,
     traction_type VARCHAR(50) NOT NULL CHECK (traction_type IN ('4x2', '4x4', 'track')),
     tire_type VARCHAR(100),
     tire_width_mm DOUBLE PRECISION,
     tire_diameter_mm DOUBLE PRECISION,
     tire_pressure_psi DOUBLE PRECISION,
+    track_width_mm DOUBLE PRECISION CHECK (track_width_mm IS NULL OR track_width_mm > 0),
+    wheelbase_mm DOUBLE PRECISION CHECK (wheelbase_mm IS NULL OR wheelbase_mm > 0),
+    cg_height_mm DOUBLE PRECISION CHECK (cg_height_mm IS NULL OR cg_height_mm > 0),
+    hitch_category VARCHAR(2) CHECK (hitch_category IS NULL OR hitch_category IN ('0', '1', '2', '3', '4')),
+    rear_lift_capacity_kg DOUBLE PRECISION CHECK (rear_lift_capacity_kg IS NULL OR rear_lift_capacity_kg > 0),
+    pto_speed_rpm INTEGER CHECK (pto_speed_rpm IS NULL OR pto_speed_rpm IN (540, 1000)),
+    hydraulic_flow_lpm DOUBLE PRECISION CHECK (hydraulic_flow_lpm IS NULL OR hydraulic_flow_lpm > 0),
+    pto_power_hp DOUBLE PRECISION CHECK (pto_power_hp IS NULL OR (pto_power_hp > 0 AND pto_power_hp <= engine_power_hp)),
+    aspiration_type VARCHAR(20) NOT NULL DEFAULT 'aspirated' CHECK (aspiration_type IN ('turbo', 'aspirated')),
     price_usd DOUBLE PRECISION,
     fuel_consumption_lph DOUBLE PRECISION,
     maintenance_cost_per_hour DOUBLE PRECISION,
+    owner_user_id INTEGER REFERENCES users(user_id) ON DELETE CASCADE,
+    hour_meter_hours DOUBLE PRECISION CHECK (hour_meter_hours IS NULL OR hour_meter_hours >= 0),
+    purchase_date DATE,
     status VARCHAR(20) DEFAULT 'available',
-    registration_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    registration_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Catalog tractors need the rated drawbar pull; owned tractors (owner_user_id) may omit it
+    CONSTRAINT tractor_catalog_traction_force_required
+        CHECK (owner_user_id IS NOT NULL OR traction_force_kn IS NOT NULL)
 );
 
 -- ============================================
@@ -101,11 +152,31 @@ CREATE TABLE implement (
     soil_type VARCHAR(100),
     working_depth_cm DOUBLE PRECISION,
     weight_kg DOUBLE PRECISION,
+    hitch_category VARCHAR(2) CHECK (hitch_category IS NULL OR hitch_category IN ('0', '1', '2', '3', '4')),
+    pto_speed_rpm INTEGER CHECK (pto_speed_rpm IS NULL OR pto_speed_rpm IN (540, 1000)),
+    hydraulic_demand_lpm DOUBLE PRECISION CHECK (hydraulic_demand_lpm IS NULL OR hydraulic_demand_lpm > 0),
     implement_type VARCHAR(50) NOT NULL,
     status VARCHAR(20) DEFAULT 'available',
     registration_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- ============================================
+-- TABLE: calculation_profile
+-- Versioned calculation coefficients (only one active)
+-- ============================================
+CREATE TABLE calculation_profile (
+    profile_id SERIAL PRIMARY KEY,
+    version INTEGER NOT NULL UNIQUE CHECK (version > 0),
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    coefficients JSONB NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT false,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    activated_at TIMESTAMP,
+    previous_version INTEGER REFERENCES calculation_profile(version)
+);
+
 -- ============================================
 -- TABLE: query
 -- Power calculation queries registry
@@ -119,6 +190,12 @@ CREATE TABLE query (
     pto_distance_m DOUBLE PRECISION,
     carried_objects_weight_kg DOUBLE PRECISION DEFAULT 0,
     working_speed_kmh DOUBLE PRECISION,
+    field_capacity_ha_h DOUBLE PRECISION,
+    estimated_hours DOUBLE PRECISION,
+    estimated_workdays INTEGER,
+    calculation_profile_version INTEGER REFERENCES calculation_profile(version),
+    input_snapshot JSONB,
+    model_version VARCHAR(20),
     query_type VARCHAR(50) NOT NULL CHECK (query_type IN ('power_loss', 'minimum_power', 'recommendation')),
     query_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     status VARCHAR(20) DEFAULT 'completed'
@@ -135,10 +212,16 @@ CREATE TABLE power_loss (
     altitude_loss_hp DOUBLE PRECISION,
     rolling_resistance_loss_hp DOUBLE PRECISION,
     slippage_loss_hp DOUBLE PRECISION,
+    temperature_loss_hp DOUBLE PRECISION,
+    transmission_loss_hp DOUBLE PRECISION,
     total_loss_hp DOUBLE PRECISION NOT NULL,
     available_power_hp DOUBLE PRECISION NOT NULL,
     net_power_hp DOUBLE PRECISION NOT NULL,
     efficiency_percentage DOUBLE PRECISION,
+    slippage_percent DOUBLE PRECISION,
+    soil_cn DOUBLE PRECISION,
+    has_turbo BOOLEAN,
+    temperature_celsius DOUBLE PRECISION,
     calculation_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -155,9 +238,63 @@ CREATE TABLE recommendation (
     compatibility_score DOUBLE PRECISION,
     observations TEXT,
     work_type VARCHAR(100),
+    calculation_profile_version INTEGER REFERENCES calculation_profile(version),
     recommendation_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- ============================================
+-- TABLE: recommendation_feedback
+-- User feedback on a recommendation (accept/reject, rating, purchase)
+-- ============================================
+CREATE TABLE recommendation_feedback (
+    feedback_id SERIAL PRIMARY KEY,
+    recommendation_id INTEGER NOT NULL UNIQUE REFERENCES recommendation(recommendation_id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    decision VARCHAR(10) NOT NULL CHECK (decision IN ('accepted', 'rejected')),
+    reason_code VARCHAR(30) CHECK (
+        reason_code IN ('too_expensive', 'wrong_power', 'brand', 'fuel_consumption', 'availability', 'other')
+    ),
+    reason VARCHAR(500),
+    rating SMALLINT CHECK (rating BETWEEN 1 AND 5),
+    purchased BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (purchased = FALSE OR decision = 'accepted')
+);
+
+-- ============================================
+-- TABLE: scoring_preset
+-- Saved weights and filters for the advanced recommendation
+-- (user_id NULL = organization-wide preset)
+-- ============================================
+CREATE TABLE scoring_preset (
+    preset_id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(user_id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(500),
+    weights JSONB NOT NULL,
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_by INTEGER REFERENCES users(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================
+-- TABLE: query_set
+-- Grouped batch calculations (tractors x terrains matrix)
+-- ============================================
+CREATE TABLE query_set (
+    query_set_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    name VARCHAR(100),
+    parameters JSONB NOT NULL,
+    results JSONB NOT NULL,
+    cell_count INTEGER NOT NULL CHECK (cell_count > 0),
+    model_version VARCHAR(20),
+    calculation_profile_version INTEGER REFERENCES calculation_profile(version),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- ============================================
 -- TABLE: query_history
 -- Historical record of all user queries
@@ -203,13 +340,20 @@ CREATE INDEX idx_terrain_status ON terrain(status);
 
 CREATE INDEX idx_tractor_brand_model ON tractor(brand, model);
 CREATE INDEX idx_tractor_status ON tractor(status);
+CREATE INDEX idx_tractor_owner ON tractor(owner_user_id);
 
 CREATE INDEX idx_implement_type ON implement(implement_type);
 CREATE INDEX idx_implement_status ON implement(status);
 
+CREATE UNIQUE INDEX idx_calculation_profile_active ON calculation_profile(is_active) WHERE is_active = true;
+
 CREATE INDEX idx_query_user ON query(user_id);
 CREATE INDEX idx_query_date ON query(query_date);
 CREATE INDEX idx_query_type ON query(query_type);
+CREATE INDEX idx_query_set_user ON query_set(user_id);
+CREATE INDEX idx_recommendation_feedback_user ON recommendation_feedback(user_id);
+CREATE UNIQUE INDEX idx_scoring_preset_owner_name ON scoring_preset (COALESCE(user_id, 0), LOWER(name));
+CREATE INDEX idx_scoring_preset_user ON scoring_preset(user_id);
 
 CREATE INDEX idx_history_user ON query_history(user_id);
 CREATE INDEX idx_history_date ON query_history(action_date);
@@ -231,21 +375,65 @@ INSERT INTO users (name, email, password, role_id, status) VALUES
 ('Administrator', 'admin@maqagr.com', '$2b$10$sample_hash_bcrypt', 1, 'active'),
 ('Demo User', 'demo@maqagr.com', '$2b$10$sample_hash_bcrypt', 2, 'active');
 
+-- Insert soil catalog
+INSERT INTO soil_type (
+    soil_code, name_es, name_en, cn_dry, cn_moist, cn_wet,
+    difficulty_dry, difficulty_moist, difficulty_wet, preferred_tire
+) VALUES
+('sandy', 'Arenoso', 'Sandy', 20, 25, 30, 25, 20, 25, 'standard'),
+('loam', 'Franco', 'Loam', 45, 35, 22, 35, 40, 65, 'standard'),
+('clay', 'Arcilloso', 'Clay', 60, 45, 25, 60, 70, 95, 'track'),
+('rocky', 'Pedregoso', 'Rocky', 55, 50, 45, 85, 85, 90, 'reinforced'),
+('firm', 'Firme', 'Firm', 55, 50, 35, 25, 30, 50, 'standard'),
+('soft', 'Suelto', 'Soft', 25, 20, 15, 45, 50, 70, 'standard');
+
+INSERT INTO soil_synonym (synonym, soil_code, moisture_condition) VALUES
+('arena', 'sandy', NULL),
+('arenoso', 'sandy', NULL),
+('sand', 'sandy', NULL),
+('franco', 'loam', NULL),
+('arcilla', 'clay', NULL),
+('arcilloso', 'clay', NULL),
+('arcilla_humeda', 'clay', 'wet'),
+('wet_clay', 'clay', 'wet'),
+('rocoso', 'rocky', NULL),
+('pedregoso', 'rocky', NULL),
+('firme', 'firm', NULL),
+('compactado', 'firm', NULL),
+('suave', 'soft', NULL),
+('suelto', 'soft', NULL),
+('labrado', 'soft', NULL);
+
+-- Insert default calculation profile (coefficients hardcoded in the services)
+INSERT INTO calculation_profile (version, name, description, coefficients, is_active, activated_at) VALUES
+(1, 'Valores por defecto', 'Coeficientes originales de los servicios de cálculo', '{
+    "powerLoss": {"BASE_TEMPERATURE_C": 15, "TEMP_LOSS_PER_5C": 1, "BASE_ALTITUDE_M": 0, "ALTITUDE_LOSS_PER_300M": 1, "DEFAULT_TRANSMISSION_LOSS": 0.13},
+    "minimumPower": {"SAFETY_MARGIN": 0.15, "STANDARD_DEPTH_M": 0.25, "SOIL_FACTORS": {"clay": 1.3, "loam": 1, "sandy": 0.8, "rocky": 1.5}},
+    "recommendation": {
+        "SCORING_CONFIG": {"WEIGHTS": {"EFFICIENCY": 30, "TRACTION": 25, "SOIL": 20, "ECONOMIC": 15, "AVAILABILITY": 10}, "ADVANCED_WEIGHTS": {"power_match": 40, "price": 30, "brand_preference": 20, "fuel_efficiency": 10}, "OVERPOWER_THRESHOLD": 1.3, "TOP_RECOMMENDATIONS": 5},
+        "TRACTION_BONUS": {"4x4": {"flat": 5, "rolling": 15, "steep": 25}, "4WD": {"flat": 5, "rolling": 15, "steep": 25}, "track": {"flat": 0, "rolling": 20, "steep": 30}, "4x2": {"flat": 10, "rolling": 0, "steep": -50}, "2WD": {"flat": 10, "rolling": 0, "steep": -50}}
+    }
+}'::jsonb, true, CURRENT_TIMESTAMP);
+
 -- Insert sample tractors
 INSERT INTO tractor (
     name, brand, model, model_year, engine_power_hp, price, weight_kg,
-    traction_force_kn, traction_type, tire_type, price_usd,
-    fuel_consumption_lph, maintenance_cost_per_hour, status
+    traction_force_kn, traction_type, tire_type, track_width_mm, wheelbase_mm,
+    cg_height_mm, hitch_category, rear_lift_capacity_kg, pto_speed_rpm, hydraulic_flow_lpm,
+    pto_power_hp, aspiration_type, price_usd, fuel_consumption_lph, maintenance_cost_per_hour, status
 ) VALUES
-('John Deere 5075E', 'John Deere', '5075E', 2023, 75, 65000, 3200, 45, '4x4', 'Radial 16.9R30', 65000, 12.5, 5.0, 'available'),
-('Massey Ferguson 4709', 'Massey Ferguson', '4709', 2022, 90, 72000, 3500, 52, '4x4', 'Radial 18.4R34', 72000, 15.0, 6.5, 'available'),
-('New Holland TT3.55', 'New Holland', 'TT3.55', 2024, 55, 54000, 2800, 38, '4x2', 'Diagonal 14.9-28', 54000, 9.8, 4.2, 'available');
+('John Deere 5075E', 'John Deere', '5075E', 2023, 75, 65000, 3200, 45, '4x4', 'Radial 16.9R30', 1750, 2050, 850, '2', 1600, 540, 60, 63, 'turbo', 65000, 12.5, 5.0, 'available'),
+('Massey Ferguson 4709', 'Massey Ferguson', '4709', 2022, 90, 72000, 3500, 52, '4x4', 'Radial 18.4R34', 1800, 2250, 900, '2', 2500, 540, 57, 76, 'turbo', 72000, 15.0, 6.5, 'available'),
+('New Holland TT3.55', 'New Holland', 'TT3.55', 2024, 55, 54000, 2800, 38, '4x2', 'Diagonal 14.9-28', 1500, 1950, 800, '1', 1200, 540, 40, 47, 'aspirated', 54000, 9.8, 4.2, 'available');
 
 -- Insert sample implements
-INSERT INTO implement (implement_name, brand, power_requirement_hp, working_width_m, soil_type, implement_type, status) VALUES
-('3-body disc plow', 'Baldan', 50, 0.9, 'Loam', 'plow', 'available'),
-('20-disc harrow', 'Tatu', 35, 1.8, 'All', 'harrow', 'available'),
-('5-row seeder', 'Semeato', 40, 1.5, 'Loam', 'seeder', 'available');
+INSERT INTO implement (
+    implement_name, brand, power_requirement_hp, working_width_m, soil_type, weight_kg,
+    hitch_category, hydraulic_demand_lpm, implement_type, status
+) VALUES
+('3-body disc plow', 'Baldan', 50, 0.9, 'Loam', 650, '2', NULL, 'plow', 'available'),
+('20-disc harrow', 'Tatu', 35, 1.8, 'All', 900, '2', NULL, 'harrow', 'available'),
+('5-row seeder', 'Semeato', 40, 1.5, 'Loam', 1100, '2', 25, 'seeder', 'available');
 
 -- ============================================
 -- FINAL NOTES
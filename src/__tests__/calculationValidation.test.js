@@ -7,7 +7,13 @@ import { describe, test, expect, jest, beforeEach } from '@jest/globals';
 import {
   validatePowerLossRequest,
   validateImplementRequirement,
-  validateDirectMinimumPowerRequest
+  validateDirectMinimumPowerRequest,
+  validateOperatingCostRequest,
+  validateSensitivityRequest,
+  validateUncertaintyRequest,
+  validateBatchPowerLossRequest,
+  validateOptimalSpeedRequest,
+  validateImplementRecommendationRequest
 } from '../middleware/calculationValidation.middleware.js';
 
 describe('Calculation Validation Middleware Tests', () => {
@@ -319,6 +325,67 @@ describe('Calculation Validation Middleware Tests', () => {
     });
   });
 
+  // ========== TRACTION INPUTS ==========
+  describe('validatePowerLossRequest - slippage_percent y drawbar_pull_kn opcionales', () => {
+
+    test('debe aceptar la ausencia de slippage_percent (se predice)', () => {
+      mockReq.body = {
+        tractor_id: 1,
+        terrain_id: 1,
+        working_speed_kmh: 7,
+        carried_objects_weight_kg: 0
+      };
+
+      validatePowerLossRequest(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.body.slippage_percent).toBeUndefined();
+    });
+
+    test('debe rechazar slippage_percent fuera de 0-100', () => {
+      mockReq.body = {
+        tractor_id: 1,
+        terrain_id: 1,
+        working_speed_kmh: 7,
+        carried_objects_weight_kg: 0,
+        slippage_percent: 120
+      };
+
+      validatePowerLossRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({ error: 'slippage_percent debe estar entre 0 y 100' });
+    });
+
+    test('debe rechazar drawbar_pull_kn negativo y convertir el válido', () => {
+      mockReq.body = {
+        tractor_id: 1,
+        terrain_id: 1,
+        working_speed_kmh: 7,
+        carried_objects_weight_kg: 0,
+        drawbar_pull_kn: -2
+      };
+
+      validatePowerLossRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+
+      mockReq.body = {
+        tractor_id: 1,
+        terrain_id: 1,
+        working_speed_kmh: 7,
+        carried_objects_weight_kg: 0,
+        drawbar_pull_kn: '18.5'
+      };
+      mockNext.mockClear();
+
+      validatePowerLossRequest(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.body.drawbar_pull_kn).toBe(18.5);
+    });
+  });
+
   // ========== TYPE CONVERSION ==========
   describe('validatePowerLossRequest - conversión de tipos', () => {
     
@@ -583,6 +650,38 @@ describe('Calculation Validation Middleware Tests', () => {
     });
   });
 
+  describe('validateImplementRequirement - validación pto_distance_m', () => {
+
+    test('debe aceptar y convertir pto_distance_m válido', () => {
+      mockReq.body = {
+        implement_id: 1,
+        terrain_id: 1,
+        pto_distance_m: '1.5'
+      };
+
+      validateImplementRequirement(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.body.pto_distance_m).toBe(1.5);
+    });
+
+    test('debe rechazar pto_distance_m fuera de 0-10', () => {
+      mockReq.body = {
+        implement_id: 1,
+        terrain_id: 1,
+        pto_distance_m: 12
+      };
+
+      validateImplementRequirement(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'pto_distance_m debe ser un número entre 0 y 10'
+      });
+    });
+  });
+
   describe('validateImplementRequirement - conversión de tipos', () => {
     
     test('debe convertir IDs strings a números', () => {
@@ -901,6 +1000,41 @@ describe('Calculation Validation Middleware Tests', () => {
     });
   });
 
+  describe('validateDirectMinimumPowerRequest - validación pto_distance_m', () => {
+
+    test('debe rechazar pto_distance_m negativo', () => {
+      mockReq.body = {
+        power_requirement_hp: 80,
+        soil_type: 'loam',
+        slope_percentage: 5,
+        pto_distance_m: -1
+      };
+
+      validateDirectMinimumPowerRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          errors: ['pto_distance_m debe ser un número entre 0 y 10'],
+        })
+      );
+    });
+
+    test('debe convertir pto_distance_m string a número', () => {
+      mockReq.body = {
+        power_requirement_hp: 80,
+        soil_type: 'loam',
+        slope_percentage: 5,
+        pto_distance_m: '2'
+      };
+
+      validateDirectMinimumPowerRequest(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.body.pto_distance_m).toBe(2);
+    });
+  });
+
   describe('validateDirectMinimumPowerRequest - validación working_depth_m', () => {
 
     test('debe rechazar working_depth_m = 0', () => {
@@ -1006,4 +1140,430 @@ describe('Calculation Validation Middleware Tests', () => {
       );
     });
   });
+
+  describe('validaciones opcionales del modelo de tiro', () => {
+
+    test('validateImplementRequirement acepta y convierte working_speed_kmh', () => {
+      mockReq.body = { implement_id: 1, terrain_id: 2, working_speed_kmh: '8' };
+
+      validateImplementRequirement(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.body.working_speed_kmh).toBe(8);
+    });
+
+    test('validateImplementRequirement rechaza working_speed_kmh fuera de rango', () => {
+      mockReq.body = { implement_id: 1, terrain_id: 2, working_speed_kmh: 45 };
+
+      validateImplementRequirement(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'working_speed_kmh debe ser un número mayor a 0 y menor a 40',
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    test('validateDirectMinimumPowerRequest normaliza tipo, ancho y velocidad', () => {
+      mockReq.body = {
+        power_requirement_hp: 60,
+        soil_type: 'clay',
+        slope_percentage: 4,
+        implement_type: ' Plow ',
+        working_width_m: '1.2',
+        working_speed_kmh: '6.5',
+      };
+
+      validateDirectMinimumPowerRequest(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.body.implement_type).toBe('plow');
+      expect(mockReq.body.working_width_m).toBe(1.2);
+      expect(mockReq.body.working_speed_kmh).toBe(6.5);
+    });
+
+    test('validateDirectMinimumPowerRequest rechaza ancho no positivo', () => {
+      mockReq.body = {
+        power_requirement_hp: 60,
+        soil_type: 'clay',
+        slope_percentage: 4,
+        working_width_m: 0,
+      };
+
+      validateDirectMinimumPowerRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          errors: ['working_width_m debe ser un número mayor a 0'],
+        })
+      );
+    });
+  });
+
+  describe('validaciones opcionales del modelo de combustible', () => {
+
+    test('validatePowerLossRequest convierte working_width_m y fuel_price_per_l', () => {
+      mockReq.body = {
+        tractor_id: 1,
+        terrain_id: 1,
+        working_speed_kmh: 7,
+        carried_objects_weight_kg: 0,
+        working_width_m: '3',
+        fuel_price_per_l: '1.15'
+      };
+
+      validatePowerLossRequest(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.body.working_width_m).toBe(3);
+      expect(mockReq.body.fuel_price_per_l).toBe(1.15);
+    });
+
+    test('validatePowerLossRequest rechaza precio de combustible no positivo', () => {
+      mockReq.body = {
+        tractor_id: 1,
+        terrain_id: 1,
+        working_speed_kmh: 7,
+        carried_objects_weight_kg: 0,
+        fuel_price_per_l: 0
+      };
+
+      validatePowerLossRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({ error: 'fuel_price_per_l debe ser un número mayor a 0' });
+    });
+
+    test('validateImplementRequirement rechaza fuel_price_per_l no numérico', () => {
+      mockReq.body = { implement_id: 1, terrain_id: 2, fuel_price_per_l: 'abc' };
+
+      validateImplementRequirement(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'fuel_price_per_l debe ser un número mayor a 0',
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateOperatingCostRequest', () => {
+
+    test('debe convertir campos requeridos y opcionales a números', () => {
+      mockReq.body = {
+        tractor_id: '7',
+        annual_hours: '500',
+        implement_id: '3',
+        implement_price: '9000',
+        interest_rate: '0.06'
+      };
+
+      validateOperatingCostRequest(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.body).toEqual({
+        tractor_id: 7,
+        annual_hours: 500,
+        implement_id: 3,
+        implement_price: 9000,
+        interest_rate: 0.06
+      });
+    });
+
+    test('debe acumular errores de campos requeridos y rangos', () => {
+      mockReq.body = {
+        annual_hours: 9000,
+        interest_rate: 8,
+        labor_cost_per_hour: -1
+      };
+
+      validateOperatingCostRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Errores de validación',
+        errors: [
+          'tractor_id es requerido',
+          'annual_hours debe ser un número mayor a 0 y menor o igual a 8760',
+          'labor_cost_per_hour debe ser un número mayor o igual a 0',
+          'interest_rate debe ser un número entre 0 y 1'
+        ]
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateSensitivityRequest', () => {
+
+    test('debe normalizar ejes y asignar steps por defecto', () => {
+      mockReq.body = {
+        tractor_id: '4',
+        terrain_id: '6',
+        working_speed_kmh: '7',
+        sweeps: [{ parameter: 'working_speed_kmh', min: '3', max: '15' }],
+        min_net_power_hp: '60'
+      };
+
+      validateSensitivityRequest(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.body.sweeps).toEqual([
+        { parameter: 'working_speed_kmh', min: 3, max: 15, steps: 10 }
+      ]);
+      expect(mockReq.body.min_net_power_hp).toBe(60);
+    });
+
+    test('debe rechazar parámetros no soportados, repetidos y rangos inválidos', () => {
+      mockReq.body = {
+        tractor_id: 4,
+        terrain_id: 6,
+        working_speed_kmh: 7,
+        sweeps: [
+          { parameter: 'slope_percent', min: 20, max: 10 },
+          { parameter: 'slope_percent', min: 0, max: 10, steps: 40 }
+        ]
+      };
+
+      validateSensitivityRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        errors: [
+          'sweeps[0] requiere min < max entre 0 y 100 %',
+          'sweeps[1].parameter está repetido',
+          'sweeps[1].steps debe ser un entero entre 2 y 25'
+        ]
+      }));
+
+      mockReq.body.sweeps = [{ parameter: 'temperature', min: 0, max: 10 }];
+      validateSensitivityRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json).toHaveBeenLastCalledWith(expect.objectContaining({
+        errors: [expect.stringContaining('sweeps[0].parameter debe ser uno de')]
+      }));
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateUncertaintyRequest', () => {
+
+    test('debe convertir los valores y aceptar distribuciones válidas', () => {
+      mockReq.body = {
+        tractor_id: '4',
+        terrain_id: '6',
+        working_speed_kmh: '7',
+        uncertainty: {
+          slope_percent: { min: 4, likely: 8, max: 14 },
+          ambient_temperature_c: { distribution: 'normal', mean: 24, sd: 4 }
+        },
+        iterations: '2000',
+        seed: '42',
+        required_power_hp: '75'
+      };
+
+      validateUncertaintyRequest(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.body).toEqual(expect.objectContaining({
+        tractor_id: 4, iterations: 2000, seed: 42, required_power_hp: 75
+      }));
+    });
+
+    test('debe rechazar distribuciones, iteraciones y requerimientos inválidos', () => {
+      mockReq.body = {
+        tractor_id: 4,
+        terrain_id: 6,
+        working_speed_kmh: 7,
+        implement_id: 2,
+        required_power_hp: 75,
+        uncertainty: { slope_percent: { distribution: 'uniform', min: 20, max: 10 } },
+        iterations: 50
+      };
+
+      validateUncertaintyRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        errors: [
+          'iterations debe ser un entero entre 100 y 10000',
+          'Envíe implement_id o required_power_hp, no ambos',
+          'uncertainty.slope_percent requiere min < max entre 0 y 100 %'
+        ]
+      }));
+
+      mockReq.body = { tractor_id: 4, terrain_id: 6, working_speed_kmh: 7, uncertainty: {} };
+      validateUncertaintyRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json).toHaveBeenLastCalledWith(expect.objectContaining({
+        errors: ['uncertainty es requerido y debe indicar la distribución de al menos una entrada']
+      }));
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateBatchPowerLossRequest', () => {
+
+    test('debe convertir y deduplicar los IDs', () => {
+      mockReq.body = {
+        tractor_ids: ['4', 7, 4],
+        terrain_ids: ['1', '2'],
+        working_speed_kmh: '7',
+        format: 'csv',
+        persist: true
+      };
+
+      validateBatchPowerLossRequest(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.body.tractor_ids).toEqual([4, 7]);
+      expect(mockReq.body.terrain_ids).toEqual([1, 2]);
+      expect(mockReq.body.working_speed_kmh).toBe(7);
+    });
+
+    test('debe exigir tractor_ids o tractor_filters y validar los filtros', () => {
+      mockReq.body = { terrain_ids: [1], working_speed_kmh: 7 };
+      validateBatchPowerLossRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenLastCalledWith(expect.objectContaining({
+        errors: ['Envíe tractor_ids o tractor_filters (uno de los dos)']
+      }));
+
+      mockReq.body = {
+        tractor_filters: { color: 'verde', min_power_hp: 200, max_power_hp: 100 },
+        terrain_ids: [1],
+        working_speed_kmh: 7,
+        format: 'xlsx'
+      };
+      validateBatchPowerLossRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json).toHaveBeenLastCalledWith(expect.objectContaining({
+        errors: [
+          expect.stringContaining('tractor_filters.color no es un filtro soportado'),
+          'tractor_filters.min_power_hp no puede ser mayor que max_power_hp',
+          'format debe ser uno de: json, csv'
+        ]
+      }));
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    test('debe rechazar matrices de más de 500 celdas', () => {
+      mockReq.body = {
+        tractor_ids: Array.from({ length: 30 }, (_, index) => index + 1),
+        terrain_ids: Array.from({ length: 20 }, (_, index) => index + 1),
+        working_speed_kmh: 7
+      };
+
+      validateBatchPowerLossRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        errors: ['La matriz no puede superar 500 combinaciones tractor-terreno']
+      }));
+    });
+  });
+
+  describe('validateOptimalSpeedRequest', () => {
+    test('debe convertir los IDs y aceptar el objetivo min_fuel', () => {
+      mockReq.body = {
+        tractor_id: '4',
+        terrain_id: '6',
+        implement_id: '2',
+        objective: 'min_fuel',
+        fuel_price_per_l: '1.35'
+      };
+
+      validateOptimalSpeedRequest(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.body).toEqual(expect.objectContaining({
+        tractor_id: 4,
+        terrain_id: 6,
+        implement_id: 2,
+        fuel_price_per_l: 1.35
+      }));
+    });
+
+    test('debe exigir implement_id y rechazar objetivos no soportados', () => {
+      mockReq.body = { tractor_id: 4, terrain_id: 6, objective: 'max_speed' };
+
+      validateOptimalSpeedRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        errors: [
+          'implement_id es requerido y debe ser un entero mayor a 0',
+          'objective debe ser uno de: max_capacity, min_fuel'
+        ]
+      }));
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validateImplementRecommendationRequest', () => {
+    test('debe aceptar un tractor y un terreno manuales y convertir los valores', () => {
+      mockReq.body = {
+        engine_power_hp: '90',
+        weight_kg: '3800',
+        aspiration_type: 'Turboalimentado',
+        soil_type: ' Loam ',
+        slope_percent: '6',
+        altitude_m: '2600',
+        area_hectares: '20',
+        implement_type: 'Plow',
+        limit: '5'
+      };
+
+      validateImplementRecommendationRequest(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.body).toEqual(expect.objectContaining({
+        engine_power_hp: 90,
+        weight_kg: 3800,
+        aspiration_type: 'turbo',
+        soil_type: 'loam',
+        slope_percent: 6,
+        altitude_m: 2600,
+        area_hectares: 20,
+        implement_type: 'plow',
+        limit: 5
+      }));
+    });
+
+    test('debe aceptar IDs del catálogo sin datos manuales', () => {
+      mockReq.body = { tractor_id: '4', terrain_id: '6' };
+
+      validateImplementRecommendationRequest(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.body).toEqual({ tractor_id: 4, terrain_id: 6 });
+    });
+
+    test('debe exigir un tractor y un terreno y rechazar valores inválidos', () => {
+      mockReq.body = { aspiration_type: 'diesel', limit: 80 };
+
+      validateImplementRecommendationRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        errors: [
+          'tractor_id o engine_power_hp es requerido',
+          'terrain_id o soil_type es requerido',
+          'slope_percent es requerido sin terrain_id',
+          'limit debe ser un entero entre 1 y 50'
+        ]
+      }));
+
+      mockReq.body = { engine_power_hp: 90, aspiration_type: 'diesel', terrain_id: 6 };
+      validateImplementRecommendationRequest(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json).toHaveBeenLastCalledWith(expect.objectContaining({
+        errors: ['aspiration_type debe ser turbo o aspirated']
+      }));
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -5,6 +5,7 @@ import { pool } from "./config/db.js";
 import { connectRedis } from "./config/redis.js";
 import calculationRoutes from "./routes/calculation.routes.js";
 import tractorRoutes from "./routes/tractor.routes.js";
+import myTractorRoutes from "./routes/myTractor.routes.js";
 import implementRoutes from "./routes/implement.routes.js";
 import terrainRoutes from "./routes/terrain.routes.js";
 import authRoutes from "./routes/auth.routes.js";
@@ -24,6 +25,7 @@ import { securityHeaders } from "./middleware/security.middleware.js";
 import { apiLimiter } from "./middleware/rateLimiter.middleware.js";
 import { corsMiddleware } from "./middleware/cors.middleware.js";
 import { sanitizeInputs } from "./middleware/sanitize.middleware.js";
+import { unitsMiddleware } from "./middleware/units.middleware.js";
 
 dotenv.config();
 
@@ -57,13 +59,15 @@ app.use('/health', healthRoutes);
 app.use("/api/auth", authRoutes);
 
 // Aplicar el apiLimiter general a las rutas de dominio principales (excepto auth que ya tiene sus limitadores más estrictos)
-app.use("/api/calculations", apiLimiter, calculationRoutes);
+// unitsMiddleware: conversión de unidades (X-Units / preferencia) en las rutas con magnitudes físicas
+app.use("/api/calculations", apiLimiter, unitsMiddleware, calculationRoutes);
 app.use("/api/roles", apiLimiter, roleRoutes);
-app.use("/api/recommendations", apiLimiter, recommendationRoutes);
-app.use("/api/terrains", apiLimiter, terrainRoutes);
-app.use("/api/implements", apiLimiter, implementRoutes);
-app.use("/api/tractors", apiLimiter, tractorRoutes);
-app.use("/api/exports", apiLimiter, exportRoutes);
+app.use("/api/recommendations", apiLimiter, unitsMiddleware, recommendationRoutes);
+app.use("/api/terrains", apiLimiter, unitsMiddleware, terrainRoutes);
+app.use("/api/implements", apiLimiter, unitsMiddleware, implementRoutes);
+app.use("/api/tractors", apiLimiter, unitsMiddleware, tractorRoutes);
+app.use("/api/my-tractors", apiLimiter, unitsMiddleware, myTractorRoutes);
+app.use("/api/exports", apiLimiter, unitsMiddleware, exportRoutes);
 app.use("/api/notifications", apiLimiter, notificationRoutes);
 app.use("/api/upload", uploadRoutes);
 
@@ -9,6 +9,8 @@ import {
   AnalyticsQuery,
   AnalyticsRecommendation,
 } from '../models/adminAnalytics.models.js';
+import RecommendationFeedback from '../models/RecommendationFeedback.js';
+import { buildFeedbackReport } from '../services/feedbackService.js';
 
 const OVERVIEW_CACHE_KEY = 'cache:admin:stats:overview:v1';
 const OVERVIEW_CACHE_TTL_SECONDS = 3600; // 1 hora
@@ -412,8 +414,39 @@ export const getUserStats = asyncHandler(async (req, res) => {
   return res.status(200).json(response);
 });
 
+export const getRecommendationFeedbackStats = asyncHandler(async (req, res) => {
+  const { days } = req.query || {};
+  const windowDays = days !== undefined ? Number(days) : null;
+
+  if (windowDays !== null && !(Number.isInteger(windowDays) && windowDays > 0)) {
+    return res.status(400).json({
+      success: false,
+      code: 'VALIDATION_ERROR',
+      message: 'days debe ser un entero positivo',
+    });
+  }
+
+  const since = windowDays
+    ? new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000).toISOString()
+    : null;
+  const rows = await RecommendationFeedback.findAllWithContext(since);
+
+  const response = {
+    success: true,
+    message: 'Reporte de aceptación de recomendaciones obtenido exitosamente',
+    data: {
+      ...buildFeedbackReport(rows),
+      windowDays,
+      generatedAt: new Date().toISOString(),
+    },
+  };
+
+  return res.status(200).json(response);
+});
+
 export default {
   getOverviewStats,
   getRecommendationStats,
   getUserStats,
+  getRecommendationFeedbackStats,
 };
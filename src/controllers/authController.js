@@ -22,6 +22,7 @@ import {
   getPasswordValidationErrors,
 } from "../utils/validators.util.js";
 import logger from "../utils/logger.js";
+import { UNIT_SYSTEMS, normalizeUnitSystem } from "../utils/units.util.js";
 import { buildAuthPayload } from "../utils/role.util.js";
 import { generatePasswordResetToken, verifyPasswordResetToken } from "../utils/jwt.util.js";
 
@@ -250,6 +251,7 @@ export const getProfile = asyncHandler(async (req, res) => {
         role_id: user.role_id,
         role_name: user.role_name,
         status: user.status,
+        preferred_units: user.preferred_units ?? null,
         registration_date: user.registration_date,
         last_session: user.last_session,
       },
@@ -262,16 +264,26 @@ export const getProfile = asyncHandler(async (req, res) => {
  * Actualiza el perfil del usuario autenticado
  * PUT /api/auth/profile
  * Requiere autenticación (verifyTokenMiddleware)
- * Solo permite actualizar nombre y email (no rol)
+ * Solo permite actualizar nombre, email y sistema de unidades preferido (no rol)
+ * preferred_units: null borra la preferencia y vuelve a las unidades por defecto
  */
 export const updateProfile = asyncHandler(async (req, res) => {
   const { user_id } = req.user;
-  const { name, email } = req.body;
+  const { name, email, preferred_units } = req.body;
 
   // Validar que al menos un campo sea proporcionado
-  if (!name && !email) {
+  if (!name && !email && preferred_units === undefined) {
     throw new AppError(
-      "Debe proporcionar al menos nombre o email para actualizar",
+      "Debe proporcionar al menos nombre, email o preferred_units para actualizar",
+      400,
+    );
+  }
+
+  // Validar el sistema de unidades si se proporciona (null la restablece)
+  const preferredUnits = normalizeUnitSystem(preferred_units);
+  if (preferred_units !== undefined && preferred_units !== null && !preferredUnits) {
+    throw new AppError(
+      `preferred_units debe ser uno de: ${UNIT_SYSTEMS.join(", ")}`,
       400,
     );
   }
@@ -293,14 +305,21 @@ export const updateProfile = asyncHandler(async (req, res) => {
     }
   }
 
-  // Actualizar en BD (solo name y email, no role_id ni status)
+  // Actualizar en BD (solo name, email y preferred_units, no role_id ni status)
   const result = await pool.query(
     `UPDATE users 
          SET name = COALESCE($1, name),
-             email = COALESCE($2, email)
-         WHERE user_id = $3
-         RETURNING user_id, name, email, role_id, status, registration_date, last_session`,
-    [name || null, email ? email.toLowerCase() : null, user_id],
+             email = COALESCE($2, email),
+             preferred_units = CASE WHEN $5 THEN $3 ELSE preferred_units END
+         WHERE user_id = $4
+         RETURNING user_id, name, email, role_id, status, preferred_units, registration_date, last_session`,
+    [
+      name || null,
+      email ? email.toLowerCase() : null,
+      preferredUnits,
+      user_id,
+      preferred_units !== undefined,
+    ],
   );
 
   const updatedUser = result.rows[0];
@@ -317,6 +336,7 @@ export const updateProfile = asyncHandler(async (req, res) => {
         email: updatedUser.email,
         role_id: updatedUser.role_id,
         status: updatedUser.status,
+        preferred_units: updatedUser.preferred_units ?? null,
         registration_date: updatedUser.registration_date,
         last_session: updatedUser.last_session,
       },
@@ -1,20 +1,173 @@
+import { Parser as Json2CsvParser } from 'json2csv';
 import { pool } from '../config/db.js';
 import Tractor from '../models/Tractor.js';
 import Terrain from '../models/Terrain.js';
 import Implement from '../models/Implement.js';
-import { calculateTotalLoss } from '../services/powerLossService.js';
+import Query from '../models/Query.js';
+import QuerySet from '../models/QuerySet.js';
+import { calculateTotalLoss, getSoilCn } from '../services/powerLossService.js';
 import { calculateMinimumPower as calcMinPower } from '../services/minimumPowerService.js';
+import { calculateFieldCapacity } from '../services/fieldCapacityService.js';
+import { calculateFuelConsumption, estimateEngineLoadFromLosses } from '../services/fuelService.js';
+import { calculateDraftPowerRequirement } from '../services/draftService.js';
+import { calculateOperatingCost as calculateOperatingCostModel } from '../services/operatingCostService.js';
+import { runSweep, analyzeSensitivity } from '../services/sensitivityService.js';
+import { runMonteCarlo } from '../services/uncertaintyService.js';
+import {
+  getModelVersion,
+  buildInputSnapshot,
+  toResultRecord,
+  replayCalculation as replayCalculationModel,
+} from '../services/calculationReplayService.js';
+import {
+  getTractorLimit,
+  summarizeMatrix,
+  toCsvRecord,
+  CONSTANTS as BATCH_CONSTANTS,
+} from '../services/batchCalculationService.js';
+import { getFieldDimension, getUnitLabel, fromCanonical } from '../utils/units.util.js';
+import { findOptimalSpeed } from '../services/speedOptimizerService.js';
+import { assessStability, isExcludedByStability } from '../services/stabilityService.js';
+import { assessPowerDemand } from '../services/ptoService.js';
+import { calculateDeratedPower, isTurbo } from '../services/deratingService.js';
+import {
+  getActiveProfile,
+  getDefaultCoefficients,
+  CONSTANTS as PROFILE_CONSTANTS,
+} from '../services/calculationProfileService.js';
+import { getSoilCatalog } from '../services/soilCatalogService.js';
+import { resolveSoil, DEFAULT_SOIL_CATALOG } from '../services/soilService.js';
 import { asyncHandler } from '../middleware/error.middleware.js';
 import logger from '../config/logger.js';
 
 /**
- * Mapea tipo de suelo a Índice de Cono (Cn) según ASABE D497.7
- * @param {string} soil - Tipo de suelo
- * @returns {number} Cn (default: 35)
+ * Obtiene el perfil de cálculo activo para los flujos directos
+ * Estos flujos no dependen de la BD: si no responde se usan los coeficientes por defecto
+ * @returns {Promise<Object>} Perfil de cálculo ({ version, name, coefficients })
  */
-const getSoilCn = (soil) => {
-  const cn = { arcilla:45, clay:45, franco:35, loam:35, arena:25, sand:25, firme:50, firm:50, suave:20, soft:20 };
-  return cn[soil?.toLowerCase()] || 35;
+const getProfileForDirectFlow = async () => {
+  try {
+    return await getActiveProfile();
+  } catch (error) {
+    logger.warn('Calculation profile lookup failed, using default coefficients', { error: error.message });
+    return {
+      version: null,
+      name: PROFILE_CONSTANTS.DEFAULT_PROFILE_NAME,
+      coefficients: getDefaultCoefficients(),
+    };
+  }
+};
+
+/**
+ * Obtiene el catálogo de suelos para los flujos directos
+ * Igual que el perfil de cálculo: si la BD no responde se usa el catálogo por defecto
+ * @returns {Promise<Object>} Catálogo de suelos
+ */
+const getSoilCatalogForDirectFlow = async () => {
+  try {
+    return await getSoilCatalog();
+  } catch (error) {
+    logger.warn('Soil catalog lookup failed, using default soil catalog', { error: error.message });
+    return DEFAULT_SOIL_CATALOG;
+  }
+};
+
+/**
+ * Formatea el suelo resuelto por el catálogo para la respuesta
+ * @param {Object} soil - Resultado de soilService.resolveSoil
+ * @returns {Object} Código, humedad, índice de cono y dificultad en snake_case
+ */
+const formatSoil = (soil) => ({
+  code: soil.code,
+  moisture_condition: soil.moisture,
+  cone_index: soil.coneIndex,
+  difficulty: soil.difficulty,
+  recognized: soil.recognized,
+});
+
+/**
+ * Formatea el bloque de tracción del resultado de calculateTotalLoss para la respuesta
+ * @param {Object} [traction] - results.traction de powerLossService
+ * @returns {Object|null} Patinaje usado y predicción (tiro, eficiencia tractiva) en snake_case
+ */
+const formatTraction = (traction) => {
+  if (!traction) return null;
+  const { prediction } = traction;
+
+  return {
+    slippage_percent: traction.slippagePercent,
+    slippage_source: traction.source,
+    drawbar_pull_kn: prediction?.drawbarPullKn ?? null,
+    tractive_efficiency_percent: prediction?.tractiveEfficiency ?? null,
+    net_traction_ratio: prediction?.netTractionRatio ?? null,
+    mobility_number: prediction?.mobilityNumber ?? null,
+    dynamic_axle_load_kn: prediction?.dynamicLoadKn ?? null,
+    traction_limited: prediction?.tractionLimited ?? false,
+  };
+};
+
+/**
+ * Formatea la estimación de combustible de fuelService para la respuesta
+ * @param {Object|null} fuel - Resultado de calculateFuelConsumption
+ * @returns {Object|null} Consumo y costo en snake_case
+ */
+const formatFuel = (fuel) => {
+  if (!fuel) return null;
+
+  return {
+    load_percent: fuel.loadPercent,
+    liters_per_hour: fuel.litersPerHour,
+    liters_per_hectare: fuel.litersPerHectare,
+    fuel_price_per_l: fuel.fuelPricePerL,
+    cost_per_hour: fuel.costPerHour,
+    cost_per_hectare: fuel.costPerHectare,
+  };
+};
+
+/**
+ * Construye los parámetros de calculateTotalLoss a partir del tractor, el terreno y el body
+ * @param {Object} tractor - Registro de la tabla tractor
+ * @param {Object} terrain - Registro de la tabla terrain
+ * @param {Object} inputs - Campos del body (working_speed_kmh, carried_objects_weight_kg,
+ *   slippage_percent, drawbar_pull_kn, has_turbo)
+ * @param {Object} [coefficients] - Coeficientes del perfil de cálculo activo
+ * @param {Object} [soilCatalog] - Catálogo de suelos (Cn según suelo y humedad del terreno)
+ * @returns {Object} Parámetros de powerLossService.calculateTotalLoss
+ */
+const buildPowerLossParams = (tractor, terrain, {
+  working_speed_kmh,
+  carried_objects_weight_kg = 0,
+  slippage_percent,
+  drawbar_pull_kn,
+  has_turbo,
+}, coefficients = {}, soilCatalog) => {
+  const totalWeight = parseFloat(tractor.weight_kg) + parseFloat(carried_objects_weight_kg);
+
+  // Determinar si el tractor tiene turbo
+  // Prioridad: 1) valor explícito del frontend (has_turbo en body), 2) aspiration_type del catálogo
+  const hasTurbo = has_turbo !== undefined && has_turbo !== null
+    ? ['si', 'sí', 'true'].includes(String(has_turbo).toLowerCase())
+    : isTurbo(tractor);
+
+  return {
+    enginePower: parseFloat(tractor.engine_power_hp),
+    altitudeMeters: parseFloat(terrain.altitude_meters),
+    temperatureC: parseFloat(terrain.temperature_celsius || 15), // Default 15°C si null
+    totalWeightKg: totalWeight,
+    soilCn: getSoilCn(terrain.soil_type, terrain.moisture_condition, soilCatalog),
+    slopePercent: parseFloat(terrain.slope_percentage),
+    speedKmh: parseFloat(working_speed_kmh),
+    slippagePercent: slippage_percent != null ? parseFloat(slippage_percent) : undefined,
+    hasTurbo, // Según Chaparro: altitud y temperatura solo para tractores aspirados
+    traction: {
+      tractionType: tractor.traction_type,
+      tireWidthMm: tractor.tire_width_mm,
+      tireDiameterMm: tractor.tire_diameter_mm,
+      tirePressurePsi: tractor.tire_pressure_psi,
+      drawbarPullKn: drawbar_pull_kn != null ? parseFloat(drawbar_pull_kn) : undefined,
+    },
+    coefficients: coefficients.powerLoss,
+  };
 };
 
 /**
@@ -42,7 +195,10 @@ export const calculatePowerLoss = asyncHandler(async (req, res) => {
     terrain_id,
     working_speed_kmh,
     carried_objects_weight_kg = 0,
-    slippage_percent = 10, // Default 10% si no se provee
+    slippage_percent, // Opcional: si no se provee se predice con el modelo de tracción (ASABE D497)
+    drawbar_pull_kn, // Opcional: tiro requerido en la barra; sin él se asume plena carga
+    working_width_m, // Opcional: ancho de trabajo para estimar el consumo por hectárea
+    fuel_price_per_l, // Opcional: precio del combustible (default FUEL_PRICE_PER_LITER)
     has_turbo, // Opcional: puede venir del frontend (flujo "Tengo Tractor" con datos manuales)
   } = req.body;
 
@@ -56,9 +212,11 @@ export const calculatePowerLoss = asyncHandler(async (req, res) => {
 
     // 2. Consultas DB en Paralelo (Lectura inicial)
     // Nota: Usamos Promise.all para eficiencia. Si falla alguna, catch captura el error.
-    const [tractor, terrain] = await Promise.all([
-      Tractor.findById(tractor_id),
-      Terrain.findById(terrain_id)
+    const [tractor, terrain, profile, soilCatalog] = await Promise.all([
+      Tractor.findById(tractor_id, req.user?.user_id),
+      Terrain.findById(terrain_id),
+      getActiveProfile(),
+      getSoilCatalog(),
     ]);
 
     // 3. Validación de Negocio (Existencia)
@@ -70,74 +228,77 @@ export const calculatePowerLoss = asyncHandler(async (req, res) => {
     }
 
   // 4. Preparación de parámetros para el Servicio de Cálculo
-  const totalWeight = parseFloat(tractor.weight_kg) + parseFloat(carried_objects_weight_kg);
-  const soilCn = getSoilCn(terrain.soil_type);
-
-  // Determinar si el tractor tiene turbo
-  // Prioridad: 1) valor explícito del frontend (has_turbo en body), 2) campo de la BD
-  // En la BD puede venir como 'tiene turbo' enum('si','no') o 'turbo_aspirado' VARCHAR
-  const turboValue = has_turbo !== undefined
-    ? has_turbo
-    : (tractor.tiene_turbo || tractor.turbo_aspirado || tractor.turbo || '');
-  const hasTurbo = String(turboValue).toLowerCase() === 'si' || String(turboValue).toLowerCase() === 'sí' || String(turboValue).toLowerCase() === 'true' || turboValue === true;
-
-  // Construir objeto de parámetros
-  const calculationParams = {
-    enginePower: parseFloat(tractor.engine_power_hp),
-    altitudeMeters: parseFloat(terrain.altitude_meters),
-    temperatureC: parseFloat(terrain.temperature_celsius || 15), // Default 15°C si null
-    totalWeightKg: totalWeight,
-    soilCn: soilCn,
-    slopePercent: parseFloat(terrain.slope_percentage),
-    speedKmh: parseFloat(working_speed_kmh),
-    slippagePercent: parseFloat(slippage_percent),
-    hasTurbo, // Según Chaparro: altitud y temperatura solo para tractores aspirados
-  };
+  const calculationParams = buildPowerLossParams(tractor, terrain, {
+    working_speed_kmh,
+    carried_objects_weight_kg,
+    slippage_percent,
+    drawbar_pull_kn,
+    has_turbo,
+  }, profile.coefficients, soilCatalog);
+  const { hasTurbo } = calculationParams;
 
     // Ejecutar lógica de negocio pura (Cálculo)
     const results = calculateTotalLoss(calculationParams);
 
+    // Consumo de combustible a la carga que resulta de las pérdidas y el tiro
+    // (sin tiro informado el tractor trabaja a plena carga)
+    const fieldCapacity = calculateFieldCapacity({
+      widthM: working_width_m != null ? parseFloat(working_width_m) : undefined,
+      speedKmh: calculationParams.speedKmh,
+    });
+    const fuel = calculateFuelConsumption({
+      ratedPowerHP: calculationParams.enginePower,
+      demandedPowerHP: estimateEngineLoadFromLosses(results, {
+        drawbarPullKn: calculationParams.traction.drawbarPullKn,
+        speedKmh: calculationParams.speedKmh,
+      }),
+      effectiveCapacityHaH: fieldCapacity?.effectiveCapacityHaH,
+      fuelPricePerL: fuel_price_per_l != null ? parseFloat(fuel_price_per_l) : undefined,
+    });
+
     // 5. Persistencia Transaccional
     // Iniciamos la transacción SQL
     await client.query('BEGIN');
 
-    // A. Insertar registro en tabla 'query'
+    // A. Insertar registro en tabla 'query' con la instantánea de entradas y la versión
+    // del modelo (permiten reproducir el cálculo con POST /:queryId/replay)
+    const inputSnapshot = buildInputSnapshot({ params: calculationParams, request: req.body, terrain });
     const insertQuerySql = `
       INSERT INTO query (
         user_id, terrain_id, tractor_id, working_speed_kmh, 
-        carried_objects_weight_kg, query_type, status
+        carried_objects_weight_kg, calculation_profile_version, input_snapshot, model_version,
+        query_type, status
       )
-      VALUES ($1, $2, $3, $4, $5, 'power_loss', 'completed')
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'power_loss', 'completed')
       RETURNING query_id
     `;
     const queryValues = [
-      user_id, terrain_id, tractor_id, working_speed_kmh, carried_objects_weight_kg
+      user_id, terrain_id, tractor_id, working_speed_kmh, carried_objects_weight_kg, profile.version,
+      JSON.stringify(inputSnapshot), inputSnapshot.model_version
     ];
     const queryResult = await client.query(insertQuerySql, queryValues);
     const queryId = queryResult.rows[0].query_id;
 
-    // B. Insertar resultados en tabla 'power_loss'
-    // Extraemos valores específicos del objeto results.losses
-    const { 
-      slope: slopeLoss, 
-      altitude: altLoss, 
-      rollingResistance: rollLoss, 
-      slippage: slipLoss, 
-      total: totalLoss 
-    } = results.losses;
+    // B. Insertar resultados en tabla 'power_loss' (desglose completo de pérdidas)
+    const record = toResultRecord(results, calculationParams);
 
     const insertLossSql = `
       INSERT INTO power_loss (
         query_id, slope_loss_hp, altitude_loss_hp, 
         rolling_resistance_loss_hp, slippage_loss_hp, 
+        temperature_loss_hp, transmission_loss_hp,
         total_loss_hp, available_power_hp, net_power_hp, 
-        efficiency_percentage
+        efficiency_percentage, slippage_percent, soil_cn, has_turbo, temperature_celsius
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
     `;
     const lossValues = [
-      queryId, slopeLoss, altLoss, rollLoss, slipLoss,
-      totalLoss, results.grossPower, results.netPower, results.efficiency
+      queryId, record.slope_loss_hp, record.altitude_loss_hp,
+      record.rolling_resistance_loss_hp, record.slippage_loss_hp,
+      record.temperature_loss_hp, record.transmission_loss_hp,
+      record.total_loss_hp, record.available_power_hp, record.net_power_hp,
+      record.efficiency_percentage, record.slippage_percent, record.soil_cn, record.has_turbo,
+      record.temperature_celsius
     ];
     await client.query(insertLossSql, lossValues);
 
@@ -149,8 +310,15 @@ export const calculatePowerLoss = asyncHandler(async (req, res) => {
       VALUES ($1, $2, 'calculation', $3, $4)
     `;
     const description = `Cálculo de potencia: ${tractor.brand} ${tractor.model} en ${terrain.name}`;
-    // Solo almacenar métricas clave (power_loss ya tiene el detalle completo)
-    const historyData = { queryId, netPower: results.netPower, efficiency: results.efficiency };
+    // Resultado completo con la versión del modelo que lo produjo
+    const historyData = {
+      queryId,
+      modelVersion: inputSnapshot.model_version,
+      calculationProfileVersion: profile.version,
+      netPower: results.netPower,
+      efficiency: results.efficiency,
+      results: record,
+    };
     await client.query(insertHistorySql, [
       user_id, queryId, description, JSON.stringify(historyData)
     ]);
@@ -175,8 +343,13 @@ export const calculatePowerLoss = asyncHandler(async (req, res) => {
     message: 'Cálculo realizado con éxito',
     data: {
       queryId,
+      calculationProfileVersion: profile.version,
       tractor: { brand: tractor.brand, model: tractor.model, hasTurbo },
-      terrain: { name: terrain.name, soil_type: terrain.soil_type },
+      terrain: {
+        name: terrain.name,
+        soil_type: terrain.soil_type,
+        soil: formatSoil(resolveSoil(terrain.soil_type, terrain.moisture_condition, soilCatalog)),
+      },
         losses: {
           slope_loss_hp: results.losses.slope,
           altitude_loss_hp: results.losses.altitude,
@@ -184,6 +357,9 @@ export const calculatePowerLoss = asyncHandler(async (req, res) => {
           slippage_loss_hp: results.losses.slippage,
           total_loss_hp: results.losses.total
         },
+        traction: formatTraction(results.traction),
+        fuel: formatFuel(fuel),
+        stability: assessStability(tractor, terrain.slope_percentage),
         net_power_hp: results.netPower,
         engine_power_hp: results.grossPower,
         efficiency_percentage: results.efficiency
@@ -199,6 +375,302 @@ export const calculatePowerLoss = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Calcula una celda de la matriz por lote (un tractor en un terreno)
+ * Un error de cálculo queda en la celda y no interrumpe el resto de la matriz
+ * @param {Object} tractor - Registro de la tabla tractor
+ * @param {Object} terrain - Registro de la tabla terrain
+ * @param {Object} inputs - Parámetros de operación comunes del lote
+ * @param {Object} coefficients - Coeficientes del perfil de cálculo activo
+ * @param {Object} soilCatalog - Catálogo de suelos
+ * @returns {Object} Celda con la identificación y el registro de resultados
+ */
+const computeBatchCell = (tractor, terrain, inputs, coefficients, soilCatalog) => {
+  const cell = {
+    tractor_id: tractor.tractor_id,
+    tractor_brand: tractor.brand,
+    tractor_model: tractor.model,
+    terrain_id: terrain.terrain_id,
+    terrain_name: terrain.name,
+  };
+
+  try {
+    const params = buildPowerLossParams(tractor, terrain, inputs, coefficients, soilCatalog);
+    return {
+      ...cell,
+      ...toResultRecord(calculateTotalLoss(params), params),
+      stability_level: assessStability(tractor, terrain.slope_percentage).level,
+      error: null,
+    };
+  } catch (error) {
+    return { ...cell, error: error.message };
+  }
+};
+
+/**
+ * Envía la matriz por lote como CSV, fila por fila
+ * Con un sistema de unidades pedido (req.units) las columnas con magnitud se convierten
+ * y su encabezado lleva la unidad, como en el export del catálogo
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Array<Object>} cells - Celdas de la matriz
+ */
+const streamBatchCsv = (req, res, cells) => {
+  const fields = BATCH_CONSTANTS.CSV_COLUMNS.map((column) => {
+    const dimension = getFieldDimension(column);
+    return req.units && dimension
+      ? { label: `${column} (${getUnitLabel(dimension, req.units)})`, value: column }
+      : { label: column, value: column };
+  });
+  const convertRow = (row) => (req.units
+    ? Object.fromEntries(Object.entries(row).map(([column, value]) => {
+      const dimension = getFieldDimension(column);
+      return [column, dimension ? fromCanonical(value, dimension, req.units) : value];
+    }))
+    : row);
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="power-loss-matrix-${new Date().toISOString().slice(0, 10)}.csv"`,
+  );
+  res.status(200);
+
+  const rowParser = new Json2CsvParser({ fields, header: false });
+  res.write(`${new Json2CsvParser({ fields }).parse([])}\n`);
+  cells.forEach((cell) => {
+    res.write(`${rowParser.parse([convertRow(toCsvRecord(cell))])}\n`);
+  });
+  res.end();
+};
+
+/**
+ * Controlador para la matriz de pérdidas de potencia por lote
+ * Calcula las pérdidas de cada tractor en cada terreno del usuario con los mismos
+ * parámetros de operación. Los tractores se eligen por ID o con filtros del catálogo.
+ * Con persist=true la matriz se guarda como un único query_set (no una fila de query
+ * por celda).
+ *
+ * @route POST /api/calculations/power-loss/batch
+ * @param {Array<number>} [req.body.tractor_ids] - IDs de los tractores
+ * @param {Object} [req.body.tractor_filters] - Filtros del catálogo (q, brand, traction_type,
+ *   min_power_hp, max_power_hp) si no se envían tractor_ids
+ * @param {Array<number>} req.body.terrain_ids - IDs de terrenos del usuario
+ * @param {number} req.body.working_speed_kmh - Velocidad de trabajo
+ * @param {string} [req.body.format='json'] - json | csv
+ * @param {boolean} [req.body.persist=false] - Guardar la matriz como query_set
+ * @param {string} [req.body.name] - Nombre del query_set
+ */
+export const calculatePowerLossBatch = asyncHandler(async (req, res) => {
+  const {
+    tractor_filters,
+    working_speed_kmh,
+    carried_objects_weight_kg = 0,
+    slippage_percent,
+    drawbar_pull_kn,
+    has_turbo,
+    format = 'json',
+    persist = false,
+    name,
+  } = req.body;
+  const userId = req.user.user_id;
+  // El validador acepta IDs numéricos en string ("3"); la BD devuelve enteros
+  const terrain_ids = req.body.terrain_ids.map(Number);
+  const tractor_ids = req.body.tractor_ids?.map(Number);
+
+  const [terrains, profile, soilCatalog] = await Promise.all([
+    Terrain.findByIdsAndUser(terrain_ids, userId),
+    getActiveProfile(),
+    getSoilCatalog(),
+  ]);
+
+  const missingTerrains = terrain_ids.filter(
+    (id) => !terrains.some((terrain) => terrain.terrain_id === id),
+  );
+  if (missingTerrains.length > 0) {
+    return res.status(404).json({
+      success: false,
+      message: `Terrenos no encontrados: ${missingTerrains.join(', ')}`,
+    });
+  }
+
+  // Tractores por ID o por filtros del catálogo (hasta llenar la matriz)
+  let tractors;
+  let truncated = false;
+  if (tractor_ids) {
+    tractors = await Tractor.findByIds(tractor_ids, userId);
+    const missingTractors = tractor_ids.filter(
+      (id) => !tractors.some((tractor) => tractor.tractor_id === id),
+    );
+    if (missingTractors.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Tractores no encontrados: ${missingTractors.join(', ')}`,
+      });
+    }
+  } else {
+    const limit = getTractorLimit(terrains.length);
+    const search = await Tractor.advancedSearch({
+      q: tractor_filters.q,
+      brand: tractor_filters.brand,
+      type: tractor_filters.traction_type,
+      minPower: tractor_filters.min_power_hp,
+      maxPower: tractor_filters.max_power_hp,
+      limit,
+      offset: 0,
+      sort: 'engine_power_hp',
+      order: 'desc',
+    });
+    tractors = search.data;
+    truncated = search.total > limit;
+
+    if (tractors.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ningún tractor del catálogo coincide con los filtros',
+      });
+    }
+  }
+
+  const inputs = {
+    working_speed_kmh,
+    carried_objects_weight_kg,
+    slippage_percent,
+    drawbar_pull_kn,
+    has_turbo,
+  };
+  const cells = terrains.flatMap((terrain) => tractors.map(
+    (tractor) => computeBatchCell(tractor, terrain, inputs, profile.coefficients, soilCatalog),
+  ));
+  const summary = summarizeMatrix(cells);
+  const modelVersion = getModelVersion();
+
+  let querySet = null;
+  if (persist) {
+    querySet = await QuerySet.create({
+      user_id: userId,
+      name,
+      parameters: {
+        tractor_ids: tractors.map((tractor) => tractor.tractor_id),
+        tractor_filters: tractor_filters ?? null,
+        terrain_ids,
+        ...inputs,
+      },
+      results: { cells, summary },
+      cell_count: cells.length,
+      model_version: modelVersion,
+      calculation_profile_version: profile.version,
+    });
+  }
+
+  logger.info('Power loss batch completed', {
+    userId,
+    tractors: tractors.length,
+    terrains: terrains.length,
+    failedCells: summary.failed_cells,
+    querySetId: querySet?.query_set_id ?? null,
+  });
+
+  if (format === 'csv') {
+    if (querySet) {
+      res.setHeader('X-Query-Set-Id', String(querySet.query_set_id));
+    }
+    return streamBatchCsv(req, res, cells);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Matriz de pérdidas calculada',
+    data: {
+      query_set_id: querySet?.query_set_id ?? null,
+      calculationProfileVersion: profile.version,
+      model_version: modelVersion,
+      parameters: inputs,
+      tractors: tractors.map((tractor) => ({
+        id: tractor.tractor_id,
+        brand: tractor.brand,
+        model: tractor.model,
+        engine_power_hp: parseFloat(tractor.engine_power_hp),
+      })),
+      terrains: terrains.map((terrain) => ({
+        id: terrain.terrain_id,
+        name: terrain.name,
+        soil_type: terrain.soil_type,
+        soil: formatSoil(resolveSoil(terrain.soil_type, terrain.moisture_condition, soilCatalog)),
+      })),
+      truncated,
+      summary,
+      matrix: cells,
+    },
+  });
+});
+
+/**
+ * Reproduce un cálculo de pérdidas guardado con el modelo actual
+ * Parte de la instantánea de entradas del cálculo original, aplica los coeficientes del
+ * perfil activo y el Cn del catálogo de suelos actual, y compara campo a campo con el
+ * resultado guardado en power_loss. No se persiste.
+ *
+ * @route POST /api/calculations/:queryId/replay
+ * @param {number} req.params.queryId - ID del cálculo (query) del usuario autenticado
+ */
+export const replayCalculation = asyncHandler(async (req, res) => {
+  const queryId = parseInt(req.params.queryId, 10);
+  const userId = req.user.user_id;
+
+  if (Number.isNaN(queryId) || queryId <= 0) {
+    return res.status(400).json({ success: false, message: 'ID de cálculo inválido' });
+  }
+
+  const original = await Query.findPowerLossByIdAndUser(queryId, userId);
+
+  if (!original) {
+    return res.status(404).json({ success: false, message: 'Cálculo de pérdidas no encontrado' });
+  }
+  if (!original.input_snapshot) {
+    return res.status(409).json({
+      success: false,
+      message: 'El cálculo es anterior a las instantáneas de entrada y no se puede reproducir',
+    });
+  }
+
+  const snapshot = original.input_snapshot;
+  const [profile, soilCatalog] = await Promise.all([getActiveProfile(), getSoilCatalog()]);
+  const soilCn = snapshot.terrain?.soil_type != null
+    ? getSoilCn(snapshot.terrain.soil_type, snapshot.terrain.moisture_condition, soilCatalog)
+    : undefined;
+
+  const replay = replayCalculationModel({
+    snapshot,
+    original,
+    coefficients: profile.coefficients.powerLoss,
+    soilCn,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: replay.changedFields.length === 0
+      ? 'El cálculo se reproduce sin diferencias'
+      : 'El cálculo se reprodujo con diferencias',
+    data: {
+      queryId,
+      original: {
+        calculated_at: original.query_date,
+        model_version: original.model_version,
+        calculationProfileVersion: original.calculation_profile_version,
+      },
+      replay: {
+        model_version: replay.modelVersion,
+        calculationProfileVersion: profile.version,
+      },
+      inputs: snapshot,
+      identical: replay.changedFields.length === 0,
+      changed_fields: replay.changedFields,
+      diff: replay.diff,
+    },
+  });
+});
+
 /**
  * Controlador para calcular pérdidas de potencia con datos manuales
  * (Flujo "Tengo Tractor" — sin lookups de DB)
@@ -210,6 +682,7 @@ export const calculateDirectPowerLoss = asyncHandler(async (req, res) => {
     engine_power_hp,
     weight_kg,
     soil_type,
+    moisture_condition,
     altitude_m,
     ambient_temperature_c,
     slope_percent,
@@ -222,19 +695,24 @@ export const calculateDirectPowerLoss = asyncHandler(async (req, res) => {
   const user_id = req.user?.user_id || null;
 
   // Calcular parámetros desde datos crudos
+  const [profile, soilCatalog] = await Promise.all([
+    getProfileForDirectFlow(),
+    getSoilCatalogForDirectFlow(),
+  ]);
   const totalWeightKg = weight_kg + carried_objects_weight_kg;
-  const soilCn = getSoilCn(soil_type);
+  const soil = resolveSoil(soil_type, moisture_condition, soilCatalog);
 
   const calculationParams = {
     enginePower: engine_power_hp,
     altitudeMeters: altitude_m,
     temperatureC: ambient_temperature_c,
     totalWeightKg,
-    soilCn,
+    soilCn: soil.coneIndex,
     slopePercent: slope_percent,
     speedKmh: working_speed_kmh,
     slippagePercent: slippage_percent,
     hasTurbo: has_turbo,
+    coefficients: profile.coefficients.powerLoss,
   };
 
   const results = calculateTotalLoss(calculationParams);
@@ -248,32 +726,47 @@ export const calculateDirectPowerLoss = asyncHandler(async (req, res) => {
     try {
       await client.query('BEGIN');
 
+      // Misma instantánea y desglose que el flujo con tractor y terreno guardados,
+      // para que el cálculo se pueda reproducir con POST /:queryId/replay
+      const inputSnapshot = buildInputSnapshot({
+        params: calculationParams,
+        request: req.body,
+        terrain: { soil_type, moisture_condition },
+      });
       const insertQuerySql = `
         INSERT INTO query (
           user_id, terrain_id, tractor_id, working_speed_kmh,
-          carried_objects_weight_kg, query_type, status
+          carried_objects_weight_kg, calculation_profile_version, input_snapshot, model_version,
+          query_type, status
         )
-        VALUES ($1, NULL, NULL, $2, $3, 'direct_power_loss', 'completed')
+        VALUES ($1, NULL, NULL, $2, $3, $4, $5, $6, 'direct_power_loss', 'completed')
         RETURNING query_id
       `;
       const queryResult = await client.query(insertQuerySql, [
-        user_id, working_speed_kmh, carried_objects_weight_kg
+        user_id, working_speed_kmh, carried_objects_weight_kg, profile.version,
+        JSON.stringify(inputSnapshot), inputSnapshot.model_version
       ]);
       queryId = queryResult.rows[0].query_id;
 
-      const { slope: slopeLoss, altitude: altLoss, rollingResistance: rollLoss, slippage: slipLoss, total: totalLoss } = results.losses;
+      const record = toResultRecord(results, calculationParams);
 
       const insertLossSql = `
         INSERT INTO power_loss (
           query_id, slope_loss_hp, altitude_loss_hp,
           rolling_resistance_loss_hp, slippage_loss_hp,
-          total_loss_hp, available_power_hp, net_power_hp, efficiency_percentage
+          temperature_loss_hp, transmission_loss_hp,
+          total_loss_hp, available_power_hp, net_power_hp,
+          efficiency_percentage, slippage_percent, soil_cn, has_turbo, temperature_celsius
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
       `;
       await client.query(insertLossSql, [
-        queryId, slopeLoss, altLoss, rollLoss, slipLoss,
-        totalLoss, results.grossPower, results.netPower, results.efficiency
+        queryId, record.slope_loss_hp, record.altitude_loss_hp,
+        record.rolling_resistance_loss_hp, record.slippage_loss_hp,
+        record.temperature_loss_hp, record.transmission_loss_hp,
+        record.total_loss_hp, record.available_power_hp, record.net_power_hp,
+        record.efficiency_percentage, record.slippage_percent, record.soil_cn, record.has_turbo,
+        record.temperature_celsius
       ]);
 
       await client.query('COMMIT');
@@ -303,8 +796,9 @@ export const calculateDirectPowerLoss = asyncHandler(async (req, res) => {
     message: 'Cálculo directo realizado con éxito',
     data: {
       queryId,
+      calculationProfileVersion: profile.version,
       tractor: { brand: 'Manual', model: 'Input', hasTurbo: has_turbo },
-      terrain: { name: 'Terreno ingresado', soil_type },
+      terrain: { name: 'Terreno ingresado', soil_type, soil: formatSoil(soil) },
       losses: {
         slope_loss_hp: results.losses.slope,
         altitude_loss_hp: results.losses.altitude,
@@ -369,6 +863,28 @@ const classifyTractorSuitability = (tractorHP, requiredHP) => {
   };
 };
 
+/**
+ * Marca como insuficiente un tractor cuya barra o TDF no cubre la demanda del
+ * implemento, aunque la potencia del motor alcance
+ * @param {Object} suitability - Resultado de classifyTractorSuitability
+ * @param {Object|null} powerCapability - Resultado de assessPowerDemand
+ * @returns {Object} Clasificación, con limitedBy ('drawbar' o 'pto') si se degrada
+ */
+const applyPowerCapability = (suitability, powerCapability) => {
+  if (!powerCapability || powerCapability.sufficient || !suitability.isCompatible) {
+    return suitability;
+  }
+
+  return {
+    ...suitability,
+    score: 'INSUFFICIENT',
+    label: powerCapability.limitingFactor === 'pto' ? 'TDF Insuficiente' : 'Potencia en Barra Insuficiente',
+    color: 'red',
+    isCompatible: false,
+    limitedBy: powerCapability.limitingFactor,
+  };
+};
+
 /**
  * Controlador para calcular potencia mínima con datos manuales
  * (Flujo "Tengo Maquinaria" — sin lookups de DB, sin login requerido)
@@ -385,6 +901,12 @@ export const calculateDirectMinimumPower = asyncHandler(async (req, res) => {
     working_depth_m,
     soil_type,
     slope_percentage,
+    implement_type,
+    working_width_m,
+    working_speed_kmh,
+    pto_distance_m,
+    altitude_m,
+    ambient_temperature_c,
   } = req.body;
 
   const user_id = req.user?.user_id || null;
@@ -393,6 +915,10 @@ export const calculateDirectMinimumPower = asyncHandler(async (req, res) => {
   const implementData = {
     power_requirement_hp,
     working_depth_m,
+    implement_type,
+    working_width_m,
+    working_speed_kmh,
+    pto_distance_m,
   };
 
   const terrainData = {
@@ -400,8 +926,12 @@ export const calculateDirectMinimumPower = asyncHandler(async (req, res) => {
     slope_percentage,
   };
 
-  // 2. Ejecutar cálculo de potencia mínima
-  const powerResult = calcMinPower(implementData, terrainData);
+  // 2. Ejecutar cálculo de potencia mínima con el perfil de cálculo activo
+  const [profile, soilCatalog] = await Promise.all([
+    getProfileForDirectFlow(),
+    getSoilCatalogForDirectFlow(),
+  ]);
+  const powerResult = calcMinPower(implementData, terrainData, profile.coefficients.minimumPower, soilCatalog);
 
   // 3. Clasificar tractores disponibles
   let classifiedTractors = [];
@@ -412,19 +942,42 @@ export const calculateDirectMinimumPower = asyncHandler(async (req, res) => {
   try {
     const allTractors = await Tractor.getAll();
     const requiredHP = powerResult.minimumPowerHP;
+    // Misma clasificación que el flujo con terreno guardado: potencia derateada por
+    // la altitud y la temperatura informadas
+    const deratingTerrain = {
+      ...terrainData,
+      altitude_meters: altitude_m,
+      temperature_celsius: ambient_temperature_c,
+    };
+    const deratingOptions = {
+      speedKmh: powerResult.draft?.speedKmh ?? working_speed_kmh,
+      drawbarPullKn: powerResult.draft?.draftKn,
+      implementType: implement_type,
+      coefficients: profile.coefficients.powerLoss,
+      soilCatalog,
+    };
 
     classifiedTractors = allTractors
       .filter(tractor => tractor.status === 'available')
       .map(tractor => {
         const tractorHP = parseFloat(tractor.engine_power_hp);
-        const suitability = classifyTractorSuitability(tractorHP, requiredHP);
+        const { deratedHP } = calculateDeratedPower(tractor, deratingTerrain, deratingOptions);
+        const powerCapability = assessPowerDemand(tractor, powerResult);
+        const suitability = applyPowerCapability(
+          classifyTractorSuitability(deratedHP, requiredHP),
+          powerCapability,
+        );
         return {
           tractor_id: tractor.tractor_id,
           name: tractor.name,
           brand: tractor.brand,
           model: tractor.model,
           engine_power_hp: tractorHP,
+          derated_power_hp: deratedHP,
+          aspiration_type: tractor.aspiration_type ?? null,
           suitability,
+          powerCapability,
+          stability: assessStability(tractor, slope_percentage),
         };
       });
 
@@ -436,10 +989,12 @@ export const calculateDirectMinimumPower = asyncHandler(async (req, res) => {
   }
 
   // Top 5 recomendaciones: priorizar OPTIMAL, luego OVERPOWERED por eficiencia
+  // (se excluyen los tractores con riesgo de vuelco en la pendiente)
   const topRecommendations = [
     ...optimalTractors.sort((a, b) => b.suitability.utilizationPercent - a.suitability.utilizationPercent),
     ...overpoweredTractors.sort((a, b) => b.suitability.utilizationPercent - a.suitability.utilizationPercent),
-  ].slice(0, 5).map((t, index) => ({ ...t, rank: index + 1 }));
+  ].filter(t => !isExcludedByStability(t.stability))
+    .slice(0, 5).map((t, index) => ({ ...t, rank: index + 1 }));
 
   // 4. Persistencia opcional (solo si hay usuario autenticado)
   let queryId = null;
@@ -456,13 +1011,14 @@ export const calculateDirectMinimumPower = asyncHandler(async (req, res) => {
         if (recommendedTractorId) {
           const insertQuerySql = `
             INSERT INTO query (
-              user_id, terrain_id, tractor_id, implement_id, query_type, status
+              user_id, terrain_id, tractor_id, implement_id, pto_distance_m,
+              calculation_profile_version, query_type, status
             )
-            VALUES ($1, NULL, $2, NULL, 'direct_minimum_power', 'completed')
+            VALUES ($1, NULL, $2, NULL, $3, $4, 'direct_minimum_power', 'completed')
             RETURNING query_id
           `;
           const queryResult = await client.query(insertQuerySql, [
-            user_id, recommendedTractorId,
+            user_id, recommendedTractorId, powerResult.powerDemand?.ptoDistanceM ?? null, profile.version,
           ]);
           queryId = queryResult.rows[0].query_id;
 
@@ -514,6 +1070,7 @@ export const calculateDirectMinimumPower = asyncHandler(async (req, res) => {
     message: 'Cálculo directo de potencia mínima realizado con éxito',
     data: {
       queryId,
+      calculationProfileVersion: profile.version,
       implement: {
         id: null,
         name: 'Implemento ingresado',
@@ -525,11 +1082,16 @@ export const calculateDirectMinimumPower = asyncHandler(async (req, res) => {
         name: 'Terreno ingresado',
         soil_type,
         slope_percentage,
+        altitude_m: altitude_m ?? null,
+        ambient_temperature_c: ambient_temperature_c ?? null,
       },
       powerRequirement: {
         minimum_power_hp: powerResult.minimumPowerHP,
         calculated_power_hp: powerResult.calculatedPowerHP,
         factors: powerResult.factors,
+        model: powerResult.model,
+        draft: powerResult.draft,
+        powerDemand: powerResult.powerDemand,
       },
       tractorAnalysis: {
         total_evaluated: classifiedTractors.length,
@@ -556,13 +1118,23 @@ export const calculateDirectMinimumPower = asyncHandler(async (req, res) => {
  * @param {number} req.body.implement_id - ID del implemento agrícola
  * @param {number} req.body.terrain_id - ID del terreno
  * @param {number} [req.body.working_depth_m] - Profundidad de trabajo (m), override opcional
+ * @param {number} [req.body.working_speed_kmh] - Velocidad de trabajo (km/h) para el modelo de tiro
+ * @param {number} [req.body.pto_distance_m] - Distancia TDF–implemento (m) para las pérdidas del cardán
+ * @param {number} [req.body.fuel_price_per_l] - Precio del combustible para el costo por hectárea
  */
 export const calculateMinimumPower = async (req, res) => {
   const client = await pool.connect();
   
   try {
     // 1. Extracción y validación de inputs (user_id viene del JWT)
-    const { implement_id, terrain_id, working_depth_m } = req.body;
+    const {
+      implement_id,
+      terrain_id,
+      working_depth_m,
+      working_speed_kmh,
+      pto_distance_m,
+      fuel_price_per_l,
+    } = req.body;
     const user_id = req.user?.userId || req.user?.user_id;
 
     // Validación de campos requeridos
@@ -574,10 +1146,12 @@ export const calculateMinimumPower = async (req, res) => {
     }
 
     // 2. Consultas DB en Paralelo (Implemento, Terreno, Tractores)
-    const [implement, terrain, allTractors] = await Promise.all([
+    const [implement, terrain, allTractors, profile, soilCatalog] = await Promise.all([
       Implement.findById(implement_id),
       Terrain.findById(terrain_id),
-      Tractor.getAll()
+      Tractor.getAll(),
+      getActiveProfile(),
+      getSoilCatalog(),
     ]);
 
     // 3. Validación de Negocio (Existencia de entidades)
@@ -596,12 +1170,17 @@ export const calculateMinimumPower = async (req, res) => {
 
     // 4. Preparación de parámetros para el Servicio de Cálculo
     // Convertir working_depth_cm de BD a metros, o usar override del request
+    // (sin profundidad, el servicio aplica la de referencia de cada modelo)
     const workingDepthM = working_depth_m || 
-      (implement.working_depth_cm ? implement.working_depth_cm / 100 : 0.25);
+      (implement.working_depth_cm ? implement.working_depth_cm / 100 : undefined);
     
     const implementData = {
       power_requirement_hp: parseFloat(implement.power_requirement_hp),
       working_depth_m: workingDepthM,
+      implement_type: implement.implement_type,
+      working_width_m: implement.working_width_m != null ? parseFloat(implement.working_width_m) : undefined,
+      working_speed_kmh,
+      pto_distance_m,
     };
     
     const terrainData = {
@@ -609,17 +1188,49 @@ export const calculateMinimumPower = async (req, res) => {
       slope_percentage: parseFloat(terrain.slope_percentage),
     };
 
-    // 5. Ejecutar cálculo de potencia mínima
-    const powerResult = calcMinPower(implementData, terrainData);
+    // 5. Ejecutar cálculo de potencia mínima (perfil de cálculo activo) y capacidad de campo
+    const powerResult = calcMinPower(
+      implementData,
+      terrainData,
+      profile.coefficients.minimumPower,
+      soilCatalog,
+    );
+
+    const fieldCapacity = calculateFieldCapacity({
+      implementType: implement.implement_type,
+      widthM: implementData.working_width_m,
+      speedKmh: powerResult.draft?.speedKmh ?? working_speed_kmh,
+      areaHectares: parseFloat(terrain.area_hectares),
+    });
 
     // 6. Clasificar tractores con sistema de recomendación inteligente
+    // (con la potencia del motor derateada por altitud y temperatura, no la nominal:
+    // el requerimiento ya incluye transmisión, tracción y margen)
     const requiredHP = powerResult.minimumPowerHP;
+    const deratingOptions = {
+      speedKmh: powerResult.draft?.speedKmh ?? fieldCapacity?.speedKmh,
+      drawbarPullKn: powerResult.draft?.draftKn,
+      implementType: implement.implement_type,
+      coefficients: profile.coefficients.powerLoss,
+      soilCatalog,
+    };
     
     const classifiedTractors = allTractors
       .filter(tractor => tractor.status === 'available')
       .map(tractor => {
         const tractorHP = parseFloat(tractor.engine_power_hp);
-        const suitability = classifyTractorSuitability(tractorHP, requiredHP);
+        const { deratedHP } = calculateDeratedPower(tractor, terrain, deratingOptions);
+        const powerCapability = assessPowerDemand(tractor, powerResult);
+        const suitability = applyPowerCapability(
+          classifyTractorSuitability(deratedHP, requiredHP),
+          powerCapability,
+        );
+        const fuel = calculateFuelConsumption({
+          ratedPowerHP: tractorHP,
+          demandedPowerHP: powerResult.calculatedPowerHP,
+          effectiveCapacityHaH: fieldCapacity?.effectiveCapacityHaH,
+          fuelPricePerL: fuel_price_per_l,
+        });
         
         return {
           tractor_id: tractor.tractor_id,
@@ -627,7 +1238,12 @@ export const calculateMinimumPower = async (req, res) => {
           brand: tractor.brand,
           model: tractor.model,
           engine_power_hp: tractorHP,
+          derated_power_hp: deratedHP,
+          aspiration_type: tractor.aspiration_type ?? null,
           suitability,
+          powerCapability,
+          stability: assessStability(tractor, terrainData.slope_percentage),
+          fuel: formatFuel(fuel),
         };
       });
 
@@ -637,10 +1253,12 @@ export const calculateMinimumPower = async (req, res) => {
     const insufficientTractors = classifiedTractors.filter(t => t.suitability.score === 'INSUFFICIENT');
 
     // Top 5 recomendaciones: priorizar OPTIMAL, luego OVERPOWERED por eficiencia
+    // (se excluyen los tractores con riesgo de vuelco en la pendiente)
     const topRecommendations = [
       ...optimalTractors.sort((a, b) => b.suitability.utilizationPercent - a.suitability.utilizationPercent),
       ...overpoweredTractors.sort((a, b) => b.suitability.utilizationPercent - a.suitability.utilizationPercent),
-    ].slice(0, 5).map((t, index) => ({ ...t, rank: index + 1 }));
+    ].filter(t => !isExcludedByStability(t.stability))
+      .slice(0, 5).map((t, index) => ({ ...t, rank: index + 1 }));
 
     // 7. Persistencia Transaccional
     await client.query('BEGIN');
@@ -662,6 +1280,7 @@ export const calculateMinimumPower = async (req, res) => {
         message: 'Cálculo de potencia mínima realizado (sin tractores compatibles)',
         data: {
           queryId: null, // No se persistió
+          calculationProfileVersion: profile.version,
           implement: {
             id: implement.implement_id,
             name: implement.implement_name,
@@ -679,12 +1298,16 @@ export const calculateMinimumPower = async (req, res) => {
             minimum_power_hp: powerResult.minimumPowerHP,
             calculated_power_hp: powerResult.calculatedPowerHP,
             factors: powerResult.factors,
+            model: powerResult.model,
+            draft: powerResult.draft,
+            powerDemand: powerResult.powerDemand,
           },
+          fieldCapacity,
           tractorAnalysis: {
             total_evaluated: allTractors.length,
             summary: {
-              optimal: 0,
-              overpowered: 0,
+              optimal: optimalTractors.length,
+              overpowered: overpoweredTractors.length,
               insufficient: insufficientTractors.length,
             },
           },
@@ -698,13 +1321,21 @@ export const calculateMinimumPower = async (req, res) => {
 
     const insertQuerySql = `
       INSERT INTO query (
-        user_id, terrain_id, tractor_id, implement_id, query_type, status
+        user_id, terrain_id, tractor_id, implement_id, working_speed_kmh,
+        field_capacity_ha_h, estimated_hours, estimated_workdays, pto_distance_m,
+        calculation_profile_version, query_type, status
       )
-      VALUES ($1, $2, $3, $4, 'minimum_power', 'completed')
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'minimum_power', 'completed')
       RETURNING query_id
     `;
     const queryResult = await client.query(insertQuerySql, [
-      user_id, terrain_id, recommendedTractorId, implement_id
+      user_id, terrain_id, recommendedTractorId, implement_id,
+      fieldCapacity?.speedKmh ?? working_speed_kmh ?? null,
+      fieldCapacity?.effectiveCapacityHaH ?? null,
+      fieldCapacity?.totalHours ?? null,
+      fieldCapacity?.workdays ?? null,
+      powerResult.powerDemand?.ptoDistanceM ?? null,
+      profile.version,
     ]);
     const queryId = queryResult.rows[0].query_id;
 
@@ -712,6 +1343,7 @@ export const calculateMinimumPower = async (req, res) => {
     const historyData = {
       queryId,
       powerRequirement: powerResult,
+      fieldCapacity,
       tractorAnalysis: {
         totalEvaluated: allTractors.length,
         optimalCount: optimalTractors.length,
@@ -744,6 +1376,7 @@ export const calculateMinimumPower = async (req, res) => {
       message: 'Cálculo de potencia mínima realizado con éxito',
       data: {
         queryId,
+        calculationProfileVersion: profile.version,
         implement: {
           id: implement.implement_id,
           name: implement.implement_name,
@@ -761,7 +1394,11 @@ export const calculateMinimumPower = async (req, res) => {
           minimum_power_hp: powerResult.minimumPowerHP,
           calculated_power_hp: powerResult.calculatedPowerHP,
           factors: powerResult.factors,
+          model: powerResult.model,
+          draft: powerResult.draft,
+          powerDemand: powerResult.powerDemand,
         },
+        fieldCapacity,
         tractorAnalysis: {
           total_evaluated: allTractors.length,
           summary: {
@@ -791,6 +1428,468 @@ export const calculateMinimumPower = async (req, res) => {
   }
 };
 
+/**
+ * Controlador para calcular el costo de propiedad y operación de un tractor + implemento
+ * Desglosa depreciación, interés, seguro y alojamiento, reparación, combustible,
+ * lubricación y mano de obra por hora y por hectárea (ASABE EP496 / D497)
+ *
+ * @route POST /api/calculations/operating-cost
+ * @param {number} req.body.tractor_id - ID del tractor
+ * @param {number} req.body.annual_hours - Horas de uso anual del conjunto
+ * @param {number} [req.body.implement_id] - ID del implemento (capacidad de campo y carga del motor)
+ * @param {number} [req.body.implement_price] - Precio de lista del implemento
+ * @param {number} [req.body.implement_model_year] - Año de modelo del implemento
+ * @param {number} [req.body.working_speed_kmh] - Velocidad de trabajo en km/h
+ * @param {number} [req.body.fuel_price_per_l] - Precio del combustible por litro
+ * @param {number} [req.body.labor_cost_per_hour] - Costo del operario por hora
+ * @param {number} [req.body.interest_rate] - Tasa de interés anual (0-1)
+ */
+export const calculateOperatingCost = asyncHandler(async (req, res) => {
+  const {
+    tractor_id,
+    annual_hours,
+    implement_id,
+    implement_price,
+    implement_model_year,
+    working_speed_kmh,
+    fuel_price_per_l,
+    labor_cost_per_hour,
+    interest_rate,
+  } = req.body;
+
+  const [tractor, implement] = await Promise.all([
+    Tractor.findById(tractor_id, req.user?.user_id),
+    implement_id ? Implement.findById(implement_id) : Promise.resolve(null),
+  ]);
+
+  if (!tractor) {
+    return res.status(404).json({ success: false, message: 'Tractor no encontrado' });
+  }
+  if (implement_id && !implement) {
+    return res.status(404).json({ success: false, message: 'Implemento no encontrado' });
+  }
+
+  const tractorPrice = parseFloat(tractor.price ?? tractor.price_usd);
+  if (!(tractorPrice > 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'El tractor no tiene precio registrado (price / price_usd)',
+    });
+  }
+
+  const tractorHP = parseFloat(tractor.engine_power_hp);
+  const implementType = implement?.implement_type?.toLowerCase().trim();
+  const widthM = implement ? parseFloat(implement.working_width_m) : undefined;
+
+  // Carga del motor: tiro ASABE si el implemento lo soporta, si no el requerimiento de catálogo
+  const draft = implement
+    ? calculateDraftPowerRequirement({
+        implementType,
+        widthM,
+        depthCm: implement.working_depth_cm != null ? parseFloat(implement.working_depth_cm) : undefined,
+        speedKmh: working_speed_kmh,
+      })
+    : null;
+  const demandedPowerHP = implement
+    ? Math.min(tractorHP, draft?.requiredPowerHP ?? parseFloat(implement.power_requirement_hp))
+    : tractorHP;
+
+  const fieldCapacity = implement
+    ? calculateFieldCapacity({ implementType, widthM, speedKmh: draft?.speedKmh ?? working_speed_kmh })
+    : null;
+
+  const costs = calculateOperatingCostModel({
+    tractor: {
+      price: tractorPrice,
+      modelYear: tractor.model_year ?? undefined,
+      enginePowerHP: tractorHP,
+      tractionType: tractor.traction_type,
+      maintenanceCostPerHour: tractor.maintenance_cost_per_hour != null
+        ? parseFloat(tractor.maintenance_cost_per_hour)
+        : undefined,
+    },
+    implement: implement
+      ? { type: implementType, price: implement_price, modelYear: implement_model_year }
+      : null,
+    annualHours: annual_hours,
+    demandedPowerHP,
+    effectiveCapacityHaH: fieldCapacity?.effectiveCapacityHaH,
+    fuelPricePerL: fuel_price_per_l,
+    laborCostPerHour: labor_cost_per_hour,
+    interestRate: interest_rate,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Costo operativo calculado',
+    data: {
+      tractor: {
+        id: tractor.tractor_id,
+        name: tractor.name,
+        brand: tractor.brand,
+        model: tractor.model,
+        model_year: tractor.model_year ?? null,
+      },
+      implement: implement
+        ? {
+            id: implement.implement_id,
+            name: implement.implement_name,
+            type: implement.implement_type,
+            working_width_m: widthM,
+          }
+        : null,
+      fieldCapacity,
+      costs,
+    },
+  });
+});
+
+/**
+ * Convierte los valores de los ejes del barrido y del ranking al sistema pedido
+ * Su dimensión la da el nombre de la entrada barrida (`parameter`), no la clave del
+ * campo, así que la conversión genérica de la respuesta no los alcanza
+ * @param {Object} sweep - Resultado de runSweep
+ * @param {Array<Object>} ranking - Ranking de analyzeSensitivity
+ * @param {string} [system] - Sistema de unidades pedido (req.units)
+ * @returns {{sweep: Object, ranking: Array<Object>}}
+ */
+const convertSensitivityAxes = (sweep, ranking, system) => {
+  if (!system) {
+    return { sweep, ranking };
+  }
+
+  const convertEntry = (entry, convert) => {
+    const dimension = getFieldDimension(entry.parameter);
+    return dimension ? convert(dimension) : entry;
+  };
+
+  const axes = sweep.axes.map((axis) => convertEntry(axis, (dimension) => ({
+    ...axis,
+    unit: getUnitLabel(dimension, system),
+    values: axis.values.map((value) => fromCanonical(value, dimension, system)),
+  })));
+
+  const xDimension = getFieldDimension(sweep.axes[0].parameter);
+  const viabilityTransitions = sweep.viabilityTransitions && xDimension
+    ? sweep.viabilityTransitions.map((transition) => ({
+      ...transition,
+      from: fromCanonical(transition.from, xDimension, system),
+      to: fromCanonical(transition.to, xDimension, system),
+    }))
+    : sweep.viabilityTransitions;
+
+  return {
+    sweep: { ...sweep, axes, viabilityTransitions },
+    ranking: ranking.map((entry) => convertEntry(entry, (dimension) => ({
+      ...entry,
+      baseValue: fromCanonical(entry.baseValue, dimension, system),
+      referenceStep: fromCanonical(entry.referenceStep, dimension, system, true),
+      unit: getUnitLabel(dimension, system),
+    }))),
+  };
+};
+
+/**
+ * Controlador para el análisis de sensibilidad de pérdidas de potencia
+ * Barre una o dos entradas (velocidad, lastre, patinaje, pendiente, altitud) alrededor
+ * del punto de operación del tractor en el terreno y ordena las entradas por su
+ * impacto en la potencia neta
+ *
+ * @route POST /api/calculations/power-loss/sensitivity
+ * @param {number} req.body.tractor_id - ID del tractor
+ * @param {number} req.body.terrain_id - ID del terreno
+ * @param {number} req.body.working_speed_kmh - Velocidad del punto base
+ * @param {Array<Object>} req.body.sweeps - Ejes del barrido: { parameter, min, max, steps }
+ * @param {number} [req.body.min_net_power_hp] - Potencia neta mínima para considerar viable un punto
+ */
+export const calculatePowerSensitivity = asyncHandler(async (req, res) => {
+  const {
+    tractor_id,
+    terrain_id,
+    working_speed_kmh,
+    carried_objects_weight_kg = 0,
+    slippage_percent,
+    drawbar_pull_kn,
+    has_turbo,
+    sweeps,
+    min_net_power_hp,
+  } = req.body;
+
+  // Solo los terrenos del usuario: el barrido expone suelo, pendiente y altitud
+  const [tractor, terrain, profile, soilCatalog] = await Promise.all([
+    Tractor.findById(tractor_id, req.user.user_id),
+    Terrain.findByIdAndUser(terrain_id, req.user.user_id),
+    getActiveProfile(),
+    getSoilCatalog(),
+  ]);
+
+  if (!tractor) {
+    return res.status(404).json({ success: false, message: 'Tractor no encontrado' });
+  }
+  if (!terrain) {
+    return res.status(404).json({ success: false, message: 'Terreno no encontrado' });
+  }
+
+  const baseParams = buildPowerLossParams(tractor, terrain, {
+    working_speed_kmh,
+    carried_objects_weight_kg,
+    slippage_percent,
+    drawbar_pull_kn,
+    has_turbo,
+  }, profile.coefficients, soilCatalog);
+  const soil = resolveSoil(terrain.soil_type, terrain.moisture_condition, soilCatalog);
+
+  const sweepResult = runSweep({ baseParams, sweeps, minNetPowerHP: min_net_power_hp });
+  const sensitivity = analyzeSensitivity(baseParams);
+  const { sweep, ranking } = convertSensitivityAxes(sweepResult, sensitivity.ranking, req.units);
+
+  res.status(200).json({
+    success: true,
+    message: 'Análisis de sensibilidad completado',
+    data: {
+      calculationProfileVersion: profile.version,
+      tractor: { id: tractor.tractor_id, brand: tractor.brand, model: tractor.model },
+      terrain: {
+        id: terrain.terrain_id,
+        name: terrain.name,
+        soil_type: terrain.soil_type,
+        soil: formatSoil(soil),
+      },
+      stability: assessStability(tractor, terrain.slope_percentage),
+      base: {
+        working_speed_kmh: baseParams.speedKmh,
+        total_weight_kg: baseParams.totalWeightKg,
+        slope_percent: baseParams.slopePercent,
+        altitude_m: baseParams.altitudeMeters,
+        net_power_hp: sensitivity.baseNetPower,
+        efficiency_percentage: sensitivity.baseEfficiency,
+      },
+      sweep,
+      sensitivity: {
+        most_sensitive: sensitivity.mostSensitive,
+        ranking,
+      },
+    },
+  });
+});
+
+/**
+ * Controlador para las bandas de incertidumbre de la potencia neta
+ * Simula (Monte Carlo con semilla) las entradas inciertas del terreno y la operación y
+ * devuelve P10/P50/P90 de la potencia neta y la eficiencia. Con un implemento o una
+ * potencia requerida informa además la probabilidad de quedar por debajo del requerimiento.
+ * No se persiste.
+ *
+ * @route POST /api/calculations/power-loss/uncertainty
+ * @param {number} req.body.tractor_id - ID del tractor
+ * @param {number} req.body.terrain_id - ID del terreno
+ * @param {number} req.body.working_speed_kmh - Velocidad del punto base
+ * @param {Object} req.body.uncertainty - Distribución por entrada (número, { min, likely, max } o { distribution, ... })
+ * @param {number} [req.body.implement_id] - Implemento cuya potencia mínima es el requerimiento
+ * @param {number} [req.body.required_power_hp] - Requerimiento explícito (alternativa a implement_id)
+ * @param {number} [req.body.iterations=1000] - Muestras de la simulación
+ * @param {number} [req.body.seed=1] - Semilla del generador
+ */
+export const calculatePowerUncertainty = asyncHandler(async (req, res) => {
+  const {
+    tractor_id,
+    terrain_id,
+    implement_id,
+    working_speed_kmh,
+    carried_objects_weight_kg = 0,
+    slippage_percent,
+    drawbar_pull_kn,
+    has_turbo,
+    uncertainty,
+    iterations,
+    seed,
+    required_power_hp,
+  } = req.body;
+
+  const [tractor, terrain, implement, profile, soilCatalog] = await Promise.all([
+    Tractor.findById(tractor_id, req.user.user_id),
+    Terrain.findByIdAndUser(terrain_id, req.user.user_id),
+    implement_id ? Implement.findById(implement_id) : null,
+    getActiveProfile(),
+    getSoilCatalog(),
+  ]);
+
+  if (!tractor) {
+    return res.status(404).json({ success: false, message: 'Tractor no encontrado' });
+  }
+  if (!terrain) {
+    return res.status(404).json({ success: false, message: 'Terreno no encontrado' });
+  }
+  if (implement_id && !implement) {
+    return res.status(404).json({ success: false, message: 'Implemento no encontrado' });
+  }
+
+  const baseParams = buildPowerLossParams(tractor, terrain, {
+    working_speed_kmh,
+    carried_objects_weight_kg,
+    slippage_percent,
+    drawbar_pull_kn,
+    has_turbo,
+  }, profile.coefficients, soilCatalog);
+  const soil = resolveSoil(terrain.soil_type, terrain.moisture_condition, soilCatalog);
+
+  // Requerimiento: potencia mínima del implemento en este terreno o el valor explícito
+  let requirement = null;
+  if (implement) {
+    const powerResult = calcMinPower({
+      power_requirement_hp: parseFloat(implement.power_requirement_hp),
+      working_depth_m: implement.working_depth_cm ? implement.working_depth_cm / 100 : undefined,
+      implement_type: implement.implement_type,
+      working_width_m: implement.working_width_m != null ? parseFloat(implement.working_width_m) : undefined,
+      working_speed_kmh,
+    }, {
+      soil_type: terrain.soil_type,
+      slope_percentage: parseFloat(terrain.slope_percentage),
+    }, profile.coefficients.minimumPower, soilCatalog);
+    requirement = { requiredPowerHP: powerResult.minimumPowerHP, source: 'implement' };
+  } else if (required_power_hp !== undefined) {
+    requirement = { requiredPowerHP: required_power_hp, source: 'request' };
+  }
+
+  const result = runMonteCarlo({
+    baseParams,
+    uncertainties: uncertainty,
+    iterations,
+    seed,
+    requiredPowerHP: requirement?.requiredPowerHP,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Análisis de incertidumbre completado',
+    data: {
+      calculationProfileVersion: profile.version,
+      tractor: { id: tractor.tractor_id, brand: tractor.brand, model: tractor.model },
+      terrain: {
+        id: terrain.terrain_id,
+        name: terrain.name,
+        soil_type: terrain.soil_type,
+        soil: formatSoil(soil),
+      },
+      implement: implement
+        ? { id: implement.implement_id, name: implement.implement_name, type: implement.implement_type }
+        : null,
+      simulation: {
+        iterations: result.iterations,
+        seed: result.seed,
+        inputs: result.inputs,
+      },
+      deterministic: {
+        net_power_hp: result.deterministic.netPower,
+        efficiency_percentage: result.deterministic.efficiency,
+      },
+      net_power_hp: result.netPower,
+      efficiency_percentage: result.efficiency,
+      requirement: requirement
+        ? {
+          required_power_hp: result.requiredPowerHP,
+          source: requirement.source,
+          probability_below_requirement: result.probabilityBelowRequirement,
+        }
+        : null,
+    },
+  });
+});
+
+/**
+ * Controlador para la velocidad óptima de trabajo
+ * Busca, dentro del rango de velocidades del tipo de implemento, la velocidad que
+ * maximiza la capacidad de campo o minimiza el consumo por hectárea sin que el
+ * requerimiento del implemento supere la potencia neta tras pérdidas
+ *
+ * @route POST /api/calculations/optimal-speed
+ * @param {number} req.body.tractor_id - ID del tractor
+ * @param {number} req.body.terrain_id - ID del terreno
+ * @param {number} req.body.implement_id - ID del implemento
+ * @param {string} [req.body.objective='max_capacity'] - max_capacity | min_fuel
+ * @param {number} [req.body.carried_objects_weight_kg=0] - Peso adicional (kg)
+ * @param {number} [req.body.fuel_price_per_l] - Precio del combustible por litro
+ */
+export const calculateOptimalSpeed = asyncHandler(async (req, res) => {
+  const {
+    tractor_id,
+    terrain_id,
+    implement_id,
+    objective = 'max_capacity',
+    carried_objects_weight_kg = 0,
+    has_turbo,
+    fuel_price_per_l,
+  } = req.body;
+
+  const [tractor, terrain, implement, profile, soilCatalog] = await Promise.all([
+    Tractor.findById(tractor_id, req.user.user_id),
+    Terrain.findByIdAndUser(terrain_id, req.user.user_id),
+    Implement.findById(implement_id),
+    getActiveProfile(),
+    getSoilCatalog(),
+  ]);
+
+  if (!tractor) {
+    return res.status(404).json({ success: false, message: 'Tractor no encontrado' });
+  }
+  if (!terrain) {
+    return res.status(404).json({ success: false, message: 'Terreno no encontrado' });
+  }
+  if (!implement) {
+    return res.status(404).json({ success: false, message: 'Implemento no encontrado' });
+  }
+
+  // La velocidad la fija el optimizador en cada punto evaluado
+  const baseParams = buildPowerLossParams(tractor, terrain, {
+    carried_objects_weight_kg,
+    has_turbo,
+  }, profile.coefficients, soilCatalog);
+  const soil = resolveSoil(terrain.soil_type, terrain.moisture_condition, soilCatalog);
+
+  const result = findOptimalSpeed({
+    baseParams,
+    implement: {
+      type: implement.implement_type?.toLowerCase().trim(),
+      widthM: parseFloat(implement.working_width_m),
+      depthCm: implement.working_depth_cm != null ? parseFloat(implement.working_depth_cm) : undefined,
+      powerRequirementHP: parseFloat(implement.power_requirement_hp),
+    },
+    soilType: soil.code,
+    objective,
+    fuelPricePerL: fuel_price_per_l,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: result.recommendedSpeedKmh !== null
+      ? 'Velocidad óptima calculada'
+      : 'Ninguna velocidad del rango del implemento es factible con la potencia neta disponible',
+    data: {
+      calculationProfileVersion: profile.version,
+      tractor: { id: tractor.tractor_id, brand: tractor.brand, model: tractor.model },
+      terrain: {
+        id: terrain.terrain_id,
+        name: terrain.name,
+        soil_type: terrain.soil_type,
+        soil: formatSoil(soil),
+      },
+      implement: {
+        id: implement.implement_id,
+        name: implement.implement_name,
+        type: implement.implement_type,
+      },
+      stability: assessStability(tractor, terrain.slope_percentage),
+      objective: result.objective,
+      recommended_speed_kmh: result.recommendedSpeedKmh,
+      feasible_window_kmh: result.feasibleWindow,
+      implement_speed_range_kmh: result.speedRange,
+      binding_constraint: result.bindingConstraint,
+      at_recommended_speed: result.atRecommended,
+      evaluations: result.evaluations,
+    },
+  });
+});
+
 /**
  * Obtiene el historial de cálculos del usuario autenticado
  * Soporta paginación y filtrado por tipo de cálculo
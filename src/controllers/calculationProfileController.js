@@ -0,0 +1,192 @@
+/**
+ * Admin Controller - Calculation Profiles
+ * Handles admin-only management of the versioned calculation coefficients
+ * (list, create, activate, roll back)
+ */
+
+import CalculationProfile from '../models/CalculationProfile.js';
+import { asyncHandler } from '../middleware/error.middleware.js';
+import {
+  successResponse,
+  createdResponse,
+  notFoundResponse,
+  validationErrorResponse,
+  conflictResponse,
+} from '../utils/response.util.js';
+import {
+  getActiveProfile,
+  getProfileByVersion,
+  createProfile,
+  rollbackProfile,
+  mergeCoefficients,
+  validateCoefficients,
+  validateCoefficientRanges,
+  CONSTANTS as PROFILE_CONSTANTS,
+} from '../services/calculationProfileService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Lee y valida el número de versión de la ruta
+ * @param {string} value - req.params.version
+ * @returns {number|null} Versión o null si no es válida
+ */
+const parseVersion = (value) => {
+  const version = parseInt(value, 10);
+  return Number.isNaN(version) || version <= 0 ? null : version;
+};
+
+/**
+ * Listar versiones de perfiles de cálculo (Admin)
+ * GET /api/admin/calculation-profiles
+ */
+export const getAllProfiles = asyncHandler(async (req, res) => {
+  const profiles = await CalculationProfile.getAll();
+
+  return successResponse(res, profiles, 'Perfiles de cálculo obtenidos exitosamente');
+});
+
+/**
+ * Obtener el perfil de cálculo activo con sus coeficientes (Admin)
+ * GET /api/admin/calculation-profiles/active
+ */
+export const getActive = asyncHandler(async (req, res) => {
+  const profile = await getActiveProfile();
+
+  return successResponse(res, profile, 'Perfil de cálculo activo obtenido exitosamente');
+});
+
+/**
+ * Obtener una versión de perfil de cálculo con sus coeficientes (Admin)
+ * GET /api/admin/calculation-profiles/:version
+ */
+export const getProfile = asyncHandler(async (req, res) => {
+  const version = parseVersion(req.params.version);
+
+  if (!version) {
+    return validationErrorResponse(res, ['Versión de perfil inválida'], 'Versión de perfil inválida');
+  }
+
+  const row = await CalculationProfile.findByVersion(version);
+
+  if (!row) {
+    return notFoundResponse(res, 'Perfil de cálculo no encontrado');
+  }
+
+  return successResponse(res, row, 'Perfil de cálculo obtenido exitosamente');
+});
+
+/**
+ * Crear una nueva versión de perfil de cálculo (Admin)
+ * POST /api/admin/calculation-profiles
+ * Parte del perfil activo (o de base_version) y aplica los coeficientes enviados.
+ * La versión se crea inactiva; con activate=true se activa en el mismo paso.
+ */
+export const createCalculationProfile = asyncHandler(async (req, res) => {
+  const { name, description, coefficients = {}, base_version, activate = false } = req.body;
+
+  if (typeof name !== 'string' || name.trim() === '' || name.length > PROFILE_CONSTANTS.MAX_NAME_LENGTH) {
+    return validationErrorResponse(
+      res,
+      [`name es requerido (máximo ${PROFILE_CONSTANTS.MAX_NAME_LENGTH} caracteres)`],
+      'Nombre de perfil inválido',
+    );
+  }
+
+  const coefficientErrors = validateCoefficients(coefficients);
+  if (coefficientErrors.length > 0) {
+    return validationErrorResponse(res, coefficientErrors, 'Coeficientes inválidos');
+  }
+
+  let baseProfile;
+  if (base_version !== undefined) {
+    const baseVersion = parseVersion(base_version);
+    if (!baseVersion) {
+      return validationErrorResponse(res, ['base_version debe ser un entero positivo'], 'Versión base inválida');
+    }
+    baseProfile = await getProfileByVersion(baseVersion);
+    if (!baseProfile) {
+      return notFoundResponse(res, 'Perfil de cálculo base no encontrado');
+    }
+  } else {
+    baseProfile = await getActiveProfile();
+  }
+
+  const resolvedCoefficients = mergeCoefficients(baseProfile.coefficients, coefficients);
+  const rangeErrors = validateCoefficientRanges(resolvedCoefficients);
+  if (rangeErrors.length > 0) {
+    return validationErrorResponse(res, rangeErrors, 'Coeficientes fuera de rango');
+  }
+
+  let profile = await createProfile({
+    name: name.trim(),
+    description,
+    coefficients: resolvedCoefficients,
+    createdBy: req.user?.user_id ?? null,
+  });
+
+  if (activate === true) {
+    profile = await CalculationProfile.activate(profile.version);
+  }
+
+  logger.info('Perfil de cálculo creado por admin', {
+    version: profile.version,
+    baseVersion: baseProfile.version,
+    active: profile.is_active,
+    createdBy: req.user?.user_id,
+  });
+
+  return createdResponse(res, profile, 'Perfil de cálculo creado exitosamente');
+});
+
+/**
+ * Activar una versión de perfil de cálculo (Admin)
+ * POST /api/admin/calculation-profiles/:version/activate
+ */
+export const activateProfile = asyncHandler(async (req, res) => {
+  const version = parseVersion(req.params.version);
+
+  if (!version) {
+    return validationErrorResponse(res, ['Versión de perfil inválida'], 'Versión de perfil inválida');
+  }
+
+  const profile = await CalculationProfile.activate(version);
+
+  if (!profile) {
+    return notFoundResponse(res, 'Perfil de cálculo no encontrado');
+  }
+
+  logger.info('Perfil de cálculo activado por admin', {
+    version,
+    activatedBy: req.user?.user_id,
+  });
+
+  return successResponse(res, profile, 'Perfil de cálculo activado exitosamente');
+});
+
+/**
+ * Volver al perfil de cálculo activado antes del actual (Admin)
+ * POST /api/admin/calculation-profiles/rollback
+ */
+export const rollbackCalculationProfile = asyncHandler(async (req, res) => {
+  const profile = await rollbackProfile();
+
+  if (!profile) {
+    return conflictResponse(res, 'No hay un perfil de cálculo anterior al que volver');
+  }
+
+  logger.info('Perfil de cálculo revertido por admin', {
+    version: profile.version,
+    activatedBy: req.user?.user_id,
+  });
+
+  return successResponse(res, profile, `Perfil de cálculo revertido a la versión ${profile.version}`);
+});
+
+export default {
+  getAllProfiles,
+  getActive,
+  getProfile,
+  createCalculationProfile,
+  activateProfile,
+  rollbackCalculationProfile,
+};
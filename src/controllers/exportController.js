@@ -2,16 +2,32 @@ import PDFDocument from 'pdfkit';
 import { Parser as Json2CsvParser } from 'json2csv';
 import { pool } from '../config/db.js';
 import { asyncHandler } from '../middleware/error.middleware.js';
+import { CANONICAL_SYSTEM, fromCanonical, getUnitLabel } from '../utils/units.util.js';
 
 const ALLOWED_EXPORT_FORMATS = {
   tractors: 'csv',
   recommendations: 'pdf',
+  comparison: 'pdf',
+};
+
+const REPORT_TITLES = {
+  recommendations: 'Reporte de Recomendaciones',
+  comparison: 'Comparacion de Tractores',
 };
 
 const getCurrentDateTag = () => new Date().toISOString().slice(0, 10);
 
 const getUserId = (req) => req.user?.user_id ?? req.user?.userId ?? null;
 
+// Sistema de unidades del export (req.units lo fija unitsMiddleware)
+const getUnitSystem = (req) => req.units ?? CANONICAL_SYSTEM;
+
+const formatPower = (value, system) => (
+  system === CANONICAL_SYSTEM
+    ? `${value} HP`
+    : `${fromCanonical(value, 'power', system)} ${getUnitLabel('power', system)}`
+);
+
 const PDF_THEME = {
   ink: '#111827',
   canvas: '#F7F8F4',
@@ -220,11 +236,12 @@ const drawPdfFooter = (doc) => {
       'MaqAgr | Reporte generado automaticamente para consulta interna',
       PDF_MARGIN,
       footerY,
-      { width: contentWidth, align: 'center' },
+      // Con alto fijo pdfkit no abre otra página: el pie queda por debajo del margen inferior
+      { width: contentWidth, height: 12, align: 'center' },
     );
 };
 
-const drawCompactPageHeader = (doc) => {
+const drawCompactPageHeader = (doc, title = REPORT_TITLES.recommendations) => {
   const width = doc.page.width - (PDF_MARGIN * 2);
 
   doc
@@ -236,7 +253,7 @@ const drawCompactPageHeader = (doc) => {
   doc
     .fillColor(PDF_THEME.ink)
     .fontSize(13)
-    .text('Reporte de Recomendaciones', PDF_MARGIN + 56, 44)
+    .text(title, PDF_MARGIN + 56, 44)
     .fillColor(PDF_THEME.muted)
     .fontSize(9)
     .text('MaqAgr', PDF_MARGIN + 56, 61);
@@ -245,13 +262,13 @@ const drawCompactPageHeader = (doc) => {
   doc.y = 98;
 };
 
-const ensurePdfSpace = (doc, requiredHeight) => {
+const ensurePdfSpace = (doc, requiredHeight, title = REPORT_TITLES.recommendations) => {
   if ((doc.y + requiredHeight) <= (doc.page.height - PDF_FOOTER_RESERVED)) {
     return;
   }
 
   doc.addPage();
-  drawCompactPageHeader(doc);
+  drawCompactPageHeader(doc, title);
 };
 
 const drawMetricPill = (doc, x, y, width, label, value) => {
@@ -298,7 +315,8 @@ const drawInfoColumn = (doc, items, x, startY, width) => {
   return cursorY;
 };
 
-const drawHeroHeader = (doc, user, totalRecommendations) => {
+// Encabezado de la primera página: título, descripción y tres indicadores
+const drawReportHero = (doc, { title, description, pills }) => {
   const contentWidth = doc.page.width - (PDF_MARGIN * 2);
   const heroHeight = 146;
   const heroY = 36;
@@ -318,41 +336,39 @@ const drawHeroHeader = (doc, user, totalRecommendations) => {
   doc
     .fillColor('#F9FAFB')
     .fontSize(22)
-    .text('Reporte de Recomendaciones', PDF_MARGIN + 108, heroY + 28)
+    .text(title, PDF_MARGIN + 108, heroY + 28)
     .fontSize(10.5)
     .fillColor('#D1FAE5')
-    .text(
-      'Resumen exportable de recomendaciones persistidas para el usuario autenticado.',
-      PDF_MARGIN + 108,
-      heroY + 62,
-      { width: 300 },
-    );
+    .text(description, PDF_MARGIN + 108, heroY + 62, { width: 300 });
 
   const pillWidth = (contentWidth - 28) / 3;
   const pillsY = heroY + 98;
 
-  drawMetricPill(doc, PDF_MARGIN + 14, pillsY, pillWidth, 'Fecha', formatDateTime(new Date()));
-  drawMetricPill(
-    doc,
-    PDF_MARGIN + 14 + pillWidth + 14,
-    pillsY,
-    pillWidth,
-    'Usuario',
-    `${user?.name || 'Sin nombre'}\n${user?.email || 'N/D'}`,
-  );
-  drawMetricPill(
-    doc,
-    PDF_MARGIN + 14 + ((pillWidth + 14) * 2),
-    pillsY,
-    pillWidth,
-    'Total',
-    `${totalRecommendations} recomendación(es)`,
-  );
+  pills.forEach((pill, index) => {
+    drawMetricPill(
+      doc,
+      PDF_MARGIN + 14 + ((pillWidth + 14) * index),
+      pillsY,
+      pillWidth,
+      pill.label,
+      pill.value,
+    );
+  });
 
   drawPdfFooter(doc);
   doc.y = heroY + heroHeight + 22;
 };
 
+const drawHeroHeader = (doc, user, totalRecommendations) => drawReportHero(doc, {
+  title: REPORT_TITLES.recommendations,
+  description: 'Resumen exportable de recomendaciones persistidas para el usuario autenticado.',
+  pills: [
+    { label: 'Fecha', value: formatDateTime(new Date()) },
+    { label: 'Usuario', value: `${user?.name || 'Sin nombre'}\n${user?.email || 'N/D'}` },
+    { label: 'Total', value: `${totalRecommendations} recomendación(es)` },
+  ],
+});
+
 const drawEmptyState = (doc) => {
   ensurePdfSpace(doc, 180);
 
@@ -383,7 +399,7 @@ const drawEmptyState = (doc) => {
     );
 };
 
-const drawRecommendationCard = (doc, row, index) => {
+const drawRecommendationCard = (doc, row, index, system = CANONICAL_SYSTEM) => {
   const cardX = PDF_MARGIN;
   const cardWidth = doc.page.width - (PDF_MARGIN * 2);
   const columnGap = 18;
@@ -400,7 +416,7 @@ const drawRecommendationCard = (doc, row, index) => {
     ? formatDate(row.recommendation_date)
     : 'Sin fecha';
   const tractorText = row.tractor_name
-    ? `${row.tractor_brand} ${row.tractor_model} (${row.engine_power_hp} HP)`
+    ? `${row.tractor_brand} ${row.tractor_model} (${formatPower(row.engine_power_hp, system)})`
     : 'No asignado';
   const implementText = row.implement_name
     ? `${row.implement_brand} ${row.implement_name}`
@@ -505,6 +521,230 @@ const drawRecommendationCard = (doc, row, index) => {
   doc.y = cardY + cardHeight + 16;
 };
 
+const COMPARISON_SECTION_LABELS = {
+  power: 'Potencia',
+  compatibility: 'Compatibilidad',
+  score: 'Puntaje',
+  fuel: 'Combustible',
+  cost: 'Costos',
+};
+
+const COMPARISON_FILTER_LABELS = {
+  power: 'potencia insuficiente en el terreno',
+  power_demand: 'potencia insuficiente en la barra o la TDF',
+  traction: 'requiere 4x4 en esta pendiente',
+  stability: 'riesgo de vuelco en la pendiente',
+  implement: 'no acopla el implemento',
+  availability: 'no disponible',
+};
+
+const COMPARISON_ROW_HEIGHT = 22;
+
+// Las filas ya vienen convertidas al sistema de unidades pedido, con su etiqueta
+const formatComparisonValue = (row, value) => {
+  if (value === null || value === undefined) {
+    return 'N/D';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'Si' : 'No';
+  }
+  return row.unit ? `${value} ${row.unit}` : String(value);
+};
+
+const getComparisonBadge = (tractor, isOverallWinner) => {
+  if (isOverallWinner) {
+    return { label: 'Mejor opcion', fill: '#C6F6D5', text: PDF_THEME.success };
+  }
+  if (!tractor.compatible) {
+    return { label: 'No compatible', fill: '#FED7D7', text: PDF_THEME.danger };
+  }
+  return getScoreBadge(tractor.score?.total);
+};
+
+const drawComparisonTractorCard = (doc, comparison, index) => {
+  const tractor = comparison.tractors[index];
+  const rowsByKey = Object.fromEntries(comparison.rows.map((row) => [row.key, row]));
+  const cell = (key) => formatComparisonValue(rowsByKey[key], rowsByKey[key].values[index]);
+
+  const cardX = PDF_MARGIN;
+  const cardWidth = doc.page.width - (PDF_MARGIN * 2);
+  const columnGap = 18;
+  const columnWidth = (cardWidth - 58 - columnGap) / 2;
+
+  const badge = getComparisonBadge(tractor, comparison.summary.overallWinner === tractor.id);
+  const rowsWithWinner = comparison.rows.filter((row) => row.better).length;
+  const winsText = `Gana ${comparison.summary.wins[index]} de ${rowsWithWinner} filas comparables.`;
+  const verdict = tractor.compatible
+    ? `Compatible con la labor. ${winsText}`
+    : `Excluido: ${COMPARISON_FILTER_LABELS[tractor.excludedBy] || tractor.excludedBy}. ${winsText}`;
+
+  const leftItems = [
+    { label: 'Potencia nominal', value: cell('nominal_power_hp') },
+    { label: 'Potencia en el terreno', value: `${cell('derated_power_hp')} (perdida ${cell('power_loss_hp')})` },
+    { label: 'Utilizacion', value: cell('utilization_percent') },
+  ];
+
+  const rightItems = [
+    { label: 'Puntaje', value: cell('score_total') },
+    { label: 'Consumo', value: `${cell('fuel_liters_per_hour')} | ${cell('fuel_liters_per_hectare')}` },
+    { label: 'Costo por hectarea', value: cell('operating_cost_per_hectare') },
+  ];
+
+  const infoHeight = Math.max(
+    measureInfoColumn(doc, leftItems, columnWidth),
+    measureInfoColumn(doc, rightItems, columnWidth),
+  );
+  const verdictWidth = cardWidth - 40;
+  const verdictHeight = doc
+    .fontSize(10.5)
+    .heightOfString(verdict, { width: verdictWidth });
+  const cardHeight = 96 + infoHeight + verdictHeight;
+
+  ensurePdfSpace(doc, cardHeight + 16, REPORT_TITLES.comparison);
+
+  const cardY = doc.y;
+  const detailsY = cardY + 44;
+
+  doc
+    .roundedRect(cardX, cardY, cardWidth, cardHeight, 18)
+    .fillAndStroke('#FFFFFF', PDF_THEME.border);
+
+  doc
+    .roundedRect(cardX, cardY, cardWidth, 10, 18)
+    .fill('#E7F0E8');
+
+  doc
+    .fillColor(PDF_THEME.ink)
+    .fontSize(13)
+    .text(`Tractor ${index + 1}: ${tractor.name || 'Sin nombre'}`, cardX + 20, cardY + 18)
+    .fillColor(PDF_THEME.muted)
+    .fontSize(9)
+    .text(
+      `${tractor.brand || ''} ${tractor.model || ''} | ${tractor.owned ? 'Garaje propio' : 'Catalogo'}`,
+      cardX + 20,
+      cardY + 35,
+    );
+
+  doc
+    .roundedRect(cardX + cardWidth - 138, cardY + 18, 118, 24, 12)
+    .fill(badge.fill);
+
+  doc
+    .fillColor(badge.text)
+    .fontSize(8.5)
+    .text(badge.label, cardX + cardWidth - 132, cardY + 26, {
+      width: 106,
+      align: 'center',
+    });
+
+  const leftEndY = drawInfoColumn(doc, leftItems, cardX + 20, detailsY, columnWidth);
+  const rightEndY = drawInfoColumn(
+    doc,
+    rightItems,
+    cardX + 38 + columnWidth,
+    detailsY,
+    columnWidth,
+  );
+
+  const dividerY = Math.max(leftEndY, rightEndY) + 2;
+
+  doc
+    .strokeColor('#E5E7EB')
+    .lineWidth(1)
+    .moveTo(cardX + 20, dividerY)
+    .lineTo(cardX + cardWidth - 20, dividerY)
+    .stroke();
+
+  doc
+    .fillColor(PDF_THEME.muted)
+    .fontSize(8)
+    .text('VEREDICTO', cardX + 20, dividerY + 12)
+    .fillColor(PDF_THEME.ink)
+    .fontSize(10.5)
+    .text(verdict, cardX + 20, dividerY + 26, {
+      width: verdictWidth,
+    });
+
+  doc.y = cardY + cardHeight + 16;
+};
+
+// Una tarjeta por sección: etiqueta de la fila y un valor por tractor, con el ganador resaltado
+const drawComparisonSectionCard = (doc, comparison, section) => {
+  const rows = comparison.rows.filter((row) => row.section === section);
+  if (rows.length === 0) {
+    return;
+  }
+
+  const cardX = PDF_MARGIN;
+  const cardWidth = doc.page.width - (PDF_MARGIN * 2);
+  const labelWidth = 150;
+  const valueWidth = (cardWidth - 40 - labelWidth) / comparison.tractors.length;
+  const cardHeight = 58 + (rows.length * COMPARISON_ROW_HEIGHT);
+
+  ensurePdfSpace(doc, cardHeight + 16, REPORT_TITLES.comparison);
+
+  const cardY = doc.y;
+
+  doc
+    .roundedRect(cardX, cardY, cardWidth, cardHeight, 18)
+    .fillAndStroke('#FFFFFF', PDF_THEME.border);
+
+  doc
+    .roundedRect(cardX, cardY, cardWidth, 10, 18)
+    .fill('#E7F0E8');
+
+  doc
+    .fillColor(PDF_THEME.ink)
+    .fontSize(12)
+    .text(COMPARISON_SECTION_LABELS[section] || section, cardX + 20, cardY + 18);
+
+  comparison.tractors.forEach((tractor, index) => {
+    doc
+      .fillColor(PDF_THEME.muted)
+      .fontSize(8)
+      .text(
+        (tractor.name || `Tractor ${index + 1}`).toUpperCase(),
+        cardX + 20 + labelWidth + (valueWidth * index),
+        cardY + 22,
+        { width: valueWidth - 8 },
+      );
+  });
+
+  rows.forEach((row, rowIndex) => {
+    const rowY = cardY + 44 + (rowIndex * COMPARISON_ROW_HEIGHT);
+
+    doc
+      .strokeColor('#E5E7EB')
+      .lineWidth(1)
+      .moveTo(cardX + 20, rowY)
+      .lineTo(cardX + cardWidth - 20, rowY)
+      .stroke();
+
+    doc
+      .fillColor(PDF_THEME.muted)
+      .fontSize(9)
+      .text(row.label, cardX + 20, rowY + 6, { width: labelWidth - 8 });
+
+    row.values.forEach((value, index) => {
+      const cellX = cardX + 20 + labelWidth + (valueWidth * index);
+      const isWinner = row.winner !== null && row.winner === comparison.tractors[index].id;
+
+      if (isWinner) {
+        doc
+          .roundedRect(cellX - 6, rowY + 3, valueWidth - 4, COMPARISON_ROW_HEIGHT - 6, 8)
+          .fill(PDF_THEME.field);
+      }
+
+      doc
+        .fillColor(isWinner ? PDF_THEME.forest : PDF_THEME.ink)
+        .fontSize(9.5)
+        .text(formatComparisonValue(row, value), cellX, rowY + 6, { width: valueWidth - 12 });
+    });
+  });
+
+  doc.y = cardY + cardHeight + 16;
+};
+
 const ensureFormat = (res, requestedFormat, expectedFormat) => {
   if (requestedFormat !== expectedFormat) {
     res.status(400).json({
@@ -530,13 +770,22 @@ export const exportTractorsCatalog = asyncHandler(async (req, res) => {
       COALESCE(t.model_year, EXTRACT(YEAR FROM t.registration_date)::int) AS year,
       t.price
     FROM tractor t
+    WHERE t.owner_user_id IS NULL
     ORDER BY t.brand ASC, t.model ASC
   `);
 
+  // Con un sistema de unidades pedido, la potencia se convierte y la columna lleva la unidad
+  const rows = req.units
+    ? tractorsResult.rows.map((row) => ({ ...row, power: fromCanonical(row.power, 'power', req.units) }))
+    : tractorsResult.rows;
+  const powerField = req.units
+    ? { label: `power_${getUnitLabel('power', req.units).toLowerCase()}`, value: 'power' }
+    : 'power';
+
   const parser = new Json2CsvParser({
-    fields: ['name', 'brand', 'power', 'year', 'price'],
+    fields: ['name', 'brand', powerField, 'year', 'price'],
   });
-  const csv = parser.parse(tractorsResult.rows);
+  const csv = parser.parse(rows);
 
   res.setHeader('Content-Type', 'text/csv; charset=utf-8');
   res.setHeader(
@@ -626,7 +875,69 @@ export const exportUserRecommendationsPdf = asyncHandler(async (req, res) => {
   doc.y += 22;
 
   recommendationsResult.rows.forEach((row, index) => {
-    drawRecommendationCard(doc, row, index);
+    drawRecommendationCard(doc, row, index, getUnitSystem(req));
+  });
+
+  doc.end();
+});
+
+export const exportTractorComparisonPdf = asyncHandler(async (req, res) => {
+  const format = String(req.query.format || '').toLowerCase();
+  if (!ensureFormat(res, format, ALLOWED_EXPORT_FORMATS.comparison)) {
+    return;
+  }
+
+  // req.comparison lo prepara recommendationController.loadTractorComparison
+  const { comparison } = req;
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="tractor-comparison-${getCurrentDateTag()}.pdf"`,
+  );
+
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.pipe(res);
+
+  const requiredPowerRow = comparison.rows.find((row) => row.key === 'required_power_hp');
+
+  drawReportHero(doc, {
+    title: REPORT_TITLES.comparison,
+    description: `${comparison.tractors.length} tractores evaluados para la misma labor con potencia, puntaje, combustible y costos.`,
+    pills: [
+      { label: 'Fecha', value: formatDateTime(new Date()) },
+      {
+        label: 'Labor',
+        value: `${comparison.terrain.name || 'Terreno'}\n${comparison.implement.name || 'Implemento'}`,
+      },
+      {
+        label: 'Potencia minima',
+        value: formatComparisonValue(requiredPowerRow, requiredPowerRow.values[0]),
+      },
+    ],
+  });
+
+  doc
+    .fillColor(PDF_THEME.ink)
+    .fontSize(14)
+    .text('Tractores comparados', PDF_MARGIN, doc.y)
+    .fillColor(PDF_THEME.muted)
+    .fontSize(9.5)
+    .text(
+      'La mejor opcion es el compatible de mayor puntaje; en las tablas se resalta el ganador de cada fila.',
+      PDF_MARGIN,
+      doc.y + 6,
+      { width: doc.page.width - (PDF_MARGIN * 2) },
+    );
+
+  doc.y += 22;
+
+  comparison.tractors.forEach((_, index) => {
+    drawComparisonTractorCard(doc, comparison, index);
+  });
+
+  Object.keys(COMPARISON_SECTION_LABELS).forEach((section) => {
+    drawComparisonSectionCard(doc, comparison, section);
   });
 
   doc.end();
@@ -635,4 +946,5 @@ export const exportUserRecommendationsPdf = asyncHandler(async (req, res) => {
 export default {
   exportTractorsCatalog,
   exportUserRecommendationsPdf,
+  exportTractorComparisonPdf,
 };
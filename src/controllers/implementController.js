@@ -3,6 +3,10 @@ import { asyncHandler } from "../middleware/error.middleware.js";
 import { applyPagination } from "../utils/pagination.util.js";
 import { uploadToGCS, deleteFromGCS, extractGCSPath } from '../config/storage.js';
 import logger from '../utils/logger.js';
+import {
+  normalizeHitchCategory,
+  CONSTANTS as HITCH_CONSTANTS,
+} from '../services/hitchCompatibilityService.js';
 
 export const getAllImplements = asyncHandler(async (req, res) => {
   const implementsList = await Implement.getAll();
@@ -127,7 +131,7 @@ export const searchImplements = asyncHandler(async (req, res) => {
       });
     }
 
-    const tractor = await Tractor.findById(parsedTractorId);
+    const tractor = await Tractor.findById(parsedTractorId, req.user?.user_id);
     if (!tractor) {
       return res.status(404).json({
         success: false,
@@ -224,6 +228,9 @@ export const createImplement = asyncHandler(async (req, res) => {
     weight_kg,
     implement_type,
     status,
+    hitch_category,
+    pto_speed_rpm,
+    hydraulic_demand_lpm,
   } = req.body || {};
 
   // If a file was uploaded, upload it to GCS and use the URL
@@ -256,6 +263,42 @@ export const createImplement = asyncHandler(async (req, res) => {
     });
   }
 
+  if (
+    hitch_category !== undefined &&
+    hitch_category !== null &&
+    !normalizeHitchCategory(hitch_category)
+  ) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "La categoría de enganche debe ser 0, 1, 2, 3 o 4",
+    });
+  }
+
+  if (
+    pto_speed_rpm !== undefined &&
+    pto_speed_rpm !== null &&
+    !HITCH_CONSTANTS.PTO_SPEEDS_RPM.includes(Number(pto_speed_rpm))
+  ) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "La velocidad de la TDF debe ser 540 o 1000 rpm",
+    });
+  }
+
+  if (
+    hydraulic_demand_lpm !== undefined &&
+    hydraulic_demand_lpm !== null &&
+    !(Number(hydraulic_demand_lpm) > 0)
+  ) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "La demanda hidráulica debe ser mayor a 0",
+    });
+  }
+
   const payload = {
     implement_name,
     brand,
@@ -279,6 +322,15 @@ export const createImplement = asyncHandler(async (req, res) => {
         : undefined,
     implement_type,
     status,
+    hitch_category: normalizeHitchCategory(hitch_category) ?? undefined,
+    pto_speed_rpm:
+      pto_speed_rpm !== undefined && pto_speed_rpm !== null
+        ? Number(pto_speed_rpm)
+        : undefined,
+    hydraulic_demand_lpm:
+      hydraulic_demand_lpm !== undefined && hydraulic_demand_lpm !== null
+        ? Number(hydraulic_demand_lpm)
+        : undefined,
   };
 
   const newImplement = await Implement.create(payload);
@@ -321,6 +373,9 @@ export const updateImplement = asyncHandler(async (req, res) => {
     weight_kg,
     implement_type,
     status,
+    hitch_category,
+    pto_speed_rpm,
+    hydraulic_demand_lpm,
   } = req.body || {};
 
   // If a new file was uploaded, upload it to GCS and replace the old image_url
@@ -361,6 +416,42 @@ export const updateImplement = asyncHandler(async (req, res) => {
     });
   }
 
+  if (
+    hitch_category !== undefined &&
+    hitch_category !== null &&
+    !normalizeHitchCategory(hitch_category)
+  ) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "La categoría de enganche debe ser 0, 1, 2, 3 o 4",
+    });
+  }
+
+  if (
+    pto_speed_rpm !== undefined &&
+    pto_speed_rpm !== null &&
+    !HITCH_CONSTANTS.PTO_SPEEDS_RPM.includes(Number(pto_speed_rpm))
+  ) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "La velocidad de la TDF debe ser 540 o 1000 rpm",
+    });
+  }
+
+  if (
+    hydraulic_demand_lpm !== undefined &&
+    hydraulic_demand_lpm !== null &&
+    !(Number(hydraulic_demand_lpm) > 0)
+  ) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "La demanda hidráulica debe ser mayor a 0",
+    });
+  }
+
   const updateData = {
     implement_name,
     brand,
@@ -384,6 +475,15 @@ export const updateImplement = asyncHandler(async (req, res) => {
         : undefined,
     implement_type,
     status,
+    hitch_category: normalizeHitchCategory(hitch_category) ?? undefined,
+    pto_speed_rpm:
+      pto_speed_rpm !== undefined && pto_speed_rpm !== null
+        ? Number(pto_speed_rpm)
+        : undefined,
+    hydraulic_demand_lpm:
+      hydraulic_demand_lpm !== undefined && hydraulic_demand_lpm !== null
+        ? Number(hydraulic_demand_lpm)
+        : undefined,
   };
 
   const updated = await Implement.update(id, updateData);
@@ -0,0 +1,375 @@
+import Tractor from "../models/Tractor.js";
+import { asyncHandler } from "../middleware/error.middleware.js";
+import { applyPagination } from "../utils/pagination.util.js";
+import {
+  isPositiveNumber,
+  isNonNegativeNumber,
+  isNonEmptyString,
+  isValidDate,
+} from "../utils/validators.util.js";
+import {
+  normalizeHitchCategory,
+  CONSTANTS as HITCH_CONSTANTS,
+} from "../services/hitchCompatibilityService.js";
+import { normalizeAspirationType } from "../services/deratingService.js";
+
+/**
+ * Tipos de tracción aceptados por la tabla tractor
+ * @constant {string[]}
+ */
+const TRACTION_TYPES = ["4x2", "4x4", "track"];
+
+/**
+ * Campos numéricos del tractor que deben ser mayores a 0
+ * @constant {string[]}
+ */
+const POSITIVE_FIELDS = [
+  "weight_kg",
+  "traction_force_kn",
+  "tire_width_mm",
+  "tire_diameter_mm",
+  "tire_pressure_psi",
+  "track_width_mm",
+  "wheelbase_mm",
+  "cg_height_mm",
+  "rear_lift_capacity_kg",
+  "hydraulic_flow_lpm",
+  "pto_power_hp",
+  "fuel_consumption_lph",
+];
+
+/**
+ * Campos numéricos del tractor que pueden ser 0
+ * @constant {string[]}
+ */
+const NON_NEGATIVE_FIELDS = ["price", "maintenance_cost_per_hour", "hour_meter_hours"];
+
+/**
+ * Campos de texto del tractor
+ * @constant {string[]}
+ */
+const TEXT_FIELDS = ["name", "brand", "model", "tire_type"];
+
+/**
+ * Campos requeridos al registrar un tractor propio
+ * @constant {string[]}
+ */
+const REQUIRED_FIELDS = ["brand", "model", "engine_power_hp", "weight_kg", "traction_type"];
+
+const isProvided = (value) => value !== undefined && value !== null;
+
+/**
+ * Valida la ficha de un tractor propio
+ * @param {Object} body - Datos recibidos
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Actualización parcial (sin campos requeridos)
+ * @param {Object} [options.existing] - Tractor actual (potencia del motor al validar la TDF)
+ * @returns {string[]} Errores de validación
+ */
+const getTractorErrors = (body, { partial = false, existing } = {}) => {
+  const errors = [];
+
+  if (!partial) {
+    REQUIRED_FIELDS
+      .filter((field) => !isProvided(body[field]) || body[field] === "")
+      .forEach((field) => errors.push(`${field} es requerido`));
+  }
+
+  TEXT_FIELDS
+    .filter((field) => isProvided(body[field]) && !isNonEmptyString(body[field]))
+    .forEach((field) => errors.push(`${field} debe ser un texto no vacío`));
+
+  if (
+    isProvided(body.engine_power_hp) &&
+    !(Number(body.engine_power_hp) >= 10 && Number(body.engine_power_hp) <= 500)
+  ) {
+    errors.push("La potencia del motor debe estar entre 10 y 500 HP");
+  }
+
+  POSITIVE_FIELDS
+    .filter((field) => isProvided(body[field]) && !isPositiveNumber(body[field]))
+    .forEach((field) => errors.push(`${field} debe ser un número mayor a 0`));
+
+  NON_NEGATIVE_FIELDS
+    .filter((field) => isProvided(body[field]) && !isNonNegativeNumber(body[field]))
+    .forEach((field) => errors.push(`${field} debe ser un número mayor o igual a 0`));
+
+  if (isProvided(body.traction_type) && !TRACTION_TYPES.includes(body.traction_type)) {
+    errors.push(`traction_type debe ser uno de: ${TRACTION_TYPES.join(", ")}`);
+  }
+
+  if (
+    isProvided(body.model_year) &&
+    !(Number.isInteger(Number(body.model_year)) &&
+      Number(body.model_year) >= 1900 &&
+      Number(body.model_year) <= new Date().getFullYear() + 1)
+  ) {
+    errors.push("model_year debe ser un año válido");
+  }
+
+  if (isProvided(body.hitch_category) && !normalizeHitchCategory(body.hitch_category)) {
+    errors.push("La categoría de enganche debe ser 0, 1, 2, 3 o 4");
+  }
+
+  if (
+    isProvided(body.pto_speed_rpm) &&
+    !HITCH_CONSTANTS.PTO_SPEEDS_RPM.includes(Number(body.pto_speed_rpm))
+  ) {
+    errors.push("La velocidad de la TDF debe ser 540 o 1000 rpm");
+  }
+
+  if (isProvided(body.aspiration_type) && !normalizeAspirationType(body.aspiration_type)) {
+    errors.push("El tipo de aspiración debe ser turbo o aspirated");
+  }
+
+  if (isProvided(body.purchase_date)) {
+    if (!isValidDate(body.purchase_date)) {
+      errors.push("purchase_date debe ser una fecha válida (YYYY-MM-DD)");
+    } else if (new Date(body.purchase_date) > new Date()) {
+      errors.push("purchase_date no puede ser una fecha futura");
+    }
+  }
+
+  // La potencia en la TDF no puede superar la del motor (CHECK de la tabla)
+  const enginePower = isProvided(body.engine_power_hp)
+    ? Number(body.engine_power_hp)
+    : Number(existing?.engine_power_hp);
+  if (
+    isPositiveNumber(body.pto_power_hp) &&
+    enginePower > 0 &&
+    Number(body.pto_power_hp) > enginePower
+  ) {
+    errors.push("La potencia en la TDF no puede superar la potencia del motor");
+  }
+
+  return errors;
+};
+
+/**
+ * Convierte los datos recibidos en los campos del modelo Tractor
+ * @param {Object} body - Datos validados
+ * @returns {Object} Campos del tractor (undefined = no informado)
+ */
+const toTractorData = (body) => {
+  const toNumber = (value) => (isProvided(value) ? Number(value) : undefined);
+
+  return {
+    name: body.name,
+    brand: body.brand,
+    model: body.model,
+    model_year: toNumber(body.model_year),
+    engine_power_hp: toNumber(body.engine_power_hp),
+    traction_type: body.traction_type,
+    tire_type: body.tire_type,
+    hitch_category: normalizeHitchCategory(body.hitch_category) ?? undefined,
+    pto_speed_rpm: toNumber(body.pto_speed_rpm),
+    aspiration_type: normalizeAspirationType(body.aspiration_type) ?? undefined,
+    purchase_date: isProvided(body.purchase_date) ? body.purchase_date : undefined,
+    ...Object.fromEntries(
+      [...POSITIVE_FIELDS, ...NON_NEGATIVE_FIELDS].map((field) => [field, toNumber(body[field])]),
+    ),
+  };
+};
+
+/**
+ * Convierte el ID de la ruta en número
+ * @param {string} rawId - req.params.id
+ * @returns {number|null} ID numérico, o null si es inválido
+ */
+const parseTractorId = (rawId) => {
+  const id = parseInt(rawId, 10);
+  return Number.isNaN(id) || id <= 0 ? null : id;
+};
+
+// ============================================
+// GARAJE DE TRACTORES PROPIOS (USUARIO AUTENTICADO)
+// ============================================
+
+/**
+ * Listar los tractores propios del usuario autenticado
+ * GET /api/my-tractors
+ */
+export const getMyTractors = asyncHandler(async (req, res) => {
+  const tractors = await Tractor.findByOwner(req.user.user_id);
+  const { limit = 10, sort = null, order = "asc", page = 1 } = req.pagination || {};
+
+  const sortedRows = [...tractors];
+
+  if (sort && sortedRows.length > 0 && Object.prototype.hasOwnProperty.call(sortedRows[0], sort)) {
+    sortedRows.sort((a, b) => {
+      let valA = a[sort];
+      let valB = b[sort];
+
+      if (typeof valA === "string") valA = valA.toLowerCase();
+      if (typeof valB === "string") valB = valB.toLowerCase();
+
+      if (valA < valB) return order === "desc" ? 1 : -1;
+      if (valA > valB) return order === "desc" ? -1 : 1;
+      return 0;
+    });
+  }
+
+  const startIndex = (page - 1) * limit;
+  const rows = sortedRows.slice(startIndex, startIndex + limit);
+  const { data, pagination } = applyPagination(rows, sortedRows.length, page, limit);
+
+  return res.json({
+    success: true,
+    data,
+    pagination: {
+      ...pagination,
+      totalPages: pagination.pages,
+    },
+  });
+});
+
+/**
+ * Obtener un tractor propio por ID (solo si pertenece al usuario)
+ * GET /api/my-tractors/:id
+ */
+export const getMyTractorById = asyncHandler(async (req, res) => {
+  const id = parseTractorId(req.params.id);
+
+  if (!id) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "ID de tractor inválido",
+    });
+  }
+
+  const tractor = await Tractor.findByIdAndOwner(id, req.user.user_id);
+
+  if (!tractor) {
+    return res.status(404).json({
+      success: false,
+      code: "NOT_FOUND",
+      message: "Tractor no encontrado",
+    });
+  }
+
+  return res.json({
+    success: true,
+    data: tractor,
+  });
+});
+
+/**
+ * Registrar un tractor propio del usuario autenticado
+ * POST /api/my-tractors
+ */
+export const createMyTractor = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const errors = getTractorErrors(body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "Error de validación",
+      errors,
+    });
+  }
+
+  const tractorData = toTractorData(body);
+  const newTractor = await Tractor.create({
+    ...tractorData,
+    name: tractorData.name ?? `${body.brand} ${body.model}`,
+    owner_user_id: req.user.user_id,
+  });
+
+  return res.status(201).json({
+    success: true,
+    message: "Tractor registrado exitosamente",
+    data: newTractor,
+  });
+});
+
+/**
+ * Actualizar un tractor propio (solo si pertenece al usuario)
+ * PUT /api/my-tractors/:id
+ */
+export const updateMyTractor = asyncHandler(async (req, res) => {
+  const id = parseTractorId(req.params.id);
+
+  if (!id) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "ID de tractor inválido",
+    });
+  }
+
+  const existing = await Tractor.findByIdAndOwner(id, req.user.user_id);
+
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      code: "NOT_FOUND",
+      message: "Tractor no encontrado",
+    });
+  }
+
+  const body = req.body || {};
+  const errors = getTractorErrors(body, { partial: true, existing });
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "Error de validación",
+      errors,
+    });
+  }
+
+  const updated = await Tractor.update(id, toTractorData(body));
+
+  return res.json({
+    success: true,
+    message: "Tractor actualizado exitosamente",
+    data: updated,
+  });
+});
+
+/**
+ * Eliminar un tractor propio (solo si pertenece al usuario)
+ * DELETE /api/my-tractors/:id
+ */
+export const deleteMyTractor = asyncHandler(async (req, res) => {
+  const id = parseTractorId(req.params.id);
+
+  if (!id) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "ID de tractor inválido",
+    });
+  }
+
+  const existing = await Tractor.findByIdAndOwner(id, req.user.user_id);
+
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      code: "NOT_FOUND",
+      message: "Tractor no encontrado",
+    });
+  }
+
+  // Eliminación real, como los terrenos: también borra los cálculos que lo usan
+  const deleted = await Tractor.delete(id);
+
+  return res.json({
+    success: true,
+    message: "Tractor eliminado exitosamente",
+    data: deleted,
+  });
+});
+
+export default {
+  getMyTractors,
+  getMyTractorById,
+  createMyTractor,
+  updateMyTractor,
+  deleteMyTractor,
+};
@@ -11,6 +11,13 @@
  *
  * @requires ../services/recommendationService
  * @requires ../services/minimumPowerService
+ * @requires ../services/fieldCapacityService
+ * @requires ../services/implementRecommendationService
+ * @requires ../services/ptoService
+ * @requires ../services/paretoService
+ * @requires ../services/feedbackService
+ * @requires ../services/counterfactualService
+ * @requires ../services/comparisonService
  */
 
 import { pool } from '../config/db.js';
@@ -18,13 +25,40 @@ import Terrain from '../models/Terrain.js';
 import Tractor from '../models/Tractor.js';
 import Implement from '../models/Implement.js';
 import Recommendation from '../models/Recommendation.js';
+import RecommendationFeedback from '../models/RecommendationFeedback.js';
+import ScoringPreset from '../models/ScoringPreset.js';
 import { calculateMinimumPower } from '../services/minimumPowerService.js';
+import { getActiveProfile } from '../services/calculationProfileService.js';
+import { getSoilCatalog } from '../services/soilCatalogService.js';
+import { calculateFieldCapacity } from '../services/fieldCapacityService.js';
+import {
+  recommendImplements as recommendImplementsForTractor,
+  CONSTANTS as IMPLEMENT_RECOMMENDATION_CONSTANTS,
+} from '../services/implementRecommendationService.js';
+import { CONSTANTS as PTO_CONSTANTS } from '../services/ptoService.js';
+import {
+  generateParetoRecommendation,
+  resolveObjectives,
+} from '../services/paretoService.js';
+import {
+  learnPreferences,
+  applyLearnedPreferences,
+  CONSTANTS as FEEDBACK_CONSTANTS,
+} from '../services/feedbackService.js';
+import { explainTractor } from '../services/counterfactualService.js';
+import {
+  compareTractors,
+  CONSTANTS as COMPARISON_CONSTANTS,
+} from '../services/comparisonService.js';
 import { notifyRecommendationCreated } from '../services/notificationService.js';
 import { asyncHandler } from '../middleware/error.middleware.js';
+import { getFieldDimension, getUnitLabel, fromCanonical } from '../utils/units.util.js';
 import {
   generateRecommendation as generateRec,
   generateAdvancedRecommendation as generateAdvancedRec,
+  generateFleetFirstRecommendation as generateFleetFirstRec,
   analyzeTerrain,
+  RECOMMENDATION_SOURCES,
 } from '../services/recommendationService.js';
 
 // CONSTANTES
@@ -35,6 +69,56 @@ import {
  */
 const MAX_PERSISTED_RECOMMENDATIONS = 3;
 
+/**
+ * Modos de recomendación de POST /api/recommendations/generate
+ * @constant {Object}
+ */
+const RECOMMENDATION_MODES = {
+  CATALOG: "catalog", // Solo el catálogo público
+  FLEET_FIRST: "fleet_first", // Primero los tractores propios, luego el catálogo
+};
+
+/**
+ * Modos de POST /api/recommendations/advanced
+ * @constant {Object}
+ */
+const ADVANCED_MODES = {
+  WEIGHTED: "weighted", // Puntaje ponderado (customWeights)
+  PARETO: "pareto", // Frente de Pareto sobre los objetivos elegidos
+};
+
+/**
+ * Longitud máxima del motivo libre del feedback
+ * @constant {number}
+ */
+const MAX_FEEDBACK_REASON_LENGTH = 500;
+
+/**
+ * Verifica la distancia TDF–implemento opcional del body
+ * @param {*} ptoDistanceM - Valor recibido
+ * @returns {boolean} true si se omitió o está entre 0 y la distancia máxima
+ */
+const isValidPtoDistance = (ptoDistanceM) =>
+  ptoDistanceM === undefined ||
+  ptoDistanceM === null ||
+  (Number(ptoDistanceM) >= 0 && Number(ptoDistanceM) <= PTO_CONSTANTS.MAX_PTO_DISTANCE_M);
+
+/**
+ * Contexto con el que se ajusta la potencia de cada tractor al terreno (potencia
+ * derateada): velocidad y tiro del implemento y coeficientes de pérdidas del perfil activo
+ * @param {Object} powerResult - Resultado de calculateMinimumPower
+ * @param {Object} implement - Registro del implemento
+ * @param {Object|null} fieldCapacity - Resultado de calculateFieldCapacity
+ * @param {Object} profile - Perfil de cálculo activo
+ * @returns {Object} Contexto derating de recommendationService
+ */
+const buildDeratingContext = (powerResult, implement, fieldCapacity, profile) => ({
+  speedKmh: powerResult.draft?.speedKmh ?? fieldCapacity?.speedKmh,
+  drawbarPullKn: powerResult.draft?.draftKn,
+  implementType: implement.implement_type,
+  coefficients: profile.coefficients.powerLoss,
+});
+
 /**
  * Tipos de trabajo para clasificar recomendaciones
  * @constant {Object}
@@ -98,6 +182,43 @@ const generateExplanation = (recommendation, terrainAnalysis) => {
       break;
   }
 
+  // Tractor propio: no requiere inversión
+  if (recommendation.source === RECOMMENDATION_SOURCES.OWNED) {
+    reasons.push(
+      recommendation.capitalCostAvoided
+        ? `Ya está en tu flota (evita una compra de ${recommendation.capitalCostAvoided} USD)`
+        : "Ya está en tu flota",
+    );
+  }
+
+  // Advertir si el margen de estabilidad en la pendiente es reducido
+  if (["CAUTION", "DANGER"].includes(recommendation.stability?.level)) {
+    reasons.push(recommendation.stability.label);
+  }
+
+  // Indicar cuándo la TDF, y no la barra, limita el ajuste
+  const { powerCapability } = recommendation;
+  if (powerCapability?.limitingFactor === PTO_CONSTANTS.LIMITING_FACTORS.PTO) {
+    reasons.push(
+      `La TDF limita el ajuste (${powerCapability.pto.utilizationPercent}% de su potencia)`,
+    );
+  }
+
+  // Mostrar cuánto de la potencia nominal entrega el tractor en el terreno
+  if (
+    compatibility.deratedPowerHP != null &&
+    compatibility.deratedPowerHP < compatibility.nominalPowerHP
+  ) {
+    reasons.push(
+      `Entrega ${compatibility.deratedPowerHP} de sus ${compatibility.nominalPowerHP} HP nominales en este terreno`,
+    );
+  }
+
+  // Advertencias de acople que no excluyen al tractor (p. ej. caudal hidráulico)
+  (recommendation.implementCompatibility?.warnings || []).forEach((warning) => {
+    reasons.push(warning.message);
+  });
+
   // Agregar clasificación
   if (classification.label === "OPTIMAL") {
     reasons.push("Ajuste óptimo de potencia");
@@ -108,6 +229,34 @@ const generateExplanation = (recommendation, terrainAnalysis) => {
   return reasons.join(". ") + ".";
 };
 
+/**
+ * Da formato a un tractor del modo multiobjetivo
+ * @param {Object} candidate - Candidato de generateParetoRecommendation
+ * @param {Map<number, Object>} tractorsById - Tractores evaluados por ID
+ * @returns {Object} Tractor, métricas por objetivo y tractores que lo dominan
+ */
+const formatParetoCandidate = (candidate, tractorsById) => ({
+  tractor: {
+    id: candidate.tractor.tractor_id,
+    name: candidate.tractor.name,
+    brand: candidate.tractor.brand,
+    model: candidate.tractor.model,
+    engine_power_hp: candidate.tractor.engine_power_hp,
+    aspiration_type: candidate.tractor.aspiration_type ?? null,
+    traction_type: candidate.tractor.traction_type,
+    price_usd: candidate.tractor.price_usd,
+  },
+  metrics: candidate.metrics,
+  maxSpeedKmh: candidate.maxSpeedKmh,
+  deratedPowerHP: candidate.deratedHP,
+  paretoOptimal: candidate.paretoOptimal,
+  dominatesCount: candidate.dominatesCount,
+  dominatedBy: candidate.dominatedBy.map((id) => ({
+    id,
+    name: tractorsById.get(id)?.name ?? null,
+  })),
+});
+
 /**
  * Verifica que el terreno pertenezca al usuario autenticado
  * @description Alineado con PR #11 - DDAAM-40: Los usuarios solo acceden a SUS terrenos
@@ -131,6 +280,137 @@ const validateTerrainOwnership = async (terrainId, userId) => {
   return terrain;
 };
 
+/**
+ * Busca una recomendación del usuario autenticado
+ * @param {string} rawId - req.params.id
+ * @param {number} userId - ID del usuario autenticado
+ * @returns {Promise<Object>} { recommendation } o { status, message } si no es accesible
+ */
+const findUserRecommendation = async (rawId, userId) => {
+  if (!rawId || isNaN(parseInt(rawId))) {
+    return { status: 400, message: "ID de recomendación inválido" };
+  }
+
+  const recommendation = await Recommendation.findById(parseInt(rawId));
+
+  if (!recommendation) {
+    return { status: 404, message: "Recomendación no encontrada" };
+  }
+
+  if (recommendation.user_id !== userId) {
+    return { status: 403, message: "No tiene acceso a esta recomendación" };
+  }
+
+  return { recommendation };
+};
+
+/**
+ * Valida el feedback de una recomendación
+ * @param {Object} body - decision, reason_code, reason, rating, purchased
+ * @returns {string[]} Errores de validación
+ */
+const getFeedbackErrors = (body) => {
+  const errors = [];
+  const decisions = Object.values(FEEDBACK_CONSTANTS.DECISIONS);
+  const reasonCodes = Object.keys(FEEDBACK_CONSTANTS.REASON_CODES);
+  const { decision, reason_code, reason, rating, purchased } = body;
+
+  if (!decisions.includes(decision)) {
+    errors.push(`decision es requerido y debe ser uno de: ${decisions.join(", ")}`);
+  }
+
+  if (reason_code != null && !reasonCodes.includes(reason_code)) {
+    errors.push(`reason_code debe ser uno de: ${reasonCodes.join(", ")}`);
+  }
+
+  if (reason != null && (typeof reason !== "string" || reason.length > MAX_FEEDBACK_REASON_LENGTH)) {
+    errors.push(`reason debe ser un texto de hasta ${MAX_FEEDBACK_REASON_LENGTH} caracteres`);
+  }
+
+  if (
+    decision === FEEDBACK_CONSTANTS.DECISIONS.REJECTED &&
+    reason_code == null &&
+    !(typeof reason === "string" && reason.trim())
+  ) {
+    errors.push("El rechazo requiere un motivo (reason_code o reason)");
+  }
+
+  if (
+    rating != null &&
+    !(Number.isInteger(rating) && rating >= 1 && rating <= FEEDBACK_CONSTANTS.MAX_RATING)
+  ) {
+    errors.push(`rating debe ser un entero entre 1 y ${FEEDBACK_CONSTANTS.MAX_RATING}`);
+  }
+
+  if (purchased != null && typeof purchased !== "boolean") {
+    errors.push("purchased debe ser booleano");
+  } else if (purchased === true && decision !== FEEDBACK_CONSTANTS.DECISIONS.ACCEPTED) {
+    errors.push("Solo una recomendación aceptada puede marcarse como comprada");
+  }
+
+  return errors;
+};
+
+/**
+ * Resumen del preset usado en una recomendación avanzada
+ * @param {Object|null} preset - Registro de scoring_preset
+ * @returns {Object|null} { id, name, scope }
+ */
+const summarizePreset = (preset) =>
+  preset && {
+    id: preset.preset_id,
+    name: preset.name,
+    scope: preset.user_id === null ? "organization" : "user",
+  };
+
+/**
+ * Pesos avanzados del perfil activo, punto de partida de las preferencias aprendidas
+ * @param {Object} profile - Perfil de cálculo activo
+ * @returns {Object|undefined}
+ */
+const getProfileAdvancedWeights = (profile) =>
+  profile.coefficients.recommendation?.SCORING_CONFIG?.ADVANCED_WEIGHTS;
+
+/**
+ * Convierte tractor_ids del body en una lista de IDs distintos
+ * @param {*} value - Valor recibido
+ * @returns {number[]|null} IDs, o null si no es una lista de MIN_TRACTORS a MAX_TRACTORS enteros positivos distintos
+ */
+const parseComparisonTractorIds = (value) => {
+  if (!Array.isArray(value)) {
+    return null;
+  }
+
+  const ids = value.map(Number);
+  const valid =
+    ids.length >= COMPARISON_CONSTANTS.MIN_TRACTORS &&
+    ids.length <= COMPARISON_CONSTANTS.MAX_TRACTORS &&
+    ids.every((id) => Number.isInteger(id) && id > 0) &&
+    new Set(ids).size === ids.length;
+
+  return valid ? ids : null;
+};
+
+/**
+ * Convierte las filas de la comparación al sistema de unidades pedido
+ * Los valores van en un arreglo que unitsMiddleware no reconoce: la dimensión sale
+ * del nombre de la fila (derated_power_hp, fuel_liters_per_hectare...).
+ * @param {Array<Object>} rows - Filas de compareTractors
+ * @param {string|undefined} system - req.units
+ * @returns {Array<Object>}
+ */
+const convertComparisonRows = (rows, system) =>
+  rows.map((row) => {
+    const dimension = system ? getFieldDimension(row.key) : null;
+    return dimension
+      ? {
+          ...row,
+          unit: getUnitLabel(dimension, system),
+          values: row.values.map((value) => fromCanonical(value, dimension, system)),
+        }
+      : row;
+  });
+
 // CONTROLADORES
 
 /**
@@ -143,7 +423,10 @@ const validateTerrainOwnership = async (terrainId, userId) => {
  * @param {number} req.body.terrain_id - ID del terreno (requerido)
  * @param {number} req.body.implement_id - ID del implemento (requerido)
  * @param {number} [req.body.working_depth_m] - Profundidad de trabajo en metros
+ * @param {number} [req.body.working_speed_kmh] - Velocidad de trabajo en km/h (modelo de tiro)
+ * @param {number} [req.body.pto_distance_m] - Distancia TDF–implemento en metros (pérdidas del cardán)
  * @param {string} [req.body.work_type] - Tipo de trabajo (tillage, planting, etc.)
+ * @param {string} [req.body.mode="catalog"] - "fleet_first" evalúa primero los tractores propios
  *
  * @returns {Object} Recomendaciones con tractores hidratados y explicaciones
  */
@@ -152,7 +435,15 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
 
   try {
     // 1. Extracción y validación de inputs
-    const { terrain_id, implement_id, working_depth_m, work_type } = req.body;
+    const {
+      terrain_id,
+      implement_id,
+      working_depth_m,
+      working_speed_kmh,
+      pto_distance_m,
+      work_type,
+      mode = RECOMMENDATION_MODES.CATALOG,
+    } = req.body;
     const user_id = extractUserId(req);
 
     // Validar autenticación
@@ -171,6 +462,21 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
       });
     }
 
+    if (!isValidPtoDistance(pto_distance_m)) {
+      return res.status(400).json({
+        success: false,
+        message: `pto_distance_m debe ser un número entre 0 y ${PTO_CONSTANTS.MAX_PTO_DISTANCE_M}`,
+      });
+    }
+
+    if (!Object.values(RECOMMENDATION_MODES).includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `mode debe ser uno de: ${Object.values(RECOMMENDATION_MODES).join(", ")}`,
+      });
+    }
+    const fleetFirst = mode === RECOMMENDATION_MODES.FLEET_FIRST;
+
     // 2. Validar ownership del terreno
     const terrain = await validateTerrainOwnership(terrain_id, user_id);
     if (!terrain) {
@@ -180,10 +486,13 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
       });
     }
 
-    // 3. Consultas en paralelo: Implemento y Tractores
-    const [implement, allTractors] = await Promise.all([
+    // 3. Consultas en paralelo: Implemento y Tractores (y la flota propia en fleet_first)
+    const [implement, allTractors, profile, soilCatalog, ownedTractors] = await Promise.all([
       Implement.findById(implement_id),
       Tractor.getAll(),
+      getActiveProfile(),
+      getSoilCatalog(),
+      fleetFirst ? Tractor.findByOwner(user_id) : [],
     ]);
 
     if (!implement) {
@@ -194,11 +503,11 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
     }
 
     // Filtrar tractores disponibles
-    const availableTractors = allTractors.filter(
-      (t) => t.status === "available" || t.status === "active",
-    );
+    const isAvailable = (t) => t.status === "available" || t.status === "active";
+    const availableTractors = allTractors.filter(isAvailable);
+    const availableOwnedTractors = ownedTractors.filter(isAvailable);
 
-    if (availableTractors.length === 0) {
+    if (availableTractors.length === 0 && availableOwnedTractors.length === 0) {
       return res.status(404).json({
         success: false,
         message: "No hay tractores disponibles en el sistema",
@@ -208,36 +517,72 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
     // 4. Calcular potencia mínima requerida
     const workingDepthM =
       working_depth_m ||
-      (implement.working_depth_cm ? implement.working_depth_cm / 100 : 0.25);
+      (implement.working_depth_cm ? implement.working_depth_cm / 100 : undefined);
 
     const implementData = {
       power_requirement_hp: parseFloat(implement.power_requirement_hp),
       working_depth_m: workingDepthM,
+      implement_type: implement.implement_type,
+      working_width_m:
+        implement.working_width_m != null
+          ? parseFloat(implement.working_width_m)
+          : undefined,
+      working_speed_kmh,
+      pto_distance_m:
+        pto_distance_m != null ? parseFloat(pto_distance_m) : undefined,
+      // Datos de acople para verificar enganche, levante y TDF
+      weight_kg: implement.weight_kg,
+      hitch_category: implement.hitch_category,
+      pto_speed_rpm: implement.pto_speed_rpm,
+      hydraulic_demand_lpm: implement.hydraulic_demand_lpm,
     };
 
     const terrainData = {
       soil_type: terrain.soil_type,
+      moisture_condition: terrain.moisture_condition,
       slope_percentage: parseFloat(terrain.slope_percentage),
+      altitude_meters: parseFloat(terrain.altitude_meters) || 0,
+      temperature_celsius: terrain.temperature_celsius ?? null,
     };
 
-    const powerResult = calculateMinimumPower(implementData, terrainData);
+    const powerResult = calculateMinimumPower(
+      implementData,
+      terrainData,
+      profile.coefficients.minimumPower,
+      soilCatalog,
+    );
     const requiredPower = powerResult.minimumPowerHP;
 
+    const fieldCapacity = calculateFieldCapacity({
+      implementType: implement.implement_type,
+      widthM: implementData.working_width_m,
+      speedKmh: powerResult.draft?.speedKmh ?? working_speed_kmh,
+      areaHectares: parseFloat(terrain.area_hectares),
+    });
+
     // 5. Generar recomendaciones usando el servicio
-    const recommendationResult = generateRec({
+    const recommendationParams = {
       terrain: terrainData,
       implement: implementData,
       tractors: availableTractors,
       requiredPower,
+      powerResult,
+      coefficients: profile.coefficients.recommendation,
+      soilCatalog,
+      derating: buildDeratingContext(powerResult, implement, fieldCapacity, profile),
       options: { limit: 5 },
-    });
+    };
+    const recommendationResult = fleetFirst
+      ? generateFleetFirstRec({ ...recommendationParams, ownedTractors: availableOwnedTractors })
+      : generateRec(recommendationParams);
 
     // Validar compatibilidad tractor-implemento (Checklist: requiredPower <= tractorPower)
-    // Filtramos para asegurar que los tractores recomendados realmente superan la potencia requerida
+    // Filtramos para asegurar que los tractores recomendados realmente superan la potencia
+    // requerida con la potencia derateada en el terreno
     if (recommendationResult.success) {
       recommendationResult.recommendations =
         recommendationResult.recommendations.filter(
-          (rec) => rec.tractor.engine_power_hp >= requiredPower,
+          (rec) => rec.compatibility.tractorPower >= requiredPower,
         );
     }
 
@@ -251,6 +596,8 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
         message: "Cálculo realizado pero sin tractores compatibles",
         data: {
           queryId: null,
+          calculationProfileVersion: profile.version,
+          mode,
           implement: {
             id: implement.implement_id,
             name: implement.implement_name,
@@ -261,12 +608,17 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
             id: terrain.terrain_id,
             name: terrain.name,
             soil_type: terrain.soil_type,
+            moisture_condition: terrain.moisture_condition,
             slope_percentage: terrain.slope_percentage,
           },
           powerRequirement: {
             minimum_power_hp: requiredPower,
             factors: powerResult.factors,
+            model: powerResult.model,
+            draft: powerResult.draft,
+            powerDemand: powerResult.powerDemand,
           },
+          fieldCapacity,
           terrainAnalysis: recommendationResult.terrainAnalysis,
           recommendations: [],
           summary: recommendationResult.summary,
@@ -284,12 +636,22 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
           brand: rec.tractor.brand,
           model: rec.tractor.model,
           engine_power_hp: rec.tractor.engine_power_hp,
+          aspiration_type: rec.tractor.aspiration_type ?? null,
           traction_type: rec.tractor.traction_type,
           weight_kg: rec.tractor.weight_kg,
         },
         score: rec.score,
         compatibility: rec.compatibility,
         classification: rec.classification,
+        stability: rec.stability ?? null,
+        implementCompatibility: rec.implementCompatibility ?? null,
+        powerCapability: rec.powerCapability ?? null,
+        // Origen y costo de capital (solo en fleet_first)
+        ...(fleetFirst && {
+          source: rec.source,
+          capitalCost: rec.capitalCost,
+          capitalCostAvoided: rec.capitalCostAvoided,
+        }),
         explanation: generateExplanation(
           rec,
           recommendationResult.terrainAnalysis,
@@ -305,9 +667,11 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
 
     const insertQuerySql = `
       INSERT INTO query (
-        user_id, terrain_id, tractor_id, implement_id, query_type, status
+        user_id, terrain_id, tractor_id, implement_id, working_speed_kmh,
+        field_capacity_ha_h, estimated_hours, estimated_workdays, pto_distance_m,
+        calculation_profile_version, query_type, status
       )
-      VALUES ($1, $2, $3, $4, 'recommendation', 'completed')
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'recommendation', 'completed')
       RETURNING query_id
     `;
     const queryResult = await client.query(insertQuerySql, [
@@ -315,6 +679,12 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
       terrain_id,
       bestTractorId,
       implement_id,
+      fieldCapacity?.speedKmh ?? working_speed_kmh ?? null,
+      fieldCapacity?.effectiveCapacityHaH ?? null,
+      fieldCapacity?.totalHours ?? null,
+      fieldCapacity?.workdays ?? null,
+      powerResult.powerDemand?.ptoDistanceM ?? null,
+      profile.version,
     ]);
     const queryId = queryResult.rows[0].query_id;
 
@@ -330,10 +700,16 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
         score: rec.score,
         compatibility: rec.compatibility,
         classification: rec.classification,
+        stability: rec.stability ?? null,
+        source: rec.source,
+        capitalCostAvoided: rec.capitalCostAvoided,
         explanation: rec.explanation,
         powerRequirement: {
           minimum_hp: requiredPower,
           factors: powerResult.factors,
+          model: powerResult.model,
+          draft: powerResult.draft,
+          powerDemand: powerResult.powerDemand,
         },
         snapshot: {
           tractor: rec.tractor,
@@ -341,6 +717,7 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
             id: terrain.terrain_id,
             name: terrain.name,
             soil_type: terrain.soil_type,
+            moisture_condition: terrain.moisture_condition,
             slope_percentage: terrain.slope_percentage,
           },
           implement: {
@@ -355,9 +732,9 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
         `
         INSERT INTO recommendation (
           user_id, terrain_id, tractor_id, implement_id,
-          compatibility_score, observations, work_type
+          compatibility_score, observations, work_type, calculation_profile_version
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       `,
         [
           user_id,
@@ -367,6 +744,7 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
           rec.score.total,
           observations,
           work_type || WORK_TYPES.GENERAL,
+          profile.version,
         ],
       );
     }
@@ -375,6 +753,7 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
     const historyData = {
       queryId,
       powerRequirement: powerResult,
+      fieldCapacity,
       terrainAnalysis: recommendationResult.terrainAnalysis,
       summary: recommendationResult.summary,
       recommendations: hydratedRecommendations.map((r) => ({
@@ -383,6 +762,7 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
         tractorName: `${r.tractor.brand} ${r.tractor.model}`,
         score: r.score.total,
         classification: r.classification.label,
+        source: r.source,
       })),
     };
 
@@ -412,6 +792,8 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
       message: "Recomendaciones generadas exitosamente",
       data: {
         queryId,
+        calculationProfileVersion: profile.version,
+        mode,
         implement: {
           id: implement.implement_id,
           name: implement.implement_name,
@@ -423,6 +805,7 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
           id: terrain.terrain_id,
           name: terrain.name,
           soil_type: terrain.soil_type,
+          moisture_condition: terrain.moisture_condition,
           slope_percentage: terrain.slope_percentage,
           analysis: recommendationResult.terrainAnalysis,
         },
@@ -430,7 +813,11 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
           minimum_power_hp: requiredPower,
           calculated_power_hp: powerResult.calculatedPowerHP,
           factors: powerResult.factors,
+          model: powerResult.model,
+          draft: powerResult.draft,
+          powerDemand: powerResult.powerDemand,
         },
+        fieldCapacity,
         recommendations: hydratedRecommendations,
         summary: {
           ...recommendationResult.summary,
@@ -464,7 +851,17 @@ export const generateRecommendation = asyncHandler(async (req, res) => {
  * @param {Object} [req.body.filters] - Filtros (budget, brandPreference)
  * @param {Object} [req.body.customWeights] - Pesos configurables
  * @param {number} [req.body.working_depth_m] - Profundidad de trabajo en metros
+ * @param {number} [req.body.working_speed_kmh] - Velocidad de trabajo en km/h (modelo de tiro)
+ * @param {number} [req.body.pto_distance_m] - Distancia TDF–implemento en metros (pérdidas del cardán)
+ * @param {number} [req.body.fuel_price_per_l] - Precio del combustible para el criterio fuel_efficiency
  * @param {string} [req.body.work_type] - Tipo de trabajo
+ * @param {string} [req.body.mode="weighted"] - "pareto" retorna el frente no dominado en lugar del ranking
+ * @param {string[]} [req.body.objectives] - Objetivos del modo pareto (paretoService)
+ * @param {number} [req.body.annual_hours] - Horas de uso anual para cost_per_hectare (modo pareto)
+ * @param {boolean} [req.body.use_learned_preferences=true] - Completar pesos y marca con las
+ *   preferencias aprendidas del feedback del usuario (feedbackService)
+ * @param {number} [req.body.preset_id] - Preset propio o de la organización con pesos y filtros
+ *   por defecto; customWeights y filters del body tienen prioridad
  *
  * @returns {Object} Recomendaciones avanzadas con metadatos
  */
@@ -476,9 +873,17 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
       terrain_id,
       implement_id,
       working_depth_m,
+      working_speed_kmh,
+      pto_distance_m,
+      fuel_price_per_l,
       work_type,
       filters,
       customWeights,
+      mode = ADVANCED_MODES.WEIGHTED,
+      objectives,
+      annual_hours,
+      use_learned_preferences,
+      preset_id,
     } = req.body;
     const user_id = extractUserId(req);
 
@@ -495,6 +900,49 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
       });
     }
 
+    if (!isValidPtoDistance(pto_distance_m)) {
+      return res.status(400).json({
+        success: false,
+        message: `pto_distance_m debe ser un número entre 0 y ${PTO_CONSTANTS.MAX_PTO_DISTANCE_M}`,
+      });
+    }
+
+    if (!Object.values(ADVANCED_MODES).includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `mode debe ser uno de: ${Object.values(ADVANCED_MODES).join(", ")}`,
+      });
+    }
+
+    if (preset_id != null && !(Number.isInteger(Number(preset_id)) && Number(preset_id) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "preset_id debe ser un entero positivo",
+      });
+    }
+
+    if (use_learned_preferences != null && typeof use_learned_preferences !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "use_learned_preferences debe ser booleano",
+      });
+    }
+
+    if (mode === ADVANCED_MODES.PARETO) {
+      try {
+        resolveObjectives(objectives);
+      } catch (error) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+
+      if (annual_hours != null && !(Number(annual_hours) > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: "annual_hours debe ser un número positivo",
+        });
+      }
+    }
+
     const terrain = await validateTerrainOwnership(terrain_id, user_id);
     if (!terrain) {
       return res.status(404).json({
@@ -503,9 +951,24 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
       });
     }
 
-    const [implement, allTractors] = await Promise.all([
+    // Preset guardado: aporta pesos y filtros por defecto; el body tiene prioridad
+    const preset = preset_id != null
+      ? await ScoringPreset.findAccessibleById(Number(preset_id), user_id)
+      : null;
+    if (preset_id != null && !preset) {
+      return res.status(404).json({
+        success: false,
+        message: "Preset no encontrado",
+      });
+    }
+    const requestFilters = { ...(preset?.filters || {}), ...(filters || {}) };
+    const requestWeights = customWeights || preset?.weights || null;
+
+    const [implement, allTractors, profile, soilCatalog] = await Promise.all([
       Implement.findById(implement_id),
       Tractor.getAll(),
+      getActiveProfile(),
+      getSoilCatalog(),
     ]);
 
     if (!implement) {
@@ -527,29 +990,145 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
 
     const workingDepthM =
       working_depth_m ||
-      (implement.working_depth_cm ? implement.working_depth_cm / 100 : 0.25);
+      (implement.working_depth_cm ? implement.working_depth_cm / 100 : undefined);
 
     const implementData = {
       power_requirement_hp: parseFloat(implement.power_requirement_hp),
       working_depth_m: workingDepthM,
+      implement_type: implement.implement_type,
+      working_width_m:
+        implement.working_width_m != null
+          ? parseFloat(implement.working_width_m)
+          : undefined,
+      working_speed_kmh,
+      pto_distance_m:
+        pto_distance_m != null ? parseFloat(pto_distance_m) : undefined,
+      // Datos de acople para verificar enganche, levante y TDF
+      weight_kg: implement.weight_kg,
+      hitch_category: implement.hitch_category,
+      pto_speed_rpm: implement.pto_speed_rpm,
+      hydraulic_demand_lpm: implement.hydraulic_demand_lpm,
     };
 
     const terrainData = {
       soil_type: terrain.soil_type,
+      moisture_condition: terrain.moisture_condition,
       slope_percentage: parseFloat(terrain.slope_percentage),
+      altitude_meters: parseFloat(terrain.altitude_meters) || 0,
+      temperature_celsius: terrain.temperature_celsius ?? null,
     };
 
-    const powerResult = calculateMinimumPower(implementData, terrainData);
+    const powerResult = calculateMinimumPower(
+      implementData,
+      terrainData,
+      profile.coefficients.minimumPower,
+      soilCatalog,
+    );
     const requiredPower = powerResult.minimumPowerHP;
 
+    const fieldCapacity = calculateFieldCapacity({
+      implementType: implement.implement_type,
+      widthM: implementData.working_width_m,
+      speedKmh: powerResult.draft?.speedKmh ?? working_speed_kmh,
+      areaHectares: parseFloat(terrain.area_hectares),
+    });
+
+    // Modo multiobjetivo: frente de Pareto en lugar del puntaje ponderado (no se persiste)
+    if (mode === ADVANCED_MODES.PARETO) {
+      const paretoResult = generateParetoRecommendation({
+        terrain: terrainData,
+        implement: implementData,
+        tractors: availableTractors,
+        requiredPower,
+        objectives,
+        filters: requestFilters,
+        powerResult,
+        derating: buildDeratingContext(powerResult, implement, fieldCapacity, profile),
+        coefficients: profile.coefficients,
+        soilCatalog,
+        annualHours: annual_hours != null ? Number(annual_hours) : undefined,
+        fuelPricePerL: fuel_price_per_l != null ? parseFloat(fuel_price_per_l) : undefined,
+      });
+      const tractorsById = new Map(availableTractors.map((t) => [t.tractor_id, t]));
+
+      return res.status(200).json({
+        success: true,
+        message: paretoResult.success
+          ? "Frente de Pareto generado exitosamente"
+          : "Cálculo realizado pero sin tractores compatibles",
+        data: {
+          queryId: null,
+          calculationProfileVersion: profile.version,
+          mode,
+          preset: summarizePreset(preset),
+          objectives: paretoResult.objectives,
+          implement: {
+            id: implement.implement_id,
+            name: implement.implement_name,
+            brand: implement.brand,
+            type: implement.implement_type,
+            power_requirement_hp: implement.power_requirement_hp,
+          },
+          terrain: {
+            id: terrain.terrain_id,
+            name: terrain.name,
+            soil_type: terrain.soil_type,
+            moisture_condition: terrain.moisture_condition,
+            slope_percentage: terrain.slope_percentage,
+            analysis: paretoResult.terrainAnalysis,
+          },
+          powerRequirement: {
+            minimum_power_hp: requiredPower,
+            calculated_power_hp: powerResult.calculatedPowerHP,
+            factors: powerResult.factors,
+            model: powerResult.model,
+            draft: powerResult.draft,
+            powerDemand: powerResult.powerDemand,
+          },
+          fieldCapacity,
+          front: paretoResult.front.map((c) => formatParetoCandidate(c, tractorsById)),
+          dominated: paretoResult.dominated.map((c) => formatParetoCandidate(c, tractorsById)),
+          summary: paretoResult.summary,
+        },
+      });
+    }
+
+    // Preferencias aprendidas del feedback: solo completan lo que el usuario no indicó
+    const learnedPreferences = use_learned_preferences === false
+      ? null
+      : learnPreferences(
+          await RecommendationFeedback.findByUserWithContext(user_id),
+          { baseWeights: getProfileAdvancedWeights(profile) },
+        );
+    const personalized = applyLearnedPreferences(
+      { filters: requestFilters, customWeights: requestWeights },
+      learnedPreferences,
+    );
+    const learnedPreferencesSummary = learnedPreferences && {
+      applied: personalized.applied,
+      sampleSize: learnedPreferences.sampleSize,
+      weights: learnedPreferences.weights,
+      brandPreference: learnedPreferences.brandPreference,
+    };
+
     // Aquí el cambio: llama al servicio avanzado
     const recommendationResult = generateAdvancedRec({
       terrain: terrainData,
       implement: implementData,
       tractors: availableTractors,
       requiredPower,
-      filters: filters || {},
-      customWeights: customWeights || null,
+      filters: personalized.filters,
+      customWeights: personalized.customWeights,
+      powerResult,
+      coefficients: profile.coefficients.recommendation,
+      soilCatalog,
+      derating: buildDeratingContext(powerResult, implement, fieldCapacity, profile),
+      // Consumo a carga parcial (ASABE) como criterio económico
+      fuel: {
+        demandedPowerHP: powerResult.calculatedPowerHP,
+        effectiveCapacityHaH: fieldCapacity?.effectiveCapacityHaH,
+        fuelPricePerL: fuel_price_per_l != null ? parseFloat(fuel_price_per_l) : undefined,
+      },
       options: { limit: 5 },
     });
 
@@ -557,7 +1136,7 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
     if (recommendationResult.success) {
       recommendationResult.recommendations =
         recommendationResult.recommendations.filter(
-          (rec) => rec.tractor.engine_power_hp >= requiredPower,
+          (rec) => rec.compatibility.tractorPower >= requiredPower,
         );
     }
 
@@ -570,6 +1149,7 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
         message: "Cálculo realizado pero sin tractores compatibles",
         data: {
           queryId: null,
+          calculationProfileVersion: profile.version,
           implement: {
             id: implement.implement_id,
             name: implement.implement_name,
@@ -580,13 +1160,20 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
             id: terrain.terrain_id,
             name: terrain.name,
             soil_type: terrain.soil_type,
+            moisture_condition: terrain.moisture_condition,
             slope_percentage: terrain.slope_percentage,
           },
           powerRequirement: {
             minimum_power_hp: requiredPower,
             factors: powerResult.factors,
+            model: powerResult.model,
+            draft: powerResult.draft,
+            powerDemand: powerResult.powerDemand,
           },
+          fieldCapacity,
           terrainAnalysis: recommendationResult.terrainAnalysis,
+          preset: summarizePreset(preset),
+          learnedPreferences: learnedPreferencesSummary,
           recommendations: [],
           summary: recommendationResult.summary,
         },
@@ -602,6 +1189,7 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
           brand: rec.tractor.brand,
           model: rec.tractor.model,
           engine_power_hp: rec.tractor.engine_power_hp,
+          aspiration_type: rec.tractor.aspiration_type ?? null,
           traction_type: rec.tractor.traction_type,
           weight_kg: rec.tractor.weight_kg,
           price_usd: rec.tractor.price_usd,
@@ -610,6 +1198,10 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
         score: rec.score,
         compatibility: rec.compatibility,
         classification: rec.classification,
+        fuel: rec.fuel ?? null,
+        stability: rec.stability ?? null,
+        implementCompatibility: rec.implementCompatibility ?? null,
+        powerCapability: rec.powerCapability ?? null,
         // La lógica del texto explicativo base no cambia para simplificar, pero el breakdown interno ya refleja la nueva distribución
         explanation: generateExplanation(
           rec,
@@ -623,9 +1215,11 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
 
     const insertQuerySql = `
       INSERT INTO query (
-        user_id, terrain_id, tractor_id, implement_id, query_type, status
+        user_id, terrain_id, tractor_id, implement_id, working_speed_kmh,
+        field_capacity_ha_h, estimated_hours, estimated_workdays, pto_distance_m,
+        calculation_profile_version, query_type, status
       )
-      VALUES ($1, $2, $3, $4, 'recommendation', 'completed')
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'recommendation', 'completed')
       RETURNING query_id
     `;
     const queryResult = await client.query(insertQuerySql, [
@@ -633,6 +1227,12 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
       terrain_id,
       bestTractorId,
       implement_id,
+      fieldCapacity?.speedKmh ?? working_speed_kmh ?? null,
+      fieldCapacity?.effectiveCapacityHaH ?? null,
+      fieldCapacity?.totalHours ?? null,
+      fieldCapacity?.workdays ?? null,
+      powerResult.powerDemand?.ptoDistanceM ?? null,
+      profile.version,
     ]);
     const queryId = queryResult.rows[0].query_id;
 
@@ -647,10 +1247,16 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
         score: rec.score,
         compatibility: rec.compatibility,
         classification: rec.classification,
+        stability: rec.stability ?? null,
         explanation: rec.explanation,
+        fuel: rec.fuel,
+        learnedPreferences: personalized.applied,
         powerRequirement: {
           minimum_hp: requiredPower,
           factors: powerResult.factors,
+          model: powerResult.model,
+          draft: powerResult.draft,
+          powerDemand: powerResult.powerDemand,
         },
         snapshot: {
           tractor: rec.tractor,
@@ -658,6 +1264,7 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
             id: terrain.terrain_id,
             name: terrain.name,
             soil_type: terrain.soil_type,
+            moisture_condition: terrain.moisture_condition,
             slope_percentage: terrain.slope_percentage,
           },
           implement: {
@@ -670,8 +1277,8 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
 
       await client.query(
         `
-        INSERT INTO recommendation (user_id, terrain_id, tractor_id, implement_id, compatibility_score, observations, work_type)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        INSERT INTO recommendation (user_id, terrain_id, tractor_id, implement_id, compatibility_score, observations, work_type, calculation_profile_version)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       `,
         [
           user_id,
@@ -681,6 +1288,7 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
           rec.score.total,
           observations,
           work_type || WORK_TYPES.GENERAL,
+          profile.version,
         ],
       );
     }
@@ -688,8 +1296,10 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
     const historyData = {
       queryId,
       powerRequirement: powerResult,
+      fieldCapacity,
       terrainAnalysis: recommendationResult.terrainAnalysis,
       summary: recommendationResult.summary,
+      presetId: preset?.preset_id ?? null,
       recommendations: hydratedRecommendations.map((r) => ({
         rank: r.rank,
         tractorId: r.tractor.id,
@@ -715,6 +1325,7 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
       message: "Recomendaciones avanzadas generadas exitosamente",
       data: {
         queryId,
+        calculationProfileVersion: profile.version,
         implement: {
           id: implement.implement_id,
           name: implement.implement_name,
@@ -726,6 +1337,7 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
           id: terrain.terrain_id,
           name: terrain.name,
           soil_type: terrain.soil_type,
+          moisture_condition: terrain.moisture_condition,
           slope_percentage: terrain.slope_percentage,
           analysis: recommendationResult.terrainAnalysis,
         },
@@ -733,7 +1345,13 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
           minimum_power_hp: requiredPower,
           calculated_power_hp: powerResult.calculatedPowerHP,
           factors: powerResult.factors,
+          model: powerResult.model,
+          draft: powerResult.draft,
+          powerDemand: powerResult.powerDemand,
         },
+        fieldCapacity,
+        preset: summarizePreset(preset),
+        learnedPreferences: learnedPreferencesSummary,
         recommendations: hydratedRecommendations,
         summary: {
           ...recommendationResult.summary,
@@ -754,6 +1372,624 @@ export const generateAdvancedRecommendation = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Recomienda implementos del catálogo para un tractor en un terreno
+ * (recomendación inversa del flujo "Tengo Tractor")
+ *
+ * @route POST /api/recommendations/implements
+ * @access Private (JWT required)
+ *
+ * @description
+ * Los candidatos se leen con Implement.advancedSearch limitado a la potencia nominal
+ * del tractor (requerimiento de catálogo) y cada uno se evalúa con el modelo de
+ * potencia mínima contra la potencia derateada en el terreno. Se sugiere el
+ * implemento más ancho de cada tipo que el tractor puede mover, con su capacidad
+ * de campo esperada. Body validado por validateImplementRecommendationRequest.
+ *
+ * @param {Object} req.body
+ * @param {number} [req.body.tractor_id] - ID del tractor del catálogo
+ * @param {number} [req.body.engine_power_hp] - Potencia nominal (tractor manual)
+ * @param {number} [req.body.weight_kg] - Peso del tractor manual (kg)
+ * @param {string} [req.body.aspiration_type] - turbo | aspirated (tractor manual)
+ * @param {string} [req.body.traction_type] - Tracción del tractor manual
+ * @param {number} [req.body.terrain_id] - ID del terreno del usuario
+ * @param {string} [req.body.soil_type] - Suelo (terreno manual)
+ * @param {number} [req.body.slope_percent] - Pendiente % (terreno manual)
+ * @param {number} [req.body.altitude_m] - Altitud (terreno manual)
+ * @param {number} [req.body.ambient_temperature_c] - Temperatura (terreno manual)
+ * @param {number} [req.body.area_hectares] - Superficie (terreno manual)
+ * @param {string} [req.body.implement_type] - Limita la búsqueda a un tipo de implemento
+ * @param {number} [req.body.working_speed_kmh] - Velocidad de trabajo en km/h
+ * @param {number} [req.body.limit=10] - Máximo de opciones
+ *
+ * @returns {Object} Implementos recomendados por tipo con su capacidad de campo
+ */
+export const recommendImplements = asyncHandler(async (req, res) => {
+  const {
+    tractor_id,
+    engine_power_hp,
+    weight_kg,
+    aspiration_type,
+    traction_type,
+    terrain_id,
+    soil_type,
+    moisture_condition,
+    slope_percent,
+    altitude_m,
+    ambient_temperature_c,
+    area_hectares,
+    implement_type,
+    working_speed_kmh,
+    limit,
+  } = req.body;
+  const user_id = extractUserId(req);
+
+  if (!user_id) {
+    return res
+      .status(401)
+      .json({ success: false, message: "Usuario no autenticado" });
+  }
+
+  // 1. Tractor del catálogo o con datos manuales
+  let tractor;
+  if (tractor_id) {
+    tractor = await Tractor.findById(tractor_id, user_id);
+    if (!tractor) {
+      return res.status(404).json({
+        success: false,
+        message: "Tractor no encontrado",
+      });
+    }
+  } else {
+    tractor = {
+      tractor_id: null,
+      name: null,
+      engine_power_hp,
+      weight_kg: weight_kg ?? null,
+      aspiration_type: aspiration_type ?? null,
+      traction_type: traction_type ?? null,
+    };
+  }
+
+  // 2. Terreno del usuario o con datos manuales
+  let terrain = null;
+  if (terrain_id) {
+    terrain = await validateTerrainOwnership(terrain_id, user_id);
+    if (!terrain) {
+      return res.status(404).json({
+        success: false,
+        message: "Terreno no encontrado o no accesible",
+      });
+    }
+  }
+
+  const terrainData = terrain
+    ? {
+      soil_type: terrain.soil_type,
+      moisture_condition: terrain.moisture_condition,
+      slope_percentage: parseFloat(terrain.slope_percentage),
+      altitude_meters: parseFloat(terrain.altitude_meters) || 0,
+      temperature_celsius: terrain.temperature_celsius ?? null,
+      area_hectares: parseFloat(terrain.area_hectares),
+    }
+    : {
+      soil_type,
+      moisture_condition,
+      slope_percentage: slope_percent,
+      altitude_meters: altitude_m ?? 0,
+      temperature_celsius: ambient_temperature_c ?? null,
+      area_hectares,
+    };
+
+  // 3. Candidatos del catálogo compatibles con la potencia nominal
+  const [{ data: candidates }, profile, soilCatalog] = await Promise.all([
+    Implement.advancedSearch(
+      {
+        type: implement_type || null,
+        limit: IMPLEMENT_RECOMMENDATION_CONSTANTS.CANDIDATE_LIMIT,
+        offset: 0,
+      },
+      parseFloat(tractor.engine_power_hp),
+    ),
+    getActiveProfile(),
+    getSoilCatalog(),
+  ]);
+
+  const availableImplements = candidates.filter(
+    (implement) => !implement.status || implement.status === "available",
+  );
+
+  // 4. Evaluar cada implemento contra la potencia derateada en el terreno
+  const result = recommendImplementsForTractor({
+    tractor,
+    terrain: terrainData,
+    implements: availableImplements,
+    workingSpeedKmh: working_speed_kmh,
+    coefficients: profile.coefficients,
+    soilCatalog,
+    limit,
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: result.recommendations.length > 0
+      ? "Implementos recomendados para el tractor"
+      : "Ningún implemento del catálogo es compatible con el tractor en este terreno",
+    data: {
+      calculationProfileVersion: profile.version,
+      tractor: {
+        id: tractor.tractor_id,
+        name: tractor.name,
+        brand: tractor.brand ?? null,
+        model: tractor.model ?? null,
+        engine_power_hp: parseFloat(tractor.engine_power_hp),
+        aspiration_type: tractor.aspiration_type ?? null,
+        traction_type: tractor.traction_type ?? null,
+        weight_kg: tractor.weight_kg ?? null,
+      },
+      terrain: {
+        id: terrain?.terrain_id ?? null,
+        name: terrain?.name ?? null,
+        soil_type: terrainData.soil_type,
+        moisture_condition: terrainData.moisture_condition ?? null,
+        slope_percentage: terrainData.slope_percentage,
+        altitude_meters: terrainData.altitude_meters,
+        area_hectares: Number.isFinite(terrainData.area_hectares) ? terrainData.area_hectares : null,
+      },
+      recommendations: result.recommendations.map((rec) => ({
+        rank: rec.rank,
+        implement: {
+          id: rec.implement.implement_id,
+          name: rec.implement.implement_name,
+          brand: rec.implement.brand,
+          type: rec.implement.implement_type,
+          working_width_m: rec.implement.working_width_m,
+          power_requirement_hp: rec.implement.power_requirement_hp,
+        },
+        powerRequirement: {
+          minimum_power_hp: rec.requiredPower,
+          model: rec.model,
+        },
+        tractorPower: rec.tractorPower,
+        surplusHP: rec.surplusHP,
+        utilizationPercent: rec.utilizationPercent,
+        classification: rec.classification,
+        fieldCapacity: rec.fieldCapacity,
+        alternatives: rec.alternatives,
+      })),
+      unmatchedTypes: result.unmatchedTypes,
+      summary: result.summary,
+    },
+  });
+});
+
+/**
+ * Explica por qué un tractor no está entre las recomendaciones de un terreno e implemento
+ *
+ * @route POST /api/recommendations/explain
+ * @access Private (JWT required)
+ *
+ * @description
+ * Evalúa el tractor (del catálogo o del garaje del usuario) con los filtros de
+ * compatibilidad de /generate e informa el primero que lo excluye y el cambio mínimo
+ * de cada uno que falla (+HP, tracción 4x4, enganche...). Si los pasa todos, informa
+ * su puesto frente al catálogo disponible y los puntos que le faltan para el top 5.
+ * Con el tiro del implemento conocido agrega el patinaje y el lastre para no superar 15%.
+ * No persiste nada.
+ *
+ * @param {Object} req.body
+ * @param {number} req.body.terrain_id - ID del terreno (requerido)
+ * @param {number} req.body.implement_id - ID del implemento (requerido)
+ * @param {number} req.body.tractor_id - ID del tractor a explicar (requerido)
+ * @param {number} [req.body.working_depth_m] - Profundidad de trabajo en metros
+ * @param {number} [req.body.working_speed_kmh] - Velocidad de trabajo en km/h (modelo de tiro)
+ * @param {number} [req.body.pto_distance_m] - Distancia TDF–implemento en metros (pérdidas del cardán)
+ *
+ * @returns {Object} Filtro que excluye al tractor, verificaciones, cambios mínimos, puntaje y patinaje
+ */
+export const explainTractorRecommendation = asyncHandler(async (req, res) => {
+  const {
+    terrain_id,
+    implement_id,
+    tractor_id,
+    working_depth_m,
+    working_speed_kmh,
+    pto_distance_m,
+  } = req.body;
+  const user_id = extractUserId(req);
+
+  if (!user_id) {
+    return res.status(401).json({
+      success: false,
+      message: "Usuario no autenticado",
+    });
+  }
+
+  if (!terrain_id || !implement_id || !tractor_id) {
+    return res.status(400).json({
+      success: false,
+      message: "Campos requeridos: terrain_id, implement_id, tractor_id",
+    });
+  }
+
+  if (!isValidPtoDistance(pto_distance_m)) {
+    return res.status(400).json({
+      success: false,
+      message: `pto_distance_m debe ser un número entre 0 y ${PTO_CONSTANTS.MAX_PTO_DISTANCE_M}`,
+    });
+  }
+
+  const terrain = await validateTerrainOwnership(terrain_id, user_id);
+  if (!terrain) {
+    return res.status(404).json({
+      success: false,
+      message: "Terreno no encontrado o no accesible",
+    });
+  }
+
+  // El tractor puede ser del catálogo o del garaje del usuario
+  const [implement, tractor, allTractors, profile, soilCatalog] = await Promise.all([
+    Implement.findById(implement_id),
+    Tractor.findById(tractor_id, user_id),
+    Tractor.getAll(),
+    getActiveProfile(),
+    getSoilCatalog(),
+  ]);
+
+  if (!implement) {
+    return res.status(404).json({
+      success: false,
+      message: "Implemento no encontrado",
+    });
+  }
+
+  if (!tractor) {
+    return res.status(404).json({
+      success: false,
+      message: "Tractor no encontrado",
+    });
+  }
+
+  const workingDepthM =
+    working_depth_m ||
+    (implement.working_depth_cm ? implement.working_depth_cm / 100 : undefined);
+
+  const implementData = {
+    power_requirement_hp: parseFloat(implement.power_requirement_hp),
+    working_depth_m: workingDepthM,
+    implement_type: implement.implement_type,
+    working_width_m:
+      implement.working_width_m != null
+        ? parseFloat(implement.working_width_m)
+        : undefined,
+    working_speed_kmh,
+    pto_distance_m:
+      pto_distance_m != null ? parseFloat(pto_distance_m) : undefined,
+    weight_kg: implement.weight_kg,
+    hitch_category: implement.hitch_category,
+    pto_speed_rpm: implement.pto_speed_rpm,
+    hydraulic_demand_lpm: implement.hydraulic_demand_lpm,
+  };
+
+  const terrainData = {
+    soil_type: terrain.soil_type,
+    moisture_condition: terrain.moisture_condition,
+    slope_percentage: parseFloat(terrain.slope_percentage),
+    altitude_meters: parseFloat(terrain.altitude_meters) || 0,
+    temperature_celsius: terrain.temperature_celsius ?? null,
+  };
+
+  const powerResult = calculateMinimumPower(
+    implementData,
+    terrainData,
+    profile.coefficients.minimumPower,
+    soilCatalog,
+  );
+  const requiredPower = powerResult.minimumPowerHP;
+
+  const fieldCapacity = calculateFieldCapacity({
+    implementType: implement.implement_type,
+    widthM: implementData.working_width_m,
+    speedKmh: powerResult.draft?.speedKmh ?? working_speed_kmh,
+    areaHectares: parseFloat(terrain.area_hectares),
+  });
+
+  // Compite con el mismo catálogo disponible y el mismo top 5 que /generate
+  const explanation = explainTractor({
+    tractor,
+    tractors: allTractors.filter((t) => t.status === "available" || t.status === "active"),
+    terrain: terrainData,
+    implement: implementData,
+    requiredPower,
+    powerResult,
+    coefficients: profile.coefficients.recommendation,
+    soilCatalog,
+    derating: buildDeratingContext(powerResult, implement, fieldCapacity, profile),
+    options: { limit: 5 },
+  });
+
+  let message = "El tractor queda excluido por los filtros de compatibilidad";
+  if (explanation.recommended) {
+    message = "El tractor está entre las recomendaciones";
+  } else if (explanation.qualifies) {
+    message = "El tractor es compatible pero no alcanza el top de recomendaciones";
+  }
+
+  return res.status(200).json({
+    success: true,
+    message,
+    data: {
+      calculationProfileVersion: profile.version,
+      tractor: {
+        id: tractor.tractor_id,
+        name: tractor.name,
+        brand: tractor.brand,
+        model: tractor.model,
+        engine_power_hp: tractor.engine_power_hp,
+        traction_type: tractor.traction_type,
+        weight_kg: tractor.weight_kg,
+        owned: tractor.owner_user_id != null,
+      },
+      implement: {
+        id: implement.implement_id,
+        name: implement.implement_name,
+        type: implement.implement_type,
+      },
+      terrain: {
+        id: terrain.terrain_id,
+        name: terrain.name,
+        soil_type: terrain.soil_type,
+        slope_percentage: terrain.slope_percentage,
+      },
+      powerRequirement: {
+        minimum_power_hp: requiredPower,
+        model: powerResult.model,
+        powerDemand: powerResult.powerDemand,
+      },
+      ...explanation,
+    },
+  });
+});
+
+/**
+ * Prepara la comparación lado a lado de tractores para un terreno e implemento
+ *
+ * @route POST /api/recommendations/compare
+ * @route POST /api/exports/comparison
+ * @access Private (JWT required)
+ *
+ * @description
+ * Middleware compartido por la respuesta JSON (getTractorComparison) y el PDF
+ * (exportController.exportTractorComparisonPdf): valida el body, carga terreno,
+ * implemento y tractores, calcula la potencia mínima y deja la comparación en
+ * req.comparison. Los tractores pueden ser del catálogo o del garaje del usuario
+ * y se comparan en el orden pedido. No persiste nada.
+ *
+ * @param {Object} req.body
+ * @param {number} req.body.terrain_id - ID del terreno (requerido)
+ * @param {number} req.body.implement_id - ID del implemento (requerido)
+ * @param {number[]} req.body.tractor_ids - 2 o 3 IDs de tractores distintos (requerido)
+ * @param {number} [req.body.working_depth_m] - Profundidad de trabajo en metros
+ * @param {number} [req.body.working_speed_kmh] - Velocidad de trabajo en km/h (modelo de tiro)
+ * @param {number} [req.body.pto_distance_m] - Distancia TDF–implemento en metros (pérdidas del cardán)
+ * @param {number} [req.body.fuel_price_per_l] - Precio del combustible
+ * @param {number} [req.body.annual_hours=500] - Horas de uso anual para el costo de operación
+ */
+export const loadTractorComparison = asyncHandler(async (req, res, next) => {
+  const {
+    terrain_id,
+    implement_id,
+    tractor_ids,
+    working_depth_m,
+    working_speed_kmh,
+    pto_distance_m,
+    fuel_price_per_l,
+    annual_hours,
+  } = req.body || {};
+  const user_id = extractUserId(req);
+
+  if (!user_id) {
+    return res.status(401).json({
+      success: false,
+      message: "Usuario no autenticado",
+    });
+  }
+
+  if (!terrain_id || !implement_id || tractor_ids === undefined) {
+    return res.status(400).json({
+      success: false,
+      message: "Campos requeridos: terrain_id, implement_id, tractor_ids",
+    });
+  }
+
+  const tractorIds = parseComparisonTractorIds(tractor_ids);
+  if (!tractorIds) {
+    return res.status(400).json({
+      success: false,
+      message: `tractor_ids debe ser una lista de ${COMPARISON_CONSTANTS.MIN_TRACTORS} a ${COMPARISON_CONSTANTS.MAX_TRACTORS} IDs de tractor distintos`,
+    });
+  }
+
+  if (!isValidPtoDistance(pto_distance_m)) {
+    return res.status(400).json({
+      success: false,
+      message: `pto_distance_m debe ser un número entre 0 y ${PTO_CONSTANTS.MAX_PTO_DISTANCE_M}`,
+    });
+  }
+
+  if (fuel_price_per_l != null && !(Number(fuel_price_per_l) > 0)) {
+    return res.status(400).json({
+      success: false,
+      message: "fuel_price_per_l debe ser un número positivo",
+    });
+  }
+
+  if (annual_hours != null && !(Number(annual_hours) > 0)) {
+    return res.status(400).json({
+      success: false,
+      message: "annual_hours debe ser un número positivo",
+    });
+  }
+
+  const terrain = await validateTerrainOwnership(terrain_id, user_id);
+  if (!terrain) {
+    return res.status(404).json({
+      success: false,
+      message: "Terreno no encontrado o no accesible",
+    });
+  }
+
+  const [implement, tractors, profile, soilCatalog] = await Promise.all([
+    Implement.findById(implement_id),
+    Tractor.findByIds(tractorIds, user_id),
+    getActiveProfile(),
+    getSoilCatalog(),
+  ]);
+
+  if (!implement) {
+    return res.status(404).json({
+      success: false,
+      message: "Implemento no encontrado",
+    });
+  }
+
+  // findByIds ordena por marca y modelo: se vuelve al orden pedido
+  const tractorsById = new Map(tractors.map((tractor) => [tractor.tractor_id, tractor]));
+  const missingIds = tractorIds.filter((id) => !tractorsById.has(id));
+  if (missingIds.length > 0) {
+    return res.status(404).json({
+      success: false,
+      message: `Tractores no encontrados: ${missingIds.join(", ")}`,
+    });
+  }
+
+  const workingDepthM =
+    working_depth_m ||
+    (implement.working_depth_cm ? implement.working_depth_cm / 100 : undefined);
+
+  const implementData = {
+    power_requirement_hp: parseFloat(implement.power_requirement_hp),
+    working_depth_m: workingDepthM,
+    implement_type: implement.implement_type,
+    working_width_m:
+      implement.working_width_m != null
+        ? parseFloat(implement.working_width_m)
+        : undefined,
+    working_speed_kmh,
+    pto_distance_m:
+      pto_distance_m != null ? parseFloat(pto_distance_m) : undefined,
+    weight_kg: implement.weight_kg,
+    hitch_category: implement.hitch_category,
+    pto_speed_rpm: implement.pto_speed_rpm,
+    hydraulic_demand_lpm: implement.hydraulic_demand_lpm,
+  };
+
+  const terrainData = {
+    soil_type: terrain.soil_type,
+    moisture_condition: terrain.moisture_condition,
+    slope_percentage: parseFloat(terrain.slope_percentage),
+    altitude_meters: parseFloat(terrain.altitude_meters) || 0,
+    temperature_celsius: terrain.temperature_celsius ?? null,
+  };
+
+  const powerResult = calculateMinimumPower(
+    implementData,
+    terrainData,
+    profile.coefficients.minimumPower,
+    soilCatalog,
+  );
+  const requiredPower = powerResult.minimumPowerHP;
+
+  const fieldCapacity = calculateFieldCapacity({
+    implementType: implement.implement_type,
+    widthM: implementData.working_width_m,
+    speedKmh: powerResult.draft?.speedKmh ?? working_speed_kmh,
+    areaHectares: parseFloat(terrain.area_hectares),
+  });
+
+  const comparison = compareTractors({
+    tractors: tractorIds.map((id) => tractorsById.get(id)),
+    terrain: terrainData,
+    implement: implementData,
+    requiredPower,
+    powerResult,
+    coefficients: profile.coefficients.recommendation,
+    soilCatalog,
+    derating: buildDeratingContext(powerResult, implement, fieldCapacity, profile),
+    fieldCapacity,
+    annualHours: annual_hours != null ? Number(annual_hours) : undefined,
+    fuelPricePerL: fuel_price_per_l != null ? parseFloat(fuel_price_per_l) : undefined,
+  });
+
+  req.comparison = {
+    calculationProfileVersion: profile.version,
+    implement: {
+      id: implement.implement_id,
+      name: implement.implement_name,
+      type: implement.implement_type,
+    },
+    terrain: {
+      id: terrain.terrain_id,
+      name: terrain.name,
+      soil_type: terrain.soil_type,
+      slope_percentage: terrain.slope_percentage,
+    },
+    powerRequirement: {
+      minimum_power_hp: requiredPower,
+      model: powerResult.model,
+    },
+    fieldCapacity: fieldCapacity && {
+      effective_capacity_ha_h: fieldCapacity.effectiveCapacityHaH,
+    },
+    tractors: comparison.tractors.map((entry) => ({
+      id: entry.tractor.tractor_id,
+      name: entry.tractor.name,
+      brand: entry.tractor.brand,
+      model: entry.tractor.model,
+      engine_power_hp: entry.tractor.engine_power_hp,
+      traction_type: entry.tractor.traction_type,
+      owned: entry.tractor.owner_user_id != null,
+      compatible: entry.compatible,
+      excludedBy: entry.excludedBy,
+      power: entry.power,
+      score: entry.score,
+      fuel: entry.fuel,
+      cost: entry.cost,
+    })),
+    rows: convertComparisonRows(comparison.rows, req.units),
+    summary: comparison.summary,
+  };
+
+  return next();
+});
+
+/**
+ * Compara lado a lado 2 o 3 tractores para la misma labor
+ *
+ * @route POST /api/recommendations/compare
+ * @access Private (JWT required)
+ *
+ * @description
+ * Responde la comparación preparada por loadTractorComparison: potencia mínima,
+ * potencia en el terreno y pérdidas, compatibilidad, puntaje con su desglose y
+ * consumo y costo de cada tractor, en una tabla alineada (`rows`, un valor por
+ * tractor) con el ganador de cada fila y el ganador general entre los compatibles.
+ *
+ * @returns {Object} Tractores evaluados, filas de la tabla y resumen
+ */
+export const getTractorComparison = asyncHandler(async (req, res) => {
+  const { summary } = req.comparison;
+
+  return res.status(200).json({
+    success: true,
+    message:
+      summary.compatibleCount > 0
+        ? "Comparación generada exitosamente"
+        : "Ninguno de los tractores comparados es compatible con la labor",
+    data: req.comparison,
+  });
+});
+
 /**
  * Obtiene el historial de recomendaciones del usuario
  *
@@ -1007,11 +2243,154 @@ export const getRecommendationById = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Registra o reemplaza el feedback del usuario sobre una recomendación
+ *
+ * @route PUT /api/recommendations/:id/feedback
+ * @access Private (JWT required)
+ *
+ * @param {number} req.params.id - ID de la recomendación
+ * @param {Object} req.body
+ * @param {string} req.body.decision - accepted | rejected
+ * @param {string} [req.body.reason_code] - Motivo del rechazo (too_expensive, wrong_power, brand, ...)
+ * @param {string} [req.body.reason] - Motivo libre (requerido al rechazar sin reason_code)
+ * @param {number} [req.body.rating] - Calificación de 1 a 5 estrellas
+ * @param {boolean} [req.body.purchased=false] - El tractor recomendado se compró (solo si se aceptó)
+ *
+ * @returns {Object} Feedback guardado
+ */
+export const submitRecommendationFeedback = asyncHandler(async (req, res) => {
+  const user_id = extractUserId(req);
+
+  if (!user_id) {
+    return res
+      .status(401)
+      .json({ success: false, message: "Usuario no autenticado" });
+  }
+
+  const { recommendation, status, message } = await findUserRecommendation(
+    req.params.id,
+    user_id,
+  );
+
+  if (!recommendation) {
+    return res.status(status).json({ success: false, message });
+  }
+
+  const body = req.body || {};
+  const errors = getFeedbackErrors(body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Errores de validación",
+      errors,
+    });
+  }
+
+  const feedback = await RecommendationFeedback.upsert({
+    recommendation_id: recommendation.recommendation_id,
+    user_id,
+    decision: body.decision,
+    reason_code: body.reason_code ?? null,
+    reason: typeof body.reason === "string" && body.reason.trim() ? body.reason.trim() : null,
+    rating: body.rating ?? null,
+    purchased: body.purchased === true,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Feedback registrado exitosamente",
+    data: feedback,
+  });
+});
+
+/**
+ * Obtiene el feedback del usuario sobre una recomendación
+ *
+ * @route GET /api/recommendations/:id/feedback
+ * @access Private (JWT required)
+ *
+ * @param {number} req.params.id - ID de la recomendación
+ *
+ * @returns {Object} Feedback registrado
+ */
+export const getRecommendationFeedback = asyncHandler(async (req, res) => {
+  const user_id = extractUserId(req);
+
+  if (!user_id) {
+    return res
+      .status(401)
+      .json({ success: false, message: "Usuario no autenticado" });
+  }
+
+  const { recommendation, status, message } = await findUserRecommendation(
+    req.params.id,
+    user_id,
+  );
+
+  if (!recommendation) {
+    return res.status(status).json({ success: false, message });
+  }
+
+  const feedback = await RecommendationFeedback.findByRecommendation(
+    recommendation.recommendation_id,
+  );
+
+  if (!feedback) {
+    return res.status(404).json({
+      success: false,
+      message: "La recomendación no tiene feedback",
+    });
+  }
+
+  res.status(200).json({ success: true, data: feedback });
+});
+
+/**
+ * Preferencias aprendidas del feedback del usuario (pesos avanzados y marca)
+ *
+ * @route GET /api/recommendations/preferences
+ * @access Private (JWT required)
+ *
+ * @description
+ * Son las que POST /api/recommendations/advanced aplica cuando el usuario no envía
+ * customWeights o filters.brandPreference (salvo use_learned_preferences: false).
+ *
+ * @returns {Object} Resultado de learnPreferences
+ */
+export const getLearnedPreferences = asyncHandler(async (req, res) => {
+  const user_id = extractUserId(req);
+
+  if (!user_id) {
+    return res
+      .status(401)
+      .json({ success: false, message: "Usuario no autenticado" });
+  }
+
+  const [rows, profile] = await Promise.all([
+    RecommendationFeedback.findByUserWithContext(user_id),
+    getActiveProfile(),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: learnPreferences(rows, { baseWeights: getProfileAdvancedWeights(profile) }),
+  });
+});
+
 // EXPORTS
 
 export default {
   generateRecommendation,
   generateAdvancedRecommendation,
+  recommendImplements,
+  explainTractorRecommendation,
+  loadTractorComparison,
+  getTractorComparison,
   getRecommendationHistory,
   getRecommendationById,
+  submitRecommendationFeedback,
+  getRecommendationFeedback,
+  getLearnedPreferences,
 };
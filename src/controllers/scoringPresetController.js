@@ -0,0 +1,362 @@
+/**
+ * @overview Controlador de presets de puntaje para la recomendación avanzada
+ * @module controllers/scoringPresetController
+ *
+ * @description
+ * Un preset guarda con nombre los pesos (`ADVANCED_WEIGHTS`, deben sumar 100) y los
+ * filtros por defecto (`budget`, `brandPreference`) de POST /api/recommendations/advanced,
+ * que lo usa con `preset_id`. Cada usuario administra los suyos; un administrador
+ * puede además publicar presets de la organización (`scope: "organization"`),
+ * visibles para todos los usuarios.
+ *
+ * @requires ../models/ScoringPreset
+ * @requires ../services/recommendationService
+ */
+
+import ScoringPreset from '../models/ScoringPreset.js';
+import { asyncHandler } from '../middleware/error.middleware.js';
+import { SCORING_CONFIG } from '../services/recommendationService.js';
+import { isNonEmptyString, isPositiveNumber } from '../utils/validators.util.js';
+import { ROLE_NAME_TO_ID } from '../utils/role.util.js';
+
+// CONSTANTES
+
+/**
+ * Alcance de un preset
+ * @constant {Object}
+ */
+const PRESET_SCOPES = {
+  USER: "user", // Solo su autor
+  ORGANIZATION: "organization", // Todos los usuarios (lo publica un administrador)
+};
+
+/**
+ * Criterios de la recomendación avanzada que un preset debe ponderar
+ * @constant {string[]}
+ */
+const WEIGHT_KEYS = Object.keys(SCORING_CONFIG.ADVANCED_WEIGHTS);
+
+/**
+ * Suma exigida a los pesos de un preset
+ * @constant {number}
+ */
+const WEIGHTS_TOTAL = 100;
+
+/**
+ * Filtros admitidos en un preset
+ * @constant {string[]}
+ */
+const FILTER_KEYS = ["budget", "brandPreference"];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// HELPERS
+
+const isProvided = (value) => value !== undefined && value !== null;
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * Indica si el usuario autenticado es administrador
+ * @param {Object} req - Request con usuario autenticado
+ * @returns {boolean}
+ */
+const isAdminUser = (req) => Number(req.user?.role_id) === ROLE_NAME_TO_ID.admin;
+
+/**
+ * Valida los pesos de un preset: todos los criterios, mayores a 0 y sumando 100
+ * @param {*} weights - Pesos recibidos
+ * @returns {string[]} Errores de validación
+ */
+const getWeightErrors = (weights) => {
+  if (!isPlainObject(weights)) {
+    return [`weights debe ser un objeto con: ${WEIGHT_KEYS.join(", ")}`];
+  }
+
+  const errors = [];
+  const unknownKeys = Object.keys(weights).filter((key) => !WEIGHT_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    errors.push(`weights no admite: ${unknownKeys.join(", ")}`);
+  }
+
+  // Un peso 0 no se admite: el puntaje avanzado lo reemplaza por el peso por defecto
+  WEIGHT_KEYS.forEach((key) => {
+    if (!isProvided(weights[key])) {
+      errors.push(`weights.${key} es requerido`);
+    } else if (typeof weights[key] !== "number" || !isPositiveNumber(weights[key])) {
+      errors.push(`weights.${key} debe ser un número mayor a 0`);
+    }
+  });
+
+  if (errors.length === 0) {
+    const total = WEIGHT_KEYS.reduce((sum, key) => sum + weights[key], 0);
+    if (Math.abs(total - WEIGHTS_TOTAL) > 0.01) {
+      errors.push(`Los pesos deben sumar ${WEIGHTS_TOTAL} (suman ${Math.round(total * 100) / 100})`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Valida los filtros de un preset
+ * @param {*} filters - Filtros recibidos
+ * @returns {string[]} Errores de validación
+ */
+const getFilterErrors = (filters) => {
+  if (!isPlainObject(filters)) {
+    return ["filters debe ser un objeto"];
+  }
+
+  const errors = [];
+  const unknownKeys = Object.keys(filters).filter((key) => !FILTER_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    errors.push(`filters solo admite: ${FILTER_KEYS.join(", ")}`);
+  }
+
+  if (isProvided(filters.budget) && !isPositiveNumber(filters.budget)) {
+    errors.push("filters.budget debe ser un número mayor a 0");
+  }
+
+  if (isProvided(filters.brandPreference) && !isNonEmptyString(filters.brandPreference)) {
+    errors.push("filters.brandPreference debe ser un texto no vacío");
+  }
+
+  return errors;
+};
+
+/**
+ * Valida un preset
+ * @param {Object} body - name, description, weights, filters, scope
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Actualización parcial (sin campos requeridos)
+ * @returns {string[]} Errores de validación
+ */
+const getPresetErrors = (body, { partial = false } = {}) => {
+  const errors = [];
+
+  if (!partial && !isProvided(body.name)) {
+    errors.push("name es requerido");
+  } else if (
+    isProvided(body.name) &&
+    !(isNonEmptyString(body.name) && body.name.trim().length <= MAX_NAME_LENGTH)
+  ) {
+    errors.push(`name debe ser un texto de hasta ${MAX_NAME_LENGTH} caracteres`);
+  }
+
+  if (
+    isProvided(body.description) &&
+    !(typeof body.description === "string" && body.description.length <= MAX_DESCRIPTION_LENGTH)
+  ) {
+    errors.push(`description debe ser un texto de hasta ${MAX_DESCRIPTION_LENGTH} caracteres`);
+  }
+
+  if (!partial && !isProvided(body.weights)) {
+    errors.push("weights es requerido");
+  } else if (isProvided(body.weights)) {
+    errors.push(...getWeightErrors(body.weights));
+  }
+
+  if (isProvided(body.filters)) {
+    errors.push(...getFilterErrors(body.filters));
+  }
+
+  if (partial && isProvided(body.scope)) {
+    errors.push("scope no se puede modificar");
+  } else if (isProvided(body.scope) && !Object.values(PRESET_SCOPES).includes(body.scope)) {
+    errors.push(`scope debe ser uno de: ${Object.values(PRESET_SCOPES).join(", ")}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Da formato a un preset con su alcance
+ * @param {Object} preset - Registro de scoring_preset
+ * @returns {Object}
+ */
+export const formatPreset = (preset) => ({
+  ...preset,
+  scope: preset.user_id === null ? PRESET_SCOPES.ORGANIZATION : PRESET_SCOPES.USER,
+});
+
+/**
+ * Convierte el ID de la ruta en número
+ * @param {string} rawId - req.params.id
+ * @returns {number|null} ID numérico, o null si es inválido
+ */
+const parsePresetId = (rawId) => {
+  const id = parseInt(rawId, 10);
+  return Number.isNaN(id) || id <= 0 ? null : id;
+};
+
+/**
+ * Busca un preset que el usuario puede modificar: los propios, y los de la
+ * organización si es administrador
+ * @param {Object} req - Request con params.id y usuario autenticado
+ * @returns {Promise<Object>} { preset } o { status, message }
+ */
+const findEditablePreset = async (req) => {
+  const id = parsePresetId(req.params.id);
+
+  if (!id) {
+    return { status: 400, message: "ID de preset inválido" };
+  }
+
+  const preset = await ScoringPreset.findAccessibleById(id, req.user.user_id);
+
+  if (!preset) {
+    return { status: 404, message: "Preset no encontrado" };
+  }
+
+  if (preset.user_id === null && !isAdminUser(req)) {
+    return {
+      status: 403,
+      message: "Solo un administrador puede modificar los presets de la organización",
+    };
+  }
+
+  return { preset };
+};
+
+// CONTROLADORES
+
+/**
+ * Lista los presets del usuario y los de la organización
+ * GET /api/recommendations/presets
+ */
+export const getPresets = asyncHandler(async (req, res) => {
+  const presets = await ScoringPreset.findAccessible(req.user.user_id);
+
+  return res.json({
+    success: true,
+    data: presets.map(formatPreset),
+  });
+});
+
+/**
+ * Obtiene un preset propio o de la organización
+ * GET /api/recommendations/presets/:id
+ */
+export const getPresetById = asyncHandler(async (req, res) => {
+  const id = parsePresetId(req.params.id);
+
+  if (!id) {
+    return res.status(400).json({ success: false, message: "ID de preset inválido" });
+  }
+
+  const preset = await ScoringPreset.findAccessibleById(id, req.user.user_id);
+
+  if (!preset) {
+    return res.status(404).json({ success: false, message: "Preset no encontrado" });
+  }
+
+  return res.json({ success: true, data: formatPreset(preset) });
+});
+
+/**
+ * Crea un preset del usuario, o de la organización si lo pide un administrador
+ * POST /api/recommendations/presets
+ */
+export const createPreset = asyncHandler(async (req, res) => {
+  const body = req.body || {};
+  const errors = getPresetErrors(body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Errores de validación",
+      errors,
+    });
+  }
+
+  const scope = body.scope ?? PRESET_SCOPES.USER;
+
+  if (scope === PRESET_SCOPES.ORGANIZATION && !isAdminUser(req)) {
+    return res.status(403).json({
+      success: false,
+      message: "Solo un administrador puede publicar presets de la organización",
+    });
+  }
+
+  const preset = await ScoringPreset.create({
+    user_id: scope === PRESET_SCOPES.ORGANIZATION ? null : req.user.user_id,
+    name: body.name.trim(),
+    description: body.description ?? null,
+    weights: body.weights,
+    filters: body.filters ?? {},
+    created_by: req.user.user_id,
+  });
+
+  return res.status(201).json({
+    success: true,
+    message: "Preset creado exitosamente",
+    data: formatPreset(preset),
+  });
+});
+
+/**
+ * Actualiza un preset propio (o de la organización, solo administradores)
+ * PUT /api/recommendations/presets/:id
+ */
+export const updatePreset = asyncHandler(async (req, res) => {
+  const { preset, status, message } = await findEditablePreset(req);
+
+  if (!preset) {
+    return res.status(status).json({ success: false, message });
+  }
+
+  const body = req.body || {};
+  const errors = getPresetErrors(body, { partial: true });
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Errores de validación",
+      errors,
+    });
+  }
+
+  const updated = await ScoringPreset.update(preset.preset_id, {
+    name: isProvided(body.name) ? body.name.trim() : undefined,
+    description: body.description,
+    weights: body.weights,
+    filters: body.filters,
+  });
+
+  return res.json({
+    success: true,
+    message: "Preset actualizado exitosamente",
+    data: formatPreset(updated),
+  });
+});
+
+/**
+ * Elimina un preset propio (o de la organización, solo administradores)
+ * DELETE /api/recommendations/presets/:id
+ */
+export const deletePreset = asyncHandler(async (req, res) => {
+  const { preset, status, message } = await findEditablePreset(req);
+
+  if (!preset) {
+    return res.status(status).json({ success: false, message });
+  }
+
+  const deleted = await ScoringPreset.delete(preset.preset_id);
+
+  return res.json({
+    success: true,
+    message: "Preset eliminado exitosamente",
+    data: formatPreset(deleted),
+  });
+});
+
+export default {
+  getPresets,
+  getPresetById,
+  createPreset,
+  updatePreset,
+  deletePreset,
+};
@@ -1,6 +1,18 @@
 import Terrain from "../models/Terrain.js";
 import { asyncHandler } from "../middleware/error.middleware.js";
 import { applyPagination } from "../utils/pagination.util.js";
+import { getSoilCatalog } from "../services/soilCatalogService.js";
+import { listSoilTypes, CONSTANTS as SOIL_CONSTANTS } from "../services/soilService.js";
+
+/**
+ * Indica si la condición de humedad es una de las del catálogo de suelos
+ * @param {string} moisture - Condición de humedad (dry | moist | wet)
+ * @returns {boolean}
+ */
+const isValidMoisture = (moisture) =>
+  SOIL_CONSTANTS.MOISTURE_CONDITIONS.includes(moisture);
+
+const MOISTURE_ERROR = `moisture_condition debe ser uno de: ${SOIL_CONSTANTS.MOISTURE_CONDITIONS.join(", ")}`;
 
 // ============================================
 // OPERACIONES DE TERRENO (USUARIO AUTENTICADO)
@@ -45,6 +57,23 @@ export const getAllTerrains = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Obtener el catálogo de tipos de suelo con sus sinónimos y condiciones de humedad
+ * GET /api/terrains/soil-types
+ */
+export const getSoilTypes = asyncHandler(async (req, res) => {
+  const catalog = await getSoilCatalog();
+
+  return res.json({
+    success: true,
+    data: {
+      soil_types: listSoilTypes(catalog),
+      moisture_conditions: SOIL_CONSTANTS.MOISTURE_CONDITIONS,
+      default_moisture: SOIL_CONSTANTS.DEFAULT_MOISTURE,
+    },
+  });
+});
+
 /**
  * Obtener un terreno por ID (solo si pertenece al usuario)
  * GET /api/terrains/:id
@@ -90,6 +119,7 @@ export const createTerrain = asyncHandler(async (req, res) => {
     altitude_meters,
     slope_percentage,
     soil_type,
+    moisture_condition,
     temperature_celsius,
     status,
   } = req.body || {};
@@ -110,6 +140,9 @@ export const createTerrain = asyncHandler(async (req, res) => {
   if (!soil_type || typeof soil_type !== "string" || !soil_type.trim()) {
     errors.push("soil_type es requerido");
   }
+  if (moisture_condition !== undefined && !isValidMoisture(moisture_condition)) {
+    errors.push(MOISTURE_ERROR);
+  }
 
   if (errors.length > 0) {
     return res.status(400).json({
@@ -127,6 +160,7 @@ export const createTerrain = asyncHandler(async (req, res) => {
     altitude_meters: Number(altitude_meters),
     slope_percentage: Number(slope_percentage),
     soil_type,
+    moisture_condition: moisture_condition ?? SOIL_CONSTANTS.DEFAULT_MOISTURE,
     temperature_celsius:
       temperature_celsius !== undefined && temperature_celsius !== null
         ? Number(temperature_celsius)
@@ -176,6 +210,7 @@ export const updateTerrain = asyncHandler(async (req, res) => {
     altitude_meters,
     slope_percentage,
     soil_type,
+    moisture_condition,
     temperature_celsius,
     status,
   } = req.body || {};
@@ -191,6 +226,13 @@ export const updateTerrain = asyncHandler(async (req, res) => {
       message: "area_hectares debe estar entre 0.1 y 10,000 hectáreas",
     });
   }
+  if (moisture_condition !== undefined && !isValidMoisture(moisture_condition)) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: MOISTURE_ERROR,
+    });
+  }
 
   const updateData = {
     name,
@@ -207,6 +249,7 @@ export const updateTerrain = asyncHandler(async (req, res) => {
         ? Number(slope_percentage)
         : undefined,
     soil_type,
+    moisture_condition,
     temperature_celsius:
       temperature_celsius !== undefined && temperature_celsius !== null
         ? Number(temperature_celsius)
@@ -262,6 +305,7 @@ export const deleteTerrain = asyncHandler(async (req, res) => {
 
 export default {
   getAllTerrains,
+  getSoilTypes,
   getTerrainById,
   createTerrain,
   updateTerrain,
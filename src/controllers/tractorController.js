@@ -1,10 +1,17 @@
 import Tractor from '../models/Tractor.js';
+import Implement from '../models/Implement.js';
 import { asyncHandler } from '../middleware/error.middleware.js';
 import { notifyUsersAboutNewTractor } from '../services/notificationService.js';
 import Recommendation from "../models/Recommendation.js";
 import { applyPagination } from '../utils/pagination.util.js';
 import { uploadToGCS, deleteFromGCS, extractGCSPath } from '../config/storage.js';
 import logger from '../utils/logger.js';
+import {
+  normalizeHitchCategory,
+  classifyImplements,
+  CONSTANTS as HITCH_CONSTANTS,
+} from '../services/hitchCompatibilityService.js';
+import { normalizeAspirationType } from '../services/deratingService.js';
 
 export const getAllTractors = asyncHandler(async (req, res) => {
   const tractors = await Tractor.getAll();
@@ -197,6 +204,15 @@ export const createTractor = asyncHandler(async (req, res) => {
     tire_width_mm,
     tire_diameter_mm,
     tire_pressure_psi,
+    track_width_mm,
+    wheelbase_mm,
+    cg_height_mm,
+    hitch_category,
+    rear_lift_capacity_kg,
+    pto_speed_rpm,
+    hydraulic_flow_lpm,
+    pto_power_hp,
+    aspiration_type,
     status,
     fuel_consumption_lph,
     maintenance_cost_per_hour,
@@ -232,6 +248,74 @@ export const createTractor = asyncHandler(async (req, res) => {
     });
   }
 
+  if (
+    [track_width_mm, wheelbase_mm, cg_height_mm].some(
+      (value) => value !== undefined && value !== null && !(Number(value) > 0),
+    )
+  ) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "La trocha, la distancia entre ejes y la altura del centro de gravedad deben ser mayores a 0",
+    });
+  }
+
+  if (
+    hitch_category !== undefined &&
+    hitch_category !== null &&
+    !normalizeHitchCategory(hitch_category)
+  ) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "La categoría de enganche debe ser 0, 1, 2, 3 o 4",
+    });
+  }
+
+  if (
+    pto_speed_rpm !== undefined &&
+    pto_speed_rpm !== null &&
+    !HITCH_CONSTANTS.PTO_SPEEDS_RPM.includes(Number(pto_speed_rpm))
+  ) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "La velocidad de la TDF debe ser 540 o 1000 rpm",
+    });
+  }
+
+  if (
+    [rear_lift_capacity_kg, hydraulic_flow_lpm].some(
+      (value) => value !== undefined && value !== null && !(Number(value) > 0),
+    )
+  ) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "La capacidad de levante y el caudal hidráulico deben ser mayores a 0",
+    });
+  }
+
+  if (pto_power_hp !== undefined && pto_power_hp !== null && !(Number(pto_power_hp) > 0)) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "La potencia en la TDF debe ser mayor a 0",
+    });
+  }
+
+  if (
+    aspiration_type !== undefined &&
+    aspiration_type !== null &&
+    !normalizeAspirationType(aspiration_type)
+  ) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "El tipo de aspiración debe ser turbo o aspirated",
+    });
+  }
+
   const payload = {
     name,
     brand,
@@ -271,6 +355,36 @@ export const createTractor = asyncHandler(async (req, res) => {
       tire_pressure_psi !== undefined && tire_pressure_psi !== null
         ? Number(tire_pressure_psi)
         : undefined,
+    track_width_mm:
+      track_width_mm !== undefined && track_width_mm !== null
+        ? Number(track_width_mm)
+        : undefined,
+    wheelbase_mm:
+      wheelbase_mm !== undefined && wheelbase_mm !== null
+        ? Number(wheelbase_mm)
+        : undefined,
+    cg_height_mm:
+      cg_height_mm !== undefined && cg_height_mm !== null
+        ? Number(cg_height_mm)
+        : undefined,
+    hitch_category: normalizeHitchCategory(hitch_category) ?? undefined,
+    rear_lift_capacity_kg:
+      rear_lift_capacity_kg !== undefined && rear_lift_capacity_kg !== null
+        ? Number(rear_lift_capacity_kg)
+        : undefined,
+    pto_speed_rpm:
+      pto_speed_rpm !== undefined && pto_speed_rpm !== null
+        ? Number(pto_speed_rpm)
+        : undefined,
+    hydraulic_flow_lpm:
+      hydraulic_flow_lpm !== undefined && hydraulic_flow_lpm !== null
+        ? Number(hydraulic_flow_lpm)
+        : undefined,
+    pto_power_hp:
+      pto_power_hp !== undefined && pto_power_hp !== null
+        ? Number(pto_power_hp)
+        : undefined,
+    aspiration_type: normalizeAspirationType(aspiration_type) ?? undefined,
     status,
   };
 
@@ -321,6 +435,15 @@ export const updateTractor = asyncHandler(async (req, res) => {
     tire_width_mm,
     tire_diameter_mm,
     tire_pressure_psi,
+    track_width_mm,
+    wheelbase_mm,
+    cg_height_mm,
+    hitch_category,
+    rear_lift_capacity_kg,
+    pto_speed_rpm,
+    hydraulic_flow_lpm,
+    pto_power_hp,
+    aspiration_type,
     status,
     fuel_consumption_lph,
     maintenance_cost_per_hour,
@@ -364,6 +487,74 @@ export const updateTractor = asyncHandler(async (req, res) => {
     });
   }
 
+  if (
+    [track_width_mm, wheelbase_mm, cg_height_mm].some(
+      (value) => value !== undefined && value !== null && !(Number(value) > 0),
+    )
+  ) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "La trocha, la distancia entre ejes y la altura del centro de gravedad deben ser mayores a 0",
+    });
+  }
+
+  if (
+    hitch_category !== undefined &&
+    hitch_category !== null &&
+    !normalizeHitchCategory(hitch_category)
+  ) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "La categoría de enganche debe ser 0, 1, 2, 3 o 4",
+    });
+  }
+
+  if (
+    pto_speed_rpm !== undefined &&
+    pto_speed_rpm !== null &&
+    !HITCH_CONSTANTS.PTO_SPEEDS_RPM.includes(Number(pto_speed_rpm))
+  ) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "La velocidad de la TDF debe ser 540 o 1000 rpm",
+    });
+  }
+
+  if (
+    [rear_lift_capacity_kg, hydraulic_flow_lpm].some(
+      (value) => value !== undefined && value !== null && !(Number(value) > 0),
+    )
+  ) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "La capacidad de levante y el caudal hidráulico deben ser mayores a 0",
+    });
+  }
+
+  if (pto_power_hp !== undefined && pto_power_hp !== null && !(Number(pto_power_hp) > 0)) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "La potencia en la TDF debe ser mayor a 0",
+    });
+  }
+
+  if (
+    aspiration_type !== undefined &&
+    aspiration_type !== null &&
+    !normalizeAspirationType(aspiration_type)
+  ) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "El tipo de aspiración debe ser turbo o aspirated",
+    });
+  }
+
   const updateData = {
     name,
     brand,
@@ -403,6 +594,36 @@ export const updateTractor = asyncHandler(async (req, res) => {
       tire_pressure_psi !== undefined && tire_pressure_psi !== null
         ? Number(tire_pressure_psi)
         : undefined,
+    track_width_mm:
+      track_width_mm !== undefined && track_width_mm !== null
+        ? Number(track_width_mm)
+        : undefined,
+    wheelbase_mm:
+      wheelbase_mm !== undefined && wheelbase_mm !== null
+        ? Number(wheelbase_mm)
+        : undefined,
+    cg_height_mm:
+      cg_height_mm !== undefined && cg_height_mm !== null
+        ? Number(cg_height_mm)
+        : undefined,
+    hitch_category: normalizeHitchCategory(hitch_category) ?? undefined,
+    rear_lift_capacity_kg:
+      rear_lift_capacity_kg !== undefined && rear_lift_capacity_kg !== null
+        ? Number(rear_lift_capacity_kg)
+        : undefined,
+    pto_speed_rpm:
+      pto_speed_rpm !== undefined && pto_speed_rpm !== null
+        ? Number(pto_speed_rpm)
+        : undefined,
+    hydraulic_flow_lpm:
+      hydraulic_flow_lpm !== undefined && hydraulic_flow_lpm !== null
+        ? Number(hydraulic_flow_lpm)
+        : undefined,
+    pto_power_hp:
+      pto_power_hp !== undefined && pto_power_hp !== null
+        ? Number(pto_power_hp)
+        : undefined,
+    aspiration_type: normalizeAspirationType(aspiration_type) ?? undefined,
     fuel_consumption_lph:
       fuel_consumption_lph !== undefined && fuel_consumption_lph !== null
         ? Number(fuel_consumption_lph)
@@ -466,6 +687,74 @@ export const deleteTractor = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Crea el handler que lista los implementos disponibles que el tractor puede
+ * acoplar y levantar (categoría de enganche, capacidad de levante, TDF e
+ * hidráulica) y los rechazados con el motivo.
+ * @param {Function} findTractor - (id, req) => tractor visible para la ruta
+ */
+const compatibleImplementsHandler = (findTractor) => asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  if (Number.isNaN(id) || id <= 0) {
+    return res.status(400).json({
+      success: false,
+      code: "VALIDATION_ERROR",
+      message: "ID de tractor inválido",
+    });
+  }
+
+  const tractor = await findTractor(id, req);
+
+  if (!tractor) {
+    return res.status(404).json({
+      success: false,
+      code: "NOT_FOUND",
+      message: "Tractor no encontrado",
+    });
+  }
+
+  const implementsCatalog = await Implement.getAvailable();
+  const { compatible, incompatible } = classifyImplements(tractor, implementsCatalog);
+  const toItem = ({ implement, compatibility }) => ({ ...implement, compatibility });
+
+  return res.json({
+    success: true,
+    data: {
+      tractor: {
+        id: tractor.tractor_id,
+        name: tractor.name,
+        hitch_category: tractor.hitch_category ?? null,
+        rear_lift_capacity_kg: tractor.rear_lift_capacity_kg ?? null,
+        pto_speed_rpm: tractor.pto_speed_rpm ?? null,
+        hydraulic_flow_lpm: tractor.hydraulic_flow_lpm ?? null,
+      },
+      compatible: compatible.map(toItem),
+      incompatible: incompatible.map(toItem),
+      summary: {
+        evaluated: implementsCatalog.length,
+        compatibleCount: compatible.length,
+        incompatibleCount: incompatible.length,
+      },
+    },
+  });
+});
+
+/**
+ * Implementos compatibles con un tractor del catálogo público.
+ * Los tractores privados se consultan en /api/my-tractors/:id/compatible-implements
+ * GET /api/tractors/:id/compatible-implements
+ */
+export const getCompatibleImplements = compatibleImplementsHandler((id) => Tractor.findById(id));
+
+/**
+ * Implementos compatibles con un tractor del catálogo o del garaje del usuario
+ * GET /api/my-tractors/:id/compatible-implements
+ */
+export const getMyCompatibleImplements = compatibleImplementsHandler(
+  (id, req) => Tractor.findById(id, req.user.user_id),
+);
+
 export default {
   getAllTractors,
   getTractorById,
@@ -474,4 +763,6 @@ export default {
   createTractor,
   updateTractor,
   deleteTractor,
+  getCompatibleImplements,
+  getMyCompatibleImplements,
 };
@@ -10,6 +10,17 @@ import {
   isNonEmptyString,
   isInRange
 } from '../utils/validators.util.js';
+import { CONSTANTS as SENSITIVITY_CONSTANTS } from '../services/sensitivityService.js';
+import { CONSTANTS as SPEED_OPTIMIZER_CONSTANTS } from '../services/speedOptimizerService.js';
+import { CONSTANTS as PTO_CONSTANTS } from '../services/ptoService.js';
+import { CONSTANTS as SOIL_CONSTANTS } from '../services/soilService.js';
+import { CONSTANTS as BATCH_CONSTANTS } from '../services/batchCalculationService.js';
+import { CONSTANTS as IMPLEMENT_RECOMMENDATION_CONSTANTS } from '../services/implementRecommendationService.js';
+import { normalizeAspirationType } from '../services/deratingService.js';
+import {
+  CONSTANTS as UNCERTAINTY_CONSTANTS,
+  getDistributionErrors,
+} from '../services/uncertaintyService.js';
 
 /**
  * Middleware para validar la solicitud de cálculo de pérdida de potencia
@@ -19,6 +30,10 @@ import {
  * - terrain_id: entero > 0
  * - working_speed_kmh: número > 0 y < 40
  * - carried_objects_weight_kg: número >= 0
+ * - slippage_percent: opcional, número 0-100 (si se omite se predice)
+ * - drawbar_pull_kn: opcional, número >= 0
+ * - working_width_m: opcional, número > 0 (consumo por hectárea)
+ * - fuel_price_per_l: opcional, número > 0
  * 
  * @param {import('express').Request} req 
  * @param {import('express').Response} res 
@@ -29,7 +44,11 @@ export const validatePowerLossRequest = (req, res, next) => {
     tractor_id, 
     terrain_id, 
     working_speed_kmh, 
-    carried_objects_weight_kg 
+    carried_objects_weight_kg,
+    slippage_percent,
+    drawbar_pull_kn,
+    working_width_m,
+    fuel_price_per_l,
   } = req.body;
 
   // Validar tractor_id: debe ser entero > 0
@@ -68,6 +87,38 @@ export const validatePowerLossRequest = (req, res, next) => {
     return res.status(400).json({ error: 'carried_objects_weight_kg debe ser un número mayor o igual a 0' });
   }
 
+  // Validar slippage_percent (opcional): número entre 0 y 100
+  if (slippage_percent !== undefined && slippage_percent !== null) {
+    if (!isInRange(slippage_percent, 0, 100)) {
+      return res.status(400).json({ error: 'slippage_percent debe estar entre 0 y 100' });
+    }
+    req.body.slippage_percent = Number(slippage_percent);
+  }
+
+  // Validar drawbar_pull_kn (opcional): número >= 0
+  if (drawbar_pull_kn !== undefined && drawbar_pull_kn !== null) {
+    if (!isNonNegativeNumber(drawbar_pull_kn)) {
+      return res.status(400).json({ error: 'drawbar_pull_kn debe ser un número mayor o igual a 0' });
+    }
+    req.body.drawbar_pull_kn = Number(drawbar_pull_kn);
+  }
+
+  // Validar working_width_m (opcional): número > 0
+  if (working_width_m !== undefined && working_width_m !== null) {
+    if (!isPositiveNumber(working_width_m)) {
+      return res.status(400).json({ error: 'working_width_m debe ser un número mayor a 0' });
+    }
+    req.body.working_width_m = Number(working_width_m);
+  }
+
+  // Validar fuel_price_per_l (opcional): número > 0
+  if (fuel_price_per_l !== undefined && fuel_price_per_l !== null) {
+    if (!isPositiveNumber(fuel_price_per_l)) {
+      return res.status(400).json({ error: 'fuel_price_per_l debe ser un número mayor a 0' });
+    }
+    req.body.fuel_price_per_l = Number(fuel_price_per_l);
+  }
+
   // Convertir valores a números para el controlador
   req.body.tractor_id = Number(tractor_id);
   req.body.terrain_id = Number(terrain_id);
@@ -85,13 +136,23 @@ export const validatePowerLossRequest = (req, res, next) => {
  * - implement_id: entero > 0
  * - terrain_id: entero > 0
  * - working_depth_m: número > 0 y <= 1.0 (opcional, máx 1 metro)
+ * - working_speed_kmh: número > 0 y < 40 (opcional, modelo de tiro)
+ * - pto_distance_m: número >= 0 y <= 10 (opcional, pérdidas del cardán)
+ * - fuel_price_per_l: número > 0 (opcional)
  * 
  * @param {import('express').Request} req 
  * @param {import('express').Response} res 
  * @param {import('express').NextFunction} next 
  */
 export const validateImplementRequirement = (req, res, next) => {
-  const { implement_id, terrain_id, working_depth_m } = req.body;
+  const {
+    implement_id,
+    terrain_id,
+    working_depth_m,
+    working_speed_kmh,
+    pto_distance_m,
+    fuel_price_per_l,
+  } = req.body;
 
   // Validar implement_id: debe ser entero > 0
   if (implement_id === undefined || implement_id === null) {
@@ -139,6 +200,39 @@ export const validateImplementRequirement = (req, res, next) => {
     req.body.working_depth_m = depthNum;
   }
 
+  // Validar working_speed_kmh (opcional): si se proporciona, debe ser número > 0 y < 40
+  if (working_speed_kmh !== undefined && working_speed_kmh !== null) {
+    if (!isPositiveNumber(working_speed_kmh) || Number(working_speed_kmh) >= 40) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'working_speed_kmh debe ser un número mayor a 0 y menor a 40' 
+      });
+    }
+    req.body.working_speed_kmh = Number(working_speed_kmh);
+  }
+
+  // Validar pto_distance_m (opcional): número entre 0 y la distancia máxima
+  if (pto_distance_m !== undefined && pto_distance_m !== null) {
+    if (!isInRange(pto_distance_m, 0, PTO_CONSTANTS.MAX_PTO_DISTANCE_M)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `pto_distance_m debe ser un número entre 0 y ${PTO_CONSTANTS.MAX_PTO_DISTANCE_M}` 
+      });
+    }
+    req.body.pto_distance_m = Number(pto_distance_m);
+  }
+
+  // Validar fuel_price_per_l (opcional): número > 0
+  if (fuel_price_per_l !== undefined && fuel_price_per_l !== null) {
+    if (!isPositiveNumber(fuel_price_per_l)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'fuel_price_per_l debe ser un número mayor a 0' 
+      });
+    }
+    req.body.fuel_price_per_l = Number(fuel_price_per_l);
+  }
+
   // Convertir IDs a números
   req.body.implement_id = Number(implement_id);
   req.body.terrain_id = Number(terrain_id);
@@ -154,6 +248,7 @@ export const validateImplementRequirement = (req, res, next) => {
  * - engine_power_hp: número > 0
  * - weight_kg: número > 0
  * - soil_type: string no vacío
+ * - moisture_condition: opcional, dry | moist | wet (default moist)
  * - altitude_m: número >= 0
  * - ambient_temperature_c: número
  * - slope_percent: número >= 0
@@ -171,6 +266,7 @@ export const validateDirectPowerLossRequest = (req, res, next) => {
     engine_power_hp,
     weight_kg,
     soil_type,
+    moisture_condition,
     altitude_m,
     ambient_temperature_c,
     slope_percent,
@@ -201,6 +297,11 @@ export const validateDirectPowerLossRequest = (req, res, next) => {
     errors.push('soil_type debe ser un string no vacío');
   }
 
+  if (moisture_condition !== undefined
+    && !SOIL_CONSTANTS.MOISTURE_CONDITIONS.includes(moisture_condition)) {
+    errors.push(`moisture_condition debe ser uno de: ${SOIL_CONSTANTS.MOISTURE_CONDITIONS.join(', ')}`);
+  }
+
   if (altitude_m === undefined || altitude_m === null) {
     errors.push('altitude_m es requerido');
   } else if (!isNonNegativeNumber(altitude_m)) {
@@ -287,6 +388,12 @@ export const validateDirectPowerLossRequest = (req, res, next) => {
  * - working_depth_m: número > 0 y <= 1.0 (opcional, default 0.25)
  * - soil_type: string no vacío (requerido)
  * - slope_percentage: número >= 0 (requerido)
+ * - implement_type: string no vacío (opcional, activa el modelo de tiro)
+ * - working_width_m: número > 0 (opcional)
+ * - working_speed_kmh: número > 0 y < 40 (opcional)
+ * - pto_distance_m: número >= 0 y <= 10 (opcional)
+ * - altitude_m: número >= 0 (opcional, derateo por altitud)
+ * - ambient_temperature_c: número (opcional, derateo por temperatura)
  *
  * @param {import('express').Request} req
  * @param {import('express').Response} res
@@ -298,6 +405,12 @@ export const validateDirectMinimumPowerRequest = (req, res, next) => {
     working_depth_m,
     soil_type,
     slope_percentage,
+    implement_type,
+    working_width_m,
+    working_speed_kmh,
+    pto_distance_m,
+    altitude_m,
+    ambient_temperature_c,
   } = req.body;
 
   const errors = [];
@@ -335,6 +448,41 @@ export const validateDirectMinimumPowerRequest = (req, res, next) => {
     }
   }
 
+  // implement_type: opcional, string no vacío
+  if (implement_type !== undefined && implement_type !== null && !isNonEmptyString(implement_type)) {
+    errors.push('implement_type debe ser un string no vacío');
+  }
+
+  // working_width_m: opcional, número > 0
+  if (working_width_m !== undefined && working_width_m !== null && !isPositiveNumber(working_width_m)) {
+    errors.push('working_width_m debe ser un número mayor a 0');
+  }
+
+  // working_speed_kmh: opcional, número > 0 y < 40
+  if (working_speed_kmh !== undefined && working_speed_kmh !== null) {
+    if (!isPositiveNumber(working_speed_kmh)) {
+      errors.push('working_speed_kmh debe ser un número mayor a 0');
+    } else if (Number(working_speed_kmh) >= 40) {
+      errors.push('working_speed_kmh debe ser menor a 40 km/h');
+    }
+  }
+
+  // pto_distance_m: opcional, número entre 0 y la distancia máxima
+  if (pto_distance_m !== undefined && pto_distance_m !== null
+    && !isInRange(pto_distance_m, 0, PTO_CONSTANTS.MAX_PTO_DISTANCE_M)) {
+    errors.push(`pto_distance_m debe ser un número entre 0 y ${PTO_CONSTANTS.MAX_PTO_DISTANCE_M}`);
+  }
+
+  // altitude_m y ambient_temperature_c: opcionales, derateo de los tractores clasificados
+  if (altitude_m !== undefined && altitude_m !== null && !isNonNegativeNumber(altitude_m)) {
+    errors.push('altitude_m debe ser un número mayor o igual a 0');
+  }
+
+  if (ambient_temperature_c !== undefined && ambient_temperature_c !== null
+    && Number.isNaN(Number(ambient_temperature_c))) {
+    errors.push('ambient_temperature_c debe ser un número');
+  }
+
   if (errors.length > 0) {
     return res.status(400).json({
       success: false,
@@ -350,6 +498,671 @@ export const validateDirectMinimumPowerRequest = (req, res, next) => {
   req.body.working_depth_m = working_depth_m !== undefined && working_depth_m !== null
     ? Number(working_depth_m)
     : 0.25; // Default: profundidad estándar de referencia
+  if (implement_type !== undefined && implement_type !== null) {
+    req.body.implement_type = implement_type.trim().toLowerCase();
+  }
+  if (working_width_m !== undefined && working_width_m !== null) {
+    req.body.working_width_m = Number(working_width_m);
+  }
+  if (working_speed_kmh !== undefined && working_speed_kmh !== null) {
+    req.body.working_speed_kmh = Number(working_speed_kmh);
+  }
+  if (pto_distance_m !== undefined && pto_distance_m !== null) {
+    req.body.pto_distance_m = Number(pto_distance_m);
+  }
+  if (altitude_m !== undefined && altitude_m !== null) {
+    req.body.altitude_m = Number(altitude_m);
+  }
+  if (ambient_temperature_c !== undefined && ambient_temperature_c !== null) {
+    req.body.ambient_temperature_c = Number(ambient_temperature_c);
+  }
+
+  next();
+};
+
+/**
+ * Middleware para validar la solicitud de costo de propiedad y operación
+ *
+ * Valida:
+ * - tractor_id: entero > 0
+ * - annual_hours: número > 0 y <= 8760
+ * - implement_id: opcional, entero > 0
+ * - implement_price, fuel_price_per_l: opcionales, número > 0
+ * - implement_model_year: opcional, entero > 1900
+ * - working_speed_kmh: opcional, número > 0 y < 40
+ * - labor_cost_per_hour: opcional, número >= 0
+ * - interest_rate: opcional, número entre 0 y 1
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export const validateOperatingCostRequest = (req, res, next) => {
+  const {
+    tractor_id,
+    annual_hours,
+    implement_id,
+    implement_price,
+    implement_model_year,
+    working_speed_kmh,
+    fuel_price_per_l,
+    labor_cost_per_hour,
+    interest_rate,
+  } = req.body;
+
+  const isProvided = (value) => value !== undefined && value !== null;
+  const errors = [];
+
+  // tractor_id: requerido, entero > 0
+  if (!isProvided(tractor_id)) {
+    errors.push('tractor_id es requerido');
+  } else if (!isPositiveInteger(tractor_id)) {
+    errors.push('tractor_id debe ser un entero mayor a 0');
+  }
+
+  // annual_hours: requerido, número > 0 y <= 8760 (horas de un año)
+  if (!isProvided(annual_hours)) {
+    errors.push('annual_hours es requerido');
+  } else if (!isPositiveNumber(annual_hours) || Number(annual_hours) > 8760) {
+    errors.push('annual_hours debe ser un número mayor a 0 y menor o igual a 8760');
+  }
+
+  // implement_id: opcional, entero > 0
+  if (isProvided(implement_id) && !isPositiveInteger(implement_id)) {
+    errors.push('implement_id debe ser un entero mayor a 0');
+  }
+
+  // implement_price: opcional, número > 0
+  if (isProvided(implement_price) && !isPositiveNumber(implement_price)) {
+    errors.push('implement_price debe ser un número mayor a 0');
+  }
+
+  // implement_model_year: opcional, entero > 1900
+  if (isProvided(implement_model_year)
+    && (!isPositiveInteger(implement_model_year) || Number(implement_model_year) <= 1900)) {
+    errors.push('implement_model_year debe ser un año válido');
+  }
+
+  // working_speed_kmh: opcional, número > 0 y < 40
+  if (isProvided(working_speed_kmh)
+    && (!isPositiveNumber(working_speed_kmh) || Number(working_speed_kmh) >= 40)) {
+    errors.push('working_speed_kmh debe ser un número mayor a 0 y menor a 40');
+  }
+
+  // fuel_price_per_l: opcional, número > 0
+  if (isProvided(fuel_price_per_l) && !isPositiveNumber(fuel_price_per_l)) {
+    errors.push('fuel_price_per_l debe ser un número mayor a 0');
+  }
+
+  // labor_cost_per_hour: opcional, número >= 0
+  if (isProvided(labor_cost_per_hour) && !isNonNegativeNumber(labor_cost_per_hour)) {
+    errors.push('labor_cost_per_hour debe ser un número mayor o igual a 0');
+  }
+
+  // interest_rate: opcional, fracción anual entre 0 y 1
+  if (isProvided(interest_rate) && !isInRange(interest_rate, 0, 1)) {
+    errors.push('interest_rate debe ser un número entre 0 y 1');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Errores de validación',
+      errors,
+    });
+  }
+
+  // Convertir valores a números para el controlador
+  req.body.tractor_id = Number(tractor_id);
+  req.body.annual_hours = Number(annual_hours);
+  [
+    'implement_id',
+    'implement_price',
+    'implement_model_year',
+    'working_speed_kmh',
+    'fuel_price_per_l',
+    'labor_cost_per_hour',
+    'interest_rate',
+  ].forEach((field) => {
+    if (isProvided(req.body[field])) {
+      req.body[field] = Number(req.body[field]);
+    }
+  });
+
+  next();
+};
+
+/**
+ * Middleware para validar la solicitud de análisis de sensibilidad
+ *
+ * Valida:
+ * - tractor_id, terrain_id: entero > 0
+ * - working_speed_kmh: número > 0 y < 40 (punto base)
+ * - carried_objects_weight_kg: opcional, número >= 0
+ * - slippage_percent: opcional, número 0-100
+ * - sweeps: 1 o 2 ejes { parameter, min, max, steps } con parámetros distintos,
+ *   min < max dentro de los límites del parámetro y steps entero 2-25
+ * - min_net_power_hp: opcional, número > 0
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export const validateSensitivityRequest = (req, res, next) => {
+  const {
+    tractor_id,
+    terrain_id,
+    working_speed_kmh,
+    carried_objects_weight_kg,
+    slippage_percent,
+    sweeps,
+    min_net_power_hp,
+  } = req.body;
+
+  const isProvided = (value) => value !== undefined && value !== null;
+  const { SWEEP_PARAMETERS, MAX_SWEEP_DIMENSIONS, MAX_STEPS, DEFAULT_STEPS } = SENSITIVITY_CONSTANTS;
+  const errors = [];
+
+  if (!isPositiveInteger(tractor_id)) {
+    errors.push('tractor_id es requerido y debe ser un entero mayor a 0');
+  }
+  if (!isPositiveInteger(terrain_id)) {
+    errors.push('terrain_id es requerido y debe ser un entero mayor a 0');
+  }
+  if (!isPositiveNumber(working_speed_kmh) || Number(working_speed_kmh) >= 40) {
+    errors.push('working_speed_kmh es requerido y debe ser un número mayor a 0 y menor a 40');
+  }
+  if (isProvided(carried_objects_weight_kg) && !isNonNegativeNumber(carried_objects_weight_kg)) {
+    errors.push('carried_objects_weight_kg debe ser un número mayor o igual a 0');
+  }
+  if (isProvided(slippage_percent) && !isInRange(slippage_percent, 0, 100)) {
+    errors.push('slippage_percent debe estar entre 0 y 100');
+  }
+  if (isProvided(min_net_power_hp) && !isPositiveNumber(min_net_power_hp)) {
+    errors.push('min_net_power_hp debe ser un número mayor a 0');
+  }
+
+  // sweeps: 1 o 2 ejes con parámetros soportados y rangos válidos
+  if (!Array.isArray(sweeps) || sweeps.length === 0 || sweeps.length > MAX_SWEEP_DIMENSIONS) {
+    errors.push(`sweeps debe ser un arreglo de 1 a ${MAX_SWEEP_DIMENSIONS} parámetros`);
+  } else {
+    const seen = new Set();
+    sweeps.forEach((sweep, index) => {
+      const definition = SWEEP_PARAMETERS[sweep?.parameter];
+      if (!definition) {
+        errors.push(`sweeps[${index}].parameter debe ser uno de: ${Object.keys(SWEEP_PARAMETERS).join(', ')}`);
+        return;
+      }
+      if (seen.has(sweep.parameter)) {
+        errors.push(`sweeps[${index}].parameter está repetido`);
+      }
+      seen.add(sweep.parameter);
+
+      const validBounds = isInRange(sweep.min, definition.min, definition.max)
+        && isInRange(sweep.max, definition.min, definition.max);
+      if (!validBounds || Number(sweep.min) >= Number(sweep.max)) {
+        errors.push(`sweeps[${index}] requiere min < max entre ${definition.min} y ${definition.max} ${definition.unit}`);
+      }
+      if (isProvided(sweep.steps)
+        && (!isPositiveInteger(sweep.steps) || sweep.steps < 2 || sweep.steps > MAX_STEPS)) {
+        errors.push(`sweeps[${index}].steps debe ser un entero entre 2 y ${MAX_STEPS}`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Errores de validación',
+      errors,
+    });
+  }
+
+  // Convertir valores a números para el controlador
+  req.body.tractor_id = Number(tractor_id);
+  req.body.terrain_id = Number(terrain_id);
+  req.body.working_speed_kmh = Number(working_speed_kmh);
+  if (isProvided(carried_objects_weight_kg)) {
+    req.body.carried_objects_weight_kg = Number(carried_objects_weight_kg);
+  }
+  if (isProvided(slippage_percent)) req.body.slippage_percent = Number(slippage_percent);
+  if (isProvided(min_net_power_hp)) req.body.min_net_power_hp = Number(min_net_power_hp);
+  req.body.sweeps = sweeps.map((sweep) => ({
+    parameter: sweep.parameter,
+    min: Number(sweep.min),
+    max: Number(sweep.max),
+    steps: isProvided(sweep.steps) ? Number(sweep.steps) : DEFAULT_STEPS,
+  }));
+
+  next();
+};
+
+/**
+ * Middleware para validar la solicitud de bandas de incertidumbre
+ *
+ * Valida:
+ * - tractor_id, terrain_id: entero > 0
+ * - working_speed_kmh: número > 0 y < 40 (punto base)
+ * - carried_objects_weight_kg: opcional, número >= 0
+ * - slippage_percent: opcional, número 0-100
+ * - uncertainty: objeto con al menos una entrada soportada; cada una es un número,
+ *   { min, likely, max } o { distribution: uniform | normal, ... } dentro de sus límites
+ * - iterations: opcional, entero entre MIN_ITERATIONS y MAX_ITERATIONS
+ * - seed: opcional, entero >= 0
+ * - implement_id / required_power_hp: opcionales y excluyentes
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export const validateUncertaintyRequest = (req, res, next) => {
+  const {
+    tractor_id,
+    terrain_id,
+    implement_id,
+    working_speed_kmh,
+    carried_objects_weight_kg,
+    slippage_percent,
+    uncertainty,
+    iterations,
+    seed,
+    required_power_hp,
+  } = req.body;
+
+  const isProvided = (value) => value !== undefined && value !== null;
+  const { MIN_ITERATIONS, MAX_ITERATIONS } = UNCERTAINTY_CONSTANTS;
+  const errors = [];
+
+  if (!isPositiveInteger(tractor_id)) {
+    errors.push('tractor_id es requerido y debe ser un entero mayor a 0');
+  }
+  if (!isPositiveInteger(terrain_id)) {
+    errors.push('terrain_id es requerido y debe ser un entero mayor a 0');
+  }
+  if (!isPositiveNumber(working_speed_kmh) || Number(working_speed_kmh) >= 40) {
+    errors.push('working_speed_kmh es requerido y debe ser un número mayor a 0 y menor a 40');
+  }
+  if (isProvided(carried_objects_weight_kg) && !isNonNegativeNumber(carried_objects_weight_kg)) {
+    errors.push('carried_objects_weight_kg debe ser un número mayor o igual a 0');
+  }
+  if (isProvided(slippage_percent) && !isInRange(slippage_percent, 0, 100)) {
+    errors.push('slippage_percent debe estar entre 0 y 100');
+  }
+  if (isProvided(iterations)
+    && (!isPositiveInteger(iterations) || iterations < MIN_ITERATIONS || iterations > MAX_ITERATIONS)) {
+    errors.push(`iterations debe ser un entero entre ${MIN_ITERATIONS} y ${MAX_ITERATIONS}`);
+  }
+  if (isProvided(seed) && !(Number.isInteger(Number(seed)) && Number(seed) >= 0)) {
+    errors.push('seed debe ser un entero mayor o igual a 0');
+  }
+  if (isProvided(implement_id) && !isPositiveInteger(implement_id)) {
+    errors.push('implement_id debe ser un entero mayor a 0');
+  }
+  if (isProvided(required_power_hp) && !isPositiveNumber(required_power_hp)) {
+    errors.push('required_power_hp debe ser un número mayor a 0');
+  }
+  if (isProvided(implement_id) && isProvided(required_power_hp)) {
+    errors.push('Envíe implement_id o required_power_hp, no ambos');
+  }
+
+  // uncertainty: al menos una entrada con una distribución válida
+  const isObject = uncertainty !== null && typeof uncertainty === 'object' && !Array.isArray(uncertainty);
+  if (!isObject || Object.keys(uncertainty).length === 0) {
+    errors.push('uncertainty es requerido y debe indicar la distribución de al menos una entrada');
+  } else {
+    Object.entries(uncertainty).forEach(([name, spec]) => {
+      errors.push(...getDistributionErrors(name, spec));
+    });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Errores de validación',
+      errors,
+    });
+  }
+
+  // Convertir valores a números para el controlador
+  req.body.tractor_id = Number(tractor_id);
+  req.body.terrain_id = Number(terrain_id);
+  req.body.working_speed_kmh = Number(working_speed_kmh);
+  if (isProvided(carried_objects_weight_kg)) {
+    req.body.carried_objects_weight_kg = Number(carried_objects_weight_kg);
+  }
+  if (isProvided(slippage_percent)) req.body.slippage_percent = Number(slippage_percent);
+  if (isProvided(iterations)) req.body.iterations = Number(iterations);
+  if (isProvided(seed)) req.body.seed = Number(seed);
+  if (isProvided(implement_id)) req.body.implement_id = Number(implement_id);
+  if (isProvided(required_power_hp)) req.body.required_power_hp = Number(required_power_hp);
+
+  next();
+};
+
+/**
+ * Middleware para validar la solicitud de matriz de pérdidas por lote
+ *
+ * Valida:
+ * - tractor_ids: arreglo de 1 a MAX_TRACTORS enteros > 0, o bien
+ * - tractor_filters: objeto con q, brand, traction_type (texto) y min/max_power_hp (número > 0)
+ * - terrain_ids: arreglo de 1 a MAX_TERRAINS enteros > 0
+ * - tractores × terrenos <= MAX_CELLS (con tractor_ids)
+ * - working_speed_kmh: número > 0 y < 40
+ * - carried_objects_weight_kg, drawbar_pull_kn: opcionales, número >= 0
+ * - slippage_percent: opcional, número 0-100
+ * - format: opcional, json | csv; persist: opcional, booleano; name: opcional, máximo 100 caracteres
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export const validateBatchPowerLossRequest = (req, res, next) => {
+  const {
+    tractor_ids,
+    tractor_filters,
+    terrain_ids,
+    working_speed_kmh,
+    carried_objects_weight_kg,
+    slippage_percent,
+    drawbar_pull_kn,
+    format,
+    persist,
+    name,
+  } = req.body;
+
+  const isProvided = (value) => value !== undefined && value !== null;
+  const { MAX_TRACTORS, MAX_TERRAINS, MAX_CELLS, FORMATS, TRACTOR_FILTERS } = BATCH_CONSTANTS;
+  const isIdList = (value, max) => Array.isArray(value)
+    && value.length > 0
+    && value.length <= max
+    && value.every(isPositiveInteger);
+  const errors = [];
+
+  if (isProvided(tractor_ids) === isProvided(tractor_filters)) {
+    errors.push('Envíe tractor_ids o tractor_filters (uno de los dos)');
+  } else if (isProvided(tractor_ids) && !isIdList(tractor_ids, MAX_TRACTORS)) {
+    errors.push(`tractor_ids debe ser un arreglo de 1 a ${MAX_TRACTORS} enteros mayores a 0`);
+  } else if (isProvided(tractor_filters)) {
+    if (typeof tractor_filters !== 'object' || Array.isArray(tractor_filters)) {
+      errors.push('tractor_filters debe ser un objeto');
+    } else {
+      Object.keys(tractor_filters)
+        .filter((key) => !TRACTOR_FILTERS.includes(key))
+        .forEach((key) => errors.push(`tractor_filters.${key} no es un filtro soportado (${TRACTOR_FILTERS.join(', ')})`));
+      ['q', 'brand', 'traction_type'].forEach((key) => {
+        if (isProvided(tractor_filters[key]) && !isNonEmptyString(tractor_filters[key])) {
+          errors.push(`tractor_filters.${key} debe ser un texto no vacío`);
+        }
+      });
+      ['min_power_hp', 'max_power_hp'].forEach((key) => {
+        if (isProvided(tractor_filters[key]) && !isPositiveNumber(tractor_filters[key])) {
+          errors.push(`tractor_filters.${key} debe ser un número mayor a 0`);
+        }
+      });
+      if (isPositiveNumber(tractor_filters.min_power_hp) && isPositiveNumber(tractor_filters.max_power_hp)
+        && Number(tractor_filters.min_power_hp) > Number(tractor_filters.max_power_hp)) {
+        errors.push('tractor_filters.min_power_hp no puede ser mayor que max_power_hp');
+      }
+    }
+  }
+  if (!isIdList(terrain_ids, MAX_TERRAINS)) {
+    errors.push(`terrain_ids debe ser un arreglo de 1 a ${MAX_TERRAINS} enteros mayores a 0`);
+  } else if (isIdList(tractor_ids, MAX_TRACTORS)
+    && new Set(tractor_ids).size * new Set(terrain_ids).size > MAX_CELLS) {
+    errors.push(`La matriz no puede superar ${MAX_CELLS} combinaciones tractor-terreno`);
+  }
+  if (!isPositiveNumber(working_speed_kmh) || Number(working_speed_kmh) >= 40) {
+    errors.push('working_speed_kmh es requerido y debe ser un número mayor a 0 y menor a 40');
+  }
+  if (isProvided(carried_objects_weight_kg) && !isNonNegativeNumber(carried_objects_weight_kg)) {
+    errors.push('carried_objects_weight_kg debe ser un número mayor o igual a 0');
+  }
+  if (isProvided(slippage_percent) && !isInRange(slippage_percent, 0, 100)) {
+    errors.push('slippage_percent debe estar entre 0 y 100');
+  }
+  if (isProvided(drawbar_pull_kn) && !isNonNegativeNumber(drawbar_pull_kn)) {
+    errors.push('drawbar_pull_kn debe ser un número mayor o igual a 0');
+  }
+  if (isProvided(format) && !FORMATS.includes(format)) {
+    errors.push(`format debe ser uno de: ${FORMATS.join(', ')}`);
+  }
+  if (isProvided(persist) && typeof persist !== 'boolean') {
+    errors.push('persist debe ser un booleano');
+  }
+  if (isProvided(name) && (!isNonEmptyString(name) || name.length > 100)) {
+    errors.push('name debe ser un texto de hasta 100 caracteres');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Errores de validación',
+      errors,
+    });
+  }
+
+  // Convertir valores a números (IDs sin duplicados) para el controlador
+  if (isProvided(tractor_ids)) {
+    req.body.tractor_ids = [...new Set(tractor_ids.map(Number))];
+  } else {
+    ['min_power_hp', 'max_power_hp'].forEach((key) => {
+      if (isProvided(tractor_filters[key])) req.body.tractor_filters[key] = Number(tractor_filters[key]);
+    });
+  }
+  req.body.terrain_ids = [...new Set(terrain_ids.map(Number))];
+  req.body.working_speed_kmh = Number(working_speed_kmh);
+  if (isProvided(carried_objects_weight_kg)) {
+    req.body.carried_objects_weight_kg = Number(carried_objects_weight_kg);
+  }
+  if (isProvided(slippage_percent)) req.body.slippage_percent = Number(slippage_percent);
+  if (isProvided(drawbar_pull_kn)) req.body.drawbar_pull_kn = Number(drawbar_pull_kn);
+
+  next();
+};
+
+/**
+ * Middleware para validar la solicitud de velocidad óptima de trabajo
+ *
+ * Valida:
+ * - tractor_id, terrain_id, implement_id: entero > 0
+ * - objective: opcional, max_capacity | min_fuel
+ * - carried_objects_weight_kg: opcional, número >= 0
+ * - fuel_price_per_l: opcional, número > 0
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export const validateOptimalSpeedRequest = (req, res, next) => {
+  const {
+    tractor_id,
+    terrain_id,
+    implement_id,
+    objective,
+    carried_objects_weight_kg,
+    fuel_price_per_l,
+  } = req.body;
+
+  const isProvided = (value) => value !== undefined && value !== null;
+  const { OBJECTIVES } = SPEED_OPTIMIZER_CONSTANTS;
+  const errors = [];
+
+  if (!isPositiveInteger(tractor_id)) {
+    errors.push('tractor_id es requerido y debe ser un entero mayor a 0');
+  }
+  if (!isPositiveInteger(terrain_id)) {
+    errors.push('terrain_id es requerido y debe ser un entero mayor a 0');
+  }
+  if (!isPositiveInteger(implement_id)) {
+    errors.push('implement_id es requerido y debe ser un entero mayor a 0');
+  }
+  if (isProvided(objective) && !OBJECTIVES.includes(objective)) {
+    errors.push(`objective debe ser uno de: ${OBJECTIVES.join(', ')}`);
+  }
+  if (isProvided(carried_objects_weight_kg) && !isNonNegativeNumber(carried_objects_weight_kg)) {
+    errors.push('carried_objects_weight_kg debe ser un número mayor o igual a 0');
+  }
+  if (isProvided(fuel_price_per_l) && !isPositiveNumber(fuel_price_per_l)) {
+    errors.push('fuel_price_per_l debe ser un número mayor a 0');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Errores de validación',
+      errors,
+    });
+  }
+
+  // Convertir valores a números para el controlador
+  req.body.tractor_id = Number(tractor_id);
+  req.body.terrain_id = Number(terrain_id);
+  req.body.implement_id = Number(implement_id);
+  if (isProvided(carried_objects_weight_kg)) {
+    req.body.carried_objects_weight_kg = Number(carried_objects_weight_kg);
+  }
+  if (isProvided(fuel_price_per_l)) req.body.fuel_price_per_l = Number(fuel_price_per_l);
+
+  next();
+};
+
+/**
+ * Middleware para validar la recomendación de implementos para un tractor
+ * (recomendación inversa del flujo "Tengo Tractor")
+ *
+ * Valida:
+ * - tractor_id: entero > 0, o los datos manuales del tractor:
+ *   engine_power_hp (número > 0), weight_kg (opcional, número > 0),
+ *   aspiration_type (opcional, turbo | aspirated) y traction_type (opcional)
+ * - terrain_id: entero > 0, o los datos manuales del terreno:
+ *   soil_type (string no vacío), slope_percent (número >= 0), moisture_condition,
+ *   altitude_m (número >= 0), ambient_temperature_c y area_hectares (número > 0), opcionales
+ * - implement_type: opcional, string no vacío (limita la búsqueda a un tipo)
+ * - working_speed_kmh: opcional, número > 0 y < 40
+ * - limit: opcional, entero entre 1 y MAX_LIMIT
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+export const validateImplementRecommendationRequest = (req, res, next) => {
+  const {
+    tractor_id,
+    engine_power_hp,
+    weight_kg,
+    aspiration_type,
+    traction_type,
+    terrain_id,
+    soil_type,
+    moisture_condition,
+    slope_percent,
+    altitude_m,
+    ambient_temperature_c,
+    area_hectares,
+    implement_type,
+    working_speed_kmh,
+    limit,
+  } = req.body;
+
+  const isProvided = (value) => value !== undefined && value !== null;
+  const { MAX_LIMIT } = IMPLEMENT_RECOMMENDATION_CONSTANTS;
+  const errors = [];
+
+  // Tractor: del catálogo o con datos manuales
+  if (isProvided(tractor_id)) {
+    if (!isPositiveInteger(tractor_id)) {
+      errors.push('tractor_id debe ser un entero mayor a 0');
+    }
+  } else if (!isProvided(engine_power_hp)) {
+    errors.push('tractor_id o engine_power_hp es requerido');
+  } else {
+    if (!isPositiveNumber(engine_power_hp)) {
+      errors.push('engine_power_hp debe ser un número mayor a 0');
+    }
+    if (isProvided(weight_kg) && !isPositiveNumber(weight_kg)) {
+      errors.push('weight_kg debe ser un número mayor a 0');
+    }
+    if (isProvided(aspiration_type) && !normalizeAspirationType(aspiration_type)) {
+      errors.push('aspiration_type debe ser turbo o aspirated');
+    }
+    if (isProvided(traction_type) && !isNonEmptyString(traction_type)) {
+      errors.push('traction_type debe ser un string no vacío');
+    }
+  }
+
+  // Terreno: del usuario o con datos manuales
+  if (isProvided(terrain_id)) {
+    if (!isPositiveInteger(terrain_id)) {
+      errors.push('terrain_id debe ser un entero mayor a 0');
+    }
+  } else {
+    if (!isNonEmptyString(soil_type)) {
+      errors.push('terrain_id o soil_type es requerido');
+    }
+    if (!isProvided(slope_percent)) {
+      errors.push('slope_percent es requerido sin terrain_id');
+    } else if (!isNonNegativeNumber(slope_percent)) {
+      errors.push('slope_percent debe ser un número mayor o igual a 0');
+    }
+    if (isProvided(moisture_condition)
+      && !SOIL_CONSTANTS.MOISTURE_CONDITIONS.includes(moisture_condition)) {
+      errors.push(`moisture_condition debe ser uno de: ${SOIL_CONSTANTS.MOISTURE_CONDITIONS.join(', ')}`);
+    }
+    if (isProvided(altitude_m) && !isNonNegativeNumber(altitude_m)) {
+      errors.push('altitude_m debe ser un número mayor o igual a 0');
+    }
+    if (isProvided(ambient_temperature_c) && !Number.isFinite(Number(ambient_temperature_c))) {
+      errors.push('ambient_temperature_c debe ser un número');
+    }
+    if (isProvided(area_hectares) && !isPositiveNumber(area_hectares)) {
+      errors.push('area_hectares debe ser un número mayor a 0');
+    }
+  }
+
+  if (isProvided(implement_type) && !isNonEmptyString(implement_type)) {
+    errors.push('implement_type debe ser un string no vacío');
+  }
+
+  if (isProvided(working_speed_kmh)) {
+    if (!isPositiveNumber(working_speed_kmh)) {
+      errors.push('working_speed_kmh debe ser un número mayor a 0');
+    } else if (Number(working_speed_kmh) >= 40) {
+      errors.push('working_speed_kmh debe ser menor a 40 km/h');
+    }
+  }
+
+  if (isProvided(limit) && (!isPositiveInteger(limit) || Number(limit) > MAX_LIMIT)) {
+    errors.push(`limit debe ser un entero entre 1 y ${MAX_LIMIT}`);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Errores de validación',
+      errors,
+    });
+  }
+
+  // Convertir valores a números para el controlador
+  if (isProvided(tractor_id)) {
+    req.body.tractor_id = Number(tractor_id);
+  } else {
+    req.body.engine_power_hp = Number(engine_power_hp);
+    if (isProvided(weight_kg)) req.body.weight_kg = Number(weight_kg);
+    if (isProvided(aspiration_type)) req.body.aspiration_type = normalizeAspirationType(aspiration_type);
+  }
+  if (isProvided(terrain_id)) {
+    req.body.terrain_id = Number(terrain_id);
+  } else {
+    req.body.soil_type = soil_type.trim().toLowerCase();
+    req.body.slope_percent = Number(slope_percent);
+    if (isProvided(altitude_m)) req.body.altitude_m = Number(altitude_m);
+    if (isProvided(ambient_temperature_c)) req.body.ambient_temperature_c = Number(ambient_temperature_c);
+    if (isProvided(area_hectares)) req.body.area_hectares = Number(area_hectares);
+  }
+  if (isProvided(implement_type)) req.body.implement_type = implement_type.trim().toLowerCase();
+  if (isProvided(working_speed_kmh)) req.body.working_speed_kmh = Number(working_speed_kmh);
+  if (isProvided(limit)) req.body.limit = Number(limit);
 
   next();
 };
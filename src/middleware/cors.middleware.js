@@ -71,7 +71,8 @@ const getCorsOptions = () => {
     },
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Units"],
+    exposedHeaders: ["X-Units", "X-Query-Set-Id"],
   };
 };
 
@@ -0,0 +1,112 @@
+/**
+ * Middleware de unidades
+ * Convierte los datos de entrada al sistema canónico y las respuestas al sistema
+ * del cliente (header X-Units o preferencia guardada del usuario)
+ */
+
+import User from '../models/User.js';
+import { verifyToken } from '../utils/jwt.util.js';
+import { validationErrorResponse } from '../utils/response.util.js';
+import {
+  UNIT_SYSTEMS,
+  normalizeUnitSystem,
+  convertRequest,
+  convertResponse,
+} from '../utils/units.util.js';
+
+/**
+ * ID del usuario autenticado
+ * El middleware se monta antes de verifyTokenMiddleware, así que lee el token por
+ * su cuenta; un token inválido se ignora aquí y lo rechaza la autenticación de la ruta.
+ * @param {import('express').Request} req
+ * @returns {number|null}
+ */
+const getUserId = (req) => {
+  if (req.user) {
+    return req.user.user_id ?? null;
+  }
+
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return null;
+  }
+
+  try {
+    return verifyToken(token).user_id ?? null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Preferencia de unidades guardada en el perfil del usuario
+ * Se lee de la BD y no del token para que un cambio se aplique sin renovarlo.
+ * @param {import('express').Request} req
+ * @returns {Promise<string|null>} Sistema preferido o null
+ */
+const getPreferredUnits = async (req) => {
+  const userId = getUserId(req);
+  return userId ? normalizeUnitSystem(await User.findPreferredUnits(userId)) : null;
+};
+
+/**
+ * Resuelve el sistema de unidades de la solicitud
+ * Prioridad: header X-Units > preferencia del usuario > ninguno (respuesta sin conversión)
+ *
+ * @param {import('express').Request} req
+ * @returns {Promise<{ system: string|null, error: boolean }>}
+ */
+export const resolveUnitSystem = async (req) => {
+  const header = req.headers['x-units'];
+
+  if (header !== undefined) {
+    const system = normalizeUnitSystem(header);
+    return { system, error: system === null };
+  }
+
+  return { system: await getPreferredUnits(req), error: false };
+};
+
+/**
+ * Middleware de unidades
+ *
+ * Con un sistema de unidades resuelto:
+ * - convierte req.body y req.query al sistema canónico antes del controlador
+ * - convierte la respuesta JSON al sistema pedido y agrega las etiquetas `units`
+ * - expone el sistema en req.units y en el header de respuesta X-Units
+ *
+ * Sin header ni preferencia la solicitud pasa sin cambios.
+ */
+export const unitsMiddleware = async (req, res, next) => {
+  const { system, error } = await resolveUnitSystem(req);
+
+  if (error) {
+    return validationErrorResponse(
+      res,
+      [`X-Units debe ser uno de: ${UNIT_SYSTEMS.join(', ')}`],
+      'Sistema de unidades inválido',
+    );
+  }
+
+  if (!system) {
+    return next();
+  }
+
+  req.units = system;
+  res.setHeader('X-Units', system);
+
+  if (req.body && typeof req.body === 'object') {
+    req.body = convertRequest(req.body, system);
+  }
+
+  // req.query es un getter en Express 5: se reemplaza por una propiedad propia ya convertida
+  const query = convertRequest({ ...req.query }, system);
+  Object.defineProperty(req, 'query', { value: query, writable: true, configurable: true });
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => originalJson(convertResponse(body, system));
+
+  next();
+};
+
+export default unitsMiddleware;
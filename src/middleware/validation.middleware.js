@@ -1,6 +1,6 @@
 const ALLOWED_TRACTION_TYPES = ['4x2', '4x4', 'track'];
 const ALLOWED_STATUS = ['available', 'maintenance', 'inactive'];
-const ALLOWED_IMPLEMENT_TYPES = ['plow', 'harrow', 'seeder', 'sprayer', 'harvester', 'cultivator', 'mower', 'trailer', 'other'];
+const ALLOWED_IMPLEMENT_TYPES = ['plow', 'harrow', 'seeder', 'sprayer', 'harvester', 'cultivator', 'mower', 'rotary_tiller', 'baler', 'trailer', 'other'];
 
 export const validateTractor = (req, res, next) => {
   const errors = [];
@@ -0,0 +1,87 @@
+import { pool } from '../config/db.js';
+
+class CalculationProfile {
+  // Get all profiles, newest version first
+  static async getAll() {
+    const query = `
+      SELECT profile_id, version, name, description, is_active,
+             created_by, created_at, activated_at, previous_version
+      FROM calculation_profile
+      ORDER BY version DESC
+    `;
+    const result = await pool.query(query);
+    return result.rows;
+  }
+
+  // Find profile by version (includes coefficients)
+  static async findByVersion(version) {
+    const query = 'SELECT * FROM calculation_profile WHERE version = $1';
+    const result = await pool.query(query, [version]);
+    return result.rows[0];
+  }
+
+  // Find the active profile
+  static async findActive() {
+    const query = 'SELECT * FROM calculation_profile WHERE is_active = true';
+    const result = await pool.query(query);
+    return result.rows[0];
+  }
+
+  // Create new profile with the next version number (inactive)
+  static async create({ name, description = null, coefficients, created_by = null }) {
+    const query = `
+      INSERT INTO calculation_profile (version, name, description, coefficients, created_by)
+      SELECT COALESCE(MAX(version), 0) + 1, $1, $2, $3, $4
+      FROM calculation_profile
+      RETURNING *
+    `;
+    const values = [name, description, JSON.stringify(coefficients), created_by];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  // Activate a profile, deactivating the current one in the same transaction.
+  // previous_version points to the profile that was active before; a rollback
+  // keeps the pointer of the profile it reactivates so it can keep walking back
+  static async activate(version, { rollback = false } = {}) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const deactivated = await client.query(
+        `
+        UPDATE calculation_profile SET is_active = false
+        WHERE is_active = true AND version <> $1
+        RETURNING version
+      `,
+        [version]
+      );
+      const previousVersion = rollback ? null : (deactivated.rows[0]?.version ?? null);
+      const result = await client.query(
+        `
+        UPDATE calculation_profile
+        SET is_active = true, activated_at = CURRENT_TIMESTAMP,
+            previous_version = COALESCE($2, previous_version)
+        WHERE version = $1
+        RETURNING *
+      `,
+        [version, previousVersion]
+      );
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return undefined;
+      }
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+export default CalculationProfile;
@@ -28,14 +28,18 @@ class Implement {
       weight_kg,
       implement_type,
       status = "available",
+      hitch_category = null,
+      pto_speed_rpm = null,
+      hydraulic_demand_lpm = null,
     } = implementData;
 
     const query = `
       INSERT INTO implement (
         implement_name, brand, image_url, power_requirement_hp, working_width_m,
-        soil_type, working_depth_cm, weight_kg, implement_type, status
+        soil_type, working_depth_cm, weight_kg, implement_type, status,
+        hitch_category, pto_speed_rpm, hydraulic_demand_lpm
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
       RETURNING *
     `;
     const values = [
@@ -49,6 +53,9 @@ class Implement {
       weight_kg,
       implement_type,
       status,
+      hitch_category,
+      pto_speed_rpm,
+      hydraulic_demand_lpm,
     ];
     const result = await pool.query(query, values);
     return result.rows[0];
@@ -67,6 +74,9 @@ class Implement {
       weight_kg,
       implement_type,
       status,
+      hitch_category,
+      pto_speed_rpm,
+      hydraulic_demand_lpm,
     } = implementData;
 
     const query = `
@@ -80,8 +90,11 @@ class Implement {
           working_depth_cm = COALESCE($7, working_depth_cm),
           weight_kg = COALESCE($8, weight_kg),
           implement_type = COALESCE($9, implement_type),
-          status = COALESCE($10, status)
-      WHERE implement_id = $11
+          status = COALESCE($10, status),
+          hitch_category = COALESCE($11, hitch_category),
+          pto_speed_rpm = COALESCE($12, pto_speed_rpm),
+          hydraulic_demand_lpm = COALESCE($13, hydraulic_demand_lpm)
+      WHERE implement_id = $14
       RETURNING *
     `;
     const values = [
@@ -95,6 +108,9 @@ class Implement {
       weight_kg,
       implement_type,
       status,
+      hitch_category,
+      pto_speed_rpm,
+      hydraulic_demand_lpm,
       id,
     ];
     const result = await pool.query(query, values);
@@ -53,6 +53,21 @@ class Query {
     return result.rows[0];
   }
 
+  // Find a power loss query of a user with its input snapshot and results
+  static async findPowerLossByIdAndUser(id, userId) {
+    const query = `
+      SELECT q.query_id, q.user_id, q.terrain_id, q.tractor_id, q.query_date,
+             q.calculation_profile_version, q.input_snapshot, q.model_version,
+             pl.*
+      FROM query q
+      INNER JOIN power_loss pl ON pl.query_id = q.query_id
+      WHERE q.query_id = $1 AND q.user_id = $2
+        AND q.query_type IN ('power_loss', 'direct_power_loss')
+    `;
+    const result = await pool.query(query, [id, userId]);
+    return result.rows[0];
+  }
+
   // Get all queries by user
   static async findByUser(userId) {
     const query = `
@@ -0,0 +1,41 @@
+import { pool } from '../config/db.js';
+
+class QuerySet {
+  // Create a grouped set of power loss calculations (batch matrix)
+  static async create(querySetData) {
+    const {
+      user_id,
+      name = null,
+      parameters,
+      results,
+      cell_count,
+      model_version,
+      calculation_profile_version = null,
+    } = querySetData;
+
+    const query = `
+      INSERT INTO query_set (
+        user_id, name, parameters, results, cell_count,
+        model_version, calculation_profile_version
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING query_set_id, user_id, name, cell_count, model_version,
+                calculation_profile_version, created_at
+    `;
+    const values = [
+      user_id, name, JSON.stringify(parameters), JSON.stringify(results), cell_count,
+      model_version, calculation_profile_version,
+    ];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  // Find a query set of a user (includes the matrix)
+  static async findByIdAndUser(id, userId) {
+    const query = 'SELECT * FROM query_set WHERE query_set_id = $1 AND user_id = $2';
+    const result = await pool.query(query, [id, userId]);
+    return result.rows[0];
+  }
+}
+
+export default QuerySet;
@@ -11,14 +11,15 @@ class Recommendation {
       compatibility_score,
       observations,
       work_type,
+      calculation_profile_version = null,
     } = recommendationData;
 
     const query = `
       INSERT INTO recommendation (
         user_id, terrain_id, tractor_id, implement_id,
-        compatibility_score, observations, work_type
+        compatibility_score, observations, work_type, calculation_profile_version
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       RETURNING *
     `;
     const values = [
@@ -29,6 +30,7 @@ class Recommendation {
       compatibility_score,
       observations,
       work_type,
+      calculation_profile_version,
     ];
     const result = await pool.query(query, values);
     return result.rows[0];
@@ -0,0 +1,84 @@
+import { pool } from '../config/db.js';
+
+class RecommendationFeedback {
+  // Create or replace the feedback of a recommendation (one row per recommendation)
+  static async upsert(feedbackData) {
+    const {
+      recommendation_id,
+      user_id,
+      decision,
+      reason_code = null,
+      reason = null,
+      rating = null,
+      purchased = false,
+    } = feedbackData;
+
+    const query = `
+      INSERT INTO recommendation_feedback (
+        recommendation_id, user_id, decision, reason_code, reason, rating, purchased
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (recommendation_id) DO UPDATE
+      SET decision = EXCLUDED.decision,
+          reason_code = EXCLUDED.reason_code,
+          reason = EXCLUDED.reason,
+          rating = EXCLUDED.rating,
+          purchased = EXCLUDED.purchased,
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+    const values = [
+      recommendation_id,
+      user_id,
+      decision,
+      reason_code,
+      reason,
+      rating,
+      purchased,
+    ];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  // Find the feedback of a recommendation
+  static async findByRecommendation(recommendationId) {
+    const query = 'SELECT * FROM recommendation_feedback WHERE recommendation_id = $1';
+    const result = await pool.query(query, [recommendationId]);
+    return result.rows[0];
+  }
+
+  // Latest feedback of a user with the scored recommendation and the tractor brand
+  static async findByUserWithContext(userId, limit = 200) {
+    const query = `
+      SELECT f.recommendation_id, f.decision, f.reason_code, f.rating, f.purchased,
+             f.updated_at, r.tractor_id, r.observations,
+             tr.name as tractor_name, tr.brand as tractor_brand
+      FROM recommendation_feedback f
+      JOIN recommendation r ON f.recommendation_id = r.recommendation_id
+      LEFT JOIN tractor tr ON r.tractor_id = tr.tractor_id
+      WHERE f.user_id = $1
+      ORDER BY f.updated_at DESC
+      LIMIT $2
+    `;
+    const result = await pool.query(query, [userId, limit]);
+    return result.rows;
+  }
+
+  // All feedback with its recommendation and tractor (admin report), optionally since a date
+  static async findAllWithContext(since = null) {
+    const query = `
+      SELECT f.recommendation_id, f.decision, f.reason_code, f.rating, f.purchased,
+             f.updated_at, r.tractor_id, r.observations,
+             tr.name as tractor_name, tr.brand as tractor_brand
+      FROM recommendation_feedback f
+      JOIN recommendation r ON f.recommendation_id = r.recommendation_id
+      LEFT JOIN tractor tr ON r.tractor_id = tr.tractor_id
+      WHERE ($1::timestamp IS NULL OR f.updated_at >= $1)
+      ORDER BY f.updated_at DESC
+    `;
+    const result = await pool.query(query, [since]);
+    return result.rows;
+  }
+}
+
+export default RecommendationFeedback;
@@ -0,0 +1,86 @@
+import { pool } from '../config/db.js';
+
+class ScoringPreset {
+  // Create a preset (user_id null = organization-wide)
+  static async create(presetData) {
+    const {
+      user_id = null,
+      name,
+      description = null,
+      weights,
+      filters = {},
+      created_by = null,
+    } = presetData;
+
+    const query = `
+      INSERT INTO scoring_preset (user_id, name, description, weights, filters, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const values = [
+      user_id,
+      name,
+      description,
+      JSON.stringify(weights),
+      JSON.stringify(filters),
+      created_by,
+    ];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  // Presets visible to a user: their own plus the organization-wide ones
+  static async findAccessible(userId) {
+    const query = `
+      SELECT * FROM scoring_preset
+      WHERE user_id = $1 OR user_id IS NULL
+      ORDER BY (user_id IS NULL), LOWER(name)
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  }
+
+  // Find a preset visible to a user
+  static async findAccessibleById(id, userId) {
+    const query = `
+      SELECT * FROM scoring_preset
+      WHERE preset_id = $1 AND (user_id = $2 OR user_id IS NULL)
+    `;
+    const result = await pool.query(query, [id, userId]);
+    return result.rows[0];
+  }
+
+  // Update preset (only provided fields)
+  static async update(id, updateData) {
+    const { name, description, weights, filters } = updateData;
+
+    const query = `
+      UPDATE scoring_preset
+      SET name = COALESCE($1, name),
+          description = COALESCE($2, description),
+          weights = COALESCE($3, weights),
+          filters = COALESCE($4, filters),
+          updated_at = CURRENT_TIMESTAMP
+      WHERE preset_id = $5
+      RETURNING *
+    `;
+    const values = [
+      name,
+      description,
+      weights ? JSON.stringify(weights) : null,
+      filters ? JSON.stringify(filters) : null,
+      id,
+    ];
+    const result = await pool.query(query, values);
+    return result.rows[0];
+  }
+
+  // Delete preset
+  static async delete(id) {
+    const query = 'DELETE FROM scoring_preset WHERE preset_id = $1 RETURNING *';
+    const result = await pool.query(query, [id]);
+    return result.rows[0];
+  }
+}
+
+export default ScoringPreset;
@@ -0,0 +1,29 @@
+import { pool } from '../config/db.js';
+
+class SoilType {
+  // Get all active soil types
+  static async getAll() {
+    const query = `
+      SELECT * FROM soil_type
+      WHERE is_active = true
+      ORDER BY soil_code
+    `;
+    const result = await pool.query(query);
+    return result.rows;
+  }
+
+  // Get all synonyms of active soil types
+  static async getSynonyms() {
+    const query = `
+      SELECT ss.synonym, ss.soil_code, ss.moisture_condition
+      FROM soil_synonym ss
+      INNER JOIN soil_type st ON st.soil_code = ss.soil_code
+      WHERE st.is_active = true
+      ORDER BY ss.synonym
+    `;
+    const result = await pool.query(query);
+    return result.rows;
+  }
+}
+
+export default SoilType;
@@ -36,6 +36,17 @@ class Terrain {
     return result.rows[0];
   }
 
+  // Find several terrains of a user (ownership verification)
+  static async findByIdsAndUser(ids, userId) {
+    const query = `
+      SELECT * FROM terrain
+      WHERE terrain_id = ANY($1::int[]) AND user_id = $2
+      ORDER BY name
+    `;
+    const result = await pool.query(query, [ids, userId]);
+    return result.rows;
+  }
+
   // Create new terrain (with user_id)
   static async create(terrainData) {
     const {
@@ -45,6 +56,7 @@ class Terrain {
       altitude_meters,
       slope_percentage,
       soil_type,
+      moisture_condition = "moist",
       temperature_celsius,
       status = "active",
     } = terrainData;
@@ -53,9 +65,9 @@ class Terrain {
       const query = `
         INSERT INTO terrain (
           user_id, name, area_hectares, altitude_meters, slope_percentage, soil_type,
-          temperature_celsius, status
+          moisture_condition, temperature_celsius, status
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         RETURNING *
       `;
       const values = [
@@ -65,13 +77,14 @@ class Terrain {
         altitude_meters,
         slope_percentage,
         soil_type,
+        moisture_condition,
         temperature_celsius,
         status,
       ];
       const result = await pool.query(query, values);
       return result.rows[0];
     } catch (error) {
-      // Compatibility fallback for legacy schemas without area_hectares.
+      // Compatibility fallback for legacy schemas without area_hectares or moisture_condition.
       if (error.code !== "42703") {
         throw error;
       }
@@ -106,6 +119,7 @@ class Terrain {
       altitude_meters,
       slope_percentage,
       soil_type,
+      moisture_condition,
       temperature_celsius,
       status,
     } = terrainData;
@@ -117,9 +131,10 @@ class Terrain {
           altitude_meters = COALESCE($3, altitude_meters),
           slope_percentage = COALESCE($4, slope_percentage),
           soil_type = COALESCE($5, soil_type),
-          temperature_celsius = COALESCE($6, temperature_celsius),
-          status = COALESCE($7, status)
-      WHERE terrain_id = $8
+          moisture_condition = COALESCE($6, moisture_condition),
+          temperature_celsius = COALESCE($7, temperature_celsius),
+          status = COALESCE($8, status)
+      WHERE terrain_id = $9
       RETURNING *
     `;
     const values = [
@@ -128,6 +143,7 @@ class Terrain {
       altitude_meters,
       slope_percentage,
       soil_type,
+      moisture_condition,
       temperature_celsius,
       status,
       id,
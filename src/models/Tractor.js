@@ -1,17 +1,51 @@
 import { pool } from "../config/db.js";
 
 class Tractor {
-  // Get all tractors
+  // Get all catalog tractors (private tractors are excluded)
   static async getAll() {
-    const query = "SELECT * FROM tractor ORDER BY brand, model";
+    const query = "SELECT * FROM tractor WHERE owner_user_id IS NULL ORDER BY brand, model";
     const result = await pool.query(query);
     return result.rows;
   }
 
-  // Find tractor by ID
-  static async findById(id) {
-    const query = "SELECT * FROM tractor WHERE tractor_id = $1";
-    const result = await pool.query(query, [id]);
+  // Find tractor by ID: catalog tractors, plus the private tractors of userId
+  static async findById(id, userId = null) {
+    const query = `
+      SELECT * FROM tractor
+      WHERE tractor_id = $1
+      AND (owner_user_id IS NULL OR owner_user_id = $2)
+    `;
+    const result = await pool.query(query, [id, userId]);
+    return result.rows[0];
+  }
+
+  // Find several tractors by ID: catalog tractors, plus the private tractors of userId
+  static async findByIds(ids, userId = null) {
+    const query = `
+      SELECT * FROM tractor
+      WHERE tractor_id = ANY($1::int[])
+      AND (owner_user_id IS NULL OR owner_user_id = $2)
+      ORDER BY brand, model
+    `;
+    const result = await pool.query(query, [ids, userId]);
+    return result.rows;
+  }
+
+  // Get the private tractors of a user
+  static async findByOwner(userId) {
+    const query = `
+      SELECT * FROM tractor
+      WHERE owner_user_id = $1
+      ORDER BY registration_date DESC
+    `;
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  }
+
+  // Find a private tractor by ID, only if it belongs to userId
+  static async findByIdAndOwner(id, userId) {
+    const query = "SELECT * FROM tractor WHERE tractor_id = $1 AND owner_user_id = $2";
+    const result = await pool.query(query, [id, userId]);
     return result.rows[0];
   }
 
@@ -32,10 +66,22 @@ class Tractor {
       tire_width_mm,
       tire_diameter_mm,
       tire_pressure_psi,
+      track_width_mm = null,
+      wheelbase_mm = null,
+      cg_height_mm = null,
+      hitch_category = null,
+      rear_lift_capacity_kg = null,
+      pto_speed_rpm = null,
+      hydraulic_flow_lpm = null,
+      pto_power_hp = null,
+      aspiration_type = "aspirated",
       price_usd = null,
       fuel_consumption_lph = null,
       maintenance_cost_per_hour = null,
       status = "available",
+      owner_user_id = null,
+      hour_meter_hours = null,
+      purchase_date = null,
     } = tractorData;
 
     const normalizedPrice = price ?? price_usd;
@@ -46,9 +92,13 @@ class Tractor {
         name, brand, model, image_url, model_year, engine_power_hp, price, weight_kg,
         traction_force_kn, traction_type, tire_type, tire_width_mm,
         tire_diameter_mm, tire_pressure_psi, price_usd,
-        fuel_consumption_lph, maintenance_cost_per_hour, status
+        fuel_consumption_lph, maintenance_cost_per_hour, status,
+        track_width_mm, wheelbase_mm, cg_height_mm,
+        hitch_category, rear_lift_capacity_kg, pto_speed_rpm, hydraulic_flow_lpm,
+        pto_power_hp, aspiration_type,
+        owner_user_id, hour_meter_hours, purchase_date
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29, $30)
       RETURNING *
     `;
     const values = [
@@ -70,12 +120,24 @@ class Tractor {
       fuel_consumption_lph,
       maintenance_cost_per_hour,
       status,
+      track_width_mm,
+      wheelbase_mm,
+      cg_height_mm,
+      hitch_category,
+      rear_lift_capacity_kg,
+      pto_speed_rpm,
+      hydraulic_flow_lpm,
+      pto_power_hp,
+      aspiration_type,
+      owner_user_id,
+      hour_meter_hours,
+      purchase_date,
     ];
     const result = await pool.query(query, values);
     return result.rows[0];
   }
 
-  // Update tractor
+  // Update tractor (the owner of a private tractor cannot be changed)
   static async update(id, tractorData) {
     const {
       name,
@@ -92,10 +154,21 @@ class Tractor {
       tire_width_mm,
       tire_diameter_mm,
       tire_pressure_psi,
+      track_width_mm,
+      wheelbase_mm,
+      cg_height_mm,
+      hitch_category,
+      rear_lift_capacity_kg,
+      pto_speed_rpm,
+      hydraulic_flow_lpm,
+      pto_power_hp,
+      aspiration_type,
       price_usd = null,
       fuel_consumption_lph = null,
       maintenance_cost_per_hour = null,
       status,
+      hour_meter_hours,
+      purchase_date,
     } = tractorData;
 
     const normalizedPrice = price ?? price_usd;
@@ -120,8 +193,19 @@ class Tractor {
           price_usd = COALESCE($15, price_usd),
           fuel_consumption_lph = COALESCE($16, fuel_consumption_lph),
           maintenance_cost_per_hour = COALESCE($17, maintenance_cost_per_hour),
-          status = COALESCE($18, status)
-      WHERE tractor_id = $19
+          status = COALESCE($18, status),
+          track_width_mm = COALESCE($19, track_width_mm),
+          wheelbase_mm = COALESCE($20, wheelbase_mm),
+          cg_height_mm = COALESCE($21, cg_height_mm),
+          hitch_category = COALESCE($22, hitch_category),
+          rear_lift_capacity_kg = COALESCE($23, rear_lift_capacity_kg),
+          pto_speed_rpm = COALESCE($24, pto_speed_rpm),
+          hydraulic_flow_lpm = COALESCE($25, hydraulic_flow_lpm),
+          pto_power_hp = COALESCE($26, pto_power_hp),
+          aspiration_type = COALESCE($27, aspiration_type),
+          hour_meter_hours = COALESCE($28, hour_meter_hours),
+          purchase_date = COALESCE($29, purchase_date)
+      WHERE tractor_id = $30
       RETURNING *
     `;
     const values = [
@@ -143,6 +227,17 @@ class Tractor {
       fuel_consumption_lph,
       maintenance_cost_per_hour,
       status,
+      track_width_mm,
+      wheelbase_mm,
+      cg_height_mm,
+      hitch_category,
+      rear_lift_capacity_kg,
+      pto_speed_rpm,
+      hydraulic_flow_lpm,
+      pto_power_hp,
+      aspiration_type,
+      hour_meter_hours,
+      purchase_date,
       id,
     ];
     const result = await pool.query(query, values);
@@ -162,6 +257,7 @@ class Tractor {
       SELECT * FROM tractor 
       WHERE engine_power_hp BETWEEN $1 AND $2
       AND status = 'available'
+      AND owner_user_id IS NULL
       ORDER BY engine_power_hp
     `;
     const result = await pool.query(query, [minHP, maxHP]);
@@ -173,6 +269,7 @@ class Tractor {
     const query = `
       SELECT * FROM tractor 
       WHERE LOWER(brand) LIKE LOWER($1)
+      AND owner_user_id IS NULL
       ORDER BY model
     `;
     const result = await pool.query(query, [`%${brand}%`]);
@@ -193,7 +290,8 @@ class Tractor {
       order = "asc",
     } = filters;
 
-    const conditions = [];
+    // Only the public catalog; private tractors are listed through findByOwner
+    const conditions = ["owner_user_id IS NULL"];
     const values = [];
     let paramIndex = 1;
 
@@ -234,8 +332,7 @@ class Tractor {
       paramIndex++;
     }
 
-    const whereClause =
-      conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const whereClause = `WHERE ${conditions.join(" AND ")}`;
 
     // Build ORDER BY: relevance first (if q provided), then user sort
     let orderByClause;
@@ -313,6 +410,7 @@ class Tractor {
     const query = `
       SELECT * FROM tractor 
       WHERE status = 'available'
+      AND owner_user_id IS NULL
       ORDER BY engine_power_hp DESC
     `;
     const result = await pool.query(query);
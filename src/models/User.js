@@ -37,6 +37,13 @@ class User {
     return result.rows[0];
   }
 
+  // Find the preferred unit system of a user (null when not set)
+  static async findPreferredUnits(id) {
+    const query = 'SELECT preferred_units FROM users WHERE user_id = $1';
+    const result = await pool.query(query, [id]);
+    return result.rows[0]?.preferred_units ?? null;
+  }
+
   // Get all users
   static async getAll() {
     const query = `
@@ -7,4 +7,9 @@ export { default as Terrain } from './Terrain.js';
 export { default as Query } from './Query.js';
 export { default as PowerLoss } from './PowerLoss.js';
 export { default as Recommendation } from './Recommendation.js';
+export { default as RecommendationFeedback } from './RecommendationFeedback.js';
+export { default as ScoringPreset } from './ScoringPreset.js';
 export { default as QueryHistory } from './QueryHistory.js';
+export { default as QuerySet } from './QuerySet.js';
+export { default as CalculationProfile } from './CalculationProfile.js';
+export { default as SoilType } from './SoilType.js';
@@ -4,7 +4,8 @@ import { verifyTokenMiddleware, requireRole } from '../middleware/auth.middlewar
 import {
     getOverviewStats,
     getRecommendationStats,
-    getUserStats
+    getUserStats,
+    getRecommendationFeedbackStats,
 } from '../controllers/adminController.js';
 import { isAdmin } from '../middleware/auth.middleware.js';
 import { notifySystemMaintenance } from '../services/notificationService.js';
@@ -14,6 +15,14 @@ import {
     getUserById,
     updateUser,
 } from '../controllers/adminUserController.js';
+import {
+    getAllProfiles,
+    getActive,
+    getProfile,
+    createCalculationProfile,
+    activateProfile,
+    rollbackCalculationProfile,
+} from '../controllers/calculationProfileController.js';
 
 const router = Router();
 
@@ -90,6 +99,40 @@ router.get('/stats/overview', verifyTokenMiddleware, requireRole('admin'), getOv
  */
 router.get('/stats/recommendations', verifyTokenMiddleware, requireRole('admin'), getRecommendationStats);
 
+/**
+ * @swagger
+ * /api/admin/stats/recommendation-feedback:
+ *   get:
+ *     summary: Reporte de aceptación de recomendaciones
+ *     description: |
+ *       Resume el feedback de los usuarios sobre sus recomendaciones: tasa de aceptación,
+ *       compras y calificación media en total, por tractor y por criterio de puntaje.
+ *       El criterio de una recomendación es el que más aportó a su puntaje (la "razón
+ *       principal" de la explicación). Incluye los motivos de rechazo más frecuentes.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Limita el reporte al feedback de los últimos N días
+ *     responses:
+ *       200:
+ *         description: Reporte obtenido exitosamente
+ *       400:
+ *         description: days inválido
+ *       401:
+ *         description: Token no proporcionado o inválido
+ *       403:
+ *         description: Acceso restringido a administradores
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/stats/recommendation-feedback', verifyTokenMiddleware, requireRole('admin'), getRecommendationFeedbackStats);
+
 /**
  * @swagger
  * /api/admin/stats/users:
@@ -279,4 +322,167 @@ router.get('/users/:id', verifyTokenMiddleware, requireRole('admin'), getUserByI
  */
 router.put('/users/:id', verifyTokenMiddleware, requireRole('admin'), updateUser);
 
+// ==================== CALCULATION PROFILES ====================
+
+/**
+ * @swagger
+ * /api/admin/calculation-profiles:
+ *   get:
+ *     summary: Listar versiones de perfiles de cálculo (Admin)
+ *     description: |
+ *       Retorna todas las versiones de coeficientes de cálculo, de la más reciente a la más antigua,
+ *       indicando cuál está activa. No incluye los coeficientes (ver /{version}). Solo administradores.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de perfiles obtenida exitosamente
+ *       401:
+ *         description: Token no proporcionado o inválido
+ *       403:
+ *         description: Acceso restringido a administradores
+ */
+router.get('/calculation-profiles', verifyTokenMiddleware, requireRole('admin'), getAllProfiles);
+
+/**
+ * @swagger
+ * /api/admin/calculation-profiles/active:
+ *   get:
+ *     summary: Obtener el perfil de cálculo activo (Admin)
+ *     description: |
+ *       Retorna la versión activa y sus coeficientes completos. Si no hay ninguna activa,
+ *       retorna los valores por defecto del código con version null. Solo administradores.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Perfil activo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CalculationProfile'
+ */
+router.get('/calculation-profiles/active', verifyTokenMiddleware, requireRole('admin'), getActive);
+
+/**
+ * @swagger
+ * /api/admin/calculation-profiles/rollback:
+ *   post:
+ *     summary: Revertir al perfil de cálculo anterior (Admin)
+ *     description: |
+ *       Reactiva la versión que estaba activa antes de la actual (previous_version).
+ *       Revertir varias veces recorre la cadena de activaciones hacia atrás. Solo administradores.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Perfil revertido exitosamente
+ *       409:
+ *         description: No hay un perfil anterior al que volver
+ */
+router.post('/calculation-profiles/rollback', verifyTokenMiddleware, requireRole('admin'), rollbackCalculationProfile);
+
+/**
+ * @swagger
+ * /api/admin/calculation-profiles:
+ *   post:
+ *     summary: Crear una versión de perfil de cálculo (Admin)
+ *     description: |
+ *       Crea una nueva versión a partir del perfil activo (o de base_version) aplicando los
+ *       coeficientes enviados. Se guardan los coeficientes completos y la versión queda inactiva
+ *       salvo que se envíe activate=true. Solo administradores.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Calibración 2026 suelos arcillosos"
+ *               description:
+ *                 type: string
+ *                 example: "Margen de seguridad 20% y Cn de arcilla medido en campo"
+ *               base_version:
+ *                 type: integer
+ *                 description: Versión de partida (por defecto la activa)
+ *               activate:
+ *                 type: boolean
+ *                 default: false
+ *               coefficients:
+ *                 $ref: '#/components/schemas/CalculationCoefficients'
+ *     responses:
+ *       201:
+ *         description: Perfil creado exitosamente
+ *       400:
+ *         description: Nombre o coeficientes inválidos
+ *       404:
+ *         description: Versión base no encontrada
+ */
+router.post('/calculation-profiles', verifyTokenMiddleware, requireRole('admin'), createCalculationProfile);
+
+/**
+ * @swagger
+ * /api/admin/calculation-profiles/{version}:
+ *   get:
+ *     summary: Obtener una versión de perfil de cálculo (Admin)
+ *     description: Retorna la versión con sus coeficientes, para explicar resultados guardados con ella. Solo administradores.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Versión del perfil
+ *     responses:
+ *       200:
+ *         description: Perfil encontrado
+ *       404:
+ *         description: Perfil no encontrado
+ */
+router.get('/calculation-profiles/:version', verifyTokenMiddleware, requireRole('admin'), getProfile);
+
+/**
+ * @swagger
+ * /api/admin/calculation-profiles/{version}/activate:
+ *   post:
+ *     summary: Activar una versión de perfil de cálculo (Admin)
+ *     description: |
+ *       Activa la versión indicada y desactiva la anterior. Los cálculos siguientes usan
+ *       sus coeficientes y registran su versión. Solo administradores.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Versión a activar
+ *     responses:
+ *       200:
+ *         description: Perfil activado exitosamente
+ *       404:
+ *         description: Perfil no encontrado
+ */
+router.post('/calculation-profiles/:version/activate', verifyTokenMiddleware, requireRole('admin'), activateProfile);
+
 export default router;
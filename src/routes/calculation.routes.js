@@ -1,6 +1,6 @@
 import { Router } from 'express';
-import { calculatePowerLoss, calculateMinimumPower, calculateDirectPowerLoss, calculateDirectMinimumPower, getCalculationHistory } from '../controllers/calculationController.js';
-import { validatePowerLossRequest, validateImplementRequirement, validateDirectPowerLossRequest, validateDirectMinimumPowerRequest } from '../middleware/calculationValidation.middleware.js';
+import { calculatePowerLoss, calculateMinimumPower, calculateDirectPowerLoss, calculateDirectMinimumPower, calculateOperatingCost, calculatePowerSensitivity, calculatePowerUncertainty, calculatePowerLossBatch, calculateOptimalSpeed, getCalculationHistory, replayCalculation } from '../controllers/calculationController.js';
+import { validatePowerLossRequest, validateImplementRequirement, validateDirectPowerLossRequest, validateDirectMinimumPowerRequest, validateOperatingCostRequest, validateSensitivityRequest, validateUncertaintyRequest, validateBatchPowerLossRequest, validateOptimalSpeedRequest } from '../middleware/calculationValidation.middleware.js';
 import { verifyTokenMiddleware } from '../middleware/auth.middleware.js';
 
 const router = Router();
@@ -22,7 +22,9 @@ const router = Router();
  *       - 🏔️ **Pendiente**: Pérdida por inclinación del terreno
  *       - 🌐 **Altitud**: Pérdida por altitud sobre el nivel del mar (densidad del aire)
  *       - 🔄 **Resistencia al rodamiento**: Según tipo de suelo (Índice de Cono ASABE D497.7)
- *       - 💨 **Deslizamiento**: Pérdida por patinaje de las ruedas
+ *       - 💨 **Deslizamiento**: Pérdida por patinaje de las ruedas. Si no se envía
+ *         `slippage_percent`, se predice con ASABE D497 (número de movilidad) a partir de
+ *         los neumáticos del tractor, la carga dinámica del eje y el índice de cono del suelo
  *       
  *       El resultado se persiste en la base de datos con registro de auditoría.
  *     tags: [Calculations]
@@ -39,7 +41,6 @@ const router = Router();
  *             terrain_id: 1
  *             working_speed_kmh: 7.5
  *             carried_objects_weight_kg: 500
- *             slippage_percent: 10
  *     responses:
  *       200:
  *         description: Cálculo de pérdidas de potencia realizado exitosamente
@@ -88,6 +89,257 @@ const router = Router();
  */
 router.post('/power-loss', verifyTokenMiddleware, validatePowerLossRequest, calculatePowerLoss);
 
+/**
+ * @swagger
+ * /api/calculations/power-loss/sensitivity:
+ *   post:
+ *     summary: Análisis de sensibilidad (what-if) de pérdidas de potencia
+ *     description: |
+ *       Barre una o dos entradas del cálculo de pérdidas sobre un rango y devuelve la
+ *       curva o superficie de potencia neta y eficiencia. Entradas soportadas:
+ *       `working_speed_kmh`, `ballast_weight_kg` (lastre adicional), `slippage_percent`,
+ *       `slope_percent` y `altitude_m`.
+ *
+ *       Con `min_net_power_hp` cada punto se marca como viable o no, y en una curva se
+ *       informan los tramos donde el tractor deja de ser viable. `sensitivity` ordena las
+ *       entradas por el cambio de potencia neta que produce un paso de referencia de cada una.
+ *       No se persiste.
+ *     tags: [Calculations]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SensitivityRequest'
+ *           example:
+ *             tractor_id: 1
+ *             terrain_id: 1
+ *             working_speed_kmh: 7
+ *             sweeps:
+ *               - parameter: working_speed_kmh
+ *                 min: 3
+ *                 max: 15
+ *                 steps: 13
+ *             min_net_power_hp: 60
+ *     responses:
+ *       200:
+ *         description: Barrido y ranking de sensibilidad
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SensitivityResponse'
+ *       400:
+ *         description: Datos inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Token no proporcionado o inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Tractor o terreno no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/power-loss/sensitivity', verifyTokenMiddleware, validateSensitivityRequest, calculatePowerSensitivity);
+
+/**
+ * @swagger
+ * /api/calculations/power-loss/uncertainty:
+ *   post:
+ *     summary: Bandas de incertidumbre (Monte Carlo) de la potencia neta
+ *     description: |
+ *       Las entradas del terreno son estimaciones. Cada entrada de `uncertainty` se describe
+ *       con un número fijo, una estimación `{ min, likely, max }` (triangular) o una
+ *       distribución `{ distribution: uniform, min, max }` / `{ distribution: normal, mean, sd }`.
+ *       Entradas soportadas: `slope_percent`, `ambient_temperature_c`, `slippage_percent`,
+ *       `altitude_m`, `working_speed_kmh` y `cone_index`.
+ *
+ *       Se simulan `iterations` muestras del modelo de pérdidas con un generador de semilla
+ *       `seed` (misma semilla, mismo resultado) y se devuelven P10/P50/P90 de la potencia neta
+ *       y la eficiencia. Con `implement_id` (potencia mínima del implemento en el terreno) o
+ *       `required_power_hp` se informa la probabilidad de que la potencia neta quede por
+ *       debajo del requerimiento. No se persiste.
+ *     tags: [Calculations]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UncertaintyRequest'
+ *           example:
+ *             tractor_id: 1
+ *             terrain_id: 1
+ *             working_speed_kmh: 7
+ *             implement_id: 2
+ *             uncertainty:
+ *               slope_percent: { min: 4, likely: 8, max: 14 }
+ *               ambient_temperature_c: { distribution: normal, mean: 24, sd: 4 }
+ *               slippage_percent: { distribution: uniform, min: 8, max: 18 }
+ *             iterations: 2000
+ *             seed: 42
+ *     responses:
+ *       200:
+ *         description: Percentiles de potencia neta y eficiencia
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UncertaintyResponse'
+ *       400:
+ *         description: Datos o distribuciones inválidas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Token no proporcionado o inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Tractor, terreno o implemento no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/power-loss/uncertainty', verifyTokenMiddleware, validateUncertaintyRequest, calculatePowerUncertainty);
+
+/**
+ * @swagger
+ * /api/calculations/power-loss/batch:
+ *   post:
+ *     summary: Matriz de pérdidas de potencia por lote (tractores × terrenos)
+ *     description: |
+ *       Calcula las pérdidas de potencia de cada tractor en cada terreno del usuario con los
+ *       mismos parámetros de operación, en una sola solicitud. Los tractores se eligen por
+ *       `tractor_ids` o con `tractor_filters` del catálogo (se toman los de mayor potencia hasta
+ *       llenar la matriz; `truncated` indica si quedaron tractores afuera). Máximo 50 tractores,
+ *       20 terrenos y 500 celdas.
+ *
+ *       `format: csv` devuelve la matriz como CSV enviado fila por fila. Con `persist: true` la
+ *       matriz se guarda como un único `query_set` (no una fila de `query` por celda); su ID
+ *       viene en `query_set_id` o, en CSV, en el header `X-Query-Set-Id`. Una celda que no se
+ *       puede calcular trae `error` y no interrumpe el resto.
+ *     tags: [Calculations]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BatchPowerLossRequest'
+ *           example:
+ *             tractor_filters:
+ *               brand: John Deere
+ *               min_power_hp: 90
+ *             terrain_ids: [1, 2, 3]
+ *             working_speed_kmh: 7
+ *             persist: true
+ *             name: Comparación flota norte
+ *     responses:
+ *       200:
+ *         description: Matriz calculada (JSON o CSV)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchPowerLossResponse'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Datos inválidos o matriz demasiado grande
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Token no proporcionado o inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Tractores o terrenos no encontrados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/power-loss/batch', verifyTokenMiddleware, validateBatchPowerLossRequest, calculatePowerLossBatch);
+
+/**
+ * @swagger
+ * /api/calculations/optimal-speed:
+ *   post:
+ *     summary: Velocidad óptima de trabajo
+ *     description: |
+ *       Busca la velocidad de trabajo para un conjunto tractor–implemento–terreno dentro del
+ *       rango de velocidades del tipo de implemento (ASABE D497).
+ *
+ *       Una velocidad es factible si la potencia neta tras todas las pérdidas cubre el
+ *       requerimiento del implemento a esa velocidad (tiro ASABE o requerimiento de catálogo).
+ *       `objective` elige entre maximizar la capacidad de campo (`max_capacity`) o minimizar
+ *       el consumo por hectárea (`min_fuel`).
+ *
+ *       `binding_constraint` indica qué limita la recomendación: `net_power` (la potencia
+ *       neta acota la ventana factible), `implement_speed_range` (límite del rango del
+ *       implemento) o `none` (óptimo interior). Si ninguna velocidad es factible,
+ *       `recommended_speed_kmh` es null. No se persiste.
+ *     tags: [Calculations]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OptimalSpeedRequest'
+ *           example:
+ *             tractor_id: 1
+ *             terrain_id: 1
+ *             implement_id: 2
+ *             objective: min_fuel
+ *     responses:
+ *       200:
+ *         description: Velocidad recomendada, ventana factible y restricción activa
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OptimalSpeedResponse'
+ *       400:
+ *         description: Datos inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Token no proporcionado o inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Tractor, terreno o implemento no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/optimal-speed', verifyTokenMiddleware, validateOptimalSpeedRequest, calculateOptimalSpeed);
+
 /**
  * @swagger
  * /api/calculations/direct-power-loss:
@@ -153,6 +405,10 @@ router.post('/direct-minimum-power', validateDirectMinimumPowerRequest, calculat
  *       - Profundidad de trabajo
  *       - Tipo de suelo
  *       - Pendiente del terreno
+ *       
+ *       **Modelo de tiro ASABE D497:** para arados, rastras, cultivadores, sembradoras y segadoras
+ *       la potencia se calcula a partir del tiro del implemento (ancho, profundidad, velocidad y
+ *       textura del suelo). La respuesta incluye el tiro en kN, la potencia en la barra y la de TDF.
  *     tags: [Calculations]
  *     security:
  *       - BearerAuth: []
@@ -166,6 +422,7 @@ router.post('/direct-minimum-power', validateDirectMinimumPowerRequest, calculat
  *             implement_id: 1
  *             terrain_id: 1
  *             working_depth_m: 0.3
+ *             working_speed_kmh: 7
  *     responses:
  *       200:
  *         description: Cálculo de potencia mínima completado con recomendaciones de tractores
@@ -214,6 +471,68 @@ router.post('/direct-minimum-power', validateDirectMinimumPowerRequest, calculat
  */
 router.post('/minimum-power', verifyTokenMiddleware, validateImplementRequirement, calculateMinimumPower);
 
+/**
+ * @swagger
+ * /api/calculations/operating-cost:
+ *   post:
+ *     summary: Calcular costo de propiedad y operación
+ *     description: |
+ *       Calcula el costo total por hora y por hectárea de un tractor con su implemento
+ *       según ASABE EP496 / D497, con desglose por concepto:
+ *       - **Propiedad**: depreciación (precio y año de modelo), interés, seguro y alojamiento
+ *       - **Operación**: reparación y mantenimiento (`maintenance_cost_per_hour` o curva ASABE),
+ *         combustible a carga parcial, lubricación y mano de obra
+ *
+ *       El costo por hectárea requiere un implemento (capacidad de campo efectiva).
+ *     tags: [Calculations]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OperatingCostRequest'
+ *           example:
+ *             tractor_id: 1
+ *             implement_id: 2
+ *             annual_hours: 500
+ *             implement_price: 9000
+ *             fuel_price_per_l: 1.15
+ *     responses:
+ *       200:
+ *         description: Costo calculado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OperatingCostResponse'
+ *       400:
+ *         description: Datos inválidos o tractor sin precio registrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Token no proporcionado o inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Tractor o implemento no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Error interno del servidor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/operating-cost', verifyTokenMiddleware, validateOperatingCostRequest, calculateOperatingCost);
+
 /**
  * @swagger
  * /api/calculations/history:
@@ -301,4 +620,59 @@ router.post('/minimum-power', verifyTokenMiddleware, validateImplementRequiremen
  */
 router.get('/history', verifyTokenMiddleware, getCalculationHistory);
 
+/**
+ * @swagger
+ * /api/calculations/{queryId}/replay:
+ *   post:
+ *     summary: Reproducir un cálculo de pérdidas con el modelo actual
+ *     description: |
+ *       Cada cálculo de pérdidas guarda la instantánea completa de sus entradas y la versión
+ *       del modelo. Este endpoint repite el cálculo desde esa instantánea con los coeficientes
+ *       del perfil activo y el catálogo de suelos actual, y devuelve la diferencia campo a campo
+ *       contra el resultado original (`diff`). Solo el dueño del cálculo puede reproducirlo.
+ *       No se persiste.
+ *     tags: [Calculations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: queryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del cálculo de pérdidas
+ *     responses:
+ *       200:
+ *         description: Cálculo reproducido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReplayResponse'
+ *       400:
+ *         description: ID inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Token no proporcionado o inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Cálculo de pérdidas no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: El cálculo no tiene instantánea de entradas (anterior a la migración 014)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/:queryId/replay', verifyTokenMiddleware, replayCalculation);
+
 export default router;
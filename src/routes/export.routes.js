@@ -3,7 +3,9 @@ import { verifyTokenMiddleware } from '../middleware/auth.middleware.js';
 import {
   exportTractorsCatalog,
   exportUserRecommendationsPdf,
+  exportTractorComparisonPdf,
 } from '../controllers/exportController.js';
+import { loadTractorComparison } from '../controllers/recommendationController.js';
 
 const router = Router();
 
@@ -64,4 +66,53 @@ router.get('/tractors', verifyTokenMiddleware, exportTractorsCatalog);
  */
 router.get('/recommendations', verifyTokenMiddleware, exportUserRecommendationsPdf);
 
+/**
+ * @swagger
+ * /api/exports/comparison:
+ *   post:
+ *     summary: Exportar comparación de tractores en PDF
+ *     description: |
+ *       Genera en PDF la comparación de `POST /api/recommendations/compare` con el
+ *       mismo body: una tarjeta por tractor y una tabla por sección con el ganador
+ *       de cada fila resaltado. Debe enviarse `format=pdf`.
+ *     tags: [Exports]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [pdf]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [terrain_id, implement_id, tractor_ids]
+ *             properties:
+ *               terrain_id:
+ *                 type: integer
+ *               implement_id:
+ *                 type: integer
+ *               tractor_ids:
+ *                 type: array
+ *                 minItems: 2
+ *                 maxItems: 3
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Archivo PDF generado exitosamente
+ *       400:
+ *         description: Formato o body inválido
+ *       401:
+ *         description: Token no proporcionado o inválido
+ *       404:
+ *         description: Terreno, implemento o alguno de los tractores no encontrado
+ */
+router.post('/comparison', verifyTokenMiddleware, loadTractorComparison, exportTractorComparisonPdf);
+
 export default router;
@@ -328,7 +328,7 @@ router.get("/:id", getImplementById);
  *     summary: Crear nuevo implemento
  *     description: |
  *       Crea un nuevo implemento agrícola en el catálogo. **Solo administradores**.
- *       Tipos válidos: plow, harrow, seeder, sprayer, harvester, cultivator, mower, trailer, other.
+ *       Tipos válidos: plow, harrow, seeder, sprayer, harvester, cultivator, mower, rotary_tiller, baler, trailer, other.
  *     tags: [Implements]
  *     security:
  *       - BearerAuth: []
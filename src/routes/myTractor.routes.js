@@ -0,0 +1,247 @@
+import { Router } from "express";
+import {
+  getMyTractors,
+  getMyTractorById,
+  createMyTractor,
+  updateMyTractor,
+  deleteMyTractor,
+} from "../controllers/myTractorController.js";
+import { getMyCompatibleImplements } from "../controllers/tractorController.js";
+import { verifyTokenMiddleware } from "../middleware/auth.middleware.js";
+import { paginationMiddleware } from "../middleware/pagination.middleware.js";
+import { invalidateCacheMiddleware } from "../middleware/cache.middleware.js";
+
+const router = Router();
+
+// Garaje privado: todas las rutas requieren autenticación
+// Cada usuario solo ve/edita/elimina sus propios tractores; no aparecen en el catálogo
+// Base path: /api/my-tractors
+
+/**
+ * @swagger
+ * /api/my-tractors:
+ *   get:
+ *     summary: Listar los tractores propios del usuario
+ *     description: |
+ *       Retorna los tractores del garaje privado del usuario autenticado. Estos tractores
+ *       no aparecen en el catálogo público ni para otros usuarios, pero su `tractor_id`
+ *       se acepta en los cálculos (pérdida de potencia, sensibilidad, incertidumbre,
+ *       velocidad óptima, costo operativo, lote) y en la recomendación de implementos.
+ *     tags: [My Tractors]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Lista paginada de tractores propios
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Tractor'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Token no proporcionado o inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/", verifyTokenMiddleware, paginationMiddleware(), getMyTractors);
+
+/**
+ * @swagger
+ * /api/my-tractors/{id}:
+ *   get:
+ *     summary: Obtener un tractor propio
+ *     tags: [My Tractors]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tractor propio
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Tractor'
+ *       400:
+ *         description: ID de tractor inválido
+ *       404:
+ *         description: Tractor no encontrado o no pertenece al usuario
+ */
+router.get("/:id", verifyTokenMiddleware, getMyTractorById);
+
+/**
+ * @swagger
+ * /api/my-tractors/{id}/compatible-implements:
+ *   get:
+ *     summary: Implementos compatibles con un tractor propio
+ *     description: |
+ *       Igual que `GET /api/tractors/{id}/compatible-implements` para un tractor del
+ *       garaje del usuario (enganche, levante, TDF e hidráulica).
+ *     tags: [My Tractors]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Implementos compatibles e incompatibles con el motivo
+ *       404:
+ *         description: Tractor no encontrado o no accesible
+ */
+router.get("/:id/compatible-implements", verifyTokenMiddleware, getMyCompatibleImplements);
+
+/**
+ * @swagger
+ * /api/my-tractors:
+ *   post:
+ *     summary: Registrar un tractor propio
+ *     description: |
+ *       Guarda la ficha del tractor del usuario para no volver a escribirla en cada
+ *       cálculo. Acepta los mismos datos técnicos que el catálogo más el horómetro
+ *       y la fecha de compra; la fuerza de tracción es opcional.
+ *     tags: [My Tractors]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MyTractorCreate'
+ *           example:
+ *             brand: "Massey Ferguson"
+ *             model: "4709"
+ *             engine_power_hp: 90
+ *             weight_kg: 3800
+ *             traction_type: "4x4"
+ *             aspiration_type: "turbo"
+ *             hour_meter_hours: 3250
+ *             purchase_date: "2019-08-15"
+ *     responses:
+ *       201:
+ *         description: Tractor registrado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                   example: "Tractor registrado exitosamente"
+ *                 data:
+ *                   $ref: '#/components/schemas/Tractor'
+ *       400:
+ *         description: Error de validación (lista en `errors`)
+ *       401:
+ *         description: Token no proporcionado o inválido
+ */
+router.post("/", verifyTokenMiddleware, createMyTractor);
+
+/**
+ * @swagger
+ * /api/my-tractors/{id}:
+ *   put:
+ *     summary: Actualizar un tractor propio
+ *     description: Solo se actualizan los campos proporcionados (COALESCE).
+ *     tags: [My Tractors]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MyTractorCreate'
+ *           example:
+ *             hour_meter_hours: 3410
+ *     responses:
+ *       200:
+ *         description: Tractor actualizado exitosamente
+ *       400:
+ *         description: ID inválido o error de validación
+ *       404:
+ *         description: Tractor no encontrado o no pertenece al usuario
+ */
+router.put(
+  "/:id",
+  verifyTokenMiddleware,
+  invalidateCacheMiddleware("*recommendations*"),
+  updateMyTractor,
+);
+
+/**
+ * @swagger
+ * /api/my-tractors/{id}:
+ *   delete:
+ *     summary: Eliminar un tractor propio
+ *     description: |
+ *       Elimina el tractor de forma permanente, como los terrenos: también se borran
+ *       los cálculos que lo usan.
+ *     tags: [My Tractors]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tractor eliminado exitosamente
+ *       400:
+ *         description: ID de tractor inválido
+ *       404:
+ *         description: Tractor no encontrado o no pertenece al usuario
+ */
+router.delete(
+  "/:id",
+  verifyTokenMiddleware,
+  invalidateCacheMiddleware("*recommendations*"),
+  deleteMyTractor,
+);
+
+export default router;
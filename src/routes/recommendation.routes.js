@@ -2,10 +2,25 @@ import { Router } from "express";
 import {
   generateRecommendation,
   generateAdvancedRecommendation,
+  recommendImplements,
+  explainTractorRecommendation,
+  loadTractorComparison,
+  getTractorComparison,
   getRecommendationHistory,
   getRecommendationById,
+  submitRecommendationFeedback,
+  getRecommendationFeedback,
+  getLearnedPreferences,
 } from "../controllers/recommendationController.js";
+import {
+  getPresets,
+  getPresetById,
+  createPreset,
+  updatePreset,
+  deletePreset,
+} from "../controllers/scoringPresetController.js";
 import { verifyTokenMiddleware } from "../middleware/auth.middleware.js";
+import { validateImplementRecommendationRequest } from "../middleware/calculationValidation.middleware.js";
 
 import { cacheMiddleware } from "../middleware/cache.middleware.js";
 
@@ -25,6 +40,7 @@ const router = Router();
  *       **Flujo del algoritmo de recomendación:**
  *       1. Valida ownership del terreno (debe pertenecer al usuario autenticado)
  *       2. Calcula la potencia mínima requerida para el implemento en el terreno
+ *          (tiro ASABE D497 en kN, potencia en la barra y de TDF cuando el tipo de implemento lo permite)
  *       3. Analiza características del terreno (pendiente, tipo de suelo)
  *       4. Evalúa cada tractor disponible con scoring multi-criterio:
  *          - ⚡ **Eficiencia energética**: Utilización óptima de potencia
@@ -35,6 +51,11 @@ const router = Router();
  *       5. Retorna top 5 tractores rankeados con explicaciones detalladas
  *       6. Persiste las top 3 recomendaciones en la base de datos
  *
+ *       **Modo `fleet_first`:** evalúa primero los tractores del garaje del usuario y solo
+ *       recurre al catálogo si ninguno califica. Cada opción indica `source` (`owned` o
+ *       `purchase`) y `capitalCostAvoided` (precio del tractor del catálogo que no hace
+ *       falta comprar).
+ *
  *       **Clasificaciones posibles:**
  *       - 🟢 OPTIMAL: Ajuste perfecto de potencia
  *       - 🟡 GOOD: Buen balance potencia/necesidad
@@ -78,6 +99,11 @@ const router = Router();
  *                   slope_percentage: 15
  *                 powerRequirement:
  *                   minimum_power_hp: 95.5
+ *                   model: "asabe_draft"
+ *                   draft:
+ *                     draftKn: 20.29
+ *                     drawbarPowerHP: 55.6
+ *                     ptoPowerHP: 0
  *                 recommendations:
  *                   - rank: 1
  *                     tractor:
@@ -149,6 +175,22 @@ router.post("/generate", verifyTokenMiddleware, generateRecommendation);
  *       - Filtro estricto por presupuesto máximo (`budget`).
  *       - Preferencia de marca elegida (`brandPreference`).
  *       - Pesos customizables para evaluar: adecuación de potencia, precio, preferencia de marca y eficiencia de combustible.
+ *
+ *       **Modo `pareto`:** en lugar de sumar los criterios en un puntaje, mide cada tractor
+ *       compatible en los `objectives` elegidos (`purchase_price`, `cost_per_hectare`,
+ *       `field_capacity`, `power_margin`; al menos dos, todos por defecto) y retorna el
+ *       frente no dominado (`front`). Cada tractor dominado (`dominated`) lista en
+ *       `dominatedBy` los tractores que lo superan. No se persiste (`queryId: null`).
+ *
+ *       **Preferencias aprendidas:** si no se envían `customWeights` o
+ *       `filters.brandPreference`, se completan con las preferencias aprendidas del
+ *       feedback del usuario (ver `GET /api/recommendations/preferences`).
+ *       `data.learnedPreferences.applied` indica qué se aplicó; se desactiva con
+ *       `use_learned_preferences: false`.
+ *
+ *       **Presets:** `preset_id` toma los pesos y filtros de un preset guardado (ver
+ *       `/api/recommendations/presets`); `customWeights` y `filters` del body tienen
+ *       prioridad sobre los del preset. La respuesta indica el preset en `data.preset`.
  *     tags: [Recommendations]
  *     security:
  *       - BearerAuth: []
@@ -184,6 +226,28 @@ router.post("/generate", verifyTokenMiddleware, generateRecommendation);
  *                     type: number
  *                   fuel_efficiency:
  *                     type: number
+ *               mode:
+ *                 type: string
+ *                 enum: [weighted, pareto]
+ *                 default: weighted
+ *               objectives:
+ *                 type: array
+ *                 description: Objetivos del modo pareto (mínimo 2)
+ *                 items:
+ *                   type: string
+ *                   enum: [purchase_price, cost_per_hectare, field_capacity, power_margin]
+ *               annual_hours:
+ *                 type: number
+ *                 description: Horas de uso anual para cost_per_hectare (default 500)
+ *               preset_id:
+ *                 type: integer
+ *                 description: Preset propio o de la organización
+ *               use_learned_preferences:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Completar pesos y marca con las preferencias aprendidas
+ *               fuel_price_per_l:
+ *                 type: number
  *           example:
  *             terrain_id: 1
  *             implement_id: 2
@@ -199,16 +263,435 @@ router.post("/generate", verifyTokenMiddleware, generateRecommendation);
  *       200:
  *         description: Recomendaciones avanzadas generadas exitosamente
  *       400:
- *         description: Campos requeridos faltantes
+ *         description: Campos requeridos faltantes, modo, objetivos, preset_id o use_learned_preferences inválidos
  *       401:
  *         description: Usuario no autenticado
  *       404:
- *         description: Terreno o implemento no encontrado
+ *         description: Terreno, implemento o preset no encontrado
  *       500:
  *         description: Error interno del servidor
  */
 router.post("/advanced", verifyTokenMiddleware, generateAdvancedRecommendation);
 
+/**
+ * @swagger
+ * /api/recommendations/implements:
+ *   post:
+ *     summary: Recomendar implementos para un tractor
+ *     description: |
+ *       Recomendación inversa del flujo "Tengo Tractor": dado un tractor (del catálogo
+ *       o con datos manuales) y un terreno (del usuario o con datos manuales), ordena
+ *       los implementos del catálogo por ajuste.
+ *
+ *       1. Lee los candidatos del catálogo cuya potencia requerida no supera la nominal del tractor
+ *       2. Calcula la potencia mínima de cada implemento en el terreno (modelo de potencia mínima)
+ *       3. La compara con la potencia derateada que el tractor entrega con ese implemento
+ *          (altitud, temperatura, pendiente, suelo y tipo de aspiración)
+ *       4. Sugiere el implemento más ancho de cada tipo que el tractor puede mover,
+ *          ordenados por utilización de la potencia, con su capacidad de campo esperada
+ *
+ *       Los tipos sin ningún implemento compatible se informan en `unmatchedTypes`.
+ *     tags: [Recommendations]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               tractor_id:
+ *                 type: integer
+ *                 description: Tractor del catálogo (alternativa a los datos manuales)
+ *               engine_power_hp:
+ *                 type: number
+ *               weight_kg:
+ *                 type: number
+ *               aspiration_type:
+ *                 type: string
+ *                 enum: [turbo, aspirated]
+ *               traction_type:
+ *                 type: string
+ *               terrain_id:
+ *                 type: integer
+ *                 description: Terreno del usuario (alternativa a los datos manuales)
+ *               soil_type:
+ *                 type: string
+ *               moisture_condition:
+ *                 type: string
+ *                 enum: [dry, moist, wet]
+ *               slope_percent:
+ *                 type: number
+ *               altitude_m:
+ *                 type: number
+ *               ambient_temperature_c:
+ *                 type: number
+ *               area_hectares:
+ *                 type: number
+ *               implement_type:
+ *                 type: string
+ *                 description: Limita la búsqueda a un tipo de implemento
+ *               working_speed_kmh:
+ *                 type: number
+ *               limit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 50
+ *                 default: 10
+ *           example:
+ *             engine_power_hp: 90
+ *             weight_kg: 3800
+ *             aspiration_type: turbo
+ *             traction_type: 4x4
+ *             soil_type: loam
+ *             slope_percent: 6
+ *             altitude_m: 2600
+ *             area_hectares: 20
+ *     responses:
+ *       200:
+ *         description: Implementos recomendados (lista vacía si ninguno es compatible)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recommendations:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           rank:
+ *                             type: integer
+ *                           implement:
+ *                             type: object
+ *                           powerRequirement:
+ *                             type: object
+ *                             properties:
+ *                               minimum_power_hp:
+ *                                 type: number
+ *                               model:
+ *                                 type: string
+ *                           tractorPower:
+ *                             type: object
+ *                             properties:
+ *                               nominalHP:
+ *                                 type: number
+ *                               deratedHP:
+ *                                 type: number
+ *                           surplusHP:
+ *                             type: number
+ *                           utilizationPercent:
+ *                             type: number
+ *                           classification:
+ *                             type: object
+ *                           fieldCapacity:
+ *                             type: object
+ *                             description: Capacidad de campo esperada (ha/h, horas y jornadas con superficie)
+ *                           alternatives:
+ *                             type: integer
+ *                             description: Otros implementos compatibles del mismo tipo
+ *                     unmatchedTypes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     summary:
+ *                       type: object
+ *       400:
+ *         description: Errores de validación
+ *       401:
+ *         description: Usuario no autenticado
+ *       404:
+ *         description: Tractor o terreno no encontrado
+ */
+router.post(
+  "/implements",
+  verifyTokenMiddleware,
+  validateImplementRecommendationRequest,
+  recommendImplements,
+);
+
+/**
+ * @swagger
+ * /api/recommendations/explain:
+ *   post:
+ *     summary: Explicar por qué un tractor no fue recomendado
+ *     description: |
+ *       Evalúa un tractor (del catálogo o del garaje del usuario) con los filtros de
+ *       compatibilidad de `/generate`, en el mismo orden: potencia (derateada en el
+ *       terreno), barra/TDF, 4x4 en pendiente > 15%, estabilidad, acople y disponibilidad.
+ *
+ *       - `excludedBy`: primer filtro que lo excluye (`null` si los pasa todos)
+ *       - `changes`: cambio mínimo de cada filtro que falla, p. ej. `+12 HP`,
+ *         `Necesita tracción 4x4 (u orugas)` o `+200 kg de capacidad de levante`
+ *       - `score`: si pasa los filtros, su puesto frente al catálogo disponible y los
+ *         puntos que le faltan para el top 5 (con los criterios en que pierde)
+ *       - `slip`: con el tiro del implemento conocido, patinaje predicho y lastre para
+ *         no superar 15% (no excluye al tractor)
+ *
+ *       No persiste la consulta.
+ *     tags: [Recommendations]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [terrain_id, implement_id, tractor_id]
+ *             properties:
+ *               terrain_id:
+ *                 type: integer
+ *               implement_id:
+ *                 type: integer
+ *               tractor_id:
+ *                 type: integer
+ *                 description: Tractor del catálogo o del garaje del usuario
+ *               working_depth_m:
+ *                 type: number
+ *               working_speed_kmh:
+ *                 type: number
+ *               pto_distance_m:
+ *                 type: number
+ *           example:
+ *             terrain_id: 1
+ *             implement_id: 2
+ *             tractor_id: 7
+ *     responses:
+ *       200:
+ *         description: Explicación del tractor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     qualifies:
+ *                       type: boolean
+ *                       description: Pasa todos los filtros de compatibilidad
+ *                     recommended:
+ *                       type: boolean
+ *                       description: Queda dentro del top 5
+ *                     excludedBy:
+ *                       type: string
+ *                       nullable: true
+ *                       enum: [power, power_demand, traction, stability, implement, availability]
+ *                     checks:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           filter:
+ *                             type: string
+ *                           passed:
+ *                             type: boolean
+ *                           changes:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                     changes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           filter:
+ *                             type: string
+ *                           type:
+ *                             type: string
+ *                             example: engine_power
+ *                           value:
+ *                             nullable: true
+ *                           unit:
+ *                             type: string
+ *                             nullable: true
+ *                           message:
+ *                             type: string
+ *                             example: "+12 HP"
+ *                     score:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         total:
+ *                           type: number
+ *                         rank:
+ *                           type: integer
+ *                         cutoffScore:
+ *                           type: number
+ *                         gap:
+ *                           type: number
+ *                         criteriaGaps:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                     slip:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         slipPercent:
+ *                           type: number
+ *                         withinLimit:
+ *                           type: boolean
+ *                         ballastKg:
+ *                           type: number
+ *                           nullable: true
+ *       400:
+ *         description: Faltan campos requeridos o pto_distance_m inválido
+ *       401:
+ *         description: Usuario no autenticado
+ *       404:
+ *         description: Terreno, implemento o tractor no encontrado
+ */
+router.post("/explain", verifyTokenMiddleware, explainTractorRecommendation);
+
+/**
+ * @swagger
+ * /api/recommendations/compare:
+ *   post:
+ *     summary: Comparar tractores lado a lado para una labor
+ *     description: |
+ *       Compara 2 o 3 tractores (del catálogo o del garaje del usuario) en el mismo
+ *       terreno y con el mismo implemento: potencia mínima, potencia en el terreno y
+ *       pérdidas, compatibilidad, puntaje con su desglose, consumo de combustible y
+ *       costo de operación.
+ *
+ *       - `rows`: tabla alineada; cada fila trae un valor por tractor en el orden de
+ *         `tractor_ids` y `winner` (ID del mejor según `better`, `null` si la fila es
+ *         informativa, hay empate o no hay datos)
+ *       - `summary.overallWinner`: el compatible de mayor puntaje total
+ *
+ *       El mismo body genera el PDF en `POST /api/exports/comparison?format=pdf`.
+ *       No persiste la consulta.
+ *     tags: [Recommendations]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [terrain_id, implement_id, tractor_ids]
+ *             properties:
+ *               terrain_id:
+ *                 type: integer
+ *               implement_id:
+ *                 type: integer
+ *               tractor_ids:
+ *                 type: array
+ *                 minItems: 2
+ *                 maxItems: 3
+ *                 items:
+ *                   type: integer
+ *               working_depth_m:
+ *                 type: number
+ *               working_speed_kmh:
+ *                 type: number
+ *               pto_distance_m:
+ *                 type: number
+ *               fuel_price_per_l:
+ *                 type: number
+ *               annual_hours:
+ *                 type: number
+ *                 default: 500
+ *           example:
+ *             terrain_id: 1
+ *             implement_id: 2
+ *             tractor_ids: [7, 3, 12]
+ *     responses:
+ *       200:
+ *         description: Comparación de los tractores
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tractors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           compatible:
+ *                             type: boolean
+ *                           excludedBy:
+ *                             type: string
+ *                             nullable: true
+ *                           power:
+ *                             type: object
+ *                           score:
+ *                             type: object
+ *                           fuel:
+ *                             type: object
+ *                           cost:
+ *                             type: object
+ *                             nullable: true
+ *                     rows:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           key:
+ *                             type: string
+ *                             example: derated_power_hp
+ *                           section:
+ *                             type: string
+ *                             enum: [power, compatibility, score, fuel, cost]
+ *                           label:
+ *                             type: string
+ *                           unit:
+ *                             type: string
+ *                             nullable: true
+ *                           better:
+ *                             type: string
+ *                             nullable: true
+ *                             enum: [max, min]
+ *                           values:
+ *                             type: array
+ *                             items: {}
+ *                           winner:
+ *                             type: integer
+ *                             nullable: true
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         wins:
+ *                           type: array
+ *                           items:
+ *                             type: integer
+ *                         compatibleCount:
+ *                           type: integer
+ *                         overallWinner:
+ *                           type: integer
+ *                           nullable: true
+ *       400:
+ *         description: Faltan campos requeridos o tractor_ids, pto_distance_m, fuel_price_per_l o annual_hours inválidos
+ *       401:
+ *         description: Usuario no autenticado
+ *       404:
+ *         description: Terreno, implemento o alguno de los tractores no encontrado
+ */
+router.post("/compare", verifyTokenMiddleware, loadTractorComparison, getTractorComparison);
+
 /**
  * @swagger
  * /api/recommendations/history:
@@ -291,6 +774,263 @@ router.get(
   getRecommendationHistory,
 );
 
+/**
+ * @swagger
+ * /api/recommendations/preferences:
+ *   get:
+ *     summary: Preferencias aprendidas del feedback del usuario
+ *     description: |
+ *       Resume el feedback del usuario en una marca preferida inferida (la más
+ *       aceptada, con las compras contando doble) y en pesos ajustados de la
+ *       recomendación avanzada. Un criterio gana peso cuando las recomendaciones en
+ *       las que fue la razón principal satisfacen más que el promedio, y cuando los
+ *       rechazos lo citan (`reason_code`). Los pesos se aprenden desde 5 feedback.
+ *     tags: [Recommendations]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferencias aprendidas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/LearnedPreferences'
+ *       401:
+ *         description: Token no proporcionado o inválido
+ */
+router.get("/preferences", verifyTokenMiddleware, getLearnedPreferences);
+
+/**
+ * @swagger
+ * /api/recommendations/presets:
+ *   get:
+ *     summary: Listar presets de puntaje
+ *     description: |
+ *       Presets del usuario (`scope: "user"`) seguidos de los presets de la organización
+ *       (`scope: "organization"`), publicados por un administrador.
+ *     tags: [Recommendations]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Presets visibles para el usuario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScoringPreset'
+ *       401:
+ *         description: Token no proporcionado o inválido
+ *   post:
+ *     summary: Crear un preset de puntaje
+ *     description: |
+ *       Guarda con nombre los pesos de la recomendación avanzada (`power_match`, `price`,
+ *       `brand_preference`, `fuel_efficiency`; mayores a 0 y sumando 100) y filtros por
+ *       defecto. Con `scope: "organization"` (solo administradores) el preset queda
+ *       visible para todos los usuarios.
+ *     tags: [Recommendations]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScoringPresetInput'
+ *           example:
+ *             name: "Cafetal en ladera"
+ *             description: "Potencia ajustada y consumo bajo en pendientes fuertes"
+ *             weights:
+ *               power_match: 50
+ *               price: 15
+ *               brand_preference: 5
+ *               fuel_efficiency: 30
+ *             filters:
+ *               budget: 70000
+ *     responses:
+ *       201:
+ *         description: Preset creado exitosamente
+ *       400:
+ *         description: Errores de validación (lista en `errors`)
+ *       403:
+ *         description: Solo un administrador puede publicar presets de la organización
+ *       409:
+ *         description: Ya existe un preset con ese nombre
+ */
+router.get("/presets", verifyTokenMiddleware, getPresets);
+router.post("/presets", verifyTokenMiddleware, createPreset);
+
+/**
+ * @swagger
+ * /api/recommendations/presets/{id}:
+ *   get:
+ *     summary: Obtener un preset de puntaje
+ *     tags: [Recommendations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Preset propio o de la organización
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ScoringPreset'
+ *       404:
+ *         description: Preset no encontrado o de otro usuario
+ *   put:
+ *     summary: Actualizar un preset de puntaje
+ *     description: |
+ *       Solo se actualizan los campos enviados; si se envían `weights` deben incluir los
+ *       cuatro criterios y sumar 100. Los presets de la organización solo los modifica
+ *       un administrador. El alcance no se puede cambiar.
+ *     tags: [Recommendations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScoringPresetInput'
+ *     responses:
+ *       200:
+ *         description: Preset actualizado exitosamente
+ *       400:
+ *         description: ID inválido o errores de validación
+ *       403:
+ *         description: Preset de la organización y el usuario no es administrador
+ *       404:
+ *         description: Preset no encontrado o de otro usuario
+ *   delete:
+ *     summary: Eliminar un preset de puntaje
+ *     tags: [Recommendations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Preset eliminado exitosamente
+ *       403:
+ *         description: Preset de la organización y el usuario no es administrador
+ *       404:
+ *         description: Preset no encontrado o de otro usuario
+ */
+router.get("/presets/:id", verifyTokenMiddleware, getPresetById);
+router.put("/presets/:id", verifyTokenMiddleware, updatePreset);
+router.delete("/presets/:id", verifyTokenMiddleware, deletePreset);
+
+/**
+ * @swagger
+ * /api/recommendations/{id}/feedback:
+ *   put:
+ *     summary: Registrar el feedback de una recomendación
+ *     description: |
+ *       Acepta o rechaza (con motivo) una recomendación propia, con una calificación
+ *       opcional de 1 a 5 estrellas y si el tractor se compró. Volver a enviarlo
+ *       reemplaza el anterior.
+ *     tags: [Recommendations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecommendationFeedbackInput'
+ *           example:
+ *             decision: "accepted"
+ *             rating: 5
+ *             purchased: true
+ *     responses:
+ *       200:
+ *         description: Feedback registrado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/RecommendationFeedback'
+ *       400:
+ *         description: ID inválido o errores de validación (lista en `errors`)
+ *       403:
+ *         description: La recomendación pertenece a otro usuario
+ *       404:
+ *         description: Recomendación no encontrada
+ *   get:
+ *     summary: Obtener el feedback de una recomendación
+ *     tags: [Recommendations]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Feedback registrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/RecommendationFeedback'
+ *       403:
+ *         description: La recomendación pertenece a otro usuario
+ *       404:
+ *         description: Recomendación no encontrada o sin feedback
+ */
+router.put("/:id/feedback", verifyTokenMiddleware, submitRecommendationFeedback);
+router.get("/:id/feedback", verifyTokenMiddleware, getRecommendationFeedback);
+
 /**
  * @swagger
  * /api/recommendations/{id}:
@@ -1,6 +1,7 @@
 import { Router } from "express";
 import {
   getAllTerrains,
+  getSoilTypes,
   getTerrainById,
   createTerrain,
   updateTerrain,
@@ -92,6 +93,53 @@ router.get(
   getAllTerrains,
 );
 
+/**
+ * @swagger
+ * /api/terrains/soil-types:
+ *   get:
+ *     summary: Obtener el catálogo de tipos de suelo
+ *     description: |
+ *       Retorna los tipos de suelo con su índice de cono y dificultad por condición
+ *       de humedad (dry, moist, wet), la rueda recomendada y los sinónimos en español
+ *       e inglés que acepta soil_type.
+ *     tags: [Terrains]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Catálogo de suelos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     soil_types:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SoilType'
+ *                     moisture_conditions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [dry, moist, wet]
+ *                     default_moisture:
+ *                       type: string
+ *                       example: moist
+ *       401:
+ *         description: Token no proporcionado o inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/soil-types", verifyTokenMiddleware, cacheMiddleware(300), getSoilTypes);
+
 /**
  * @swagger
  * /api/terrains/{id}:
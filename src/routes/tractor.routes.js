@@ -7,6 +7,7 @@ import {
   createTractor,
   updateTractor,
   deleteTractor,
+  getCompatibleImplements,
 } from "../controllers/tractorController.js";
 import {
   verifyTokenMiddleware,
@@ -319,6 +320,94 @@ router.get("/search", paginationMiddleware(), searchTractors);
  */
 router.get("/:id", getTractorById);
 
+/**
+ * @swagger
+ * /api/tractors/{id}/compatible-implements:
+ *   get:
+ *     summary: Implementos que el tractor puede acoplar
+ *     description: |
+ *       Evalúa los implementos disponibles contra el tractor y los separa en
+ *       compatibles e incompatibles. Se rechaza el par cuando el peso del
+ *       implemento supera la capacidad de levante trasero, la categoría de
+ *       enganche no coincide o la velocidad de TDF es distinta. Un caudal
+ *       hidráulico insuficiente solo genera una advertencia. Si falta un dato
+ *       la verificación queda como 'unknown' y no rechaza. Solo tractores del
+ *       catálogo; los privados se consultan en
+ *       `GET /api/my-tractors/{id}/compatible-implements`.
+ *     tags: [Tractors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del tractor
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Implementos clasificados por compatibilidad
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tractor:
+ *                       type: object
+ *                       properties:
+ *                         id: { type: integer, example: 1 }
+ *                         name: { type: string, example: "John Deere 5075E" }
+ *                         hitch_category: { type: string, nullable: true, example: "2" }
+ *                         rear_lift_capacity_kg: { type: number, nullable: true, example: 1600 }
+ *                         pto_speed_rpm: { type: integer, nullable: true, example: 540 }
+ *                         hydraulic_flow_lpm: { type: number, nullable: true, example: 60 }
+ *                     compatible:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Implement'
+ *                           - type: object
+ *                             properties:
+ *                               compatibility:
+ *                                 $ref: '#/components/schemas/ImplementCompatibility'
+ *                     incompatible:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Implement'
+ *                           - type: object
+ *                             properties:
+ *                               compatibility:
+ *                                 $ref: '#/components/schemas/ImplementCompatibility'
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         evaluated: { type: integer, example: 3 }
+ *                         compatibleCount: { type: integer, example: 2 }
+ *                         incompatibleCount: { type: integer, example: 1 }
+ *       400:
+ *         description: ID de tractor inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Tractor no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: "Tractor no encontrado"
+ */
+router.get("/:id/compatible-implements", getCompatibleImplements);
+
 // ==================== RUTAS PROTEGIDAS (ADMIN) ====================
 
 /**
@@ -0,0 +1,133 @@
+/**
+ * @overview Servicio de la matriz de cálculos por lote (tractores × terrenos)
+ * @module services/batchCalculationService
+ *
+ * @description
+ * Reúne los límites y el formato de la matriz de pérdidas de potencia por lote: una
+ * celda por combinación tractor–terreno con el mismo registro de resultados que guarda
+ * un cálculo individual (ver calculationReplayService.toResultRecord). El cálculo de
+ * cada celda lo hace el controlador con calculateTotalLoss; este servicio limita el
+ * tamaño de la matriz, la resume y la convierte en filas CSV.
+ *
+ * @example
+ * import { getTractorLimit, summarizeMatrix, toCsvRecord } from './batchCalculationService.js';
+ *
+ * const limit = getTractorLimit(terrains.length);   // tractores que caben en la matriz
+ * const summary = summarizeMatrix(cells);          // mejor tractor por terreno
+ * const rows = cells.map(toCsvRecord);
+ */
+
+import { CONSTANTS as REPLAY_CONSTANTS } from './calculationReplayService.js';
+
+// CONSTANTES
+
+/**
+ * Límites y formatos de la matriz por lote
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Máximo de tractores por solicitud */
+  MAX_TRACTORS: 50,
+
+  /** Máximo de terrenos por solicitud */
+  MAX_TERRAINS: 20,
+
+  /** Máximo de celdas (tractores × terrenos) por solicitud */
+  MAX_CELLS: 500,
+
+  /** Formatos de salida */
+  FORMATS: ['json', 'csv'],
+
+  /** Filtros de catálogo aceptados para elegir los tractores */
+  TRACTOR_FILTERS: ['q', 'brand', 'traction_type', 'min_power_hp', 'max_power_hp'],
+
+  /** Columnas del CSV: identificación de la celda seguida del registro de resultados */
+  CSV_COLUMNS: [
+    'tractor_id',
+    'tractor_brand',
+    'tractor_model',
+    'terrain_id',
+    'terrain_name',
+    ...REPLAY_CONSTANTS.RESULT_FIELDS,
+    'stability_level',
+    'error',
+  ],
+};
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Máximo de tractores que caben en la matriz para una cantidad de terrenos
+ *
+ * @param {number} terrainCount - Terrenos de la solicitud
+ * @returns {number} Tractores permitidos (nunca más de MAX_TRACTORS)
+ */
+export const getTractorLimit = (terrainCount) => Math.min(
+  CONSTANTS.MAX_TRACTORS,
+  Math.floor(CONSTANTS.MAX_CELLS / Math.max(1, terrainCount)),
+);
+
+/**
+ * Resume la matriz: celdas calculadas, fallidas y mejor tractor por terreno
+ *
+ * @param {Array<Object>} cells - Celdas { tractor_id, terrain_id, net_power_hp, error, ... }
+ * @returns {Object} Resumen de la matriz
+ */
+export const summarizeMatrix = (cells) => {
+  const computed = cells.filter((cell) => !cell.error);
+  const terrainIds = [...new Set(cells.map((cell) => cell.terrain_id))];
+
+  const byTerrain = terrainIds.map((terrainId) => {
+    const terrainCells = computed
+      .filter((cell) => cell.terrain_id === terrainId)
+      .sort((a, b) => b.net_power_hp - a.net_power_hp);
+
+    if (terrainCells.length === 0) {
+      return { terrain_id: terrainId, best_tractor_id: null, net_power_hp: null };
+    }
+
+    return {
+      terrain_id: terrainId,
+      best_tractor_id: terrainCells[0].tractor_id,
+      net_power_hp: {
+        min: terrainCells[terrainCells.length - 1].net_power_hp,
+        max: terrainCells[0].net_power_hp,
+      },
+    };
+  });
+
+  return {
+    total_cells: cells.length,
+    computed_cells: computed.length,
+    failed_cells: cells.length - computed.length,
+    by_terrain: byTerrain,
+  };
+};
+
+/**
+ * Convierte una celda de la matriz en una fila CSV plana
+ *
+ * @param {Object} cell - Celda de la matriz
+ * @returns {Object} Fila con las columnas de CONSTANTS.CSV_COLUMNS
+ */
+export const toCsvRecord = (cell) => Object.fromEntries(
+  CONSTANTS.CSV_COLUMNS.map((column) => [column, cell[column] ?? null]),
+);
+
+/**
+ * Obtiene una copia de las constantes del lote
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  getTractorLimit,
+  summarizeMatrix,
+  toCsvRecord,
+  getConstants,
+  CONSTANTS,
+};
@@ -0,0 +1,313 @@
+/**
+ * @overview Servicio de perfiles de cálculo versionados
+ * @module services/calculationProfileService
+ *
+ * @description
+ * Los coeficientes físicos y de scoring viven en perfiles de cálculo guardados en
+ * la tabla calculation_profile. Cada perfil tiene un número de versión inmutable y
+ * solo uno está activo; los cálculos usan el perfil activo y cada fila de query y
+ * recommendation registra su versión, de modo que un resultado antiguo se puede
+ * explicar con los coeficientes con que se obtuvo.
+ * ```
+ * coeficientes = valores por defecto ⊕ perfil base ⊕ cambios del agrónomo
+ * ```
+ *
+ * Secciones de un perfil:
+ * - powerLoss: pérdidas atmosféricas y de transmisión (powerLossService)
+ * - minimumPower: margen de seguridad, profundidad y factores de suelo (minimumPowerService)
+ * - recommendation: SCORING_CONFIG y TRACTION_BONUS (recommendationService)
+ *
+ * El índice de cono y la dificultad de cada suelo no forman parte del perfil: vienen
+ * del catálogo de suelos (soilCatalogService).
+ *
+ * Sin perfil activo en la base de datos se usan los valores por defecto del código
+ * y la versión registrada es null.
+ *
+ * @example
+ * import { getActiveProfile } from './calculationProfileService.js';
+ *
+ * const profile = await getActiveProfile();
+ * calculateMinimumPower(implementData, terrainData, profile.coefficients.minimumPower);
+ * console.log(profile.version);
+ */
+
+import CalculationProfile from '../models/CalculationProfile.js';
+import { getConstants as getPowerLossConstants } from './powerLossService.js';
+import { CONSTANTS as MINIMUM_POWER_CONSTANTS } from './minimumPowerService.js';
+import { SCORING_CONFIG, TRACTION_BONUS } from './recommendationService.js';
+
+// CONSTANTES
+
+/**
+ * Constantes de los perfiles de cálculo
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Nombre del perfil que se usa cuando no hay uno activo en la base de datos */
+  DEFAULT_PROFILE_NAME: 'Valores por defecto',
+
+  /** Claves calibrables de powerLossService (las conversiones de unidades no lo son) */
+  POWER_LOSS_KEYS: [
+    'BASE_TEMPERATURE_C',
+    'TEMP_LOSS_PER_5C',
+    'BASE_ALTITUDE_M',
+    'ALTITUDE_LOSS_PER_300M',
+    'DEFAULT_TRANSMISSION_LOSS',
+  ],
+
+  /** Claves calibrables de minimumPowerService */
+  MINIMUM_POWER_KEYS: ['SAFETY_MARGIN', 'STANDARD_DEPTH_M', 'SOIL_FACTORS'],
+
+  /** Suma de los pesos del scoring básico (score sobre 100) */
+  SCORING_WEIGHTS_TOTAL: 100,
+
+  /** Largo máximo del nombre del perfil */
+  MAX_NAME_LENGTH: 100,
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Copia profunda de un objeto de coeficientes (solo datos JSON)
+ * @param {Object} value
+ * @returns {Object}
+ */
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Extrae un subconjunto de claves de un objeto
+ * @param {Object} source
+ * @param {Array<string>} keys
+ * @returns {Object}
+ */
+const pick = (source, keys) =>
+  Object.fromEntries(keys.map((key) => [key, source[key]]));
+
+/**
+ * Indica si un valor es un objeto plano (no array ni null)
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Coeficientes por defecto, tomados de las constantes de cada servicio
+ * @returns {Object} Coeficientes completos por sección
+ */
+export const getDefaultCoefficients = () =>
+  clone({
+    powerLoss: pick(getPowerLossConstants(), CONSTANTS.POWER_LOSS_KEYS),
+    minimumPower: pick(MINIMUM_POWER_CONSTANTS, CONSTANTS.MINIMUM_POWER_KEYS),
+    recommendation: {
+      SCORING_CONFIG,
+      TRACTION_BONUS,
+    },
+  });
+
+/**
+ * Valida cambios de coeficientes contra la estructura por defecto
+ *
+ * @description
+ * Solo se aceptan claves conocidas y cada valor debe tener el tipo del valor por
+ * defecto: números finitos, textos u objetos con la misma estructura.
+ *
+ * @param {Object} overrides - Cambios parciales por sección
+ * @param {Object} [reference] - Estructura de referencia (getDefaultCoefficients)
+ * @param {string} [path] - Ruta de la clave (para los mensajes)
+ * @returns {Array<string>} Errores encontrados (vacío si es válido)
+ *
+ * @example
+ * validateCoefficients({ minimumPower: { SAFETY_MARGIN: 'alto' } });
+ * // -> ['minimumPower.SAFETY_MARGIN debe ser un número']
+ */
+export const validateCoefficients = (
+  overrides,
+  reference = getDefaultCoefficients(),
+  path = 'coefficients',
+) => {
+  if (!isPlainObject(overrides)) {
+    return [`${path} debe ser un objeto`];
+  }
+
+  return Object.entries(overrides).flatMap(([key, value]) => {
+    const keyPath = path === 'coefficients' ? key : `${path}.${key}`;
+
+    if (!Object.prototype.hasOwnProperty.call(reference, key)) {
+      return [`${keyPath} no es un coeficiente reconocido`];
+    }
+
+    const expected = reference[key];
+    if (isPlainObject(expected)) {
+      return validateCoefficients(value, expected, keyPath);
+    }
+    if (typeof expected === 'number') {
+      return typeof value === 'number' && Number.isFinite(value)
+        ? []
+        : [`${keyPath} debe ser un número`];
+    }
+    return typeof value === typeof expected ? [] : [`${keyPath} debe ser de tipo ${typeof expected}`];
+  });
+};
+
+/**
+ * Verifica los rangos físicos de un juego completo de coeficientes
+ *
+ * @param {Object} coefficients - Coeficientes completos (mergeCoefficients)
+ * @returns {Array<string>} Errores encontrados (vacío si es válido)
+ */
+export const validateCoefficientRanges = (coefficients) => {
+  const errors = [];
+  const { powerLoss, minimumPower, recommendation } = coefficients;
+  const weightsTotal = Object.values(recommendation.SCORING_CONFIG.WEIGHTS)
+    .reduce((sum, weight) => sum + weight, 0);
+
+  if (powerLoss.DEFAULT_TRANSMISSION_LOSS < 0 || powerLoss.DEFAULT_TRANSMISSION_LOSS >= 1) {
+    errors.push('powerLoss.DEFAULT_TRANSMISSION_LOSS debe estar entre 0 y 1');
+  }
+  if (minimumPower.SAFETY_MARGIN < 0) {
+    errors.push('minimumPower.SAFETY_MARGIN no puede ser negativo');
+  }
+  if (minimumPower.STANDARD_DEPTH_M <= 0) {
+    errors.push('minimumPower.STANDARD_DEPTH_M debe ser mayor a 0');
+  }
+  if (Math.abs(weightsTotal - CONSTANTS.SCORING_WEIGHTS_TOTAL) > 1e-9) {
+    errors.push(`recommendation.SCORING_CONFIG.WEIGHTS debe sumar ${CONSTANTS.SCORING_WEIGHTS_TOTAL}`);
+  }
+  if (!Number.isInteger(recommendation.SCORING_CONFIG.TOP_RECOMMENDATIONS)
+    || recommendation.SCORING_CONFIG.TOP_RECOMMENDATIONS < 1) {
+    errors.push('recommendation.SCORING_CONFIG.TOP_RECOMMENDATIONS debe ser un entero mayor a 0');
+  }
+
+  return errors;
+};
+
+/**
+ * Combina coeficientes base con cambios parciales (profundo, sin mutar la base)
+ *
+ * @param {Object} base - Coeficientes completos
+ * @param {Object} [overrides] - Cambios parciales
+ * @returns {Object} Coeficientes completos resultantes
+ */
+export const mergeCoefficients = (base, overrides = {}) => {
+  const merged = clone(base);
+
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+      ? mergeCoefficients(merged[key], value)
+      : value;
+  });
+
+  return merged;
+};
+
+/**
+ * Convierte una fila de calculation_profile al perfil que usan los cálculos
+ * @param {Object} row - Fila de la base de datos
+ * @returns {{ version: number, name: string, coefficients: Object }}
+ */
+const toProfile = (row) => ({
+  version: row.version,
+  name: row.name,
+  coefficients: mergeCoefficients(getDefaultCoefficients(), row.coefficients),
+});
+
+/**
+ * Obtiene el perfil de cálculo activo
+ *
+ * @returns {Promise<{version: number|null, name: string, coefficients: Object}>}
+ * Perfil activo, o los valores por defecto con version null si no hay ninguno
+ */
+export const getActiveProfile = async () => {
+  const row = await CalculationProfile.findActive();
+
+  if (!row) {
+    return {
+      version: null,
+      name: CONSTANTS.DEFAULT_PROFILE_NAME,
+      coefficients: getDefaultCoefficients(),
+    };
+  }
+
+  return toProfile(row);
+};
+
+/**
+ * Guarda una nueva versión (inactiva) con los coeficientes completos
+ *
+ * @description
+ * Se guardan los coeficientes completos y no solo los cambios, para que la
+ * versión siga siendo reproducible aunque cambien los valores por defecto del código.
+ *
+ * @param {Object} params
+ * @param {string} params.name - Nombre del perfil
+ * @param {string} [params.description] - Descripción del cambio
+ * @param {Object} params.coefficients - Coeficientes completos (ya validados)
+ * @param {number} [params.createdBy] - Usuario que crea el perfil
+ * @returns {Promise<Object>} Fila creada
+ */
+export const createProfile = async ({
+  name,
+  description = null,
+  coefficients,
+  createdBy = null,
+}) =>
+  CalculationProfile.create({
+    name,
+    description,
+    coefficients,
+    created_by: createdBy,
+  });
+
+/**
+ * Obtiene una versión guardada como perfil de cálculo
+ * @param {number} version - Versión del perfil
+ * @returns {Promise<Object|null>} Perfil o null si no existe
+ */
+export const getProfileByVersion = async (version) => {
+  const row = await CalculationProfile.findByVersion(version);
+  return row ? toProfile(row) : null;
+};
+
+/**
+ * Vuelve al perfil activado antes del actual
+ *
+ * Sigue el puntero previous_version del perfil activo; la reactivación no lo
+ * reescribe, así que rollbacks seguidos recorren v3 -> v2 -> v1.
+ *
+ * @returns {Promise<Object|null>} Fila reactivada, o null si no hay un perfil anterior
+ */
+export const rollbackProfile = async () => {
+  const active = await CalculationProfile.findActive();
+  if (!active || active.previous_version == null) {
+    return null;
+  }
+
+  const previous = await CalculationProfile.activate(active.previous_version, { rollback: true });
+  return previous ?? null;
+};
+
+/**
+ * Obtiene las constantes del servicio
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  getDefaultCoefficients,
+  validateCoefficients,
+  validateCoefficientRanges,
+  mergeCoefficients,
+  getActiveProfile,
+  getProfileByVersion,
+  createProfile,
+  rollbackProfile,
+  getConstants,
+  CONSTANTS,
+};
@@ -0,0 +1,246 @@
+/**
+ * @overview Servicio de reproducción de cálculos de pérdidas de potencia
+ * @module services/calculationReplayService
+ *
+ * @description
+ * Cada cálculo de pérdidas guarda una instantánea completa de sus entradas (los
+ * parámetros exactos de calculateTotalLoss, los campos del body y el suelo del
+ * terreno) y la versión del modelo. Con esa instantánea el cálculo se puede
+ * repetir con el modelo actual y comparar campo a campo con el resultado original:
+ * ```
+ * delta = valor_recalculado - valor_original
+ * ```
+ * El recálculo usa los coeficientes del perfil activo y el Cn del catálogo de suelos
+ * actual; el resto de las entradas (potencia, peso, pendiente...) son las del día
+ * del cálculo, aunque el tractor o el terreno se hayan editado después.
+ *
+ * @example
+ * import { buildInputSnapshot, toResultRecord, replayCalculation } from './calculationReplayService.js';
+ *
+ * const snapshot = buildInputSnapshot({ params, request, terrain });
+ * const record = toResultRecord(calculateTotalLoss(params), params);
+ *
+ * // Más tarde, con el modelo actual
+ * const replay = replayCalculation({ snapshot, original: record, coefficients, soilCn });
+ * console.log(replay.changedFields);
+ */
+
+import { calculateTotalLoss, getConstants as getPowerLossConstants } from './powerLossService.js';
+
+// CONSTANTES
+
+/**
+ * Constantes de la reproducción
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Diferencia mínima para considerar que un valor numérico cambió */
+  TOLERANCE: 0.01,
+
+  /** Campos del body que se guardan en la instantánea */
+  REQUEST_FIELDS: [
+    'working_speed_kmh',
+    'carried_objects_weight_kg',
+    'slippage_percent',
+    'drawbar_pull_kn',
+    'working_width_m',
+    'fuel_price_per_l',
+    'has_turbo',
+  ],
+
+  /** Campos del resultado persistidos en power_loss y comparados en la reproducción */
+  RESULT_FIELDS: [
+    'slope_loss_hp',
+    'altitude_loss_hp',
+    'temperature_loss_hp',
+    'transmission_loss_hp',
+    'rolling_resistance_loss_hp',
+    'slippage_loss_hp',
+    'total_loss_hp',
+    'available_power_hp',
+    'net_power_hp',
+    'efficiency_percentage',
+    'slippage_percent',
+    'soil_cn',
+    'has_turbo',
+    'temperature_celsius',
+  ],
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Redondea a dos decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convierte un valor leído de la BD a número (pg puede devolver strings)
+ * @param {*} value
+ * @returns {number|null}
+ */
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Compara un campo del resultado original con el recalculado
+ * @param {*} original
+ * @param {*} replayed
+ * @param {number} tolerance
+ * @returns {{original: *, replayed: *, delta: number|null, changed: boolean}}
+ */
+const compareField = (original, replayed, tolerance) => {
+  if (typeof original === 'boolean' || typeof replayed === 'boolean') {
+    return { original, replayed, delta: null, changed: original !== replayed };
+  }
+
+  const originalNumber = toNumberOrNull(original);
+  const replayedNumber = toNumberOrNull(replayed);
+
+  if (originalNumber === null || replayedNumber === null) {
+    return {
+      original: originalNumber,
+      replayed: replayedNumber,
+      delta: null,
+      changed: originalNumber !== replayedNumber,
+    };
+  }
+
+  const delta = round2(replayedNumber - originalNumber);
+  return {
+    original: originalNumber,
+    replayed: replayedNumber,
+    delta,
+    changed: Math.abs(delta) > tolerance,
+  };
+};
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Versión actual del modelo de pérdidas
+ * @returns {string}
+ */
+export const getModelVersion = () => getPowerLossConstants().MODEL_VERSION;
+
+/**
+ * Construye la instantánea de entradas de un cálculo de pérdidas
+ *
+ * @param {Object} input
+ * @param {Object} input.params - Parámetros exactos pasados a calculateTotalLoss (incluye coeficientes)
+ * @param {Object} input.request - Body de la solicitud
+ * @param {Object} input.terrain - Registro del terreno (soil_type, moisture_condition)
+ * @returns {Object} Instantánea serializable a JSONB
+ */
+export const buildInputSnapshot = ({ params, request = {}, terrain = {} }) => ({
+  model_version: getModelVersion(),
+  params,
+  request: Object.fromEntries(
+    CONSTANTS.REQUEST_FIELDS
+      .filter((field) => request[field] !== undefined)
+      .map((field) => [field, request[field]]),
+  ),
+  terrain: {
+    soil_type: terrain.soil_type ?? null,
+    moisture_condition: terrain.moisture_condition ?? null,
+  },
+});
+
+/**
+ * Aplana el resultado de calculateTotalLoss en los campos persistidos en power_loss
+ *
+ * @param {Object} results - Resultado de calculateTotalLoss
+ * @param {Object} params - Parámetros usados en el cálculo
+ * @returns {Object} Registro con los campos de CONSTANTS.RESULT_FIELDS
+ */
+export const toResultRecord = (results, params) => ({
+  slope_loss_hp: results.losses.slope,
+  altitude_loss_hp: results.losses.altitude,
+  temperature_loss_hp: results.losses.temperature ?? null,
+  transmission_loss_hp: results.losses.transmission ?? null,
+  rolling_resistance_loss_hp: results.losses.rollingResistance,
+  slippage_loss_hp: results.losses.slippage,
+  total_loss_hp: results.losses.total,
+  available_power_hp: results.grossPower,
+  net_power_hp: results.netPower,
+  efficiency_percentage: results.efficiency,
+  slippage_percent: results.traction?.slippagePercent ?? params.slippagePercent ?? null,
+  soil_cn: params.soilCn,
+  has_turbo: results.hasTurbo ?? params.hasTurbo ?? null,
+  temperature_celsius: params.temperatureC,
+});
+
+/**
+ * Compara campo a campo dos registros de resultado
+ *
+ * @param {Object} original - Registro original (fila de power_loss)
+ * @param {Object} replayed - Registro recalculado
+ * @param {number} [tolerance=0.01] - Diferencia mínima para marcar un cambio
+ * @returns {{fields: Object, changedFields: string[]}}
+ */
+export const diffResults = (original, replayed, tolerance = CONSTANTS.TOLERANCE) => {
+  const fields = Object.fromEntries(
+    CONSTANTS.RESULT_FIELDS.map((field) => [
+      field,
+      compareField(original[field], replayed[field], tolerance),
+    ]),
+  );
+
+  return {
+    fields,
+    changedFields: Object.keys(fields).filter((field) => fields[field].changed),
+  };
+};
+
+/**
+ * Repite un cálculo guardado con el modelo actual y lo compara con el original
+ *
+ * @param {Object} input
+ * @param {Object} input.snapshot - Instantánea guardada (buildInputSnapshot)
+ * @param {Object} input.original - Resultado original (fila de power_loss)
+ * @param {Object} [input.coefficients] - Coeficientes powerLoss del perfil activo
+ * @param {number} [input.soilCn] - Cn actual del suelo del terreno
+ * @returns {Object} Versión del modelo, registro recalculado y diferencias
+ */
+export const replayCalculation = ({ snapshot, original, coefficients, soilCn }) => {
+  const params = {
+    ...snapshot.params,
+    ...(soilCn !== undefined && { soilCn }),
+    ...(coefficients !== undefined && { coefficients }),
+  };
+
+  const replayed = toResultRecord(calculateTotalLoss(params), params);
+  const { fields, changedFields } = diffResults(original, replayed);
+
+  return {
+    modelVersion: getModelVersion(),
+    replayed,
+    diff: fields,
+    changedFields,
+  };
+};
+
+/**
+ * Obtiene una copia de las constantes de la reproducción
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  getModelVersion,
+  buildInputSnapshot,
+  toResultRecord,
+  diffResults,
+  replayCalculation,
+  getConstants,
+  CONSTANTS,
+};
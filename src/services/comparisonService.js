@@ -0,0 +1,332 @@
+/**
+ * @overview Servicio de comparación lado a lado de tractores para una labor
+ * @module services/comparisonService
+ *
+ * @description
+ * Compara dos o tres tractores concretos en el mismo terreno y con el mismo
+ * implemento, con los mismos cálculos que la recomendación:
+ * - Potencia: nominal, derateada en el terreno (deratingService), pérdida y excedente
+ *   sobre la mínima requerida (minimumPowerService)
+ * - Compatibilidad: filtros de findCompatibleTractors (counterfactualService.evaluateFilters)
+ * - Puntaje: total y desglose por criterio de recommendationService.calculateScore
+ * - Combustible: consumo a carga parcial ASABE (fuelService)
+ * - Costos: precio de lista y costo de propiedad y operación (operatingCostService)
+ *
+ * El resultado es una tabla alineada: cada fila trae un valor por tractor, en el
+ * orden en que se pidieron, y el ganador de la fila según su sentido (`max`/`min`).
+ * Las filas informativas (potencia nominal, utilización) no tienen ganador, y
+ * tampoco las filas con empate en el mejor valor o sin datos.
+ *
+ * @example
+ * import { compareTractors } from './comparisonService.js';
+ *
+ * const comparison = compareTractors({
+ *   tractors: [tractorA, tractorB], terrain, implement, requiredPower: 85, powerResult, derating,
+ * });
+ * console.log(comparison.rows.find((row) => row.key === 'score_total').winner);
+ * // -> 7
+ */
+
+import { calculateFuelConsumption } from './fuelService.js';
+import { calculateOperatingCost } from './operatingCostService.js';
+import { evaluateFilters } from './counterfactualService.js';
+import { calculateScore } from './recommendationService.js';
+
+// CONSTANTES
+
+/**
+ * Constantes de la comparación
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Mínimo de tractores a comparar */
+  MIN_TRACTORS: 2,
+
+  /** Máximo de tractores a comparar */
+  MAX_TRACTORS: 3,
+
+  /** Horas de uso anual para el costo de operación si no se indican */
+  DEFAULT_ANNUAL_HOURS: 500,
+
+  /** Secciones de la tabla, en orden */
+  SECTIONS: {
+    POWER: 'power',
+    COMPATIBILITY: 'compatibility',
+    SCORE: 'score',
+    FUEL: 'fuel',
+    COST: 'cost',
+  },
+
+  /**
+   * Filas de la tabla: sección, etiqueta, unidad y sentido (null = sin ganador).
+   * Las claves con magnitud están declaradas en UNIT_FIELDS de units.util
+   */
+  ROWS: {
+    required_power_hp: { section: 'power', label: 'Potencia mínima requerida', unit: 'HP', better: null },
+    nominal_power_hp: { section: 'power', label: 'Potencia nominal', unit: 'HP', better: null },
+    derated_power_hp: { section: 'power', label: 'Potencia en el terreno', unit: 'HP', better: 'max' },
+    power_loss_hp: { section: 'power', label: 'Pérdida de potencia', unit: 'HP', better: 'min' },
+    power_surplus_hp: { section: 'power', label: 'Excedente sobre la mínima', unit: 'HP', better: null },
+    utilization_percent: { section: 'power', label: 'Utilización de potencia', unit: '%', better: null },
+    compatible: { section: 'compatibility', label: 'Compatible con la labor', unit: null, better: null },
+    score_total: { section: 'score', label: 'Puntaje total', unit: 'pts', better: 'max' },
+    score_efficiency: { section: 'score', label: 'Eficiencia de potencia', unit: 'pts', better: 'max' },
+    score_traction: { section: 'score', label: 'Tracción', unit: 'pts', better: 'max' },
+    score_soil: { section: 'score', label: 'Rodado para el suelo', unit: 'pts', better: 'max' },
+    score_economic: { section: 'score', label: 'Consumo', unit: 'pts', better: 'max' },
+    score_availability: { section: 'score', label: 'Disponibilidad', unit: 'pts', better: 'max' },
+    fuel_liters_per_hour: { section: 'fuel', label: 'Consumo por hora', unit: 'L/h', better: 'min' },
+    fuel_liters_per_hectare: { section: 'fuel', label: 'Consumo por hectárea', unit: 'L/ha', better: 'min' },
+    fuel_cost_per_hectare: { section: 'fuel', label: 'Combustible por hectárea', unit: 'USD/ha', better: 'min' },
+    purchase_price: { section: 'cost', label: 'Precio de compra', unit: 'USD', better: 'min' },
+    operating_cost_per_hour: { section: 'cost', label: 'Costo por hora', unit: 'USD/h', better: 'min' },
+    operating_cost_per_hectare: { section: 'cost', label: 'Costo por hectárea', unit: 'USD/ha', better: 'min' },
+  },
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Redondea a dos decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convierte un valor a número finito
+ * @param {*} value
+ * @returns {number|undefined}
+ */
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Precio de lista del tractor
+ * @param {Object} tractor
+ * @returns {number|null}
+ */
+const getTractorPrice = (tractor) => {
+  const price = toNumber(tractor.price_usd ?? tractor.price);
+  return price > 0 ? price : null;
+};
+
+/**
+ * Ganador de una fila: el único tractor con el mejor valor
+ * @param {Array<number|null>} values - Valores alineados con los tractores
+ * @param {'max'|'min'|null} better - Sentido de la fila
+ * @param {Array<number>} tractorIds - IDs en el mismo orden
+ * @returns {number|null} ID del ganador, o null sin sentido, sin datos o con empate
+ */
+const findRowWinner = (values, better, tractorIds) => {
+  if (!better) return null;
+
+  const candidates = values
+    .map((value, index) => ({ value, index }))
+    .filter(({ value }) => typeof value === 'number');
+  if (candidates.length === 0) return null;
+
+  const best = better === 'max'
+    ? Math.max(...candidates.map(({ value }) => value))
+    : Math.min(...candidates.map(({ value }) => value));
+  const winners = candidates.filter(({ value }) => value === best);
+
+  return winners.length === 1 ? tractorIds[winners[0].index] : null;
+};
+
+/**
+ * Valores de cada fila para un tractor evaluado
+ * @param {Object} entry - Resultado de evaluateTractor
+ * @param {number} requiredPower - Potencia mínima requerida (HP)
+ * @returns {Object} Valor por clave de CONSTANTS.ROWS
+ */
+const getRowValues = (entry, requiredPower) => ({
+  required_power_hp: round2(requiredPower),
+  nominal_power_hp: entry.power.nominalHP,
+  derated_power_hp: entry.power.deratedHP,
+  power_loss_hp: entry.power.lossHP,
+  power_surplus_hp: entry.power.surplusHP,
+  utilization_percent: entry.power.utilizationPercent,
+  compatible: entry.compatible,
+  score_total: entry.score.total,
+  score_efficiency: entry.score.breakdown.efficiency,
+  score_traction: entry.score.breakdown.traction,
+  score_soil: entry.score.breakdown.soil,
+  score_economic: entry.score.breakdown.economic,
+  score_availability: entry.score.breakdown.availability,
+  fuel_liters_per_hour: entry.fuel?.litersPerHour ?? null,
+  fuel_liters_per_hectare: entry.fuel?.litersPerHectare ?? null,
+  fuel_cost_per_hectare: entry.fuel?.costPerHectare ?? null,
+  purchase_price: entry.price,
+  operating_cost_per_hour: entry.cost?.totalPerHour ?? null,
+  operating_cost_per_hectare: entry.cost?.totalPerHectare ?? null,
+});
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Evalúa un tractor para la labor: compatibilidad, potencia, puntaje, combustible y costo
+ *
+ * @param {Object} tractor - Registro del tractor
+ * @param {Object} context - Mismos parámetros que compareTractors (sin tractors)
+ * @returns {Object} Tractor evaluado
+ */
+export const evaluateTractor = (tractor, {
+  terrain,
+  implement = null,
+  requiredPower,
+  powerResult = null,
+  coefficients = null,
+  soilCatalog,
+  derating = null,
+  fieldCapacity = null,
+  annualHours = CONSTANTS.DEFAULT_ANNUAL_HOURS,
+  fuelPricePerL,
+}) => {
+  const checks = evaluateFilters(tractor, {
+    terrain,
+    requiredPower,
+    implement,
+    powerResult,
+    derating,
+    soilCatalog,
+  });
+  const failed = checks.filter((check) => !check.passed);
+
+  const score = calculateScore(tractor, implement, terrain, requiredPower, coefficients, soilCatalog, derating);
+  const { nominalHP, deratedHP } = score.power;
+  const effectiveHP = deratedHP ?? nominalHP;
+
+  // Misma demanda que el criterio de consumo de /advanced: la calculada a la velocidad de trabajo
+  const demandedPowerHP = powerResult?.calculatedPowerHP ?? requiredPower;
+  const effectiveCapacityHaH = fieldCapacity?.effectiveCapacityHaH;
+
+  const fuel = calculateFuelConsumption({
+    ratedPowerHP: nominalHP,
+    demandedPowerHP,
+    effectiveCapacityHaH,
+    fuelPricePerL,
+  });
+
+  const price = getTractorPrice(tractor);
+  const cost = price
+    ? calculateOperatingCost({
+        tractor: {
+          price,
+          modelYear: toNumber(tractor.model_year),
+          enginePowerHP: nominalHP,
+          tractionType: tractor.traction_type,
+          maintenanceCostPerHour: toNumber(tractor.maintenance_cost_per_hour),
+        },
+        annualHours,
+        demandedPowerHP,
+        effectiveCapacityHaH,
+        fuelPricePerL,
+      })
+    : null;
+
+  return {
+    tractor,
+    compatible: failed.length === 0,
+    excludedBy: failed[0]?.filter ?? null,
+    checks,
+    power: {
+      nominalHP,
+      deratedHP: deratedHP ?? nominalHP,
+      lossHP: deratedHP !== null ? round2(nominalHP - deratedHP) : 0,
+      surplusHP: round2(effectiveHP - requiredPower),
+      utilizationPercent: effectiveHP > 0 ? round2((requiredPower / effectiveHP) * 100) : null,
+    },
+    score: { total: score.total, breakdown: score.breakdown },
+    fuel,
+    price,
+    cost: cost && {
+      annualHours: cost.annualHours,
+      ownershipPerHour: cost.ownershipPerHour,
+      operatingPerHour: cost.operatingPerHour,
+      totalPerHour: cost.totalPerHour,
+      totalPerHectare: cost.totalPerHectare,
+      annualTotal: cost.annualTotal,
+    },
+  };
+};
+
+/**
+ * Compara tractores lado a lado para la misma labor
+ *
+ * @description
+ * El ganador general es el de mayor puntaje total entre los compatibles: un tractor
+ * que no pasa los filtros puede ganar filas (p. ej. el más barato) pero no la labor.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.tractors - Tractores a comparar (MIN_TRACTORS a MAX_TRACTORS)
+ * @param {Object} params.terrain - Datos del terreno
+ * @param {Object} [params.implement] - Datos del implemento
+ * @param {number} params.requiredPower - Potencia mínima requerida (HP)
+ * @param {Object} [params.powerResult] - Resultado de calculateMinimumPower
+ * @param {Object} [params.coefficients] - Coeficientes del perfil activo (sección recommendation)
+ * @param {Object} [params.soilCatalog] - Catálogo de suelos
+ * @param {Object} [params.derating] - Contexto de derateo de recommendationService
+ * @param {Object} [params.fieldCapacity] - Resultado de calculateFieldCapacity (consumo y costo por ha)
+ * @param {number} [params.annualHours=500] - Horas de uso anual para el costo de operación
+ * @param {number} [params.fuelPricePerL] - Precio del combustible
+ * @returns {{tractors: Array<Object>, rows: Array<Object>, summary: Object}}
+ * @throws {Error} Si la cantidad de tractores está fuera de MIN_TRACTORS..MAX_TRACTORS
+ */
+export const compareTractors = ({ tractors, ...context }) => {
+  if (
+    !Array.isArray(tractors) ||
+    tractors.length < CONSTANTS.MIN_TRACTORS ||
+    tractors.length > CONSTANTS.MAX_TRACTORS
+  ) {
+    throw new Error(
+      `Se comparan entre ${CONSTANTS.MIN_TRACTORS} y ${CONSTANTS.MAX_TRACTORS} tractores`,
+    );
+  }
+
+  const entries = tractors.map((tractor) => evaluateTractor(tractor, context));
+  const tractorIds = tractors.map((tractor) => tractor.tractor_id);
+  const rowValues = entries.map((entry) => getRowValues(entry, context.requiredPower));
+
+  const rows = Object.entries(CONSTANTS.ROWS).map(([key, row]) => {
+    const values = rowValues.map((entryValues) => entryValues[key]);
+    return {
+      key,
+      ...row,
+      values,
+      winner: findRowWinner(values, row.better, tractorIds),
+    };
+  });
+
+  const wins = tractorIds.map((id) => rows.filter((row) => row.winner === id).length);
+  const compatibleScores = entries.map((entry) => (entry.compatible ? entry.score.total : null));
+
+  return {
+    tractors: entries,
+    rows,
+    summary: {
+      wins,
+      compatibleCount: entries.filter((entry) => entry.compatible).length,
+      overallWinner: findRowWinner(compatibleScores, 'max', tractorIds),
+    },
+  };
+};
+
+/**
+ * Obtiene una copia de las constantes de la comparación
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  evaluateTractor,
+  compareTractors,
+  getConstants,
+  CONSTANTS,
+};
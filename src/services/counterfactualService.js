@@ -0,0 +1,608 @@
+/**
+ * @overview Servicio de explicaciones contrafactuales de la recomendación
+ * @module services/counterfactualService
+ *
+ * @description
+ * Responde "¿por qué no me recomendaron este tractor?" para cualquier tractor
+ * frente a un terreno y un implemento. Evalúa el tractor con los mismos filtros en
+ * cascada de recommendationService.findCompatibleTractors y, para cada uno que falla,
+ * propone el cambio mínimo con el que pasaría:
+ * - Potencia: HP nominales adicionales hasta que la derateada alcance la requerida
+ * - Barra/TDF: HP adicionales en la TDF hasta que la utilización combinada sea ≤ 100%
+ * - Regla de Oro (pendiente > 15%): tracción 4x4 u orugas
+ * - Estabilidad: pendiente máxima con factor de seguridad sobre el nivel excluido
+ * - Acople: categoría de enganche, capacidad de levante o velocidad de la TDF
+ * - Disponibilidad: estado del tractor
+ *
+ * Si pasa todos los filtros se puntúa contra los demás compatibles y se informa
+ * cuántos puntos le faltan para entrar al top N y en qué criterios.
+ *
+ * Aparte, con el tiro del implemento conocido, se predice el patinaje (tractionService)
+ * y el lastre mínimo para no superar el 15%: no excluye al tractor, pero por encima
+ * de ese patinaje se pierde potencia y se compacta el suelo.
+ *
+ * @example
+ * import { explainTractor } from './counterfactualService.js';
+ *
+ * const explanation = explainTractor({
+ *   tractor, tractors: catalog, terrain, implement, requiredPower: 85, powerResult, derating,
+ * });
+ * console.log(explanation.excludedBy, explanation.changes.map((change) => change.message));
+ * // -> 'power' [ '+12 HP' ]
+ */
+
+import { calculateDeratedPower } from './deratingService.js';
+import { assessPowerDemand, CONSTANTS as PTO_CONSTANTS } from './ptoService.js';
+import {
+  assessStability,
+  isExcludedByStability,
+  getConstants as getStabilityConstants,
+} from './stabilityService.js';
+import { checkImplementCompatibility } from './hitchCompatibilityService.js';
+import { predictTraction, normalizeTractionType } from './tractionService.js';
+import { getSoilCn } from './powerLossService.js';
+import {
+  analyzeTerrain,
+  generateRecommendation,
+  SCORING_CONFIG,
+} from './recommendationService.js';
+
+// CONSTANTES
+
+/**
+ * Constantes de las explicaciones contrafactuales
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Filtros de findCompatibleTractors, en el orden en que se aplican */
+  FILTERS: {
+    POWER: 'power',
+    POWER_DEMAND: 'power_demand',
+    TRACTION: 'traction',
+    STABILITY: 'stability',
+    IMPLEMENT: 'implement',
+    AVAILABILITY: 'availability',
+  },
+
+  /** Estados con los que un tractor se considera disponible */
+  AVAILABLE_STATUSES: ['available', 'active'],
+
+  /** Tracciones que cumplen la Regla de Oro */
+  ALL_WHEEL_TRACTION_TYPES: ['4x4', 'track'],
+
+  /** Aumento máximo de potencia nominal evaluado con derateo (HP) */
+  MAX_POWER_SEARCH_HP: 200,
+
+  /** Patinaje máximo recomendado en tiro (%) */
+  MAX_SLIP_PERCENT: 15,
+
+  /** Paso de la búsqueda del lastre (kg) */
+  BALLAST_STEP_KG: 50,
+
+  /** Lastre máximo evaluado (kg) */
+  MAX_BALLAST_KG: 3000,
+};
+
+/**
+ * Nombre legible de cada criterio del puntaje estándar
+ * @constant {Object}
+ */
+const CRITERION_LABELS = {
+  efficiency: 'eficiencia de potencia',
+  traction: 'tracción',
+  soil: 'rodado para el suelo',
+  economic: 'consumo',
+  availability: 'disponibilidad',
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Redondea a dos decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convierte un valor a número finito
+ * @param {*} value
+ * @returns {number|undefined}
+ */
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Potencia con la que filtra findCompatibleTractors: la derateada si hay contexto de derateo
+ * @param {Object} tractor - Registro del tractor
+ * @param {Object} terrain - Datos del terreno
+ * @param {Object|null} derating - Contexto de derateo de recommendationService
+ * @param {Object} [soilCatalog] - Catálogo de suelos
+ * @returns {{nominalHP: number, deratedHP: number|null, effectiveHP: number}}
+ */
+const resolvePower = (tractor, terrain, derating, soilCatalog) => {
+  const nominalHP = toNumber(tractor.engine_power_hp ?? tractor.enginePowerHp) || 0;
+
+  if (!derating) {
+    return { nominalHP, deratedHP: null, effectiveHP: nominalHP };
+  }
+
+  const { deratedHP } = calculateDeratedPower(tractor, terrain, { ...derating, soilCatalog });
+  return { nominalHP, deratedHP, effectiveHP: deratedHP };
+};
+
+/**
+ * Busca la menor potencia nominal (HP enteros) con la que el tractor entrega la requerida
+ *
+ * Las pérdidas atmosféricas son proporcionales a la potencia, así que el faltante
+ * derateado es solo el punto de partida de la búsqueda.
+ *
+ * @param {Object} tractor - Registro del tractor
+ * @param {Object} context - { terrain, derating, soilCatalog, requiredPower }
+ * @param {{nominalHP: number, effectiveHP: number}} power - Potencia actual
+ * @returns {number|null} Potencia nominal necesaria, o null si no se alcanza en el rango evaluado
+ */
+const findRequiredNominalHP = (tractor, { terrain, derating, soilCatalog, requiredPower }, power) => {
+  const start = Math.ceil(power.nominalHP + (requiredPower - power.effectiveHP));
+
+  if (!derating) return start;
+
+  for (let hp = start; hp <= power.nominalHP + CONSTANTS.MAX_POWER_SEARCH_HP; hp++) {
+    const { effectiveHP } = resolvePower({ ...tractor, engine_power_hp: hp }, terrain, derating, soilCatalog);
+    if (effectiveHP >= requiredPower) return hp;
+  }
+
+  return null;
+};
+
+// VERIFICACIONES (mismo orden que findCompatibleTractors)
+
+/**
+ * Filtro 1a: potencia del tractor (derateada) contra la requerida
+ * @param {Object} tractor
+ * @param {Object} context
+ * @returns {Object} Verificación con los cambios que la harían pasar
+ */
+const checkPower = (tractor, context) => {
+  const { requiredPower } = context;
+  const power = resolvePower(tractor, context.terrain, context.derating, context.soilCatalog);
+  const passed = power.effectiveHP >= requiredPower;
+  const changes = [];
+
+  if (!passed) {
+    const requiredNominalHP = findRequiredNominalHP(tractor, context, power);
+    const extraHP = requiredNominalHP === null ? null : requiredNominalHP - power.nominalHP;
+
+    changes.push({
+      type: 'engine_power',
+      value: extraHP,
+      unit: 'HP',
+      message: extraHP === null
+        ? `Ni con ${CONSTANTS.MAX_POWER_SEARCH_HP} HP nominales más entrega la potencia requerida en este terreno`
+        : `+${extraHP} HP`,
+    });
+  }
+
+  return {
+    filter: CONSTANTS.FILTERS.POWER,
+    passed,
+    requiredHP: round2(requiredPower),
+    nominalHP: power.nominalHP,
+    deratedHP: power.deratedHP,
+    shortfallHP: passed ? 0 : round2(requiredPower - power.effectiveHP),
+    changes,
+  };
+};
+
+/**
+ * Filtro 1b: demanda del implemento en la barra de tiro y en la TDF
+ * @param {Object} tractor
+ * @param {Object} context
+ * @returns {Object}
+ */
+const checkPowerDemand = (tractor, { powerResult }) => {
+  const capability = assessPowerDemand(tractor, powerResult);
+  const passed = capability?.sufficient !== false;
+  const changes = [];
+
+  if (!passed) {
+    // La capacidad en la barra es proporcional a la de la TDF: escalar la TDF por la
+    // utilización combinada deja ambas dentro del 100%
+    const combined = capability.combinedUtilizationPercent;
+    const extraHP = combined === null
+      ? null
+      : Math.ceil(capability.pto.availableHP * (combined / 100 - 1));
+    const limiting = capability.limitingFactor === PTO_CONSTANTS.LIMITING_FACTORS.PTO
+      ? 'la TDF'
+      : 'la barra de tiro';
+
+    changes.push({
+      type: 'pto_power',
+      value: extraHP,
+      unit: 'HP',
+      message: extraHP === null
+        ? `El tractor no entrega potencia en la TDF (limita ${limiting})`
+        : `+${extraHP} HP en la TDF (limita ${limiting})`,
+    });
+  }
+
+  return {
+    filter: CONSTANTS.FILTERS.POWER_DEMAND,
+    passed,
+    limitingFactor: capability?.limitingFactor ?? null,
+    combinedUtilizationPercent: capability?.combinedUtilizationPercent ?? null,
+    changes,
+  };
+};
+
+/**
+ * Filtro 2: Regla de Oro (pendiente > 15% exige 4x4 u orugas)
+ * @param {Object} tractor
+ * @param {Object} context
+ * @returns {Object}
+ */
+const checkTraction = (tractor, { terrainAnalysis }) => {
+  const { requires4WD } = terrainAnalysis.requirements;
+  const tractionType = normalizeTractionType(tractor.traction_type);
+  const passed = !requires4WD || CONSTANTS.ALL_WHEEL_TRACTION_TYPES.includes(tractionType);
+
+  return {
+    filter: CONSTANTS.FILTERS.TRACTION,
+    passed,
+    requires4WD,
+    tractionType,
+    changes: passed
+      ? []
+      : [{ type: 'traction_type', value: '4x4', unit: null, message: 'Necesita tracción 4x4 (u orugas)' }],
+  };
+};
+
+/**
+ * Filtro 3: estabilidad (riesgo de vuelco en la pendiente)
+ * @param {Object} tractor
+ * @param {Object} context
+ * @returns {Object}
+ */
+const checkStability = (tractor, { terrain }) => {
+  const slope = toNumber(terrain.slope_percentage) || 0;
+  const stability = assessStability(tractor, slope);
+  const passed = !isExcludedByStability(stability);
+  const changes = [];
+
+  if (!passed) {
+    // El factor de seguridad es tan(ángulo de vuelco) / pendiente: la pendiente máxima
+    // es la que lo deja justo en el umbral del nivel excluido
+    const { DANGER } = getStabilityConstants().SAFETY_FACTOR_LEVELS;
+    const maxSlope = Math.floor((slope * stability.safetyFactor) / DANGER * 10) / 10;
+
+    changes.push({
+      type: 'max_slope',
+      value: maxSlope,
+      unit: '%',
+      message: `Solo es estable hasta ${maxSlope}% de pendiente (el terreno tiene ${slope}%)`,
+    });
+  }
+
+  return {
+    filter: CONSTANTS.FILTERS.STABILITY,
+    passed,
+    level: stability.level,
+    safetyFactor: stability.safetyFactor,
+    changes,
+  };
+};
+
+/**
+ * Cambio mínimo de cada verificación de acople que falla
+ * @param {string} check - Clave de checkImplementCompatibility().checks
+ * @param {Object} result - Resultado de la verificación (required, available)
+ * @returns {Object}
+ */
+const buildImplementChange = (check, { required, available }) => {
+  switch (check) {
+    case 'hitchCategory':
+      return {
+        type: 'hitch_category',
+        value: required,
+        unit: null,
+        message: `Enganche categoría ${required} (tiene ${available})`,
+      };
+    case 'liftCapacity': {
+      const extraKg = Math.ceil(required - available);
+      return { type: 'lift_capacity', value: extraKg, unit: 'kg', message: `+${extraKg} kg de capacidad de levante` };
+    }
+    default:
+      return {
+        type: 'pto_speed',
+        value: required,
+        unit: 'rpm',
+        message: `TDF de ${required} rpm (tiene ${available} rpm)`,
+      };
+  }
+};
+
+/**
+ * Filtro 4: acople del implemento (enganche, levante y TDF)
+ * @param {Object} tractor
+ * @param {Object} context
+ * @returns {Object}
+ */
+const checkImplement = (tractor, { implement }) => {
+  if (!implement) {
+    return { filter: CONSTANTS.FILTERS.IMPLEMENT, passed: true, reasons: [], changes: [] };
+  }
+
+  const compatibility = checkImplementCompatibility(tractor, implement);
+
+  return {
+    filter: CONSTANTS.FILTERS.IMPLEMENT,
+    passed: compatibility.compatible,
+    reasons: compatibility.reasons,
+    changes: compatibility.reasons.map(({ check }) =>
+      buildImplementChange(check, compatibility.checks[check]),
+    ),
+  };
+};
+
+/**
+ * Filtro 5: disponibilidad
+ * @param {Object} tractor
+ * @returns {Object}
+ */
+const checkAvailability = (tractor) => {
+  const status = (tractor.status || 'available').toLowerCase();
+  const passed = CONSTANTS.AVAILABLE_STATUSES.includes(status);
+
+  return {
+    filter: CONSTANTS.FILTERS.AVAILABILITY,
+    passed,
+    status,
+    changes: passed
+      ? []
+      : [{ type: 'status', value: 'available', unit: null, message: `Debe estar disponible (estado actual: ${status})` }],
+  };
+};
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Evalúa un tractor con cada filtro de findCompatibleTractors
+ *
+ * @description
+ * A diferencia del filtro, no se detiene en el primero que falla: informa todos, en
+ * el mismo orden, para que el usuario vea si basta un cambio o hacen falta varios.
+ *
+ * @param {Object} tractor - Registro del tractor
+ * @param {Object} params
+ * @param {Object} params.terrain - Datos del terreno
+ * @param {number} params.requiredPower - Potencia mínima requerida (HP)
+ * @param {Object} [params.implement] - Implemento a acoplar
+ * @param {Object} [params.powerResult] - Resultado de calculateMinimumPower
+ * @param {Object} [params.derating] - Contexto de derateo de recommendationService
+ * @param {Object} [params.soilCatalog] - Catálogo de suelos
+ * @returns {Array<Object>} Una verificación por filtro: { filter, passed, changes, ...detalle }
+ */
+export const evaluateFilters = (tractor, params) => {
+  const context = {
+    implement: null,
+    powerResult: null,
+    derating: null,
+    ...params,
+    terrainAnalysis: analyzeTerrain(params.terrain, params.soilCatalog),
+  };
+
+  return [
+    checkPower(tractor, context),
+    checkPowerDemand(tractor, context),
+    checkTraction(tractor, context),
+    checkStability(tractor, context),
+    checkImplement(tractor, context),
+    checkAvailability(tractor),
+  ];
+};
+
+/**
+ * Predice el patinaje con el tiro del implemento y el lastre mínimo para no superar el 15%
+ *
+ * @param {Object} tractor - Registro del tractor (weight_kg, traction_type, neumáticos)
+ * @param {Object} terrain - Datos del terreno
+ * @param {Object|null} derating - Contexto de derateo (drawbarPullKn)
+ * @param {Object} [soilCatalog] - Catálogo de suelos
+ * @returns {Object|null} Patinaje y lastre, o null sin peso del tractor o sin tiro conocido
+ *
+ * @example
+ * assessSlip({ weight_kg: 3200, traction_type: '4x2' }, { soil_type: 'clay', slope_percentage: 8 }, { drawbarPullKn: 18 });
+ * // -> { slipPercent: 49.95, tractionLimited: true, withinLimit: false, ballastKg: 2500, change: { type: 'ballast', ... } }
+ */
+export const assessSlip = (tractor, terrain, derating, soilCatalog) => {
+  const weightKg = toNumber(tractor.weight_kg);
+  const drawbarPullKn = toNumber(derating?.drawbarPullKn);
+
+  if (!(weightKg > 0) || !(drawbarPullKn > 0)) return null;
+
+  const soilCn = getSoilCn(terrain.soil_type, terrain.moisture_condition, soilCatalog);
+  const predict = (ballastKg) => predictTraction({
+    tractionType: tractor.traction_type,
+    tireWidthMm: tractor.tire_width_mm,
+    tireDiameterMm: tractor.tire_diameter_mm,
+    tirePressurePsi: tractor.tire_pressure_psi,
+    totalWeightKg: weightKg + ballastKg,
+    soilCn,
+    slopePercent: toNumber(terrain.slope_percentage) || 0,
+    drawbarPullKn,
+  });
+  const isWithinLimit = (prediction) =>
+    !prediction.tractionLimited && prediction.slipPercent <= CONSTANTS.MAX_SLIP_PERCENT;
+
+  const current = predict(0);
+  const withinLimit = isWithinLimit(current);
+  let ballastKg = withinLimit ? 0 : null;
+
+  for (
+    let kg = CONSTANTS.BALLAST_STEP_KG;
+    ballastKg === null && kg <= CONSTANTS.MAX_BALLAST_KG;
+    kg += CONSTANTS.BALLAST_STEP_KG
+  ) {
+    if (isWithinLimit(predict(kg))) ballastKg = kg;
+  }
+
+  let change = null;
+  if (!withinLimit) {
+    change = {
+      type: 'ballast',
+      value: ballastKg,
+      unit: 'kg',
+      message: ballastKg === null
+        ? `Ni con ${CONSTANTS.MAX_BALLAST_KG} kg de lastre baja de ${CONSTANTS.MAX_SLIP_PERCENT}% de patinaje`
+        : `Lastre de ${ballastKg} kg para no superar ${CONSTANTS.MAX_SLIP_PERCENT}% de patinaje`,
+    };
+  }
+
+  return {
+    slipPercent: current.slipPercent,
+    maxSlipPercent: CONSTANTS.MAX_SLIP_PERCENT,
+    tractionLimited: current.tractionLimited,
+    withinLimit,
+    ballastKg,
+    change,
+  };
+};
+
+/**
+ * Puntúa un tractor que pasa los filtros contra los demás compatibles
+ *
+ * @param {Object} tractor - Tractor explicado
+ * @param {Object} params - Parámetros de generateRecommendation (tractors = competidores)
+ * @param {number} limit - Puestos que se recomiendan
+ * @returns {Object} Puntaje, puesto y distancia al último recomendado
+ */
+const rankAgainstCompetitors = (tractor, { tractors = [], ...params }, limit) => {
+  const pool = [tractor, ...tractors.filter((candidate) => candidate.tractor_id !== tractor.tractor_id)];
+  const { recommendations } = generateRecommendation({
+    ...params,
+    tractors: pool,
+    options: { limit: pool.length },
+  });
+
+  const index = recommendations.findIndex((rec) => rec.tractor === tractor);
+  const own = recommendations[index];
+  const rank = index + 1;
+  const recommended = rank <= limit;
+  const cutoff = recommendations[Math.min(limit, recommendations.length) - 1];
+  const gap = recommended ? 0 : round2(cutoff.score.total - own.score.total);
+
+  // Criterios en los que el último recomendado le saca ventaja, de mayor a menor
+  const criteriaGaps = recommended
+    ? []
+    : Object.entries(cutoff.score.breakdown)
+      .map(([criterion, points]) => ({ criterion, gap: round2(points - own.score.breakdown[criterion]) }))
+      .filter((item) => item.gap > 0)
+      .sort((a, b) => b.gap - a.gap);
+
+  let change = null;
+  if (!recommended) {
+    const weakest = criteriaGaps[0] ? ` (sobre todo en ${CRITERION_LABELS[criteriaGaps[0].criterion] ?? criteriaGaps[0].criterion})` : '';
+    change = {
+      type: 'score',
+      value: gap,
+      unit: 'pts',
+      message: gap > 0
+        ? `Le faltan ${gap} puntos para entrar al top ${limit}${weakest}`
+        : `Empata en puntaje con el puesto ${limit} y queda fuera por orden`,
+    };
+  }
+
+  return {
+    total: own.score.total,
+    breakdown: own.score.breakdown,
+    rank,
+    compatibleCount: recommendations.length,
+    cutoffRank: limit,
+    cutoffScore: cutoff.score.total,
+    recommended,
+    gap,
+    criteriaGaps,
+    change,
+  };
+};
+
+/**
+ * Explica por qué un tractor no está entre las recomendaciones y qué cambio mínimo lo haría calificar
+ *
+ * @param {Object} params - Parámetros de generateRecommendation más el tractor a explicar
+ * @param {Object} params.tractor - Tractor a explicar (del catálogo o de la flota del usuario)
+ * @param {Array<Object>} params.tractors - Tractores con los que compite por el top N
+ * @param {Object} params.terrain - Datos del terreno
+ * @param {Object} [params.implement] - Implemento a acoplar
+ * @param {number} params.requiredPower - Potencia mínima requerida (HP)
+ * @param {Object} [params.powerResult] - Resultado de calculateMinimumPower
+ * @param {Object} [params.coefficients] - Coeficientes del perfil de cálculo (sección recommendation)
+ * @param {Object} [params.soilCatalog] - Catálogo de suelos
+ * @param {Object} [params.derating] - Contexto de derateo de recommendationService
+ * @param {Object} [params.options]
+ * @param {number} [params.options.limit] - Puestos recomendados (TOP_RECOMMENDATIONS)
+ * @returns {Object} { qualifies, recommended, excludedBy, checks, changes, score, slip }
+ */
+export const explainTractor = (params) => {
+  const {
+    tractor,
+    terrain,
+    requiredPower,
+    derating = null,
+    soilCatalog,
+    options = {},
+  } = params;
+
+  if (!tractor) {
+    throw new Error('tractor es requerido');
+  }
+  if (!terrain) {
+    throw new Error('terrain es requerido');
+  }
+  if (typeof requiredPower !== 'number' || requiredPower <= 0) {
+    throw new Error('requiredPower debe ser un número positivo');
+  }
+
+  const { limit = SCORING_CONFIG.TOP_RECOMMENDATIONS } = options;
+  const checks = evaluateFilters(tractor, params);
+  const failed = checks.filter((check) => !check.passed);
+  const qualifies = failed.length === 0;
+  const score = qualifies ? rankAgainstCompetitors(tractor, params, limit) : null;
+
+  const changes = [
+    ...failed.flatMap(({ filter, changes: filterChanges }) =>
+      filterChanges.map((change) => ({ filter, ...change })),
+    ),
+    ...(score?.change ? [{ filter: 'score', ...score.change }] : []),
+  ];
+
+  return {
+    qualifies,
+    recommended: score?.recommended ?? false,
+    excludedBy: failed[0]?.filter ?? null,
+    checks,
+    changes,
+    score,
+    slip: assessSlip(tractor, terrain, derating, soilCatalog),
+  };
+};
+
+/**
+ * Obtiene una copia de las constantes de las explicaciones contrafactuales
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  evaluateFilters,
+  assessSlip,
+  explainTractor,
+  getConstants,
+  CONSTANTS,
+};
@@ -0,0 +1,190 @@
+/**
+ * @overview Servicio de potencia efectiva (derateada) de un tractor en un terreno
+ * @module services/deratingService
+ *
+ * @description
+ * La potencia nominal del catálogo (engine_power_hp) es la del motor a nivel del mar
+ * y 15 °C. En el terreno el motor entrega menos por la altitud y la temperatura:
+ * ```
+ * HP_derateada = HP_nominal - pérdidas atmosféricas (altitud, temperatura)
+ * ```
+ * Es la potencia que se compara con minimumPowerHP, que ya es un requerimiento a
+ * nivel de motor (incluye eficiencia de tracción, transmisión y margen de seguridad);
+ * descontar aquí también transmisión, rodadura y patinaje contaría dos veces esas
+ * pérdidas. La potencia neta en la barra (todas las pérdidas de
+ * powerLossService.calculateTotalLoss) se informa aparte como drawbarHP.
+ *
+ * Las pérdidas atmosféricas dependen del tipo de aspiración del motor (columna
+ * aspiration_type del catálogo): solo los motores aspirados las sufren.
+ *
+ * @example
+ * import { calculateDeratedPower } from './deratingService.js';
+ *
+ * const power = calculateDeratedPower(
+ *   { engine_power_hp: 90, weight_kg: 3500, aspiration_type: 'aspirated', traction_type: '4x4' },
+ *   { altitude_meters: 2600, temperature_celsius: 12, slope_percentage: 8, soil_type: 'loam' },
+ *   { speedKmh: 6 }
+ * );
+ * console.log(power.deratedHP); // potencia del motor en el terreno
+ */
+
+import { calculateTotalLoss, getSoilCn } from './powerLossService.js';
+import { getTypicalSpeed } from './fieldCapacityService.js';
+
+// CONSTANTES
+
+/**
+ * Constantes de la potencia derateada
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Tipos de aspiración aceptados en el catálogo */
+  ASPIRATION_TYPES: ['turbo', 'aspirated'],
+
+  /** Tipo supuesto cuando el tractor no lo informa (el más conservador) */
+  DEFAULT_ASPIRATION_TYPE: 'aspirated',
+
+  /** Sinónimos aceptados en la entrada */
+  ASPIRATION_SYNONYMS: {
+    turbo: 'turbo',
+    turboalimentado: 'turbo',
+    aspirated: 'aspirated',
+    aspirado: 'aspirated',
+    atmosferico: 'aspirated',
+    'atmosférico': 'aspirated',
+  },
+
+  /** Temperatura ambiente supuesta si el terreno no la informa (°C) */
+  DEFAULT_TEMPERATURE_C: 15,
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Redondea a dos decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convierte un valor a número finito
+ * @param {*} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+const toNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Normaliza el tipo de aspiración del motor
+ *
+ * @param {string} value - Valor de entrada ('turbo', 'aspirated', 'aspirado'...)
+ * @returns {'turbo'|'aspirated'|null} Tipo normalizado, o null si no se reconoce
+ */
+export const normalizeAspirationType = (value) => {
+  if (typeof value !== 'string') return null;
+  return CONSTANTS.ASPIRATION_SYNONYMS[value.toLowerCase().trim()] || null;
+};
+
+/**
+ * Indica si el motor del tractor es turboalimentado según el catálogo
+ *
+ * @param {Object} tractor - Registro del tractor (aspiration_type)
+ * @returns {boolean}
+ */
+export const isTurbo = (tractor) =>
+  (normalizeAspirationType(tractor?.aspiration_type) || CONSTANTS.DEFAULT_ASPIRATION_TYPE) === 'turbo';
+
+/**
+ * Calcula la potencia nominal y la derateada de un tractor en un terreno
+ *
+ * @description
+ * deratedHP solo descuenta altitud y temperatura (se compara con minimumPowerHP).
+ * drawbarHP es la potencia neta en la barra tras todas las pérdidas: el patinaje se
+ * predice con el tiro del implemento (drawbarPullKn); sin tiro conocido, con el
+ * necesario para mover el tractor. Sin peso del tractor no se estiman las pérdidas
+ * de rodadura, pendiente y patinaje.
+ *
+ * @param {Object} tractor - Registro del tractor (engine_power_hp, weight_kg, aspiration_type, neumáticos)
+ * @param {Object} terrain - Terreno (altitude_meters, temperature_celsius, slope_percentage, soil_type, moisture_condition)
+ * @param {Object} [options]
+ * @param {number} [options.speedKmh] - Velocidad de trabajo (km/h)
+ * @param {string} [options.implementType] - Tipo de implemento (velocidad típica si falta speedKmh)
+ * @param {number} [options.drawbarPullKn=0] - Tiro del implemento en la barra (kN)
+ * @param {Object} [options.coefficients] - Coeficientes powerLoss del perfil de cálculo activo
+ * @param {Object} [options.soilCatalog] - Catálogo de suelos (Cn según suelo y humedad)
+ * @returns {{nominalHP: number, deratedHP: number, lossHP: number, drawbarHP: number, aspirationType: string, hasTurbo: boolean}}
+ */
+export const calculateDeratedPower = (tractor, terrain, {
+  speedKmh,
+  implementType,
+  drawbarPullKn = 0,
+  coefficients,
+  soilCatalog,
+} = {}) => {
+  const nominalHP = toNumber(tractor.engine_power_hp ?? tractor.enginePowerHp, 0);
+  const aspirationType = normalizeAspirationType(tractor.aspiration_type) || CONSTANTS.DEFAULT_ASPIRATION_TYPE;
+  const hasTurbo = aspirationType === 'turbo';
+
+  if (nominalHP <= 0) {
+    return { nominalHP, deratedHP: 0, lossHP: 0, drawbarHP: 0, aspirationType, hasTurbo };
+  }
+
+  const weightKg = toNumber(tractor.weight_kg, 0);
+  const hasWeight = weightKg > 0;
+
+  const results = calculateTotalLoss({
+    enginePower: nominalHP,
+    altitudeMeters: toNumber(terrain.altitude_meters, 0),
+    temperatureC: toNumber(terrain.temperature_celsius, CONSTANTS.DEFAULT_TEMPERATURE_C),
+    totalWeightKg: weightKg,
+    soilCn: getSoilCn(terrain.soil_type, terrain.moisture_condition, soilCatalog),
+    slopePercent: toNumber(terrain.slope_percentage, 0),
+    speedKmh: speedKmh > 0 ? speedKmh : getTypicalSpeed(implementType),
+    // Sin peso no hay carga sobre las ruedas con la que predecir el patinaje
+    slippagePercent: hasWeight ? undefined : 0,
+    hasTurbo,
+    traction: {
+      tractionType: tractor.traction_type,
+      tireWidthMm: tractor.tire_width_mm,
+      tireDiameterMm: tractor.tire_diameter_mm,
+      tirePressurePsi: tractor.tire_pressure_psi,
+      drawbarPullKn,
+    },
+    coefficients,
+  });
+
+  const deratedHP = round2(nominalHP - results.losses.altitude - results.losses.temperature);
+
+  return {
+    nominalHP,
+    deratedHP,
+    lossHP: round2(nominalHP - deratedHP),
+    drawbarHP: results.netPower,
+    aspirationType,
+    hasTurbo,
+  };
+};
+
+/**
+ * Obtiene una copia de las constantes de la potencia derateada
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  normalizeAspirationType,
+  isTurbo,
+  calculateDeratedPower,
+  getConstants,
+  CONSTANTS,
+};
@@ -0,0 +1,320 @@
+/**
+ * @overview Servicio de fuerza de tiro (draft) de implementos agrícolas
+ * @module services/draftService
+ *
+ * @description
+ * Implementa el modelo de tiro de ASABE D497:
+ * ```
+ * D = F_i · (A + B·S + C·S²) · W · T
+ * ```
+ *
+ * Donde:
+ * - D: tiro del implemento (N)
+ * - F_i: factor de textura del suelo (i = 1 fina, 2 media, 3 gruesa)
+ * - A, B, C: coeficientes del tipo de implemento
+ * - S: velocidad de trabajo (km/h)
+ * - W: ancho de trabajo (m)
+ * - T: profundidad de trabajo (cm) para labranza; 1 para siembra y corte
+ *
+ * La potencia en la barra se lleva a potencia de motor con la eficiencia
+ * tractiva típica del suelo y la eficiencia de transmisión, y se suma la
+ * potencia de TDF de los implementos accionados, con las pérdidas del cardán
+ * (ver ptoService).
+ *
+ * @example
+ * import { calculateDraftPowerRequirement } from './draftService.js';
+ *
+ * const draft = calculateDraftPowerRequirement({
+ *   implementType: 'plow',
+ *   soilType: 'clay',
+ *   widthM: 0.9,
+ *   depthCm: 25,
+ *   speedKmh: 7,
+ *   slopePercent: 5,
+ * });
+ * console.log(draft.draftKn, draft.drawbarPowerHP, draft.requiredPowerHP);
+ */
+
+import { calculatePtoDemand } from './ptoService.js';
+
+// CONSTANTES
+
+/**
+ * Constantes del modelo de tiro
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /**
+   * Coeficientes de tiro por tipo de implemento (ASABE D497, Tabla 1)
+   * A en N, B en N·h/km, C en N·h²/km², por metro de ancho (y por cm si usesDepth)
+   * textureFactors: [fina, media, gruesa]
+   */
+  DRAFT_COEFFICIENTS: {
+    /** Arado de vertedera */
+    plow: { A: 652, B: 0, C: 5.1, usesDepth: true, textureFactors: [1.0, 0.7, 0.45] },
+    /** Rastra de discos tándem, labranza primaria */
+    harrow: { A: 309, B: 16, C: 0, usesDepth: true, textureFactors: [1.0, 0.88, 0.78] },
+    /** Cultivador de campo (46 + 2.8·S N por brazo, 5 brazos por metro) */
+    cultivator: { A: 230, B: 14, C: 0, usesDepth: true, textureFactors: [1.0, 0.85, 0.65] },
+    /** Sembradora de granos (400 N por surco a 0.19 m entre surcos) */
+    seeder: { A: 2100, B: 0, C: 0, usesDepth: false, textureFactors: [1.0, 1.0, 1.0] },
+    /** Segadora de discos (sin tiro relevante, accionada por TDF) */
+    mower: { A: 0, B: 0, C: 0, usesDepth: false, textureFactors: [1.0, 1.0, 1.0] },
+    /** Rotocultivador (empuja en lugar de tirar; la profundidad escala la TDF) */
+    rotary_tiller: { A: 0, B: 0, C: 0, usesDepth: true, textureFactors: [1.0, 1.0, 1.0] },
+    /** Enfardadora (sin tiro relevante, accionada por TDF) */
+    baler: { A: 0, B: 0, C: 0, usesDepth: false, textureFactors: [1.0, 1.0, 1.0] },
+  },
+
+  /** Velocidad de trabajo típica por tipo de implemento en km/h (ASABE D497) */
+  TYPICAL_SPEED_KMH: {
+    plow: 7,
+    harrow: 9,
+    cultivator: 9,
+    seeder: 8,
+    mower: 11,
+    rotary_tiller: 5,
+    baler: 8,
+  },
+
+  /** Profundidad típica en cm cuando el implemento no la declara */
+  TYPICAL_DEPTH_CM: {
+    plow: 20,
+    harrow: 10,
+    cultivator: 10,
+    rotary_tiller: 12,
+  },
+
+  /** Clase de textura por tipo de suelo normalizado */
+  SOIL_TEXTURE: {
+    clay: 'fine',
+    rocky: 'fine',
+    loam: 'medium',
+    sandy: 'coarse',
+  },
+
+  /** Índice del factor F_i por clase de textura */
+  TEXTURE_INDEX: {
+    fine: 0,
+    medium: 1,
+    coarse: 2,
+  },
+
+  /** Eficiencia tractiva típica (potencia en barra / potencia en eje) por suelo */
+  TRACTIVE_EFFICIENCY: {
+    clay: 0.67,
+    rocky: 0.72,
+    loam: 0.72,
+    sandy: 0.55,
+  },
+
+  /** Eficiencia de la transmisión motor → eje */
+  TRANSMISSION_EFFICIENCY: 0.96,
+
+  /** Incremento de la potencia en barra por punto de pendiente (mismo criterio que el modelo de catálogo) */
+  SLOPE_FACTOR_PER_PERCENT: 0.005,
+
+  /** Conversión kW -> HP */
+  KW_TO_HP: 1 / 0.7457,
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Redondea a dos decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Normaliza el tipo de implemento
+ * @param {string|null|undefined} implementType
+ * @returns {string|null}
+ */
+const normalizeImplementType = (implementType) => {
+  if (!implementType || typeof implementType !== 'string') return null;
+  return implementType.toLowerCase().trim();
+};
+
+/**
+ * Clasifica el tipo de suelo en clase de textura ASABE
+ *
+ * @param {string|null|undefined} soilType - Tipo de suelo normalizado (clay|loam|sandy|rocky)
+ * @returns {string} Clase de textura (fine|medium|coarse), 'medium' por defecto
+ *
+ * @example
+ * getSoilTexture('clay');  // -> 'fine'
+ * getSoilTexture('sandy'); // -> 'coarse'
+ */
+export const getSoilTexture = (soilType) =>
+  CONSTANTS.SOIL_TEXTURE[soilType] || CONSTANTS.SOIL_TEXTURE.loam;
+
+/**
+ * Indica si el tipo de implemento tiene coeficientes de tiro ASABE
+ *
+ * @param {string} implementType - Tipo de implemento
+ * @returns {boolean}
+ */
+export const supportsDraftModel = (implementType) =>
+  Boolean(CONSTANTS.DRAFT_COEFFICIENTS[normalizeImplementType(implementType)]);
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Calcula la fuerza de tiro del implemento
+ *
+ * @param {Object} params
+ * @param {string} params.implementType - Tipo de implemento (plow|harrow|cultivator|seeder|mower)
+ * @param {string} [params.soilType='loam'] - Tipo de suelo normalizado
+ * @param {number} params.widthM - Ancho de trabajo (m)
+ * @param {number} [params.depthCm] - Profundidad de trabajo (cm), típica del implemento si se omite
+ * @param {number} [params.speedKmh] - Velocidad de trabajo (km/h), típica del implemento si se omite
+ * @returns {Object} Tiro en kN y parámetros efectivos del cálculo
+ *
+ * @throws {Error} Si el tipo de implemento no tiene coeficientes
+ * @throws {Error} Si widthM no es un número positivo
+ */
+export const calculateDraftForce = ({
+  implementType,
+  soilType = 'loam',
+  widthM,
+  depthCm,
+  speedKmh,
+}) => {
+  const type = normalizeImplementType(implementType);
+  const coefficients = CONSTANTS.DRAFT_COEFFICIENTS[type];
+
+  if (!coefficients) {
+    throw new Error(`No hay coeficientes de tiro para el implemento '${implementType}'`);
+  }
+
+  if (typeof widthM !== 'number' || widthM <= 0) {
+    throw new Error('widthM debe ser un número positivo');
+  }
+
+  const speed = speedKmh > 0 ? speedKmh : CONSTANTS.TYPICAL_SPEED_KMH[type];
+  const depth = coefficients.usesDepth
+    ? (depthCm > 0 ? depthCm : CONSTANTS.TYPICAL_DEPTH_CM[type])
+    : null;
+
+  const soilTexture = getSoilTexture(soilType);
+  const textureFactor = coefficients.textureFactors[CONSTANTS.TEXTURE_INDEX[soilTexture]];
+
+  // D = F_i · (A + B·S + C·S²) · W · T
+  const { A, B, C } = coefficients;
+  const draftN = textureFactor * (A + B * speed + C * speed * speed) * widthM * (depth ?? 1);
+
+  return {
+    draftKn: round2(draftN / 1000),
+    implementType: type,
+    soilTexture,
+    textureFactor,
+    widthM,
+    depthCm: depth,
+    speedKmh: speed,
+  };
+};
+
+/**
+ * Calcula la potencia de TDF demandada por el implemento en su eje
+ *
+ * @param {Object} params
+ * @param {string} params.implementType - Tipo de implemento
+ * @param {number} params.widthM - Ancho de trabajo (m)
+ * @param {number} [params.depthCm] - Profundidad de trabajo (cm)
+ * @returns {number} Potencia de TDF en HP (0 si el implemento no usa TDF)
+ */
+export const calculatePtoPower = ({ implementType, widthM, depthCm }) =>
+  calculatePtoDemand({ implementType, widthM, depthCm }).shaftPowerHP;
+
+/**
+ * Calcula tiro, potencia en la barra, potencia de TDF y potencia de motor requerida
+ *
+ * @description
+ * ```
+ * P_barra = D · S / 3.6 · F_pendiente
+ * P_motor = (P_barra / η_tractiva + P_tdf / η_cardán) / η_transmisión
+ * ```
+ *
+ * @param {Object} params
+ * @param {string} params.implementType - Tipo de implemento
+ * @param {string} [params.soilType='loam'] - Tipo de suelo normalizado
+ * @param {number} params.widthM - Ancho de trabajo (m)
+ * @param {number} [params.depthCm] - Profundidad de trabajo (cm)
+ * @param {number} [params.speedKmh] - Velocidad de trabajo (km/h)
+ * @param {number} [params.slopePercent=0] - Pendiente del terreno (%)
+ * @param {number} [params.ptoDistanceM] - Distancia TDF–implemento (m), pérdidas del cardán
+ * @returns {Object|null} Requerimiento de potencia, o null si el implemento no tiene modelo de tiro
+ *
+ * @example
+ * const result = calculateDraftPowerRequirement({
+ *   implementType: 'harrow', soilType: 'loam', widthM: 1.8, depthCm: 10, speedKmh: 9,
+ * });
+ * console.log(result.draftKn); // ~7.18 kN
+ */
+export const calculateDraftPowerRequirement = ({
+  implementType,
+  soilType = 'loam',
+  widthM,
+  depthCm,
+  speedKmh,
+  slopePercent = 0,
+  ptoDistanceM,
+}) => {
+  if (!supportsDraftModel(implementType) || !(widthM > 0)) {
+    return null;
+  }
+
+  const draft = calculateDraftForce({ implementType, soilType, widthM, depthCm, speedKmh });
+
+  const slopeFactor = 1 + Math.max(0, slopePercent || 0) * CONSTANTS.SLOPE_FACTOR_PER_PERCENT;
+  const drawbarPowerKw = (draft.draftKn * draft.speedKmh / 3.6) * slopeFactor;
+  const drawbarPowerHP = drawbarPowerKw * CONSTANTS.KW_TO_HP;
+
+  const tractiveEfficiency =
+    CONSTANTS.TRACTIVE_EFFICIENCY[soilType] || CONSTANTS.TRACTIVE_EFFICIENCY.loam;
+  const pto = calculatePtoDemand({
+    implementType,
+    widthM,
+    depthCm: draft.depthCm,
+    ptoDistanceM,
+  });
+
+  const requiredPowerHP =
+    drawbarPowerHP / (tractiveEfficiency * CONSTANTS.TRANSMISSION_EFFICIENCY)
+    + pto.tractorPtoPowerHP / CONSTANTS.TRANSMISSION_EFFICIENCY;
+
+  return {
+    ...draft,
+    drawbarPowerHP: round2(drawbarPowerHP),
+    ptoPowerHP: pto.shaftPowerHP,
+    ptoDrivelineEfficiency: pto.drivelineEfficiency,
+    tractorPtoPowerHP: pto.tractorPtoPowerHP,
+    ptoDistanceM: pto.ptoDistanceM,
+    requiredPowerHP: round2(requiredPowerHP),
+    slopeFactor: Math.round(slopeFactor * 1000) / 1000,
+    tractiveEfficiency,
+    transmissionEfficiency: CONSTANTS.TRANSMISSION_EFFICIENCY,
+  };
+};
+
+/**
+ * Obtiene una copia de las constantes del modelo
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  calculateDraftForce,
+  calculatePtoPower,
+  calculateDraftPowerRequirement,
+  getSoilTexture,
+  supportsDraftModel,
+  getConstants,
+  CONSTANTS,
+};
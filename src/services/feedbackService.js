@@ -0,0 +1,412 @@
+/**
+ * @overview Servicio de feedback de recomendaciones y preferencias aprendidas
+ * @module services/feedbackService
+ *
+ * @description
+ * Convierte el feedback de los usuarios sobre sus recomendaciones (aceptada o
+ * rechazada con motivo, calificación 1-5 y si terminó en compra) en:
+ *
+ * 1. Preferencias aprendidas por usuario para la recomendación avanzada:
+ *    - Marca preferida inferida: la marca con más recomendaciones aceptadas
+ *      (una compra cuenta doble) y una tasa de aceptación suficiente.
+ *    - Pesos ADVANCED_WEIGHTS ajustados: un criterio gana peso cuando las
+ *      recomendaciones que ganó (criterio principal del desglose) satisfacen más
+ *      que el promedio, y cuando los rechazos lo citan como motivo.
+ *      ```
+ *      peso' = peso_base × (1 + LEARNING_RATE × (satisfacción_criterio − satisfacción_media)
+ *                             + REASON_RATE × rechazos_con_ese_motivo / feedback)
+ *      ```
+ *      Los pesos se acotan y se normalizan para sumar 100.
+ * 2. El reporte de administración: tasa de aceptación por tractor y por criterio.
+ *
+ * La satisfacción de cada feedback es 0 si se rechazó, 1 si se compró y rating/5
+ * (o 1 sin calificación) si se aceptó. Servicio puro: recibe filas ya leídas.
+ *
+ * @example
+ * import { learnPreferences } from './feedbackService.js';
+ *
+ * const preferences = learnPreferences(rows);
+ * // { sampleSize: 8, learned: true, brandPreference: 'John Deere',
+ * //   weights: { power_match: 44, price: 27, brand_preference: 19, fuel_efficiency: 10 }, ... }
+ */
+
+import { SCORING_CONFIG } from './recommendationService.js';
+
+// CONSTANTES
+
+/**
+ * Constantes del aprendizaje de preferencias
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Decisiones posibles sobre una recomendación */
+  DECISIONS: {
+    ACCEPTED: 'accepted',
+    REJECTED: 'rejected',
+  },
+
+  /** Motivos de rechazo y el criterio de ADVANCED_WEIGHTS que señalan (null = ninguno) */
+  REASON_CODES: {
+    too_expensive: 'price',
+    wrong_power: 'power_match',
+    brand: 'brand_preference',
+    fuel_consumption: 'fuel_efficiency',
+    availability: null,
+    other: null,
+  },
+
+  /** Criterios del puntaje estándar equivalentes a un criterio avanzado */
+  CRITERION_ALIASES: {
+    efficiency: 'power_match',
+    economic: 'fuel_efficiency',
+  },
+
+  /** Calificación máxima (estrellas) */
+  MAX_RATING: 5,
+
+  /** Feedback mínimo del usuario para ajustar los pesos */
+  MIN_FEEDBACK: 5,
+
+  /** Recomendaciones mínimas ganadas por un criterio para medir su satisfacción */
+  MIN_CRITERION_SAMPLES: 3,
+
+  /** Ajuste por diferencia de satisfacción del criterio frente a la media */
+  LEARNING_RATE: 0.5,
+
+  /** Ajuste por proporción de rechazos que citan el criterio */
+  REASON_RATE: 1,
+
+  /** Límites de cada peso aprendido antes de normalizar */
+  WEIGHT_BOUNDS: { MIN: 5, MAX: 60 },
+
+  /** Suma de los pesos */
+  WEIGHTS_TOTAL: 100,
+
+  /** Marca preferida: aceptaciones mínimas y tasa de aceptación mínima */
+  BRAND: { MIN_ACCEPTED: 2, MIN_ACCEPTANCE_RATE: 0.6 },
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Redondea a dos decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Porcentaje con dos decimales (0 si no hay total)
+ * @param {number} part
+ * @param {number} total
+ * @returns {number}
+ */
+const toPercent = (part, total) => (total > 0 ? round2((part / total) * 100) : 0);
+
+/**
+ * Interpreta las observaciones persistidas de una recomendación
+ * @param {string|Object|null} observations - Columna observations (JSON)
+ * @returns {Object|null}
+ */
+const parseObservations = (observations) => {
+  if (!observations) return null;
+  if (typeof observations === 'object') return observations;
+  try {
+    return JSON.parse(observations);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Indica si el feedback aceptó la recomendación
+ * @param {Object} row
+ * @returns {boolean}
+ */
+const isAccepted = (row) => row.decision === CONSTANTS.DECISIONS.ACCEPTED;
+
+/**
+ * Satisfacción de un feedback entre 0 y 1
+ * @param {Object} row - decision, rating, purchased
+ * @returns {number}
+ */
+const getSatisfaction = (row) => {
+  if (!isAccepted(row)) return 0;
+  if (row.purchased) return 1;
+  return row.rating ? Number(row.rating) / CONSTANTS.MAX_RATING : 1;
+};
+
+/**
+ * Promedio de satisfacción de un conjunto de feedback
+ * @param {Object[]} rows
+ * @returns {number|null}
+ */
+const averageSatisfaction = (rows) =>
+  rows.length > 0
+    ? rows.reduce((sum, row) => sum + getSatisfaction(row), 0) / rows.length
+    : null;
+
+/**
+ * Contadores comunes del reporte (aceptación, compras, calificación media)
+ * @param {Object[]} rows
+ * @returns {Object}
+ */
+const summarizeRows = (rows) => {
+  const accepted = rows.filter(isAccepted).length;
+  const purchased = rows.filter((row) => row.purchased).length;
+  const ratings = rows.filter((row) => row.rating != null).map((row) => Number(row.rating));
+
+  return {
+    feedbackCount: rows.length,
+    accepted,
+    rejected: rows.length - accepted,
+    purchased,
+    acceptanceRate: toPercent(accepted, rows.length),
+    purchaseRate: toPercent(purchased, rows.length),
+    averageRating: ratings.length > 0
+      ? round2(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length)
+      : null,
+  };
+};
+
+/**
+ * Agrupa filas por una clave (las filas con clave null se omiten)
+ * @param {Object[]} rows
+ * @param {Function} getKey
+ * @returns {Map<*, Object[]>}
+ */
+const groupBy = (rows, getKey) => rows.reduce((groups, row) => {
+  const key = getKey(row);
+  if (key === null || key === undefined) return groups;
+  if (!groups.has(key)) groups.set(key, []);
+  groups.get(key).push(row);
+  return groups;
+}, new Map());
+
+/**
+ * Acota y normaliza los pesos para que sumen WEIGHTS_TOTAL (enteros)
+ * @param {Object} rawWeights - Pesos sin normalizar
+ * @returns {Object}
+ */
+const normalizeWeights = (rawWeights) => {
+  const { MIN, MAX } = CONSTANTS.WEIGHT_BOUNDS;
+  const entries = Object.entries(rawWeights).map(([key, value]) => [
+    key,
+    Math.min(MAX, Math.max(MIN, value)),
+  ]);
+  const sum = entries.reduce((total, [, value]) => total + value, 0);
+  const scaled = entries.map(([key, value]) => [key, (value / sum) * CONSTANTS.WEIGHTS_TOTAL]);
+
+  // Redondeo por mayor resto: la suma queda exactamente en WEIGHTS_TOTAL
+  const weights = Object.fromEntries(scaled.map(([key, value]) => [key, Math.floor(value)]));
+  let remainder = CONSTANTS.WEIGHTS_TOTAL
+    - Object.values(weights).reduce((total, value) => total + value, 0);
+  [...scaled]
+    .sort((a, b) => (b[1] - Math.floor(b[1])) - (a[1] - Math.floor(a[1])))
+    .forEach(([key]) => {
+      if (remainder > 0) {
+        weights[key] += 1;
+        remainder -= 1;
+      }
+    });
+
+  return weights;
+};
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Criterio que más aportó al puntaje de una recomendación (el mismo que
+ * explica la "razón principal"), expresado como criterio de ADVANCED_WEIGHTS
+ * cuando tiene equivalente
+ *
+ * @param {Object} observations - Observaciones de la recomendación (score.breakdown)
+ * @returns {string|null} Criterio, o null si no hay desglose
+ */
+export const getDominantCriterion = (observations) => {
+  const breakdown = parseObservations(observations)?.score?.breakdown;
+  if (!breakdown || Object.keys(breakdown).length === 0) return null;
+
+  const [criterion] = Object.entries(breakdown).reduce((a, b) => (a[1] >= b[1] ? a : b));
+  return CONSTANTS.CRITERION_ALIASES[criterion] ?? criterion;
+};
+
+/**
+ * Infiere la marca preferida del usuario
+ *
+ * @param {Object[]} rows - Feedback con tractor_brand
+ * @returns {Object|null} { brand, accepted, purchased, feedbackCount, acceptanceRate } o null
+ */
+export const inferBrandPreference = (rows) => {
+  const candidates = [...groupBy(rows, (row) => row.tractor_brand || null)]
+    .map(([brand, brandRows]) => {
+      const summary = summarizeRows(brandRows);
+      return {
+        brand,
+        accepted: summary.accepted,
+        purchased: summary.purchased,
+        feedbackCount: summary.feedbackCount,
+        acceptanceRate: summary.acceptanceRate,
+        strength: summary.accepted + summary.purchased,
+      };
+    })
+    .filter((candidate) =>
+      candidate.accepted >= CONSTANTS.BRAND.MIN_ACCEPTED &&
+      candidate.acceptanceRate >= CONSTANTS.BRAND.MIN_ACCEPTANCE_RATE * 100,
+    )
+    .sort((a, b) => b.strength - a.strength || b.acceptanceRate - a.acceptanceRate);
+
+  if (candidates.length === 0) return null;
+
+  const { strength, ...preference } = candidates[0];
+  return preference;
+};
+
+/**
+ * Ajusta los pesos de la recomendación avanzada con el feedback del usuario
+ *
+ * @param {Object[]} rows - Feedback con observations (desglose del puntaje)
+ * @param {Object} [baseWeights] - Pesos de partida (ADVANCED_WEIGHTS del perfil)
+ * @returns {Object|null} { weights, adjustments } o null si hay menos de MIN_FEEDBACK
+ */
+export const learnWeights = (rows, baseWeights = SCORING_CONFIG.ADVANCED_WEIGHTS) => {
+  if (rows.length < CONSTANTS.MIN_FEEDBACK) return null;
+
+  const overallSatisfaction = averageSatisfaction(rows);
+  const byCriterion = groupBy(rows, (row) => getDominantCriterion(row.observations));
+  const rejections = rows.filter((row) => !isAccepted(row));
+
+  const adjustments = {};
+  const rawWeights = {};
+
+  Object.entries(baseWeights).forEach(([criterion, baseWeight]) => {
+    const criterionRows = byCriterion.get(criterion) || [];
+    const citedBy = rejections.filter(
+      (row) => CONSTANTS.REASON_CODES[row.reason_code] === criterion,
+    ).length;
+
+    let delta = (CONSTANTS.REASON_RATE * citedBy) / rows.length;
+    const satisfaction = averageSatisfaction(criterionRows);
+    if (criterionRows.length >= CONSTANTS.MIN_CRITERION_SAMPLES) {
+      delta += CONSTANTS.LEARNING_RATE * (satisfaction - overallSatisfaction);
+    }
+
+    rawWeights[criterion] = baseWeight * (1 + delta);
+    adjustments[criterion] = {
+      base: baseWeight,
+      dominantSamples: criterionRows.length,
+      satisfaction: satisfaction !== null ? round2(satisfaction) : null,
+      rejectionsCited: citedBy,
+    };
+  });
+
+  const weights = normalizeWeights(rawWeights);
+  Object.keys(adjustments).forEach((criterion) => {
+    adjustments[criterion].learned = weights[criterion];
+  });
+
+  return { weights, adjustments };
+};
+
+/**
+ * Preferencias aprendidas de un usuario a partir de su feedback
+ *
+ * @param {Object[]} rows - Feedback del usuario (RecommendationFeedback.findByUserWithContext)
+ * @param {Object} [options]
+ * @param {Object} [options.baseWeights] - Pesos de partida (ADVANCED_WEIGHTS)
+ * @returns {Object} { sampleSize, learned, weights, brandPreference, brand, adjustments, summary }
+ */
+export const learnPreferences = (rows, { baseWeights } = {}) => {
+  const learnedWeights = learnWeights(rows, baseWeights || SCORING_CONFIG.ADVANCED_WEIGHTS);
+  const brand = inferBrandPreference(rows);
+
+  return {
+    sampleSize: rows.length,
+    minimumSample: CONSTANTS.MIN_FEEDBACK,
+    learned: Boolean(learnedWeights || brand),
+    weights: learnedWeights?.weights ?? null,
+    adjustments: learnedWeights?.adjustments ?? null,
+    brandPreference: brand?.brand ?? null,
+    brand,
+    summary: summarizeRows(rows),
+  };
+};
+
+/**
+ * Completa una búsqueda avanzada con las preferencias aprendidas: solo se usan
+ * donde el usuario no indicó nada (customWeights y filters.brandPreference)
+ *
+ * @param {Object} request
+ * @param {Object} [request.filters] - Filtros recibidos
+ * @param {Object|null} [request.customWeights] - Pesos recibidos
+ * @param {Object|null} preferences - Resultado de learnPreferences (null = no usar)
+ * @returns {Object} { filters, customWeights, applied: { weights, brandPreference } }
+ */
+export const applyLearnedPreferences = ({ filters = {}, customWeights = null }, preferences) => {
+  const useWeights = !customWeights && Boolean(preferences?.weights);
+  const useBrand = !filters.brandPreference && Boolean(preferences?.brandPreference);
+
+  return {
+    filters: useBrand ? { ...filters, brandPreference: preferences.brandPreference } : filters,
+    customWeights: useWeights ? preferences.weights : customWeights,
+    applied: { weights: useWeights, brandPreference: useBrand },
+  };
+};
+
+/**
+ * Reporte de aceptación de recomendaciones (administración)
+ *
+ * @param {Object[]} rows - Feedback de todos los usuarios (findAllWithContext)
+ * @returns {Object} { overall, byTractor, byCriterion, rejectionReasons }
+ */
+export const buildFeedbackReport = (rows) => {
+  const byTractor = [...groupBy(rows, (row) => row.tractor_id ?? null)]
+    .map(([tractorId, tractorRows]) => ({
+      tractorId,
+      name: tractorRows[0].tractor_name ?? null,
+      brand: tractorRows[0].tractor_brand ?? null,
+      ...summarizeRows(tractorRows),
+    }))
+    .sort((a, b) => b.feedbackCount - a.feedbackCount || b.acceptanceRate - a.acceptanceRate);
+
+  const byCriterion = [...groupBy(rows, (row) => getDominantCriterion(row.observations))]
+    .map(([criterion, criterionRows]) => ({ criterion, ...summarizeRows(criterionRows) }))
+    .sort((a, b) => b.feedbackCount - a.feedbackCount);
+
+  const rejections = rows.filter((row) => !isAccepted(row));
+  const rejectionReasons = [...groupBy(rejections, (row) => row.reason_code || 'other')]
+    .map(([reasonCode, reasonRows]) => ({
+      reasonCode,
+      count: reasonRows.length,
+      share: toPercent(reasonRows.length, rejections.length),
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    overall: summarizeRows(rows),
+    byTractor,
+    byCriterion,
+    rejectionReasons,
+  };
+};
+
+/**
+ * Obtiene una copia de las constantes del aprendizaje de preferencias
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  getDominantCriterion,
+  inferBrandPreference,
+  learnWeights,
+  learnPreferences,
+  applyLearnedPreferences,
+  buildFeedbackReport,
+  getConstants,
+  CONSTANTS,
+};
@@ -0,0 +1,179 @@
+/**
+ * @overview Servicio de capacidad de campo y duración de labores
+ * @module services/fieldCapacityService
+ *
+ * @description
+ * Convierte un par tractor–implemento en hectáreas por hora y días de trabajo
+ * (ASABE EP496 / D497):
+ * ```
+ * C_teórica  = W · S / 10
+ * C_efectiva = C_teórica · E_campo
+ * Horas      = Área / C_efectiva
+ * ```
+ *
+ * Donde:
+ * - W: ancho de trabajo (m)
+ * - S: velocidad de trabajo (km/h)
+ * - E_campo: eficiencia de campo típica de la operación (giros, cargas, solapes)
+ *
+ * @example
+ * import { calculateFieldCapacity } from './fieldCapacityService.js';
+ *
+ * const capacity = calculateFieldCapacity({
+ *   implementType: 'plow',
+ *   widthM: 0.9,
+ *   speedKmh: 7,
+ *   areaHectares: 12,
+ * });
+ * console.log(capacity.effectiveCapacityHaH, capacity.workdays);
+ */
+
+import { CONSTANTS as DRAFT_CONSTANTS } from './draftService.js';
+
+// CONSTANTES
+
+/**
+ * Constantes del cálculo de capacidad de campo
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Eficiencia de campo típica por tipo de operación (ASABE D497, Tabla 3) */
+  FIELD_EFFICIENCY: {
+    plow: 0.8,
+    harrow: 0.8,
+    cultivator: 0.8,
+    seeder: 0.65,
+    sprayer: 0.65,
+    mower: 0.8,
+    rotary_tiller: 0.85,
+    baler: 0.75,
+    harvester: 0.7,
+    trailer: 0.75,
+    other: 0.75,
+  },
+
+  /** Eficiencia de campo cuando el tipo de operación no está catalogado */
+  DEFAULT_FIELD_EFFICIENCY: 0.75,
+
+  /** Velocidad típica por tipo de operación en km/h (las de labranza vienen del modelo de tiro) */
+  TYPICAL_SPEED_KMH: {
+    ...DRAFT_CONSTANTS.TYPICAL_SPEED_KMH,
+    sprayer: 10,
+    harvester: 6,
+    trailer: 12,
+    other: 8,
+  },
+
+  /** Velocidad por defecto cuando el tipo de operación no está catalogado */
+  DEFAULT_SPEED_KMH: 8,
+
+  /** Horas efectivas de una jornada de trabajo */
+  HOURS_PER_WORKDAY: 8,
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Redondea a dos decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Obtiene la eficiencia de campo típica de una operación
+ *
+ * @param {string} implementType - Tipo de implemento
+ * @returns {number} Eficiencia de campo (0-1)
+ *
+ * @example
+ * getFieldEfficiency('seeder'); // -> 0.65
+ * getFieldEfficiency('otro');   // -> 0.75
+ */
+export const getFieldEfficiency = (implementType) => {
+  const type = typeof implementType === 'string' ? implementType.toLowerCase().trim() : null;
+  return CONSTANTS.FIELD_EFFICIENCY[type] || CONSTANTS.DEFAULT_FIELD_EFFICIENCY;
+};
+
+/**
+ * Obtiene la velocidad de trabajo típica de una operación
+ *
+ * @param {string} implementType - Tipo de implemento
+ * @returns {number} Velocidad (km/h)
+ */
+export const getTypicalSpeed = (implementType) => {
+  const type = typeof implementType === 'string' ? implementType.toLowerCase().trim() : null;
+  return CONSTANTS.TYPICAL_SPEED_KMH[type] || CONSTANTS.DEFAULT_SPEED_KMH;
+};
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Calcula la capacidad de campo y la duración de la labor en un terreno
+ *
+ * @param {Object} params
+ * @param {string} [params.implementType] - Tipo de implemento (define eficiencia y velocidad típicas)
+ * @param {number} params.widthM - Ancho de trabajo (m)
+ * @param {number} [params.speedKmh] - Velocidad de trabajo (km/h), típica de la operación si se omite
+ * @param {number} [params.areaHectares] - Superficie del terreno (ha)
+ * @param {number} [params.fieldEfficiency] - Eficiencia de campo (0-1), típica de la operación si se omite
+ * @param {number} [params.hoursPerWorkday=8] - Horas de trabajo por jornada
+ * @returns {Object|null} Capacidad teórica y efectiva (ha/h), horas y jornadas; null sin ancho de trabajo
+ *
+ * @example
+ * const result = calculateFieldCapacity({ implementType: 'harrow', widthM: 1.8, speedKmh: 9, areaHectares: 20 });
+ * console.log(result.totalHours); // ~17.15 h
+ */
+export const calculateFieldCapacity = ({
+  implementType,
+  widthM,
+  speedKmh,
+  areaHectares,
+  fieldEfficiency,
+  hoursPerWorkday = CONSTANTS.HOURS_PER_WORKDAY,
+}) => {
+  if (typeof widthM !== 'number' || !(widthM > 0)) {
+    return null;
+  }
+
+  const speed = speedKmh > 0 ? speedKmh : getTypicalSpeed(implementType);
+  const efficiency = fieldEfficiency > 0 && fieldEfficiency <= 1
+    ? fieldEfficiency
+    : getFieldEfficiency(implementType);
+
+  const theoreticalCapacity = (widthM * speed) / 10;
+  const effectiveCapacity = theoreticalCapacity * efficiency;
+
+  const area = areaHectares > 0 ? areaHectares : null;
+  const totalHours = area !== null ? area / effectiveCapacity : null;
+
+  return {
+    theoreticalCapacityHaH: round2(theoreticalCapacity),
+    effectiveCapacityHaH: round2(effectiveCapacity),
+    fieldEfficiency: efficiency,
+    widthM,
+    speedKmh: speed,
+    areaHectares: area,
+    totalHours: totalHours !== null ? round2(totalHours) : null,
+    workdays: totalHours !== null ? Math.ceil(totalHours / hoursPerWorkday) : null,
+    hoursPerWorkday,
+  };
+};
+
+/**
+ * Obtiene una copia de las constantes del cálculo
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  calculateFieldCapacity,
+  getFieldEfficiency,
+  getTypicalSpeed,
+  getConstants,
+  CONSTANTS,
+};
@@ -0,0 +1,184 @@
+/**
+ * @overview Servicio de consumo de combustible y costo por hectárea
+ * @module services/fuelService
+ *
+ * @description
+ * Estima el consumo diésel a carga parcial con la curva de consumo específico
+ * de ASABE D497:
+ * ```
+ * X   = P_demandada / P_nominal
+ * SFC = 0.22 + 0.096 / X            (L/kWh)
+ * Q   = (0.22·X + 0.096) · P_nominal (L/h, P en kW)
+ * ```
+ *
+ * Con la capacidad de campo efectiva se obtiene el consumo por hectárea y,
+ * con el precio del combustible, el costo por hectárea.
+ *
+ * @example
+ * import { calculateFuelConsumption } from './fuelService.js';
+ *
+ * const fuel = calculateFuelConsumption({
+ *   ratedPowerHP: 110,
+ *   demandedPowerHP: 66,
+ *   effectiveCapacityHaH: 0.5,
+ *   fuelPricePerL: 1.1,
+ * });
+ * console.log(fuel.litersPerHour, fuel.litersPerHectare, fuel.costPerHectare);
+ */
+
+// CONSTANTES
+
+/**
+ * Constantes del modelo de consumo
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Término proporcional a la carga de la curva SFC diésel (L/kWh) */
+  SFC_LOAD_COEFFICIENT: 0.22,
+
+  /** Término de consumo sin carga de la curva SFC diésel (L/kWh) */
+  SFC_NO_LOAD_COEFFICIENT: 0.096,
+
+  /** Carga mínima considerada (evita SFC infinito en ralentí) */
+  MIN_LOAD_RATIO: 0.05,
+
+  /** Precio del diésel por litro (configurable con FUEL_PRICE_PER_LITER) */
+  DEFAULT_FUEL_PRICE_PER_L: Number(process.env.FUEL_PRICE_PER_LITER) || 1.2,
+
+  /** Conversión HP -> kW */
+  HP_TO_KW: 0.7457,
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Redondea a dos decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Limita la relación de carga al rango del modelo
+ * @param {number} loadRatio
+ * @returns {number}
+ */
+const clampLoadRatio = (loadRatio) =>
+  Math.min(1, Math.max(CONSTANTS.MIN_LOAD_RATIO, loadRatio || 0));
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Calcula el consumo específico de combustible a carga parcial
+ *
+ * @param {number} loadRatio - Relación potencia demandada / nominal (0-1)
+ * @returns {number} Consumo específico en L/kWh
+ *
+ * @example
+ * calculateSpecificFuelConsumption(1);   // -> 0.316
+ * calculateSpecificFuelConsumption(0.5); // -> 0.412
+ */
+export const calculateSpecificFuelConsumption = (loadRatio) => {
+  const x = clampLoadRatio(loadRatio);
+  return CONSTANTS.SFC_LOAD_COEFFICIENT + CONSTANTS.SFC_NO_LOAD_COEFFICIENT / x;
+};
+
+/**
+ * Estima la potencia de motor demandada a partir del resultado de pérdidas
+ *
+ * @description
+ * Sin tiro conocido el tractor trabaja a plena carga (toda la potencia
+ * disponible tras la pérdida atmosférica). Con tiro conocido:
+ * ```
+ * P_ruedas = (F·v + P_rodadura + P_pendiente) / (1 − s)
+ * P_motor  = P_ruedas / (1 − f_transmisión)
+ * ```
+ *
+ * @param {Object} lossResult - Resultado de powerLossService.calculateTotalLoss
+ * @param {Object} [params]
+ * @param {number} [params.drawbarPullKn] - Tiro en la barra (kN)
+ * @param {number} [params.speedKmh] - Velocidad de trabajo (km/h)
+ * @returns {number} Potencia de motor demandada (HP), limitada a la disponible
+ */
+export const estimateEngineLoadFromLosses = (lossResult, { drawbarPullKn, speedKmh } = {}) => {
+  const { grossPower, losses, traction } = lossResult;
+  const availablePower = grossPower - (losses.altitude || 0) - (losses.temperature || 0);
+
+  if (typeof drawbarPullKn !== 'number' || !Number.isFinite(drawbarPullKn) || !(speedKmh > 0)) {
+    return round2(Math.max(0, availablePower));
+  }
+
+  const drawbarPowerHP = (drawbarPullKn * speedKmh / 3.6) / CONSTANTS.HP_TO_KW;
+  const slip = (traction?.slippagePercent || 0) / 100;
+  const wheelPowerHP =
+    (drawbarPowerHP + (losses.rollingResistance || 0) + (losses.slope || 0)) / (1 - Math.min(slip, 0.9));
+  const transmissionRatio = availablePower > 0 ? (losses.transmission || 0) / availablePower : 0;
+  const enginePowerHP = wheelPowerHP / (1 - transmissionRatio);
+
+  return round2(Math.min(Math.max(0, availablePower), enginePowerHP));
+};
+
+/**
+ * Calcula consumo de combustible (L/h, L/ha) y costo por hectárea
+ *
+ * @param {Object} params
+ * @param {number} params.ratedPowerHP - Potencia nominal del motor (HP)
+ * @param {number} params.demandedPowerHP - Potencia demandada por la labor (HP)
+ * @param {number} [params.effectiveCapacityHaH] - Capacidad de campo efectiva (ha/h)
+ * @param {number} [params.fuelPricePerL] - Precio del combustible por litro
+ * @returns {Object|null} Estimación de consumo, o null sin potencia nominal válida
+ *
+ * @example
+ * const fuel = calculateFuelConsumption({ ratedPowerHP: 100, demandedPowerHP: 100 });
+ * console.log(fuel.litersPerHour); // ~23.56 L/h
+ */
+export const calculateFuelConsumption = ({
+  ratedPowerHP,
+  demandedPowerHP,
+  effectiveCapacityHaH,
+  fuelPricePerL,
+}) => {
+  if (typeof ratedPowerHP !== 'number' || !(ratedPowerHP > 0)) {
+    return null;
+  }
+
+  const price = fuelPricePerL > 0 ? fuelPricePerL : CONSTANTS.DEFAULT_FUEL_PRICE_PER_L;
+  const rawLoadRatio = (demandedPowerHP || 0) / ratedPowerHP;
+  const loadRatio = clampLoadRatio(rawLoadRatio);
+
+  // Q = (0.22·X + 0.096) · P_nominal
+  const ratedPowerKw = ratedPowerHP * CONSTANTS.HP_TO_KW;
+  const litersPerHour =
+    (CONSTANTS.SFC_LOAD_COEFFICIENT * loadRatio + CONSTANTS.SFC_NO_LOAD_COEFFICIENT) * ratedPowerKw;
+
+  const litersPerHectare = effectiveCapacityHaH > 0 ? litersPerHour / effectiveCapacityHaH : null;
+
+  return {
+    loadPercent: round2(loadRatio * 100),
+    overloaded: rawLoadRatio > 1,
+    specificFuelConsumptionLPerKwh: Math.round(calculateSpecificFuelConsumption(loadRatio) * 1000) / 1000,
+    litersPerHour: round2(litersPerHour),
+    litersPerHectare: litersPerHectare !== null ? round2(litersPerHectare) : null,
+    fuelPricePerL: price,
+    costPerHour: round2(litersPerHour * price),
+    costPerHectare: litersPerHectare !== null ? round2(litersPerHectare * price) : null,
+  };
+};
+
+/**
+ * Obtiene una copia de las constantes del modelo
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  calculateSpecificFuelConsumption,
+  estimateEngineLoadFromLosses,
+  calculateFuelConsumption,
+  getConstants,
+  CONSTANTS,
+};
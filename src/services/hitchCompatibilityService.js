@@ -0,0 +1,281 @@
+/**
+ * @overview Servicio de compatibilidad de acople tractor–implemento
+ * @module services/hitchCompatibilityService
+ *
+ * @description
+ * Verifica si un tractor puede acoplar y levantar físicamente un implemento,
+ * comparando los datos de catálogo de ambos:
+ * ```
+ * Enganche:   categoría_tractor = categoría_implemento   (ISO 730, tres puntos)
+ * Levante:    peso_implemento ≤ capacidad_levante_trasero
+ * TDF:        rpm_tractor = rpm_implemento
+ * Hidráulica: caudal_tractor ≥ demanda_implemento        (advertencia)
+ * ```
+ *
+ * Enganche, levante y TDF rechazan el par. Un caudal hidráulico insuficiente
+ * solo se advierte: el implemento funciona, pero sus cilindros y motores
+ * hidráulicos trabajan más lento. Si falta el dato de alguno de los dos
+ * registros la verificación queda como 'unknown' y no rechaza.
+ *
+ * @example
+ * import { checkImplementCompatibility } from './hitchCompatibilityService.js';
+ *
+ * const result = checkImplementCompatibility(
+ *   { hitch_category: '2', rear_lift_capacity_kg: 2500, pto_speed_rpm: 540 },
+ *   { hitch_category: '2', weight_kg: 1100, implement_type: 'seeder' },
+ * );
+ * console.log(result.compatible, result.reasons);
+ */
+
+// CONSTANTES
+
+/**
+ * Constantes de compatibilidad
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Categorías de enganche de tres puntos (ISO 730) */
+  HITCH_CATEGORIES: ['0', '1', '2', '3', '4'],
+
+  /** Equivalencias en números romanos usadas en catálogos */
+  ROMAN_HITCH_CATEGORIES: { I: '1', II: '2', III: '3', IV: '4' },
+
+  /** Velocidades normalizadas de la toma de fuerza (rpm) */
+  PTO_SPEEDS_RPM: [540, 1000],
+
+  /** Tipos de implemento de tiro (barra), no cargan el levante hidráulico */
+  TOWED_IMPLEMENT_TYPES: ['trailer', 'harvester'],
+
+  /** Estados posibles de cada verificación */
+  CHECK_STATUS: {
+    OK: 'ok',
+    FAIL: 'fail',
+    WARNING: 'warning',
+    UNKNOWN: 'unknown',
+    NOT_APPLICABLE: 'not_applicable',
+  },
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Redondea a dos decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Lee un valor positivo del registro
+ * @param {*} value
+ * @returns {number|null}
+ */
+const readPositive = (value) => {
+  const number = parseFloat(value);
+  return number > 0 ? number : null;
+};
+
+/**
+ * Normaliza la categoría de enganche de tres puntos
+ *
+ * @param {string|number} category - '2', 2, 'II', 'Cat. II', 'cat 2'
+ * @returns {string|null} Categoría ISO ('0'-'4') o null si no es reconocible
+ *
+ * @example
+ * normalizeHitchCategory('Cat. II'); // -> '2'
+ */
+export const normalizeHitchCategory = (category) => {
+  if (category === undefined || category === null) return null;
+
+  const value = String(category).toUpperCase().replace(/^CAT(EGOR[IÍ]A)?\.?\s*/, '').trim();
+  const normalized = CONSTANTS.ROMAN_HITCH_CATEGORIES[value] ?? value;
+
+  return CONSTANTS.HITCH_CATEGORIES.includes(normalized) ? normalized : null;
+};
+
+/**
+ * Verifica la categoría de enganche
+ * @param {Object} tractor
+ * @param {Object} implement
+ * @returns {Object}
+ */
+const checkHitchCategory = (tractor, implement) => {
+  const { OK, FAIL, UNKNOWN, NOT_APPLICABLE } = CONSTANTS.CHECK_STATUS;
+  const required = normalizeHitchCategory(implement.hitch_category);
+  const available = normalizeHitchCategory(tractor.hitch_category);
+
+  if (!required) return { status: NOT_APPLICABLE, required, available };
+  if (!available) return { status: UNKNOWN, required, available };
+
+  if (required !== available) {
+    return {
+      status: FAIL,
+      required,
+      available,
+      message: `El implemento requiere enganche categoría ${required} y el tractor tiene categoría ${available}`,
+    };
+  }
+
+  return { status: OK, required, available };
+};
+
+/**
+ * Verifica la capacidad de levante trasero
+ * @param {Object} tractor
+ * @param {Object} implement
+ * @returns {Object}
+ */
+const checkLiftCapacity = (tractor, implement) => {
+  const { OK, FAIL, UNKNOWN, NOT_APPLICABLE } = CONSTANTS.CHECK_STATUS;
+  const type = typeof implement.implement_type === 'string'
+    ? implement.implement_type.toLowerCase().trim()
+    : null;
+  const required = readPositive(implement.weight_kg);
+  const available = readPositive(tractor.rear_lift_capacity_kg);
+
+  if (CONSTANTS.TOWED_IMPLEMENT_TYPES.includes(type)) {
+    return { status: NOT_APPLICABLE, required, available };
+  }
+  if (!required || !available) return { status: UNKNOWN, required, available };
+
+  const utilizationPercent = round2((required / available) * 100);
+
+  if (required > available) {
+    return {
+      status: FAIL,
+      required,
+      available,
+      utilizationPercent,
+      message: `El implemento pesa ${required} kg y supera la capacidad de levante del tractor (${available} kg)`,
+    };
+  }
+
+  return { status: OK, required, available, utilizationPercent };
+};
+
+/**
+ * Verifica la velocidad de la toma de fuerza
+ * @param {Object} tractor
+ * @param {Object} implement
+ * @returns {Object}
+ */
+const checkPtoSpeed = (tractor, implement) => {
+  const { OK, FAIL, UNKNOWN, NOT_APPLICABLE } = CONSTANTS.CHECK_STATUS;
+  const required = readPositive(implement.pto_speed_rpm);
+  const available = readPositive(tractor.pto_speed_rpm);
+
+  if (!required) return { status: NOT_APPLICABLE, required, available };
+  if (!available) return { status: UNKNOWN, required, available };
+
+  if (required !== available) {
+    return {
+      status: FAIL,
+      required,
+      available,
+      message: `El implemento requiere TDF de ${required} rpm y el tractor entrega ${available} rpm`,
+    };
+  }
+
+  return { status: OK, required, available };
+};
+
+/**
+ * Verifica el caudal hidráulico
+ * @param {Object} tractor
+ * @param {Object} implement
+ * @returns {Object}
+ */
+const checkHydraulicFlow = (tractor, implement) => {
+  const { OK, WARNING, UNKNOWN, NOT_APPLICABLE } = CONSTANTS.CHECK_STATUS;
+  const required = readPositive(implement.hydraulic_demand_lpm);
+  const available = readPositive(tractor.hydraulic_flow_lpm);
+
+  if (!required) return { status: NOT_APPLICABLE, required, available };
+  if (!available) return { status: UNKNOWN, required, available };
+
+  if (required > available) {
+    return {
+      status: WARNING,
+      required,
+      available,
+      message: `El implemento demanda ${required} L/min y el tractor entrega ${available} L/min: los mandos hidráulicos trabajarán más lento`,
+    };
+  }
+
+  return { status: OK, required, available };
+};
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Verifica si el tractor puede acoplar y levantar el implemento
+ *
+ * @param {Object} tractor - Registro del tractor (hitch_category, rear_lift_capacity_kg, pto_speed_rpm, hydraulic_flow_lpm)
+ * @param {Object} implement - Registro del implemento (hitch_category, weight_kg, pto_speed_rpm, hydraulic_demand_lpm, implement_type)
+ * @returns {Object} Resultado con compatible, motivos de rechazo, advertencias y detalle por verificación
+ *
+ * @example
+ * checkImplementCompatibility(
+ *   { hitch_category: '1', rear_lift_capacity_kg: 1200 },
+ *   { hitch_category: '2', weight_kg: 1500 },
+ * ).reasons.map((reason) => reason.check);
+ * // -> ['hitchCategory', 'liftCapacity']
+ */
+export const checkImplementCompatibility = (tractor, implement) => {
+  const checks = {
+    hitchCategory: checkHitchCategory(tractor || {}, implement || {}),
+    liftCapacity: checkLiftCapacity(tractor || {}, implement || {}),
+    ptoSpeed: checkPtoSpeed(tractor || {}, implement || {}),
+    hydraulicFlow: checkHydraulicFlow(tractor || {}, implement || {}),
+  };
+
+  const withStatus = (status) => Object.entries(checks)
+    .filter(([, check]) => check.status === status)
+    .map(([check, { message }]) => ({ check, message }));
+
+  const reasons = withStatus(CONSTANTS.CHECK_STATUS.FAIL);
+
+  return {
+    compatible: reasons.length === 0,
+    reasons,
+    warnings: withStatus(CONSTANTS.CHECK_STATUS.WARNING),
+    checks,
+  };
+};
+
+/**
+ * Separa un catálogo de implementos en compatibles e incompatibles con un tractor
+ *
+ * @param {Object} tractor - Registro del tractor
+ * @param {Array<Object>} catalog - Registros de implementos
+ * @returns {{ compatible: Array<Object>, incompatible: Array<Object> }} Cada item es { implement, compatibility }
+ */
+export const classifyImplements = (tractor, catalog) => {
+  const compatible = [];
+  const incompatible = [];
+
+  (catalog || []).forEach((implement) => {
+    const compatibility = checkImplementCompatibility(tractor, implement);
+    (compatibility.compatible ? compatible : incompatible).push({ implement, compatibility });
+  });
+
+  return { compatible, incompatible };
+};
+
+/**
+ * Obtiene una copia de las constantes de compatibilidad
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  normalizeHitchCategory,
+  checkImplementCompatibility,
+  classifyImplements,
+  getConstants,
+  CONSTANTS,
+};
@@ -0,0 +1,275 @@
+/**
+ * @overview Servicio de recomendación inversa: implementos para un tractor dado
+ * @module services/implementRecommendationService
+ *
+ * @description
+ * Complementa el flujo "Tengo Tractor": a partir de un tractor (del catálogo o con
+ * datos manuales) y un terreno, evalúa los implementos candidatos del catálogo con el
+ * modelo de potencia mínima (minimumPowerService) contra la potencia derateada del
+ * motor en el terreno (deratingService: altitud y temperatura). Por cada tipo de implemento sugiere el más ancho que el
+ * tractor puede mover y ordena las opciones por ajuste (utilización de la potencia):
+ * ```
+ * utilización = HP_min del implemento / HP_derateada del tractor
+ * ```
+ * Cada opción incluye la capacidad de campo esperada (fieldCapacityService).
+ *
+ * @example
+ * import { recommendImplements } from './implementRecommendationService.js';
+ *
+ * const result = recommendImplements({
+ *   tractor: { engine_power_hp: 90, weight_kg: 3500, aspiration_type: 'turbo', traction_type: '4x4' },
+ *   terrain: { soil_type: 'loam', slope_percentage: 6, altitude_meters: 2600, area_hectares: 20 },
+ *   implements: catalogImplements,
+ * });
+ * console.log(result.recommendations[0].implement.implement_type);
+ */
+
+import { calculateMinimumPower } from './minimumPowerService.js';
+import { calculateFieldCapacity } from './fieldCapacityService.js';
+import { calculateDeratedPower } from './deratingService.js';
+
+// CONSTANTES
+
+/**
+ * Constantes de la recomendación de implementos
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Máximo de implementos candidatos que se leen del catálogo */
+  CANDIDATE_LIMIT: 200,
+
+  /** Máximo de opciones a retornar por defecto */
+  DEFAULT_LIMIT: 10,
+
+  /** Máximo de opciones que se pueden pedir */
+  MAX_LIMIT: 50,
+
+  /** Umbrales de utilización de la potencia derateada (%) */
+  FIT_THRESHOLDS: {
+    OPTIMAL: 85,
+    GOOD: 70,
+  },
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Redondea a dos decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convierte un valor a número finito
+ * @param {*} value
+ * @returns {number|undefined}
+ */
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Datos del implemento para calculateMinimumPower a partir del registro del catálogo
+ * @param {Object} implement - Registro del implemento
+ * @param {number} [workingSpeedKmh] - Velocidad de trabajo (km/h)
+ * @returns {Object}
+ */
+const toImplementData = (implement, workingSpeedKmh) => {
+  const depthCm = toNumber(implement.working_depth_cm);
+
+  return {
+    power_requirement_hp: toNumber(implement.power_requirement_hp) ?? 0,
+    working_depth_m: depthCm ? depthCm / 100 : undefined,
+    implement_type: implement.implement_type,
+    working_width_m: toNumber(implement.working_width_m),
+    working_speed_kmh: workingSpeedKmh,
+  };
+};
+
+/**
+ * Clasifica el ajuste del implemento según la utilización de la potencia derateada
+ * @param {number} utilizationPercent - Utilización (%)
+ * @returns {{label: string, description: string}}
+ */
+const classifyImplementFit = (utilizationPercent) => {
+  if (utilizationPercent >= CONSTANTS.FIT_THRESHOLDS.OPTIMAL) {
+    return { label: 'OPTIMAL', description: 'Aprovecha casi toda la potencia disponible' };
+  }
+  if (utilizationPercent >= CONSTANTS.FIT_THRESHOLDS.GOOD) {
+    return { label: 'GOOD', description: 'Buen aprovechamiento de la potencia' };
+  }
+  return { label: 'UNDERUSED', description: 'El tractor queda sobrado para este implemento' };
+};
+
+/**
+ * Agrupa una lista por tipo de implemento
+ * @param {Array<Object>} evaluations - Evaluaciones de evaluateImplement
+ * @returns {Map<string, Array<Object>>}
+ */
+const groupByType = (evaluations) => {
+  const groups = new Map();
+  for (const evaluation of evaluations) {
+    const type = evaluation.implement.implement_type || 'other';
+    if (!groups.has(type)) groups.set(type, []);
+    groups.get(type).push(evaluation);
+  }
+  return groups;
+};
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Evalúa un implemento del catálogo contra la potencia derateada del tractor
+ *
+ * @param {Object} tractor - Tractor (engine_power_hp, weight_kg, aspiration_type, traction_type, neumáticos)
+ * @param {Object} implement - Registro del implemento del catálogo
+ * @param {Object} terrain - Terreno (soil_type, slope_percentage, altitude_meters, temperature_celsius, area_hectares)
+ * @param {Object} [options]
+ * @param {number} [options.workingSpeedKmh] - Velocidad de trabajo (km/h), típica del implemento si se omite
+ * @param {Object} [options.coefficients] - Perfil activo ({ minimumPower, powerLoss })
+ * @param {Object} [options.soilCatalog] - Catálogo de suelos
+ * @returns {Object} Potencia requerida, potencia del tractor, utilización y capacidad de campo
+ */
+export const evaluateImplement = (tractor, implement, terrain, {
+  workingSpeedKmh,
+  coefficients,
+  soilCatalog,
+} = {}) => {
+  const implementData = toImplementData(implement, workingSpeedKmh);
+  const powerResult = calculateMinimumPower(
+    implementData,
+    terrain,
+    coefficients?.minimumPower,
+    soilCatalog,
+  );
+
+  const fieldCapacity = calculateFieldCapacity({
+    implementType: implement.implement_type,
+    widthM: implementData.working_width_m,
+    speedKmh: powerResult.draft?.speedKmh ?? workingSpeedKmh,
+    areaHectares: toNumber(terrain.area_hectares),
+  });
+
+  const power = calculateDeratedPower(tractor, terrain, {
+    speedKmh: powerResult.draft?.speedKmh ?? fieldCapacity?.speedKmh,
+    drawbarPullKn: powerResult.draft?.draftKn,
+    implementType: implement.implement_type,
+    coefficients: coefficients?.powerLoss,
+    soilCatalog,
+  });
+
+  const requiredPower = powerResult.minimumPowerHP;
+  const utilizationPercent = power.deratedHP > 0
+    ? round2((requiredPower / power.deratedHP) * 100)
+    : null;
+
+  return {
+    implement,
+    requiredPower,
+    model: powerResult.model,
+    tractorPower: { nominalHP: power.nominalHP, deratedHP: power.deratedHP },
+    fits: power.deratedHP > 0 && requiredPower <= power.deratedHP,
+    surplusHP: round2(power.deratedHP - requiredPower),
+    utilizationPercent,
+    fieldCapacity,
+  };
+};
+
+/**
+ * Recomienda implementos del catálogo para un tractor en un terreno
+ *
+ * @description
+ * 1. Evalúa cada candidato con evaluateImplement.
+ * 2. Por tipo de implemento elige el más ancho que el tractor mueve con su potencia
+ *    derateada (a igual ancho, el de mayor utilización).
+ * 3. Ordena las opciones por utilización descendente (mejor ajuste primero).
+ *
+ * Los tipos sin ningún implemento compatible se informan en `unmatchedTypes` con la
+ * menor potencia requerida del tipo.
+ *
+ * @param {Object} params
+ * @param {Object} params.tractor - Tractor (catálogo o datos manuales)
+ * @param {Object} params.terrain - Terreno
+ * @param {Array<Object>} params.implements - Implementos candidatos del catálogo
+ * @param {number} [params.workingSpeedKmh] - Velocidad de trabajo (km/h)
+ * @param {Object} [params.coefficients] - Perfil activo ({ minimumPower, powerLoss })
+ * @param {Object} [params.soilCatalog] - Catálogo de suelos
+ * @param {number} [params.limit] - Máximo de opciones a retornar
+ * @returns {{recommendations: Array<Object>, unmatchedTypes: Array<Object>, summary: Object}}
+ */
+export const recommendImplements = ({
+  tractor,
+  terrain,
+  implements: candidates = [],
+  workingSpeedKmh,
+  coefficients,
+  soilCatalog,
+  limit = CONSTANTS.DEFAULT_LIMIT,
+}) => {
+  const evaluations = candidates.map((implement) =>
+    evaluateImplement(tractor, implement, terrain, { workingSpeedKmh, coefficients, soilCatalog }),
+  );
+
+  const picks = [];
+  const unmatchedTypes = [];
+
+  for (const [implementType, group] of groupByType(evaluations)) {
+    const fitting = group.filter((evaluation) => evaluation.fits);
+
+    if (fitting.length === 0) {
+      unmatchedTypes.push({
+        implementType,
+        lightestRequirementHP: Math.min(...group.map((evaluation) => evaluation.requiredPower)),
+      });
+      continue;
+    }
+
+    const widest = fitting.reduce((best, evaluation) => {
+      const width = toNumber(evaluation.implement.working_width_m) ?? 0;
+      const bestWidth = toNumber(best.implement.working_width_m) ?? 0;
+      if (width !== bestWidth) return width > bestWidth ? evaluation : best;
+      return evaluation.utilizationPercent > best.utilizationPercent ? evaluation : best;
+    });
+
+    picks.push({ ...widest, alternatives: fitting.length - 1 });
+  }
+
+  const recommendations = picks
+    .sort((a, b) => b.utilizationPercent - a.utilizationPercent)
+    .slice(0, limit)
+    .map((pick, index) => ({
+      rank: index + 1,
+      ...pick,
+      classification: classifyImplementFit(pick.utilizationPercent),
+    }));
+
+  return {
+    recommendations,
+    unmatchedTypes,
+    summary: {
+      evaluatedImplements: evaluations.length,
+      compatibleImplements: evaluations.filter((evaluation) => evaluation.fits).length,
+      implementTypes: picks.length + unmatchedTypes.length,
+      recommendedTypes: recommendations.length,
+    },
+  };
+};
+
+/**
+ * Obtiene una copia de las constantes de la recomendación de implementos
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  evaluateImplement,
+  recommendImplements,
+  getConstants,
+  CONSTANTS,
+};
@@ -7,6 +7,12 @@
  * ```
  * HP_min = HP_base × F_suelo × F_pendiente × F_profundidad × 1.15
  * ```
+ *
+ * Si el implemento declara tipo y ancho de trabajo con coeficientes ASABE D497,
+ * la potencia se calcula a partir del tiro del implemento (ver draftService):
+ * ```
+ * HP_min = (P_barra / (η_tractiva · η_transmisión) + P_tdf) × 1.15
+ * ```
  * 
  * @example
  * import { calculateMinimumPower, findCompatibleTractors } from './minimumPowerService.js';
@@ -20,6 +26,10 @@
  */
 
 
+import { calculateDraftPowerRequirement } from './draftService.js';
+import { calculatePtoDemand, isPtoDriven } from './ptoService.js';
+import { normalizeSoilType } from './soilService.js';
+
 // CONSTANTES
 
 /**
@@ -46,42 +56,6 @@ const CONSTANTS = {
 };
 
 
-// FUNCIONES AUXILIARES
-
-
-/**
- * Normaliza el tipo de suelo a un valor reconocido por el sistema
- * 
- * @param {string|null|undefined} soilType - Tipo de suelo
- * @returns {string} Tipo de suelo normalizado (clay|loam|sandy|rocky)
- * 
- * @example
- * normalizeSoilType('Arcilla');  // -> 'clay'
- * normalizeSoilType('SANDY');    // -> 'sandy'
- * normalizeSoilType(null);       // -> 'loam' (default)
- */
-const normalizeSoilType = (soilType) => {
-  if (!soilType) return 'loam';
-  
-  const normalized = soilType.toLowerCase().trim();
-  
-  const soilMapping = {
-    'arcilla': 'clay',
-    'arcilloso': 'clay',
-    'clay': 'clay',
-    'franco': 'loam',
-    'loam': 'loam',
-    'arena': 'sandy',
-    'arenoso': 'sandy',
-    'sandy': 'sandy',
-    'rocoso': 'rocky',
-    'rocky': 'rocky',
-    'pedregoso': 'rocky',
-  };
-  
-  return soilMapping[normalized] || 'loam';
-};
-
 // FUNCIONES PRINCIPALES
 
 /**
@@ -98,13 +72,30 @@ const normalizeSoilType = (soilType) => {
  * - F_pendiente: 1 + (pendiente / 100) * 0.5
  * - F_profundidad: working_depth_m / 0.25
  * - 1.15: Margen de seguridad (+15%)
+ *
+ * Con `implement_type` y `working_width_m` soportados por ASABE D497 se usa el
+ * modelo de tiro (`model: 'asabe_draft'`) y el resultado incluye `draft` con el
+ * tiro en kN, la potencia en la barra y la potencia de TDF. En otro caso se usa
+ * la fórmula de catálogo (`model: 'catalog'`, `draft: null`).
+ *
+ * `powerDemand` separa la demanda en barra y en la TDF del tractor (con las
+ * pérdidas del cardán) para verificarlas por separado contra cada tractor. Es
+ * null con la fórmula de catálogo, salvo en implementos accionados por TDF con
+ * ancho conocido, donde la demanda de barra se toma como nula.
  * 
  * @param {Object} implementData - Datos del implemento
  * @param {number} implementData.power_requirement_hp - Potencia base requerida (HP)
  * @param {number} [implementData.working_depth_m=0.25] - Profundidad de trabajo (m)
+ * @param {string} [implementData.implement_type] - Tipo de implemento (plow, harrow, ...)
+ * @param {number} [implementData.working_width_m] - Ancho de trabajo (m)
+ * @param {number} [implementData.working_speed_kmh] - Velocidad de trabajo (km/h), típica del implemento si se omite
+ * @param {number} [implementData.pto_distance_m] - Distancia TDF–implemento (m), pérdidas del cardán
  * @param {Object} terrainData - Datos del terreno
  * @param {string} terrainData.soil_type - Tipo de suelo
  * @param {number} terrainData.slope_percentage - Pendiente del terreno (%)
+ * @param {Object} [coefficients] - Coeficientes del perfil de cálculo activo (sobrescriben CONSTANTS)
+ * @param {Object} [soilCatalog] - Catálogo de suelos (soilCatalogService); los suelos sin
+ *   factor propio en SOIL_FACTORS usan el de franco
  * @returns {Object} Resultado del cálculo
  * 
  * @throws {Error} Si power_requirement_hp no es un número
@@ -117,7 +108,9 @@ const normalizeSoilType = (soilType) => {
  * );
  * console.log(result.minimumPowerHP); // ~150.70 HP
  */
-export const calculateMinimumPower = (implementData, terrainData) => {
+export const calculateMinimumPower = (implementData, terrainData, coefficients = null, soilCatalog) => {
+  const constants = { ...CONSTANTS, ...coefficients };
+
   // Validar datos de entrada
   if (!implementData || typeof implementData.power_requirement_hp !== 'number') {
     throw new Error('implementData.power_requirement_hp es requerido y debe ser un número');
@@ -129,39 +122,101 @@ export const calculateMinimumPower = (implementData, terrainData) => {
   
   // Extraer valores
   const basePower = implementData.power_requirement_hp;
-  const workingDepthM = implementData.working_depth_m || CONSTANTS.STANDARD_DEPTH_M;
-  const soilType = normalizeSoilType(terrainData.soil_type);
+  const workingDepthM = implementData.working_depth_m || constants.STANDARD_DEPTH_M;
+  const soilType = normalizeSoilType(terrainData.soil_type, soilCatalog);
   const slopePercent = terrainData.slope_percentage;
   
   // Factor de suelo: clay=1.3, loam=1.0, sandy=0.8, rocky=1.5
-  const soilFactor = CONSTANTS.SOIL_FACTORS[soilType] || CONSTANTS.SOIL_FACTORS.loam;
+  const soilFactor = constants.SOIL_FACTORS[soilType] || constants.SOIL_FACTORS.loam;
   
   // Factor de pendiente: 1 + (pendiente / 100) * 0.5
   const slopeFactor = 1 + (slopePercent / 100) * 0.5;
   
   // Factor de profundidad: working_depth_m / profundidad_estándar
-  const depthFactor = workingDepthM / CONSTANTS.STANDARD_DEPTH_M;
+  const depthFactor = workingDepthM / constants.STANDARD_DEPTH_M;
+  
+  // Modelo de tiro ASABE D497 cuando el implemento lo permite
+  const draft = calculateDraftPowerRequirement({
+    implementType: implementData.implement_type,
+    soilType,
+    widthM: implementData.working_width_m,
+    depthCm: implementData.working_depth_m ? implementData.working_depth_m * 100 : undefined,
+    speedKmh: implementData.working_speed_kmh,
+    slopePercent,
+    ptoDistanceM: implementData.pto_distance_m,
+  });
+
+  // Demanda separada en barra y TDF
+  let powerDemand = null;
+  if (draft) {
+    powerDemand = {
+      drawbarPowerHP: draft.drawbarPowerHP,
+      ptoPowerHP: draft.tractorPtoPowerHP,
+      ptoShaftPowerHP: draft.ptoPowerHP,
+      ptoDrivelineEfficiency: draft.ptoDrivelineEfficiency,
+      ptoDistanceM: draft.ptoDistanceM,
+    };
+  } else if (isPtoDriven(implementData.implement_type) && implementData.working_width_m > 0) {
+    const pto = calculatePtoDemand({
+      implementType: implementData.implement_type,
+      widthM: implementData.working_width_m,
+      ptoDistanceM: implementData.pto_distance_m,
+    });
+    powerDemand = {
+      drawbarPowerHP: 0,
+      ptoPowerHP: pto.tractorPtoPowerHP,
+      ptoShaftPowerHP: pto.shaftPowerHP,
+      ptoDrivelineEfficiency: pto.drivelineEfficiency,
+      ptoDistanceM: pto.ptoDistanceM,
+    };
+  }
   
   // Potencia calculada (sin margen)
-  const calculatedPower = basePower * soilFactor * slopeFactor * depthFactor;
+  const calculatedPower = draft
+    ? draft.requiredPowerHP
+    : basePower * soilFactor * slopeFactor * depthFactor;
   
   // Aplicar margen de seguridad del 15%
-  const minimumPowerHP = calculatedPower * (1 + CONSTANTS.SAFETY_MARGIN);
+  const minimumPowerHP = calculatedPower * (1 + constants.SAFETY_MARGIN);
+  
+  const input = {
+    implementData: { power_requirement_hp: basePower, working_depth_m: workingDepthM },
+    terrainData: { soil_type: soilType, slope_percentage: slopePercent },
+  };
+  
+  if (draft) {
+    input.implementData.working_depth_m = draft.depthCm !== null ? draft.depthCm / 100 : null;
+    input.implementData.implement_type = draft.implementType;
+    input.implementData.working_width_m = draft.widthM;
+    input.implementData.working_speed_kmh = draft.speedKmh;
+  }
+
+  if (powerDemand?.ptoDistanceM) {
+    input.implementData.pto_distance_m = powerDemand.ptoDistanceM;
+  }
   
   return {
     minimumPowerHP: Math.round(minimumPowerHP * 100) / 100,
     calculatedPowerHP: Math.round(calculatedPower * 100) / 100,
-    factors: {
-      basePowerHP: basePower,
-      soilFactor: Math.round(soilFactor * 1000) / 1000,
-      slopeFactor: Math.round(slopeFactor * 1000) / 1000,
-      depthFactor: Math.round(depthFactor * 1000) / 1000,
-      safetyMargin: CONSTANTS.SAFETY_MARGIN,
-    },
-    input: {
-      implementData: { power_requirement_hp: basePower, working_depth_m: workingDepthM },
-      terrainData: { soil_type: soilType, slope_percentage: slopePercent },
-    },
+    model: draft ? 'asabe_draft' : 'catalog',
+    factors: draft
+      ? {
+        textureFactor: draft.textureFactor,
+        slopeFactor: draft.slopeFactor,
+        tractiveEfficiency: draft.tractiveEfficiency,
+        transmissionEfficiency: draft.transmissionEfficiency,
+        safetyMargin: constants.SAFETY_MARGIN,
+      }
+      : {
+        basePowerHP: basePower,
+        soilFactor: Math.round(soilFactor * 1000) / 1000,
+        slopeFactor: Math.round(slopeFactor * 1000) / 1000,
+        depthFactor: Math.round(depthFactor * 1000) / 1000,
+        safetyMargin: constants.SAFETY_MARGIN,
+      },
+    draft,
+    powerDemand,
+    input,
   };
 };
 
@@ -0,0 +1,412 @@
+/**
+ * @overview Servicio de costos de propiedad y operación de maquinaria
+ * @module services/operatingCostService
+ *
+ * @description
+ * Calcula el costo por hora y por hectárea de un conjunto tractor + implemento
+ * con la metodología de ASABE EP496 / D497:
+ * ```
+ * VR(n)        = P · (C1 − C2·√n − C3·√h)²       Valor remanente tras n años
+ * Depreciación = V(n) − VR(n+1)                  Valor perdido en el próximo año
+ * Interés      = (V(n) + VR(n+1)) / 2 · i        Costo de oportunidad del capital
+ * Seguro+Aloj. = P · (r_seguro + r_alojamiento)
+ * Reparación   = P · RF1 · [(H+h)/1000]^RF2 − P · RF1 · (H/1000)^RF2
+ * Combustible  = Q(L/h) · precio;  Lubricación = 15% del combustible
+ * Mano de obra = costo_hora · 1.1
+ * ```
+ *
+ * Donde:
+ * - P: precio de lista (price / price_usd)
+ * - n: antigüedad en años (a partir de model_year)
+ * - h: horas de uso anual; H: horas acumuladas (n · h)
+ *
+ * Si el tractor declara `maintenance_cost_per_hour` se usa ese valor en lugar
+ * de la curva de reparación acumulada.
+ *
+ * @example
+ * import { calculateOperatingCost } from './operatingCostService.js';
+ *
+ * const cost = calculateOperatingCost({
+ *   tractor: { price: 85000, modelYear: 2019, enginePowerHP: 110, tractionType: '4x4' },
+ *   implement: { type: 'plow', price: 9000, modelYear: 2021 },
+ *   annualHours: 500,
+ *   demandedPowerHP: 70,
+ *   effectiveCapacityHaH: 0.5,
+ * });
+ * console.log(cost.totalPerHour, cost.totalPerHectare);
+ */
+
+import { calculateFuelConsumption } from './fuelService.js';
+
+// CONSTANTES
+
+/**
+ * Constantes del modelo de costos
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Coeficientes de valor remanente por clase de máquina (ASABE D497, Tabla 6) */
+  REMAINING_VALUE: {
+    tractor_small: { C1: 0.981, C2: 0.093, C3: 0.0058 },
+    tractor_medium: { C1: 0.942, C2: 0.1, C3: 0.0008 },
+    tractor_large: { C1: 0.976, C2: 0.119, C3: 0.0019 },
+    tillage: { C1: 0.885, C2: 0.115, C3: 0 },
+    planter: { C1: 0.883, C2: 0.078, C3: 0 },
+    harvest: { C1: 0.791, C2: 0.091, C3: 0 },
+    mower: { C1: 0.756, C2: 0.067, C3: 0 },
+    other: { C1: 0.943, C2: 0.111, C3: 0 },
+  },
+
+  /** Clase de valor remanente por tipo de implemento */
+  IMPLEMENT_VALUE_CLASS: {
+    plow: 'tillage',
+    harrow: 'tillage',
+    cultivator: 'tillage',
+    rotary_tiller: 'tillage',
+    seeder: 'planter',
+    harvester: 'harvest',
+    mower: 'mower',
+  },
+
+  /** Límites de potencia (HP) entre tractores pequeños, medianos y grandes */
+  TRACTOR_POWER_CLASS_HP: {
+    small: 80,
+    medium: 150,
+  },
+
+  /** Factores de reparación acumulada RF1, RF2 (ASABE D497, Tabla 3) */
+  REPAIR_FACTORS: {
+    tractor_2wd: { RF1: 0.007, RF2: 2.0 },
+    tractor_4wd: { RF1: 0.003, RF2: 2.0 },
+    plow: { RF1: 0.29, RF2: 1.8 },
+    harrow: { RF1: 0.18, RF2: 1.7 },
+    cultivator: { RF1: 0.27, RF2: 1.4 },
+    seeder: { RF1: 0.32, RF2: 2.1 },
+    sprayer: { RF1: 0.41, RF2: 1.3 },
+    mower: { RF1: 0.46, RF2: 1.7 },
+    rotary_tiller: { RF1: 0.36, RF2: 2.0 },
+    baler: { RF1: 0.43, RF2: 1.8 },
+    harvester: { RF1: 0.04, RF2: 2.1 },
+    trailer: { RF1: 0.19, RF2: 1.3 },
+    other: { RF1: 0.19, RF2: 1.3 },
+  },
+
+  /** Tasa de interés anual sobre el capital invertido */
+  DEFAULT_INTEREST_RATE: 0.08,
+
+  /** Seguro anual como fracción del precio de lista */
+  INSURANCE_RATE: 0.0025,
+
+  /** Alojamiento (cobertizo) anual como fracción del precio de lista */
+  HOUSING_RATE: 0.0075,
+
+  /** Lubricación como fracción del costo de combustible */
+  LUBRICATION_FACTOR: 0.15,
+
+  /** Costo de mano de obra por hora (configurable con LABOR_COST_PER_HOUR) */
+  DEFAULT_LABOR_COST_PER_HOUR: Number(process.env.LABOR_COST_PER_HOUR) || 5,
+
+  /** Horas de operario por hora de máquina (alistamiento, traslados) */
+  LABOR_FACTOR: 1.1,
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Redondea a dos decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Normaliza el tipo de implemento
+ * @param {string|null|undefined} implementType
+ * @returns {string}
+ */
+const normalizeImplementType = (implementType) =>
+  typeof implementType === 'string' ? implementType.toLowerCase().trim() : 'other';
+
+/**
+ * Calcula la antigüedad de una máquina a partir de su año de modelo
+ *
+ * @param {number} [modelYear] - Año de modelo
+ * @param {number} [referenceYear] - Año de referencia (actual por defecto)
+ * @returns {number} Años de uso (0 si no hay año de modelo)
+ *
+ * @example
+ * getMachineAge(2019, 2024); // -> 5
+ */
+export const getMachineAge = (modelYear, referenceYear = new Date().getFullYear()) => {
+  if (!Number.isInteger(modelYear) || modelYear <= 0) return 0;
+  return Math.max(0, referenceYear - modelYear);
+};
+
+/**
+ * Clase de valor remanente de un tractor según su potencia
+ * @param {number} enginePowerHP
+ * @returns {string}
+ */
+const getTractorValueClass = (enginePowerHP) => {
+  if (enginePowerHP < CONSTANTS.TRACTOR_POWER_CLASS_HP.small) return 'tractor_small';
+  if (enginePowerHP <= CONSTANTS.TRACTOR_POWER_CLASS_HP.medium) return 'tractor_medium';
+  return 'tractor_large';
+};
+
+/**
+ * Clase de reparación de un tractor según su tracción
+ * @param {string} tractionType - 4x2 | 4x4 | track
+ * @returns {string}
+ */
+const getTractorRepairClass = (tractionType) =>
+  tractionType === '4x2' ? 'tractor_2wd' : 'tractor_4wd';
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Calcula el valor remanente de una máquina
+ *
+ * @param {Object} params
+ * @param {number} params.listPrice - Precio de lista
+ * @param {number} params.ageYears - Antigüedad (años)
+ * @param {number} params.annualHours - Horas de uso anual
+ * @param {string} params.valueClass - Clase de CONSTANTS.REMAINING_VALUE
+ * @returns {number} Valor remanente (no negativo)
+ */
+export const calculateRemainingValue = ({ listPrice, ageYears, annualHours, valueClass }) => {
+  const { C1, C2, C3 } = CONSTANTS.REMAINING_VALUE[valueClass] || CONSTANTS.REMAINING_VALUE.other;
+  const factor = C1 - C2 * Math.sqrt(ageYears) - C3 * Math.sqrt(annualHours);
+  return factor > 0 ? listPrice * factor * factor : 0;
+};
+
+/**
+ * Calcula el costo por hora de reparación y mantenimiento
+ *
+ * @param {Object} params
+ * @param {number} params.listPrice - Precio de lista
+ * @param {number} params.ageYears - Antigüedad (años)
+ * @param {number} params.annualHours - Horas de uso anual
+ * @param {string} params.repairClass - Clase de CONSTANTS.REPAIR_FACTORS
+ * @param {number} [params.maintenanceCostPerHour] - Costo de catálogo (tiene prioridad)
+ * @returns {{ perHour: number, source: string }} Costo por hora y origen (catalog|asabe)
+ */
+export const calculateRepairCost = ({
+  listPrice,
+  ageYears,
+  annualHours,
+  repairClass,
+  maintenanceCostPerHour,
+}) => {
+  if (maintenanceCostPerHour > 0) {
+    return { perHour: maintenanceCostPerHour, source: 'catalog' };
+  }
+
+  const { RF1, RF2 } = CONSTANTS.REPAIR_FACTORS[repairClass] || CONSTANTS.REPAIR_FACTORS.other;
+  const accumulated = (hours) => listPrice * RF1 * Math.pow(hours / 1000, RF2);
+  const hoursAtStart = ageYears * annualHours;
+  const yearlyRepair = accumulated(hoursAtStart + annualHours) - accumulated(hoursAtStart);
+
+  return { perHour: yearlyRepair / annualHours, source: 'asabe' };
+};
+
+/**
+ * Calcula los costos de propiedad y reparación de una máquina para el próximo año
+ *
+ * @param {Object} params
+ * @param {number} params.listPrice - Precio de lista
+ * @param {number} params.ageYears - Antigüedad (años)
+ * @param {number} params.annualHours - Horas de uso anual
+ * @param {string} params.valueClass - Clase de valor remanente
+ * @param {string} params.repairClass - Clase de reparación
+ * @param {number} [params.maintenanceCostPerHour] - Costo de mantenimiento de catálogo
+ * @param {number} [params.interestRate] - Tasa de interés anual (0-1)
+ * @returns {Object} Valores de la máquina y costos por hora
+ */
+export const calculateMachineCost = ({
+  listPrice,
+  ageYears,
+  annualHours,
+  valueClass,
+  repairClass,
+  maintenanceCostPerHour,
+  interestRate = CONSTANTS.DEFAULT_INTEREST_RATE,
+}) => {
+  const currentValue = ageYears > 0
+    ? calculateRemainingValue({ listPrice, ageYears, annualHours, valueClass })
+    : listPrice;
+  const endOfYearValue = calculateRemainingValue({
+    listPrice,
+    ageYears: ageYears + 1,
+    annualHours,
+    valueClass,
+  });
+
+  const depreciation = Math.max(0, currentValue - endOfYearValue);
+  const interest = ((currentValue + endOfYearValue) / 2) * interestRate;
+  const insuranceAndHousing = listPrice * (CONSTANTS.INSURANCE_RATE + CONSTANTS.HOUSING_RATE);
+  const repair = calculateRepairCost({
+    listPrice,
+    ageYears,
+    annualHours,
+    repairClass,
+    maintenanceCostPerHour,
+  });
+
+  const perHour = {
+    depreciation: round2(depreciation / annualHours),
+    interest: round2(interest / annualHours),
+    insuranceAndHousing: round2(insuranceAndHousing / annualHours),
+    repairAndMaintenance: round2(repair.perHour),
+  };
+
+  return {
+    listPrice,
+    ageYears,
+    currentValue: round2(currentValue),
+    endOfYearValue: round2(endOfYearValue),
+    repairSource: repair.source,
+    perHour,
+    totalPerHour: round2(
+      perHour.depreciation + perHour.interest + perHour.insuranceAndHousing + perHour.repairAndMaintenance,
+    ),
+  };
+};
+
+/**
+ * Calcula el costo total por hora y por hectárea de un conjunto tractor + implemento
+ *
+ * @param {Object} params
+ * @param {Object} params.tractor - Datos del tractor
+ * @param {number} params.tractor.price - Precio de lista
+ * @param {number} [params.tractor.modelYear] - Año de modelo
+ * @param {number} params.tractor.enginePowerHP - Potencia nominal (HP)
+ * @param {string} [params.tractor.tractionType] - 4x2 | 4x4 | track
+ * @param {number} [params.tractor.maintenanceCostPerHour] - Costo de mantenimiento de catálogo
+ * @param {Object} [params.implement] - Datos del implemento (sin precio no suma costos de propiedad)
+ * @param {string} [params.implement.type] - Tipo de implemento
+ * @param {number} [params.implement.price] - Precio de lista
+ * @param {number} [params.implement.modelYear] - Año de modelo
+ * @param {number} params.annualHours - Horas de uso anual
+ * @param {number} [params.demandedPowerHP] - Potencia demandada por la labor (plena carga si se omite)
+ * @param {number} [params.effectiveCapacityHaH] - Capacidad de campo efectiva (ha/h)
+ * @param {number} [params.fuelPricePerL] - Precio del combustible por litro
+ * @param {number} [params.laborCostPerHour] - Costo de mano de obra por hora
+ * @param {number} [params.interestRate] - Tasa de interés anual (0-1)
+ * @param {number} [params.referenceYear] - Año de referencia para la antigüedad
+ * @returns {Object} Desglose por hora, por hectárea y anual
+ *
+ * @throws {Error} Si el tractor no tiene precio o annualHours no es positivo
+ */
+export const calculateOperatingCost = ({
+  tractor,
+  implement = null,
+  annualHours,
+  demandedPowerHP,
+  effectiveCapacityHaH,
+  fuelPricePerL,
+  laborCostPerHour = CONSTANTS.DEFAULT_LABOR_COST_PER_HOUR,
+  interestRate = CONSTANTS.DEFAULT_INTEREST_RATE,
+  referenceYear,
+}) => {
+  if (!tractor || !(tractor.price > 0)) {
+    throw new Error('El tractor debe tener un precio de lista positivo');
+  }
+  if (typeof annualHours !== 'number' || !(annualHours > 0)) {
+    throw new Error('annualHours debe ser un número positivo');
+  }
+
+  const tractorCost = calculateMachineCost({
+    listPrice: tractor.price,
+    ageYears: getMachineAge(tractor.modelYear, referenceYear),
+    annualHours,
+    valueClass: getTractorValueClass(tractor.enginePowerHP),
+    repairClass: getTractorRepairClass(tractor.tractionType),
+    maintenanceCostPerHour: tractor.maintenanceCostPerHour,
+    interestRate,
+  });
+
+  const implementType = normalizeImplementType(implement?.type);
+  const implementCost = implement?.price > 0
+    ? calculateMachineCost({
+        listPrice: implement.price,
+        ageYears: getMachineAge(implement.modelYear, referenceYear),
+        annualHours,
+        valueClass: CONSTANTS.IMPLEMENT_VALUE_CLASS[implementType] || 'other',
+        repairClass: implementType,
+        interestRate,
+      })
+    : null;
+
+  const fuel = calculateFuelConsumption({
+    ratedPowerHP: tractor.enginePowerHP,
+    demandedPowerHP: demandedPowerHP ?? tractor.enginePowerHP,
+    effectiveCapacityHaH,
+    fuelPricePerL,
+  });
+
+  const sumMachines = (key) => tractorCost.perHour[key] + (implementCost?.perHour[key] || 0);
+  const fuelCost = fuel?.costPerHour || 0;
+
+  const breakdownPerHour = {
+    depreciation: round2(sumMachines('depreciation')),
+    interest: round2(sumMachines('interest')),
+    insuranceAndHousing: round2(sumMachines('insuranceAndHousing')),
+    repairAndMaintenance: round2(sumMachines('repairAndMaintenance')),
+    fuel: round2(fuelCost),
+    lubrication: round2(fuelCost * CONSTANTS.LUBRICATION_FACTOR),
+    labor: round2(laborCostPerHour * CONSTANTS.LABOR_FACTOR),
+  };
+
+  const ownershipPerHour = round2(
+    breakdownPerHour.depreciation + breakdownPerHour.interest + breakdownPerHour.insuranceAndHousing,
+  );
+  const operatingPerHour = round2(
+    breakdownPerHour.repairAndMaintenance
+      + breakdownPerHour.fuel
+      + breakdownPerHour.lubrication
+      + breakdownPerHour.labor,
+  );
+  const totalPerHour = round2(ownershipPerHour + operatingPerHour);
+
+  const hasCapacity = effectiveCapacityHaH > 0;
+  const breakdownPerHectare = hasCapacity
+    ? Object.fromEntries(
+        Object.entries(breakdownPerHour).map(([key, value]) => [key, round2(value / effectiveCapacityHaH)]),
+      )
+    : null;
+
+  return {
+    annualHours,
+    tractor: tractorCost,
+    implement: implementCost,
+    fuel,
+    breakdownPerHour,
+    ownershipPerHour,
+    operatingPerHour,
+    totalPerHour,
+    effectiveCapacityHaH: hasCapacity ? effectiveCapacityHaH : null,
+    breakdownPerHectare,
+    totalPerHectare: hasCapacity ? round2(totalPerHour / effectiveCapacityHaH) : null,
+    annualTotal: round2(totalPerHour * annualHours),
+  };
+};
+
+/**
+ * Obtiene una copia de las constantes del modelo
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  getMachineAge,
+  calculateRemainingValue,
+  calculateRepairCost,
+  calculateMachineCost,
+  calculateOperatingCost,
+  getConstants,
+  CONSTANTS,
+};
@@ -0,0 +1,404 @@
+/**
+ * @overview Servicio de recomendación multiobjetivo (frente de Pareto)
+ * @module services/paretoService
+ *
+ * @description
+ * Alternativa al puntaje ponderado de recommendationService: en lugar de sumar
+ * eficiencia, tracción, suelo y costos en un solo número, mide cada tractor
+ * compatible en varios objetivos y retorna el conjunto no dominado:
+ * ```
+ * A domina a B  ⇔  A no es peor que B en ningún objetivo y es mejor en al menos uno
+ * ```
+ * Objetivos disponibles:
+ * - purchase_price (min): precio de lista (price_usd, o price)
+ * - cost_per_hectare (min): costo de propiedad y operación por hectárea (operatingCostService)
+ * - field_capacity (max): capacidad efectiva a la mayor velocidad que la potencia
+ *   derateada sostiene dentro del rango del implemento (ha/h)
+ * - power_margin (max): potencia derateada sobre la mínima requerida (HP)
+ *
+ * Un objetivo sin dato (p. ej. tractor sin precio) cuenta como el peor valor posible.
+ * Cada tractor informa los que lo dominan (`dominatedBy`) para que el usuario elija
+ * el compromiso en lugar de confiar en los pesos.
+ *
+ * @example
+ * import { generateParetoRecommendation } from './paretoService.js';
+ *
+ * const result = generateParetoRecommendation({
+ *   terrain, implement, tractors, requiredPower: 85, powerResult,
+ *   objectives: ['purchase_price', 'field_capacity'],
+ * });
+ * console.log(result.front.map((item) => item.tractor.tractor_id));
+ */
+
+import { calculateMinimumPower } from './minimumPowerService.js';
+import { calculateDeratedPower } from './deratingService.js';
+import { calculateFieldCapacity } from './fieldCapacityService.js';
+import { calculateOperatingCost } from './operatingCostService.js';
+import { getSpeedRange } from './speedOptimizerService.js';
+import { findCompatibleTractors, analyzeTerrain } from './recommendationService.js';
+
+// CONSTANTES
+
+/**
+ * Constantes del modo multiobjetivo
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Objetivos soportados: sentido de optimización y unidad */
+  OBJECTIVES: {
+    purchase_price: { direction: 'min', unit: 'USD', label: 'Precio de compra' },
+    cost_per_hectare: { direction: 'min', unit: 'USD/ha', label: 'Costo por hectárea' },
+    field_capacity: { direction: 'max', unit: 'ha/h', label: 'Capacidad de campo' },
+    power_margin: { direction: 'max', unit: 'HP', label: 'Margen de potencia' },
+  },
+
+  /** Objetivos usados si no se indican */
+  DEFAULT_OBJECTIVES: ['purchase_price', 'cost_per_hectare', 'field_capacity', 'power_margin'],
+
+  /** Mínimo de objetivos para que el frente tenga sentido */
+  MIN_OBJECTIVES: 2,
+
+  /** Horas de uso anual para el costo por hectárea si no se indican */
+  DEFAULT_ANNUAL_HOURS: 500,
+
+  /** Paso de la búsqueda de la velocidad máxima sostenible (km/h) */
+  SPEED_STEP_KMH: 0.5,
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Redondea a dos decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convierte un valor a número finito
+ * @param {*} value
+ * @returns {number|undefined}
+ */
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Precio de lista del tractor
+ * @param {Object} tractor
+ * @returns {number|null}
+ */
+const getTractorPrice = (tractor) => {
+  const price = toNumber(tractor.price_usd ?? tractor.price);
+  return price > 0 ? price : null;
+};
+
+/**
+ * Valor comparable de un objetivo: mayor es mejor; sin dato es el peor
+ * @param {Object} metrics - Métricas del tractor
+ * @param {string} objective - Clave del objetivo
+ * @returns {number}
+ */
+const comparableValue = (metrics, objective) => {
+  const value = metrics[objective];
+  if (value === null || value === undefined) return -Infinity;
+  return CONSTANTS.OBJECTIVES[objective].direction === 'min' ? -value : value;
+};
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Valida y normaliza la lista de objetivos
+ * @param {string[]} [objectives] - Objetivos pedidos (DEFAULT_OBJECTIVES si se omite)
+ * @returns {string[]} Objetivos sin duplicados
+ * @throws {Error} Si hay objetivos desconocidos o menos de MIN_OBJECTIVES
+ */
+export const resolveObjectives = (objectives) => {
+  if (objectives === undefined || objectives === null) {
+    return [...CONSTANTS.DEFAULT_OBJECTIVES];
+  }
+
+  const supported = Object.keys(CONSTANTS.OBJECTIVES);
+  const list = Array.isArray(objectives) ? [...new Set(objectives)] : [];
+  const unknown = list.filter((objective) => !supported.includes(objective));
+
+  if (unknown.length > 0 || list.length < CONSTANTS.MIN_OBJECTIVES) {
+    throw new Error(
+      `objectives debe incluir al menos ${CONSTANTS.MIN_OBJECTIVES} de: ${supported.join(', ')}`,
+    );
+  }
+
+  return list;
+};
+
+/**
+ * Mayor velocidad dentro del rango del implemento a la que la potencia derateada
+ * del tractor cubre la potencia mínima requerida a esa velocidad
+ *
+ * @param {Object} tractor - Tractor
+ * @param {Object} implementData - Datos del implemento para calculateMinimumPower
+ * @param {Object} terrain - Terreno
+ * @param {Object} [options]
+ * @param {Object} [options.coefficients] - Perfil activo ({ minimumPower, powerLoss })
+ * @param {Object} [options.soilCatalog] - Catálogo de suelos
+ * @returns {number|null} Velocidad (km/h), o null si ninguna es factible
+ */
+export const findMaxSustainableSpeed = (tractor, implementData, terrain, { coefficients, soilCatalog } = {}) => {
+  const { min, max } = getSpeedRange(implementData.implement_type);
+
+  for (let speedKmh = max; speedKmh >= min - 1e-9; speedKmh -= CONSTANTS.SPEED_STEP_KMH) {
+    const speed = round2(speedKmh);
+    const powerResult = calculateMinimumPower(
+      { ...implementData, working_speed_kmh: speed },
+      terrain,
+      coefficients?.minimumPower,
+      soilCatalog,
+    );
+    const { deratedHP } = calculateDeratedPower(tractor, terrain, {
+      speedKmh: speed,
+      drawbarPullKn: powerResult.draft?.draftKn,
+      implementType: implementData.implement_type,
+      coefficients: coefficients?.powerLoss,
+      soilCatalog,
+    });
+
+    if (deratedHP >= powerResult.minimumPowerHP) {
+      return speed;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Mide un tractor en todos los objetivos
+ *
+ * @param {Object} tractor - Tractor compatible
+ * @param {Object} context
+ * @param {Object} context.implement - Datos del implemento (calculateMinimumPower)
+ * @param {Object} context.terrain - Terreno
+ * @param {number} context.requiredPower - Potencia mínima requerida (HP)
+ * @param {Object} [context.powerResult] - Resultado de calculateMinimumPower a la velocidad de trabajo
+ * @param {Object} [context.derating] - Contexto de derateo a la velocidad de trabajo
+ * @param {Object} [context.coefficients] - Perfil activo ({ minimumPower, powerLoss })
+ * @param {Object} [context.soilCatalog] - Catálogo de suelos
+ * @param {number} [context.annualHours] - Horas de uso anual
+ * @param {number} [context.fuelPricePerL] - Precio del combustible
+ * @returns {{metrics: Object, maxSpeedKmh: number|null, deratedHP: number}}
+ */
+export const evaluateObjectives = (tractor, {
+  implement,
+  terrain,
+  requiredPower,
+  powerResult = null,
+  derating = null,
+  coefficients,
+  soilCatalog,
+  annualHours = CONSTANTS.DEFAULT_ANNUAL_HOURS,
+  fuelPricePerL,
+}) => {
+  const { deratedHP } = calculateDeratedPower(tractor, terrain, {
+    implementType: implement.implement_type,
+    coefficients: coefficients?.powerLoss,
+    ...derating,
+    soilCatalog,
+  });
+
+  const maxSpeedKmh = findMaxSustainableSpeed(tractor, implement, terrain, { coefficients, soilCatalog });
+  const capacity = maxSpeedKmh
+    ? calculateFieldCapacity({
+        implementType: implement.implement_type,
+        widthM: implement.working_width_m,
+        speedKmh: maxSpeedKmh,
+      })
+    : null;
+
+  const price = getTractorPrice(tractor);
+  const cost = price && capacity
+    ? calculateOperatingCost({
+        tractor: {
+          price,
+          modelYear: toNumber(tractor.model_year),
+          enginePowerHP: toNumber(tractor.engine_power_hp),
+          tractionType: tractor.traction_type,
+          maintenanceCostPerHour: toNumber(tractor.maintenance_cost_per_hour),
+        },
+        annualHours,
+        demandedPowerHP: powerResult?.calculatedPowerHP ?? requiredPower,
+        effectiveCapacityHaH: capacity.effectiveCapacityHaH,
+        fuelPricePerL,
+      })
+    : null;
+
+  return {
+    metrics: {
+      purchase_price: price,
+      cost_per_hectare: cost?.totalPerHectare ?? null,
+      field_capacity: capacity?.effectiveCapacityHaH ?? null,
+      power_margin: round2(deratedHP - requiredPower),
+    },
+    maxSpeedKmh,
+    deratedHP,
+  };
+};
+
+/**
+ * Indica si a domina a b en los objetivos dados
+ * @param {Object} a - Métricas del primer tractor
+ * @param {Object} b - Métricas del segundo tractor
+ * @param {string[]} objectives - Objetivos a comparar
+ * @returns {boolean}
+ */
+export const dominates = (a, b, objectives) => {
+  let strictlyBetter = false;
+
+  for (const objective of objectives) {
+    const valueA = comparableValue(a, objective);
+    const valueB = comparableValue(b, objective);
+    if (valueA < valueB) return false;
+    if (valueA > valueB) strictlyBetter = true;
+  }
+
+  return strictlyBetter;
+};
+
+/**
+ * Calcula el frente de Pareto de una lista de candidatos
+ *
+ * @param {Array<{id: *, metrics: Object}>} candidates - Candidatos con sus métricas
+ * @param {string[]} objectives - Objetivos a comparar
+ * @returns {Array<Object>} Candidatos con `dominatedBy` (ids), `dominatesCount` y
+ *   `paretoOptimal`, primero los del frente
+ */
+export const computeParetoFront = (candidates, objectives) => {
+  const ranked = candidates.map((candidate) => ({
+    ...candidate,
+    dominatedBy: candidates
+      .filter((other) => other !== candidate && dominates(other.metrics, candidate.metrics, objectives))
+      .map((other) => other.id),
+    dominatesCount: candidates.filter(
+      (other) => other !== candidate && dominates(candidate.metrics, other.metrics, objectives),
+    ).length,
+  }));
+
+  return ranked
+    .map((candidate) => ({ ...candidate, paretoOptimal: candidate.dominatedBy.length === 0 }))
+    .sort((a, b) => a.dominatedBy.length - b.dominatedBy.length || b.dominatesCount - a.dominatesCount);
+};
+
+/**
+ * Genera la recomendación multiobjetivo de tractores
+ *
+ * @description
+ * 1. Filtra los tractores compatibles igual que el modo ponderado (potencia derateada,
+ *    estabilidad, acople, TDF) y el presupuesto de `filters.budget`.
+ * 2. Mide cada uno en los objetivos pedidos (evaluateObjectives).
+ * 3. Calcula el frente de Pareto y, para cada tractor, los que lo dominan.
+ *
+ * @param {Object} params
+ * @param {Object} params.terrain - Datos del terreno
+ * @param {Object} params.implement - Datos del implemento (calculateMinimumPower)
+ * @param {Array<Object>} params.tractors - Tractores disponibles
+ * @param {number} params.requiredPower - Potencia mínima requerida (HP)
+ * @param {string[]} [params.objectives] - Objetivos (DEFAULT_OBJECTIVES si se omite)
+ * @param {Object} [params.filters] - Filtros ({ budget })
+ * @param {Object} [params.powerResult] - Resultado de calculateMinimumPower
+ * @param {Object} [params.derating] - Contexto de derateo (ver recommendationService)
+ * @param {Object} [params.coefficients] - Perfil activo ({ minimumPower, powerLoss })
+ * @param {Object} [params.soilCatalog] - Catálogo de suelos
+ * @param {number} [params.annualHours] - Horas de uso anual (costo por hectárea)
+ * @param {number} [params.fuelPricePerL] - Precio del combustible
+ * @returns {Object} Frente, dominados, objetivos y resumen
+ *
+ * @throws {Error} Si los objetivos no son válidos
+ */
+export const generateParetoRecommendation = ({
+  terrain,
+  implement,
+  tractors,
+  requiredPower,
+  objectives,
+  filters = {},
+  powerResult = null,
+  derating = null,
+  coefficients,
+  soilCatalog,
+  annualHours,
+  fuelPricePerL,
+}) => {
+  if (!terrain) throw new Error('terrain es requerido');
+  if (!Array.isArray(tractors)) throw new Error('tractors debe ser un array');
+  if (typeof requiredPower !== 'number' || requiredPower <= 0) {
+    throw new Error('requiredPower debe ser un número positivo');
+  }
+
+  const selectedObjectives = resolveObjectives(objectives);
+  const terrainAnalysis = analyzeTerrain(terrain, soilCatalog);
+
+  let compatibleTractors = findCompatibleTractors(terrain, tractors, requiredPower, {
+    implement,
+    powerResult,
+    derating,
+    soilCatalog,
+  });
+
+  if (filters.budget) {
+    compatibleTractors = compatibleTractors.filter(
+      (tractor) => !getTractorPrice(tractor) || getTractorPrice(tractor) <= filters.budget,
+    );
+  }
+
+  const candidates = compatibleTractors.map((tractor) => ({
+    id: tractor.tractor_id,
+    tractor,
+    ...evaluateObjectives(tractor, {
+      implement,
+      terrain,
+      requiredPower,
+      powerResult,
+      derating,
+      coefficients,
+      soilCatalog,
+      annualHours,
+      fuelPricePerL,
+    }),
+  }));
+
+  const ranked = computeParetoFront(candidates, selectedObjectives);
+  const front = ranked.filter((candidate) => candidate.paretoOptimal);
+
+  return {
+    success: front.length > 0,
+    objectives: selectedObjectives.map((key) => ({ key, ...CONSTANTS.OBJECTIVES[key] })),
+    front,
+    dominated: ranked.filter((candidate) => !candidate.paretoOptimal),
+    terrainAnalysis,
+    summary: {
+      totalEvaluated: tractors.length,
+      compatibleCount: compatibleTractors.length,
+      frontSize: front.length,
+    },
+  };
+};
+
+/**
+ * Obtiene una copia de las constantes del modo multiobjetivo
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  resolveObjectives,
+  findMaxSustainableSpeed,
+  evaluateObjectives,
+  dominates,
+  computeParetoFront,
+  generateParetoRecommendation,
+  getConstants,
+  CONSTANTS,
+};
@@ -3,9 +3,15 @@
  * @module services/powerLossService
  */
 
+import { predictTraction } from './tractionService.js';
+import { resolveSoil } from './soilService.js';
+
 // CONSTANTES FÍSICAS (Paper & Tesis)
 
 const CONSTANTS = {
+  /** Versión del modelo de pérdidas; se guarda con cada cálculo y cambia con el modelo */
+  MODEL_VERSION: '1.0.0',
+
   /** Divisor de conversión métrica a HP (kgf*m/s -> HP) */
   HP_CONVERSION_FACTOR: 274.4,
   
@@ -75,6 +81,17 @@ export const kmhToMs = (speedKmh) => {
   return speedKmh / 3.6;
 };
 
+/**
+ * Mapea tipo de suelo y humedad a Índice de Cono (Cn) según ASABE D497.7
+ * @param {string} soil - Tipo de suelo
+ * @param {string} [moisture] - Condición de humedad (dry | moist | wet)
+ * @param {Object} [soilCatalog] - Catálogo de suelos (soilCatalogService)
+ * @returns {number} Cn (franco húmedo si el suelo no se reconoce)
+ */
+export const getSoilCn = (soil, moisture, soilCatalog) => {
+  return resolveSoil(soil, moisture, soilCatalog).coneIndex;
+};
+
 // FUNCIONES DE CÁLCULO DE PÉRDIDAS
 
 /**
@@ -86,6 +103,7 @@ export const kmhToMs = (speedKmh) => {
  * @param {number} enginePower - Potencia del motor en HP
  * @param {number} altitudeMeters - Altitud sobre nivel del mar en metros
  * @param {boolean} hasTurbo - Si el tractor tiene turbocompresor
+ * @param {Object} [constants=CONSTANTS] - Constantes a usar (perfil de cálculo activo)
  * @returns {number} Potencia perdida por altitud en HP
  *
  * @example
@@ -94,17 +112,22 @@ export const kmhToMs = (speedKmh) => {
  * // Con turbo: sin pérdida
  * calculateAltitudeLoss(100, 1500, true) // -> 0 HP
  */
-export const calculateAltitudeLoss = (enginePower, altitudeMeters, hasTurbo = false) => {
+export const calculateAltitudeLoss = (
+  enginePower,
+  altitudeMeters,
+  hasTurbo = false,
+  constants = CONSTANTS
+) => {
   // Tractores turboalimentados compensan la pérdida de densidad del aire
   if (hasTurbo) {
     return 0;
   }
 
-  if (altitudeMeters <= CONSTANTS.BASE_ALTITUDE_M) {
+  if (altitudeMeters <= constants.BASE_ALTITUDE_M) {
     return 0;
   }
 
-  const lossPercent = (altitudeMeters / 300) * CONSTANTS.ALTITUDE_LOSS_PER_300M;
+  const lossPercent = (altitudeMeters / 300) * constants.ALTITUDE_LOSS_PER_300M;
   return enginePower * (lossPercent / 100);
 };
 
@@ -117,6 +140,7 @@ export const calculateAltitudeLoss = (enginePower, altitudeMeters, hasTurbo = fa
  * @param {number} enginePower - Potencia del motor en HP
  * @param {number} temperatureC - Temperatura ambiente en °C
  * @param {boolean} hasTurbo - Si el tractor tiene turbocompresor
+ * @param {Object} [constants=CONSTANTS] - Constantes a usar (perfil de cálculo activo)
  * @returns {number} Potencia perdida por temperatura en HP
  *
  * @example
@@ -125,18 +149,23 @@ export const calculateAltitudeLoss = (enginePower, altitudeMeters, hasTurbo = fa
  * // Con turbo: sin pérdida
  * calculateTemperatureLoss(100, 35, true) // -> 0 HP
  */
-export const calculateTemperatureLoss = (enginePower, temperatureC, hasTurbo = false) => {
+export const calculateTemperatureLoss = (
+  enginePower,
+  temperatureC,
+  hasTurbo = false,
+  constants = CONSTANTS
+) => {
   // Tractores turboalimentados compensan la menor densidad del aire caliente
   if (hasTurbo) {
     return 0;
   }
 
-  if (temperatureC <= CONSTANTS.BASE_TEMPERATURE_C) {
+  if (temperatureC <= constants.BASE_TEMPERATURE_C) {
     return 0;
   }
 
-  const tempDiff = temperatureC - CONSTANTS.BASE_TEMPERATURE_C;
-  const lossPercent = (tempDiff / 5) * CONSTANTS.TEMP_LOSS_PER_5C;
+  const tempDiff = temperatureC - constants.BASE_TEMPERATURE_C;
+  const lossPercent = (tempDiff / 5) * constants.TEMP_LOSS_PER_5C;
   return enginePower * (lossPercent / 100);
 };
 
@@ -283,9 +312,16 @@ export const calculateSlippageLossHP = (powerAvailable, slippagePercent) => {
  * @param {number} params.soilCn - Número de cono del suelo
  * @param {number} params.slopePercent - Pendiente del terreno en porcentaje
  * @param {number} params.speedKmh - Velocidad de desplazamiento en km/h
- * @param {number} params.slippagePercent - Porcentaje de patinaje
+ * @param {number} [params.slippagePercent] - Porcentaje de patinaje. Si se omite, se predice con tractionService
  * @param {number} [params.transmissionLossFactor=0.13] - Factor de pérdida de transmisión
  * @param {boolean} [params.hasTurbo=false] - Si el tractor tiene turbocompresor
+ * @param {Object} [params.traction] - Datos de rodadura para predecir el patinaje (ASABE D497)
+ * @param {string} [params.traction.tractionType] - Tipo de tracción (4x2|4x4|track)
+ * @param {number} [params.traction.tireWidthMm] - Ancho del neumático (mm)
+ * @param {number} [params.traction.tireDiameterMm] - Diámetro del neumático (mm)
+ * @param {number} [params.traction.tirePressurePsi] - Presión de inflado (psi)
+ * @param {number} [params.traction.drawbarPullKn] - Tiro requerido en la barra (kN)
+ * @param {Object} [params.coefficients] - Coeficientes del perfil de cálculo activo (sobrescriben CONSTANTS)
  *
  * @returns {Object} Objeto con desglose de pérdidas y potencia neta final
  * @returns {number} returns.grossPower - Potencia bruta del motor (HP)
@@ -300,6 +336,7 @@ export const calculateSlippageLossHP = (powerAvailable, slippagePercent) => {
  * @returns {number} returns.netPower - Potencia neta disponible para trabajo (HP)
  * @returns {number} returns.efficiency - Eficiencia total (%)
  * @returns {boolean} returns.hasTurbo - Si el tractor tiene turbo
+ * @returns {Object} returns.traction - Patinaje usado, su origen ('user'|'predicted') y la predicción de tracción
  *
  * @example
  * const result = calculateTotalLoss({
@@ -323,13 +360,17 @@ export const calculateTotalLoss = ({
   slopePercent,
   speedKmh,
   slippagePercent,
-  transmissionLossFactor = CONSTANTS.DEFAULT_TRANSMISSION_LOSS,
+  transmissionLossFactor,
   hasTurbo = false,
+  traction = null,
+  coefficients = null,
 }) => {
+  const constants = { ...CONSTANTS, ...coefficients };
+
   // 1. Pérdidas atmosféricas (solo para tractores aspirados — sin turbo)
   // Según Chaparro: altitud y temperatura "solo para tractores aspirados"
-  const altitudeLoss = calculateAltitudeLoss(enginePower, altitudeMeters, hasTurbo);
-  const temperatureLoss = calculateTemperatureLoss(enginePower, temperatureC, hasTurbo);
+  const altitudeLoss = calculateAltitudeLoss(enginePower, altitudeMeters, hasTurbo, constants);
+  const temperatureLoss = calculateTemperatureLoss(enginePower, temperatureC, hasTurbo, constants);
   
   // Potencia después de pérdidas atmosféricas
   const powerAfterAtmospheric = enginePower - altitudeLoss - temperatureLoss;
@@ -337,7 +378,7 @@ export const calculateTotalLoss = ({
   // 2. Pérdida por transmisión (sobre potencia ajustada)
   const transmissionLoss = calculateTransmissionLoss(
     powerAfterAtmospheric,
-    transmissionLossFactor
+    transmissionLossFactor ?? constants.DEFAULT_TRANSMISSION_LOSS
   );
   
   // Potencia en el eje de las ruedas
@@ -357,9 +398,26 @@ export const calculateTotalLoss = ({
   const powerBeforeSlippage = powerAtWheels - rollingResistanceLoss - slopeLoss;
   
   // 4. Pérdida por patinaje
+  // Si el usuario no informa el patinaje, se predice con ASABE D497 a partir
+  // de la potencia en el eje y la carga dinámica sobre las ruedas motrices
+  const hasUserSlippage = typeof slippagePercent === 'number' && Number.isFinite(slippagePercent);
+  const tractionPrediction = hasUserSlippage
+    ? null
+    : predictTraction({
+        ...(traction || {}),
+        totalWeightKg,
+        soilCn,
+        slopePercent,
+        speedKmh,
+        axlePowerHp: Math.max(0, powerAtWheels),
+      });
+  const effectiveSlippage = hasUserSlippage
+    ? slippagePercent
+    : tractionPrediction.slipPercent;
+
   const slippageLoss = calculateSlippageLossHP(
     Math.max(0, powerBeforeSlippage),
-    slippagePercent
+    effectiveSlippage
   );
   
   // Potencia neta final
@@ -391,6 +449,11 @@ export const calculateTotalLoss = ({
     },
     netPower: parseFloat(netPower.toFixed(2)),
     efficiency: parseFloat(efficiency.toFixed(2)),
+    traction: {
+      slippagePercent: parseFloat(effectiveSlippage.toFixed(2)),
+      source: hasUserSlippage ? 'user' : 'predicted',
+      prediction: tractionPrediction,
+    },
   };
 };
 
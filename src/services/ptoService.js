@@ -0,0 +1,324 @@
+/**
+ * @overview Servicio de demanda de potencia por toma de fuerza (TDF)
+ * @module services/ptoService
+ *
+ * @description
+ * Estima la potencia que un implemento accionado demanda en el eje de la TDF
+ * (ASABE D497, Tabla 1) y la lleva a la salida de la TDF del tractor con las
+ * pérdidas del cardán:
+ * ```
+ * P_eje = a + b·W·F_prof + c·F                      (kW)
+ * η_cardán = η_ref − k·max(0, L − L_ref)            (L = distancia TDF–implemento)
+ * P_tdf = P_eje / η_cardán
+ * ```
+ *
+ * Con la demanda separada en barra y TDF se verifica cada una contra la
+ * capacidad del tractor (ASABE EP496):
+ * ```
+ * P_tdf,disp   = pto_power_hp  (o P_motor · 0.9 si el catálogo no la declara)
+ * P_barra,disp = P_tdf,disp · r_barra/tdf(tracción, suelo)
+ * U = P_barra / P_barra,disp + P_tdf / P_tdf,disp    (U ≤ 1 ⇒ el tractor cubre ambas)
+ * ```
+ *
+ * El término con mayor utilización es el que limita el conjunto.
+ *
+ * @example
+ * import { calculatePtoDemand, assessPowerCapability } from './ptoService.js';
+ *
+ * const pto = calculatePtoDemand({ implementType: 'rotary_tiller', widthM: 2.5, depthCm: 12, ptoDistanceM: 1.2 });
+ * const capability = assessPowerCapability({
+ *   tractor: { engine_power_hp: 90, traction_type: '4x4' },
+ *   demand: { drawbarPowerHP: 0, ptoPowerHP: pto.tractorPtoPowerHP },
+ *   soilType: 'loam',
+ * });
+ * console.log(capability.limitingFactor, capability.sufficient);
+ */
+
+import { normalizeTractionType } from './tractionService.js';
+
+// CONSTANTES
+
+/**
+ * Constantes del modelo de TDF
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /**
+   * Potencia en el eje de TDF por tipo de implemento (ASABE D497, Tabla 1)
+   * a en kW, b en kW/m de ancho, c en kWh/t de material procesado.
+   * usesDepth escala b con la profundidad respecto de referenceDepthCm.
+   */
+  PTO_COEFFICIENTS: {
+    /** Segadora de discos */
+    mower: { a: 0, b: 5.0, c: 0 },
+    /** Fresadora / rotocultivador (valor típico a 10 cm de profundidad) */
+    rotary_tiller: { a: 0, b: 10.0, c: 0, usesDepth: true, referenceDepthCm: 10 },
+    /** Enfardadora de fardos grandes redondos */
+    baler: { a: 4.0, b: 0, c: 1.1 },
+    /** Pulverizadora: bomba accionada por TDF (valor típico) */
+    sprayer: { a: 1.5, b: 0.25, c: 0 },
+  },
+
+  /** Alimentación típica de material en t/h para implementos con término c */
+  TYPICAL_FEED_RATE_TPH: {
+    baler: 12,
+  },
+
+  /** Eficiencia del cardán a la distancia de referencia (dos crucetas alineadas) */
+  DRIVELINE_EFFICIENCY: 0.97,
+
+  /** Distancia TDF–implemento de referencia en m (cardán estándar) */
+  REFERENCE_PTO_DISTANCE_M: 1.0,
+
+  /** Pérdida adicional por metro de cardán sobre la referencia (ángulos y soportes) */
+  DRIVELINE_LOSS_PER_M: 0.01,
+
+  /** Eficiencia mínima admitida del cardán */
+  MIN_DRIVELINE_EFFICIENCY: 0.85,
+
+  /** Distancia TDF–implemento máxima admitida (m) */
+  MAX_PTO_DISTANCE_M: 10,
+
+  /** Potencia en TDF / potencia de motor cuando el catálogo no la declara (ASABE EP496) */
+  PTO_TO_ENGINE_RATIO: 0.9,
+
+  /**
+   * Relación potencia en barra / potencia en TDF por tracción y condición del suelo
+   * (ASABE EP496): firme, labrado y blando
+   */
+  DRAWBAR_TO_PTO_RATIO: {
+    '4x2': { firm: 0.72, tilled: 0.67, soft: 0.55 },
+    '4x4': { firm: 0.77, tilled: 0.73, soft: 0.65 },
+    track: { firm: 0.82, tilled: 0.8, soft: 0.78 },
+  },
+
+  /** Condición de tracción por tipo de suelo normalizado */
+  SOIL_CONDITION: {
+    rocky: 'firm',
+    loam: 'firm',
+    clay: 'tilled',
+    sandy: 'soft',
+  },
+
+  /** Componentes que pueden limitar el conjunto */
+  LIMITING_FACTORS: {
+    DRAWBAR: 'drawbar',
+    PTO: 'pto',
+  },
+
+  /** Conversión kW -> HP */
+  KW_TO_HP: 1 / 0.7457,
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Redondea a dos decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Normaliza el tipo de implemento
+ * @param {string|null|undefined} implementType
+ * @returns {string|null}
+ */
+const normalizeImplementType = (implementType) => {
+  if (!implementType || typeof implementType !== 'string') return null;
+  return implementType.toLowerCase().trim();
+};
+
+/**
+ * Indica si el tipo de implemento es accionado por la TDF
+ *
+ * @param {string} implementType - Tipo de implemento
+ * @returns {boolean}
+ */
+export const isPtoDriven = (implementType) =>
+  Boolean(CONSTANTS.PTO_COEFFICIENTS[normalizeImplementType(implementType)]);
+
+/**
+ * Calcula la eficiencia del cardán según la distancia TDF–implemento
+ *
+ * @param {number} [ptoDistanceM] - Distancia entre la TDF del tractor y la entrada del implemento (m)
+ * @returns {number} Eficiencia (0-1), la de referencia si no se indica distancia
+ *
+ * @example
+ * calculateDrivelineEfficiency(2.5); // -> 0.955
+ */
+export const calculateDrivelineEfficiency = (ptoDistanceM) => {
+  const distance = ptoDistanceM > 0 ? ptoDistanceM : CONSTANTS.REFERENCE_PTO_DISTANCE_M;
+  const extraM = Math.max(0, distance - CONSTANTS.REFERENCE_PTO_DISTANCE_M);
+  const efficiency = CONSTANTS.DRIVELINE_EFFICIENCY - extraM * CONSTANTS.DRIVELINE_LOSS_PER_M;
+
+  return Math.round(Math.max(CONSTANTS.MIN_DRIVELINE_EFFICIENCY, efficiency) * 1000) / 1000;
+};
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Calcula la demanda de TDF del implemento en el eje y en la salida del tractor
+ *
+ * @param {Object} params
+ * @param {string} params.implementType - Tipo de implemento
+ * @param {number} [params.widthM] - Ancho de trabajo (m)
+ * @param {number} [params.depthCm] - Profundidad de trabajo (cm), solo rotocultivador
+ * @param {number} [params.feedRateTph] - Alimentación de material (t/h), típica si se omite
+ * @param {number} [params.ptoDistanceM] - Distancia TDF–implemento (m)
+ * @returns {Object} Potencia en el eje, eficiencia del cardán y potencia en la TDF del tractor (HP)
+ */
+export const calculatePtoDemand = ({
+  implementType,
+  widthM,
+  depthCm,
+  feedRateTph,
+  ptoDistanceM,
+}) => {
+  const type = normalizeImplementType(implementType);
+  const coefficients = CONSTANTS.PTO_COEFFICIENTS[type];
+  const drivelineEfficiency = calculateDrivelineEfficiency(ptoDistanceM);
+
+  if (!coefficients) {
+    return {
+      shaftPowerHP: 0,
+      drivelineEfficiency,
+      tractorPtoPowerHP: 0,
+      ptoDistanceM: ptoDistanceM > 0 ? ptoDistanceM : null,
+    };
+  }
+
+  const depthFactor = coefficients.usesDepth && depthCm > 0
+    ? depthCm / coefficients.referenceDepthCm
+    : 1;
+  const feedRate = feedRateTph > 0 ? feedRateTph : (CONSTANTS.TYPICAL_FEED_RATE_TPH[type] ?? 0);
+
+  const shaftKw = coefficients.a
+    + coefficients.b * (widthM > 0 ? widthM : 0) * depthFactor
+    + coefficients.c * feedRate;
+  const shaftPowerHP = shaftKw * CONSTANTS.KW_TO_HP;
+
+  return {
+    shaftPowerHP: round2(shaftPowerHP),
+    drivelineEfficiency,
+    tractorPtoPowerHP: round2(shaftPowerHP / drivelineEfficiency),
+    ptoDistanceM: ptoDistanceM > 0 ? ptoDistanceM : null,
+  };
+};
+
+/**
+ * Calcula la potencia disponible del tractor en la TDF y en la barra
+ *
+ * @param {Object} tractor - Registro del tractor (engine_power_hp, pto_power_hp, traction_type)
+ * @param {string} [soilType='loam'] - Tipo de suelo normalizado
+ * @returns {Object} Potencia disponible en TDF y barra (HP) y relación barra/TDF usada
+ */
+export const getTractorCapability = (tractor, soilType = 'loam') => {
+  const enginePowerHP = parseFloat(tractor?.engine_power_hp ?? tractor?.enginePowerHp) || 0;
+  const declaredPto = parseFloat(tractor?.pto_power_hp);
+  const ptoPowerHP = declaredPto > 0 ? declaredPto : enginePowerHP * CONSTANTS.PTO_TO_ENGINE_RATIO;
+
+  const condition = CONSTANTS.SOIL_CONDITION[soilType] || CONSTANTS.SOIL_CONDITION.loam;
+  const drawbarRatio = CONSTANTS.DRAWBAR_TO_PTO_RATIO[normalizeTractionType(tractor?.traction_type)][condition];
+
+  return {
+    ptoPowerHP: round2(ptoPowerHP),
+    ptoPowerSource: declaredPto > 0 ? 'catalog' : 'estimated',
+    drawbarPowerHP: round2(ptoPowerHP * drawbarRatio),
+    drawbarToPtoRatio: drawbarRatio,
+    soilCondition: condition,
+  };
+};
+
+/**
+ * Verifica por separado la demanda en barra y en TDF contra la capacidad del tractor
+ *
+ * @param {Object} params
+ * @param {Object} params.tractor - Registro del tractor
+ * @param {Object} params.demand - Demanda del implemento sin margen
+ * @param {number} params.demand.drawbarPowerHP - Potencia en la barra (HP)
+ * @param {number} params.demand.ptoPowerHP - Potencia en la TDF del tractor, con pérdidas del cardán (HP)
+ * @param {string} [params.soilType='loam'] - Tipo de suelo normalizado
+ * @param {number} [params.safetyMargin=0] - Margen aplicado a ambas demandas (0.15 = +15%)
+ * @returns {Object} Verificación de barra y TDF, utilización combinada y componente limitante
+ *
+ * @example
+ * assessPowerCapability({
+ *   tractor: { engine_power_hp: 75, traction_type: '4x2' },
+ *   demand: { drawbarPowerHP: 10, ptoPowerHP: 55 },
+ * }).limitingFactor;
+ * // -> 'pto'
+ */
+export const assessPowerCapability = ({ tractor, demand, soilType = 'loam', safetyMargin = 0 }) => {
+  const capability = getTractorCapability(tractor, soilType);
+  const factor = 1 + safetyMargin;
+
+  const buildCheck = (demandHP, availableHP) => {
+    const required = round2((demandHP || 0) * factor);
+    const utilization = availableHP > 0 ? required / availableHP : (required > 0 ? Infinity : 0);
+    return {
+      requiredHP: required,
+      availableHP,
+      utilizationPercent: Number.isFinite(utilization) ? round2(utilization * 100) : null,
+      sufficient: utilization <= 1,
+      utilization,
+    };
+  };
+
+  const drawbar = buildCheck(demand?.drawbarPowerHP, capability.drawbarPowerHP);
+  const pto = buildCheck(demand?.ptoPowerHP, capability.ptoPowerHP);
+
+  // Barra y TDF comparten el mismo motor: las utilizaciones se suman
+  const combined = drawbar.utilization + pto.utilization;
+  const { DRAWBAR, PTO } = CONSTANTS.LIMITING_FACTORS;
+  const strip = ({ utilization, ...check }) => check;
+
+  return {
+    drawbar: strip(drawbar),
+    pto: strip(pto),
+    combinedUtilizationPercent: Number.isFinite(combined) ? round2(combined * 100) : null,
+    sufficient: combined <= 1,
+    limitingFactor: pto.utilization > drawbar.utilization ? PTO : DRAWBAR,
+    ptoPowerSource: capability.ptoPowerSource,
+    soilCondition: capability.soilCondition,
+  };
+};
+
+/**
+ * Verifica la demanda de un cálculo de potencia mínima contra un tractor
+ *
+ * @param {Object} tractor - Registro del tractor
+ * @param {Object} powerResult - Resultado de calculateMinimumPower
+ * @returns {Object|null} Resultado de assessPowerCapability, o null si el cálculo no separa barra y TDF
+ */
+export const assessPowerDemand = (tractor, powerResult) => {
+  if (!powerResult?.powerDemand) return null;
+
+  return assessPowerCapability({
+    tractor,
+    demand: powerResult.powerDemand,
+    soilType: powerResult.input?.terrainData?.soil_type,
+    safetyMargin: powerResult.factors?.safetyMargin ?? 0,
+  });
+};
+
+/**
+ * Obtiene una copia de las constantes del modelo
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  isPtoDriven,
+  calculateDrivelineEfficiency,
+  calculatePtoDemand,
+  getTractorCapability,
+  assessPowerCapability,
+  assessPowerDemand,
+  getConstants,
+  CONSTANTS,
+};
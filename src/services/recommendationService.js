@@ -8,6 +8,14 @@
  *
  * Patrón Strategy: Filter -> Score -> Sort
  *
+ * Con un contexto de derateo (`derating`) la potencia del tractor que se filtra y
+ * puntúa es la del motor en el terreno (deratingService: altitud y temperatura según
+ * su tipo de aspiración) en lugar de la nominal del catálogo. El requerimiento ya es de
+ * motor (incluye transmisión, tracción y margen), así que no se descuentan otras pérdidas.
+ *
+ * El modo "flota primero" (generateFleetFirstRecommendation) puntúa igual los tractores
+ * propios del usuario y solo recurre al catálogo si ninguno califica.
+ *
  * @example
  * import { generateRecommendation } from './recommendationService.js';
  *
@@ -19,6 +27,17 @@
  * });
  */
 
+import { calculateFuelConsumption } from "./fuelService.js";
+import { assessStability, isExcludedByStability } from "./stabilityService.js";
+import { checkImplementCompatibility } from "./hitchCompatibilityService.js";
+import { assessPowerDemand, CONSTANTS as PTO_CONSTANTS } from "./ptoService.js";
+import { calculateDeratedPower } from "./deratingService.js";
+import {
+  normalizeSoilType,
+  resolveSoil,
+  CONSTANTS as SOIL_CONSTANTS,
+} from "./soilService.js";
+
 // CONSTANTES
 
 /**
@@ -65,38 +84,6 @@ const SLOPE_CLASSIFICATION = {
   STEEP: { min: 15, label: "STEEP", description: "Pendiente pronunciada" },
 };
 
-/**
- * Dificultad de suelos (0-100, mayor = más difícil)
- * @constant {Object}
- */
-const SOIL_DIFFICULTY = {
-  sandy: { difficulty: 20, label: "Fácil", preferredTire: "standard" },
-  loam: { difficulty: 40, label: "Moderado", preferredTire: "standard" },
-  clay: { difficulty: 70, label: "Difícil", preferredTire: "track" },
-  rocky: { difficulty: 85, label: "Muy difícil", preferredTire: "reinforced" },
-  wet_clay: { difficulty: 95, label: "Extremo", preferredTire: "track" },
-};
-
-/**
- * Mapeo bilingüe de tipos de suelo
- * @constant {Object}
- */
-const SOIL_TYPE_MAPPING = {
-  arcilla: "clay",
-  arcilloso: "clay",
-  clay: "clay",
-  franco: "loam",
-  loam: "loam",
-  arena: "sandy",
-  arenoso: "sandy",
-  sandy: "sandy",
-  rocoso: "rocky",
-  rocky: "rocky",
-  pedregoso: "rocky",
-  arcilla_humeda: "wet_clay",
-  wet_clay: "wet_clay",
-};
-
 /**
  * Bonus de tracción por tipo y condiciones
  * @constant {Object}
@@ -109,19 +96,27 @@ const TRACTION_BONUS = {
   "2WD": { flat: 10, rolling: 0, steep: -50 },
 };
 
-// FUNCIONES DE ANÁLISIS DE TERRENO
+/**
+ * Origen de cada recomendación en el modo "flota primero"
+ * @constant {Object}
+ */
+const RECOMMENDATION_SOURCES = {
+  OWNED: "owned", // Tractor del garaje del usuario
+  PURCHASE: "purchase", // Tractor del catálogo (hay que comprarlo)
+};
 
 /**
- * Normaliza el tipo de suelo a un valor reconocido
+ * Combina los coeficientes por defecto con los del perfil de cálculo activo
  *
- * @param {string|null|undefined} soilType - Tipo de suelo
- * @returns {string} Tipo de suelo normalizado
+ * @param {Object} [coefficients] - Sección recommendation del perfil (SCORING_CONFIG, TRACTION_BONUS)
+ * @returns {Object} Coeficientes completos
  */
-const normalizeSoilType = (soilType) => {
-  if (!soilType) return "loam";
-  const normalized = soilType.toLowerCase().trim();
-  return SOIL_TYPE_MAPPING[normalized] || "loam";
-};
+const resolveCoefficients = (coefficients) => ({
+  SCORING_CONFIG: { ...SCORING_CONFIG, ...coefficients?.SCORING_CONFIG },
+  TRACTION_BONUS: { ...TRACTION_BONUS, ...coefficients?.TRACTION_BONUS },
+});
+
+// FUNCIONES DE ANÁLISIS DE TERRENO
 
 /**
  * Clasifica la pendiente del terreno
@@ -152,7 +147,9 @@ const classifySlope = (slopePercentage) => {
  * @param {Object} terrain - Datos del terreno
  * @param {number} terrain.slope_percentage - Pendiente en porcentaje
  * @param {string} terrain.soil_type - Tipo de suelo
+ * @param {string} [terrain.moisture_condition] - Humedad del suelo (dry | moist | wet)
  * @param {number} [terrain.altitude_meters] - Altitud en metros
+ * @param {Object} [soilCatalog] - Catálogo de suelos (soilCatalogService)
  * @returns {Object} Análisis completo del terreno
  *
  * @example
@@ -164,17 +161,16 @@ const classifySlope = (slopePercentage) => {
  * /   ...
  * / }
  */
-export const analyzeTerrain = (terrain) => {
+export const analyzeTerrain = (terrain, soilCatalog) => {
   if (!terrain) {
     throw new Error("terrain es requerido");
   }
 
   const slopePercentage = terrain.slope_percentage || 0;
-  const soilType = normalizeSoilType(terrain.soil_type);
   const slopeClass = classifySlope(slopePercentage);
 
-  // Obtener dificultad del suelo
-  const soilDifficulty = SOIL_DIFFICULTY[soilType] || SOIL_DIFFICULTY.loam;
+  // Dificultad del suelo según el catálogo y la humedad
+  const soil = resolveSoil(terrain.soil_type, terrain.moisture_condition, soilCatalog);
 
   // Regla de Oro: pendiente > 15% requiere 4WD
   const requires4WD = slopeClass === "STEEP";
@@ -183,7 +179,7 @@ export const analyzeTerrain = (terrain) => {
   const slopeDifficultyIndex = slopePercentage * 2; // Max ~40 para 20%
   const combinedDifficulty = Math.min(
     100,
-    soilDifficulty.difficulty * 0.6 + slopeDifficultyIndex * 0.4,
+    soil.difficulty * 0.6 + slopeDifficultyIndex * 0.4,
   );
 
   return {
@@ -193,25 +189,27 @@ export const analyzeTerrain = (terrain) => {
       altitude_meters: terrain.altitude_meters || 0,
     },
     normalized: {
-      soilType,
+      soilType: soil.code,
+      moisture: soil.moisture,
       slopePercentage,
     },
     classification: {
       slopeClass,
       slopeDescription:
         SLOPE_CLASSIFICATION[slopeClass]?.description || "Desconocido",
-      soilLabel: soilDifficulty.label,
-      preferredTire: soilDifficulty.preferredTire,
+      soilLabel: soil.difficultyLabel,
+      preferredTire: soil.preferredTire,
     },
     metrics: {
-      soilDifficulty: soilDifficulty.difficulty,
+      soilDifficulty: soil.difficulty,
+      coneIndex: soil.coneIndex,
       combinedDifficulty: Math.round(combinedDifficulty * 100) / 100,
     },
     requirements: {
       requires4WD,
       requiresTrack:
-        soilType === "wet_clay" ||
-        (soilType === "clay" && slopeClass === "STEEP"),
+        soil.difficulty >= SOIL_CONSTANTS.TRACK_REQUIRED_DIFFICULTY ||
+        (soil.preferredTire === "track" && slopeClass === "STEEP"),
     },
   };
 };
@@ -240,20 +238,49 @@ const normalizeTractionType = (tractionType) => {
   return "4x2";
 };
 
+/**
+ * Resuelve la potencia del tractor con la que se filtra y puntúa
+ *
+ * @param {Object} tractor - Datos del tractor
+ * @param {Object} terrain - Datos del terreno (altitud, temperatura, pendiente, suelo)
+ * @param {Object|null} derating - Contexto de derateo (speedKmh, drawbarPullKn, implementType,
+ *   coefficients powerLoss); null usa la potencia nominal
+ * @param {Object} [soilCatalog] - Catálogo de suelos (soilCatalogService)
+ * @returns {{nominalHP: number, deratedHP: number|null, effectiveHP: number}}
+ */
+const resolveTractorPower = (tractor, terrain, derating, soilCatalog) => {
+  const nominalHP = tractor.engine_power_hp || tractor.enginePowerHp || 0;
+
+  if (!derating) {
+    return { nominalHP, deratedHP: null, effectiveHP: nominalHP };
+  }
+
+  const { deratedHP } = calculateDeratedPower(tractor, terrain, { ...derating, soilCatalog });
+  return { nominalHP, deratedHP, effectiveHP: deratedHP };
+};
+
 /**
  * Filtra tractores compatibles con el terreno y potencia requerida
  *
  * @description
  * Aplica filtros en cascada:
- * 1. Filtro de potencia: tractor.power >= requiredPower
+ * 1. Filtro de potencia: tractor.power >= requiredPower (la derateada si se indica
+ *    options.derating), y barra y TDF por separado cuando se conoce la demanda del
+ *    implemento (powerResult)
  * 2. Regla de Oro: Si pendiente > 15%, excluir tractores sin 4WD
- * 3. Filtro de disponibilidad (opcional)
+ * 3. Estabilidad: excluir tractores con riesgo de vuelco (UNSAFE) en la pendiente
+ * 4. Acople: excluir tractores que no pueden acoplar o levantar el implemento (si se indica)
+ * 5. Filtro de disponibilidad (opcional)
  *
  * @param {Object} terrain - Datos del terreno
  * @param {Array<Object>} tractors - Lista de tractores
  * @param {number} requiredPower - Potencia mínima requerida (HP)
  * @param {Object} [options] - Opciones adicionales
  * @param {boolean} [options.includeUnavailable=false] - Incluir tractores no disponibles
+ * @param {Object} [options.implement] - Implemento a acoplar (enganche, peso, TDF)
+ * @param {Object} [options.powerResult] - Resultado de calculateMinimumPower (demanda en barra y TDF)
+ * @param {Object} [options.derating] - Contexto de derateo (ver resolveTractorPower)
+ * @param {Object} [options.soilCatalog] - Catálogo de suelos (soilCatalogService)
  * @returns {Array<Object>} Tractores que pasan todos los filtros
  *
  * @example
@@ -275,16 +302,25 @@ export const findCompatibleTractors = (
 
   const terrainAnalysis = analyzeTerrain(terrain);
   const { requires4WD } = terrainAnalysis.requirements;
-  const { includeUnavailable = false } = options;
+  const {
+    includeUnavailable = false,
+    implement = null,
+    powerResult = null,
+    derating = null,
+    soilCatalog,
+  } = options;
 
   return tractors.filter((tractor) => {
-    // Obtener potencia del tractor
-    const tractorPower = tractor.engine_power_hp || tractor.enginePowerHp || 0;
+    // Obtener potencia del tractor (nominal o derateada en el terreno)
+    const tractorPower = resolveTractorPower(tractor, terrain, derating, soilCatalog).effectiveHP;
 
-    // Filtro 1: Potencia mínima
+    // Filtro 1: Potencia mínima (motor, barra y TDF)
     if (tractorPower < requiredPower) {
       return false;
     }
+    if (assessPowerDemand(tractor, powerResult)?.sufficient === false) {
+      return false;
+    }
 
     // Filtro 2: Regla de Oro - 4WD obligatorio en pendiente > 15%
     if (requires4WD) {
@@ -294,7 +330,17 @@ export const findCompatibleTractors = (
       }
     }
 
-    // Filtro 3: Disponibilidad (opcional)
+    // Filtro 3: Estabilidad - ángulo de vuelco insuficiente para la pendiente
+    if (isExcludedByStability(assessStability(tractor, terrain.slope_percentage))) {
+      return false;
+    }
+
+    // Filtro 4: Acople - enganche, capacidad de levante y TDF
+    if (implement && !checkImplementCompatibility(tractor, implement).compatible) {
+      return false;
+    }
+
+    // Filtro 5: Disponibilidad (opcional)
     if (!includeUnavailable) {
       const status = (tractor.status || "available").toLowerCase();
       if (status !== "available" && status !== "active") {
@@ -306,6 +352,76 @@ export const findCompatibleTractors = (
   });
 };
 
+/**
+ * Explica por qué ningún tractor pasó los filtros de potencia, tracción, estabilidad y acople
+ *
+ * @param {Object} terrain - Datos del terreno
+ * @param {Array<Object>} tractors - Lista de tractores evaluados
+ * @param {number} requiredPower - Potencia mínima requerida (HP)
+ * @param {Object} [implement] - Implemento a acoplar
+ * @param {Object} [powerResult] - Resultado de calculateMinimumPower (demanda en barra y TDF)
+ * @param {Object} [derating] - Contexto de derateo (ver resolveTractorPower)
+ * @param {Object} [soilCatalog] - Catálogo de suelos (soilCatalogService)
+ * @returns {string} Motivo legible
+ */
+const getNoCompatibleReason = (
+  terrain,
+  tractors,
+  requiredPower,
+  implement = null,
+  powerResult = null,
+  derating = null,
+  soilCatalog,
+) => {
+  const { requires4WD } = analyzeTerrain(terrain).requirements;
+  const powers = tractors.map((tractor) =>
+    resolveTractorPower(tractor, terrain, derating, soilCatalog),
+  );
+  const powerful = tractors.filter(
+    (tractor, index) => powers[index].effectiveHP >= requiredPower,
+  );
+
+  if (
+    derating &&
+    powerful.length === 0 &&
+    powers.some((power) => power.nominalHP >= requiredPower)
+  ) {
+    return "Los tractores con potencia nominal suficiente no la entregan en este terreno (altitud, temperatura, pendiente y suelo)";
+  }
+  const capable = powerful.filter(
+    (tractor) => assessPowerDemand(tractor, powerResult)?.sufficient !== false,
+  );
+
+  if (powerful.length > 0 && capable.length === 0) {
+    const { limitingFactor } = assessPowerDemand(powerful[0], powerResult);
+    return limitingFactor === PTO_CONSTANTS.LIMITING_FACTORS.PTO
+      ? "Los tractores con potencia suficiente no entregan la potencia requerida en la TDF"
+      : "Los tractores con potencia suficiente no entregan la potencia requerida en la barra de tiro";
+  }
+
+  const stable = capable.filter(
+    (tractor) => !isExcludedByStability(assessStability(tractor, terrain.slope_percentage)),
+  );
+
+  if (powerful.length > 0 && stable.length === 0) {
+    return "Los tractores con potencia suficiente tienen riesgo de vuelco en esta pendiente";
+  }
+
+  if (implement && stable.length > 0) {
+    const rejections = stable
+      .map((tractor) => checkImplementCompatibility(tractor, implement))
+      .filter((result) => !result.compatible);
+
+    if (rejections.length === stable.length) {
+      return `Los tractores con potencia suficiente no pueden acoplar el implemento: ${rejections[0].reasons[0].message}`;
+    }
+  }
+
+  return requires4WD
+    ? "No hay tractores 4WD con potencia suficiente para pendiente > 15%"
+    : "No hay tractores con potencia suficiente";
+};
+
 // FUNCIONES DE SCORING
 
 /**
@@ -319,10 +435,12 @@ export const findCompatibleTractors = (
  *
  * @param {number} tractorPower - Potencia del tractor (HP)
  * @param {number} requiredPower - Potencia mínima requerida (HP)
+ * @param {Object} [config] - Coeficientes resueltos (resolveCoefficients)
  * @returns {number} Score de eficiencia (0-30)
  */
-const calculateEfficiencyScore = (tractorPower, requiredPower) => {
-  const maxScore = SCORING_CONFIG.WEIGHTS.EFFICIENCY;
+const calculateEfficiencyScore = (tractorPower, requiredPower, config = resolveCoefficients()) => {
+  const { SCORING_CONFIG: scoringConfig } = config;
+  const maxScore = scoringConfig.WEIGHTS.EFFICIENCY;
   const ratio = tractorPower / requiredPower;
 
   if (ratio <= 1.0) {
@@ -330,7 +448,7 @@ const calculateEfficiencyScore = (tractorPower, requiredPower) => {
     return maxScore;
   }
 
-  if (ratio <= SCORING_CONFIG.OVERPOWER_THRESHOLD) {
+  if (ratio <= scoringConfig.OVERPOWER_THRESHOLD) {
     // Entre 100% y 130%: score lineal decreciente de 30 a 15
     const excess = ratio - 1.0;
     const penalty = (excess / 0.3) * (maxScore / 2);
@@ -338,7 +456,7 @@ const calculateEfficiencyScore = (tractorPower, requiredPower) => {
   }
 
   // Más del 130%: penalización agresiva
-  const excessBeyondThreshold = ratio - SCORING_CONFIG.OVERPOWER_THRESHOLD;
+  const excessBeyondThreshold = ratio - scoringConfig.OVERPOWER_THRESHOLD;
   const baseScore = maxScore / 2; // 15 pts en el umbral
   const penalty = excessBeyondThreshold * 30; // 30 pts por cada 100% extra
 
@@ -356,15 +474,17 @@ const calculateEfficiencyScore = (tractorPower, requiredPower) => {
  *
  * @param {Object} tractor - Datos del tractor
  * @param {Object} terrainAnalysis - Análisis del terreno
+ * @param {Object} [config] - Coeficientes resueltos (resolveCoefficients)
  * @returns {number} Score de tracción (0-25)
  */
-const calculateTractionScore = (tractor, terrainAnalysis) => {
-  const maxScore = SCORING_CONFIG.WEIGHTS.TRACTION;
+const calculateTractionScore = (tractor, terrainAnalysis, config = resolveCoefficients()) => {
+  const { SCORING_CONFIG: scoringConfig, TRACTION_BONUS: tractionBonus } = config;
+  const maxScore = scoringConfig.WEIGHTS.TRACTION;
   const tractionType = normalizeTractionType(tractor.traction_type);
   const slopeClass = terrainAnalysis.classification.slopeClass.toLowerCase();
 
   // Obtener bonus base del tipo de tracción
-  const tractionConfig = TRACTION_BONUS[tractionType] || TRACTION_BONUS["4x2"];
+  const tractionConfig = tractionBonus[tractionType] || tractionBonus["4x2"];
   const bonus = tractionConfig[slopeClass] || 0;
 
   // Convertir bonus (-50 a +30) a score (0-25)
@@ -387,10 +507,11 @@ const calculateTractionScore = (tractor, terrainAnalysis) => {
  *
  * @param {Object} tractor - Datos del tractor
  * @param {Object} terrainAnalysis - Análisis del terreno
+ * @param {Object} [config] - Coeficientes resueltos (resolveCoefficients)
  * @returns {number} Score de compatibilidad (0-20)
  */
-const calculateSoilCompatibilityScore = (tractor, terrainAnalysis) => {
-  const maxScore = SCORING_CONFIG.WEIGHTS.SOIL;
+const calculateSoilCompatibilityScore = (tractor, terrainAnalysis, config = resolveCoefficients()) => {
+  const maxScore = config.SCORING_CONFIG.WEIGHTS.SOIL;
   const preferredTire = terrainAnalysis.classification.preferredTire;
   const soilDifficulty = terrainAnalysis.metrics.soilDifficulty;
   const tractionType = normalizeTractionType(tractor.traction_type);
@@ -426,11 +547,19 @@ const calculateSoilCompatibilityScore = (tractor, terrainAnalysis) => {
  * @param {Object} tractor - Datos del tractor
  * @param {number} requiredPower - Potencia mínima requerida
  * @param {Object} [context] - Contexto con lista completa para normalización
+ * @param {number} [context.tractorPower] - Potencia efectiva del tractor (nominal si se omite)
+ * @param {Object} [config] - Coeficientes resueltos (resolveCoefficients)
  * @returns {number} Score económico (0-15)
  */
-const calculateEconomicScore = (tractor, requiredPower, context = {}) => {
-  const maxScore = SCORING_CONFIG.WEIGHTS.ECONOMIC;
-  const tractorPower = tractor.engine_power_hp || tractor.enginePowerHp || 0;
+const calculateEconomicScore = (
+  tractor,
+  requiredPower,
+  context = {},
+  config = resolveCoefficients(),
+) => {
+  const maxScore = config.SCORING_CONFIG.WEIGHTS.ECONOMIC;
+  const tractorPower =
+    context.tractorPower ?? (tractor.engine_power_hp || tractor.enginePowerHp || 0);
 
   // Si hay dato de consumo, usarlo directamente
   if (tractor.fuel_consumption_lph) {
@@ -456,10 +585,11 @@ const calculateEconomicScore = (tractor, requiredPower, context = {}) => {
  * Por ahora hardcodeado a 100% si está disponible.
  *
  * @param {Object} tractor - Datos del tractor
+ * @param {Object} [config] - Coeficientes resueltos (resolveCoefficients)
  * @returns {number} Score de disponibilidad (0-10)
  */
-const calculateAvailabilityScore = (tractor) => {
-  const maxScore = SCORING_CONFIG.WEIGHTS.AVAILABILITY;
+const calculateAvailabilityScore = (tractor, config = resolveCoefficients()) => {
+  const maxScore = config.SCORING_CONFIG.WEIGHTS.AVAILABILITY;
   const status = (tractor.status || "available").toLowerCase();
 
   switch (status) {
@@ -492,22 +622,39 @@ const calculateAvailabilityScore = (tractor) => {
  * @param {Object} implement - Datos del implemento
  * @param {Object} terrain - Datos del terreno
  * @param {number} requiredPower - Potencia mínima calculada
- * @returns {Object} Desglose de scores y total
+ * @param {Object} [coefficients] - Coeficientes del perfil de cálculo activo
+ * @param {Object} [soilCatalog] - Catálogo de suelos (soilCatalogService)
+ * @param {Object} [derating] - Contexto de derateo (ver resolveTractorPower); null puntúa con la nominal
+ * @returns {Object} Desglose de scores y total, con la potencia nominal y la derateada
  *
  * @example
  * const score = calculateScore(tractor, implement, terrain, 85);
- * / { total: 78.5, breakdown: { efficiency: 25, traction: 20, ... } }
+ * / { total: 78.5, breakdown: { efficiency: 25, traction: 20, ... }, power: { nominalHP: 100, deratedHP: null } }
  */
-export const calculateScore = (tractor, implement, terrain, requiredPower) => {
-  const terrainAnalysis = analyzeTerrain(terrain);
-  const tractorPower = tractor.engine_power_hp || tractor.enginePowerHp || 0;
+export const calculateScore = (
+  tractor,
+  implement,
+  terrain,
+  requiredPower,
+  coefficients = null,
+  soilCatalog,
+  derating = null,
+) => {
+  const config = resolveCoefficients(coefficients);
+  const terrainAnalysis = analyzeTerrain(terrain, soilCatalog);
+  const { nominalHP, deratedHP, effectiveHP: tractorPower } = resolveTractorPower(
+    tractor,
+    terrain,
+    derating,
+    soilCatalog,
+  );
 
   // Calcular cada componente del score
-  const efficiencyScore = calculateEfficiencyScore(tractorPower, requiredPower);
-  const tractionScore = calculateTractionScore(tractor, terrainAnalysis);
-  const soilScore = calculateSoilCompatibilityScore(tractor, terrainAnalysis);
-  const economicScore = calculateEconomicScore(tractor, requiredPower);
-  const availabilityScore = calculateAvailabilityScore(tractor);
+  const efficiencyScore = calculateEfficiencyScore(tractorPower, requiredPower, config);
+  const tractionScore = calculateTractionScore(tractor, terrainAnalysis, config);
+  const soilScore = calculateSoilCompatibilityScore(tractor, terrainAnalysis, config);
+  const economicScore = calculateEconomicScore(tractor, requiredPower, { tractorPower }, config);
+  const availabilityScore = calculateAvailabilityScore(tractor, config);
 
   // Score total
   const totalScore =
@@ -526,11 +673,33 @@ export const calculateScore = (tractor, implement, terrain, requiredPower) => {
       economic: Math.round(economicScore * 100) / 100,
       availability: Math.round(availabilityScore * 100) / 100,
     },
+    power: { nominalHP, deratedHP },
     maxPossible: 100,
     percentageScore: Math.round((totalScore / 100) * 10000) / 100,
   };
 };
 
+/**
+ * Resume la relación entre la potencia requerida y la del tractor
+ *
+ * @param {number} requiredPower - Potencia mínima requerida (HP)
+ * @param {{nominalHP: number, deratedHP: number|null}} power - Potencias del tractor
+ * @returns {Object} Potencia usada, nominal, derateada, excedente y utilización
+ */
+const buildCompatibility = (requiredPower, { nominalHP, deratedHP }) => {
+  const tractorPower = deratedHP ?? nominalHP;
+
+  return {
+    requiredPower: Math.round(requiredPower * 100) / 100,
+    tractorPower,
+    nominalPowerHP: nominalHP,
+    deratedPowerHP: deratedHP,
+    surplusHP: Math.round((tractorPower - requiredPower) * 100) / 100,
+    utilizationPercent:
+      Math.round((requiredPower / tractorPower) * 10000) / 100,
+  };
+};
+
 // FUNCIÓN PRINCIPAL DE RECOMENDACIÓN
 
 /**
@@ -551,6 +720,11 @@ export const calculateScore = (tractor, implement, terrain, requiredPower) => {
  * @param {Object} [params.options] - Opciones adicionales
  * @param {number} [params.options.limit=5] - Máximo de recomendaciones
  * @param {boolean} [params.options.includeUnavailable=false] - Incluir no disponibles
+ * @param {Object} [params.powerResult] - Resultado de calculateMinimumPower (demanda en barra y TDF)
+ * @param {Object} [params.coefficients] - Coeficientes del perfil de cálculo activo (sección recommendation)
+ * @param {Object} [params.soilCatalog] - Catálogo de suelos (soilCatalogService)
+ * @param {Object} [params.derating] - Contexto de derateo (speedKmh, drawbarPullKn, implementType,
+ *   coefficients powerLoss); si se indica se filtra y puntúa con la potencia derateada
  * @returns {Object} Resultado con recomendaciones y metadatos
  *
  * @example
@@ -565,7 +739,18 @@ export const calculateScore = (tractor, implement, terrain, requiredPower) => {
  * console.log(result.summary.topScore); // Score del mejor
  */
 export const generateRecommendation = (params) => {
-  const { terrain, implement, tractors, requiredPower, options = {} } = params;
+  const {
+    terrain,
+    implement,
+    tractors,
+    requiredPower,
+    powerResult = null,
+    coefficients = null,
+    soilCatalog,
+    derating = null,
+    options = {},
+  } = params;
+  const { SCORING_CONFIG: scoringConfig } = resolveCoefficients(coefficients);
 
   // Validaciones
   if (!terrain) {
@@ -579,19 +764,19 @@ export const generateRecommendation = (params) => {
   }
 
   const {
-    limit = SCORING_CONFIG.TOP_RECOMMENDATIONS,
+    limit = scoringConfig.TOP_RECOMMENDATIONS,
     includeUnavailable = false,
   } = options;
 
   // Paso 1: Analizar terreno
-  const terrainAnalysis = analyzeTerrain(terrain);
+  const terrainAnalysis = analyzeTerrain(terrain, soilCatalog);
 
   // Paso 2: Filtrar tractores compatibles
   const compatibleTractors = findCompatibleTractors(
     terrain,
     tractors,
     requiredPower,
-    { includeUnavailable },
+    { includeUnavailable, implement, powerResult, derating, soilCatalog },
   );
 
   // Caso: No hay tractores compatibles
@@ -604,28 +789,40 @@ export const generateRecommendation = (params) => {
         totalEvaluated: tractors.length,
         compatibleCount: 0,
         filteredOut: tractors.length,
-        reason: terrainAnalysis.requirements.requires4WD
-          ? "No hay tractores 4WD con potencia suficiente para pendiente > 15%"
-          : "No hay tractores con potencia suficiente",
+        reason: getNoCompatibleReason(
+          terrain,
+          tractors,
+          requiredPower,
+          implement,
+          powerResult,
+          derating,
+          soilCatalog,
+        ),
       },
     };
   }
 
   // Paso 3: Calcular score de cada tractor
   const scoredTractors = compatibleTractors.map((tractor) => {
-    const score = calculateScore(tractor, implement, terrain, requiredPower);
-    const tractorPower = tractor.engine_power_hp || tractor.enginePowerHp || 0;
+    const score = calculateScore(
+      tractor,
+      implement,
+      terrain,
+      requiredPower,
+      coefficients,
+      soilCatalog,
+      derating,
+    );
 
     return {
       tractor,
       score,
-      compatibility: {
-        requiredPower: Math.round(requiredPower * 100) / 100,
-        tractorPower,
-        surplusHP: Math.round((tractorPower - requiredPower) * 100) / 100,
-        utilizationPercent:
-          Math.round((requiredPower / tractorPower) * 10000) / 100,
-      },
+      stability: assessStability(tractor, terrain.slope_percentage),
+      implementCompatibility: implement
+        ? checkImplementCompatibility(tractor, implement)
+        : null,
+      powerCapability: assessPowerDemand(tractor, powerResult),
+      compatibility: buildCompatibility(requiredPower, score.power),
     };
   });
 
@@ -653,6 +850,75 @@ export const generateRecommendation = (params) => {
   };
 };
 
+/**
+ * Precio de compra de un tractor del catálogo
+ * @param {Object} tractor - Datos del tractor
+ * @returns {number|null} price_usd, o price si falta; null sin precio
+ */
+const getTractorPrice = (tractor) => {
+  const price = parseFloat(tractor?.price_usd ?? tractor?.price);
+  return Number.isFinite(price) && price > 0 ? price : null;
+};
+
+/**
+ * Genera recomendaciones priorizando los tractores que el usuario ya tiene
+ *
+ * @description
+ * Evalúa primero la flota propia con el mismo scoring de generateRecommendation. Si
+ * algún tractor propio califica, solo se recomiendan los propios (`source: "owned"`)
+ * y cada uno informa como `capitalCostAvoided` el precio del tractor del catálogo
+ * que se habría recomendado comprar. Solo si ningún tractor propio califica se
+ * recurre al catálogo (`source: "purchase"`, `capitalCostAvoided: 0`).
+ *
+ * @param {Object} params - Parámetros de generateRecommendation
+ * @param {Array<Object>} params.ownedTractors - Tractores del garaje del usuario
+ * @param {Array<Object>} params.tractors - Tractores del catálogo
+ * @returns {Object} Resultado de generateRecommendation con el origen de cada opción
+ *
+ * @example
+ * const result = generateFleetFirstRecommendation({
+ *   terrain, implement, requiredPower: 85,
+ *   ownedTractors: myTractors,
+ *   tractors: catalogTractors,
+ * });
+ * console.log(result.summary.source); // 'owned' | 'purchase'
+ */
+export const generateFleetFirstRecommendation = (params) => {
+  const { ownedTractors = [], tractors, ...rest } = params;
+
+  if (!Array.isArray(ownedTractors)) {
+    throw new Error("ownedTractors debe ser un array");
+  }
+
+  const catalogResult = generateRecommendation({ ...rest, tractors });
+  const ownedResult = generateRecommendation({ ...rest, tractors: ownedTractors });
+  const useOwned = ownedResult.success && ownedResult.recommendations.length > 0;
+
+  // La compra evitada es el tractor del catálogo mejor puntuado
+  const avoidedPurchase = useOwned ? catalogResult.recommendations[0]?.tractor ?? null : null;
+  const capitalCostAvoided = useOwned ? getTractorPrice(avoidedPurchase) : 0;
+  const source = useOwned ? RECOMMENDATION_SOURCES.OWNED : RECOMMENDATION_SOURCES.PURCHASE;
+  const result = useOwned ? ownedResult : catalogResult;
+
+  return {
+    ...result,
+    recommendations: result.recommendations.map((rec) => ({
+      ...rec,
+      source,
+      capitalCostAvoided,
+      capitalCost: useOwned ? 0 : getTractorPrice(rec.tractor),
+    })),
+    summary: {
+      ...result.summary,
+      source,
+      ownedEvaluated: ownedTractors.length,
+      ownedQualified: ownedResult.summary.compatibleCount,
+      capitalCostAvoided,
+      avoidedPurchase,
+    },
+  };
+};
+
 /**
  * Clasifica el ajuste del tractor según utilización
  *
@@ -687,6 +953,12 @@ const classifyTractorFit = (utilizationPercent) => {
  * @param {number} requiredPower - Potencia mínima calculada
  * @param {Object} filters - Filtros de la búsqueda avanzada (budget, brandPreference)
  * @param {Object} customWeights - Pesos personalizados para power_match, price, brand_preference, fuel_efficiency
+ * @param {Object} [fuelContext] - Consumo estimado del tractor y mejor consumo entre los candidatos
+ * @param {Object} fuelContext.estimate - Resultado de fuelService.calculateFuelConsumption
+ * @param {number} fuelContext.bestValue - Menor L/ha (o L/h sin capacidad de campo) entre los candidatos
+ * @param {Object} [coefficients] - Coeficientes del perfil de cálculo activo
+ * @param {Object} [power] - Potencias del tractor en el terreno ({ nominalHP, deratedHP });
+ *   sin derateada se puntúa con la nominal
  * @returns {Object} Desglose de scores y total
  */
 export const calculateAdvancedScore = (
@@ -694,19 +966,25 @@ export const calculateAdvancedScore = (
   requiredPower,
   filters = {},
   customWeights = null,
+  fuelContext = null,
+  coefficients = null,
+  power = null,
 ) => {
-  const weights = customWeights || SCORING_CONFIG.ADVANCED_WEIGHTS;
+  const { SCORING_CONFIG: scoringConfig } = resolveCoefficients(coefficients);
+  const weights = customWeights || scoringConfig.ADVANCED_WEIGHTS;
   const { brandPreference, budget } = filters;
 
-  const tractorPower = tractor.engine_power_hp || tractor.enginePowerHp || 0;
+  const nominalHP = power?.nominalHP ?? (tractor.engine_power_hp || tractor.enginePowerHp || 0);
+  const deratedHP = power?.deratedHP ?? null;
+  const tractorPower = deratedHP ?? nominalHP;
 
   // 1. Power Match (Efficiency)
   const powerWeight = weights.power_match || 40;
   const ratio = tractorPower / requiredPower;
   let powerScore = powerWeight;
 
-  if (ratio > SCORING_CONFIG.OVERPOWER_THRESHOLD) {
-    const excess = ratio - SCORING_CONFIG.OVERPOWER_THRESHOLD;
+  if (ratio > scoringConfig.OVERPOWER_THRESHOLD) {
+    const excess = ratio - scoringConfig.OVERPOWER_THRESHOLD;
     const penalty = excess * (powerWeight * 1.5);
     powerScore = Math.max(0, powerWeight / 2 - penalty);
   } else if (ratio > 1.0) {
@@ -747,7 +1025,18 @@ export const calculateAdvancedScore = (
   // 4. Fuel Efficiency & Maintenance Cost
   const fuelWeight = weights.fuel_efficiency || 10;
   let fuelScore = fuelWeight * 0.5; // valor promedio por defecto
-  if (tractor.fuel_consumption_lph) {
+  const fuelValue = fuelContext?.estimate
+    ? fuelContext.estimate.litersPerHectare ?? fuelContext.estimate.litersPerHour
+    : null;
+  if (fuelValue > 0 && fuelContext.bestValue > 0) {
+    // Consumo a carga parcial (ASABE): el más económico de los candidatos recibe el máximo
+    fuelScore = fuelWeight * Math.min(1, fuelContext.bestValue / fuelValue);
+
+    if (tractor.maintenance_cost_per_hour) {
+      if (tractor.maintenance_cost_per_hour > 10) fuelScore *= 0.8;
+      else if (tractor.maintenance_cost_per_hour > 6) fuelScore *= 0.9;
+    }
+  } else if (tractor.fuel_consumption_lph) {
     // Normalizar consumo: Típicamente entre 5 y 25 L/h. Menos es mejor.
     const consumptionNormalized = Math.max(
       0,
@@ -773,6 +1062,7 @@ export const calculateAdvancedScore = (
       brand_preference: Math.round(brandScore * 100) / 100,
       fuel_efficiency: Math.round(fuelScore * 100) / 100,
     },
+    power: { nominalHP, deratedHP },
     maxPossible,
     percentageScore: Math.round((totalScore / maxPossible) * 10000) / 100,
   };
@@ -788,6 +1078,14 @@ export const calculateAdvancedScore = (
  * @param {number} params.requiredPower - Potencia mínima requerida (HP)
  * @param {Object} params.filters - Filtros avanzados (budget, brandPreference)
  * @param {Object} params.customWeights - Pesos de puntuación
+ * @param {Object} [params.fuel] - Datos para estimar el consumo de cada tractor (criterio fuel_efficiency)
+ * @param {number} [params.fuel.demandedPowerHP] - Potencia demandada por la labor (HP), requiredPower si se omite
+ * @param {number} [params.fuel.effectiveCapacityHaH] - Capacidad de campo efectiva (ha/h)
+ * @param {number} [params.fuel.fuelPricePerL] - Precio del combustible por litro
+ * @param {Object} [params.powerResult] - Resultado de calculateMinimumPower (demanda en barra y TDF)
+ * @param {Object} [params.coefficients] - Coeficientes del perfil de cálculo activo (sección recommendation)
+ * @param {Object} [params.soilCatalog] - Catálogo de suelos (soilCatalogService)
+ * @param {Object} [params.derating] - Contexto de derateo (ver generateRecommendation)
  * @param {Object} [params.options] - Opciones adicionales
  * @returns {Object} Resultado con recomendaciones y metadatos
  */
@@ -799,6 +1097,11 @@ export const generateAdvancedRecommendation = (params) => {
     requiredPower,
     filters = {},
     customWeights,
+    fuel = null,
+    powerResult = null,
+    coefficients = null,
+    soilCatalog,
+    derating = null,
     options = {},
   } = params;
 
@@ -807,20 +1110,21 @@ export const generateAdvancedRecommendation = (params) => {
   if (typeof requiredPower !== "number" || requiredPower <= 0)
     throw new Error("requiredPower debe ser un número positivo");
 
+  const { SCORING_CONFIG: scoringConfig } = resolveCoefficients(coefficients);
   const {
-    limit = SCORING_CONFIG.TOP_RECOMMENDATIONS,
+    limit = scoringConfig.TOP_RECOMMENDATIONS,
     includeUnavailable = false,
   } = options;
   const { budget } = filters;
 
-  const terrainAnalysis = analyzeTerrain(terrain);
+  const terrainAnalysis = analyzeTerrain(terrain, soilCatalog);
 
   // Paso 1: Filtro Base + Presupuesto
   let compatibleTractors = findCompatibleTractors(
     terrain,
     tractors,
     requiredPower,
-    { includeUnavailable },
+    { includeUnavailable, implement, powerResult, derating, soilCatalog },
   );
 
   if (budget) {
@@ -845,26 +1149,45 @@ export const generateAdvancedRecommendation = (params) => {
     };
   }
 
-  // Paso 2: Evaluar Tractores (Score Avanzado)
-  const scoredTractors = compatibleTractors.map((tractor) => {
+  // Paso 2: Estimar consumo a carga parcial de cada candidato
+  const fuelEstimates = compatibleTractors.map((tractor) =>
+    fuel
+      ? calculateFuelConsumption({
+          ratedPowerHP: tractor.engine_power_hp || tractor.enginePowerHp || 0,
+          demandedPowerHP: fuel.demandedPowerHP ?? requiredPower,
+          effectiveCapacityHaH: fuel.effectiveCapacityHaH,
+          fuelPricePerL: fuel.fuelPricePerL,
+        })
+      : null,
+  );
+  const fuelValues = fuelEstimates
+    .map((estimate) => estimate?.litersPerHectare ?? estimate?.litersPerHour)
+    .filter((value) => value > 0);
+  const bestFuelValue = fuelValues.length > 0 ? Math.min(...fuelValues) : null;
+
+  // Paso 3: Evaluar Tractores (Score Avanzado)
+  const scoredTractors = compatibleTractors.map((tractor, index) => {
+    const fuelEstimate = fuelEstimates[index];
     const score = calculateAdvancedScore(
       tractor,
       requiredPower,
       filters,
       customWeights,
+      fuelEstimate ? { estimate: fuelEstimate, bestValue: bestFuelValue } : null,
+      coefficients,
+      resolveTractorPower(tractor, terrain, derating, soilCatalog),
     );
-    const tractorPower = tractor.engine_power_hp || tractor.enginePowerHp || 0;
 
     return {
       tractor,
       score,
-      compatibility: {
-        requiredPower: Math.round(requiredPower * 100) / 100,
-        tractorPower,
-        surplusHP: Math.round((tractorPower - requiredPower) * 100) / 100,
-        utilizationPercent:
-          Math.round((requiredPower / tractorPower) * 10000) / 100,
-      },
+      fuel: fuelEstimate,
+      stability: assessStability(tractor, terrain.slope_percentage),
+      implementCompatibility: implement
+        ? checkImplementCompatibility(tractor, implement)
+        : null,
+      powerCapability: assessPowerDemand(tractor, powerResult),
+      compatibility: buildCompatibility(requiredPower, score.power),
     };
   });
 
@@ -894,8 +1217,9 @@ export const generateAdvancedRecommendation = (params) => {
 
 export {
   SCORING_CONFIG,
+  RECOMMENDATION_SOURCES,
   SLOPE_CLASSIFICATION,
-  SOIL_DIFFICULTY,
+  TRACTION_BONUS,
   normalizeSoilType,
   normalizeTractionType,
   classifySlope,
@@ -909,7 +1233,8 @@ export default {
   calculateAdvancedScore,
   generateRecommendation,
   generateAdvancedRecommendation,
+  generateFleetFirstRecommendation,
   SCORING_CONFIG,
   SLOPE_CLASSIFICATION,
-  SOIL_DIFFICULTY,
+  RECOMMENDATION_SOURCES,
 };
@@ -0,0 +1,268 @@
+/**
+ * @overview Servicio de análisis de sensibilidad ("what-if") de pérdidas de potencia
+ * @module services/sensitivityService
+ *
+ * @description
+ * Barre una o dos entradas de calculateTotalLoss sobre un rango y devuelve la
+ * superficie de potencia neta y eficiencia. También estima qué entrada afecta
+ * más a la potencia neta con diferencias centrales alrededor del punto base:
+ * ```
+ * ΔP_neta = P(x + Δx) − P(x − Δx)   (Δx = paso de referencia de cada entrada)
+ * E       = (∂P/P) / (∂x/x)          (elasticidad, si x ≠ 0)
+ * ```
+ *
+ * Entradas barribles: velocidad de trabajo, lastre adicional, patinaje,
+ * pendiente y altitud.
+ *
+ * @example
+ * import { runSweep } from './sensitivityService.js';
+ *
+ * const sweep = runSweep({
+ *   baseParams,   // parámetros de calculateTotalLoss
+ *   sweeps: [{ parameter: 'working_speed_kmh', min: 3, max: 15, steps: 13 }],
+ *   minNetPowerHP: 60,
+ * });
+ * console.log(sweep.points, sweep.viabilityTransitions);
+ */
+
+import { calculateTotalLoss } from './powerLossService.js';
+
+// CONSTANTES
+
+/**
+ * Constantes del análisis de sensibilidad
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /**
+   * Entradas barribles: parámetro de calculateTotalLoss, límites válidos
+   * y paso de referencia para la sensibilidad
+   */
+  SWEEP_PARAMETERS: {
+    working_speed_kmh: { param: 'speedKmh', min: 0.5, max: 40, referenceStep: 1, unit: 'km/h' },
+    ballast_weight_kg: { param: 'totalWeightKg', min: 0, max: 10000, referenceStep: 500, unit: 'kg' },
+    slippage_percent: { param: 'slippagePercent', min: 0, max: 100, referenceStep: 5, unit: '%' },
+    slope_percent: { param: 'slopePercent', min: 0, max: 100, referenceStep: 5, unit: '%' },
+    altitude_m: { param: 'altitudeMeters', min: 0, max: 6000, referenceStep: 500, unit: 'm' },
+  },
+
+  /** Máximo de entradas barridas a la vez (curva o superficie) */
+  MAX_SWEEP_DIMENSIONS: 2,
+
+  /** Puntos por eje por defecto y máximo */
+  DEFAULT_STEPS: 10,
+  MAX_STEPS: 25,
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Redondea a dos decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Genera los valores equiespaciados de un eje de barrido
+ *
+ * @param {Object} range
+ * @param {number} range.min - Valor inicial
+ * @param {number} range.max - Valor final
+ * @param {number} [range.steps=10] - Cantidad de puntos (2-25)
+ * @returns {number[]} Valores del eje
+ *
+ * @example
+ * buildRange({ min: 4, max: 12, steps: 5 }); // -> [4, 6, 8, 10, 12]
+ */
+export const buildRange = ({ min, max, steps = CONSTANTS.DEFAULT_STEPS }) => {
+  const count = Math.min(CONSTANTS.MAX_STEPS, Math.max(2, Math.round(steps)));
+  const increment = (max - min) / (count - 1);
+  return Array.from({ length: count }, (_, index) => round2(min + increment * index));
+};
+
+/**
+ * Aplica el valor de una entrada barrida sobre los parámetros base
+ *
+ * @param {Object} baseParams - Parámetros de calculateTotalLoss
+ * @param {string} parameter - Clave de CONSTANTS.SWEEP_PARAMETERS
+ * @param {number} value - Valor de la entrada
+ * @returns {Object} Nuevos parámetros (no muta baseParams)
+ */
+export const applyParameter = (baseParams, parameter, value) => {
+  const definition = CONSTANTS.SWEEP_PARAMETERS[parameter];
+  if (!definition) {
+    throw new Error(`Parámetro de barrido no soportado: '${parameter}'`);
+  }
+
+  // El lastre se suma al peso total del punto base
+  if (parameter === 'ballast_weight_kg') {
+    return { ...baseParams, totalWeightKg: baseParams.totalWeightKg + value };
+  }
+
+  return { ...baseParams, [definition.param]: value };
+};
+
+/**
+ * Valor de una entrada en el punto base
+ * @param {Object} baseParams
+ * @param {Object} baseResult - Resultado de calculateTotalLoss en el punto base
+ * @param {string} parameter
+ * @returns {number}
+ */
+const getBaseValue = (baseParams, baseResult, parameter) => {
+  if (parameter === 'ballast_weight_kg') return 0;
+  if (parameter === 'slippage_percent') {
+    return baseResult.traction?.slippagePercent ?? baseParams.slippagePercent ?? 0;
+  }
+  return baseParams[CONSTANTS.SWEEP_PARAMETERS[parameter].param] ?? 0;
+};
+
+/**
+ * Evalúa un punto y devuelve solo las métricas de la superficie
+ * @param {Object} params - Parámetros de calculateTotalLoss
+ * @returns {{ netPower: number, efficiency: number }}
+ */
+const evaluatePoint = (params) => {
+  const { netPower, efficiency } = calculateTotalLoss(params);
+  return { netPower, efficiency };
+};
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Barre una o dos entradas y calcula la potencia neta y la eficiencia en cada punto
+ *
+ * @param {Object} params
+ * @param {Object} params.baseParams - Parámetros base de calculateTotalLoss
+ * @param {Array<{parameter: string, min: number, max: number, steps?: number}>} params.sweeps - Ejes del barrido (1 o 2)
+ * @param {number} [params.minNetPowerHP] - Potencia neta mínima para considerar viable el punto
+ * @returns {Object} Ejes, puntos evaluados y transiciones de viabilidad (solo para curvas)
+ *
+ * @throws {Error} Si no hay ejes, hay más de dos o se repite una entrada
+ */
+export const runSweep = ({ baseParams, sweeps, minNetPowerHP }) => {
+  if (!Array.isArray(sweeps) || sweeps.length === 0) {
+    throw new Error('sweeps debe contener al menos un parámetro');
+  }
+  if (sweeps.length > CONSTANTS.MAX_SWEEP_DIMENSIONS) {
+    throw new Error(`Se pueden barrer como máximo ${CONSTANTS.MAX_SWEEP_DIMENSIONS} parámetros`);
+  }
+  if (new Set(sweeps.map((sweep) => sweep.parameter)).size !== sweeps.length) {
+    throw new Error('No se puede barrer dos veces el mismo parámetro');
+  }
+
+  const hasThreshold = typeof minNetPowerHP === 'number' && minNetPowerHP > 0;
+  const axes = sweeps.map((sweep) => ({
+    parameter: sweep.parameter,
+    unit: CONSTANTS.SWEEP_PARAMETERS[sweep.parameter]?.unit,
+    values: buildRange(sweep),
+  }));
+
+  const [xAxis, yAxis] = axes;
+  const yValues = yAxis ? yAxis.values : [null];
+
+  const points = [];
+  xAxis.values.forEach((x) => {
+    yValues.forEach((y) => {
+      let params = applyParameter(baseParams, xAxis.parameter, x);
+      if (yAxis) params = applyParameter(params, yAxis.parameter, y);
+
+      const { netPower, efficiency } = evaluatePoint(params);
+      points.push({
+        [xAxis.parameter]: x,
+        ...(yAxis ? { [yAxis.parameter]: y } : {}),
+        netPower,
+        efficiency,
+        ...(hasThreshold ? { viable: netPower >= minNetPowerHP } : {}),
+      });
+    });
+  });
+
+  // En una curva, tramos del eje donde el tractor pasa a ser (o deja de ser) viable
+  const viabilityTransitions = hasThreshold && !yAxis
+    ? points.slice(1)
+        .map((point, index) => ({ previous: points[index], point }))
+        .filter(({ previous, point }) => previous.viable !== point.viable)
+        .map(({ previous, point }) => ({
+          from: previous[xAxis.parameter],
+          to: point[xAxis.parameter],
+          becomesViable: point.viable,
+        }))
+    : null;
+
+  return {
+    axes,
+    points,
+    minNetPowerHP: hasThreshold ? minNetPowerHP : null,
+    viabilityTransitions,
+  };
+};
+
+/**
+ * Calcula la sensibilidad de la potencia neta a cada entrada barrible
+ *
+ * @param {Object} baseParams - Parámetros base de calculateTotalLoss
+ * @returns {Object} Ranking por impacto absoluto y la entrada más influyente
+ *
+ * @example
+ * const { mostSensitive } = analyzeSensitivity(baseParams);
+ * console.log(mostSensitive); // -> 'slope_percent'
+ */
+export const analyzeSensitivity = (baseParams) => {
+  const baseResult = calculateTotalLoss(baseParams);
+  const baseNetPower = baseResult.netPower;
+
+  const ranking = Object.entries(CONSTANTS.SWEEP_PARAMETERS).map(([parameter, definition]) => {
+    const baseValue = getBaseValue(baseParams, baseResult, parameter);
+    const lower = Math.max(definition.min, baseValue - definition.referenceStep);
+    const upper = Math.min(definition.max, baseValue + definition.referenceStep);
+
+    const lowerNetPower = evaluatePoint(applyParameter(baseParams, parameter, lower)).netPower;
+    const upperNetPower = evaluatePoint(applyParameter(baseParams, parameter, upper)).netPower;
+
+    // Cambio de potencia neta por paso de referencia (diferencia central)
+    const slope = (upperNetPower - lowerNetPower) / (upper - lower);
+    const deltaNetPowerHP = slope * definition.referenceStep;
+    const elasticity = baseValue !== 0 && baseNetPower > 0
+      ? slope * (baseValue / baseNetPower)
+      : null;
+
+    return {
+      parameter,
+      baseValue: round2(baseValue),
+      referenceStep: definition.referenceStep,
+      unit: definition.unit,
+      deltaNetPowerHP: round2(deltaNetPowerHP),
+      elasticity: elasticity !== null ? Math.round(elasticity * 1000) / 1000 : null,
+    };
+  });
+
+  ranking.sort((a, b) => Math.abs(b.deltaNetPowerHP) - Math.abs(a.deltaNetPowerHP));
+
+  return {
+    baseNetPower,
+    baseEfficiency: baseResult.efficiency,
+    ranking,
+    mostSensitive: ranking[0].parameter,
+  };
+};
+
+/**
+ * Obtiene una copia de las constantes del análisis
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  buildRange,
+  applyParameter,
+  runSweep,
+  analyzeSensitivity,
+  getConstants,
+  CONSTANTS,
+};
@@ -0,0 +1,103 @@
+/**
+ * @overview Servicio de carga del catálogo de suelos
+ * @module services/soilCatalogService
+ *
+ * @description
+ * Lee el catálogo de suelos de las tablas soil_type y soil_synonym y lo deja en el
+ * formato de soilService.buildSoilCatalog. Los controladores lo cargan junto con el
+ * perfil de cálculo y lo pasan a los servicios de cálculo.
+ *
+ * Si la tabla soil_type está vacía se usa el catálogo por defecto de soilService.
+ *
+ * El catálogo se guarda en memoria: cada cálculo lo pide y solo cambia con migraciones
+ * o el seed. Un proceso que modifique soil_type o soil_synonym debe llamar a
+ * clearSoilCatalogCache; los cambios hechos desde otro proceso se leen al vencer
+ * CONSTANTS.CACHE_TTL_MS.
+ *
+ * @example
+ * import { getSoilCatalog } from './soilCatalogService.js';
+ * import { resolveSoil } from './soilService.js';
+ *
+ * const catalog = await getSoilCatalog();
+ * const soil = resolveSoil(terrain.soil_type, terrain.moisture_condition, catalog);
+ */
+
+import SoilType from '../models/SoilType.js';
+import { buildSoilCatalog, DEFAULT_SOIL_CATALOG } from './soilService.js';
+
+// CONSTANTES
+
+/**
+ * Constantes del catálogo en memoria
+ * @constant {Object}
+ */
+export const CONSTANTS = {
+  /** Vigencia del catálogo en memoria (ms) */
+  CACHE_TTL_MS: 5 * 60 * 1000,
+};
+
+/**
+ * Catálogo en memoria: guarda la promesa para que las solicitudes simultáneas
+ * compartan una sola lectura
+ * @type {{ promise: Promise<Object>, loadedAt: number }|null}
+ */
+let cache = null;
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Lee el catálogo de las tablas soil_type y soil_synonym
+ * @returns {Promise<{ soils: Object, synonyms: Object }>}
+ */
+const loadSoilCatalog = async () => {
+  const [soilRows, synonymRows] = await Promise.all([
+    SoilType.getAll(),
+    SoilType.getSynonyms(),
+  ]);
+
+  if (soilRows.length === 0) {
+    return DEFAULT_SOIL_CATALOG;
+  }
+
+  return buildSoilCatalog(soilRows, synonymRows);
+};
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Obtiene el catálogo de suelos de la base de datos (o de la memoria si sigue vigente)
+ *
+ * @returns {Promise<{ soils: Object, synonyms: Object }>} Catálogo de suelos,
+ * o DEFAULT_SOIL_CATALOG si la tabla está vacía
+ */
+export const getSoilCatalog = async () => {
+  if (!cache || Date.now() - cache.loadedAt >= CONSTANTS.CACHE_TTL_MS) {
+    const entry = { promise: loadSoilCatalog(), loadedAt: Date.now() };
+    cache = entry;
+
+    // Una lectura fallida no se guarda: la siguiente solicitud vuelve a intentarlo
+    entry.promise.catch(() => {
+      if (cache === entry) {
+        cache = null;
+      }
+    });
+  }
+
+  return cache.promise;
+};
+
+/**
+ * Descarta el catálogo en memoria; la próxima llamada a getSoilCatalog lo relee
+ * Debe llamarse después de modificar soil_type o soil_synonym.
+ */
+export const clearSoilCatalogCache = () => {
+  cache = null;
+};
+
+// EXPORTACIONES
+
+export default {
+  CONSTANTS,
+  getSoilCatalog,
+  clearSoilCatalogCache,
+};
@@ -0,0 +1,316 @@
+/**
+ * @overview Servicio de catálogo de suelos
+ * @module services/soilService
+ *
+ * @description
+ * Vocabulario único de suelos para los cálculos. Cada tipo de suelo tiene un código
+ * (clay, loam, sandy, ...), sinónimos en español e inglés, el índice de cono Cn y la
+ * dificultad de tránsito por condición de humedad, y el rodado preferido:
+ * ```
+ * "Arcilla" + moist  -> clay -> Cn 45, dificultad 70
+ * "Arcilla" + wet    -> clay -> Cn 25, dificultad 95
+ * "arcilla_humeda"   -> clay + wet (el sinónimo fija la humedad)
+ * ```
+ *
+ * El catálogo se guarda en las tablas soil_type y soil_synonym; las constantes de
+ * este módulo son la copia por defecto que se usa sin base de datos. Los servicios
+ * de cálculo reciben el catálogo como parámetro y usan DEFAULT_SOIL_CATALOG si se omite.
+ *
+ * Un tipo de suelo no reconocido se trata como franco (loam) y se marca recognized=false.
+ *
+ * @example
+ * import { resolveSoil } from './soilService.js';
+ *
+ * const soil = resolveSoil('Arcilla', 'wet');
+ * console.log(soil.code, soil.coneIndex, soil.difficulty); // 'clay' 25 95
+ */
+
+// CONSTANTES
+
+/**
+ * Constantes del catálogo de suelos
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Condiciones de humedad del suelo */
+  MOISTURE_CONDITIONS: ['dry', 'moist', 'wet'],
+
+  /** Condición de humedad de referencia (la de los valores históricos) */
+  DEFAULT_MOISTURE: 'moist',
+
+  /** Suelo usado cuando el tipo no se reconoce */
+  DEFAULT_SOIL_CODE: 'loam',
+
+  /** Etiquetas de dificultad de tránsito (límite superior exclusivo) */
+  DIFFICULTY_LABELS: [
+    { max: 30, label: 'Fácil' },
+    { max: 55, label: 'Moderado' },
+    { max: 80, label: 'Difícil' },
+    { max: 90, label: 'Muy difícil' },
+    { max: Infinity, label: 'Extremo' },
+  ],
+
+  /** Dificultad desde la cual el terreno exige orugas */
+  TRACK_REQUIRED_DIFFICULTY: 90,
+
+  /**
+   * Tipos de suelo por defecto (mismas columnas que la tabla soil_type)
+   * cn_*: índice de cono Cn por humedad; difficulty_*: dificultad de tránsito 0-100
+   */
+  SOIL_TYPES: [
+    {
+      soil_code: 'sandy', name_es: 'Arenoso', name_en: 'Sandy',
+      cn_dry: 20, cn_moist: 25, cn_wet: 30,
+      difficulty_dry: 25, difficulty_moist: 20, difficulty_wet: 25,
+      preferred_tire: 'standard',
+    },
+    {
+      soil_code: 'loam', name_es: 'Franco', name_en: 'Loam',
+      cn_dry: 45, cn_moist: 35, cn_wet: 22,
+      difficulty_dry: 35, difficulty_moist: 40, difficulty_wet: 65,
+      preferred_tire: 'standard',
+    },
+    {
+      soil_code: 'clay', name_es: 'Arcilloso', name_en: 'Clay',
+      cn_dry: 60, cn_moist: 45, cn_wet: 25,
+      difficulty_dry: 60, difficulty_moist: 70, difficulty_wet: 95,
+      preferred_tire: 'track',
+    },
+    {
+      soil_code: 'rocky', name_es: 'Pedregoso', name_en: 'Rocky',
+      cn_dry: 55, cn_moist: 50, cn_wet: 45,
+      difficulty_dry: 85, difficulty_moist: 85, difficulty_wet: 90,
+      preferred_tire: 'reinforced',
+    },
+    {
+      soil_code: 'firm', name_es: 'Firme', name_en: 'Firm',
+      cn_dry: 55, cn_moist: 50, cn_wet: 35,
+      difficulty_dry: 25, difficulty_moist: 30, difficulty_wet: 50,
+      preferred_tire: 'standard',
+    },
+    {
+      soil_code: 'soft', name_es: 'Suelto', name_en: 'Soft',
+      cn_dry: 25, cn_moist: 20, cn_wet: 15,
+      difficulty_dry: 45, difficulty_moist: 50, difficulty_wet: 70,
+      preferred_tire: 'standard',
+    },
+  ],
+
+  /**
+   * Sinónimos por defecto (mismas columnas que la tabla soil_synonym)
+   * moisture_condition fija la humedad cuando el nombre ya la indica
+   */
+  SOIL_SYNONYMS: [
+    { synonym: 'arena', soil_code: 'sandy', moisture_condition: null },
+    { synonym: 'arenoso', soil_code: 'sandy', moisture_condition: null },
+    { synonym: 'sand', soil_code: 'sandy', moisture_condition: null },
+    { synonym: 'franco', soil_code: 'loam', moisture_condition: null },
+    { synonym: 'arcilla', soil_code: 'clay', moisture_condition: null },
+    { synonym: 'arcilloso', soil_code: 'clay', moisture_condition: null },
+    { synonym: 'arcilla_humeda', soil_code: 'clay', moisture_condition: 'wet' },
+    { synonym: 'wet_clay', soil_code: 'clay', moisture_condition: 'wet' },
+    { synonym: 'rocoso', soil_code: 'rocky', moisture_condition: null },
+    { synonym: 'pedregoso', soil_code: 'rocky', moisture_condition: null },
+    { synonym: 'firme', soil_code: 'firm', moisture_condition: null },
+    { synonym: 'compactado', soil_code: 'firm', moisture_condition: null },
+    { synonym: 'suave', soil_code: 'soft', moisture_condition: null },
+    { synonym: 'suelto', soil_code: 'soft', moisture_condition: null },
+    { synonym: 'labrado', soil_code: 'soft', moisture_condition: null },
+  ],
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Normaliza un nombre de suelo para buscarlo en el catálogo
+ * (minúsculas, sin tildes, espacios y guiones como "_")
+ *
+ * @param {string|null|undefined} value - Nombre de suelo
+ * @returns {string} Clave normalizada ('' si no hay valor)
+ *
+ * @example
+ * normalizeSoilKey('Arcilla Húmeda'); // -> 'arcilla_humeda'
+ */
+export const normalizeSoilKey = (value) => {
+  if (!value || typeof value !== 'string') return '';
+
+  return value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/[\s-]+/g, '_');
+};
+
+/**
+ * Normaliza la condición de humedad
+ * @param {string|null|undefined} moisture - dry | moist | wet
+ * @returns {string} Condición reconocida o DEFAULT_MOISTURE
+ */
+export const normalizeMoisture = (moisture) => {
+  const key = normalizeSoilKey(moisture);
+  return CONSTANTS.MOISTURE_CONDITIONS.includes(key) ? key : CONSTANTS.DEFAULT_MOISTURE;
+};
+
+/**
+ * Etiqueta de una dificultad de tránsito
+ * @param {number} difficulty - Dificultad 0-100
+ * @returns {string} Fácil | Moderado | Difícil | Muy difícil | Extremo
+ */
+export const getDifficultyLabel = (difficulty) =>
+  CONSTANTS.DIFFICULTY_LABELS.find(({ max }) => difficulty < max).label;
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Construye el catálogo a partir de las filas de soil_type y soil_synonym
+ *
+ * @description
+ * El código y los nombres en español e inglés de cada suelo también se reconocen
+ * como sinónimos. Los sinónimos de suelos inexistentes se ignoran.
+ *
+ * @param {Array<Object>} soilRows - Filas de soil_type
+ * @param {Array<Object>} [synonymRows] - Filas de soil_synonym
+ * @returns {{ soils: Object, synonyms: Object }} Catálogo indexado por código y por sinónimo
+ */
+export const buildSoilCatalog = (soilRows, synonymRows = []) => {
+  const soils = {};
+  const synonyms = {};
+
+  soilRows.forEach((row) => {
+    const code = normalizeSoilKey(row.soil_code);
+    soils[code] = {
+      code,
+      nameEs: row.name_es,
+      nameEn: row.name_en,
+      coneIndex: { dry: Number(row.cn_dry), moist: Number(row.cn_moist), wet: Number(row.cn_wet) },
+      difficulty: {
+        dry: Number(row.difficulty_dry),
+        moist: Number(row.difficulty_moist),
+        wet: Number(row.difficulty_wet),
+      },
+      preferredTire: row.preferred_tire,
+    };
+
+    [row.soil_code, row.name_es, row.name_en].forEach((name) => {
+      const key = normalizeSoilKey(name);
+      if (key && !synonyms[key]) {
+        synonyms[key] = { code, moisture: null };
+      }
+    });
+  });
+
+  synonymRows.forEach((row) => {
+    const code = normalizeSoilKey(row.soil_code);
+    if (soils[code]) {
+      synonyms[normalizeSoilKey(row.synonym)] = {
+        code,
+        moisture: row.moisture_condition || null,
+      };
+    }
+  });
+
+  return { soils, synonyms };
+};
+
+/**
+ * Catálogo de suelos por defecto (sin base de datos)
+ * @constant {Object}
+ */
+const DEFAULT_SOIL_CATALOG = buildSoilCatalog(CONSTANTS.SOIL_TYPES, CONSTANTS.SOIL_SYNONYMS);
+
+/**
+ * Normaliza el tipo de suelo a un código del catálogo
+ *
+ * @param {string|null|undefined} soilType - Tipo de suelo en español o inglés
+ * @param {Object} [catalog=DEFAULT_SOIL_CATALOG] - Catálogo de suelos
+ * @returns {string} Código del suelo (DEFAULT_SOIL_CODE si no se reconoce)
+ *
+ * @example
+ * normalizeSoilType('Arcilla');  // -> 'clay'
+ * normalizeSoilType('SANDY');    // -> 'sandy'
+ * normalizeSoilType(null);       // -> 'loam' (default)
+ */
+export const normalizeSoilType = (soilType, catalog = DEFAULT_SOIL_CATALOG) =>
+  catalog.synonyms[normalizeSoilKey(soilType)]?.code || CONSTANTS.DEFAULT_SOIL_CODE;
+
+/**
+ * Resuelve un tipo de suelo y su humedad a los valores de cálculo
+ *
+ * @description
+ * Si el sinónimo indica la humedad (arcilla_humeda) prevalece sobre la recibida.
+ *
+ * @param {string|null|undefined} soilType - Tipo de suelo en español o inglés
+ * @param {string} [moisture] - dry | moist | wet (DEFAULT_MOISTURE si se omite)
+ * @param {Object} [catalog=DEFAULT_SOIL_CATALOG] - Catálogo de suelos
+ * @returns {Object} Suelo resuelto
+ * @returns {string} returns.code - Código del suelo
+ * @returns {string} returns.name - Nombre en español
+ * @returns {string} returns.moisture - Condición de humedad aplicada
+ * @returns {number} returns.coneIndex - Índice de cono Cn
+ * @returns {number} returns.difficulty - Dificultad de tránsito (0-100)
+ * @returns {string} returns.difficultyLabel - Etiqueta de la dificultad
+ * @returns {string} returns.preferredTire - Rodado preferido (standard | reinforced | track)
+ * @returns {boolean} returns.recognized - false si se usó el suelo por defecto
+ *
+ * @example
+ * resolveSoil('franco', 'dry');
+ * // -> { code: 'loam', moisture: 'dry', coneIndex: 45, difficulty: 35, ... }
+ */
+export const resolveSoil = (soilType, moisture, catalog = DEFAULT_SOIL_CATALOG) => {
+  const synonym = catalog.synonyms[normalizeSoilKey(soilType)];
+  const soil = catalog.soils[synonym?.code]
+    || catalog.soils[CONSTANTS.DEFAULT_SOIL_CODE]
+    || DEFAULT_SOIL_CATALOG.soils[CONSTANTS.DEFAULT_SOIL_CODE];
+  const moistureCondition = synonym?.moisture || normalizeMoisture(moisture);
+  const difficulty = soil.difficulty[moistureCondition];
+
+  return {
+    code: soil.code,
+    name: soil.nameEs,
+    moisture: moistureCondition,
+    coneIndex: soil.coneIndex[moistureCondition],
+    difficulty,
+    difficultyLabel: getDifficultyLabel(difficulty),
+    preferredTire: soil.preferredTire,
+    recognized: Boolean(synonym),
+  };
+};
+
+/**
+ * Lista los suelos del catálogo con sus sinónimos
+ * @param {Object} [catalog=DEFAULT_SOIL_CATALOG] - Catálogo de suelos
+ * @returns {Array<Object>} Suelos ordenados por código
+ */
+export const listSoilTypes = (catalog = DEFAULT_SOIL_CATALOG) =>
+  Object.values(catalog.soils)
+    .sort((a, b) => a.code.localeCompare(b.code))
+    .map((soil) => ({
+      ...soil,
+      synonyms: Object.entries(catalog.synonyms)
+        .filter(([key, synonym]) => synonym.code === soil.code && key !== soil.code)
+        .map(([key, synonym]) => ({ synonym: key, moisture: synonym.moisture })),
+    }));
+
+/**
+ * Obtiene las constantes del servicio
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS, DEFAULT_SOIL_CATALOG };
+
+export default {
+  normalizeSoilKey,
+  normalizeMoisture,
+  getDifficultyLabel,
+  buildSoilCatalog,
+  normalizeSoilType,
+  resolveSoil,
+  listSoilTypes,
+  getConstants,
+  CONSTANTS,
+  DEFAULT_SOIL_CATALOG,
+};
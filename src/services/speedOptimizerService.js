@@ -0,0 +1,272 @@
+/**
+ * @overview Servicio de velocidad óptima de trabajo
+ * @module services/speedOptimizerService
+ *
+ * @description
+ * Busca la velocidad de trabajo que maximiza la capacidad de campo o minimiza el
+ * consumo por hectárea de un conjunto tractor–implemento–terreno, con la
+ * restricción de que la potencia neta (tras todas las pérdidas de
+ * powerLossService) cubra el requerimiento del implemento a esa velocidad:
+ * ```
+ * Factible(S)  ⇔  P_neta(S) ≥ P_implemento(S),   S ∈ [S_min, S_max]_tipo
+ * P_implemento = D(S)·S/3.6 + P_tdf   (modelo de tiro ASABE, TDF con pérdidas del cardán)
+ *              = power_requirement_hp (modelo de catálogo)
+ * ```
+ *
+ * La búsqueda recorre el rango de velocidades del tipo de implemento
+ * (ASABE D497, Tabla 1) con un paso fijo y reporta la ventana factible y la
+ * restricción que limita la recomendación.
+ *
+ * @example
+ * import { findOptimalSpeed } from './speedOptimizerService.js';
+ *
+ * const result = findOptimalSpeed({
+ *   baseParams,                       // parámetros de calculateTotalLoss
+ *   implement: { type: 'harrow', widthM: 2.4, depthCm: 10, powerRequirementHP: 70 },
+ *   soilType: 'franco',
+ *   objective: 'min_fuel',
+ * });
+ * console.log(result.recommendedSpeedKmh, result.feasibleWindow, result.bindingConstraint);
+ */
+
+import { calculateTotalLoss } from './powerLossService.js';
+import { calculateDraftPowerRequirement, supportsDraftModel } from './draftService.js';
+import { calculateFieldCapacity } from './fieldCapacityService.js';
+import { calculateFuelConsumption, estimateEngineLoadFromLosses } from './fuelService.js';
+import { normalizeSoilType } from './minimumPowerService.js';
+
+// CONSTANTES
+
+/**
+ * Constantes del optimizador
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Rango de velocidades de trabajo por tipo de implemento en km/h (ASABE D497, Tabla 1) */
+  SPEED_RANGE_KMH: {
+    plow: { min: 5, max: 10 },
+    harrow: { min: 6, max: 11 },
+    cultivator: { min: 8, max: 13 },
+    seeder: { min: 6.5, max: 11 },
+    sprayer: { min: 5, max: 11.5 },
+    mower: { min: 8, max: 19 },
+    harvester: { min: 3, max: 6.5 },
+    rotary_tiller: { min: 2, max: 7 },
+    baler: { min: 5, max: 13 },
+    trailer: { min: 5, max: 25 },
+    other: { min: 4, max: 12 },
+  },
+
+  /** Paso de la búsqueda en km/h */
+  SPEED_STEP_KMH: 0.25,
+
+  /** Objetivos soportados */
+  OBJECTIVES: ['max_capacity', 'min_fuel'],
+
+  /** Restricciones que pueden limitar la recomendación */
+  BINDING_CONSTRAINTS: {
+    NET_POWER: 'net_power',
+    SPEED_RANGE: 'implement_speed_range',
+    NONE: 'none',
+  },
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Redondea a dos decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Obtiene el rango de velocidades de un tipo de implemento
+ *
+ * @param {string} implementType - Tipo de implemento
+ * @returns {{ min: number, max: number }} Rango en km/h ('other' si no está catalogado)
+ *
+ * @example
+ * getSpeedRange('plow'); // -> { min: 5, max: 10 }
+ */
+export const getSpeedRange = (implementType) => {
+  const type = typeof implementType === 'string' ? implementType.toLowerCase().trim() : null;
+  return { ...(CONSTANTS.SPEED_RANGE_KMH[type] || CONSTANTS.SPEED_RANGE_KMH.other) };
+};
+
+/**
+ * Velocidades a evaluar dentro del rango
+ * @param {{ min: number, max: number }} range
+ * @returns {number[]}
+ */
+const buildSpeedGrid = ({ min, max }) => {
+  const speeds = [];
+  for (let speed = min; speed <= max + 1e-9; speed += CONSTANTS.SPEED_STEP_KMH) {
+    speeds.push(round2(speed));
+  }
+  return speeds;
+};
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Evalúa el conjunto a una velocidad dada
+ *
+ * @param {Object} params
+ * @param {Object} params.baseParams - Parámetros de calculateTotalLoss
+ * @param {Object} params.implement - { type, widthM, depthCm, powerRequirementHP }
+ * @param {string} params.soilType - Tipo de suelo normalizado
+ * @param {number} params.speedKmh - Velocidad a evaluar
+ * @param {number} [params.fuelPricePerL] - Precio del combustible
+ * @returns {Object} Potencia neta, requerida, factibilidad, capacidad y consumo a esa velocidad
+ */
+export const evaluateSpeed = ({ baseParams, implement, soilType, speedKmh, fuelPricePerL }) => {
+  const draft = supportsDraftModel(implement.type)
+    ? calculateDraftPowerRequirement({
+        implementType: implement.type,
+        soilType,
+        widthM: implement.widthM,
+        depthCm: implement.depthCm,
+        speedKmh,
+        slopePercent: baseParams.slopePercent,
+      })
+    : null;
+
+  // Con tiro conocido la pérdida por patinaje se predice con ese tiro
+  const lossResult = calculateTotalLoss({
+    ...baseParams,
+    speedKmh,
+    traction: draft
+      ? { ...(baseParams.traction || {}), drawbarPullKn: draft.draftKn }
+      : baseParams.traction,
+  });
+
+  const requiredPowerHP = draft
+    ? draft.drawbarPowerHP + draft.tractorPtoPowerHP
+    : implement.powerRequirementHP;
+
+  const capacity = calculateFieldCapacity({
+    implementType: implement.type,
+    widthM: implement.widthM,
+    speedKmh,
+  });
+
+  const demandedPowerHP = draft
+    ? estimateEngineLoadFromLosses(lossResult, { drawbarPullKn: draft.draftKn, speedKmh }) + draft.tractorPtoPowerHP
+    : implement.powerRequirementHP;
+
+  const fuel = calculateFuelConsumption({
+    ratedPowerHP: baseParams.enginePower,
+    demandedPowerHP,
+    effectiveCapacityHaH: capacity?.effectiveCapacityHaH,
+    fuelPricePerL,
+  });
+
+  return {
+    speedKmh,
+    netPowerHP: lossResult.netPower,
+    requiredPowerHP: round2(requiredPowerHP),
+    feasible: lossResult.netPower >= requiredPowerHP,
+    effectiveCapacityHaH: capacity?.effectiveCapacityHaH ?? null,
+    litersPerHectare: fuel?.litersPerHectare ?? null,
+    litersPerHour: fuel?.litersPerHour ?? null,
+  };
+};
+
+/**
+ * Busca la velocidad óptima de trabajo
+ *
+ * @param {Object} params
+ * @param {Object} params.baseParams - Parámetros base de calculateTotalLoss (tractor + terreno)
+ * @param {Object} params.implement - Implemento
+ * @param {string} params.implement.type - Tipo de implemento
+ * @param {number} params.implement.widthM - Ancho de trabajo (m)
+ * @param {number} [params.implement.depthCm] - Profundidad de trabajo (cm)
+ * @param {number} params.implement.powerRequirementHP - Requerimiento de catálogo (HP)
+ * @param {string} [params.soilType] - Tipo de suelo del terreno
+ * @param {string} [params.objective='max_capacity'] - max_capacity | min_fuel
+ * @param {number} [params.fuelPricePerL] - Precio del combustible
+ * @returns {Object} Velocidad recomendada, ventana factible, restricción activa y curva evaluada
+ *
+ * @throws {Error} Si el objetivo no es soportado
+ */
+export const findOptimalSpeed = ({
+  baseParams,
+  implement,
+  soilType,
+  objective = 'max_capacity',
+  fuelPricePerL,
+}) => {
+  if (!CONSTANTS.OBJECTIVES.includes(objective)) {
+    throw new Error(`Objetivo no soportado: '${objective}'. Use ${CONSTANTS.OBJECTIVES.join(' o ')}`);
+  }
+
+  const { NET_POWER, SPEED_RANGE, NONE } = CONSTANTS.BINDING_CONSTRAINTS;
+  const speedRange = getSpeedRange(implement.type);
+  const normalizedSoil = normalizeSoilType(soilType);
+
+  const evaluations = buildSpeedGrid(speedRange).map((speedKmh) =>
+    evaluateSpeed({ baseParams, implement, soilType: normalizedSoil, speedKmh, fuelPricePerL }),
+  );
+  const feasible = evaluations.filter((evaluation) => evaluation.feasible);
+
+  if (feasible.length === 0) {
+    return {
+      objective,
+      speedRange,
+      recommendedSpeedKmh: null,
+      feasibleWindow: null,
+      bindingConstraint: NET_POWER,
+      atRecommended: null,
+      evaluations,
+    };
+  }
+
+  const feasibleWindow = {
+    min: feasible[0].speedKmh,
+    max: feasible[feasible.length - 1].speedKmh,
+  };
+
+  // max_capacity: la capacidad crece con la velocidad → la mayor velocidad factible
+  // min_fuel: menor L/ha (o L/h sin capacidad de campo) entre las velocidades factibles
+  const fuelValue = (evaluation) => evaluation.litersPerHectare ?? evaluation.litersPerHour;
+  const recommended = objective === 'max_capacity'
+    ? feasible[feasible.length - 1]
+    : feasible.reduce((best, evaluation) => (fuelValue(evaluation) < fuelValue(best) ? evaluation : best));
+
+  let bindingConstraint = NONE;
+  const speed = recommended.speedKmh;
+  if (speed === speedRange.max || speed === speedRange.min) {
+    bindingConstraint = SPEED_RANGE;
+  } else if (speed === feasibleWindow.max || speed === feasibleWindow.min) {
+    bindingConstraint = NET_POWER;
+  }
+
+  return {
+    objective,
+    speedRange,
+    recommendedSpeedKmh: speed,
+    feasibleWindow,
+    bindingConstraint,
+    atRecommended: recommended,
+    evaluations,
+  };
+};
+
+/**
+ * Obtiene una copia de las constantes del optimizador
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  getSpeedRange,
+  evaluateSpeed,
+  findOptimalSpeed,
+  getConstants,
+  CONSTANTS,
+};
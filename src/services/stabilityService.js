@@ -0,0 +1,246 @@
+/**
+ * @overview Servicio de estabilidad en pendiente y riesgo de vuelco
+ * @module services/stabilityService
+ *
+ * @description
+ * Calcula los ángulos estáticos de vuelco de un tractor a partir de su trocha,
+ * distancia entre ejes y altura del centro de gravedad, y los compara con la
+ * pendiente del terreno trabajando cuesta arriba, cuesta abajo y en travesía:
+ * ```
+ * tan(θ_lateral)  = d / h
+ * d = (L − x)·(T/2) / √(L² + (T/2)²)   (ruedas: triángulo de estabilidad, eje delantero oscilante)
+ * d = T/2                              (orugas: base rectangular)
+ * tan(θ_atrás)    = x / h              (cuesta arriba, vuelco hacia atrás)
+ * tan(θ_adelante) = (L − x) / h        (cuesta abajo, vuelco hacia adelante)
+ * x  = L · f_delantero                  (CG delante del eje trasero)
+ * FS = tan(θ_vuelco) / (pendiente% / 100)
+ * ```
+ *
+ * T = trocha, L = distancia entre ejes (largo de apoyo en orugas), h = altura del
+ * CG y f_delantero la fracción del peso sobre el eje delantero según el tipo de
+ * tracción. Es un modelo estático: los efectos dinámicos (giros, baches,
+ * implementos montados) reducen el ángulo real, por eso se exige un factor de
+ * seguridad mayor a 1.
+ *
+ * @example
+ * import { assessStability } from './stabilityService.js';
+ *
+ * const stability = assessStability(
+ *   { track_width_mm: 1800, wheelbase_mm: 2400, cg_height_mm: 950, traction_type: '4x4' },
+ *   22,
+ * );
+ * console.log(stability.level, stability.safetyFactor, stability.governingDirection);
+ */
+
+import { normalizeTractionType } from './tractionService.js';
+
+// CONSTANTES
+
+/**
+ * Constantes del modelo de estabilidad
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Fracción del peso estático sobre el eje delantero por tipo de tracción */
+  FRONT_AXLE_LOAD_FRACTION: {
+    '4x2': 0.35,
+    '4x4': 0.4,
+    track: 0.5,
+  },
+
+  /** Factor de seguridad mínimo (ángulo de vuelco vs. pendiente) de cada nivel */
+  SAFETY_FACTOR_LEVELS: {
+    SAFE: 2,
+    CAUTION: 1.5,
+    DANGER: 1.2,
+  },
+
+  /** Nivel a partir del cual el tractor se excluye de las recomendaciones */
+  EXCLUDED_LEVEL: 'UNSAFE',
+};
+
+/**
+ * Niveles de advertencia
+ * @constant {Object}
+ */
+const WARNING_LEVELS = {
+  SAFE: { level: 'SAFE', label: 'Estable' },
+  CAUTION: { level: 'CAUTION', label: 'Precaución: margen de estabilidad reducido' },
+  DANGER: { level: 'DANGER', label: 'Peligro: riesgo de vuelco con efectos dinámicos' },
+  UNSAFE: { level: 'UNSAFE', label: 'Inseguro: riesgo de vuelco en la pendiente del terreno' },
+  UNKNOWN: { level: 'UNKNOWN', label: 'Sin datos de geometría del tractor' },
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Redondea a dos decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convierte una tangente en grados
+ * @param {number} tangent
+ * @returns {number}
+ */
+const toDegrees = (tangent) => (Math.atan(tangent) * 180) / Math.PI;
+
+/**
+ * Lee una dimensión positiva del registro del tractor
+ * @param {*} value
+ * @returns {number|null}
+ */
+const readDimension = (value) => {
+  const number = parseFloat(value);
+  return number > 0 ? number : null;
+};
+
+/**
+ * Clasifica un factor de seguridad en un nivel de advertencia
+ *
+ * @param {number|null} safetyFactor - tan(θ_vuelco) / tan(θ_pendiente), null en terreno plano
+ * @returns {Object} Nivel y etiqueta
+ */
+export const classifySafetyFactor = (safetyFactor) => {
+  const { SAFE, CAUTION, DANGER } = CONSTANTS.SAFETY_FACTOR_LEVELS;
+
+  if (safetyFactor === null || safetyFactor >= SAFE) return { ...WARNING_LEVELS.SAFE };
+  if (safetyFactor >= CAUTION) return { ...WARNING_LEVELS.CAUTION };
+  if (safetyFactor >= DANGER) return { ...WARNING_LEVELS.DANGER };
+  return { ...WARNING_LEVELS.UNSAFE };
+};
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Calcula los ángulos estáticos de vuelco del tractor
+ *
+ * @param {Object} geometry
+ * @param {number} geometry.trackWidthMm - Trocha (mm)
+ * @param {number} geometry.wheelbaseMm - Distancia entre ejes (mm)
+ * @param {number} geometry.cgHeightMm - Altura del centro de gravedad (mm)
+ * @param {string} [geometry.tractionType='4x2'] - Tipo de tracción (reparto de peso)
+ * @returns {Object} Ángulos de vuelco en grados y su tangente, por dirección
+ */
+export const calculateTipAngles = ({ trackWidthMm, wheelbaseMm, cgHeightMm, tractionType }) => {
+  const type = normalizeTractionType(tractionType);
+  const cgFromRearAxleMm = wheelbaseMm * CONSTANTS.FRONT_AXLE_LOAD_FRACTION[type];
+
+  // Con eje delantero oscilante el vuelco lateral gira sobre la línea rueda trasera–pivote
+  const halfTrackMm = trackWidthMm / 2;
+  const lateralArmMm = type === 'track'
+    ? halfTrackMm
+    : ((wheelbaseMm - cgFromRearAxleMm) * halfTrackMm) / Math.hypot(wheelbaseMm, halfTrackMm);
+
+  const tangents = {
+    crossSlope: lateralArmMm / cgHeightMm,
+    uphill: cgFromRearAxleMm / cgHeightMm,
+    downhill: (wheelbaseMm - cgFromRearAxleMm) / cgHeightMm,
+  };
+
+  return Object.fromEntries(
+    Object.entries(tangents).map(([direction, tangent]) => [
+      direction,
+      { tipAngleDeg: round2(toDegrees(tangent)), tangent },
+    ]),
+  );
+};
+
+/**
+ * Evalúa la estabilidad del tractor en la pendiente del terreno
+ *
+ * @param {Object} tractor - Registro del tractor (track_width_mm, wheelbase_mm, cg_height_mm, traction_type)
+ * @param {number} slopePercent - Pendiente del terreno (%)
+ * @returns {Object} Margen por dirección, dirección crítica, factor de seguridad y nivel de advertencia
+ *
+ * @example
+ * assessStability({ track_width_mm: 1800, wheelbase_mm: 2400, cg_height_mm: 950 }, 30).level;
+ * // -> 'CAUTION'
+ */
+export const assessStability = (tractor, slopePercent) => {
+  const slope = Math.max(0, parseFloat(slopePercent) || 0);
+  const slopeAngleDeg = round2(toDegrees(slope / 100));
+
+  const trackWidthMm = readDimension(tractor?.track_width_mm);
+  const wheelbaseMm = readDimension(tractor?.wheelbase_mm);
+  const cgHeightMm = readDimension(tractor?.cg_height_mm);
+
+  if (!trackWidthMm || !wheelbaseMm || !cgHeightMm) {
+    return {
+      slopePercent: slope,
+      slopeAngleDeg,
+      directions: null,
+      governingDirection: null,
+      safetyFactor: null,
+      safetyMarginDeg: null,
+      ...WARNING_LEVELS.UNKNOWN,
+    };
+  }
+
+  const tipAngles = calculateTipAngles({
+    trackWidthMm,
+    wheelbaseMm,
+    cgHeightMm,
+    tractionType: tractor.traction_type,
+  });
+
+  const directions = Object.fromEntries(
+    Object.entries(tipAngles).map(([direction, { tipAngleDeg, tangent }]) => {
+      const safetyFactor = slope > 0 ? round2(tangent / (slope / 100)) : null;
+      return [
+        direction,
+        {
+          tipAngleDeg,
+          safetyMarginDeg: round2(tipAngleDeg - slopeAngleDeg),
+          safetyFactor,
+          level: classifySafetyFactor(safetyFactor).level,
+        },
+      ];
+    }),
+  );
+
+  // La dirección crítica es la de menor ángulo de vuelco
+  const [governingDirection, governing] = Object.entries(directions)
+    .reduce((worst, entry) => (entry[1].tipAngleDeg < worst[1].tipAngleDeg ? entry : worst));
+
+  return {
+    slopePercent: slope,
+    slopeAngleDeg,
+    directions,
+    governingDirection,
+    safetyFactor: governing.safetyFactor,
+    safetyMarginDeg: governing.safetyMarginDeg,
+    ...classifySafetyFactor(governing.safetyFactor),
+  };
+};
+
+/**
+ * Indica si la evaluación de estabilidad excluye al tractor de las recomendaciones
+ *
+ * @param {Object} stability - Resultado de assessStability
+ * @returns {boolean}
+ */
+export const isExcludedByStability = (stability) =>
+  stability?.level === CONSTANTS.EXCLUDED_LEVEL;
+
+/**
+ * Obtiene una copia de las constantes del modelo
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS, WARNING_LEVELS };
+
+export default {
+  classifySafetyFactor,
+  calculateTipAngles,
+  assessStability,
+  isExcludedByStability,
+  getConstants,
+  CONSTANTS,
+  WARNING_LEVELS,
+};
@@ -0,0 +1,457 @@
+/**
+ * @overview Servicio de predicción de tracción (patinaje, tracción neta y eficiencia tractiva)
+ * @module services/tractionService
+ *
+ * @description
+ * Implementa las ecuaciones de número de movilidad de ASABE D497 (Brixius, 1987)
+ * para neumáticos radiales:
+ * ```
+ * Bn  = (CI·b·d / W) · (1 + 5·δ/h) / (1 + 3·b/d)
+ * GTR = 0.88·(1 − e^(−0.1·Bn))·(1 − e^(−7.5·s)) + 0.04
+ * MRR = 1/Bn + 0.04 + 0.5·s/√Bn
+ * NTR = GTR − MRR
+ * TE  = (NTR / GTR)·(1 − s)
+ * ```
+ *
+ * @example
+ * import { predictTraction } from './tractionService.js';
+ *
+ * const traction = predictTraction({
+ *   tractionType: '4x4',
+ *   tireWidthMm: 460,
+ *   tireDiameterMm: 1650,
+ *   totalWeightKg: 5200,
+ *   soilCn: 45,
+ *   slopePercent: 8,
+ *   speedKmh: 7,
+ *   axlePowerHp: 95,
+ * });
+ * console.log(traction.slipPercent); // patinaje predicho (%)
+ */
+
+// CONSTANTES
+
+/**
+ * Constantes del modelo de tracción
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Conversión del índice de suelo Cn (getSoilCn) a índice de cono CI en kPa */
+  CONE_INDEX_KPA_PER_CN: 30,
+
+  /** Ancho de neumático por defecto en mm (18.4R34) */
+  DEFAULT_TIRE_WIDTH_MM: 467,
+
+  /** Diámetro de neumático por defecto en mm (18.4R34) */
+  DEFAULT_TIRE_DIAMETER_MM: 1640,
+
+  /** Deflexión relativa δ/h típica de un radial agrícola a presión de referencia */
+  DEFAULT_DEFLECTION_RATIO: 0.2,
+
+  /** Presión de inflado de referencia en psi para la deflexión por defecto */
+  REFERENCE_TIRE_PRESSURE_PSI: 16,
+
+  /** Límites físicos de la deflexión relativa */
+  MIN_DEFLECTION_RATIO: 0.08,
+  MAX_DEFLECTION_RATIO: 0.3,
+
+  /** Fracción del peso estático sobre el eje trasero motriz (4x2) */
+  REAR_AXLE_STATIC_SHARE: 0.65,
+
+  /** Relación altura de enganche / distancia entre ejes (transferencia de peso) */
+  HITCH_HEIGHT_TO_WHEELBASE: 0.2,
+
+  /** Multiplicador del Bn por oruga (huella ≈ 2× la de una rueda de 4x4 por lado) */
+  TRACK_MOBILITY_FACTOR: 4,
+
+  /** Patinaje máximo evaluado (fracción) */
+  MAX_SLIP: 0.5,
+
+  /** Paso de búsqueda del patinaje (fracción) */
+  SLIP_STEP: 0.0005,
+
+  /** Iteraciones del punto fijo carga dinámica ↔ tracción */
+  LOAD_ITERATIONS: 3,
+
+  /** Aceleración de la gravedad en m/s² */
+  GRAVITY_MS2: 9.81,
+
+  /** Conversión HP -> kW */
+  HP_TO_KW: 0.7457,
+};
+
+/**
+ * Ruedas (u orugas) motrices por tipo de tracción
+ * @constant {Object}
+ */
+const DRIVEN_ELEMENTS = {
+  "4x2": 2,
+  "4x4": 4,
+  track: 2,
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Normaliza el tipo de tracción del tractor
+ *
+ * @param {string} tractionType - Tipo de tracción original
+ * @returns {'4x2'|'4x4'|'track'} Tipo normalizado
+ */
+export const normalizeTractionType = (tractionType) => {
+  if (!tractionType) return "4x2";
+  const normalized = String(tractionType).toUpperCase().trim();
+
+  if (normalized === "4WD" || normalized === "4X4") return "4x4";
+  if (["TRACK", "ORUGA", "ORUGAS"].includes(normalized)) return "track";
+
+  return "4x2";
+};
+
+/**
+ * Estima la deflexión relativa del neumático (δ/h) a partir de la presión de inflado
+ * Menor presión = mayor deflexión = mayor huella
+ *
+ * @param {number|null} tirePressurePsi - Presión de inflado en psi
+ * @returns {number} Deflexión relativa (adimensional)
+ *
+ * @example
+ * estimateDeflectionRatio(16); // -> 0.2
+ * estimateDeflectionRatio(12); // -> ~0.23
+ */
+export const estimateDeflectionRatio = (tirePressurePsi) => {
+  const pressure = Number(tirePressurePsi);
+  if (!Number.isFinite(pressure) || pressure <= 0) {
+    return CONSTANTS.DEFAULT_DEFLECTION_RATIO;
+  }
+
+  const ratio =
+    CONSTANTS.DEFAULT_DEFLECTION_RATIO *
+    Math.sqrt(CONSTANTS.REFERENCE_TIRE_PRESSURE_PSI / pressure);
+
+  return Math.min(
+    CONSTANTS.MAX_DEFLECTION_RATIO,
+    Math.max(CONSTANTS.MIN_DEFLECTION_RATIO, ratio),
+  );
+};
+
+/**
+ * Convierte el índice de suelo Cn al índice de cono CI en kPa
+ *
+ * @param {number} soilCn - Índice de suelo (getSoilCn)
+ * @returns {number} Índice de cono en kPa
+ */
+export const soilCnToConeIndexKpa = (soilCn) => {
+  return soilCn * CONSTANTS.CONE_INDEX_KPA_PER_CN;
+};
+
+// ECUACIONES ASABE D497
+
+/**
+ * Calcula el número de movilidad Bn de una rueda
+ *
+ * @param {Object} params - Parámetros de la rueda
+ * @param {number} params.coneIndexKpa - Índice de cono del suelo (kPa)
+ * @param {number} params.tireWidthM - Ancho del neumático (m)
+ * @param {number} params.tireDiameterM - Diámetro del neumático (m)
+ * @param {number} params.wheelLoadKn - Carga dinámica sobre la rueda (kN)
+ * @param {number} [params.deflectionRatio=0.2] - Deflexión relativa δ/h
+ * @returns {number} Número de movilidad (adimensional)
+ *
+ * @example
+ * calculateMobilityNumber({
+ *   coneIndexKpa: 1350, tireWidthM: 0.467, tireDiameterM: 1.64, wheelLoadKn: 12.7,
+ * }); // -> ~70
+ */
+export const calculateMobilityNumber = ({
+  coneIndexKpa,
+  tireWidthM,
+  tireDiameterM,
+  wheelLoadKn,
+  deflectionRatio = CONSTANTS.DEFAULT_DEFLECTION_RATIO,
+}) => {
+  if (wheelLoadKn <= 0) {
+    throw new Error("wheelLoadKn debe ser un número positivo");
+  }
+
+  const soilTerm = (coneIndexKpa * tireWidthM * tireDiameterM) / wheelLoadKn;
+  const deflectionTerm = 1 + 5 * deflectionRatio;
+  const aspectTerm = 1 + 3 * (tireWidthM / tireDiameterM);
+
+  return soilTerm * (deflectionTerm / aspectTerm);
+};
+
+/**
+ * Relación de tracción bruta (GTR)
+ *
+ * @param {number} mobilityNumber - Número de movilidad Bn
+ * @param {number} slip - Patinaje (fracción 0-1)
+ * @returns {number} GTR (adimensional)
+ */
+export const calculateGrossTractionRatio = (mobilityNumber, slip) => {
+  return (
+    0.88 * (1 - Math.exp(-0.1 * mobilityNumber)) * (1 - Math.exp(-7.5 * slip)) +
+    0.04
+  );
+};
+
+/**
+ * Relación de resistencia al movimiento (MRR)
+ *
+ * @param {number} mobilityNumber - Número de movilidad Bn
+ * @param {number} slip - Patinaje (fracción 0-1)
+ * @returns {number} MRR (adimensional)
+ */
+export const calculateMotionResistanceRatio = (mobilityNumber, slip) => {
+  return 1 / mobilityNumber + 0.04 + (0.5 * slip) / Math.sqrt(mobilityNumber);
+};
+
+/**
+ * Relación de tracción neta (NTR = GTR − MRR)
+ *
+ * @param {number} mobilityNumber - Número de movilidad Bn
+ * @param {number} slip - Patinaje (fracción 0-1)
+ * @returns {number} NTR (adimensional)
+ */
+export const calculateNetTractionRatio = (mobilityNumber, slip) => {
+  return (
+    calculateGrossTractionRatio(mobilityNumber, slip) -
+    calculateMotionResistanceRatio(mobilityNumber, slip)
+  );
+};
+
+/**
+ * Eficiencia tractiva TE = (NTR / GTR)·(1 − s)
+ *
+ * @param {number} mobilityNumber - Número de movilidad Bn
+ * @param {number} slip - Patinaje (fracción 0-1)
+ * @returns {number} Eficiencia tractiva (fracción 0-1)
+ */
+export const calculateTractiveEfficiency = (mobilityNumber, slip) => {
+  const gtr = calculateGrossTractionRatio(mobilityNumber, slip);
+  const ntr = calculateNetTractionRatio(mobilityNumber, slip);
+  return Math.max(0, (ntr / gtr) * (1 - slip));
+};
+
+/**
+ * Busca el menor patinaje que alcanza la relación objetivo
+ * Si el objetivo no es alcanzable, retorna el patinaje de máxima relación (tracción limitada)
+ *
+ * @param {Function} ratioFn - Función (Bn, s) -> relación
+ * @param {number} mobilityNumber - Número de movilidad Bn
+ * @param {number} targetRatio - Relación objetivo
+ * @returns {{slip: number, limited: boolean}} Patinaje encontrado
+ */
+const solveSlip = (ratioFn, mobilityNumber, targetRatio) => {
+  let bestSlip = 0;
+  let bestRatio = -Infinity;
+
+  for (let slip = 0; slip <= CONSTANTS.MAX_SLIP; slip += CONSTANTS.SLIP_STEP) {
+    const ratio = ratioFn(mobilityNumber, slip);
+    if (ratio >= targetRatio) {
+      return { slip, limited: false };
+    }
+    if (ratio > bestRatio) {
+      bestRatio = ratio;
+      bestSlip = slip;
+    }
+  }
+
+  return { slip: bestSlip, limited: true };
+};
+
+// CARGA DINÁMICA
+
+/**
+ * Calcula la carga dinámica sobre el eje (o ejes) motriz
+ *
+ * @description
+ * - 4x2: 65% del peso normal sobre el eje trasero + transferencia por tiro
+ * - 4x4 / oruga: todo el peso normal es motriz (la transferencia solo redistribuye)
+ *
+ * @param {Object} params - Parámetros
+ * @param {number} params.totalWeightKg - Peso total del tractor (kg)
+ * @param {number} [params.slopePercent=0] - Pendiente del terreno (%)
+ * @param {string} [params.tractionType='4x2'] - Tipo de tracción
+ * @param {number} [params.drawbarPullKn=0] - Tiro en la barra (kN)
+ * @returns {number} Carga dinámica motriz en kN
+ *
+ * @example
+ * calculateDynamicAxleLoad({ totalWeightKg: 4000, tractionType: '4x2', drawbarPullKn: 10 });
+ * // -> 0.65·39.24 + 10·0.2 = 27.5 kN
+ */
+export const calculateDynamicAxleLoad = ({
+  totalWeightKg,
+  slopePercent = 0,
+  tractionType = "4x2",
+  drawbarPullKn = 0,
+}) => {
+  const slopeRadians = Math.atan((slopePercent || 0) / 100);
+  const normalLoadKn =
+    (totalWeightKg * CONSTANTS.GRAVITY_MS2 * Math.cos(slopeRadians)) / 1000;
+
+  if (normalizeTractionType(tractionType) !== "4x2") {
+    return normalLoadKn;
+  }
+
+  const transferKn = Math.max(0, drawbarPullKn) * CONSTANTS.HITCH_HEIGHT_TO_WHEELBASE;
+  return Math.min(
+    normalLoadKn,
+    normalLoadKn * CONSTANTS.REAR_AXLE_STATIC_SHARE + transferKn,
+  );
+};
+
+// FUNCIÓN ORQUESTADORA PRINCIPAL
+
+/**
+ * Predice el patinaje, la tracción neta y la eficiencia tractiva del tractor
+ *
+ * @description
+ * Dos modos de operación:
+ * - `drawbarPullKn` conocido: resuelve NTR(s) = (tiro + W·sinθ) / W_dinámica
+ * - Plena carga (sin tiro): la potencia en el eje empuja a la velocidad de trabajo,
+ *   resuelve GTR(s) = (P_eje / v) / W_dinámica
+ *
+ * La carga dinámica depende del tiro (transferencia de peso), por lo que se itera.
+ *
+ * @param {Object} params - Parámetros de entrada
+ * @param {string} [params.tractionType='4x2'] - Tipo de tracción (4x2|4x4|track)
+ * @param {number} [params.tireWidthMm] - Ancho del neumático (mm)
+ * @param {number} [params.tireDiameterMm] - Diámetro del neumático (mm)
+ * @param {number} [params.tirePressurePsi] - Presión de inflado (psi)
+ * @param {number} params.totalWeightKg - Peso total del tractor + carga (kg)
+ * @param {number} params.soilCn - Índice de suelo Cn
+ * @param {number} [params.slopePercent=0] - Pendiente del terreno (%)
+ * @param {number} params.speedKmh - Velocidad de trabajo (km/h)
+ * @param {number} [params.axlePowerHp] - Potencia disponible en el eje (HP), modo plena carga
+ * @param {number} [params.drawbarPullKn] - Tiro requerido en la barra (kN)
+ *
+ * @returns {Object} Predicción de tracción
+ * @returns {number} returns.slipPercent - Patinaje predicho (%)
+ * @returns {number} returns.drawbarPullKn - Tiro neto en la barra (kN)
+ * @returns {number} returns.tractiveEfficiency - Eficiencia tractiva (%)
+ * @returns {number} returns.netTractionRatio - Relación de tracción neta
+ * @returns {number} returns.grossTractionRatio - Relación de tracción bruta
+ * @returns {number} returns.mobilityNumber - Número de movilidad Bn
+ * @returns {number} returns.dynamicLoadKn - Carga dinámica motriz (kN)
+ * @returns {boolean} returns.tractionLimited - Si el tiro requerido excede la tracción disponible
+ * @returns {'drawbar_pull'|'full_load'} returns.mode - Modo de cálculo usado
+ */
+export const predictTraction = ({
+  tractionType = "4x2",
+  tireWidthMm,
+  tireDiameterMm,
+  tirePressurePsi,
+  totalWeightKg,
+  soilCn,
+  slopePercent = 0,
+  speedKmh,
+  axlePowerHp,
+  drawbarPullKn,
+}) => {
+  if (typeof totalWeightKg !== "number" || totalWeightKg <= 0) {
+    throw new Error("totalWeightKg debe ser un número positivo");
+  }
+  if (typeof soilCn !== "number" || soilCn <= 0) {
+    throw new Error("soilCn debe ser un número positivo");
+  }
+
+  const type = normalizeTractionType(tractionType);
+  const drivenElements = DRIVEN_ELEMENTS[type];
+  const tireWidthM = (Number(tireWidthMm) || CONSTANTS.DEFAULT_TIRE_WIDTH_MM) / 1000;
+  const tireDiameterM =
+    (Number(tireDiameterMm) || CONSTANTS.DEFAULT_TIRE_DIAMETER_MM) / 1000;
+  const deflectionRatio = estimateDeflectionRatio(tirePressurePsi);
+  const coneIndexKpa = soilCnToConeIndexKpa(soilCn);
+
+  const slopeRadians = Math.atan((slopePercent || 0) / 100);
+  const slopeForceKn =
+    slopePercent > 0
+      ? (totalWeightKg * CONSTANTS.GRAVITY_MS2 * Math.sin(slopeRadians)) / 1000
+      : 0;
+
+  const hasPullDemand = typeof drawbarPullKn === "number" && drawbarPullKn >= 0;
+  const speedMs = Math.max(0.1, (speedKmh || 0) / 3.6);
+  const axleThrustKn = ((axlePowerHp || 0) * CONSTANTS.HP_TO_KW) / speedMs;
+
+  let pullKn = hasPullDemand ? drawbarPullKn : 0;
+  let state = null;
+
+  for (let i = 0; i < CONSTANTS.LOAD_ITERATIONS; i++) {
+    const dynamicLoadKn = calculateDynamicAxleLoad({
+      totalWeightKg,
+      slopePercent,
+      tractionType: type,
+      drawbarPullKn: pullKn,
+    });
+
+    let mobilityNumber = calculateMobilityNumber({
+      coneIndexKpa,
+      tireWidthM,
+      tireDiameterM,
+      wheelLoadKn: dynamicLoadKn / drivenElements,
+      deflectionRatio,
+    });
+    if (type === "track") {
+      mobilityNumber *= CONSTANTS.TRACK_MOBILITY_FACTOR;
+    }
+
+    const { slip, limited } = hasPullDemand
+      ? solveSlip(
+          calculateNetTractionRatio,
+          mobilityNumber,
+          (drawbarPullKn + slopeForceKn) / dynamicLoadKn,
+        )
+      : solveSlip(
+          calculateGrossTractionRatio,
+          mobilityNumber,
+          axleThrustKn / dynamicLoadKn,
+        );
+
+    const netTractionRatio = calculateNetTractionRatio(mobilityNumber, slip);
+    const achievablePullKn = Math.max(
+      0,
+      netTractionRatio * dynamicLoadKn - slopeForceKn,
+    );
+
+    pullKn = hasPullDemand ? Math.min(drawbarPullKn, achievablePullKn) : achievablePullKn;
+    state = { dynamicLoadKn, mobilityNumber, slip, limited, netTractionRatio };
+  }
+
+  const { dynamicLoadKn, mobilityNumber, slip, limited, netTractionRatio } = state;
+
+  return {
+    slipPercent: parseFloat((slip * 100).toFixed(2)),
+    drawbarPullKn: parseFloat(pullKn.toFixed(2)),
+    tractiveEfficiency: parseFloat(
+      (calculateTractiveEfficiency(mobilityNumber, slip) * 100).toFixed(2),
+    ),
+    netTractionRatio: parseFloat(netTractionRatio.toFixed(4)),
+    grossTractionRatio: parseFloat(
+      calculateGrossTractionRatio(mobilityNumber, slip).toFixed(4),
+    ),
+    mobilityNumber: parseFloat(mobilityNumber.toFixed(2)),
+    dynamicLoadKn: parseFloat(dynamicLoadKn.toFixed(2)),
+    coneIndexKpa,
+    tractionType: type,
+    tractionLimited: limited,
+    mode: hasPullDemand ? "drawbar_pull" : "full_load",
+  };
+};
+
+// EXPORTACIÓN DE CONSTANTES (para testing/debugging)
+
+export const getConstants = () => ({ ...CONSTANTS });
+
+export default {
+  predictTraction,
+  calculateMobilityNumber,
+  calculateGrossTractionRatio,
+  calculateMotionResistanceRatio,
+  calculateNetTractionRatio,
+  calculateTractiveEfficiency,
+  calculateDynamicAxleLoad,
+  estimateDeflectionRatio,
+  soilCnToConeIndexKpa,
+  normalizeTractionType,
+};
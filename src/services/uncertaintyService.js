@@ -0,0 +1,337 @@
+/**
+ * @overview Servicio de incertidumbre (Monte Carlo) de la potencia neta
+ * @module services/uncertaintyService
+ *
+ * @description
+ * La pendiente, la temperatura o el patinaje de un terreno son estimaciones. Este
+ * servicio describe cada entrada incierta con una distribución, repite
+ * calculateTotalLoss con valores muestreados y resume la potencia neta y la
+ * eficiencia con percentiles:
+ * ```
+ * P10 / P50 / P90 = percentiles de la potencia neta simulada
+ * P(riesgo)       = n(P_neta < P_requerida) / n
+ * ```
+ *
+ * Distribuciones soportadas (por entrada):
+ * - número: valor fijo
+ * - { min, likely, max }: triangular (estimación mínima / más probable / máxima)
+ * - { distribution: 'uniform', min, max }
+ * - { distribution: 'normal', mean, sd }: truncada a los límites de la entrada
+ *
+ * El generador pseudoaleatorio tiene semilla (mulberry32), así que la misma
+ * solicitud con la misma semilla devuelve el mismo resultado.
+ *
+ * @example
+ * import { runMonteCarlo } from './uncertaintyService.js';
+ *
+ * const result = runMonteCarlo({
+ *   baseParams,   // parámetros de calculateTotalLoss
+ *   uncertainties: {
+ *     slope_percent: { min: 4, likely: 8, max: 14 },
+ *     ambient_temperature_c: { distribution: 'normal', mean: 24, sd: 4 },
+ *   },
+ *   iterations: 2000,
+ *   seed: 42,
+ *   requiredPowerHP: 75,
+ * });
+ * console.log(result.netPower.p10, result.probabilityBelowRequirement);
+ */
+
+import { calculateTotalLoss } from './powerLossService.js';
+
+// CONSTANTES
+
+/**
+ * Constantes de la simulación
+ * @constant {Object}
+ */
+const CONSTANTS = {
+  /** Entradas inciertas: parámetro de calculateTotalLoss y límites físicos */
+  UNCERTAIN_PARAMETERS: {
+    slope_percent: { param: 'slopePercent', min: 0, max: 100, unit: '%' },
+    ambient_temperature_c: { param: 'temperatureC', min: -30, max: 60, unit: '°C' },
+    slippage_percent: { param: 'slippagePercent', min: 0, max: 100, unit: '%' },
+    altitude_m: { param: 'altitudeMeters', min: 0, max: 6000, unit: 'm' },
+    working_speed_kmh: { param: 'speedKmh', min: 0.5, max: 40, unit: 'km/h' },
+    cone_index: { param: 'soilCn', min: 5, max: 150, unit: 'Cn' },
+  },
+
+  /** Distribuciones soportadas */
+  DISTRIBUTIONS: ['triangular', 'uniform', 'normal'],
+
+  /** Iteraciones por defecto, mínimo y máximo */
+  DEFAULT_ITERATIONS: 1000,
+  MIN_ITERATIONS: 100,
+  MAX_ITERATIONS: 10000,
+
+  /** Semilla por defecto del generador */
+  DEFAULT_SEED: 1,
+
+  /** Percentiles reportados */
+  PERCENTILES: [10, 50, 90],
+};
+
+// FUNCIONES AUXILIARES
+
+/**
+ * Redondea a dos decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Indica si un valor es un número finito
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Crea un generador pseudoaleatorio con semilla (mulberry32)
+ *
+ * @param {number} seed - Semilla entera
+ * @returns {function(): number} Generador de números en [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Normaliza la descripción de una entrada incierta
+ *
+ * @param {number|Object} spec - Valor fijo o distribución
+ * @returns {Object} { distribution, ...parámetros } ('fixed' para un número)
+ */
+export const normalizeDistribution = (spec) => {
+  if (isFiniteNumber(spec)) {
+    return { distribution: 'fixed', value: spec };
+  }
+
+  const distribution = spec?.distribution
+    ?? (spec?.likely !== undefined ? 'triangular' : null);
+
+  switch (distribution) {
+    case 'triangular':
+      return { distribution, min: spec.min, likely: spec.likely, max: spec.max };
+    case 'uniform':
+      return { distribution, min: spec.min, max: spec.max };
+    case 'normal':
+      return { distribution, mean: spec.mean, sd: spec.sd };
+    default:
+      return { distribution };
+  }
+};
+
+/**
+ * Errores de la distribución de una entrada incierta
+ *
+ * @param {string} name - Nombre de la entrada (clave de UNCERTAIN_PARAMETERS)
+ * @param {number|Object} spec - Valor fijo o distribución
+ * @returns {string[]} Errores (vacío si es válida)
+ */
+export const getDistributionErrors = (name, spec) => {
+  const definition = CONSTANTS.UNCERTAIN_PARAMETERS[name];
+  if (!definition) {
+    return [`uncertainty.${name} no es una entrada soportada (${Object.keys(CONSTANTS.UNCERTAIN_PARAMETERS).join(', ')})`];
+  }
+
+  const normalized = normalizeDistribution(spec);
+  const inBounds = (value) => isFiniteNumber(value) && value >= definition.min && value <= definition.max;
+  const bounds = `entre ${definition.min} y ${definition.max} ${definition.unit}`;
+
+  switch (normalized.distribution) {
+    case 'fixed':
+      return inBounds(normalized.value) ? [] : [`uncertainty.${name} debe estar ${bounds}`];
+    case 'triangular': {
+      const { min, likely, max } = normalized;
+      if (![min, likely, max].every(inBounds) || !(min <= likely && likely <= max) || min === max) {
+        return [`uncertainty.${name} requiere min <= likely <= max (min < max) ${bounds}`];
+      }
+      return [];
+    }
+    case 'uniform':
+      if (!inBounds(normalized.min) || !inBounds(normalized.max) || normalized.min >= normalized.max) {
+        return [`uncertainty.${name} requiere min < max ${bounds}`];
+      }
+      return [];
+    case 'normal':
+      if (!inBounds(normalized.mean) || !isFiniteNumber(normalized.sd) || normalized.sd <= 0) {
+        return [`uncertainty.${name} requiere mean ${bounds} y sd > 0`];
+      }
+      return [];
+    default:
+      return [`uncertainty.${name} debe ser un número, { min, likely, max } o { distribution: ${CONSTANTS.DISTRIBUTIONS.join(' | ')} }`];
+  }
+};
+
+/**
+ * Muestrea un valor de una distribución normalizada
+ *
+ * @param {Object} distribution - Resultado de normalizeDistribution
+ * @param {function(): number} random - Generador en [0, 1)
+ * @param {{min: number, max: number}} bounds - Límites físicos de la entrada
+ * @returns {number} Valor muestreado
+ */
+export const sampleDistribution = (distribution, random, bounds) => {
+  const clamp = (value) => Math.min(bounds.max, Math.max(bounds.min, value));
+
+  switch (distribution.distribution) {
+    case 'fixed':
+      return distribution.value;
+    case 'uniform':
+      return distribution.min + (distribution.max - distribution.min) * random();
+    case 'normal': {
+      // Box-Muller; 1 - u evita log(0)
+      const u1 = 1 - random();
+      const u2 = random();
+      const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+      return clamp(distribution.mean + distribution.sd * z);
+    }
+    case 'triangular': {
+      // Inversa de la función de distribución triangular
+      const { min, likely, max } = distribution;
+      const u = random();
+      const split = (likely - min) / (max - min);
+      return u < split
+        ? min + Math.sqrt(u * (max - min) * (likely - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - likely));
+    }
+    default:
+      throw new Error(`Distribución no soportada: '${distribution.distribution}'`);
+  }
+};
+
+/**
+ * Percentil con interpolación lineal sobre valores ordenados
+ *
+ * @param {number[]} sorted - Valores ordenados de menor a mayor
+ * @param {number} p - Percentil (0-100)
+ * @returns {number}
+ */
+export const percentile = (sorted, p) => {
+  const position = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Resume una muestra con sus percentiles, media y extremos
+ * @param {number[]} values
+ * @returns {{p10: number, p50: number, p90: number, mean: number, min: number, max: number}}
+ */
+const summarize = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  return {
+    ...Object.fromEntries(CONSTANTS.PERCENTILES.map((p) => [`p${p}`, round2(percentile(sorted, p))])),
+    mean: round2(mean),
+    min: round2(sorted[0]),
+    max: round2(sorted[sorted.length - 1]),
+  };
+};
+
+// FUNCIONES PRINCIPALES
+
+/**
+ * Ejecuta la simulación Monte Carlo sobre el modelo de pérdidas
+ *
+ * @param {Object} params
+ * @param {Object} params.baseParams - Parámetros base de calculateTotalLoss
+ * @param {Object<string, number|Object>} params.uncertainties - Distribución por entrada (claves de UNCERTAIN_PARAMETERS)
+ * @param {number} [params.iterations=1000] - Muestras (100-10000)
+ * @param {number} [params.seed=1] - Semilla del generador
+ * @param {number} [params.requiredPowerHP] - Potencia requerida por el implemento (HP)
+ * @returns {Object} Resultado de la simulación
+ * @returns {Object} returns.netPower - P10/P50/P90, media, mínimo y máximo de la potencia neta (HP)
+ * @returns {Object} returns.efficiency - Lo mismo para la eficiencia (%)
+ * @returns {Object} returns.deterministic - Potencia neta y eficiencia del punto base
+ * @returns {number|null} returns.probabilityBelowRequirement - Fracción de muestras con P_neta < requerida
+ *
+ * @throws {Error} Si una distribución no es válida
+ */
+export const runMonteCarlo = ({
+  baseParams,
+  uncertainties,
+  iterations = CONSTANTS.DEFAULT_ITERATIONS,
+  seed = CONSTANTS.DEFAULT_SEED,
+  requiredPowerHP,
+}) => {
+  const errors = Object.entries(uncertainties || {})
+    .flatMap(([name, spec]) => getDistributionErrors(name, spec));
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  const count = Math.min(CONSTANTS.MAX_ITERATIONS, Math.max(CONSTANTS.MIN_ITERATIONS, Math.round(iterations)));
+  const random = createRandom(seed);
+
+  // Orden fijo de las entradas para que la semilla sea reproducible
+  const inputs = Object.keys(uncertainties || {}).sort().map((name) => ({
+    name,
+    definition: CONSTANTS.UNCERTAIN_PARAMETERS[name],
+    distribution: normalizeDistribution(uncertainties[name]),
+  }));
+
+  const netPowers = [];
+  const efficiencies = [];
+
+  for (let index = 0; index < count; index += 1) {
+    const params = { ...baseParams };
+    inputs.forEach(({ definition, distribution }) => {
+      params[definition.param] = sampleDistribution(distribution, random, definition);
+    });
+
+    const { netPower, efficiency } = calculateTotalLoss(params);
+    netPowers.push(netPower);
+    efficiencies.push(efficiency);
+  }
+
+  const deterministic = calculateTotalLoss(baseParams);
+  const hasRequirement = isFiniteNumber(requiredPowerHP) && requiredPowerHP > 0;
+  const belowCount = hasRequirement ? netPowers.filter((power) => power < requiredPowerHP).length : 0;
+
+  return {
+    iterations: count,
+    seed,
+    inputs: Object.fromEntries(inputs.map(({ name, distribution }) => [name, distribution])),
+    netPower: summarize(netPowers),
+    efficiency: summarize(efficiencies),
+    deterministic: {
+      netPower: deterministic.netPower,
+      efficiency: deterministic.efficiency,
+    },
+    requiredPowerHP: hasRequirement ? requiredPowerHP : null,
+    probabilityBelowRequirement: hasRequirement ? Math.round((belowCount / count) * 1000) / 1000 : null,
+  };
+};
+
+/**
+ * Obtiene una copia de las constantes de la simulación
+ * @returns {Object}
+ */
+export const getConstants = () => ({ ...CONSTANTS });
+
+// EXPORTACIONES
+
+export { CONSTANTS };
+
+export default {
+  createRandom,
+  normalizeDistribution,
+  getDistributionErrors,
+  sampleDistribution,
+  percentile,
+  runMonteCarlo,
+  getConstants,
+  CONSTANTS,
+};
@@ -126,6 +126,7 @@ export const schemas = {
       role_id: { type: 'integer', example: 2 },
       role_name: { type: 'string', example: 'user' },
       status: { type: 'string', enum: ['active', 'inactive', 'suspended'], example: 'active' },
+      preferred_units: { type: 'string', enum: ['metric', 'si', 'imperial'], nullable: true, example: 'imperial' },
       registration_date: { type: 'string', format: 'date-time' },
       last_session: { type: 'string', format: 'date-time', nullable: true },
     },
@@ -145,6 +146,13 @@ export const schemas = {
         example: 'nuevo@example.com',
         description: 'Nuevo email (opcional)',
       },
+      preferred_units: {
+        type: 'string',
+        enum: ['metric', 'si', 'imperial'],
+        nullable: true,
+        example: 'imperial',
+        description: 'Sistema de unidades por defecto cuando la solicitud no envía X-Units (opcional). null borra la preferencia',
+      },
     },
   },
 
@@ -236,6 +244,18 @@ export const schemas = {
       tire_width_mm: { type: 'number', format: 'float', example: 540, nullable: true },
       tire_diameter_mm: { type: 'number', format: 'float', example: 1600, nullable: true },
       tire_pressure_psi: { type: 'number', format: 'float', example: 15.0, nullable: true },
+      track_width_mm: { type: 'number', format: 'float', example: 1800, nullable: true, description: 'Trocha (mm), para la estabilidad en pendiente' },
+      wheelbase_mm: { type: 'number', format: 'float', example: 2400, nullable: true, description: 'Distancia entre ejes (mm)' },
+      cg_height_mm: { type: 'number', format: 'float', example: 950, nullable: true, description: 'Altura del centro de gravedad (mm)' },
+      hitch_category: { type: 'string', enum: ['0', '1', '2', '3', '4'], example: '2', nullable: true, description: 'Categoría del enganche de tres puntos (ISO 730)' },
+      rear_lift_capacity_kg: { type: 'number', format: 'float', example: 2500, nullable: true, description: 'Capacidad del levante trasero (kg)' },
+      pto_speed_rpm: { type: 'integer', enum: [540, 1000], example: 540, nullable: true, description: 'Velocidad de la toma de fuerza (rpm)' },
+      hydraulic_flow_lpm: { type: 'number', format: 'float', example: 57, nullable: true, description: 'Caudal hidráulico (L/min)' },
+      pto_power_hp: { type: 'number', format: 'float', example: 76, nullable: true, description: 'Potencia en la TDF (HP). Si falta se estima como 90% de la del motor' },
+      aspiration_type: { type: 'string', enum: ['turbo', 'aspirated'], example: 'turbo', description: 'Aspiración del motor. Solo los aspirados pierden potencia por altitud y temperatura' },
+      owner_user_id: { type: 'integer', example: null, nullable: true, description: 'Dueño del tractor privado (null en el catálogo público)' },
+      hour_meter_hours: { type: 'number', format: 'float', example: 3250, nullable: true, description: 'Horómetro (h), tractores propios' },
+      purchase_date: { type: 'string', format: 'date', example: '2019-08-15', nullable: true, description: 'Fecha de compra, tractores propios' },
       status: { type: 'string', enum: ['available', 'maintenance', 'inactive'], example: 'available' },
     },
   },
@@ -258,6 +278,15 @@ export const schemas = {
       tire_width_mm: { type: 'number', format: 'float', example: 540 },
       tire_diameter_mm: { type: 'number', format: 'float', example: 1600 },
       tire_pressure_psi: { type: 'number', format: 'float', example: 15.0 },
+      track_width_mm: { type: 'number', format: 'float', example: 1800, description: 'Trocha en mm (debe ser positiva)' },
+      wheelbase_mm: { type: 'number', format: 'float', example: 2400, description: 'Distancia entre ejes en mm (debe ser positiva)' },
+      cg_height_mm: { type: 'number', format: 'float', example: 950, description: 'Altura del centro de gravedad en mm (debe ser positiva)' },
+      hitch_category: { type: 'string', example: '2', description: "Categoría de enganche 0-4 (también acepta 'II' o 'Cat. II')" },
+      rear_lift_capacity_kg: { type: 'number', format: 'float', example: 2500, description: 'Capacidad de levante trasero en kg (debe ser positiva)' },
+      pto_speed_rpm: { type: 'integer', enum: [540, 1000], example: 540 },
+      hydraulic_flow_lpm: { type: 'number', format: 'float', example: 57, description: 'Caudal hidráulico en L/min (debe ser positivo)' },
+      pto_power_hp: { type: 'number', format: 'float', example: 76, description: 'Potencia en la TDF en HP (debe ser positiva)' },
+      aspiration_type: { type: 'string', enum: ['turbo', 'aspirated'], default: 'aspirated', description: "Aspiración del motor (también acepta 'aspirado')" },
       status: { type: 'string', enum: ['available', 'maintenance', 'inactive'], default: 'available' },
     },
   },
@@ -279,10 +308,53 @@ export const schemas = {
       tire_width_mm: { type: 'number', format: 'float' },
       tire_diameter_mm: { type: 'number', format: 'float' },
       tire_pressure_psi: { type: 'number', format: 'float' },
+      track_width_mm: { type: 'number', format: 'float' },
+      wheelbase_mm: { type: 'number', format: 'float' },
+      cg_height_mm: { type: 'number', format: 'float' },
+      hitch_category: { type: 'string' },
+      rear_lift_capacity_kg: { type: 'number', format: 'float' },
+      pto_speed_rpm: { type: 'integer', enum: [540, 1000] },
+      hydraulic_flow_lpm: { type: 'number', format: 'float' },
+      pto_power_hp: { type: 'number', format: 'float' },
+      aspiration_type: { type: 'string', enum: ['turbo', 'aspirated'] },
       status: { type: 'string', enum: ['available', 'maintenance', 'inactive'] },
     },
   },
 
+  MyTractorCreate: {
+    type: 'object',
+    required: ['brand', 'model', 'engine_power_hp', 'weight_kg', 'traction_type'],
+    description: 'Tractor propio: mismos campos que el catálogo (sin imagen ni estado) más horómetro y fecha de compra. En la actualización todos son opcionales',
+    properties: {
+      name: { type: 'string', example: 'Mi Massey', description: 'Por defecto marca y modelo' },
+      brand: { type: 'string', example: 'Massey Ferguson' },
+      model: { type: 'string', example: '4709' },
+      model_year: { type: 'integer', example: 2018 },
+      engine_power_hp: { type: 'number', format: 'float', example: 90, description: 'Potencia del motor en HP (10-500)' },
+      weight_kg: { type: 'number', format: 'float', example: 3800 },
+      traction_type: { type: 'string', enum: ['4x2', '4x4', 'track'], example: '4x4' },
+      traction_force_kn: { type: 'number', format: 'float', description: 'Opcional en los tractores propios' },
+      aspiration_type: { type: 'string', enum: ['turbo', 'aspirated'], default: 'aspirated' },
+      tire_type: { type: 'string' },
+      tire_width_mm: { type: 'number', format: 'float' },
+      tire_diameter_mm: { type: 'number', format: 'float' },
+      tire_pressure_psi: { type: 'number', format: 'float' },
+      track_width_mm: { type: 'number', format: 'float' },
+      wheelbase_mm: { type: 'number', format: 'float' },
+      cg_height_mm: { type: 'number', format: 'float' },
+      hitch_category: { type: 'string' },
+      rear_lift_capacity_kg: { type: 'number', format: 'float' },
+      pto_speed_rpm: { type: 'integer', enum: [540, 1000] },
+      hydraulic_flow_lpm: { type: 'number', format: 'float' },
+      pto_power_hp: { type: 'number', format: 'float', description: 'No puede superar la potencia del motor' },
+      price: { type: 'number', format: 'float' },
+      fuel_consumption_lph: { type: 'number', format: 'float' },
+      maintenance_cost_per_hour: { type: 'number', format: 'float' },
+      hour_meter_hours: { type: 'number', format: 'float', example: 3250, description: 'Horómetro (h)' },
+      purchase_date: { type: 'string', format: 'date', example: '2019-08-15', description: 'Fecha de compra (no futura)' },
+    },
+  },
+
   // ==========================================
   // IMPLEMENT SCHEMAS
   // ==========================================
@@ -297,10 +369,13 @@ export const schemas = {
       working_width_m: { type: 'number', format: 'float', example: 1.2 },
       soil_type: { type: 'string', example: 'clay', description: 'Tipo de suelo compatible' },
       working_depth_cm: { type: 'number', format: 'float', example: 30.0 },
-      weight_kg: { type: 'number', format: 'float', example: 450.0 },
+      weight_kg: { type: 'number', format: 'float', example: 450.0, description: 'Peso montado, se compara con la capacidad de levante del tractor' },
+      hitch_category: { type: 'string', enum: ['0', '1', '2', '3', '4'], example: '2', nullable: true, description: 'Categoría de enganche requerida (null si no usa el tres puntos)' },
+      pto_speed_rpm: { type: 'integer', enum: [540, 1000], example: 540, nullable: true, description: 'Velocidad de TDF requerida (null si no usa TDF)' },
+      hydraulic_demand_lpm: { type: 'number', format: 'float', example: 25, nullable: true, description: 'Demanda hidráulica (L/min)' },
       implement_type: {
         type: 'string',
-        enum: ['plow', 'harrow', 'seeder', 'sprayer', 'harvester', 'cultivator', 'mower', 'trailer', 'other'],
+        enum: ['plow', 'harrow', 'seeder', 'sprayer', 'harvester', 'cultivator', 'mower', 'rotary_tiller', 'baler', 'trailer', 'other'],
         example: 'plow',
       },
       status: { type: 'string', enum: ['available', 'maintenance', 'inactive'], example: 'available' },
@@ -318,10 +393,13 @@ export const schemas = {
       working_width_m: { type: 'number', format: 'float', example: 1.2 },
       soil_type: { type: 'string', example: 'clay' },
       working_depth_cm: { type: 'number', format: 'float', example: 30.0 },
-      weight_kg: { type: 'number', format: 'float', example: 450.0 },
+      weight_kg: { type: 'number', format: 'float', example: 450.0, description: 'Peso montado, se compara con la capacidad de levante del tractor' },
+      hitch_category: { type: 'string', enum: ['0', '1', '2', '3', '4'], example: '2', nullable: true, description: 'Categoría de enganche requerida (null si no usa el tres puntos)' },
+      pto_speed_rpm: { type: 'integer', enum: [540, 1000], example: 540, nullable: true, description: 'Velocidad de TDF requerida (null si no usa TDF)' },
+      hydraulic_demand_lpm: { type: 'number', format: 'float', example: 25, nullable: true, description: 'Demanda hidráulica (L/min)' },
       implement_type: {
         type: 'string',
-        enum: ['plow', 'harrow', 'seeder', 'sprayer', 'harvester', 'cultivator', 'mower', 'trailer', 'other'],
+        enum: ['plow', 'harrow', 'seeder', 'sprayer', 'harvester', 'cultivator', 'mower', 'rotary_tiller', 'baler', 'trailer', 'other'],
         example: 'plow',
       },
       status: { type: 'string', enum: ['available', 'maintenance', 'inactive'], default: 'available' },
@@ -339,9 +417,12 @@ export const schemas = {
       soil_type: { type: 'string', example: 'loam' },
       working_depth_cm: { type: 'number', format: 'float', example: 35.0 },
       weight_kg: { type: 'number', format: 'float', example: 470.0 },
+      hitch_category: { type: 'string' },
+      pto_speed_rpm: { type: 'integer', enum: [540, 1000] },
+      hydraulic_demand_lpm: { type: 'number', format: 'float' },
       implement_type: {
         type: 'string',
-        enum: ['plow', 'harrow', 'seeder', 'sprayer', 'harvester', 'cultivator', 'mower', 'trailer', 'other'],
+        enum: ['plow', 'harrow', 'seeder', 'sprayer', 'harvester', 'cultivator', 'mower', 'rotary_tiller', 'baler', 'trailer', 'other'],
       },
       status: { type: 'string', enum: ['available', 'maintenance', 'inactive'] },
     },
@@ -359,11 +440,34 @@ export const schemas = {
       altitude_meters: { type: 'number', format: 'float', example: 2500.0 },
       slope_percentage: { type: 'number', format: 'float', example: 15.0 },
       soil_type: { type: 'string', example: 'clay', description: 'Tipo de suelo: clay, loam, sand, firm, soft' },
+      moisture_condition: { type: 'string', enum: ['dry', 'moist', 'wet'], example: 'moist', description: 'Condición de humedad del suelo' },
       temperature_celsius: { type: 'number', format: 'float', example: 18.0, nullable: true },
       status: { type: 'string', enum: ['active', 'inactive'], example: 'active' },
     },
   },
 
+  SoilType: {
+    type: 'object',
+    properties: {
+      code: { type: 'string', example: 'clay' },
+      nameEs: { type: 'string', example: 'Arcilloso' },
+      nameEn: { type: 'string', example: 'Clay' },
+      coneIndex: { type: 'object', example: { dry: 60, moist: 45, wet: 25 }, description: 'Índice de cono (Cn) por humedad' },
+      difficulty: { type: 'object', example: { dry: 60, moist: 70, wet: 95 }, description: 'Dificultad 0-100 por humedad' },
+      preferredTire: { type: 'string', enum: ['standard', 'reinforced', 'track'], example: 'track' },
+      synonyms: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            synonym: { type: 'string', example: 'arcilla_humeda' },
+            moisture: { type: 'string', nullable: true, example: 'wet', description: 'Humedad implícita en el sinónimo' },
+          },
+        },
+      },
+    },
+  },
+
   TerrainCreate: {
     type: 'object',
     required: ['name', 'altitude_meters', 'slope_percentage', 'soil_type'],
@@ -390,6 +494,12 @@ export const schemas = {
         example: 'clay',
         description: 'Tipo de suelo (clay, loam, sand, firm, soft)',
       },
+      moisture_condition: {
+        type: 'string',
+        enum: ['dry', 'moist', 'wet'],
+        default: 'moist',
+        description: 'Condición de humedad del suelo; cambia el índice de cono y la dificultad',
+      },
       temperature_celsius: {
         type: 'number',
         format: 'float',
@@ -412,6 +522,7 @@ export const schemas = {
       altitude_meters: { type: 'number', format: 'float', example: 2600.0 },
       slope_percentage: { type: 'number', format: 'float', example: 12.0 },
       soil_type: { type: 'string', example: 'loam' },
+      moisture_condition: { type: 'string', enum: ['dry', 'moist', 'wet'], example: 'wet' },
       temperature_celsius: { type: 'number', format: 'float', example: 20.0 },
       status: { type: 'string', enum: ['active', 'inactive'] },
     },
@@ -451,8 +562,25 @@ export const schemas = {
         type: 'number',
         format: 'float',
         example: 10,
-        default: 10,
-        description: 'Porcentaje de deslizamiento (default: 10%)',
+        description: 'Porcentaje de deslizamiento (opcional). Si se omite, se predice con ASABE D497 según neumáticos, carga dinámica y suelo',
+      },
+      drawbar_pull_kn: {
+        type: 'number',
+        format: 'float',
+        example: 18.5,
+        description: 'Tiro requerido en la barra en kN (opcional). Si se omite, se asume operación a plena carga',
+      },
+      working_width_m: {
+        type: 'number',
+        format: 'float',
+        example: 3,
+        description: 'Ancho de trabajo del implemento en metros (opcional). Permite estimar el consumo por hectárea',
+      },
+      fuel_price_per_l: {
+        type: 'number',
+        format: 'float',
+        example: 1.15,
+        description: 'Precio del combustible por litro (opcional, default FUEL_PRICE_PER_LITER)',
       },
     },
   },
@@ -478,6 +606,12 @@ export const schemas = {
         example: 'clay',
         description: 'Tipo de suelo (clay, loam, sandy, rocky, firm, soft)',
       },
+      moisture_condition: {
+        type: 'string',
+        enum: ['dry', 'moist', 'wet'],
+        default: 'moist',
+        description: 'Condición de humedad del suelo (opcional)',
+      },
       altitude_m: {
         type: 'number',
         format: 'float',
@@ -552,6 +686,179 @@ export const schemas = {
         default: 0.25,
         description: 'Profundidad de trabajo en metros (default: 0.25, max: 1.0)',
       },
+      implement_type: {
+        type: 'string',
+        example: 'plow',
+        description: 'Tipo de implemento (opcional). plow, harrow, cultivator, seeder, mower, rotary_tiller y baler usan el modelo de tiro ASABE D497',
+      },
+      working_width_m: {
+        type: 'number',
+        format: 'float',
+        example: 0.9,
+        description: 'Ancho de trabajo en metros (opcional, requerido para el modelo de tiro)',
+      },
+      working_speed_kmh: {
+        type: 'number',
+        format: 'float',
+        example: 7,
+        description: 'Velocidad de trabajo en km/h para el modelo de tiro (opcional, típica del implemento si se omite)',
+      },
+      pto_distance_m: {
+        type: 'number',
+        format: 'float',
+        example: 1.5,
+        description: 'Distancia entre la TDF y la entrada del implemento en metros (opcional, 0-10). Ajusta las pérdidas del cardán',
+      },
+      altitude_m: {
+        type: 'number',
+        format: 'float',
+        example: 2600,
+        description: 'Altitud del terreno en metros (opcional, 0 si se omite). Deratea los tractores aspirados',
+      },
+      ambient_temperature_c: {
+        type: 'number',
+        format: 'float',
+        example: 18,
+        description: 'Temperatura ambiente en °C (opcional, 15 si se omite). Deratea los tractores aspirados',
+      },
+    },
+  },
+
+  StabilityAssessment: {
+    type: 'object',
+    description: 'Estabilidad estática en la pendiente del terreno (cuesta arriba, cuesta abajo y travesía)',
+    properties: {
+      slopePercent: { type: 'number', format: 'float', example: 30 },
+      slopeAngleDeg: { type: 'number', format: 'float', example: 16.7 },
+      directions: {
+        type: 'object',
+        nullable: true,
+        description: 'crossSlope, uphill y downhill: tipAngleDeg, safetyMarginDeg, safetyFactor y level',
+        example: {
+          crossSlope: { tipAngleDeg: 28.02, safetyMarginDeg: 11.32, safetyFactor: 1.77, level: 'CAUTION' },
+        },
+      },
+      governingDirection: { type: 'string', nullable: true, enum: ['crossSlope', 'uphill', 'downhill'], example: 'crossSlope' },
+      safetyFactor: {
+        type: 'number',
+        format: 'float',
+        nullable: true,
+        example: 1.77,
+        description: 'tan(ángulo de vuelco) / pendiente; null en terreno plano',
+      },
+      safetyMarginDeg: { type: 'number', format: 'float', nullable: true, example: 11.32 },
+      level: { type: 'string', enum: ['SAFE', 'CAUTION', 'DANGER', 'UNSAFE', 'UNKNOWN'], example: 'CAUTION' },
+      label: { type: 'string', example: 'Precaución: margen de estabilidad reducido' },
+    },
+  },
+
+  ImplementCompatibility: {
+    type: 'object',
+    description: 'Compatibilidad física tractor–implemento (enganche, levante, TDF e hidráulica)',
+    properties: {
+      compatible: { type: 'boolean', example: false },
+      reasons: {
+        type: 'array',
+        description: 'Motivos de rechazo',
+        items: {
+          type: 'object',
+          properties: {
+            check: { type: 'string', enum: ['hitchCategory', 'liftCapacity', 'ptoSpeed'], example: 'liftCapacity' },
+            message: { type: 'string', example: 'El implemento pesa 1100 kg y supera la capacidad de levante del tractor (1000 kg)' },
+          },
+        },
+      },
+      warnings: {
+        type: 'array',
+        description: 'Advertencias que no rechazan el par (caudal hidráulico insuficiente)',
+        items: {
+          type: 'object',
+          properties: {
+            check: { type: 'string', example: 'hydraulicFlow' },
+            message: { type: 'string' },
+          },
+        },
+      },
+      checks: {
+        type: 'object',
+        description: 'hitchCategory, liftCapacity, ptoSpeed y hydraulicFlow: status (ok, fail, warning, unknown, not_applicable), required y available',
+        example: {
+          liftCapacity: { status: 'fail', required: 1100, available: 1000, utilizationPercent: 110 },
+        },
+      },
+    },
+  },
+
+  PowerDemand: {
+    type: 'object',
+    nullable: true,
+    description: 'Demanda del implemento separada en barra y TDF del tractor, sin margen (null si el modelo no la separa)',
+    properties: {
+      drawbarPowerHP: { type: 'number', format: 'float', example: 0 },
+      ptoPowerHP: { type: 'number', format: 'float', example: 42.9, description: 'Potencia en la TDF del tractor, con pérdidas del cardán' },
+      ptoShaftPowerHP: { type: 'number', format: 'float', example: 40.23, description: 'Potencia en el eje del implemento' },
+      ptoDrivelineEfficiency: { type: 'number', format: 'float', example: 0.965 },
+      ptoDistanceM: { type: 'number', format: 'float', nullable: true, example: 1.5 },
+    },
+  },
+
+  PowerCapability: {
+    type: 'object',
+    nullable: true,
+    description: 'Demanda en barra y TDF (con margen de seguridad) frente a la capacidad del tractor. La utilización combinada no puede superar 100%',
+    properties: {
+      drawbar: {
+        type: 'object',
+        properties: {
+          requiredHP: { type: 'number', format: 'float', example: 0 },
+          availableHP: { type: 'number', format: 'float', example: 55.48 },
+          utilizationPercent: { type: 'number', format: 'float', nullable: true, example: 0 },
+          sufficient: { type: 'boolean', example: true },
+        },
+      },
+      pto: {
+        type: 'object',
+        properties: {
+          requiredHP: { type: 'number', format: 'float', example: 49.34 },
+          availableHP: { type: 'number', format: 'float', example: 76 },
+          utilizationPercent: { type: 'number', format: 'float', nullable: true, example: 64.92 },
+          sufficient: { type: 'boolean', example: true },
+        },
+      },
+      combinedUtilizationPercent: { type: 'number', format: 'float', nullable: true, example: 64.92 },
+      sufficient: { type: 'boolean', example: true },
+      limitingFactor: { type: 'string', enum: ['drawbar', 'pto'], example: 'pto' },
+      ptoPowerSource: { type: 'string', enum: ['catalog', 'estimated'], example: 'catalog' },
+      soilCondition: { type: 'string', enum: ['firm', 'tilled', 'soft'], example: 'firm' },
+    },
+  },
+
+  CalculationCoefficients: {
+    type: 'object',
+    description: 'Coeficientes de cálculo por sección. Al crear un perfil basta con enviar los que cambian',
+    properties: {
+      powerLoss: {
+        type: 'object',
+        example: { BASE_TEMPERATURE_C: 15, TEMP_LOSS_PER_5C: 1, BASE_ALTITUDE_M: 0, ALTITUDE_LOSS_PER_300M: 1, DEFAULT_TRANSMISSION_LOSS: 0.13 },
+      },
+      minimumPower: {
+        type: 'object',
+        example: { SAFETY_MARGIN: 0.15, STANDARD_DEPTH_M: 0.25, SOIL_FACTORS: { clay: 1.3, loam: 1, sandy: 0.8, rocky: 1.5 } },
+      },
+      recommendation: {
+        type: 'object',
+        description: 'SCORING_CONFIG (los WEIGHTS deben sumar 100) y TRACTION_BONUS',
+        example: { SCORING_CONFIG: { OVERPOWER_THRESHOLD: 1.3 }, TRACTION_BONUS: { '4x2': { steep: -50 } } },
+      },
+    },
+  },
+
+  CalculationProfile: {
+    type: 'object',
+    properties: {
+      version: { type: 'integer', nullable: true, example: 3, description: 'null si no hay perfil activo (valores por defecto)' },
+      name: { type: 'string', example: 'Calibración 2026 suelos arcillosos' },
+      coefficients: { $ref: '#/components/schemas/CalculationCoefficients' },
     },
   },
 
@@ -564,6 +871,7 @@ export const schemas = {
         type: 'object',
         properties: {
           queryId: { type: 'integer', example: 1 },
+          calculationProfileVersion: { type: 'integer', nullable: true, example: 3 },
           tractor: {
             type: 'object',
             properties: {
@@ -588,6 +896,32 @@ export const schemas = {
               total_loss_hp: { type: 'number', format: 'float', example: 32.3 },
             },
           },
+          traction: {
+            type: 'object',
+            properties: {
+              slippage_percent: { type: 'number', format: 'float', example: 12.4 },
+              slippage_source: { type: 'string', enum: ['user', 'predicted'], example: 'predicted' },
+              drawbar_pull_kn: { type: 'number', format: 'float', nullable: true, example: 24.8 },
+              tractive_efficiency_percent: { type: 'number', format: 'float', nullable: true, example: 74.2 },
+              net_traction_ratio: { type: 'number', format: 'float', nullable: true, example: 0.52 },
+              mobility_number: { type: 'number', format: 'float', nullable: true, example: 61.3 },
+              dynamic_axle_load_kn: { type: 'number', format: 'float', nullable: true, example: 48.1 },
+              traction_limited: { type: 'boolean', example: false },
+            },
+          },
+          fuel: {
+            type: 'object',
+            description: 'Consumo de combustible a carga parcial (curva SFC ASABE D497)',
+            properties: {
+              load_percent: { type: 'number', format: 'float', example: 78.5 },
+              liters_per_hour: { type: 'number', format: 'float', example: 22.1 },
+              liters_per_hectare: { type: 'number', format: 'float', nullable: true, example: 12.28 },
+              fuel_price_per_l: { type: 'number', format: 'float', example: 1.2 },
+              cost_per_hour: { type: 'number', format: 'float', example: 26.52 },
+              cost_per_hectare: { type: 'number', format: 'float', nullable: true, example: 14.74 },
+            },
+          },
+          stability: { $ref: '#/components/schemas/StabilityAssessment' },
           net_power_hp: { type: 'number', format: 'float', example: 97.7 },
           engine_power_hp: { type: 'number', format: 'float', example: 130.0 },
           efficiency_percentage: { type: 'number', format: 'float', example: 75.15 },
@@ -596,79 +930,132 @@ export const schemas = {
     },
   },
 
-  MinimumPowerRequest: {
+  SensitivityRequest: {
     type: 'object',
-    required: ['implement_id', 'terrain_id'],
+    required: ['tractor_id', 'terrain_id', 'working_speed_kmh', 'sweeps'],
     properties: {
-      implement_id: {
-        type: 'integer',
-        example: 1,
-        description: 'ID del implemento agrícola',
+      tractor_id: { type: 'integer', example: 1, description: 'ID del tractor' },
+      terrain_id: { type: 'integer', example: 1, description: 'ID del terreno' },
+      working_speed_kmh: {
+        type: 'number',
+        format: 'float',
+        example: 7,
+        description: 'Velocidad del punto base en km/h',
       },
-      terrain_id: {
-        type: 'integer',
-        example: 1,
-        description: 'ID del terreno',
+      carried_objects_weight_kg: {
+        type: 'number',
+        format: 'float',
+        example: 0,
+        description: 'Peso transportado en el punto base (opcional)',
       },
-      working_depth_m: {
+      slippage_percent: {
         type: 'number',
         format: 'float',
-        example: 0.3,
-        description: 'Profundidad de trabajo en metros (opcional, máx 1.0). Si no se provee, usa la del implemento.',
+        example: 10,
+        description: 'Patinaje del punto base (opcional, se predice si se omite)',
+      },
+      sweeps: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 2,
+        description: 'Ejes del barrido: uno para una curva, dos para una superficie',
+        items: {
+          type: 'object',
+          required: ['parameter', 'min', 'max'],
+          properties: {
+            parameter: {
+              type: 'string',
+              enum: ['working_speed_kmh', 'ballast_weight_kg', 'slippage_percent', 'slope_percent', 'altitude_m'],
+              example: 'working_speed_kmh',
+            },
+            min: { type: 'number', format: 'float', example: 3 },
+            max: { type: 'number', format: 'float', example: 15 },
+            steps: { type: 'integer', minimum: 2, maximum: 25, default: 10, example: 13 },
+          },
+        },
+      },
+      min_net_power_hp: {
+        type: 'number',
+        format: 'float',
+        example: 60,
+        description: 'Potencia neta mínima para considerar viable un punto (opcional)',
       },
     },
   },
 
-  MinimumPowerResponse: {
+  SensitivityResponse: {
     type: 'object',
     properties: {
       success: { type: 'boolean', example: true },
-      message: { type: 'string', example: 'Cálculo de potencia mínima completado' },
+      message: { type: 'string', example: 'Análisis de sensibilidad completado' },
       data: {
         type: 'object',
         properties: {
-          queryId: { type: 'integer', example: 5 },
-          implement: {
+          tractor: { type: 'object' },
+          terrain: { type: 'object' },
+          stability: { $ref: '#/components/schemas/StabilityAssessment' },
+          base: {
             type: 'object',
             properties: {
-              id: { type: 'integer', example: 1 },
-              name: { type: 'string', example: 'Arado de discos' },
-              type: { type: 'string', example: 'plow' },
+              working_speed_kmh: { type: 'number', format: 'float', example: 7 },
+              total_weight_kg: { type: 'number', format: 'float', example: 5000 },
+              slope_percent: { type: 'number', format: 'float', example: 8 },
+              altitude_m: { type: 'number', format: 'float', example: 1500 },
+              net_power_hp: { type: 'number', format: 'float', example: 68.58 },
+              efficiency_percentage: { type: 'number', format: 'float', example: 62.34 },
             },
           },
-          terrain: {
+          sweep: {
             type: 'object',
             properties: {
-              id: { type: 'integer', example: 1 },
-              name: { type: 'string', example: 'Parcela Norte' },
-              soil_type: { type: 'string', example: 'clay' },
+              axes: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    parameter: { type: 'string', example: 'working_speed_kmh' },
+                    unit: { type: 'string', example: 'km/h' },
+                    values: { type: 'array', items: { type: 'number' }, example: [3, 4, 5] },
+                  },
+                },
+              },
+              points: {
+                type: 'array',
+                description: 'Un punto por combinación de valores; incluye las entradas barridas, netPower, efficiency y viable',
+                items: { type: 'object' },
+                example: [{ working_speed_kmh: 3, netPower: 44.1, efficiency: 40.1, viable: false }],
+              },
+              minNetPowerHP: { type: 'number', format: 'float', nullable: true, example: 60 },
+              viabilityTransitions: {
+                type: 'array',
+                nullable: true,
+                description: 'Tramos de la curva donde cambia la viabilidad (null en superficies o sin umbral)',
+                items: {
+                  type: 'object',
+                  properties: {
+                    from: { type: 'number', format: 'float', example: 4 },
+                    to: { type: 'number', format: 'float', example: 5 },
+                    becomesViable: { type: 'boolean', example: true },
+                  },
+                },
+              },
             },
           },
-          powerRequirement: {
+          sensitivity: {
             type: 'object',
             properties: {
-              minimum_power_hp: { type: 'number', format: 'float', example: 95.5 },
-              factors: { type: 'object' },
-            },
-          },
-          compatibleTractors: {
-            type: 'array',
-            items: {
-              type: 'object',
-              properties: {
-                tractor_id: { type: 'integer' },
-                name: { type: 'string' },
-                brand: { type: 'string' },
-                model: { type: 'string' },
-                engine_power_hp: { type: 'number', format: 'float' },
-                suitability: {
+              most_sensitive: { type: 'string', example: 'working_speed_kmh' },
+              ranking: {
+                type: 'array',
+                items: {
                   type: 'object',
                   properties: {
-                    score: { type: 'string', enum: ['OPTIMAL', 'OVERPOWERED', 'INSUFFICIENT'] },
-                    label: { type: 'string' },
-                    color: { type: 'string' },
-                    utilizationPercent: { type: 'integer' },
-                    isCompatible: { type: 'boolean' },
+                    parameter: { type: 'string', example: 'working_speed_kmh' },
+                    baseValue: { type: 'number', format: 'float', example: 7 },
+                    referenceStep: { type: 'number', example: 1 },
+                    unit: { type: 'string', example: 'km/h' },
+                    deltaNetPowerHP: { type: 'number', format: 'float', example: 5.83 },
+                    elasticity: { type: 'number', format: 'float', nullable: true, example: 0.596 },
                   },
                 },
               },
@@ -679,48 +1066,750 @@ export const schemas = {
     },
   },
 
-  // ==========================================
-  // RECOMMENDATION SCHEMAS
-  // ==========================================
-  RecommendationRequest: {
+  UncertaintyDistribution: {
+    description: 'Valor fijo, estimación triangular { min, likely, max } o distribución explícita',
+    oneOf: [
+      { type: 'number', example: 8 },
+      {
+        type: 'object',
+        required: ['min', 'likely', 'max'],
+        properties: {
+          min: { type: 'number', example: 4 },
+          likely: { type: 'number', example: 8 },
+          max: { type: 'number', example: 14 },
+        },
+      },
+      {
+        type: 'object',
+        required: ['distribution', 'min', 'max'],
+        properties: {
+          distribution: { type: 'string', enum: ['uniform'] },
+          min: { type: 'number', example: 5 },
+          max: { type: 'number', example: 15 },
+        },
+      },
+      {
+        type: 'object',
+        required: ['distribution', 'mean', 'sd'],
+        properties: {
+          distribution: { type: 'string', enum: ['normal'] },
+          mean: { type: 'number', example: 24 },
+          sd: { type: 'number', example: 4 },
+        },
+      },
+    ],
+  },
+
+  UncertaintyRequest: {
     type: 'object',
-    required: ['terrain_id', 'implement_id'],
+    required: ['tractor_id', 'terrain_id', 'working_speed_kmh', 'uncertainty'],
     properties: {
-      terrain_id: {
-        type: 'integer',
-        example: 1,
-        description: 'ID del terreno (debe pertenecer al usuario autenticado)',
+      tractor_id: { type: 'integer', example: 1, description: 'ID del tractor' },
+      terrain_id: { type: 'integer', example: 1, description: 'ID del terreno' },
+      working_speed_kmh: {
+        type: 'number',
+        format: 'float',
+        example: 7,
+        description: 'Velocidad del punto base en km/h',
+      },
+      carried_objects_weight_kg: { type: 'number', format: 'float', example: 0 },
+      slippage_percent: {
+        type: 'number',
+        format: 'float',
+        example: 10,
+        description: 'Patinaje del punto base (opcional, se predice si se omite)',
       },
+      uncertainty: {
+        type: 'object',
+        description: 'Distribución de cada entrada incierta; las omitidas toman el valor del terreno o del body',
+        properties: {
+          slope_percent: { $ref: '#/components/schemas/UncertaintyDistribution' },
+          ambient_temperature_c: { $ref: '#/components/schemas/UncertaintyDistribution' },
+          slippage_percent: { $ref: '#/components/schemas/UncertaintyDistribution' },
+          altitude_m: { $ref: '#/components/schemas/UncertaintyDistribution' },
+          working_speed_kmh: { $ref: '#/components/schemas/UncertaintyDistribution' },
+          cone_index: { $ref: '#/components/schemas/UncertaintyDistribution' },
+        },
+      },
+      iterations: { type: 'integer', minimum: 100, maximum: 10000, default: 1000, example: 2000 },
+      seed: { type: 'integer', minimum: 0, default: 1, example: 42 },
       implement_id: {
         type: 'integer',
-        example: 1,
-        description: 'ID del implemento agrícola',
+        example: 2,
+        description: 'Implemento cuya potencia mínima es el requerimiento (opcional)',
       },
-      working_depth_m: {
+      required_power_hp: {
         type: 'number',
         format: 'float',
-        example: 0.25,
-        description: 'Profundidad de trabajo en metros (opcional)',
-      },
-      work_type: {
-        type: 'string',
-        enum: ['tillage', 'planting', 'harvesting', 'transport', 'general'],
-        example: 'tillage',
-        description: 'Tipo de trabajo agrícola',
+        example: 75,
+        description: 'Requerimiento explícito (opcional, excluyente con implement_id)',
       },
     },
   },
 
-  RecommendationResponse: {
+  UncertaintyBand: {
+    type: 'object',
+    properties: {
+      p10: { type: 'number', format: 'float', example: 61.2 },
+      p50: { type: 'number', format: 'float', example: 66.9 },
+      p90: { type: 'number', format: 'float', example: 71.4 },
+      mean: { type: 'number', format: 'float', example: 66.6 },
+      min: { type: 'number', format: 'float', example: 55.3 },
+      max: { type: 'number', format: 'float', example: 75.8 },
+    },
+  },
+
+  UncertaintyResponse: {
     type: 'object',
     properties: {
       success: { type: 'boolean', example: true },
-      message: { type: 'string', example: 'Recomendaciones generadas exitosamente' },
+      message: { type: 'string', example: 'Análisis de incertidumbre completado' },
       data: {
         type: 'object',
         properties: {
-          queryId: { type: 'integer', example: 10 },
-          implement: {
+          calculationProfileVersion: { type: 'integer', nullable: true, example: 1 },
+          tractor: { type: 'object' },
+          terrain: { type: 'object' },
+          implement: { type: 'object', nullable: true },
+          simulation: {
+            type: 'object',
+            properties: {
+              iterations: { type: 'integer', example: 2000 },
+              seed: { type: 'integer', example: 42 },
+              inputs: { type: 'object', description: 'Distribuciones normalizadas por entrada' },
+            },
+          },
+          deterministic: {
+            type: 'object',
+            properties: {
+              net_power_hp: { type: 'number', format: 'float', example: 67.1 },
+              efficiency_percentage: { type: 'number', format: 'float', example: 61.0 },
+            },
+          },
+          net_power_hp: { $ref: '#/components/schemas/UncertaintyBand' },
+          efficiency_percentage: { $ref: '#/components/schemas/UncertaintyBand' },
+          requirement: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              required_power_hp: { type: 'number', format: 'float', example: 65 },
+              source: { type: 'string', enum: ['implement', 'request'] },
+              probability_below_requirement: { type: 'number', format: 'float', example: 0.31 },
+            },
+          },
+        },
+      },
+    },
+  },
+
+  BatchPowerLossRequest: {
+    type: 'object',
+    required: ['terrain_ids', 'working_speed_kmh'],
+    properties: {
+      tractor_ids: {
+        type: 'array',
+        items: { type: 'integer' },
+        maxItems: 50,
+        example: [1, 4, 7],
+        description: 'IDs de los tractores (excluyente con tractor_filters)',
+      },
+      tractor_filters: {
+        type: 'object',
+        description: 'Filtros del catálogo (excluyente con tractor_ids)',
+        properties: {
+          q: { type: 'string', example: '6130' },
+          brand: { type: 'string', example: 'John Deere' },
+          traction_type: { type: 'string', example: '4x4' },
+          min_power_hp: { type: 'number', example: 90 },
+          max_power_hp: { type: 'number', example: 180 },
+        },
+      },
+      terrain_ids: {
+        type: 'array',
+        items: { type: 'integer' },
+        minItems: 1,
+        maxItems: 20,
+        example: [1, 2, 3],
+        description: 'IDs de terrenos del usuario',
+      },
+      working_speed_kmh: { type: 'number', format: 'float', example: 7 },
+      carried_objects_weight_kg: { type: 'number', format: 'float', example: 0 },
+      slippage_percent: { type: 'number', format: 'float', example: 10 },
+      drawbar_pull_kn: { type: 'number', format: 'float', example: 18 },
+      format: { type: 'string', enum: ['json', 'csv'], default: 'json' },
+      persist: { type: 'boolean', default: false, description: 'Guardar la matriz como un query_set' },
+      name: { type: 'string', maxLength: 100, example: 'Comparación flota norte' },
+    },
+  },
+
+  BatchPowerLossResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: true },
+      message: { type: 'string', example: 'Matriz de pérdidas calculada' },
+      data: {
+        type: 'object',
+        properties: {
+          query_set_id: { type: 'integer', nullable: true, example: 12 },
+          calculationProfileVersion: { type: 'integer', nullable: true, example: 1 },
+          model_version: { type: 'string', example: '1.0.0' },
+          parameters: { type: 'object' },
+          tractors: { type: 'array', items: { type: 'object' } },
+          terrains: { type: 'array', items: { type: 'object' } },
+          truncated: { type: 'boolean', example: false },
+          summary: {
+            type: 'object',
+            properties: {
+              total_cells: { type: 'integer', example: 9 },
+              computed_cells: { type: 'integer', example: 9 },
+              failed_cells: { type: 'integer', example: 0 },
+              by_terrain: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    terrain_id: { type: 'integer', example: 1 },
+                    best_tractor_id: { type: 'integer', nullable: true, example: 4 },
+                    net_power_hp: {
+                      type: 'object',
+                      nullable: true,
+                      properties: {
+                        min: { type: 'number', example: 61.2 },
+                        max: { type: 'number', example: 98.4 },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          matrix: {
+            type: 'array',
+            description: 'Una celda por tractor y terreno: identificación, desglose de pérdidas (campos de power_loss), stability_level y error',
+            items: { type: 'object' },
+            example: [{
+              tractor_id: 4,
+              tractor_brand: 'John Deere',
+              tractor_model: '6130M',
+              terrain_id: 1,
+              terrain_name: 'Lote Norte',
+              total_loss_hp: 31.6,
+              net_power_hp: 98.4,
+              efficiency_percentage: 75.69,
+              stability_level: 'SAFE',
+              error: null,
+            }],
+          },
+        },
+      },
+    },
+  },
+
+  ReplayFieldDiff: {
+    type: 'object',
+    properties: {
+      original: { oneOf: [{ type: 'number' }, { type: 'boolean' }], nullable: true, example: 68.58 },
+      replayed: { oneOf: [{ type: 'number' }, { type: 'boolean' }], nullable: true, example: 67.9 },
+      delta: { type: 'number', format: 'float', nullable: true, example: -0.68 },
+      changed: { type: 'boolean', example: true },
+    },
+  },
+
+  ReplayResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: true },
+      message: { type: 'string', example: 'El cálculo se reprodujo con diferencias' },
+      data: {
+        type: 'object',
+        properties: {
+          queryId: { type: 'integer', example: 91 },
+          original: {
+            type: 'object',
+            properties: {
+              calculated_at: { type: 'string', format: 'date-time' },
+              model_version: { type: 'string', example: '1.0.0' },
+              calculationProfileVersion: { type: 'integer', nullable: true, example: 1 },
+            },
+          },
+          replay: {
+            type: 'object',
+            properties: {
+              model_version: { type: 'string', example: '1.0.0' },
+              calculationProfileVersion: { type: 'integer', nullable: true, example: 2 },
+            },
+          },
+          inputs: {
+            type: 'object',
+            description: 'Instantánea guardada: model_version, params de calculateTotalLoss, request y suelo del terreno',
+          },
+          identical: { type: 'boolean', example: false },
+          changed_fields: { type: 'array', items: { type: 'string' }, example: ['transmission_loss_hp', 'net_power_hp'] },
+          diff: {
+            type: 'object',
+            description: 'Un ReplayFieldDiff por campo de power_loss',
+            additionalProperties: { $ref: '#/components/schemas/ReplayFieldDiff' },
+          },
+        },
+      },
+    },
+  },
+
+  OptimalSpeedRequest: {
+    type: 'object',
+    required: ['tractor_id', 'terrain_id', 'implement_id'],
+    properties: {
+      tractor_id: { type: 'integer', example: 1, description: 'ID del tractor' },
+      terrain_id: { type: 'integer', example: 1, description: 'ID del terreno' },
+      implement_id: { type: 'integer', example: 2, description: 'ID del implemento' },
+      objective: {
+        type: 'string',
+        enum: ['max_capacity', 'min_fuel'],
+        default: 'max_capacity',
+        description: 'Maximizar capacidad de campo o minimizar consumo por hectárea',
+      },
+      carried_objects_weight_kg: {
+        type: 'number',
+        format: 'float',
+        example: 0,
+        description: 'Peso transportado (opcional)',
+      },
+      fuel_price_per_l: {
+        type: 'number',
+        format: 'float',
+        example: 1.2,
+        description: 'Precio del combustible por litro (opcional)',
+      },
+    },
+  },
+
+  OptimalSpeedResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: true },
+      message: { type: 'string', example: 'Velocidad óptima calculada' },
+      data: {
+        type: 'object',
+        properties: {
+          tractor: { type: 'object' },
+          terrain: { type: 'object' },
+          implement: { type: 'object' },
+          stability: { $ref: '#/components/schemas/StabilityAssessment' },
+          objective: { type: 'string', example: 'min_fuel' },
+          recommended_speed_kmh: { type: 'number', format: 'float', nullable: true, example: 6.5 },
+          feasible_window_kmh: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              min: { type: 'number', format: 'float', example: 5 },
+              max: { type: 'number', format: 'float', example: 7.25 },
+            },
+          },
+          implement_speed_range_kmh: {
+            type: 'object',
+            properties: {
+              min: { type: 'number', format: 'float', example: 5 },
+              max: { type: 'number', format: 'float', example: 10 },
+            },
+          },
+          binding_constraint: {
+            type: 'string',
+            enum: ['net_power', 'implement_speed_range', 'none'],
+            example: 'none',
+          },
+          at_recommended_speed: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              speedKmh: { type: 'number', format: 'float', example: 6.5 },
+              netPowerHP: { type: 'number', format: 'float', example: 73.22 },
+              requiredPowerHP: { type: 'number', format: 'float', example: 57.34 },
+              feasible: { type: 'boolean', example: true },
+              effectiveCapacityHaH: { type: 'number', format: 'float', nullable: true, example: 0.78 },
+              litersPerHectare: { type: 'number', format: 'float', nullable: true, example: 26.97 },
+              litersPerHour: { type: 'number', format: 'float', nullable: true, example: 21.04 },
+            },
+          },
+          evaluations: {
+            type: 'array',
+            description: 'Velocidades evaluadas (paso de 0.25 km/h) con la misma forma que at_recommended_speed',
+            items: { type: 'object' },
+          },
+        },
+      },
+    },
+  },
+
+  MinimumPowerRequest: {
+    type: 'object',
+    required: ['implement_id', 'terrain_id'],
+    properties: {
+      implement_id: {
+        type: 'integer',
+        example: 1,
+        description: 'ID del implemento agrícola',
+      },
+      terrain_id: {
+        type: 'integer',
+        example: 1,
+        description: 'ID del terreno',
+      },
+      working_depth_m: {
+        type: 'number',
+        format: 'float',
+        example: 0.3,
+        description: 'Profundidad de trabajo en metros (opcional, máx 1.0). Si no se provee, usa la del implemento.',
+      },
+      working_speed_kmh: {
+        type: 'number',
+        format: 'float',
+        example: 7,
+        description: 'Velocidad de trabajo en km/h para el modelo de tiro (opcional, típica del implemento si se omite)',
+      },
+      pto_distance_m: {
+        type: 'number',
+        format: 'float',
+        example: 1.5,
+        description: 'Distancia entre la TDF y la entrada del implemento en metros (opcional, 0-10). Ajusta las pérdidas del cardán',
+      },
+      fuel_price_per_l: {
+        type: 'number',
+        format: 'float',
+        example: 1.15,
+        description: 'Precio del combustible por litro para el costo por hectárea (opcional, default FUEL_PRICE_PER_LITER)',
+      },
+    },
+  },
+
+  MinimumPowerResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: true },
+      message: { type: 'string', example: 'Cálculo de potencia mínima completado' },
+      data: {
+        type: 'object',
+        properties: {
+          queryId: { type: 'integer', example: 5 },
+          calculationProfileVersion: { type: 'integer', nullable: true, example: 3 },
+          implement: {
+            type: 'object',
+            properties: {
+              id: { type: 'integer', example: 1 },
+              name: { type: 'string', example: 'Arado de discos' },
+              type: { type: 'string', example: 'plow' },
+            },
+          },
+          terrain: {
+            type: 'object',
+            properties: {
+              id: { type: 'integer', example: 1 },
+              name: { type: 'string', example: 'Parcela Norte' },
+              soil_type: { type: 'string', example: 'clay' },
+            },
+          },
+          powerRequirement: {
+            type: 'object',
+            properties: {
+              minimum_power_hp: { type: 'number', format: 'float', example: 95.5 },
+              factors: { type: 'object' },
+              model: { type: 'string', enum: ['asabe_draft', 'catalog'], example: 'asabe_draft' },
+              draft: {
+                type: 'object',
+                nullable: true,
+                description: 'Tiro ASABE D497 del implemento (null si se usó el modelo de catálogo)',
+                properties: {
+                  draftKn: { type: 'number', format: 'float', example: 14.2 },
+                  drawbarPowerHP: { type: 'number', format: 'float', example: 37.95 },
+                  ptoPowerHP: { type: 'number', format: 'float', example: 0 },
+                  requiredPowerHP: { type: 'number', format: 'float', example: 54.91 },
+                  implementType: { type: 'string', example: 'plow' },
+                  soilTexture: { type: 'string', enum: ['fine', 'medium', 'coarse'] },
+                  textureFactor: { type: 'number', format: 'float', example: 0.7 },
+                  widthM: { type: 'number', format: 'float', example: 0.9 },
+                  depthCm: { type: 'number', format: 'float', nullable: true, example: 25 },
+                  speedKmh: { type: 'number', format: 'float', example: 7 },
+                  ptoDrivelineEfficiency: { type: 'number', format: 'float', example: 0.97 },
+                  tractorPtoPowerHP: { type: 'number', format: 'float', example: 0 },
+                },
+              },
+              powerDemand: { $ref: '#/components/schemas/PowerDemand' },
+            },
+          },
+          fieldCapacity: {
+            type: 'object',
+            nullable: true,
+            description: 'Capacidad de campo y duración de la labor en el terreno (null si el implemento no declara ancho)',
+            properties: {
+              theoreticalCapacityHaH: { type: 'number', format: 'float', example: 0.63 },
+              effectiveCapacityHaH: { type: 'number', format: 'float', example: 0.5 },
+              fieldEfficiency: { type: 'number', format: 'float', example: 0.8 },
+              speedKmh: { type: 'number', format: 'float', example: 7 },
+              areaHectares: { type: 'number', format: 'float', nullable: true, example: 12 },
+              totalHours: { type: 'number', format: 'float', nullable: true, example: 23.81 },
+              workdays: { type: 'integer', nullable: true, example: 3 },
+              hoursPerWorkday: { type: 'number', example: 8 },
+            },
+          },
+          compatibleTractors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                tractor_id: { type: 'integer' },
+                name: { type: 'string' },
+                brand: { type: 'string' },
+                model: { type: 'string' },
+                engine_power_hp: { type: 'number', format: 'float' },
+                derated_power_hp: { type: 'number', format: 'float', description: 'Potencia del motor en el terreno (altitud y temperatura según aspiración) con la que se clasifica' },
+                aspiration_type: { type: 'string', enum: ['turbo', 'aspirated'], nullable: true },
+                suitability: {
+                  type: 'object',
+                  properties: {
+                    score: { type: 'string', enum: ['OPTIMAL', 'OVERPOWERED', 'INSUFFICIENT'] },
+                    label: { type: 'string' },
+                    color: { type: 'string' },
+                    utilizationPercent: { type: 'integer' },
+                    isCompatible: { type: 'boolean' },
+                    limitedBy: { type: 'string', enum: ['drawbar', 'pto'], description: 'Presente si la barra o la TDF no cubren la demanda' },
+                  },
+                },
+                powerCapability: { $ref: '#/components/schemas/PowerCapability' },
+              fuel: {
+                type: 'object',
+                description: 'Consumo de combustible a carga parcial (curva SFC ASABE D497)',
+                properties: {
+                  load_percent: { type: 'number', format: 'float', example: 78.5 },
+                  liters_per_hour: { type: 'number', format: 'float', example: 22.1 },
+                  liters_per_hectare: { type: 'number', format: 'float', nullable: true, example: 12.28 },
+                  fuel_price_per_l: { type: 'number', format: 'float', example: 1.2 },
+                  cost_per_hour: { type: 'number', format: 'float', example: 26.52 },
+                  cost_per_hectare: { type: 'number', format: 'float', nullable: true, example: 14.74 },
+                },
+              },
+              stability: { $ref: '#/components/schemas/StabilityAssessment' },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+
+  OperatingCostRequest: {
+    type: 'object',
+    required: ['tractor_id', 'annual_hours'],
+    properties: {
+      tractor_id: {
+        type: 'integer',
+        example: 1,
+        description: 'ID del tractor (debe tener price o price_usd)',
+      },
+      annual_hours: {
+        type: 'number',
+        format: 'float',
+        example: 500,
+        description: 'Horas de uso anual del conjunto (máx 8760)',
+      },
+      implement_id: {
+        type: 'integer',
+        example: 2,
+        description: 'ID del implemento (opcional). Define la carga del motor y la capacidad de campo para el costo por hectárea',
+      },
+      implement_price: {
+        type: 'number',
+        format: 'float',
+        example: 9000,
+        description: 'Precio de lista del implemento (opcional). Sin él no se suman sus costos de propiedad y reparación',
+      },
+      implement_model_year: {
+        type: 'integer',
+        example: 2021,
+        description: 'Año de modelo del implemento (opcional, nuevo si se omite)',
+      },
+      working_speed_kmh: {
+        type: 'number',
+        format: 'float',
+        example: 7,
+        description: 'Velocidad de trabajo en km/h (opcional, típica del implemento si se omite)',
+      },
+      fuel_price_per_l: {
+        type: 'number',
+        format: 'float',
+        example: 1.15,
+        description: 'Precio del combustible por litro (opcional, default FUEL_PRICE_PER_LITER)',
+      },
+      labor_cost_per_hour: {
+        type: 'number',
+        format: 'float',
+        example: 6,
+        description: 'Costo del operario por hora (opcional, default LABOR_COST_PER_HOUR)',
+      },
+      interest_rate: {
+        type: 'number',
+        format: 'float',
+        example: 0.08,
+        description: 'Tasa de interés anual como fracción (opcional, default 0.08)',
+      },
+    },
+  },
+
+  OperatingCostResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: true },
+      message: { type: 'string', example: 'Costo operativo calculado' },
+      data: {
+        type: 'object',
+        properties: {
+          tractor: {
+            type: 'object',
+            properties: {
+              id: { type: 'integer', example: 1 },
+              name: { type: 'string', example: 'John Deere 6110M' },
+              brand: { type: 'string', example: 'John Deere' },
+              model: { type: 'string', example: '6110M' },
+              model_year: { type: 'integer', nullable: true, example: 2019 },
+            },
+          },
+          implement: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              id: { type: 'integer', example: 2 },
+              name: { type: 'string', example: 'Arado de vertedera' },
+              type: { type: 'string', example: 'plow' },
+              working_width_m: { type: 'number', format: 'float', example: 0.9 },
+            },
+          },
+          fieldCapacity: {
+            type: 'object',
+            nullable: true,
+            description: 'Capacidad de campo del implemento (null sin implemento)',
+          },
+          costs: {
+            type: 'object',
+            properties: {
+              annualHours: { type: 'number', example: 500 },
+              tractor: {
+                type: 'object',
+                description: 'Valores y costos por hora del tractor',
+                properties: {
+                  listPrice: { type: 'number', format: 'float', example: 85000 },
+                  ageYears: { type: 'integer', example: 5 },
+                  currentValue: { type: 'number', format: 'float', example: 41710.08 },
+                  endOfYearValue: { type: 'number', format: 'float', example: 39207.24 },
+                  repairSource: { type: 'string', enum: ['catalog', 'asabe'], example: 'asabe' },
+                  perHour: { type: 'object' },
+                  totalPerHour: { type: 'number', format: 'float', example: 14.58 },
+                },
+              },
+              implement: {
+                type: 'object',
+                nullable: true,
+                description: 'Valores y costos por hora del implemento (null sin implement_price)',
+              },
+              fuel: {
+                type: 'object',
+                description: 'Consumo a carga parcial (fuelService)',
+              },
+              breakdownPerHour: {
+                type: 'object',
+                properties: {
+                  depreciation: { type: 'number', format: 'float', example: 5.75 },
+                  interest: { type: 'number', format: 'float', example: 7.12 },
+                  insuranceAndHousing: { type: 'number', format: 'float', example: 1.88 },
+                  repairAndMaintenance: { type: 'number', format: 'float', example: 8.75 },
+                  fuel: { type: 'number', format: 'float', example: 23.23 },
+                  lubrication: { type: 'number', format: 'float', example: 3.48 },
+                  labor: { type: 'number', format: 'float', example: 5.5 },
+                },
+              },
+              ownershipPerHour: { type: 'number', format: 'float', example: 14.75 },
+              operatingPerHour: { type: 'number', format: 'float', example: 40.96 },
+              totalPerHour: { type: 'number', format: 'float', example: 55.71 },
+              effectiveCapacityHaH: { type: 'number', format: 'float', nullable: true, example: 0.5 },
+              breakdownPerHectare: {
+                type: 'object',
+                nullable: true,
+                description: 'Mismo desglose dividido por la capacidad de campo efectiva',
+              },
+              totalPerHectare: { type: 'number', format: 'float', nullable: true, example: 111.42 },
+              annualTotal: { type: 'number', format: 'float', example: 27855 },
+            },
+          },
+        },
+      },
+    },
+  },
+
+  // ==========================================
+  // RECOMMENDATION SCHEMAS
+  // ==========================================
+  RecommendationRequest: {
+    type: 'object',
+    required: ['terrain_id', 'implement_id'],
+    properties: {
+      terrain_id: {
+        type: 'integer',
+        example: 1,
+        description: 'ID del terreno (debe pertenecer al usuario autenticado)',
+      },
+      implement_id: {
+        type: 'integer',
+        example: 1,
+        description: 'ID del implemento agrícola',
+      },
+      working_depth_m: {
+        type: 'number',
+        format: 'float',
+        example: 0.25,
+        description: 'Profundidad de trabajo en metros (opcional)',
+      },
+      working_speed_kmh: {
+        type: 'number',
+        format: 'float',
+        example: 7,
+        description: 'Velocidad de trabajo en km/h para el modelo de tiro (opcional, típica del implemento si se omite)',
+      },
+      pto_distance_m: {
+        type: 'number',
+        format: 'float',
+        example: 1.5,
+        description: 'Distancia entre la TDF y la entrada del implemento en metros (opcional, 0-10). Ajusta las pérdidas del cardán',
+      },
+      fuel_price_per_l: {
+        type: 'number',
+        format: 'float',
+        example: 1.15,
+        description: 'Precio del combustible por litro para el criterio fuel_efficiency de /advanced (opcional, default FUEL_PRICE_PER_LITER)',
+      },
+      work_type: {
+        type: 'string',
+        enum: ['tillage', 'planting', 'harvesting', 'transport', 'general'],
+        example: 'tillage',
+        description: 'Tipo de trabajo agrícola',
+      },
+      mode: {
+        type: 'string',
+        enum: ['catalog', 'fleet_first'],
+        default: 'catalog',
+        example: 'fleet_first',
+        description: 'Solo /generate. fleet_first evalúa primero los tractores propios del usuario y recurre al catálogo solo si ninguno califica; cada opción indica source (owned o purchase) y capitalCostAvoided',
+      },
+    },
+  },
+
+  RecommendationResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: true },
+      message: { type: 'string', example: 'Recomendaciones generadas exitosamente' },
+      data: {
+        type: 'object',
+        properties: {
+          queryId: { type: 'integer', example: 10 },
+          calculationProfileVersion: { type: 'integer', nullable: true, example: 3 },
+          implement: {
             type: 'object',
             properties: {
               id: { type: 'integer' },
@@ -743,6 +1832,42 @@ export const schemas = {
             properties: {
               minimum_power_hp: { type: 'number', format: 'float' },
               factors: { type: 'object' },
+              model: { type: 'string', enum: ['asabe_draft', 'catalog'], example: 'asabe_draft' },
+              draft: {
+                type: 'object',
+                nullable: true,
+                description: 'Tiro ASABE D497 del implemento (null si se usó el modelo de catálogo)',
+                properties: {
+                  draftKn: { type: 'number', format: 'float', example: 14.2 },
+                  drawbarPowerHP: { type: 'number', format: 'float', example: 37.95 },
+                  ptoPowerHP: { type: 'number', format: 'float', example: 0 },
+                  requiredPowerHP: { type: 'number', format: 'float', example: 54.91 },
+                  implementType: { type: 'string', example: 'plow' },
+                  soilTexture: { type: 'string', enum: ['fine', 'medium', 'coarse'] },
+                  textureFactor: { type: 'number', format: 'float', example: 0.7 },
+                  widthM: { type: 'number', format: 'float', example: 0.9 },
+                  depthCm: { type: 'number', format: 'float', nullable: true, example: 25 },
+                  speedKmh: { type: 'number', format: 'float', example: 7 },
+                  ptoDrivelineEfficiency: { type: 'number', format: 'float', example: 0.97 },
+                  tractorPtoPowerHP: { type: 'number', format: 'float', example: 0 },
+                },
+              },
+              powerDemand: { $ref: '#/components/schemas/PowerDemand' },
+            },
+          },
+          fieldCapacity: {
+            type: 'object',
+            nullable: true,
+            description: 'Capacidad de campo y duración de la labor en el terreno (null si el implemento no declara ancho)',
+            properties: {
+              theoreticalCapacityHaH: { type: 'number', format: 'float', example: 0.63 },
+              effectiveCapacityHaH: { type: 'number', format: 'float', example: 0.5 },
+              fieldEfficiency: { type: 'number', format: 'float', example: 0.8 },
+              speedKmh: { type: 'number', format: 'float', example: 7 },
+              areaHectares: { type: 'number', format: 'float', nullable: true, example: 12 },
+              totalHours: { type: 'number', format: 'float', nullable: true, example: 23.81 },
+              workdays: { type: 'integer', nullable: true, example: 3 },
+              hoursPerWorkday: { type: 'number', example: 8 },
             },
           },
           terrainAnalysis: {
@@ -763,6 +1888,7 @@ export const schemas = {
                     brand: { type: 'string', example: 'John Deere' },
                     model: { type: 'string', example: '6130M' },
                     engine_power_hp: { type: 'number', format: 'float', example: 130.0 },
+                    aspiration_type: { type: 'string', enum: ['turbo', 'aspirated'], example: 'turbo' },
                     traction_type: { type: 'string', example: '4x4' },
                     weight_kg: { type: 'number', format: 'float', example: 5200.0 },
                   },
@@ -772,9 +1898,40 @@ export const schemas = {
                   properties: {
                     total: { type: 'number', format: 'float', example: 87.5 },
                     breakdown: { type: 'object' },
+                    power: {
+                      type: 'object',
+                      description: 'Potencia nominal del catálogo y la derateada en el terreno con la que se puntúa',
+                      properties: {
+                        nominalHP: { type: 'number', format: 'float', example: 130.0 },
+                        deratedHP: { type: 'number', format: 'float', nullable: true, example: 104.6 },
+                      },
+                    },
                   },
                 },
-                compatibility: { type: 'object' },
+                compatibility: {
+                  type: 'object',
+                  properties: {
+                    requiredPower: { type: 'number', format: 'float', example: 96.2 },
+                    tractorPower: { type: 'number', format: 'float', example: 104.6, description: 'Potencia comparada con la requerida (la derateada)' },
+                    nominalPowerHP: { type: 'number', format: 'float', example: 130.0 },
+                    deratedPowerHP: { type: 'number', format: 'float', nullable: true, example: 104.6 },
+                    surplusHP: { type: 'number', format: 'float', example: 8.4 },
+                    utilizationPercent: { type: 'number', format: 'float', example: 91.97 },
+                  },
+                },
+                fuel: {
+                  type: 'object',
+                  nullable: true,
+                  description: 'Consumo estimado a carga parcial (solo /advanced)',
+                  properties: {
+                    loadPercent: { type: 'number', format: 'float', example: 72.4 },
+                    litersPerHour: { type: 'number', format: 'float', example: 19.8 },
+                    litersPerHectare: { type: 'number', format: 'float', nullable: true, example: 11.3 },
+                    costPerHectare: { type: 'number', format: 'float', nullable: true, example: 13.56 },
+                  },
+                },
+                stability: { $ref: '#/components/schemas/StabilityAssessment' },
+                powerCapability: { $ref: '#/components/schemas/PowerCapability' },
                 classification: {
                   type: 'object',
                   properties: {
@@ -815,6 +1972,120 @@ export const schemas = {
     },
   },
 
+  RecommendationFeedbackInput: {
+    type: 'object',
+    required: ['decision'],
+    properties: {
+      decision: { type: 'string', enum: ['accepted', 'rejected'], example: 'rejected' },
+      reason_code: {
+        type: 'string',
+        enum: ['too_expensive', 'wrong_power', 'brand', 'fuel_consumption', 'availability', 'other'],
+        example: 'too_expensive',
+        description: 'Motivo del rechazo. too_expensive, wrong_power, brand y fuel_consumption suben el peso del criterio correspondiente en las preferencias aprendidas',
+      },
+      reason: {
+        type: 'string',
+        maxLength: 500,
+        example: 'Supera lo que puedo financiar este año',
+        description: 'Motivo libre. Al rechazar se requiere reason_code o reason',
+      },
+      rating: { type: 'integer', minimum: 1, maximum: 5, example: 2 },
+      purchased: {
+        type: 'boolean',
+        default: false,
+        description: 'El tractor recomendado se compró (solo con decision accepted)',
+      },
+    },
+  },
+
+  RecommendationFeedback: {
+    type: 'object',
+    properties: {
+      feedback_id: { type: 'integer', example: 12 },
+      recommendation_id: { type: 'integer', example: 45 },
+      user_id: { type: 'integer', example: 1 },
+      decision: { type: 'string', enum: ['accepted', 'rejected'] },
+      reason_code: { type: 'string', nullable: true },
+      reason: { type: 'string', nullable: true },
+      rating: { type: 'integer', nullable: true },
+      purchased: { type: 'boolean' },
+      created_at: { type: 'string', format: 'date-time' },
+      updated_at: { type: 'string', format: 'date-time' },
+    },
+  },
+
+  LearnedPreferences: {
+    type: 'object',
+    properties: {
+      sampleSize: { type: 'integer', example: 8, description: 'Feedback considerado' },
+      minimumSample: { type: 'integer', example: 5, description: 'Feedback mínimo para ajustar los pesos' },
+      learned: { type: 'boolean', example: true },
+      weights: {
+        type: 'object',
+        nullable: true,
+        description: 'ADVANCED_WEIGHTS ajustados (suman 100); null con menos de minimumSample',
+        example: { power_match: 37, price: 36, brand_preference: 18, fuel_efficiency: 9 },
+      },
+      adjustments: {
+        type: 'object',
+        nullable: true,
+        description: 'Por criterio: peso base y aprendido, recomendaciones que ganó, satisfacción y rechazos que lo citan',
+      },
+      brandPreference: { type: 'string', nullable: true, example: 'John Deere' },
+      brand: { type: 'object', nullable: true },
+      summary: { type: 'object', description: 'Aceptadas, rechazadas, compras y calificación media' },
+    },
+  },
+
+  ScoringPresetInput: {
+    type: 'object',
+    required: ['name', 'weights'],
+    properties: {
+      name: { type: 'string', maxLength: 100, example: 'Finca de bajo presupuesto' },
+      description: { type: 'string', maxLength: 500, nullable: true },
+      weights: {
+        type: 'object',
+        description: 'Pesos de la recomendación avanzada: los cuatro criterios, mayores a 0, sumando 100',
+        required: ['power_match', 'price', 'brand_preference', 'fuel_efficiency'],
+        properties: {
+          power_match: { type: 'number', example: 30 },
+          price: { type: 'number', example: 50 },
+          brand_preference: { type: 'number', example: 5 },
+          fuel_efficiency: { type: 'number', example: 15 },
+        },
+      },
+      filters: {
+        type: 'object',
+        properties: {
+          budget: { type: 'number', example: 45000 },
+          brandPreference: { type: 'string', example: 'Massey Ferguson' },
+        },
+      },
+      scope: {
+        type: 'string',
+        enum: ['user', 'organization'],
+        default: 'user',
+        description: 'organization solo para administradores (solo al crear)',
+      },
+    },
+  },
+
+  ScoringPreset: {
+    type: 'object',
+    properties: {
+      preset_id: { type: 'integer', example: 3 },
+      user_id: { type: 'integer', nullable: true, description: 'null en los presets de la organización' },
+      name: { type: 'string', example: 'Finca de bajo presupuesto' },
+      description: { type: 'string', nullable: true },
+      weights: { type: 'object', example: { power_match: 30, price: 50, brand_preference: 5, fuel_efficiency: 15 } },
+      filters: { type: 'object', example: { budget: 45000 } },
+      scope: { type: 'string', enum: ['user', 'organization'] },
+      created_by: { type: 'integer', nullable: true },
+      created_at: { type: 'string', format: 'date-time' },
+      updated_at: { type: 'string', format: 'date-time' },
+    },
+  },
+
   // ==========================================
   // ROLE SCHEMAS
   // ==========================================
@@ -34,6 +34,12 @@ La API usa **JWT (JSON Web Tokens)**. Incluye el token en el header:
 \`\`\`
 Authorization: Bearer <tu_token>
 \`\`\`
+
+### Unidades:
+Los cálculos trabajan en HP, kg, km/h, ha, °C y m. En cálculos, catálogo, terrenos,
+recomendaciones y exportaciones el header \`X-Units: metric | si | imperial\` (o la
+preferencia \`preferred_units\` del perfil) convierte los datos de entrada y la respuesta;
+cada objeto con magnitudes incluye un objeto \`units\` con la unidad de cada campo.
       `,
       contact: {
         name: 'Equipo MaqAgr',
@@ -68,6 +74,10 @@ Authorization: Bearer <tu_token>
         name: 'Tractors',
         description: 'Catálogo de tractores (lectura pública, escritura admin)',
       },
+      {
+        name: 'My Tractors',
+        description: 'Garaje privado de tractores del usuario autenticado',
+      },
       {
         name: 'Implements',
         description: 'Catálogo de implementos agrícolas (lectura pública, escritura admin)',
@@ -0,0 +1,504 @@
+/**
+ * Units Utility
+ * Conversión entre el sistema canónico de la API y los sistemas SI e imperial
+ *
+ * Los cálculos trabajan siempre en el sistema canónico (metric: HP, kg, km/h, ha, °C, m).
+ * La dimensión de cada campo se declara en UNIT_FIELDS; los nombres de los campos no
+ * cambian con el sistema de unidades y la unidad real se informa en las etiquetas `units`.
+ */
+
+/** Sistema en que trabajan los cálculos y la base de datos */
+export const CANONICAL_SYSTEM = 'metric';
+
+/** Sistemas de unidades aceptados */
+export const UNIT_SYSTEMS = ['metric', 'si', 'imperial'];
+
+/**
+ * Unidades por dimensión y sistema
+ * valor_convertido = valor_canónico * factor + offset
+ */
+export const DIMENSIONS = {
+  power: {
+    metric: { label: 'hp' },
+    si: { label: 'kW', factor: 0.745699872 },
+    imperial: { label: 'kW', factor: 0.745699872 },
+  },
+  mass: {
+    metric: { label: 'kg' },
+    si: { label: 'kg' },
+    imperial: { label: 'lb', factor: 2.20462262 },
+  },
+  speed: {
+    metric: { label: 'km/h' },
+    si: { label: 'km/h' },
+    imperial: { label: 'mph', factor: 0.621371192 },
+  },
+  area: {
+    metric: { label: 'ha' },
+    si: { label: 'ha' },
+    imperial: { label: 'ac', factor: 2.47105381 },
+  },
+  areaRate: {
+    metric: { label: 'ha/h' },
+    si: { label: 'ha/h' },
+    imperial: { label: 'ac/h', factor: 2.47105381 },
+  },
+  temperature: {
+    metric: { label: '°C' },
+    si: { label: '°C' },
+    imperial: { label: '°F', factor: 1.8, offset: 32 },
+  },
+  length: {
+    metric: { label: 'm' },
+    si: { label: 'm' },
+    imperial: { label: 'ft', factor: 3.2808399 },
+  },
+  centimeter: {
+    metric: { label: 'cm' },
+    si: { label: 'cm' },
+    imperial: { label: 'in', factor: 0.393700787 },
+  },
+  millimeter: {
+    metric: { label: 'mm' },
+    si: { label: 'mm' },
+    imperial: { label: 'in', factor: 0.0393700787 },
+  },
+  force: {
+    metric: { label: 'kN' },
+    si: { label: 'kN' },
+    imperial: { label: 'lbf', factor: 224.808943 },
+  },
+  fuelRate: {
+    metric: { label: 'L/h' },
+    si: { label: 'L/h' },
+    imperial: { label: 'gal/h', factor: 0.264172052 },
+  },
+  fuelPerArea: {
+    metric: { label: 'L/ha' },
+    si: { label: 'L/ha' },
+    imperial: { label: 'gal/ac', factor: 0.264172052 / 2.47105381 },
+  },
+  flow: {
+    metric: { label: 'L/min' },
+    si: { label: 'L/min' },
+    imperial: { label: 'gal/min', factor: 0.264172052 },
+  },
+  pricePerVolume: {
+    metric: { label: '$/L' },
+    si: { label: '$/L' },
+    imperial: { label: '$/gal', factor: 3.78541178 },
+  },
+  costPerArea: {
+    metric: { label: '$/ha' },
+    si: { label: '$/ha' },
+    imperial: { label: '$/ac', factor: 1 / 2.47105381 },
+  },
+};
+
+/**
+ * Campos con unidad, declarados por la entidad o el servicio que los devuelve o los recibe
+ *
+ * Solo se convierten los campos listados: la unidad no se deduce del nombre.
+ * Un campo nuevo con magnitud física se agrega al grupo de la salida que lo produce.
+ */
+export const UNIT_FIELDS = {
+  // Tractores (catálogo, tractores propios y filtros de búsqueda)
+  tractor: {
+    engine_power_hp: 'power',
+    enginePowerHp: 'power',
+    pto_power_hp: 'power',
+    minPower: 'power',
+    maxPower: 'power',
+    weight_kg: 'mass',
+    rear_lift_capacity_kg: 'mass',
+    traction_force_kn: 'force',
+    tire_width_mm: 'millimeter',
+    tire_diameter_mm: 'millimeter',
+    track_width_mm: 'millimeter',
+    wheelbase_mm: 'millimeter',
+    cg_height_mm: 'millimeter',
+    hydraulic_flow_lpm: 'flow',
+    fuel_consumption_lph: 'fuelRate',
+  },
+  // Implementos y sus filtros de búsqueda
+  implement: {
+    power_requirement_hp: 'power',
+    requiredPower: 'power',
+    working_width_m: 'length',
+    minWidth: 'length',
+    maxWidth: 'length',
+    working_depth_cm: 'centimeter',
+    hydraulic_demand_lpm: 'flow',
+  },
+  // Terrenos
+  terrain: {
+    area_hectares: 'area',
+    altitude_meters: 'length',
+    temperature_celsius: 'temperature',
+  },
+  // Datos de entrada de cálculos, lotes, barridos y recomendaciones
+  calculationInput: {
+    working_speed_kmh: 'speed',
+    carried_objects_weight_kg: 'mass',
+    ballast_weight_kg: 'mass',
+    drawbar_pull_kn: 'force',
+    working_depth_m: 'length',
+    pto_distance_m: 'length',
+    altitude_m: 'length',
+    ambient_temperature_c: 'temperature',
+    fuel_price_per_l: 'pricePerVolume',
+    required_power_hp: 'power',
+    min_power_hp: 'power',
+    max_power_hp: 'power',
+    min_net_power_hp: 'power',
+  },
+  // Pérdidas de potencia (powerLossService, tabla power_loss y replay de cálculos)
+  powerLoss: {
+    enginePower: 'power',
+    grossPower: 'power',
+    netPower: 'power',
+    net_power_hp: 'power',
+    available_power_hp: 'power',
+    altitude_loss_hp: 'power',
+    temperature_loss_hp: 'power',
+    transmission_loss_hp: 'power',
+    rolling_resistance_loss_hp: 'power',
+    slope_loss_hp: 'power',
+    slippage_loss_hp: 'power',
+    total_loss_hp: 'power',
+    dynamic_axle_load_kn: 'force',
+    total_weight_kg: 'mass',
+    altitudeMeters: 'length',
+    temperatureC: 'temperature',
+  },
+  // Potencia derateada (deratingService)
+  derating: {
+    nominalHP: 'power',
+    deratedHP: 'power',
+    lossHP: 'power',
+    drawbarHP: 'power',
+    derated_power_hp: 'power',
+    totalWeightKg: 'mass',
+    weightKg: 'mass',
+    tireWidthMm: 'millimeter',
+    tireDiameterMm: 'millimeter',
+  },
+  // Tracción y estabilidad (tractionService, stabilityService)
+  traction: {
+    axlePowerHp: 'power',
+    pullKn: 'force',
+    drawbarPullKn: 'force',
+    wheelLoadKn: 'force',
+    normalLoadKn: 'force',
+    transferKn: 'force',
+    dynamicLoadKn: 'force',
+    slopeForceKn: 'force',
+    tireWidthM: 'length',
+    tireDiameterM: 'length',
+    trackWidthMm: 'millimeter',
+    wheelbaseMm: 'millimeter',
+    cgHeightMm: 'millimeter',
+  },
+  // Tiro, TDF y potencia mínima (draftService, ptoService, minimumPowerService)
+  minimumPower: {
+    widthM: 'length',
+    workingDepthM: 'length',
+    ptoDistanceM: 'length',
+    depthCm: 'centimeter',
+    referenceDepthCm: 'centimeter',
+    speedKmh: 'speed',
+    draftKn: 'force',
+    drawbarPowerHP: 'power',
+    ptoPowerHP: 'power',
+    ptoShaftPowerHP: 'power',
+    shaftPowerHP: 'power',
+    tractorPtoPowerHP: 'power',
+    requiredPowerHP: 'power',
+    powerRequirementHP: 'power',
+    requiredHP: 'power',
+    availableHP: 'power',
+    basePowerHP: 'power',
+    tractorPowerHP: 'power',
+    tractorHP: 'power',
+    minimumPowerHP: 'power',
+    minimum_power_hp: 'power',
+    calculatedPowerHP: 'power',
+    calculated_power_hp: 'power',
+  },
+  // Combustible, capacidad de campo y costo operativo
+  operatingCost: {
+    ratedPowerHP: 'power',
+    demandedPowerHP: 'power',
+    enginePowerHP: 'power',
+    litersPerHour: 'fuelRate',
+    liters_per_hour: 'fuelRate',
+    litersPerHectare: 'fuelPerArea',
+    liters_per_hectare: 'fuelPerArea',
+    fuelPricePerL: 'pricePerVolume',
+    costPerHectare: 'costPerArea',
+    cost_per_hectare: 'costPerArea',
+    totalPerHectare: 'costPerArea',
+    breakdownPerHectare: 'costPerArea',
+    areaHectares: 'area',
+    theoreticalCapacityHaH: 'areaRate',
+    effectiveCapacityHaH: 'areaRate',
+    field_capacity_ha_h: 'areaRate',
+  },
+  // Velocidad óptima, sensibilidad e incertidumbre
+  speedOptimizer: {
+    recommendedSpeedKmh: 'speed',
+    recommended_speed_kmh: 'speed',
+    feasible_window_kmh: 'speed',
+    implement_speed_range_kmh: 'speed',
+    netPowerHP: 'power',
+    minNetPowerHP: 'power',
+    deltaNetPowerHP: 'power',
+  },
+  // Recomendaciones, comparaciones, frente de Pareto y contrafactuales
+  recommendation: {
+    nominalPowerHP: 'power',
+    deratedPowerHP: 'power',
+    effectiveHP: 'power',
+    surplusHP: 'power',
+    extraHP: 'power',
+    shortfallHP: 'power',
+    lightestRequirementHP: 'power',
+    minimum_hp: 'power',
+    nominal_power_hp: 'power',
+    power_loss_hp: 'power',
+    power_surplus_hp: 'power',
+    workingSpeedKmh: 'speed',
+    maxSpeedKmh: 'speed',
+    extraKg: 'mass',
+    ballastKg: 'mass',
+    effective_capacity_ha_h: 'areaRate',
+    fuel_liters_per_hour: 'fuelRate',
+    fuel_liters_per_hectare: 'fuelPerArea',
+    fuel_cost_per_hectare: 'costPerArea',
+    operating_cost_per_hectare: 'costPerArea',
+  },
+  // Estadísticas de administración
+  admin: {
+    averageRecommendedPowerHp: 'power',
+    average_power_hp: 'power',
+  },
+};
+
+/**
+ * Índice campo -> dimensión de todos los grupos
+ * Un campo declarado en dos grupos debe tener la misma dimensión en ambos.
+ */
+const FIELD_DIMENSIONS = Object.values(UNIT_FIELDS).reduce((index, fields) => {
+  Object.entries(fields).forEach(([field, dimension]) => {
+    if (!DIMENSIONS[dimension]) {
+      throw new Error(`Dimensión desconocida para ${field}: ${dimension}`);
+    }
+    if (index.has(field) && index.get(field) !== dimension) {
+      throw new Error(`El campo ${field} está declarado como ${index.get(field)} y ${dimension}`);
+    }
+    index.set(field, dimension);
+  });
+  return index;
+}, new Map());
+
+/**
+ * Normaliza el nombre de un sistema de unidades
+ * @param {string} value - Valor del header X-Units o de la preferencia del usuario
+ * @returns {string|null} Sistema válido o null si no se reconoce
+ */
+export const normalizeUnitSystem = (value) => {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const system = value.trim().toLowerCase();
+  return UNIT_SYSTEMS.includes(system) ? system : null;
+};
+
+/**
+ * Dimensión física declarada para un campo en UNIT_FIELDS
+ * @param {string} key - Nombre del campo
+ * @returns {string|null} Dimensión (power, mass, speed...) o null si no tiene unidad
+ */
+export const getFieldDimension = (key) => FIELD_DIMENSIONS.get(key) ?? null;
+
+/**
+ * Etiqueta de la unidad de una dimensión en un sistema
+ * @param {string} dimension - Dimensión física
+ * @param {string} system - metric | si | imperial
+ * @returns {string} Etiqueta (hp, kW, lb, mph...)
+ */
+export const getUnitLabel = (dimension, system) => DIMENSIONS[dimension][system].label;
+
+/**
+ * Redondea a 2 decimales
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convierte un valor numérico del sistema canónico al sistema indicado
+ * @param {number|string} value - Valor en el sistema canónico (acepta strings numéricos de pg)
+ * @param {string} dimension - Dimensión física
+ * @param {string} system - metric | si | imperial
+ * @param {boolean} [isDifference=false] - El valor es una diferencia (p. ej. una desviación
+ *   estándar): se escala sin aplicar el offset
+ * @returns {number|*} Valor convertido redondeado a 2 decimales; sin cambios si no es numérico
+ */
+export const fromCanonical = (value, dimension, system, isDifference = false) => {
+  const number = typeof value === 'string' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || value === '') {
+    return value;
+  }
+
+  const { factor = 1 } = DIMENSIONS[dimension][system];
+  const offset = isDifference ? 0 : (DIMENSIONS[dimension][system].offset ?? 0);
+  return factor === 1 && offset === 0 ? number : round2(number * factor + offset);
+};
+
+/**
+ * Convierte un valor numérico del sistema indicado al sistema canónico
+ * @param {number|string} value - Valor en el sistema del cliente
+ * @param {string} dimension - Dimensión física
+ * @param {string} system - metric | si | imperial
+ * @param {boolean} [isDifference=false] - El valor es una diferencia: se escala sin offset
+ * @returns {number|*} Valor canónico (sin redondeo); sin cambios si no es numérico
+ */
+export const toCanonical = (value, dimension, system, isDifference = false) => {
+  const number = typeof value === 'string' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || value === '') {
+    return value;
+  }
+
+  const { factor = 1 } = DIMENSIONS[dimension][system];
+  const offset = isDifference ? 0 : (DIMENSIONS[dimension][system].offset ?? 0);
+  return factor === 1 && offset === 0 ? number : (number - offset) / factor;
+};
+
+/**
+ * Indica si un valor es un objeto plano (no Date, Buffer, array ni null)
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isPlainObject = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+/** Claves anidadas que expresan una diferencia y no un valor absoluto (desviación estándar, delta) */
+const DIFFERENCE_KEYS = ['sd', 'delta'];
+
+/**
+ * Límites de un rango cuya dimensión la da el campo `parameter` del mismo objeto
+ * (ejes de barrido: { parameter: 'working_speed_kmh', min: 3, max: 9 })
+ */
+const PARAMETER_RANGE_KEYS = ['min', 'max'];
+
+/**
+ * Convierte todos los números de un valor con dimensión conocida
+ * (número, string numérico, array u objeto como { min, max } o { mean, sd })
+ */
+const convertMeasure = (value, convert, isDifference = false) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => convertMeasure(item, convert, isDifference));
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        convertMeasure(item, convert, DIFFERENCE_KEYS.includes(key)),
+      ]),
+    );
+  }
+  return convert(value, isDifference);
+};
+
+/**
+ * Convierte un payload de respuesta al sistema indicado y etiqueta sus unidades
+ *
+ * Cada objeto con campos de unidad conocida recibe un objeto `units` con la
+ * etiqueta de cada campo. No modifica el payload recibido.
+ *
+ * @param {*} payload - Cuerpo de la respuesta en el sistema canónico
+ * @param {string} system - metric | si | imperial
+ * @returns {*} Copia convertida
+ *
+ * @example
+ * convertResponse({ engine_power_hp: 100, weight_kg: 4000 }, 'imperial');
+ * // -> { engine_power_hp: 74.57, weight_kg: 8818.49, units: { engine_power_hp: 'kW', weight_kg: 'lb' } }
+ */
+export const convertResponse = (payload, system) => {
+  if (Array.isArray(payload)) {
+    return payload.map((item) => convertResponse(item, system));
+  }
+  if (!isPlainObject(payload)) {
+    return payload;
+  }
+
+  const converted = {};
+  const units = {};
+
+  Object.entries(payload).forEach(([key, value]) => {
+    const dimension = getFieldDimension(key);
+
+    if (dimension && value !== null && value !== undefined && typeof value !== 'boolean') {
+      converted[key] = convertMeasure(value, (item, isDifference) => fromCanonical(item, dimension, system, isDifference));
+      units[key] = getUnitLabel(dimension, system);
+    } else {
+      converted[key] = convertResponse(value, system);
+    }
+  });
+
+  if (Object.keys(units).length > 0) {
+    converted.units = units;
+  }
+
+  return converted;
+};
+
+/**
+ * Convierte un payload de entrada (body o query) del sistema indicado al canónico
+ * @param {*} payload - Datos enviados por el cliente
+ * @param {string} system - metric | si | imperial
+ * @returns {*} Copia en el sistema canónico
+ */
+export const convertRequest = (payload, system) => {
+  if (Array.isArray(payload)) {
+    return payload.map((item) => convertRequest(item, system));
+  }
+  if (!isPlainObject(payload)) {
+    return payload;
+  }
+
+  const parameterDimension = typeof payload.parameter === 'string'
+    ? getFieldDimension(payload.parameter)
+    : null;
+
+  return Object.fromEntries(
+    Object.entries(payload).map(([key, value]) => {
+      const dimension = getFieldDimension(key)
+        ?? (PARAMETER_RANGE_KEYS.includes(key) ? parameterDimension : null);
+      return dimension
+        ? [key, convertMeasure(value, (item, isDifference) => toCanonical(item, dimension, system, isDifference))]
+        : [key, convertRequest(value, system)];
+    }),
+  );
+};
+
+export default {
+  CANONICAL_SYSTEM,
+  UNIT_SYSTEMS,
+  DIMENSIONS,
+  UNIT_FIELDS,
+  normalizeUnitSystem,
+  getFieldDimension,
+  getUnitLabel,
+  fromCanonical,
+  toCanonical,
+  convertResponse,
+  convertRequest,
+};
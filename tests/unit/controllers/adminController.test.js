@@ -13,6 +13,7 @@ const mockQueryFindAll = jest.fn();
 const mockRecommendationCount = jest.fn();
 const mockRecommendationFindAll = jest.fn();
 const mockRecommendationFindOne = jest.fn();
+const mockFeedbackFindAll = jest.fn();
 
 jest.unstable_mockModule('../../../src/config/redis.js', () => ({
   __esModule: true,
@@ -49,10 +50,18 @@ jest.unstable_mockModule('../../../src/models/adminAnalytics.models.js', () => (
   },
 }));
 
+jest.unstable_mockModule('../../../src/models/RecommendationFeedback.js', () => ({
+  __esModule: true,
+  default: {
+    findAllWithContext: mockFeedbackFindAll,
+  },
+}));
+
 const {
   getOverviewStats,
   getRecommendationStats,
   getUserStats,
+  getRecommendationFeedbackStats,
 } = await import('../../../src/controllers/adminController.js');
 
 const createMockRes = () => {
@@ -336,4 +345,44 @@ describe('adminController', () => {
       );
     });
   });
+
+  describe('getRecommendationFeedbackStats()', () => {
+    test('retorna la aceptación por tractor y por criterio en la ventana pedida', async () => {
+      const req = { query: { days: '30' } };
+      const res = createMockRes();
+      const observations = JSON.stringify({
+        score: { breakdown: { power_match: 38, price: 24, brand_preference: 20, fuel_efficiency: 6 } },
+      });
+
+      mockFeedbackFindAll.mockResolvedValueOnce([
+        { tractor_id: 3, tractor_name: 'John Deere 6130M', tractor_brand: 'John Deere', decision: 'accepted', rating: 5, purchased: true, observations },
+        { tractor_id: 3, tractor_name: 'John Deere 6130M', tractor_brand: 'John Deere', decision: 'rejected', reason_code: 'too_expensive', observations },
+      ]);
+
+      await callHandler(getRecommendationFeedbackStats, req, res, jest.fn());
+
+      expect(mockFeedbackFindAll).toHaveBeenCalledWith(expect.any(String));
+      expect(res.status).toHaveBeenCalledWith(200);
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.windowDays).toBe(30);
+      expect(data.overall).toEqual(expect.objectContaining({ feedbackCount: 2, acceptanceRate: 50, purchased: 1 }));
+      expect(data.byTractor).toEqual([
+        expect.objectContaining({ tractorId: 3, name: 'John Deere 6130M', acceptanceRate: 50 }),
+      ]);
+      expect(data.byCriterion).toEqual([
+        expect.objectContaining({ criterion: 'power_match', feedbackCount: 2 }),
+      ]);
+      expect(data.rejectionReasons).toEqual([{ reasonCode: 'too_expensive', count: 1, share: 100 }]);
+    });
+
+    test('retorna 400 si days no es un entero positivo', async () => {
+      const res = createMockRes();
+
+      await callHandler(getRecommendationFeedbackStats, { query: { days: '0' } }, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockFeedbackFindAll).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -608,6 +608,63 @@ describe("authController", () => {
   });
 
   describe("updateProfile()", () => {
+    test("con preferred_units inválido → next(error) 400", async () => {
+      const req = createMockReq({ preferred_units: "cubits" }, { user_id: 1 });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await callHandler(updateProfile, req, res, next);
+
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(mockPoolQuery).not.toHaveBeenCalled();
+    });
+
+    test("con preferred_units guarda la preferencia sin renovar el token", async () => {
+      const req = createMockReq({ preferred_units: "Imperial" }, { user_id: 1 });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      mockPoolQuery.mockResolvedValueOnce({
+        rows: [
+          {
+            user_id: 1,
+            name: "Test",
+            email: "test@test.com",
+            role_id: 2,
+            status: "active",
+            preferred_units: "imperial",
+          },
+        ],
+      });
+
+      await callHandler(updateProfile, req, res, next);
+
+      expect(mockPoolQuery).toHaveBeenCalledWith(
+        expect.stringContaining("preferred_units = CASE WHEN $5 THEN $3 ELSE preferred_units END"),
+        [null, null, "imperial", 1, true],
+      );
+      expect(mockGenerateToken).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].data).toEqual({
+        user: expect.objectContaining({ preferred_units: "imperial" }),
+      });
+    });
+
+    test("con preferred_units null restablece las unidades por defecto", async () => {
+      const req = createMockReq({ preferred_units: null }, { user_id: 1 });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      mockPoolQuery.mockResolvedValueOnce({
+        rows: [{ user_id: 1, name: "Test", email: "test@test.com", role_id: 2, preferred_units: null }],
+      });
+
+      await callHandler(updateProfile, req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(mockPoolQuery).toHaveBeenCalledWith(expect.any(String), [null, null, null, 1, true]);
+      expect(res.json.mock.calls[0][0].data.user.preferred_units).toBeNull();
+    });
+
     test("sin nombre ni email → next(error) 400", async () => {
       const req = createMockReq({}, { user_id: 1 });
       const res = createMockRes();
@@ -685,7 +742,7 @@ describe("authController", () => {
       expect(mockPoolQuery).toHaveBeenNthCalledWith(
         2,
         expect.stringContaining("UPDATE users"),
-        ["Nuevo Nombre", "nuevo@test.com", 1],
+        ["Nuevo Nombre", "nuevo@test.com", null, 1],
       );
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith(
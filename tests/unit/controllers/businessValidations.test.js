@@ -20,6 +20,11 @@ jest.unstable_mockModule("../../../src/models/Recommendation.js", () => ({
   __esModule: true,
 }));
 
+jest.unstable_mockModule("../../../src/models/RecommendationFeedback.js", () => ({
+  default: { findByUserWithContext: jest.fn().mockResolvedValue([]) },
+  __esModule: true,
+}));
+
 const mockUserDelete = jest.fn();
 jest.unstable_mockModule("../../../src/models/User.js", () => ({
   default: { dlt: mockUserDelete, delete: mockUserDelete, findById: jest.fn() },
@@ -64,6 +69,7 @@ jest.unstable_mockModule(
   "../../../src/services/minimumPowerService.js",
   () => ({
     calculateMinimumPower: mockCalcPower,
+    normalizeSoilType: jest.fn(() => "loam"),
     __esModule: true,
   }),
 );
@@ -76,6 +82,13 @@ jest.unstable_mockModule(
     generateRecommendation: mockGenerateRec,
     generateAdvancedRecommendation: mockGenerateAdvancedRec,
     analyzeTerrain: jest.fn().mockReturnValue({ slopeClass: "FLAT" }),
+    generateFleetFirstRecommendation: jest.fn(),
+    findCompatibleTractors: jest.fn(),
+    calculateScore: jest.fn(),
+    RECOMMENDATION_SOURCES: { OWNED: "owned", PURCHASE: "purchase" },
+    SCORING_CONFIG: {
+      ADVANCED_WEIGHTS: { power_match: 40, price: 30, brand_preference: 20, fuel_efficiency: 10 },
+    },
     __esModule: true,
   }),
 );
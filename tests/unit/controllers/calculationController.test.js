@@ -1,4 +1,5 @@
 import { beforeAll, afterAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { resolveSoil, DEFAULT_SOIL_CATALOG } from '../../../src/services/soilService.js';
 
 const mockConnect = jest.fn();
 const mockPoolQuery = jest.fn();
@@ -6,9 +7,27 @@ const mockTractorFindById = jest.fn();
 const mockTractorGetAll = jest.fn();
 const mockTerrainFindById = jest.fn();
 const mockImplementFindById = jest.fn();
+const mockQueryFindPowerLoss = jest.fn();
+const mockTractorFindByIds = jest.fn();
+const mockTractorAdvancedSearch = jest.fn();
+const mockTerrainFindByIdsAndUser = jest.fn();
+const mockTerrainFindByIdAndUser = jest.fn();
+const mockQuerySetCreate = jest.fn();
 const mockCalculateTotalLoss = jest.fn();
 const mockCalculateMinimumPower = jest.fn();
+const mockCalculateDeratedPower = jest.fn();
 const mockLoggerInfo = jest.fn();
+const mockGetActiveProfile = jest.fn();
+
+const mockProfile = {
+  version: 3,
+  name: 'Calibración de prueba',
+  coefficients: {
+    powerLoss: { DEFAULT_TRANSMISSION_LOSS: 0.13 },
+    minimumPower: { SAFETY_MARGIN: 0.15 },
+    recommendation: {},
+  },
+};
 
 const mockClient = {
   query: jest.fn(),
@@ -27,6 +46,8 @@ jest.unstable_mockModule('../../../src/models/Tractor.js', () => ({
   __esModule: true,
   default: {
     findById: mockTractorFindById,
+    findByIds: mockTractorFindByIds,
+    advancedSearch: mockTractorAdvancedSearch,
     getAll: mockTractorGetAll,
   },
 }));
@@ -35,6 +56,8 @@ jest.unstable_mockModule('../../../src/models/Terrain.js', () => ({
   __esModule: true,
   default: {
     findById: mockTerrainFindById,
+    findByIdsAndUser: mockTerrainFindByIdsAndUser,
+    findByIdAndUser: mockTerrainFindByIdAndUser,
   },
 }));
 
@@ -45,14 +68,49 @@ jest.unstable_mockModule('../../../src/models/Implement.js', () => ({
   },
 }));
 
+jest.unstable_mockModule('../../../src/models/Query.js', () => ({
+  __esModule: true,
+  default: {
+    findPowerLossByIdAndUser: mockQueryFindPowerLoss,
+  },
+}));
+
+jest.unstable_mockModule('../../../src/models/QuerySet.js', () => ({
+  __esModule: true,
+  default: {
+    create: mockQuerySetCreate,
+  },
+}));
+
 jest.unstable_mockModule('../../../src/services/powerLossService.js', () => ({
   __esModule: true,
   calculateTotalLoss: mockCalculateTotalLoss,
+  getConstants: () => ({ MODEL_VERSION: '1.0.0' }),
+  getSoilCn: (soil, moisture, catalog) => resolveSoil(soil, moisture, catalog).coneIndex,
+}));
+
+jest.unstable_mockModule('../../../src/services/deratingService.js', () => ({
+  __esModule: true,
+  calculateDeratedPower: mockCalculateDeratedPower,
+  isTurbo: (tractor) => tractor?.aspiration_type === 'turbo',
+}));
+
+jest.unstable_mockModule('../../../src/services/soilCatalogService.js', () => ({
+  __esModule: true,
+  getSoilCatalog: jest.fn().mockResolvedValue(DEFAULT_SOIL_CATALOG),
+}));
+
+jest.unstable_mockModule('../../../src/services/calculationProfileService.js', () => ({
+  __esModule: true,
+  getActiveProfile: mockGetActiveProfile,
+  getDefaultCoefficients: jest.fn(() => mockProfile.coefficients),
+  CONSTANTS: { DEFAULT_PROFILE_NAME: 'Valores por defecto' },
 }));
 
 jest.unstable_mockModule('../../../src/services/minimumPowerService.js', () => ({
   __esModule: true,
   calculateMinimumPower: mockCalculateMinimumPower,
+  normalizeSoilType: jest.fn(() => 'loam'),
 }));
 
 jest.unstable_mockModule('../../../src/config/logger.js', () => ({
@@ -69,7 +127,14 @@ const {
 calculatePowerLoss,
 calculateMinimumPower,
 calculateDirectMinimumPower,
+calculateDirectPowerLoss,
+calculateOperatingCost,
+calculatePowerSensitivity,
+calculatePowerUncertainty,
+calculatePowerLossBatch,
+calculateOptimalSpeed,
 getCalculationHistory,
+replayCalculation,
 } = controller;
 
 const createMockRes = () => {
@@ -104,14 +169,28 @@ describe('calculationController', () => {
       mockTractorGetAll,
       mockTerrainFindById,
       mockImplementFindById,
+      mockQueryFindPowerLoss,
+      mockTractorFindByIds,
+      mockTractorAdvancedSearch,
+      mockTerrainFindByIdsAndUser,
+      mockTerrainFindByIdAndUser,
+      mockQuerySetCreate,
       mockCalculateTotalLoss,
       mockCalculateMinimumPower,
+      mockCalculateDeratedPower,
       mockLoggerInfo,
+      mockGetActiveProfile,
       mockClient.query,
       mockClient.release,
     ].forEach((mockFn) => mockFn.mockReset());
     mockConnect.mockResolvedValue(mockClient);
     mockClient.query.mockResolvedValue({ rows: [] });
+    mockGetActiveProfile.mockResolvedValue(mockProfile);
+    // Sin pérdidas salvo que el test lo indique: derateada = nominal
+    mockCalculateDeratedPower.mockImplementation((tractor) => ({
+      nominalHP: tractor.engine_power_hp,
+      deratedHP: tractor.engine_power_hp,
+    }));
   });
 
   describe('calculatePowerLoss()', () => {
@@ -261,9 +340,39 @@ describe('calculationController', () => {
           speedKmh: 7,
           slippagePercent: 12,
           hasTurbo: false,
+          traction: {
+            tractionType: undefined,
+            tireWidthMm: undefined,
+            tireDiameterMm: undefined,
+            tirePressurePsi: undefined,
+            drawbarPullKn: undefined,
+          },
+          coefficients: mockProfile.coefficients.powerLoss,
         });
       expect(mockClient.query).toHaveBeenCalledWith('BEGIN');
       expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+
+      // La instantánea de entradas y la versión del modelo permiten reproducir el cálculo
+      const [, queryValues] = mockClient.query.mock.calls[1];
+      const snapshot = JSON.parse(queryValues[6]);
+      expect(snapshot).toEqual(expect.objectContaining({
+        model_version: '1.0.0',
+        request: { working_speed_kmh: 7, carried_objects_weight_kg: 500, slippage_percent: 12 },
+        terrain: { soil_type: 'arcilla', moisture_condition: null },
+      }));
+      expect(snapshot.params).toEqual(expect.objectContaining({ soilCn: 45, temperatureC: 18 }));
+      expect(queryValues[7]).toBe('1.0.0');
+
+      const [, lossValues] = mockClient.query.mock.calls[2];
+      expect(lossValues).toEqual([91, 5, 3, 12, 8.5, null, null, 28.5, 130, 101.5, 78.08, 12, 45, false, 18]);
+
+      const [, historyValues] = mockClient.query.mock.calls[3];
+      expect(JSON.parse(historyValues[3])).toEqual(expect.objectContaining({
+        queryId: 91,
+        modelVersion: '1.0.0',
+        netPower: 101.5,
+        results: expect.objectContaining({ total_loss_hp: 28.5, soil_cn: 45 }),
+      }));
       expect(mockLoggerInfo).toHaveBeenCalledWith('Power calculation completed', {
         queryId: 91,
         userId: 22,
@@ -279,15 +388,164 @@ describe('calculationController', () => {
           success: true,
           data: expect.objectContaining({
             queryId: 91,
+            calculationProfileVersion: 3,
             net_power_hp: 101.5,
             engine_power_hp: 130,
             efficiency_percentage: 78.08,
+            // Sin tiro conocido: plena carga de 127 HP disponibles sobre 130 HP nominales
+            fuel: expect.objectContaining({
+              load_percent: 97.69,
+              liters_per_hour: 30.14,
+              liters_per_hectare: null,
+            }),
           }),
         }),
       );
       expect(mockClient.release).toHaveBeenCalled();
     });
 
+    test('usa el índice de cono del catálogo según la humedad del terreno', async () => {
+      const req = { body: { tractor_id: 4, terrain_id: 6, working_speed_kmh: 7 }, user: { user_id: 22 } };
+      const res = createMockRes();
+
+      mockTractorFindById.mockResolvedValue({
+        tractor_id: 4,
+        weight_kg: 5000,
+        engine_power_hp: 130,
+      });
+      mockTerrainFindById.mockResolvedValue({
+        terrain_id: 6,
+        name: 'Bajo inundable',
+        soil_type: 'arcilla',
+        moisture_condition: 'wet',
+        slope_percentage: 2,
+        altitude_meters: 200,
+        temperature_celsius: 15,
+      });
+      mockCalculateTotalLoss.mockReturnValue({
+        grossPower: 130,
+        netPower: 90,
+        efficiency: 69.23,
+        losses: { slope: 1, altitude: 1, rollingResistance: 20, slippage: 18, total: 40 },
+      });
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ query_id: 93 }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({});
+
+      await callWrappedHandler(calculatePowerLoss, req, res);
+
+      expect(mockCalculateTotalLoss).toHaveBeenCalledWith(expect.objectContaining({ soilCn: 25 }));
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.terrain.soil).toEqual({
+        code: 'clay',
+        moisture_condition: 'wet',
+        cone_index: 25,
+        difficulty: 95,
+        recognized: true,
+      });
+    });
+
+    test('sin slippage_percent delega la predicción de tracción y la reporta', async () => {
+      const req = {
+        body: {
+          tractor_id: 4,
+          terrain_id: 6,
+          working_speed_kmh: 7,
+          drawbar_pull_kn: 18,
+        },
+        user: { user_id: 22 },
+      };
+      const res = createMockRes();
+
+      mockTractorFindById.mockResolvedValue({
+        tractor_id: 4,
+        brand: 'John Deere',
+        model: '6130M',
+        weight_kg: 5000,
+        engine_power_hp: 130,
+        traction_type: '4x4',
+        tire_width_mm: 520,
+        tire_diameter_mm: 1750,
+        tire_pressure_psi: 14,
+        track_width_mm: 1800,
+        wheelbase_mm: 2400,
+        cg_height_mm: 950,
+      });
+      mockTerrainFindById.mockResolvedValue({
+        terrain_id: 6,
+        name: 'Lote Norte',
+        soil_type: 'franco',
+        slope_percentage: 4,
+        altitude_meters: 800,
+        temperature_celsius: 20,
+      });
+      mockCalculateTotalLoss.mockReturnValue({
+        grossPower: 130,
+        netPower: 96.4,
+        efficiency: 74.15,
+        losses: { slope: 2, altitude: 3, rollingResistance: 9, slippage: 9.6, total: 33.6 },
+        traction: {
+          slippagePercent: 9.35,
+          source: 'predicted',
+          prediction: {
+            drawbarPullKn: 18,
+            tractiveEfficiency: 76.2,
+            netTractionRatio: 0.39,
+            mobilityNumber: 62.5,
+            dynamicLoadKn: 49,
+            tractionLimited: false,
+          },
+        },
+      });
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ query_id: 92 }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({});
+
+      await callWrappedHandler(calculatePowerLoss, req, res);
+
+      expect(mockCalculateTotalLoss).toHaveBeenCalledWith(
+        expect.objectContaining({
+          slippagePercent: undefined,
+          soilCn: 35,
+          traction: {
+            tractionType: '4x4',
+            tireWidthMm: 520,
+            tireDiameterMm: 1750,
+            tirePressurePsi: 14,
+            drawbarPullKn: 18,
+          },
+        }),
+      );
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({
+            traction: {
+              slippage_percent: 9.35,
+              slippage_source: 'predicted',
+              drawbar_pull_kn: 18,
+              tractive_efficiency_percent: 76.2,
+              net_traction_ratio: 0.39,
+              mobility_number: 62.5,
+              dynamic_axle_load_kn: 49,
+              traction_limited: false,
+            },
+            stability: expect.objectContaining({
+              slopePercent: 4,
+              governingDirection: 'crossSlope',
+              safetyFactor: 13.31,
+              level: 'SAFE',
+            }),
+          }),
+        }),
+      );
+    });
+
     test('hace rollback y delega error cuando falla la persistencia', async () => {
       const req = {
         body: {
@@ -456,6 +714,7 @@ describe('calculationController', () => {
           implement_id: 3,
           terrain_id: 5,
           working_depth_m: 0.3,
+          working_speed_kmh: 8,
         },
         user: { userId: 22 },
       };
@@ -467,6 +726,7 @@ describe('calculationController', () => {
         implement_type: 'seeder',
         brand: 'Agro',
         power_requirement_hp: 80,
+        working_width_m: '3.0',
         working_depth_cm: 25,
       });
       mockTerrainFindById.mockResolvedValue({
@@ -474,6 +734,7 @@ describe('calculationController', () => {
         name: 'Plano 1',
         soil_type: 'loam',
         slope_percentage: 3,
+        area_hectares: '12',
       });
       mockTractorGetAll.mockResolvedValue([
         { tractor_id: 10, name: 'Optimo', brand: 'JD', model: 'A', engine_power_hp: 110, status: 'available' },
@@ -484,7 +745,9 @@ describe('calculationController', () => {
       mockCalculateMinimumPower.mockReturnValue({
         minimumPowerHP: 100,
         calculatedPowerHP: 87,
+        model: 'asabe_draft',
         factors: { slopeFactor: 1.1 },
+        draft: { draftKn: 6.3, drawbarPowerHP: 18.77, ptoPowerHP: 0 },
       });
       mockClient.query
         .mockResolvedValueOnce({})
@@ -498,11 +761,21 @@ describe('calculationController', () => {
         {
           power_requirement_hp: 80,
           working_depth_m: 0.3,
+          implement_type: 'seeder',
+          working_width_m: 3,
+          working_speed_kmh: 8,
         },
         {
           soil_type: 'loam',
           slope_percentage: 3,
         },
+        mockProfile.coefficients.minimumPower,
+        DEFAULT_SOIL_CATALOG,
+      );
+      // Capacidad de campo: 3 m · 8 km/h / 10 = 2.4 ha/h teórica, ×0.65 = 1.56 ha/h efectiva
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('field_capacity_ha_h'),
+        [22, 5, 10, 3, 8, 1.56, 7.69, 1, null, 3],
       );
       expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
       expect(res.status).toHaveBeenCalledWith(200);
@@ -511,6 +784,16 @@ describe('calculationController', () => {
           success: true,
           data: expect.objectContaining({
             queryId: 81,
+            fieldCapacity: expect.objectContaining({
+              theoreticalCapacityHaH: 2.4,
+              effectiveCapacityHaH: 1.56,
+              totalHours: 7.69,
+              workdays: 1,
+            }),
+            powerRequirement: expect.objectContaining({
+              model: 'asabe_draft',
+              draft: { draftKn: 6.3, drawbarPowerHP: 18.77, ptoPowerHP: 0 },
+            }),
             tractorAnalysis: {
               total_evaluated: 4,
               summary: {
@@ -524,6 +807,12 @@ describe('calculationController', () => {
                 expect.objectContaining({
                   tractor_id: 10,
                   rank: 1,
+                  // 87 HP demandados sobre 110 HP nominales a 1.56 ha/h
+                  fuel: expect.objectContaining({
+                    load_percent: 79.09,
+                    liters_per_hectare: 14.2,
+                    cost_per_hectare: 17.04,
+                  }),
                 }),
                 expect.objectContaining({
                   tractor_id: 11,
@@ -539,6 +828,66 @@ describe('calculationController', () => {
       );
     });
 
+    test('clasifica los tractores con la potencia derateada en el terreno', async () => {
+      const req = {
+        body: { implement_id: 3, terrain_id: 5 },
+        user: { user_id: 22 },
+      };
+      const res = createMockRes();
+      const terrain = {
+        terrain_id: 5,
+        name: 'Altiplano',
+        soil_type: 'loam',
+        slope_percentage: 3,
+        altitude_meters: 2600,
+        temperature_celsius: 12,
+      };
+
+      mockImplementFindById.mockResolvedValue({
+        implement_id: 3,
+        implement_name: 'Arado',
+        implement_type: 'plow',
+        power_requirement_hp: 80,
+      });
+      mockTerrainFindById.mockResolvedValue(terrain);
+      mockTractorGetAll.mockResolvedValue([
+        { tractor_id: 10, name: 'Aspirado', engine_power_hp: 110, aspiration_type: 'aspirated', status: 'available' },
+        { tractor_id: 11, name: 'Turbo', engine_power_hp: 110, aspiration_type: 'turbo', status: 'available' },
+      ]);
+      mockCalculateMinimumPower.mockReturnValue({
+        minimumPowerHP: 100,
+        calculatedPowerHP: 87,
+        model: 'asabe_draft',
+        draft: { draftKn: 6.3, speedKmh: 6 },
+      });
+      mockCalculateDeratedPower.mockImplementation((tractor) => ({
+        nominalHP: 110,
+        deratedHP: tractor.aspiration_type === 'turbo' ? 104 : 92,
+      }));
+      mockClient.query.mockResolvedValueOnce({}).mockResolvedValueOnce({ rows: [{ query_id: 82 }] });
+
+      await calculateMinimumPower(req, res);
+
+      expect(mockCalculateDeratedPower).toHaveBeenCalledWith(
+        expect.objectContaining({ tractor_id: 10 }),
+        terrain,
+        expect.objectContaining({
+          speedKmh: 6,
+          drawbarPullKn: 6.3,
+          implementType: 'plow',
+          coefficients: mockProfile.coefficients.powerLoss,
+        }),
+      );
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.tractorAnalysis.summary).toEqual({ optimal: 1, overpowered: 0, insufficient: 1 });
+      expect(data.recommendations.best_match).toEqual(expect.objectContaining({
+        tractor_id: 11,
+        engine_power_hp: 110,
+        derated_power_hp: 104,
+        aspiration_type: 'turbo',
+      }));
+    });
+
     test('retorna 500 y rollback cuando ocurre un error inesperado', async () => {
       const req = {
         body: { implement_id: 3, terrain_id: 5 },
@@ -575,6 +924,73 @@ describe('calculationController', () => {
     });
   });
 
+  describe('calculateDirectPowerLoss()', () => {
+    test('persiste la instantánea de entradas y el desglose completo para poder reproducirlo', async () => {
+      const req = {
+        body: {
+          engine_power_hp: 110,
+          weight_kg: 4200,
+          soil_type: 'loam',
+          moisture_condition: 'moist',
+          altitude_m: 2600,
+          ambient_temperature_c: 14,
+          slope_percent: 6,
+          slippage_percent: 10,
+          has_turbo: true,
+          working_speed_kmh: 6,
+        },
+        user: { user_id: 22 },
+      };
+      const res = createMockRes();
+      const soilCn = resolveSoil('loam', 'moist', DEFAULT_SOIL_CATALOG).coneIndex;
+
+      mockCalculateTotalLoss.mockReturnValue({
+        grossPower: 110,
+        netPower: 80,
+        efficiency: 72.73,
+        losses: {
+          slope: 4,
+          altitude: 6,
+          temperature: 1,
+          transmission: 14.3,
+          rollingResistance: 3,
+          slippage: 1.7,
+          total: 30,
+        },
+      });
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ query_id: 93 }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({});
+
+      await callWrappedHandler(calculateDirectPowerLoss, req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+
+      const [querySql, queryValues] = mockClient.query.mock.calls[1];
+      expect(querySql).toContain('input_snapshot, model_version');
+      const snapshot = JSON.parse(queryValues[4]);
+      expect(snapshot).toEqual(expect.objectContaining({
+        model_version: '1.0.0',
+        request: { working_speed_kmh: 6, slippage_percent: 10, has_turbo: true },
+        terrain: { soil_type: 'loam', moisture_condition: 'moist' },
+      }));
+      expect(snapshot.params).toEqual(expect.objectContaining({
+        enginePower: 110,
+        totalWeightKg: 4200,
+        soilCn,
+        temperatureC: 14,
+        hasTurbo: true,
+      }));
+      expect(queryValues[5]).toBe('1.0.0');
+
+      const [, lossValues] = mockClient.query.mock.calls[2];
+      expect(lossValues).toEqual([93, 4, 6, 3, 1.7, 1, 14.3, 30, 110, 80, 72.73, 10, soilCn, true, 14]);
+    });
+  });
+
   describe('calculateDirectMinimumPower()', () => {
     test('retorna cálculo exitoso sin usuario (sin persistencia)', async () => {
       const req = {
@@ -603,6 +1019,8 @@ describe('calculationController', () => {
       expect(mockCalculateMinimumPower).toHaveBeenCalledWith(
         { power_requirement_hp: 80, working_depth_m: 0.3 },
         { soil_type: 'loam', slope_percentage: 5 },
+        mockProfile.coefficients.minimumPower,
+        DEFAULT_SOIL_CATALOG,
       );
       expect(mockConnect).not.toHaveBeenCalled();
       expect(res.status).toHaveBeenCalledWith(200);
@@ -635,6 +1053,117 @@ describe('calculationController', () => {
       );
     });
 
+    test('clasifica con la potencia derateada por la altitud y la temperatura informadas', async () => {
+      const req = {
+        body: {
+          power_requirement_hp: 80,
+          soil_type: 'loam',
+          slope_percentage: 5,
+          altitude_m: 2600,
+          ambient_temperature_c: 25,
+        },
+      };
+      const res = createMockRes();
+
+      mockCalculateMinimumPower.mockReturnValue({ minimumPowerHP: 95, calculatedPowerHP: 82, factors: {} });
+      mockTractorGetAll.mockResolvedValue([
+        { tractor_id: 20, name: 'Aspirado', engine_power_hp: 100, aspiration_type: 'aspirated', status: 'available' },
+        { tractor_id: 21, name: 'Turbo', engine_power_hp: 100, aspiration_type: 'turbo', status: 'available' },
+      ]);
+      mockCalculateDeratedPower.mockImplementation((tractor) => ({
+        nominalHP: 100,
+        deratedHP: tractor.aspiration_type === 'turbo' ? 100 : 89.33,
+      }));
+
+      await callWrappedHandler(calculateDirectMinimumPower, req, res);
+
+      expect(mockCalculateDeratedPower).toHaveBeenCalledWith(
+        expect.objectContaining({ tractor_id: 20 }),
+        expect.objectContaining({ altitude_meters: 2600, temperature_celsius: 25, slope_percentage: 5 }),
+        expect.objectContaining({ coefficients: mockProfile.coefficients.powerLoss }),
+      );
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.recommendations.top_5).toEqual([
+        expect.objectContaining({
+          tractor_id: 21,
+          derated_power_hp: 100,
+          suitability: expect.objectContaining({ score: 'OPTIMAL' }),
+        }),
+      ]);
+      expect(data.tractorAnalysis.summary).toEqual({ optimal: 1, overpowered: 0, insufficient: 1 });
+    });
+
+    test('degrada a INSUFFICIENT al tractor cuya TDF no cubre la demanda del implemento', async () => {
+      const req = {
+        body: {
+          power_requirement_hp: 60,
+          soil_type: 'loam',
+          slope_percentage: 0,
+          implement_type: 'rotary_tiller',
+          working_width_m: 3,
+          pto_distance_m: 2,
+        },
+      };
+      const res = createMockRes();
+
+      mockCalculateMinimumPower.mockReturnValue({
+        minimumPowerHP: 100,
+        calculatedPowerHP: 87,
+        factors: { safetyMargin: 0.15 },
+        powerDemand: { drawbarPowerHP: 10, ptoPowerHP: 55 },
+        input: { terrainData: { soil_type: 'loam', slope_percentage: 0 } },
+      });
+      mockTractorGetAll.mockResolvedValue([
+        { tractor_id: 20, name: 'TDF corta', brand: 'JD', model: 'A', engine_power_hp: 110, pto_power_hp: 50, status: 'available' },
+        { tractor_id: 21, name: 'Potente', brand: 'Case', model: 'B', engine_power_hp: 120, status: 'available' },
+      ]);
+
+      await callWrappedHandler(calculateDirectMinimumPower, req, res);
+
+      expect(mockCalculateMinimumPower).toHaveBeenCalledWith(
+        expect.objectContaining({ implement_type: 'rotary_tiller', pto_distance_m: 2 }),
+        { soil_type: 'loam', slope_percentage: 0 },
+        mockProfile.coefficients.minimumPower,
+        DEFAULT_SOIL_CATALOG,
+      );
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.tractorAnalysis.summary).toEqual({ optimal: 1, overpowered: 0, insufficient: 1 });
+      expect(data.recommendations.top_5.map((t) => t.tractor_id)).toEqual([21]);
+      expect(data.recommendations.top_5[0].powerCapability).toEqual(
+        expect.objectContaining({ sufficient: true, limitingFactor: 'pto' }),
+      );
+    });
+
+    test('excluye del top 5 los tractores con riesgo de vuelco en la pendiente', async () => {
+      const req = {
+        body: {
+          power_requirement_hp: 80,
+          soil_type: 'loam',
+          slope_percentage: 45,
+        },
+      };
+      const res = createMockRes();
+      const geometry = { wheelbase_mm: 2400, cg_height_mm: 950, traction_type: '4x4', status: 'available' };
+
+      mockCalculateMinimumPower.mockReturnValue({ minimumPowerHP: 100, calculatedPowerHP: 87, factors: {} });
+      mockTractorGetAll.mockResolvedValue([
+        { tractor_id: 10, name: 'Angosto', engine_power_hp: 110, track_width_mm: 1800, ...geometry },
+        { tractor_id: 11, name: 'Ancho', engine_power_hp: 120, track_width_mm: 2400, ...geometry },
+      ]);
+
+      await callWrappedHandler(calculateDirectMinimumPower, req, res);
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.tractorAnalysis.summary).toEqual({ optimal: 2, overpowered: 0, insufficient: 0 });
+      expect(data.recommendations.top_5).toEqual([
+        expect.objectContaining({
+          tractor_id: 11,
+          rank: 1,
+          stability: expect.objectContaining({ level: 'CAUTION' }),
+        }),
+      ]);
+    });
+
     test('retorna cálculo con persistencia cuando hay usuario autenticado', async () => {
       const req = {
         body: {
@@ -747,6 +1276,36 @@ describe('calculationController', () => {
       );
     });
 
+    test('usa los coeficientes por defecto cuando no se puede leer el perfil activo', async () => {
+      const req = {
+        body: {
+          power_requirement_hp: 80,
+          soil_type: 'loam',
+          slope_percentage: 5,
+        },
+      };
+      const res = createMockRes();
+
+      mockGetActiveProfile.mockRejectedValue(new Error('DB unavailable'));
+      mockCalculateMinimumPower.mockReturnValue({
+        minimumPowerHP: 100,
+        calculatedPowerHP: 87,
+        factors: { soilFactor: 1.0 },
+      });
+      mockTractorGetAll.mockResolvedValue([]);
+
+      await callWrappedHandler(calculateDirectMinimumPower, req, res);
+
+      expect(mockCalculateMinimumPower).toHaveBeenCalledWith(
+        { power_requirement_hp: 80 },
+        { soil_type: 'loam', slope_percentage: 5 },
+        mockProfile.coefficients.minimumPower,
+        DEFAULT_SOIL_CATALOG,
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].data.calculationProfileVersion).toBeNull();
+    });
+
     test('filtra tractores inactive del análisis', async () => {
       const req = {
         body: {
@@ -861,6 +1420,706 @@ describe('calculationController', () => {
     });
   });
 
+  describe('calculateOperatingCost()', () => {
+    const tractorRow = {
+      tractor_id: 7,
+      name: 'JD 6110M',
+      brand: 'John Deere',
+      model: '6110M',
+      model_year: null,
+      engine_power_hp: '110',
+      price: null,
+      price_usd: '85000',
+      traction_type: '4x4',
+      maintenance_cost_per_hour: '4.5',
+    };
+
+    test('retorna 404 cuando el tractor o el implemento no existen', async () => {
+      const res = createMockRes();
+      mockTractorFindById.mockResolvedValue(null);
+
+      await callWrappedHandler(calculateOperatingCost, { body: { tractor_id: 99, annual_hours: 500 } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Tractor no encontrado' });
+
+      const res2 = createMockRes();
+      mockTractorFindById.mockResolvedValue(tractorRow);
+      mockImplementFindById.mockResolvedValue(null);
+
+      await callWrappedHandler(
+        calculateOperatingCost,
+        { body: { tractor_id: 7, implement_id: 3, annual_hours: 500 } },
+        res2,
+      );
+
+      expect(res2.status).toHaveBeenCalledWith(404);
+      expect(res2.json).toHaveBeenCalledWith({ success: false, message: 'Implemento no encontrado' });
+    });
+
+    test('retorna 400 cuando el tractor no tiene precio', async () => {
+      const res = createMockRes();
+      mockTractorFindById.mockResolvedValue({ ...tractorRow, price_usd: null });
+
+      await callWrappedHandler(calculateOperatingCost, { body: { tractor_id: 7, annual_hours: 500 } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'El tractor no tiene precio registrado (price / price_usd)',
+      });
+    });
+
+    test('desglosa costos por hora y por hectárea con la carga del tiro del implemento', async () => {
+      const res = createMockRes();
+      mockTractorFindById.mockResolvedValue(tractorRow);
+      mockImplementFindById.mockResolvedValue({
+        implement_id: 3,
+        implement_name: 'Arado',
+        implement_type: 'plow',
+        power_requirement_hp: '90',
+        working_width_m: '0.9',
+        working_depth_cm: '25',
+      });
+
+      await callWrappedHandler(
+        calculateOperatingCost,
+        {
+          body: {
+            tractor_id: 7,
+            implement_id: 3,
+            annual_hours: 500,
+            implement_price: 9000,
+            working_speed_kmh: 7,
+            labor_cost_per_hour: 6,
+          },
+        },
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { data } = res.json.mock.calls[0][0];
+
+      expect(data.implement).toEqual({ id: 3, name: 'Arado', type: 'plow', working_width_m: 0.9 });
+      // 0.9 m · 7 km/h / 10 · 0.8 = 0.504 ha/h
+      expect(data.fieldCapacity.effectiveCapacityHaH).toBe(0.5);
+      // Tiro ASABE (~53.6 HP de motor) en lugar de los 90 HP de catálogo
+      expect(data.costs.fuel.loadPercent).toBeCloseTo(48.7, 0);
+      expect(data.costs.tractor.repairSource).toBe('catalog');
+      expect(data.costs.implement.repairSource).toBe('asabe');
+      expect(data.costs.breakdownPerHour.repairAndMaintenance).toBeGreaterThan(4.5);
+      expect(data.costs.breakdownPerHour.labor).toBe(6.6);
+      expect(data.costs.totalPerHectare).toBeCloseTo(data.costs.totalPerHour / 0.5, 1);
+    });
+  });
+
+  describe('calculatePowerSensitivity()', () => {
+    test('retorna 404 cuando el terreno no existe', async () => {
+      const res = createMockRes();
+      mockTractorFindById.mockResolvedValue({ tractor_id: 4, weight_kg: 5000, engine_power_hp: 130 });
+      mockTerrainFindByIdAndUser.mockResolvedValue(null);
+
+      await callWrappedHandler(
+        calculatePowerSensitivity,
+        { body: { tractor_id: 4, terrain_id: 99, working_speed_kmh: 7, sweeps: [] }, user: { user_id: 22 } },
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Terreno no encontrado' });
+    });
+
+    test('retorna 404 con el terreno privado de otro usuario sin calcular', async () => {
+      const res = createMockRes();
+      mockTractorFindById.mockResolvedValue({ tractor_id: 4, weight_kg: 5000, engine_power_hp: 130 });
+      // El terreno 6 existe pero pertenece a otro usuario
+      mockTerrainFindById.mockResolvedValue({ terrain_id: 6, user_id: 77, soil_type: 'franco' });
+      mockTerrainFindByIdAndUser.mockResolvedValue(undefined);
+
+      await callWrappedHandler(
+        calculatePowerSensitivity,
+        {
+          body: {
+            tractor_id: 4,
+            terrain_id: 6,
+            working_speed_kmh: 7,
+            sweeps: [{ parameter: 'slope_percent', min: 0, max: 30, steps: 4 }],
+          },
+          user: { user_id: 22 },
+        },
+        res,
+      );
+
+      expect(mockTerrainFindByIdAndUser).toHaveBeenCalledWith(6, 22);
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Terreno no encontrado' });
+      expect(mockCalculateTotalLoss).not.toHaveBeenCalled();
+    });
+
+    test('barre la pendiente desde el punto base del tractor en el terreno', async () => {
+      const res = createMockRes();
+      mockTractorFindById.mockResolvedValue({
+        tractor_id: 4,
+        brand: 'John Deere',
+        model: '6130M',
+        weight_kg: 5000,
+        engine_power_hp: 130,
+      });
+      mockTerrainFindByIdAndUser.mockResolvedValue({
+        terrain_id: 6,
+        name: 'Lote Norte',
+        soil_type: 'franco',
+        slope_percentage: 8,
+        altitude_meters: 1500,
+        temperature_celsius: 18,
+      });
+      mockCalculateTotalLoss.mockImplementation((params) => ({
+        netPower: 100 - params.slopePercent * 2,
+        efficiency: 70,
+        traction: { slippagePercent: 12 },
+      }));
+
+      await callWrappedHandler(
+        calculatePowerSensitivity,
+        {
+          body: {
+            tractor_id: 4,
+            terrain_id: 6,
+            working_speed_kmh: 7,
+            carried_objects_weight_kg: 500,
+            sweeps: [{ parameter: 'slope_percent', min: 0, max: 30, steps: 4 }],
+            min_net_power_hp: 60,
+          },
+          user: { user_id: 22 },
+        },
+        res,
+      );
+
+      expect(mockCalculateTotalLoss).toHaveBeenCalledWith(
+        expect.objectContaining({ totalWeightKg: 5500, soilCn: 35, slopePercent: 20 }),
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { data } = res.json.mock.calls[0][0];
+
+      expect(data.base).toEqual(expect.objectContaining({ slope_percent: 8, net_power_hp: 84 }));
+      expect(data.sweep.points.map((point) => point.netPower)).toEqual([100, 80, 60, 40]);
+      expect(data.sweep.viabilityTransitions).toEqual([{ from: 20, to: 30, becomesViable: false }]);
+      expect(data.sensitivity.most_sensitive).toBe('slope_percent');
+    });
+
+    test('en imperial devuelve los ejes, transiciones y ranking en las unidades del cliente', async () => {
+      const res = createMockRes();
+      mockTractorFindById.mockResolvedValue({ tractor_id: 4, weight_kg: 5000, engine_power_hp: 130 });
+      mockTerrainFindByIdAndUser.mockResolvedValue({
+        terrain_id: 6,
+        soil_type: 'franco',
+        slope_percentage: 8,
+        altitude_meters: 1500,
+      });
+      mockCalculateTotalLoss.mockImplementation((params) => ({
+        netPower: 100 - params.speedKmh * 4,
+        efficiency: 70,
+        traction: { slippagePercent: 12 },
+      }));
+
+      // El middleware ya llevó el barrido de 3-9 mph a km/h
+      await callWrappedHandler(
+        calculatePowerSensitivity,
+        {
+          body: {
+            tractor_id: 4,
+            terrain_id: 6,
+            working_speed_kmh: 7,
+            sweeps: [{ parameter: 'working_speed_kmh', min: 4.828032, max: 14.484096, steps: 4 }],
+            min_net_power_hp: 60,
+          },
+          user: { user_id: 22 },
+          units: 'imperial',
+        },
+        res,
+      );
+
+      expect(mockCalculateTotalLoss).toHaveBeenCalledWith(expect.objectContaining({ speedKmh: 4.83 }));
+      const { data } = res.json.mock.calls[0][0];
+
+      expect(data.sweep.axes[0]).toEqual({ parameter: 'working_speed_kmh', unit: 'mph', values: [3, 5, 7, 9] });
+      expect(data.sweep.points[0].working_speed_kmh).toBe(4.83);
+      expect(data.sweep.viabilityTransitions).toEqual([{ from: 5, to: 7, becomesViable: false }]);
+      expect(data.sensitivity.ranking.find((entry) => entry.parameter === 'working_speed_kmh')).toEqual(
+        expect.objectContaining({ baseValue: 4.35, referenceStep: 0.62, unit: 'mph' }),
+      );
+    });
+  });
+
+  describe('calculatePowerLossBatch()', () => {
+    const tractors = [
+      { tractor_id: 4, brand: 'John Deere', model: '6130M', weight_kg: 5000, engine_power_hp: 130 },
+      { tractor_id: 7, brand: 'Kubota', model: 'M7', weight_kg: 4500, engine_power_hp: 110 },
+    ];
+    const terrains = [
+      { terrain_id: 1, name: 'Lote Norte', soil_type: 'franco', slope_percentage: 8, altitude_meters: 1500 },
+      { terrain_id: 2, name: 'Bajo', soil_type: 'arcilla', slope_percentage: 2, altitude_meters: 200 },
+    ];
+    const lossResult = (params) => ({
+      grossPower: params.enginePower,
+      netPower: params.enginePower - params.slopePercent,
+      efficiency: 70,
+      losses: { slope: params.slopePercent, altitude: 1, rollingResistance: 2, slippage: 3, total: 10 },
+    });
+
+    test('retorna 404 si algún terreno no es del usuario', async () => {
+      const res = createMockRes();
+      mockTerrainFindByIdsAndUser.mockResolvedValue([terrains[0]]);
+
+      await callWrappedHandler(
+        calculatePowerLossBatch,
+        { body: { tractor_ids: [4], terrain_ids: [1, 9], working_speed_kmh: 7 }, user: { user_id: 22 } },
+        res,
+      );
+
+      expect(mockTerrainFindByIdsAndUser).toHaveBeenCalledWith([1, 9], 22);
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Terrenos no encontrados: 9' });
+    });
+
+    test('acepta IDs como strings numéricos y los compara como enteros', async () => {
+      const res = createMockRes();
+      mockTerrainFindByIdsAndUser.mockResolvedValue(terrains);
+      mockTractorFindByIds.mockResolvedValue(tractors);
+      mockCalculateTotalLoss.mockImplementation(lossResult);
+
+      await callWrappedHandler(
+        calculatePowerLossBatch,
+        { body: { tractor_ids: ['4', '7'], terrain_ids: ['1', '2'], working_speed_kmh: 7 }, user: { user_id: 22 } },
+        res,
+      );
+
+      expect(mockTerrainFindByIdsAndUser).toHaveBeenCalledWith([1, 2], 22);
+      expect(mockTractorFindByIds).toHaveBeenCalledWith([4, 7], 22);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].data.matrix).toHaveLength(4);
+    });
+
+    test('calcula la matriz completa y la guarda como un único query_set', async () => {
+      const res = createMockRes();
+      mockTerrainFindByIdsAndUser.mockResolvedValue(terrains);
+      mockTractorFindByIds.mockResolvedValue(tractors);
+      mockCalculateTotalLoss.mockImplementation(lossResult);
+      mockQuerySetCreate.mockResolvedValue({ query_set_id: 12 });
+
+      await callWrappedHandler(
+        calculatePowerLossBatch,
+        {
+          body: {
+            tractor_ids: [4, 7],
+            terrain_ids: [1, 2],
+            working_speed_kmh: 7,
+            persist: true,
+            name: 'Flota norte',
+          },
+          user: { user_id: 22 },
+        },
+        res,
+      );
+
+      expect(mockCalculateTotalLoss).toHaveBeenCalledTimes(4);
+      expect(mockClient.query).not.toHaveBeenCalled();
+      expect(mockQuerySetCreate).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 22,
+        name: 'Flota norte',
+        cell_count: 4,
+        model_version: '1.0.0',
+        calculation_profile_version: 3,
+        parameters: expect.objectContaining({ tractor_ids: [4, 7], terrain_ids: [1, 2], working_speed_kmh: 7 }),
+      }));
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.query_set_id).toBe(12);
+      expect(data.matrix).toHaveLength(4);
+      expect(data.matrix[0]).toEqual(expect.objectContaining({
+        tractor_id: 4,
+        terrain_id: 1,
+        net_power_hp: 122,
+        soil_cn: 35,
+        error: null,
+      }));
+      expect(data.summary.by_terrain).toEqual([
+        { terrain_id: 1, best_tractor_id: 4, net_power_hp: { min: 102, max: 122 } },
+        { terrain_id: 2, best_tractor_id: 4, net_power_hp: { min: 108, max: 128 } },
+      ]);
+    });
+
+    test('elige tractores por filtros del catálogo hasta llenar la matriz', async () => {
+      const res = createMockRes();
+      mockTerrainFindByIdsAndUser.mockResolvedValue(terrains);
+      mockTractorAdvancedSearch.mockResolvedValue({ data: tractors, total: 300 });
+      mockCalculateTotalLoss.mockImplementation(lossResult);
+
+      await callWrappedHandler(
+        calculatePowerLossBatch,
+        {
+          body: {
+            tractor_filters: { brand: 'John Deere', min_power_hp: 90 },
+            terrain_ids: [1, 2],
+            working_speed_kmh: 7,
+          },
+          user: { user_id: 22 },
+        },
+        res,
+      );
+
+      expect(mockTractorAdvancedSearch).toHaveBeenCalledWith(expect.objectContaining({
+        brand: 'John Deere',
+        minPower: 90,
+        limit: 50,
+        order: 'desc',
+      }));
+      expect(mockQuerySetCreate).not.toHaveBeenCalled();
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.truncated).toBe(true);
+      expect(data.query_set_id).toBeNull();
+    });
+
+    test('envía la matriz como CSV fila por fila', async () => {
+      const res = createMockRes();
+      res.setHeader = jest.fn();
+      res.write = jest.fn();
+      res.end = jest.fn();
+      mockTerrainFindByIdsAndUser.mockResolvedValue([terrains[0]]);
+      mockTractorFindByIds.mockResolvedValue(tractors);
+      mockCalculateTotalLoss
+        .mockImplementationOnce(lossResult)
+        .mockImplementationOnce(() => { throw new Error('Peso inválido'); });
+
+      await callWrappedHandler(
+        calculatePowerLossBatch,
+        {
+          body: { tractor_ids: [4, 7], terrain_ids: [1], working_speed_kmh: 7, format: 'csv' },
+          user: { user_id: 22 },
+          units: 'si',
+        },
+        res,
+      );
+
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/csv; charset=utf-8');
+      expect(res.json).not.toHaveBeenCalled();
+      expect(res.write).toHaveBeenCalledTimes(3);
+      expect(res.write.mock.calls[0][0]).toContain('"net_power_hp (kW)"');
+      expect(res.write.mock.calls[1][0]).toMatch(/^4,"John Deere","6130M",1,"Lote Norte"/);
+      expect(res.write.mock.calls[2][0]).toContain('"Peso inválido"');
+      expect(res.end).toHaveBeenCalled();
+    });
+  });
+
+  describe('replayCalculation()', () => {
+    const snapshot = {
+      model_version: '1.0.0',
+      params: {
+        enginePower: 130,
+        altitudeMeters: 1500,
+        temperatureC: 18,
+        totalWeightKg: 5500,
+        soilCn: 35,
+        slopePercent: 8,
+        speedKmh: 7,
+        slippagePercent: 12,
+        hasTurbo: false,
+        coefficients: { DEFAULT_TRANSMISSION_LOSS: 0.13 },
+      },
+      request: { working_speed_kmh: 7 },
+      terrain: { soil_type: 'arcilla', moisture_condition: 'moist' },
+    };
+
+    test('retorna 404 cuando el cálculo no existe o es de otro usuario', async () => {
+      const res = createMockRes();
+      mockQueryFindPowerLoss.mockResolvedValue(undefined);
+
+      await callWrappedHandler(replayCalculation, { params: { queryId: '91' }, user: { user_id: 22 } }, res);
+
+      expect(mockQueryFindPowerLoss).toHaveBeenCalledWith(91, 22);
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('retorna 409 para cálculos sin instantánea de entradas', async () => {
+      const res = createMockRes();
+      mockQueryFindPowerLoss.mockResolvedValue({ query_id: 91, input_snapshot: null });
+
+      await callWrappedHandler(replayCalculation, { params: { queryId: '91' }, user: { user_id: 22 } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(mockCalculateTotalLoss).not.toHaveBeenCalled();
+    });
+
+    test('recalcula con el perfil y el Cn actuales y devuelve la diferencia por campo', async () => {
+      const res = createMockRes();
+      mockQueryFindPowerLoss.mockResolvedValue({
+        query_id: 91,
+        query_date: '2026-01-10T12:00:00.000Z',
+        calculation_profile_version: 1,
+        model_version: '1.0.0',
+        input_snapshot: snapshot,
+        slope_loss_hp: 5,
+        altitude_loss_hp: 3,
+        temperature_loss_hp: 1,
+        transmission_loss_hp: 14,
+        rolling_resistance_loss_hp: 12,
+        slippage_loss_hp: 8.5,
+        total_loss_hp: 43.5,
+        available_power_hp: 130,
+        net_power_hp: 86.5,
+        efficiency_percentage: 66.54,
+        slippage_percent: 12,
+        soil_cn: 35,
+        has_turbo: false,
+        temperature_celsius: 18,
+      });
+      mockCalculateTotalLoss.mockReturnValue({
+        grossPower: 130,
+        hasTurbo: false,
+        netPower: 84,
+        efficiency: 64.62,
+        losses: {
+          slope: 5,
+          altitude: 3,
+          temperature: 1,
+          transmission: 14,
+          rollingResistance: 14.5,
+          slippage: 8.5,
+          total: 46,
+        },
+        traction: { slippagePercent: 12 },
+      });
+
+      await callWrappedHandler(replayCalculation, { params: { queryId: '91' }, user: { user_id: 22 } }, res);
+
+      // arcilla húmeda en el catálogo actual: Cn 45 en lugar del 35 guardado
+      expect(mockCalculateTotalLoss).toHaveBeenCalledWith(expect.objectContaining({
+        soilCn: 45,
+        totalWeightKg: 5500,
+        coefficients: mockProfile.coefficients.powerLoss,
+      }));
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { data } = res.json.mock.calls[0][0];
+
+      expect(data.original).toEqual({
+        calculated_at: '2026-01-10T12:00:00.000Z',
+        model_version: '1.0.0',
+        calculationProfileVersion: 1,
+      });
+      expect(data.replay).toEqual({ model_version: '1.0.0', calculationProfileVersion: 3 });
+      expect(data.identical).toBe(false);
+      expect(data.changed_fields).toEqual([
+        'rolling_resistance_loss_hp',
+        'total_loss_hp',
+        'net_power_hp',
+        'efficiency_percentage',
+        'soil_cn',
+      ]);
+      expect(data.diff.net_power_hp).toEqual({ original: 86.5, replayed: 84, delta: -2.5, changed: true });
+      expect(data.diff.slope_loss_hp.changed).toBe(false);
+    });
+  });
+
+  describe('calculatePowerUncertainty()', () => {
+    const tractor = {
+      tractor_id: 4,
+      brand: 'John Deere',
+      model: '6130M',
+      weight_kg: 5000,
+      engine_power_hp: 130,
+    };
+    const terrain = {
+      terrain_id: 6,
+      name: 'Lote Norte',
+      soil_type: 'franco',
+      slope_percentage: 8,
+      altitude_meters: 1500,
+      temperature_celsius: 18,
+    };
+
+    test('retorna 404 cuando el implemento indicado no existe', async () => {
+      const res = createMockRes();
+      mockTractorFindById.mockResolvedValue(tractor);
+      mockTerrainFindByIdAndUser.mockResolvedValue(terrain);
+      mockImplementFindById.mockResolvedValue(null);
+
+      await callWrappedHandler(
+        calculatePowerUncertainty,
+        {
+          body: { tractor_id: 4, terrain_id: 6, implement_id: 99, working_speed_kmh: 7, uncertainty: {} },
+          user: { user_id: 22 },
+        },
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Implemento no encontrado' });
+    });
+
+    test('retorna 404 con el terreno privado de otro usuario', async () => {
+      const res = createMockRes();
+      mockTractorFindById.mockResolvedValue(tractor);
+      mockTerrainFindByIdAndUser.mockResolvedValue(undefined);
+
+      await callWrappedHandler(
+        calculatePowerUncertainty,
+        {
+          body: { tractor_id: 4, terrain_id: 6, working_speed_kmh: 7, uncertainty: {} },
+          user: { user_id: 22 },
+        },
+        res,
+      );
+
+      expect(mockTerrainFindByIdAndUser).toHaveBeenCalledWith(6, 22);
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Terreno no encontrado' });
+      expect(mockCalculateTotalLoss).not.toHaveBeenCalled();
+    });
+
+    test('devuelve percentiles y la probabilidad de no cubrir el implemento', async () => {
+      const res = createMockRes();
+      mockTractorFindById.mockResolvedValue(tractor);
+      mockTerrainFindByIdAndUser.mockResolvedValue(terrain);
+      mockImplementFindById.mockResolvedValue({
+        implement_id: 2,
+        implement_name: 'Arado de discos',
+        implement_type: 'plow',
+        power_requirement_hp: 60,
+        working_width_m: 2,
+      });
+      mockCalculateMinimumPower.mockReturnValue({ minimumPowerHP: 80 });
+      mockCalculateTotalLoss.mockImplementation((params) => ({
+        netPower: 100 - params.slopePercent * 2,
+        efficiency: 70,
+      }));
+
+      const body = {
+        tractor_id: 4,
+        terrain_id: 6,
+        implement_id: 2,
+        working_speed_kmh: 7,
+        uncertainty: { slope_percent: { distribution: 'uniform', min: 0, max: 20 } },
+        iterations: 500,
+        seed: 7,
+      };
+      await callWrappedHandler(calculatePowerUncertainty, { body, user: { user_id: 22 } }, res);
+
+      expect(mockCalculateMinimumPower).toHaveBeenCalledWith(
+        expect.objectContaining({ power_requirement_hp: 60, working_speed_kmh: 7 }),
+        expect.objectContaining({ soil_type: 'franco', slope_percentage: 8 }),
+        mockProfile.coefficients.minimumPower,
+        DEFAULT_SOIL_CATALOG,
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { data } = res.json.mock.calls[0][0];
+
+      expect(data.simulation).toEqual(expect.objectContaining({ iterations: 500, seed: 7 }));
+      expect(data.deterministic.net_power_hp).toBe(84);
+      expect(data.net_power_hp.p10).toBeLessThan(data.net_power_hp.p50);
+      expect(data.net_power_hp.p50).toBeLessThan(data.net_power_hp.p90);
+      // Pendiente uniforme 0-20 %: P(100 - 2s < 80) = P(s > 10) ~ 0.5
+      expect(data.requirement).toEqual(expect.objectContaining({
+        required_power_hp: 80,
+        source: 'implement',
+      }));
+      expect(data.requirement.probability_below_requirement).toBeGreaterThan(0.4);
+      expect(data.requirement.probability_below_requirement).toBeLessThan(0.6);
+
+      // Misma semilla, mismo resultado
+      const again = createMockRes();
+      await callWrappedHandler(calculatePowerUncertainty, { body, user: { user_id: 22 } }, again);
+      expect(again.json.mock.calls[0][0].data.net_power_hp).toEqual(data.net_power_hp);
+    });
+  });
+
+  describe('calculateOptimalSpeed()', () => {
+    test('retorna 404 cuando el implemento no existe', async () => {
+      const res = createMockRes();
+      mockTractorFindById.mockResolvedValue({ tractor_id: 4, weight_kg: 5000, engine_power_hp: 130 });
+      mockTerrainFindByIdAndUser.mockResolvedValue({ terrain_id: 6, slope_percentage: 8, altitude_meters: 1500 });
+      mockImplementFindById.mockResolvedValue(null);
+
+      await callWrappedHandler(
+        calculateOptimalSpeed,
+        { body: { tractor_id: 4, terrain_id: 6, implement_id: 99 }, user: { user_id: 22 } },
+        res,
+      );
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Implemento no encontrado' });
+    });
+
+    test('retorna 404 con el terreno privado de otro usuario', async () => {
+      const res = createMockRes();
+      mockTractorFindById.mockResolvedValue({ tractor_id: 4, weight_kg: 5000, engine_power_hp: 130 });
+      mockTerrainFindByIdAndUser.mockResolvedValue(undefined);
+      mockImplementFindById.mockResolvedValue({ implement_id: 2, implement_type: 'Sprayer' });
+
+      await callWrappedHandler(
+        calculateOptimalSpeed,
+        { body: { tractor_id: 4, terrain_id: 6, implement_id: 2 }, user: { user_id: 22 } },
+        res,
+      );
+
+      expect(mockTerrainFindByIdAndUser).toHaveBeenCalledWith(6, 22);
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Terreno no encontrado' });
+    });
+
+    test('recomienda la mayor velocidad cuya potencia neta cubre el implemento', async () => {
+      const res = createMockRes();
+      mockTractorFindById.mockResolvedValue({
+        tractor_id: 4,
+        brand: 'John Deere',
+        model: '6130M',
+        weight_kg: 5000,
+        engine_power_hp: 130,
+      });
+      mockTerrainFindByIdAndUser.mockResolvedValue({
+        terrain_id: 6,
+        name: 'Lote Norte',
+        soil_type: 'franco',
+        slope_percentage: 8,
+        altitude_meters: 1500,
+        temperature_celsius: 18,
+      });
+      mockImplementFindById.mockResolvedValue({
+        implement_id: 2,
+        implement_name: 'Pulverizadora 12 m',
+        implement_type: 'Sprayer',
+        working_width_m: 12,
+        power_requirement_hp: 50,
+      });
+      mockCalculateTotalLoss.mockImplementation((params) => ({
+        netPower: 100 - params.speedKmh * 5,
+        efficiency: 70,
+      }));
+
+      await callWrappedHandler(
+        calculateOptimalSpeed,
+        {
+          body: { tractor_id: 4, terrain_id: 6, implement_id: 2, carried_objects_weight_kg: 500 },
+          user: { user_id: 22 },
+        },
+        res,
+      );
+
+      expect(mockCalculateTotalLoss).toHaveBeenCalledWith(
+        expect.objectContaining({ totalWeightKg: 5500, soilCn: 35, speedKmh: 5 }),
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { data } = res.json.mock.calls[0][0];
+
+      expect(data.objective).toBe('max_capacity');
+      expect(data.implement_speed_range_kmh).toEqual({ min: 5, max: 11.5 });
+      expect(data.feasible_window_kmh).toEqual({ min: 5, max: 10 });
+      expect(data.recommended_speed_kmh).toBe(10);
+      expect(data.binding_constraint).toBe('net_power');
+      expect(data.at_recommended_speed).toEqual(expect.objectContaining({ netPowerHP: 50, requiredPowerHP: 50 }));
+    });
+  });
+
   describe('getCalculationHistory()', () => {
     test('retorna 400 con parámetros de paginación inválidos', async () => {
       const req = {
@@ -98,7 +98,9 @@ const controller = await import('../../../src/controllers/exportController.js');
 const {
   exportTractorsCatalog,
   exportUserRecommendationsPdf,
+  exportTractorComparisonPdf,
 } = controller;
+const { compareTractors } = await import('../../../src/services/comparisonService.js');
 
 const createMockRes = () => {
   const res = {};
@@ -167,6 +169,25 @@ describe('exportController', () => {
     expect(res.send).toHaveBeenCalledWith('name,brand,power,year,price\n5075E,John Deere,75,2024,120000');
   });
 
+  test('exportTractorsCatalog convierte la potencia al sistema de unidades pedido', async () => {
+    const req = { query: { format: 'csv' }, units: 'si' };
+    const res = createMockRes();
+    mockPoolQuery.mockResolvedValueOnce({
+      rows: [
+        { name: '5075E', brand: 'John Deere', power: '75.00', year: 2024, price: 120000 },
+      ],
+    });
+    mockCsvParse.mockReturnValue('csv');
+
+    await callHandler(exportTractorsCatalog, req, res);
+
+    const fields = ['name', 'brand', { label: 'power_kw', value: 'power' }, 'year', 'price'];
+    expect(parserInstances[0].options).toEqual({ fields });
+    expect(mockCsvParse).toHaveBeenCalledWith([
+      { name: '5075E', brand: 'John Deere', power: 55.93, year: 2024, price: 120000 },
+    ], { fields });
+  });
+
   test('exportUserRecommendationsPdf valida formato requerido pdf', async () => {
     const req = { query: { format: 'csv' }, user: { user_id: 3 } };
     const res = createMockRes();
@@ -323,4 +344,77 @@ describe('exportController', () => {
       ]),
     );
   });
+
+  test('exportTractorComparisonPdf valida formato requerido pdf', async () => {
+    const req = { query: { format: 'csv' }, comparison: {} };
+    const res = createMockRes();
+
+    await callHandler(exportTractorComparisonPdf, req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      message: 'Formato inválido. Use format=pdf',
+    });
+    expect(pdfInstances).toHaveLength(0);
+  });
+
+  test('exportTractorComparisonPdf dibuja una tarjeta por tractor y una tabla por sección', async () => {
+    const tractors = [
+      { tractor_id: 7, name: 'Propio', brand: 'Kubota', model: 'M7', engine_power_hp: 95, traction_type: '4x4', price_usd: 45000 },
+      { tractor_id: 3, name: 'Catalogo', brand: 'Case', model: 'MX', engine_power_hp: 70, traction_type: '4x2' },
+    ];
+    const result = compareTractors({
+      tractors,
+      terrain: { soil_type: 'loam', slope_percentage: 20 },
+      implement: { implement_type: 'plow' },
+      requiredPower: 60,
+      fieldCapacity: { effectiveCapacityHaH: 1 },
+    });
+    const req = {
+      query: { format: 'pdf' },
+      comparison: {
+        terrain: { name: 'Lote Norte' },
+        implement: { name: 'Arado' },
+        tractors: result.tractors.map((entry, index) => ({
+          id: entry.tractor.tractor_id,
+          name: entry.tractor.name,
+          brand: entry.tractor.brand,
+          model: entry.tractor.model,
+          owned: index === 0,
+          compatible: entry.compatible,
+          excludedBy: entry.excludedBy,
+          score: entry.score,
+        })),
+        rows: result.rows,
+        summary: result.summary,
+      },
+    };
+    const res = createMockRes();
+
+    await callHandler(exportTractorComparisonPdf, req, res);
+
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/pdf');
+    expect(res.setHeader).toHaveBeenCalledWith(
+      'Content-Disposition',
+      expect.stringMatching(/^attachment; filename="tractor-comparison-\d{4}-\d{2}-\d{2}\.pdf"$/),
+    );
+    expect(pdfInstances).toHaveLength(1);
+    expect(pdfInstances[0].ended).toBe(true);
+    expect(pdfInstances[0].textCalls).toEqual(
+      expect.arrayContaining([
+        'Comparacion de Tractores',
+        'Tractor 1: Propio',
+        'Tractor 2: Catalogo',
+        'Mejor opcion',
+        'No compatible',
+        'Potencia',
+        'Costos',
+        'Precio de compra',
+        '45000 USD',
+        'N/D',
+      ]),
+    );
+    expect(pdfInstances[0].textCalls.some((text) => text.startsWith('Excluido: requiere 4x4'))).toBe(true);
+  });
 });
@@ -492,6 +492,7 @@ describe("implementController", () => {
       const ObjectContaining = expect.objectContaining;
       const req = createMockReq({}, {}, { tractorId: "1" });
       req.pagination = { limit: 10, page: 1 };
+      req.user = { user_id: 7 };
       const res = createMockRes();
       const next = createMockNext();
 
@@ -501,7 +502,8 @@ describe("implementController", () => {
 
       await callHandler(searchImplements, req, res, next);
 
-      expect(mockTractorFindById).toHaveBeenCalledWith(1);
+      // Acepta también los tractores del garaje privado del usuario
+      expect(mockTractorFindById).toHaveBeenCalledWith(1, 7);
       expect(mockAdvancedSearch).toHaveBeenCalledWith(
         ObjectContaining({
           q: null,
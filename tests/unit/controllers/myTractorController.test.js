@@ -0,0 +1,301 @@
+/**
+ * Tests unitarios para myTractorController
+ * Verifica: getMyTractors, getMyTractorById, createMyTractor, updateMyTractor, deleteMyTractor
+ *
+ * NOTA: el garaje es privado; cada operación se limita a los tractores de req.user.user_id.
+ */
+
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+// ==================== DECLARACIÓN DE MOCKS ====================
+
+const mockFindByOwner = jest.fn();
+const mockFindByIdAndOwner = jest.fn();
+const mockCreate = jest.fn();
+const mockUpdate = jest.fn();
+const mockDelete = jest.fn();
+
+// Mock de Tractor model
+jest.unstable_mockModule("../../../src/models/Tractor.js", () => ({
+  default: {
+    findByOwner: mockFindByOwner,
+    findByIdAndOwner: mockFindByIdAndOwner,
+    create: mockCreate,
+    update: mockUpdate,
+    delete: mockDelete,
+  },
+  __esModule: true,
+}));
+
+// ==================== IMPORT DEL CONTROLLER ====================
+
+const {
+  getMyTractors,
+  getMyTractorById,
+  createMyTractor,
+  updateMyTractor,
+  deleteMyTractor,
+} = await import("../../../src/controllers/myTractorController.js");
+
+// ==================== HELPERS ====================
+
+const createMockReq = (params = {}, body = {}, user = { user_id: 1 }) => ({
+  params,
+  body,
+  query: {},
+  user,
+  pagination: {
+    limit: 10,
+    sort: null,
+    order: "asc",
+    page: 1,
+  },
+});
+
+const createMockRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+/**
+ * Helper para esperar promesas de asyncHandler
+ */
+const callHandler = async (handler, req, res, next = jest.fn()) => {
+  handler(req, res, next);
+  await new Promise((resolve) => setImmediate(resolve));
+};
+
+// ==================== DATOS DE PRUEBA ====================
+
+const mockTractor = {
+  tractor_id: 50,
+  owner_user_id: 1,
+  name: "Massey Ferguson 4709",
+  brand: "Massey Ferguson",
+  model: "4709",
+  engine_power_hp: 90,
+  weight_kg: 3800,
+  traction_type: "4x4",
+  aspiration_type: "turbo",
+  hour_meter_hours: 3250,
+};
+
+// ==================== TESTS ====================
+
+describe("myTractorController", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getMyTractors()", () => {
+    test("retorna 200 y solo los tractores del usuario", async () => {
+      const req = createMockReq();
+      const res = createMockRes();
+
+      mockFindByOwner.mockResolvedValue([mockTractor]);
+
+      await callHandler(getMyTractors, req, res);
+
+      expect(mockFindByOwner).toHaveBeenCalledWith(1);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: true,
+          data: [expect.objectContaining({ tractor_id: 50 })],
+          pagination: expect.objectContaining({ total: 1, totalPages: 1 }),
+        }),
+      );
+    });
+  });
+
+  describe("getMyTractorById()", () => {
+    test("con ID propio → 200 + datos", async () => {
+      const req = createMockReq({ id: "50" });
+      const res = createMockRes();
+
+      mockFindByIdAndOwner.mockResolvedValue(mockTractor);
+
+      await callHandler(getMyTractorById, req, res);
+
+      expect(mockFindByIdAndOwner).toHaveBeenCalledWith(50, 1);
+      expect(res.json).toHaveBeenCalledWith({ success: true, data: mockTractor });
+    });
+
+    test("con ID ajeno o inexistente → 404", async () => {
+      const req = createMockReq({ id: "50" }, {}, { user_id: 2 });
+      const res = createMockRes();
+
+      mockFindByIdAndOwner.mockResolvedValue(null);
+
+      await callHandler(getMyTractorById, req, res);
+
+      expect(mockFindByIdAndOwner).toHaveBeenCalledWith(50, 2);
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "NOT_FOUND", message: "Tractor no encontrado" }),
+      );
+    });
+
+    test("con ID inválido → 400", async () => {
+      const req = createMockReq({ id: "abc" });
+      const res = createMockRes();
+
+      await callHandler(getMyTractorById, req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockFindByIdAndOwner).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("createMyTractor()", () => {
+    test("con datos válidos → 201 + asignado al usuario con nombre por defecto", async () => {
+      const req = createMockReq(
+        {},
+        {
+          brand: "Massey Ferguson",
+          model: "4709",
+          engine_power_hp: "90",
+          weight_kg: 3800,
+          traction_type: "4x4",
+          aspiration_type: "Turbo",
+          hour_meter_hours: 3250,
+          purchase_date: "2019-08-15",
+        },
+      );
+      const res = createMockRes();
+
+      mockCreate.mockResolvedValue(mockTractor);
+
+      await callHandler(createMyTractor, req, res);
+
+      expect(mockCreate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          owner_user_id: 1,
+          name: "Massey Ferguson 4709",
+          engine_power_hp: 90,
+          aspiration_type: "turbo",
+          hour_meter_hours: 3250,
+          purchase_date: "2019-08-15",
+          traction_force_kn: undefined,
+        }),
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, message: "Tractor registrado exitosamente" }),
+      );
+    });
+
+    test("con campos faltantes o inválidos → 400 con la lista de errores", async () => {
+      const req = createMockReq(
+        {},
+        {
+          brand: "John Deere",
+          engine_power_hp: 600,
+          traction_type: "6x6",
+          hour_meter_hours: -1,
+          purchase_date: "2999-01-01",
+        },
+      );
+      const res = createMockRes();
+
+      await callHandler(createMyTractor, req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: false,
+          code: "VALIDATION_ERROR",
+          errors: expect.arrayContaining([
+            "model es requerido",
+            "weight_kg es requerido",
+            "La potencia del motor debe estar entre 10 y 500 HP",
+            "traction_type debe ser uno de: 4x2, 4x4, track",
+            "hour_meter_hours debe ser un número mayor o igual a 0",
+            "purchase_date no puede ser una fecha futura",
+          ]),
+        }),
+      );
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("updateMyTractor()", () => {
+    test("actualiza solo los campos enviados de un tractor propio", async () => {
+      const req = createMockReq({ id: "50" }, { hour_meter_hours: 3410 });
+      const res = createMockRes();
+
+      mockFindByIdAndOwner.mockResolvedValue(mockTractor);
+      mockUpdate.mockResolvedValue({ ...mockTractor, hour_meter_hours: 3410 });
+
+      await callHandler(updateMyTractor, req, res);
+
+      expect(mockUpdate).toHaveBeenCalledWith(
+        50,
+        expect.objectContaining({ hour_meter_hours: 3410, engine_power_hp: undefined }),
+      );
+      expect(mockUpdate.mock.calls[0][1]).not.toHaveProperty("owner_user_id");
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, message: "Tractor actualizado exitosamente" }),
+      );
+    });
+
+    test("valida la potencia en la TDF contra la potencia actual del motor", async () => {
+      const req = createMockReq({ id: "50" }, { pto_power_hp: 95 });
+      const res = createMockRes();
+
+      mockFindByIdAndOwner.mockResolvedValue(mockTractor);
+
+      await callHandler(updateMyTractor, req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          errors: ["La potencia en la TDF no puede superar la potencia del motor"],
+        }),
+      );
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+
+    test("con ID ajeno o inexistente → 404", async () => {
+      const req = createMockReq({ id: "50" }, { hour_meter_hours: 10 }, { user_id: 2 });
+      const res = createMockRes();
+
+      mockFindByIdAndOwner.mockResolvedValue(null);
+
+      await callHandler(updateMyTractor, req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("deleteMyTractor()", () => {
+    test("con ID propio → 200 + eliminado", async () => {
+      const req = createMockReq({ id: "50" });
+      const res = createMockRes();
+
+      mockFindByIdAndOwner.mockResolvedValue(mockTractor);
+      mockDelete.mockResolvedValue(mockTractor);
+
+      await callHandler(deleteMyTractor, req, res);
+
+      expect(mockDelete).toHaveBeenCalledWith(50);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, message: "Tractor eliminado exitosamente" }),
+      );
+    });
+
+    test("con ID ajeno o inexistente → 404 sin eliminar", async () => {
+      const req = createMockReq({ id: "50" }, {}, { user_id: 2 });
+      const res = createMockRes();
+
+      mockFindByIdAndOwner.mockResolvedValue(null);
+
+      await callHandler(deleteMyTractor, req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(mockDelete).not.toHaveBeenCalled();
+    });
+  });
+});
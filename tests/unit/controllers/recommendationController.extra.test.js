@@ -4,11 +4,16 @@ const mockFindTerrainByUser = jest.fn();
 const mockImplementFindById = jest.fn();
 const mockTractorGetAll = jest.fn();
 const mockRecommendationFindById = jest.fn();
+const mockFeedbackUpsert = jest.fn();
+const mockFeedbackFindByRecommendation = jest.fn();
+const mockFeedbackFindByUser = jest.fn();
 const mockGenerateRecommendation = jest.fn();
 const mockGenerateAdvancedRecommendation = jest.fn();
 const mockAnalyzeTerrain = jest.fn();
 const mockCalculateMinimumPower = jest.fn();
 const mockNotifyRecommendationCreated = jest.fn();
+const mockGetActiveProfile = jest.fn();
+const mockSoilCatalog = { soils: {}, synonyms: {} };
 const mockConnect = jest.fn();
 const mockPoolQuery = jest.fn();
 
@@ -45,6 +50,15 @@ jest.unstable_mockModule('../../../src/models/Recommendation.js', () => ({
   },
 }));
 
+jest.unstable_mockModule('../../../src/models/RecommendationFeedback.js', () => ({
+  __esModule: true,
+  default: {
+    upsert: mockFeedbackUpsert,
+    findByRecommendation: mockFeedbackFindByRecommendation,
+    findByUserWithContext: mockFeedbackFindByUser,
+  },
+}));
+
 jest.unstable_mockModule('../../../src/config/db.js', () => ({
   __esModule: true,
   pool: {
@@ -56,6 +70,17 @@ jest.unstable_mockModule('../../../src/config/db.js', () => ({
 jest.unstable_mockModule('../../../src/services/minimumPowerService.js', () => ({
   __esModule: true,
   calculateMinimumPower: mockCalculateMinimumPower,
+  normalizeSoilType: jest.fn(() => 'loam'),
+}));
+
+jest.unstable_mockModule('../../../src/services/calculationProfileService.js', () => ({
+  __esModule: true,
+  getActiveProfile: mockGetActiveProfile,
+}));
+
+jest.unstable_mockModule('../../../src/services/soilCatalogService.js', () => ({
+  __esModule: true,
+  getSoilCatalog: jest.fn().mockResolvedValue(mockSoilCatalog),
 }));
 
 jest.unstable_mockModule('../../../src/services/notificationService.js', () => ({
@@ -68,6 +93,13 @@ jest.unstable_mockModule('../../../src/services/recommendationService.js', () =>
   generateRecommendation: mockGenerateRecommendation,
   generateAdvancedRecommendation: mockGenerateAdvancedRecommendation,
   analyzeTerrain: mockAnalyzeTerrain,
+  generateFleetFirstRecommendation: jest.fn(),
+  findCompatibleTractors: jest.fn(),
+  calculateScore: jest.fn(),
+  RECOMMENDATION_SOURCES: { OWNED: 'owned', PURCHASE: 'purchase' },
+  SCORING_CONFIG: {
+    ADVANCED_WEIGHTS: { power_match: 40, price: 30, brand_preference: 20, fuel_efficiency: 10 },
+  },
 }));
 
 const controller = await import('../../../src/controllers/recommendationController.js');
@@ -75,8 +107,20 @@ const {
   generateRecommendation,
   getRecommendationHistory,
   getRecommendationById,
+  submitRecommendationFeedback,
+  getRecommendationFeedback,
+  getLearnedPreferences,
 } = controller;
 
+const mockProfile = {
+  version: 4,
+  name: 'Calibración de prueba',
+  coefficients: {
+    minimumPower: { SAFETY_MARGIN: 0.2 },
+    recommendation: { SCORING_CONFIG: { TOP_RECOMMENDATIONS: 3 } },
+  },
+};
+
 const createMockRes = () => {
   const res = {};
   res.status = jest.fn().mockReturnValue(res);
@@ -102,14 +146,19 @@ describe('recommendationController extra coverage', () => {
       mockAnalyzeTerrain,
       mockCalculateMinimumPower,
       mockNotifyRecommendationCreated,
+      mockGetActiveProfile,
       mockConnect,
       mockPoolQuery,
       mockClient.query,
       mockClient.release,
+      mockFeedbackUpsert,
+      mockFeedbackFindByRecommendation,
+      mockFeedbackFindByUser,
     ].forEach((mockFn) => mockFn.mockReset());
 
     mockConnect.mockResolvedValue(mockClient);
     mockNotifyRecommendationCreated.mockResolvedValue(null);
+    mockGetActiveProfile.mockResolvedValue(mockProfile);
   });
 
   describe('generateRecommendation()', () => {
@@ -224,7 +273,7 @@ describe('recommendationController extra coverage', () => {
               engine_power_hp: 95,
             },
             score: { total: 70, breakdown: { efficiency: 20 } },
-            compatibility: { utilizationPercent: 95 },
+            compatibility: { tractorPower: 95, utilizationPercent: 95 },
             classification: { label: 'GOOD' },
           },
         ],
@@ -264,6 +313,7 @@ describe('recommendationController extra coverage', () => {
         status: 'active',
         soil_type: 'loam',
         slope_percentage: 6,
+        area_hectares: 12,
         name: 'Lote Centro',
       });
       mockImplementFindById.mockResolvedValue({
@@ -272,6 +322,7 @@ describe('recommendationController extra coverage', () => {
         implement_type: 'plow',
         brand: 'Agro',
         power_requirement_hp: 80,
+        working_width_m: 0.9,
         working_depth_cm: 25,
       });
       mockTractorGetAll.mockResolvedValue([
@@ -298,7 +349,7 @@ describe('recommendationController extra coverage', () => {
               weight_kg: 5000,
             },
             score: { total: 91, breakdown: { efficiency: 40, traction: 20 } },
-            compatibility: { utilizationPercent: 91 },
+            compatibility: { tractorPower: 110, utilizationPercent: 91 },
             classification: { label: 'OPTIMAL' },
           },
           {
@@ -313,7 +364,7 @@ describe('recommendationController extra coverage', () => {
               weight_kg: 6500,
             },
             score: { total: 80, breakdown: { traction: 30, efficiency: 15 } },
-            compatibility: { utilizationPercent: 67 },
+            compatibility: { tractorPower: 150, utilizationPercent: 67 },
             classification: { label: 'GOOD' },
           },
         ],
@@ -332,12 +383,33 @@ describe('recommendationController extra coverage', () => {
       expect(mockClient.query).toHaveBeenCalledWith('BEGIN');
       expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
       expect(mockNotifyRecommendationCreated).toHaveBeenCalledWith(21, 55);
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('estimated_workdays'),
+        [21, 2, 1, 3, 7, 0.5, 23.81, 3, null, 4],
+      );
+      expect(mockCalculateMinimumPower).toHaveBeenCalledWith(
+        expect.objectContaining({ implement_type: 'plow' }),
+        expect.objectContaining({ soil_type: 'loam' }),
+        mockProfile.coefficients.minimumPower,
+        mockSoilCatalog,
+      );
+      expect(mockGenerateRecommendation).toHaveBeenCalledWith(
+        expect.objectContaining({
+          coefficients: mockProfile.coefficients.recommendation,
+          soilCatalog: mockSoilCatalog,
+        }),
+      );
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith(
         expect.objectContaining({
           success: true,
           data: expect.objectContaining({
             queryId: 55,
+            calculationProfileVersion: 4,
+            fieldCapacity: expect.objectContaining({
+              effectiveCapacityHaH: 0.5,
+              workdays: 3,
+            }),
             recommendations: [
               expect.objectContaining({
                 rank: 1,
@@ -409,7 +481,7 @@ describe('recommendationController extra coverage', () => {
               weight_kg: 5000,
             },
             score: { total: 91, breakdown: { efficiency: 40 } },
-            compatibility: { utilizationPercent: 91 },
+            compatibility: { tractorPower: 110, utilizationPercent: 91 },
             classification: { label: 'OPTIMAL' },
           },
         ],
@@ -755,4 +827,118 @@ describe('recommendationController extra coverage', () => {
       process.env.NODE_ENV = prevEnv;
     });
   });
+
+  describe('submitRecommendationFeedback()', () => {
+    test('guarda un rechazo con motivo y calificación', async () => {
+      const req = {
+        user: { user_id: 8 },
+        params: { id: '45' },
+        body: { decision: 'rejected', reason_code: 'too_expensive', reason: '  Fuera de presupuesto ', rating: 2 },
+      };
+      const res = createMockRes();
+      mockRecommendationFindById.mockResolvedValueOnce({ recommendation_id: 45, user_id: 8 });
+      mockFeedbackUpsert.mockResolvedValueOnce({ feedback_id: 1, recommendation_id: 45 });
+
+      await callHandler(submitRecommendationFeedback, req, res);
+
+      expect(mockFeedbackUpsert).toHaveBeenCalledWith({
+        recommendation_id: 45,
+        user_id: 8,
+        decision: 'rejected',
+        reason_code: 'too_expensive',
+        reason: 'Fuera de presupuesto',
+        rating: 2,
+        purchased: false,
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, message: 'Feedback registrado exitosamente' }),
+      );
+    });
+
+    test('retorna 400 con la lista de errores de validación', async () => {
+      const req = {
+        user: { user_id: 8 },
+        params: { id: '45' },
+        body: { decision: 'rejected', rating: 7, purchased: true },
+      };
+      const res = createMockRes();
+      mockRecommendationFindById.mockResolvedValueOnce({ recommendation_id: 45, user_id: 8 });
+
+      await callHandler(submitRecommendationFeedback, req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Errores de validación',
+        errors: [
+          'El rechazo requiere un motivo (reason_code o reason)',
+          'rating debe ser un entero entre 1 y 5',
+          'Solo una recomendación aceptada puede marcarse como comprada',
+        ],
+      });
+      expect(mockFeedbackUpsert).not.toHaveBeenCalled();
+    });
+
+    test('retorna 403 si la recomendación es de otro usuario', async () => {
+      const req = { user: { user_id: 8 }, params: { id: '45' }, body: { decision: 'accepted' } };
+      const res = createMockRes();
+      mockRecommendationFindById.mockResolvedValueOnce({ recommendation_id: 45, user_id: 55 });
+
+      await callHandler(submitRecommendationFeedback, req, res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(mockFeedbackUpsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRecommendationFeedback()', () => {
+    test('retorna el feedback o 404 si no hay', async () => {
+      let req = { user: { user_id: 8 }, params: { id: '45' } };
+      let res = createMockRes();
+      mockRecommendationFindById.mockResolvedValueOnce({ recommendation_id: 45, user_id: 8 });
+      mockFeedbackFindByRecommendation.mockResolvedValueOnce({ feedback_id: 1, decision: 'accepted' });
+
+      await callHandler(getRecommendationFeedback, req, res);
+
+      expect(mockFeedbackFindByRecommendation).toHaveBeenCalledWith(45);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: { feedback_id: 1, decision: 'accepted' },
+      });
+
+      req = { user: { user_id: 8 }, params: { id: '45' } };
+      res = createMockRes();
+      mockRecommendationFindById.mockResolvedValueOnce({ recommendation_id: 45, user_id: 8 });
+      mockFeedbackFindByRecommendation.mockResolvedValueOnce(undefined);
+
+      await callHandler(getRecommendationFeedback, req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('getLearnedPreferences()', () => {
+    test('aprende la marca preferida del feedback del usuario', async () => {
+      const req = { user: { user_id: 8 } };
+      const res = createMockRes();
+      mockFeedbackFindByUser.mockResolvedValueOnce([
+        { decision: 'accepted', purchased: true, tractor_brand: 'Kubota' },
+        { decision: 'accepted', rating: 4, tractor_brand: 'Kubota' },
+        { decision: 'rejected', reason_code: 'brand', tractor_brand: 'Zetor' },
+      ]);
+
+      await callHandler(getLearnedPreferences, req, res);
+
+      expect(mockFeedbackFindByUser).toHaveBeenCalledWith(8);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({
+          sampleSize: 3,
+          brandPreference: 'Kubota',
+          weights: null,
+        }),
+      });
+    });
+  });
 });
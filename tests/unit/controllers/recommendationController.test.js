@@ -3,8 +3,9 @@ import { jest, describe, test, expect, beforeEach } from "@jest/globals";
 // ==================== DECLARACIÓN DE MOCKS ====================
 
 const mockFindById = jest.fn();
+const mockAdvancedSearch = jest.fn();
 jest.unstable_mockModule("../../../src/models/Implement.js", () => ({
-  default: { findById: mockFindById },
+  default: { findById: mockFindById, advancedSearch: mockAdvancedSearch },
   __esModule: true,
 }));
 
@@ -15,8 +16,28 @@ jest.unstable_mockModule("../../../src/models/Terrain.js", () => ({
 }));
 
 const mockGetAll = jest.fn();
+const mockFindTractor = jest.fn();
+const mockFindByOwner = jest.fn();
+const mockFindTractorsByIds = jest.fn();
 jest.unstable_mockModule("../../../src/models/Tractor.js", () => ({
-  default: { getAll: mockGetAll },
+  default: {
+    getAll: mockGetAll,
+    findById: mockFindTractor,
+    findByOwner: mockFindByOwner,
+    findByIds: mockFindTractorsByIds,
+  },
+  __esModule: true,
+}));
+
+const mockFindFeedbackByUser = jest.fn();
+jest.unstable_mockModule("../../../src/models/RecommendationFeedback.js", () => ({
+  default: { findByUserWithContext: mockFindFeedbackByUser },
+  __esModule: true,
+}));
+
+const mockFindPreset = jest.fn();
+jest.unstable_mockModule("../../../src/models/ScoringPreset.js", () => ({
+  default: { findAccessibleById: mockFindPreset },
   __esModule: true,
 }));
 
@@ -33,12 +54,60 @@ jest.unstable_mockModule("../../../src/config/db.js", () => ({
 }));
 
 const mockGenerateAdvancedRec = jest.fn();
+const mockGenerateRec = jest.fn();
+const mockGenerateFleetFirstRec = jest.fn();
+const mockFindCompatibleTractors = jest.fn();
 jest.unstable_mockModule(
   "../../../src/services/recommendationService.js",
   () => ({
     generateAdvancedRecommendation: mockGenerateAdvancedRec,
-    generateRecommendation: jest.fn(),
+    generateRecommendation: mockGenerateRec,
+    generateFleetFirstRecommendation: mockGenerateFleetFirstRec,
+    findCompatibleTractors: mockFindCompatibleTractors,
     analyzeTerrain: jest.fn().mockReturnValue({ slopeClass: "FLAT" }),
+    RECOMMENDATION_SOURCES: { OWNED: "owned", PURCHASE: "purchase" },
+    SCORING_CONFIG: {
+      ADVANCED_WEIGHTS: { power_match: 40, price: 30, brand_preference: 20, fuel_efficiency: 10 },
+    },
+    __esModule: true,
+  }),
+);
+
+const mockExplainTractor = jest.fn();
+jest.unstable_mockModule(
+  "../../../src/services/counterfactualService.js",
+  () => ({
+    explainTractor: mockExplainTractor,
+    __esModule: true,
+  }),
+);
+
+const mockCompareTractors = jest.fn();
+jest.unstable_mockModule(
+  "../../../src/services/comparisonService.js",
+  () => ({
+    compareTractors: mockCompareTractors,
+    CONSTANTS: { MIN_TRACTORS: 2, MAX_TRACTORS: 3 },
+    __esModule: true,
+  }),
+);
+
+jest.unstable_mockModule(
+  "../../../src/services/calculationProfileService.js",
+  () => ({
+    getActiveProfile: jest.fn().mockResolvedValue({
+      version: 1,
+      name: "Valores por defecto",
+      coefficients: { minimumPower: {}, recommendation: {} },
+    }),
+    __esModule: true,
+  }),
+);
+
+jest.unstable_mockModule(
+  "../../../src/services/soilCatalogService.js",
+  () => ({
+    getSoilCatalog: jest.fn().mockResolvedValue({ soils: {}, synonyms: {} }),
     __esModule: true,
   }),
 );
@@ -59,7 +128,14 @@ jest.unstable_mockModule("../../../src/config/logger.js", () => ({
 
 const controller =
   await import("../../../src/controllers/recommendationController.js");
-const { generateAdvancedRecommendation } = controller;
+const {
+  generateRecommendation,
+  generateAdvancedRecommendation,
+  recommendImplements,
+  explainTractorRecommendation,
+  loadTractorComparison,
+  getTractorComparison,
+} = controller;
 
 // ==================== HELPERS ====================
 const callHandler = async (handler, req, res, next = jest.fn()) => {
@@ -85,6 +161,7 @@ describe("recommendationController", () => {
 
     mockConnect.mockResolvedValue(mockClient);
     mockClient.query.mockResolvedValue({ rows: [{ query_id: 100 }] });
+    mockFindFeedbackByUser.mockResolvedValue([]);
 
     mockFindTerrain.mockResolvedValue({
       terrain_id: 1,
@@ -153,7 +230,7 @@ describe("recommendationController", () => {
               fuel_efficiency: 5,
             },
           },
-          compatibility: { surplusHP: 20 },
+          compatibility: { tractorPower: 100, nominalPowerHP: 100, deratedPowerHP: 100, surplusHP: 20 },
           classification: { label: "OPTIMAL" },
           explanation: ["Explicacion"],
         },
@@ -270,6 +347,50 @@ describe("recommendationController", () => {
             brand_preference: 5,
             fuel_efficiency: 5,
           },
+          terrain: expect.objectContaining({ altitude_meters: 0 }),
+          derating: expect.objectContaining({ speedKmh: undefined }),
+        }),
+      );
+    });
+
+    test("descarta recomendaciones cuya potencia derateada no alcanza la requerida", async () => {
+      req.body = { terrain_id: 1, implement_id: 1 };
+      mockFindTerrain.mockResolvedValue({
+        terrain_id: 1,
+        user_id: 1,
+        status: "active",
+        soil_type: "loam",
+        slope_percentage: 5,
+        altitude_meters: 2600,
+        temperature_celsius: 12,
+        name: "Altiplano",
+      });
+      mockGenerateAdvancedRec.mockReturnValue({
+        success: true,
+        recommendations: [
+          {
+            rank: 1,
+            tractor: { tractor_id: 1, name: "Tractor A", engine_power_hp: 100 },
+            score: { total: 85, breakdown: { power_match: 40 } },
+            compatibility: { tractorPower: 80, nominalPowerHP: 100, deratedPowerHP: 80 },
+            classification: { label: "OPTIMAL" },
+          },
+        ],
+        terrainAnalysis: { classification: { slopeClass: "FLAT" } },
+        summary: { compatibleCount: 1 },
+      });
+
+      await callHandler(generateAdvancedRecommendation, req, res);
+
+      expect(mockGenerateAdvancedRec).toHaveBeenCalledWith(
+        expect.objectContaining({
+          terrain: expect.objectContaining({ altitude_meters: 2600, temperature_celsius: 12 }),
+        }),
+      );
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: "Cálculo realizado pero sin tractores compatibles",
+          data: expect.objectContaining({ recommendations: [] }),
         }),
       );
     });
@@ -327,4 +448,528 @@ describe("recommendationController", () => {
       expect(next.mock.calls[0][0]).toBeInstanceOf(Error);
     });
   });
+
+  describe("generateAdvancedRecommendation (preferencias aprendidas)", () => {
+    const observations = JSON.stringify({
+      score: { breakdown: { power_match: 38, price: 15, brand_preference: 20, fuel_efficiency: 6 } },
+    });
+    const feedbackRows = [
+      ...[1, 2, 3].map(() => ({ decision: "accepted", tractor_brand: "BrandX", observations })),
+      ...[1, 2, 3].map(() => ({
+        decision: "rejected",
+        reason_code: "too_expensive",
+        tractor_brand: "BrandY",
+        observations,
+      })),
+    ];
+
+    test("completa pesos y marca con el feedback del usuario cuando no se envían", async () => {
+      req.body = { terrain_id: 1, implement_id: 1, filters: { budget: 90000 } };
+      mockFindFeedbackByUser.mockResolvedValue(feedbackRows);
+
+      await callHandler(generateAdvancedRecommendation, req, res);
+
+      expect(mockFindFeedbackByUser).toHaveBeenCalledWith(1);
+      expect(mockGenerateAdvancedRec).toHaveBeenCalledWith(
+        expect.objectContaining({
+          filters: { budget: 90000, brandPreference: "BrandX" },
+          customWeights: { power_match: 35, price: 39, brand_preference: 17, fuel_efficiency: 9 },
+        }),
+      );
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.learnedPreferences).toEqual(
+        expect.objectContaining({
+          applied: { weights: true, brandPreference: true },
+          sampleSize: 6,
+          brandPreference: "BrandX",
+        }),
+      );
+    });
+
+    test("no reemplaza los pesos ni la marca enviados por el usuario", async () => {
+      req.body = {
+        terrain_id: 1,
+        implement_id: 1,
+        filters: { brandPreference: "BrandY" },
+        customWeights: { power_match: 25, price: 25, brand_preference: 25, fuel_efficiency: 25 },
+      };
+      mockFindFeedbackByUser.mockResolvedValue(feedbackRows);
+
+      await callHandler(generateAdvancedRecommendation, req, res);
+
+      expect(mockGenerateAdvancedRec).toHaveBeenCalledWith(
+        expect.objectContaining({
+          filters: { brandPreference: "BrandY" },
+          customWeights: { power_match: 25, price: 25, brand_preference: 25, fuel_efficiency: 25 },
+        }),
+      );
+      expect(res.json.mock.calls[0][0].data.learnedPreferences.applied).toEqual({
+        weights: false,
+        brandPreference: false,
+      });
+    });
+
+    test("use_learned_preferences: false no consulta el feedback", async () => {
+      req.body = { terrain_id: 1, implement_id: 1, use_learned_preferences: false };
+
+      await callHandler(generateAdvancedRecommendation, req, res);
+
+      expect(mockFindFeedbackByUser).not.toHaveBeenCalled();
+      expect(mockGenerateAdvancedRec).toHaveBeenCalledWith(
+        expect.objectContaining({ filters: {}, customWeights: null }),
+      );
+      expect(res.json.mock.calls[0][0].data.learnedPreferences).toBeNull();
+    });
+
+    test("retorna 400 si use_learned_preferences no es booleano", async () => {
+      req.body = { terrain_id: 1, implement_id: 1, use_learned_preferences: "no" };
+
+      await callHandler(generateAdvancedRecommendation, req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: "use_learned_preferences debe ser booleano",
+      });
+    });
+  });
+
+  describe("generateAdvancedRecommendation (presets)", () => {
+    const preset = {
+      preset_id: 4,
+      user_id: null,
+      name: "Cafetal en ladera",
+      weights: { power_match: 50, price: 15, brand_preference: 5, fuel_efficiency: 30 },
+      filters: { budget: 70000, brandPreference: "BrandY" },
+    };
+
+    test("usa los pesos y filtros del preset, con prioridad para el body", async () => {
+      req.body = { terrain_id: 1, implement_id: 1, preset_id: 4, filters: { budget: 60000 } };
+      mockFindPreset.mockResolvedValue(preset);
+
+      await callHandler(generateAdvancedRecommendation, req, res);
+
+      expect(mockFindPreset).toHaveBeenCalledWith(4, 1);
+      expect(mockGenerateAdvancedRec).toHaveBeenCalledWith(
+        expect.objectContaining({
+          filters: { budget: 60000, brandPreference: "BrandY" },
+          customWeights: preset.weights,
+        }),
+      );
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.preset).toEqual({ id: 4, name: "Cafetal en ladera", scope: "organization" });
+      expect(data.learnedPreferences.applied).toEqual({ weights: false, brandPreference: false });
+    });
+
+    test("retorna 404 si el preset no existe o es de otro usuario", async () => {
+      req.body = { terrain_id: 1, implement_id: 1, preset_id: 99 };
+      mockFindPreset.mockResolvedValue(undefined);
+
+      await callHandler(generateAdvancedRecommendation, req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: "Preset no encontrado" });
+      expect(mockGenerateAdvancedRec).not.toHaveBeenCalled();
+    });
+
+    test("retorna 400 con un preset_id inválido", async () => {
+      req.body = { terrain_id: 1, implement_id: 1, preset_id: "abc" };
+
+      await callHandler(generateAdvancedRecommendation, req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockFindPreset).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("generateAdvancedRecommendation (pareto)", () => {
+    const catalog = [
+      { tractor_id: 1, name: "Tractor A", status: "available", engine_power_hp: 100, price_usd: 50000 },
+      { tractor_id: 2, name: "Tractor B", status: "available", engine_power_hp: 120, price_usd: 80000 },
+      { tractor_id: 3, name: "Tractor C", status: "available", engine_power_hp: 100, price_usd: 90000 },
+    ];
+
+    beforeEach(() => {
+      mockGetAll.mockResolvedValue(catalog);
+      mockFindCompatibleTractors.mockImplementation((terrain, tractors) => tractors);
+    });
+
+    test("retorna el frente no dominado y quién domina a cada tractor", async () => {
+      req.body = {
+        terrain_id: 1,
+        implement_id: 1,
+        mode: "pareto",
+        objectives: ["purchase_price", "power_margin"],
+      };
+
+      await callHandler(generateAdvancedRecommendation, req, res);
+
+      expect(mockGenerateAdvancedRec).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.mode).toBe("pareto");
+      expect(data.objectives.map((objective) => objective.key)).toEqual(["purchase_price", "power_margin"]);
+      // A es el más barato y B el de mayor margen; C es más caro que ambos y no supera a B
+      expect(data.front.map((item) => item.tractor.id).sort()).toEqual([1, 2]);
+      expect(data.dominated).toHaveLength(1);
+      expect(data.dominated[0].tractor.id).toBe(3);
+      expect(data.dominated[0].dominatedBy).toEqual([
+        { id: 1, name: "Tractor A" },
+        { id: 2, name: "Tractor B" },
+      ]);
+      expect(data.summary.frontSize).toBe(2);
+    });
+
+    test("no persiste el frente", async () => {
+      req.body = { terrain_id: 1, implement_id: 1, mode: "pareto" };
+
+      await callHandler(generateAdvancedRecommendation, req, res);
+
+      expect(res.json.mock.calls[0][0].data.queryId).toBeNull();
+      expect(mockClient.query).not.toHaveBeenCalledWith("BEGIN");
+    });
+
+    test("retorna 400 con objetivos desconocidos o insuficientes", async () => {
+      req.body = { terrain_id: 1, implement_id: 1, mode: "pareto", objectives: ["purchase_price", "color"] };
+      await callHandler(generateAdvancedRecommendation, req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+
+      req.body = { terrain_id: 1, implement_id: 1, mode: "pareto", objectives: ["purchase_price"] };
+      await callHandler(generateAdvancedRecommendation, req, res);
+      expect(res.status).toHaveBeenLastCalledWith(400);
+      expect(res.json).toHaveBeenLastCalledWith(
+        expect.objectContaining({ message: expect.stringContaining("objectives debe incluir al menos 2") }),
+      );
+      expect(mockFindTerrain).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("generateRecommendation (fleet_first)", () => {
+    const ownedTractor = { tractor_id: 50, owner_user_id: 1, name: "Mi MF 4709", status: "available", engine_power_hp: 100 };
+
+    beforeEach(() => {
+      mockFindByOwner.mockResolvedValue([ownedTractor]);
+      mockGenerateFleetFirstRec.mockReturnValue({
+        success: true,
+        recommendations: [
+          {
+            rank: 1,
+            tractor: ownedTractor,
+            score: { total: 80, breakdown: { efficiency: 30 } },
+            compatibility: { tractorPower: 100, nominalPowerHP: 100, deratedPowerHP: 100, utilizationPercent: 94 },
+            classification: { label: "OPTIMAL" },
+            source: "owned",
+            capitalCost: 0,
+            capitalCostAvoided: 50000,
+          },
+        ],
+        terrainAnalysis: { classification: { slopeClass: "FLAT" } },
+        summary: { compatibleCount: 1, source: "owned", ownedQualified: 1, capitalCostAvoided: 50000 },
+      });
+    });
+
+    test("evalúa la flota propia del usuario junto con el catálogo", async () => {
+      req.body = { terrain_id: 1, implement_id: 1, mode: "fleet_first" };
+
+      await callHandler(generateRecommendation, req, res);
+
+      expect(mockFindByOwner).toHaveBeenCalledWith(1);
+      expect(mockGenerateRec).not.toHaveBeenCalled();
+      expect(mockGenerateFleetFirstRec).toHaveBeenCalledWith(
+        expect.objectContaining({
+          ownedTractors: [ownedTractor],
+          tractors: [expect.objectContaining({ tractor_id: 1 }), expect.objectContaining({ tractor_id: 2 })],
+        }),
+      );
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.mode).toBe("fleet_first");
+      expect(data.recommendations[0]).toEqual(
+        expect.objectContaining({ source: "owned", capitalCost: 0, capitalCostAvoided: 50000 }),
+      );
+      expect(data.recommendations[0].explanation).toContain("Ya está en tu flota");
+    });
+
+    test("el modo catálogo no consulta la flota propia", async () => {
+      req.body = { terrain_id: 1, implement_id: 1 };
+      mockGenerateRec.mockReturnValue({
+        success: false,
+        recommendations: [],
+        terrainAnalysis: {},
+        summary: { compatibleCount: 0 },
+      });
+
+      await callHandler(generateRecommendation, req, res);
+
+      expect(mockFindByOwner).not.toHaveBeenCalled();
+      expect(mockGenerateFleetFirstRec).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].data.mode).toBe("catalog");
+    });
+
+    test("retorna 400 con un modo desconocido", async () => {
+      req.body = { terrain_id: 1, implement_id: 1, mode: "rental" };
+
+      await callHandler(generateRecommendation, req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "mode debe ser uno de: catalog, fleet_first" }),
+      );
+    });
+  });
+
+  describe("recommendImplements", () => {
+    const implementsCatalog = [
+      { implement_id: 1, implement_name: "Arado 3 discos", brand: "Baldan", implement_type: "plow", power_requirement_hp: 60, working_width_m: 1.0, working_depth_cm: 25, status: "available" },
+      { implement_id: 2, implement_name: "Arado 4 discos", brand: "Baldan", implement_type: "plow", power_requirement_hp: 80, working_width_m: 1.4, working_depth_cm: 25, status: "available" },
+      { implement_id: 3, implement_name: "Rastra", brand: "Tatu", implement_type: "harrow", power_requirement_hp: 50, working_width_m: 2.5, status: "maintenance" },
+    ];
+
+    beforeEach(() => {
+      mockAdvancedSearch.mockResolvedValue({ data: implementsCatalog, total: 3 });
+    });
+
+    test("busca candidatos con la potencia nominal del tractor y recomienda el más ancho que entrega", async () => {
+      req.body = {
+        engine_power_hp: 160,
+        weight_kg: 5500,
+        aspiration_type: "turbo",
+        traction_type: "4x4",
+        soil_type: "loam",
+        slope_percent: 5,
+        area_hectares: 20,
+      };
+
+      await callHandler(recommendImplements, req, res);
+
+      expect(mockAdvancedSearch).toHaveBeenCalledWith(
+        expect.objectContaining({ type: null, offset: 0 }),
+        160,
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { data } = res.json.mock.calls[0][0];
+      // La rastra en mantenimiento no se recomienda
+      expect(data.recommendations).toHaveLength(1);
+      expect(data.recommendations[0]).toEqual(expect.objectContaining({
+        rank: 1,
+        implement: expect.objectContaining({ id: 2, type: "plow" }),
+        alternatives: 1,
+        fieldCapacity: expect.objectContaining({ widthM: 1.4, areaHectares: 20 }),
+      }));
+      // Turbo sin altitud informada: el motor no pierde potencia atmosférica
+      expect(data.recommendations[0].tractorPower.deratedHP).toBe(160);
+      expect(data.terrain).toEqual(expect.objectContaining({ id: null, slope_percentage: 5 }));
+    });
+
+    test("usa el tractor del catálogo y el terreno del usuario", async () => {
+      req.body = { tractor_id: 7, terrain_id: 1, implement_type: "plow" };
+      mockFindTractor.mockResolvedValue({
+        tractor_id: 7, name: "Tractor C", engine_power_hp: 100, weight_kg: 4000, aspiration_type: "aspirated",
+      });
+
+      await callHandler(recommendImplements, req, res);
+
+      expect(mockFindTractor).toHaveBeenCalledWith(7, 1);
+      expect(mockFindTerrain).toHaveBeenCalledWith(1, 1);
+      expect(mockAdvancedSearch).toHaveBeenCalledWith(
+        expect.objectContaining({ type: "plow" }),
+        100,
+      );
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.tractor).toEqual(expect.objectContaining({ id: 7, aspiration_type: "aspirated" }));
+      expect(data.terrain).toEqual(expect.objectContaining({ id: 1, name: "Field 1" }));
+    });
+
+    test("retorna 404 si el tractor o el terreno no existen", async () => {
+      req.body = { tractor_id: 99, terrain_id: 1 };
+      mockFindTractor.mockResolvedValue(undefined);
+
+      await callHandler(recommendImplements, req, res);
+      expect(res.status).toHaveBeenCalledWith(404);
+
+      req.body = { engine_power_hp: 90, terrain_id: 2 };
+      mockFindTerrain.mockResolvedValue(null);
+
+      await callHandler(recommendImplements, req, res);
+      expect(res.status).toHaveBeenLastCalledWith(404);
+      expect(mockAdvancedSearch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("explainTractorRecommendation", () => {
+    const ownedTractor = {
+      tractor_id: 9,
+      name: "Mi tractor",
+      engine_power_hp: 70,
+      traction_type: "4x2",
+      status: "available",
+      owner_user_id: 1,
+    };
+    const explanation = {
+      qualifies: false,
+      recommended: false,
+      excludedBy: "power",
+      checks: [],
+      changes: [{ filter: "power", type: "engine_power", value: 12, unit: "HP", message: "+12 HP" }],
+      score: null,
+      slip: null,
+    };
+
+    beforeEach(() => {
+      mockFindTractor.mockResolvedValue(ownedTractor);
+      mockExplainTractor.mockReturnValue(explanation);
+    });
+
+    test("explica un tractor propio frente al catálogo disponible con el top 5 de /generate", async () => {
+      req.body = { terrain_id: 1, implement_id: 1, tractor_id: 9 };
+      mockGetAll.mockResolvedValue([
+        { tractor_id: 1, name: "Tractor A", status: "available", engine_power_hp: 100 },
+        { tractor_id: 2, name: "Tractor B", status: "maintenance", engine_power_hp: 120 },
+      ]);
+
+      await callHandler(explainTractorRecommendation, req, res);
+
+      expect(mockFindTractor).toHaveBeenCalledWith(9, 1);
+      const params = mockExplainTractor.mock.calls[0][0];
+      expect(params.tractor).toBe(ownedTractor);
+      expect(params.tractors.map((t) => t.tractor_id)).toEqual([1]);
+      expect(params.requiredPower).toBeGreaterThan(0);
+      expect(params.terrain).toEqual(expect.objectContaining({ soil_type: "loam", slope_percentage: 5 }));
+      expect(params.options).toEqual({ limit: 5 });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const body = res.json.mock.calls[0][0];
+      expect(body.message).toBe("El tractor queda excluido por los filtros de compatibilidad");
+      expect(body.data).toEqual(expect.objectContaining({
+        excludedBy: "power",
+        changes: explanation.changes,
+        tractor: expect.objectContaining({ id: 9, owned: true }),
+      }));
+      // No persiste la consulta
+      expect(mockConnect).not.toHaveBeenCalled();
+    });
+
+    test("retorna 400 sin tractor_id", async () => {
+      req.body = { terrain_id: 1, implement_id: 1 };
+
+      await callHandler(explainTractorRecommendation, req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: "Campos requeridos: terrain_id, implement_id, tractor_id",
+      });
+      expect(mockExplainTractor).not.toHaveBeenCalled();
+    });
+
+    test("retorna 404 si el tractor no existe o es privado de otro usuario", async () => {
+      req.body = { terrain_id: 1, implement_id: 1, tractor_id: 99 };
+      mockFindTractor.mockResolvedValue(undefined);
+
+      await callHandler(explainTractorRecommendation, req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: "Tractor no encontrado" });
+      expect(mockExplainTractor).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("loadTractorComparison / getTractorComparison", () => {
+    const catalogTractor = { tractor_id: 3, name: "Catálogo", brand: "BrandX", owner_user_id: null };
+    const ownedTractor = { tractor_id: 7, name: "Propio", brand: "BrandA", owner_user_id: 1 };
+    const entry = (tractor, overrides = {}) => ({
+      tractor,
+      compatible: true,
+      excludedBy: null,
+      power: { nominalHP: 100, deratedHP: 90, lossHP: 10 },
+      score: { total: 80, breakdown: {} },
+      fuel: null,
+      cost: null,
+      ...overrides,
+    });
+    const comparison = {
+      tractors: [entry(ownedTractor), entry(catalogTractor, { compatible: false, excludedBy: "power" })],
+      rows: [
+        { key: "derated_power_hp", section: "power", unit: "HP", better: "max", values: [100, 50], winner: 7 },
+        { key: "score_total", section: "score", unit: "pts", better: "max", values: [80, 75], winner: 7 },
+      ],
+      summary: { wins: [2, 0], compatibleCount: 1, overallWinner: 7 },
+    };
+
+    beforeEach(() => {
+      // findByIds ordena por marca: el controlador respeta el orden pedido
+      mockFindTractorsByIds.mockResolvedValue([ownedTractor, catalogTractor]);
+      mockCompareTractors.mockReturnValue(comparison);
+    });
+
+    test("compara en el orden pedido, deja la comparación en req.comparison y la responde", async () => {
+      req.body = { terrain_id: 1, implement_id: 1, tractor_ids: [3, 7], annual_hours: 800 };
+      const next = jest.fn();
+
+      await callHandler(loadTractorComparison, req, res, next);
+
+      expect(mockFindTractorsByIds).toHaveBeenCalledWith([3, 7], 1);
+      const params = mockCompareTractors.mock.calls[0][0];
+      expect(params.tractors).toEqual([catalogTractor, ownedTractor]);
+      expect(params.requiredPower).toBeGreaterThan(0);
+      expect(params.annualHours).toBe(800);
+      expect(next).toHaveBeenCalledWith();
+      expect(req.comparison.tractors[0]).toEqual(expect.objectContaining({ id: 7, owned: true }));
+      expect(req.comparison.rows).toEqual(comparison.rows);
+
+      await callHandler(getTractorComparison, req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        message: "Comparación generada exitosamente",
+        data: req.comparison,
+      });
+      // No persiste la consulta
+      expect(mockConnect).not.toHaveBeenCalled();
+    });
+
+    test("convierte las filas al sistema de unidades pedido", async () => {
+      req.body = { terrain_id: 1, implement_id: 1, tractor_ids: [7, 3] };
+      req.units = "si";
+
+      await callHandler(loadTractorComparison, req, res);
+
+      const [powerRow, scoreRow] = req.comparison.rows;
+      expect(powerRow).toEqual(expect.objectContaining({ unit: "kW", values: [74.57, 37.28], winner: 7 }));
+      expect(scoreRow).toEqual(comparison.rows[1]);
+    });
+
+    test("retorna 400 si tractor_ids no son 2 o 3 IDs distintos", async () => {
+      const invalidLists = [[7], [7, 7], [1, 2, 3, 4], [7, "abc"], "7,3"];
+
+      for (const tractor_ids of invalidLists) {
+        res.status.mockClear();
+        req.body = { terrain_id: 1, implement_id: 1, tractor_ids };
+
+        await callHandler(loadTractorComparison, req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+      }
+
+      expect(res.json).toHaveBeenLastCalledWith({
+        success: false,
+        message: "tractor_ids debe ser una lista de 2 a 3 IDs de tractor distintos",
+      });
+      expect(mockFindTractorsByIds).not.toHaveBeenCalled();
+    });
+
+    test("retorna 404 con los IDs que no existen o son privados de otro usuario", async () => {
+      req.body = { terrain_id: 1, implement_id: 1, tractor_ids: [7, 3, 11] };
+      const next = jest.fn();
+
+      await callHandler(loadTractorComparison, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: "Tractores no encontrados: 11" });
+      expect(mockCompareTractors).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
 });
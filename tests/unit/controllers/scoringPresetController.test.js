@@ -0,0 +1,279 @@
+/**
+ * Tests unitarios para scoringPresetController
+ * Verifica: getPresets, getPresetById, createPreset, updatePreset, deletePreset
+ *
+ * NOTA: los presets de la organización (user_id null) son visibles para todos
+ * pero solo un administrador (role_id 1) los crea, modifica o elimina.
+ */
+
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+
+// ==================== DECLARACIÓN DE MOCKS ====================
+
+const mockFindAccessible = jest.fn();
+const mockFindAccessibleById = jest.fn();
+const mockCreate = jest.fn();
+const mockUpdate = jest.fn();
+const mockDelete = jest.fn();
+
+// Mock de ScoringPreset model
+jest.unstable_mockModule("../../../src/models/ScoringPreset.js", () => ({
+  default: {
+    findAccessible: mockFindAccessible,
+    findAccessibleById: mockFindAccessibleById,
+    create: mockCreate,
+    update: mockUpdate,
+    delete: mockDelete,
+  },
+  __esModule: true,
+}));
+
+// ==================== IMPORT DEL CONTROLLER ====================
+
+const {
+  getPresets,
+  getPresetById,
+  createPreset,
+  updatePreset,
+  deletePreset,
+} = await import("../../../src/controllers/scoringPresetController.js");
+
+// ==================== HELPERS ====================
+
+const USER = { user_id: 1, role_id: 2 };
+const ADMIN = { user_id: 9, role_id: 1 };
+
+const createMockReq = (params = {}, body = {}, user = USER) => ({
+  params,
+  body,
+  query: {},
+  user,
+});
+
+const createMockRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+/**
+ * Helper para esperar promesas de asyncHandler
+ */
+const callHandler = async (handler, req, res, next = jest.fn()) => {
+  handler(req, res, next);
+  await new Promise((resolve) => setImmediate(resolve));
+};
+
+// ==================== DATOS DE PRUEBA ====================
+
+const budgetWeights = { power_match: 30, price: 50, brand_preference: 5, fuel_efficiency: 15 };
+
+const userPreset = {
+  preset_id: 3,
+  user_id: 1,
+  name: "Finca de bajo presupuesto",
+  weights: budgetWeights,
+  filters: { budget: 45000 },
+};
+
+const organizationPreset = {
+  preset_id: 4,
+  user_id: null,
+  name: "Cafetal en ladera",
+  weights: { power_match: 50, price: 15, brand_preference: 5, fuel_efficiency: 30 },
+  filters: {},
+};
+
+// ==================== TESTS ====================
+
+describe("scoringPresetController", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getPresets()", () => {
+    test("retorna los presets propios y los de la organización con su alcance", async () => {
+      const req = createMockReq();
+      const res = createMockRes();
+
+      mockFindAccessible.mockResolvedValue([userPreset, organizationPreset]);
+
+      await callHandler(getPresets, req, res);
+
+      expect(mockFindAccessible).toHaveBeenCalledWith(1);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        data: [
+          expect.objectContaining({ preset_id: 3, scope: "user" }),
+          expect.objectContaining({ preset_id: 4, scope: "organization" }),
+        ],
+      });
+    });
+  });
+
+  describe("getPresetById()", () => {
+    test("con ID ajeno o inexistente → 404", async () => {
+      const req = createMockReq({ id: "3" }, {}, { user_id: 2, role_id: 2 });
+      const res = createMockRes();
+
+      mockFindAccessibleById.mockResolvedValue(undefined);
+
+      await callHandler(getPresetById, req, res);
+
+      expect(mockFindAccessibleById).toHaveBeenCalledWith(3, 2);
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: "Preset no encontrado" });
+    });
+  });
+
+  describe("createPreset()", () => {
+    test("con datos válidos → 201 + preset del usuario", async () => {
+      const req = createMockReq({}, {
+        name: "  Finca de bajo presupuesto ",
+        weights: budgetWeights,
+        filters: { budget: 45000 },
+      });
+      const res = createMockRes();
+
+      mockCreate.mockResolvedValue(userPreset);
+
+      await callHandler(createPreset, req, res);
+
+      expect(mockCreate).toHaveBeenCalledWith({
+        user_id: 1,
+        name: "Finca de bajo presupuesto",
+        description: null,
+        weights: budgetWeights,
+        filters: { budget: 45000 },
+        created_by: 1,
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: true,
+          message: "Preset creado exitosamente",
+          data: expect.objectContaining({ scope: "user" }),
+        }),
+      );
+    });
+
+    test("rechaza pesos que no suman 100, criterios faltantes y filtros desconocidos", async () => {
+      const req = createMockReq({}, {
+        name: "Mal calibrado",
+        weights: { power_match: 40, price: 40, brand_preference: 10, fuel_efficiency: 5 },
+        filters: { budget: -1, color: "verde" },
+      });
+      const res = createMockRes();
+
+      await callHandler(createPreset, req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: "Errores de validación",
+        errors: [
+          "Los pesos deben sumar 100 (suman 95)",
+          "filters solo admite: budget, brandPreference",
+          "filters.budget debe ser un número mayor a 0",
+        ],
+      });
+
+      const resMissing = createMockRes();
+      await callHandler(
+        createPreset,
+        createMockReq({}, { name: "Sin precio", weights: { power_match: 60, brand_preference: 20, fuel_efficiency: 0 } }),
+        resMissing,
+      );
+
+      expect(resMissing.json.mock.calls[0][0].errors).toEqual([
+        "weights.price es requerido",
+        "weights.fuel_efficiency debe ser un número mayor a 0",
+      ]);
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+
+    test("solo un administrador publica presets de la organización", async () => {
+      const body = { name: "Cafetal en ladera", weights: organizationPreset.weights, scope: "organization" };
+
+      const res = createMockRes();
+      await callHandler(createPreset, createMockReq({}, body), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(mockCreate).not.toHaveBeenCalled();
+
+      const resAdmin = createMockRes();
+      mockCreate.mockResolvedValue(organizationPreset);
+      await callHandler(createPreset, createMockReq({}, body, ADMIN), resAdmin);
+
+      expect(mockCreate).toHaveBeenCalledWith(
+        expect.objectContaining({ user_id: null, created_by: 9 }),
+      );
+      expect(resAdmin.status).toHaveBeenCalledWith(201);
+    });
+  });
+
+  describe("updatePreset()", () => {
+    test("actualiza solo los campos enviados de un preset propio", async () => {
+      const req = createMockReq({ id: "3" }, { filters: { brandPreference: "Kubota" } });
+      const res = createMockRes();
+
+      mockFindAccessibleById.mockResolvedValue(userPreset);
+      mockUpdate.mockResolvedValue({ ...userPreset, filters: { brandPreference: "Kubota" } });
+
+      await callHandler(updatePreset, req, res);
+
+      expect(mockUpdate).toHaveBeenCalledWith(3, {
+        name: undefined,
+        description: undefined,
+        weights: undefined,
+        filters: { brandPreference: "Kubota" },
+      });
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, message: "Preset actualizado exitosamente" }),
+      );
+    });
+
+    test("un usuario no modifica presets de la organización ni cambia el alcance", async () => {
+      mockFindAccessibleById.mockResolvedValue(organizationPreset);
+
+      const res = createMockRes();
+      await callHandler(updatePreset, createMockReq({ id: "4" }, { name: "Otro" }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+
+      const resScope = createMockRes();
+      await callHandler(updatePreset, createMockReq({ id: "4" }, { scope: "user" }, ADMIN), resScope);
+
+      expect(resScope.status).toHaveBeenCalledWith(400);
+      expect(resScope.json.mock.calls[0][0].errors).toEqual(["scope no se puede modificar"]);
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("deletePreset()", () => {
+    test("elimina un preset de la organización si es administrador", async () => {
+      const req = createMockReq({ id: "4" }, {}, ADMIN);
+      const res = createMockRes();
+
+      mockFindAccessibleById.mockResolvedValue(organizationPreset);
+      mockDelete.mockResolvedValue(organizationPreset);
+
+      await callHandler(deletePreset, req, res);
+
+      expect(mockDelete).toHaveBeenCalledWith(4);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, message: "Preset eliminado exitosamente" }),
+      );
+    });
+
+    test("con ID inválido → 400 sin consultar", async () => {
+      const res = createMockRes();
+
+      await callHandler(deletePreset, createMockReq({ id: "abc" }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockFindAccessibleById).not.toHaveBeenCalled();
+    });
+  });
+});
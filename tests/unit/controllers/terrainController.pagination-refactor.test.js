@@ -18,6 +18,10 @@ jest.unstable_mockModule("../../../src/models/Terrain.js", () => ({
   __esModule: true,
 }));
 
+jest.unstable_mockModule("../../../src/services/soilCatalogService.js", () => ({
+  getSoilCatalog: jest.fn(),
+}));
+
 const { getAllTerrains } = await import(
   "../../../src/controllers/terrainController.js"
 );
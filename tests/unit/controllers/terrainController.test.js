@@ -15,6 +15,7 @@ const mockCreate = jest.fn();
 const mockUpdate = jest.fn();
 const mockDelete = jest.fn();
 const mockGetAll = jest.fn(); // Admin use only, but good to mock
+const mockGetSoilCatalog = jest.fn();
 
 // Mock de Terrain model
 jest.unstable_mockModule("../../../src/models/Terrain.js", () => ({
@@ -29,12 +30,23 @@ jest.unstable_mockModule("../../../src/models/Terrain.js", () => ({
   __esModule: true,
 }));
 
+// Mock del catálogo de suelos (evita la conexión a la BD)
+jest.unstable_mockModule("../../../src/services/soilCatalogService.js", () => ({
+  getSoilCatalog: mockGetSoilCatalog,
+  __esModule: true,
+}));
+
+const { DEFAULT_SOIL_CATALOG } = await import(
+  "../../../src/services/soilService.js"
+);
+
 // ==================== IMPORT DEL CONTROLLER ====================
 
 const controller =
   await import("../../../src/controllers/terrainController.js");
 const {
   getAllTerrains,
+  getSoilTypes,
   getTerrainById,
   createTerrain,
   updateTerrain,
@@ -307,6 +319,41 @@ describe("terrainController", () => {
       );
       expect(mockCreate).not.toHaveBeenCalled();
     });
+
+    test("usa humedad 'moist' por defecto y rechaza una humedad inválida", async () => {
+      const body = {
+        name: "Bajo",
+        area_hectares: 5,
+        altitude_meters: 200,
+        slope_percentage: 1,
+        soil_type: "arcilla",
+      };
+      const res = createMockRes();
+      mockCreate.mockResolvedValue({ ...mockTerrain, ...body });
+
+      await callHandler(createTerrain, createMockReq({}, body), res, createMockNext());
+
+      expect(mockCreate).toHaveBeenCalledWith(
+        expect.objectContaining({ moisture_condition: "moist" }),
+      );
+
+      const invalidRes = createMockRes();
+      mockCreate.mockClear();
+      await callHandler(
+        createTerrain,
+        createMockReq({}, { ...body, moisture_condition: "mojado" }),
+        invalidRes,
+        createMockNext(),
+      );
+
+      expect(invalidRes.status).toHaveBeenCalledWith(400);
+      expect(invalidRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          errors: ["moisture_condition debe ser uno de: dry, moist, wet"],
+        }),
+      );
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
   });
 
   // ========================================================
@@ -396,6 +443,41 @@ describe("terrainController", () => {
       );
       expect(mockUpdate).not.toHaveBeenCalled();
     });
+
+    test("actualiza la condición de humedad del terreno", async () => {
+      const req = createMockReq({ id: "10" }, { moisture_condition: "wet" });
+      const res = createMockRes();
+
+      mockFindByIdAndUser.mockResolvedValue(mockTerrain);
+      mockUpdate.mockResolvedValue({ ...mockTerrain, moisture_condition: "wet" });
+
+      await callHandler(updateTerrain, req, res, createMockNext());
+
+      expect(mockUpdate).toHaveBeenCalledWith(
+        10,
+        expect.objectContaining({ moisture_condition: "wet" }),
+      );
+    });
+  });
+
+  // ========================================================
+  // SOIL TYPES
+  // ========================================================
+  describe("getSoilTypes()", () => {
+    test("retorna el catálogo de suelos con sinónimos y humedades", async () => {
+      const req = createMockReq();
+      const res = createMockRes();
+      mockGetSoilCatalog.mockResolvedValue(DEFAULT_SOIL_CATALOG);
+
+      await callHandler(getSoilTypes, req, res, createMockNext());
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.moisture_conditions).toEqual(["dry", "moist", "wet"]);
+      expect(data.default_moisture).toBe("moist");
+      const clay = data.soil_types.find((soil) => soil.code === "clay");
+      expect(clay.coneIndex).toEqual({ dry: 60, moist: 45, wet: 25 });
+      expect(clay.synonyms).toContainEqual({ synonym: "arcilla_humeda", moisture: "wet" });
+    });
   });
 
   // ========================================================
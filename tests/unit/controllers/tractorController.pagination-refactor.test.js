@@ -16,6 +16,13 @@ jest.unstable_mockModule("../../../src/models/Tractor.js", () => ({
   __esModule: true,
 }));
 
+jest.unstable_mockModule("../../../src/models/Implement.js", () => ({
+  default: {
+    getAvailable: jest.fn(),
+  },
+  __esModule: true,
+}));
+
 jest.unstable_mockModule("../../../src/models/Recommendation.js", () => ({
   default: {
     findByTractor: jest.fn(),
@@ -18,6 +18,7 @@ const mockGetAvailable = jest.fn();
 const mockAdvancedSearch = jest.fn();
 const mockFindRecommendationsByTractor = jest.fn();
 const mockNotifyUsersAboutNewTractor = jest.fn();
+const mockGetAvailableImplements = jest.fn();
 
 // Mock de Tractor model
 jest.unstable_mockModule("../../../src/models/Tractor.js", () => ({
@@ -33,6 +34,13 @@ jest.unstable_mockModule("../../../src/models/Tractor.js", () => ({
   __esModule: true,
 }));
 
+jest.unstable_mockModule("../../../src/models/Implement.js", () => ({
+  default: {
+    getAvailable: mockGetAvailableImplements,
+  },
+  __esModule: true,
+}));
+
 jest.unstable_mockModule("../../../src/models/Recommendation.js", () => ({
   default: {
     findByTractor: mockFindRecommendationsByTractor,
@@ -66,6 +74,8 @@ const {
   createTractor,
   updateTractor,
   deleteTractor,
+  getCompatibleImplements,
+  getMyCompatibleImplements,
 } = controller;
 
 // ==================== HELPERS ====================
@@ -323,6 +333,126 @@ describe("tractorController", () => {
       expect(mockCreate).not.toHaveBeenCalled();
     });
 
+    test("con geometría de estabilidad no positiva → 400", async () => {
+      const req = createMockReq({}, { ...mockTractor, cg_height_mm: 0 });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await callHandler(createTractor, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          code: "VALIDATION_ERROR",
+          message: "La trocha, la distancia entre ejes y la altura del centro de gravedad deben ser mayores a 0",
+        }),
+      );
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+
+    test("con potencia en la TDF no positiva → 400", async () => {
+      const req = createMockReq({}, { ...mockTractor, pto_power_hp: -5 });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await callHandler(createTractor, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          code: "VALIDATION_ERROR",
+          message: "La potencia en la TDF debe ser mayor a 0",
+        }),
+      );
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+
+    test("con categoría de enganche inválida → 400", async () => {
+      const req = createMockReq({}, { ...mockTractor, hitch_category: "7" });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await callHandler(createTractor, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          code: "VALIDATION_ERROR",
+          message: "La categoría de enganche debe ser 0, 1, 2, 3 o 4",
+        }),
+      );
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+
+    test("con tipo de aspiración inválido → 400", async () => {
+      const req = createMockReq({}, { ...mockTractor, aspiration_type: "diesel" });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      await callHandler(createTractor, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          code: "VALIDATION_ERROR",
+          message: "El tipo de aspiración debe ser turbo o aspirated",
+        }),
+      );
+      expect(mockCreate).not.toHaveBeenCalled();
+    });
+
+    test("normaliza el tipo de aspiración", async () => {
+      const req = createMockReq({}, { ...mockTractor, aspiration_type: "Aspirado" });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      mockCreate.mockResolvedValue({ ...mockTractor, tractor_id: 10 });
+
+      await callHandler(createTractor, req, res, next);
+
+      expect(mockCreate).toHaveBeenCalledWith(
+        expect.objectContaining({ aspiration_type: "aspirated" }),
+      );
+    });
+
+    test("normaliza los datos de acople", async () => {
+      const req = createMockReq({}, {
+        ...mockTractor,
+        hitch_category: "Cat. II",
+        rear_lift_capacity_kg: "2500",
+        pto_speed_rpm: "540",
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      mockCreate.mockResolvedValue({ ...mockTractor, tractor_id: 10 });
+
+      await callHandler(createTractor, req, res, next);
+
+      expect(mockCreate).toHaveBeenCalledWith(
+        expect.objectContaining({ hitch_category: "2", rear_lift_capacity_kg: 2500, pto_speed_rpm: 540 }),
+      );
+    });
+
+    test("convierte la geometría de estabilidad a número", async () => {
+      const req = createMockReq({}, {
+        ...mockTractor,
+        track_width_mm: "1800",
+        wheelbase_mm: "2400",
+        cg_height_mm: "950",
+      });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      mockCreate.mockResolvedValue({ ...mockTractor, status: "maintenance" });
+
+      await callHandler(createTractor, req, res, next);
+
+      expect(mockCreate).toHaveBeenCalledWith(
+        expect.objectContaining({ track_width_mm: 1800, wheelbase_mm: 2400, cg_height_mm: 950 }),
+      );
+    });
+
     test("notifica cuando el tractor creado está disponible", async () => {
       const req = createMockReq({}, { ...mockTractor, status: "available" });
       const res = createMockRes();
@@ -808,4 +938,63 @@ describe("tractorController", () => {
       );
     });
   });
+
+  // ========================================================
+  // COMPATIBLE IMPLEMENTS
+  // ========================================================
+  describe("getCompatibleImplements()", () => {
+    test("separa los implementos compatibles y explica los rechazados", async () => {
+      const req = createMockReq({ id: "1" });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      mockFindById.mockResolvedValue({ ...mockTractor, hitch_category: "2", rear_lift_capacity_kg: 1600 });
+      mockGetAvailableImplements.mockResolvedValue([
+        { implement_id: 1, implement_name: "Arado", hitch_category: "2", weight_kg: 650 },
+        { implement_id: 2, implement_name: "Sembradora", hitch_category: "2", weight_kg: 2100 },
+        { implement_id: 3, implement_name: "Rastra", hitch_category: "3", weight_kg: 900 },
+      ]);
+
+      await callHandler(getCompatibleImplements, req, res, next);
+
+      const { data } = res.json.mock.calls[0][0];
+      expect(data.compatible.map((item) => item.implement_id)).toEqual([1]);
+      expect(data.incompatible.map((item) => item.implement_id)).toEqual([2, 3]);
+      expect(data.incompatible[0].compatibility.reasons[0].check).toBe("liftCapacity");
+      expect(data.incompatible[1].compatibility.reasons[0].check).toBe("hitchCategory");
+      expect(mockFindById).toHaveBeenCalledWith(1);
+      expect(data.summary).toEqual({ evaluated: 3, compatibleCount: 1, incompatibleCount: 2 });
+    });
+
+    test("en /api/my-tractors también busca entre los tractores privados del usuario", async () => {
+      const req = { ...createMockReq({ id: "1" }), user: { user_id: 22 } };
+      const res = createMockRes();
+      const next = createMockNext();
+
+      mockFindById.mockResolvedValue({ ...mockTractor, owner_user_id: 22 });
+      mockGetAvailableImplements.mockResolvedValue([]);
+
+      await callHandler(getMyCompatibleImplements, req, res, next);
+
+      expect(mockFindById).toHaveBeenCalledWith(1, 22);
+      expect(res.json.mock.calls[0][0].data.summary).toEqual({
+        evaluated: 0,
+        compatibleCount: 0,
+        incompatibleCount: 0,
+      });
+    });
+
+    test("con tractor inexistente → 404", async () => {
+      const req = createMockReq({ id: "999" });
+      const res = createMockRes();
+      const next = createMockNext();
+
+      mockFindById.mockResolvedValue(null);
+
+      await callHandler(getCompatibleImplements, req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(mockGetAvailableImplements).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,122 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+
+const mockVerifyToken = jest.fn();
+const mockFindPreferredUnits = jest.fn();
+
+jest.unstable_mockModule('../../../src/utils/jwt.util.js', () => ({
+    verifyToken: mockVerifyToken,
+}));
+
+jest.unstable_mockModule('../../../src/models/User.js', () => ({
+    __esModule: true,
+    default: { findPreferredUnits: mockFindPreferredUnits },
+}));
+
+const { unitsMiddleware, resolveUnitSystem } = await import('../../../src/middleware/units.middleware.js');
+
+const createMockRes = () => {
+    const res = {
+        setHeader: jest.fn(),
+        status: jest.fn(),
+        json: jest.fn(),
+    };
+    res.status.mockReturnValue(res);
+    res.json.mockReturnValue(res);
+    return res;
+};
+
+describe('Units Middleware', () => {
+    beforeEach(() => {
+        mockVerifyToken.mockReset();
+        mockFindPreferredUnits.mockReset();
+    });
+
+    it('should leave the request untouched without header or preference', async () => {
+        const req = { headers: {}, body: { weight_kg: 100 }, query: {} };
+        const res = createMockRes();
+        const originalJson = res.json;
+        const next = jest.fn();
+
+        await unitsMiddleware(req, res, next);
+
+        expect(next).toHaveBeenCalled();
+        expect(req.units).toBeUndefined();
+        expect(req.body).toEqual({ weight_kg: 100 });
+        expect(res.json).toBe(originalJson);
+    });
+
+    it('should reject an unknown X-Units header', async () => {
+        const req = { headers: { 'x-units': 'cubits' }, body: {}, query: {} };
+        const res = createMockRes();
+        const next = jest.fn();
+
+        await unitsMiddleware(req, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            success: false,
+            errors: ['X-Units debe ser uno de: metric, si, imperial'],
+        }));
+    });
+
+    it('should convert the body and query to canonical units and the response back', async () => {
+        const req = {
+            headers: { 'x-units': 'imperial' },
+            body: { tractor_id: 1, working_speed_kmh: 5 },
+            query: { minPower: '74.57' },
+        };
+        const res = createMockRes();
+        const sendJson = res.json;
+        const next = jest.fn();
+
+        await unitsMiddleware(req, res, next);
+
+        expect(req.units).toBe('imperial');
+        expect(res.setHeader).toHaveBeenCalledWith('X-Units', 'imperial');
+        expect(req.body.working_speed_kmh).toBeCloseTo(8.05, 2);
+        expect(req.query.minPower).toBeCloseTo(100, 1);
+
+        res.json({ success: true, data: { net_power_hp: 100 } });
+
+        expect(sendJson).toHaveBeenCalledWith({
+            success: true,
+            data: { net_power_hp: 74.57, units: { net_power_hp: 'kW' } },
+        });
+    });
+
+    it('should prefer the X-Units header over the stored preference', async () => {
+        mockVerifyToken.mockReturnValue({ user_id: 1 });
+        mockFindPreferredUnits.mockResolvedValue('imperial');
+
+        await expect(resolveUnitSystem({ headers: { authorization: 'Bearer token' } }))
+            .resolves.toEqual({ system: 'imperial', error: false });
+        await expect(resolveUnitSystem({ headers: { authorization: 'Bearer token', 'x-units': 'SI' } }))
+            .resolves.toEqual({ system: 'si', error: false });
+        expect(mockFindPreferredUnits).toHaveBeenCalledTimes(1);
+    });
+
+    it('should read the preference from the user record, not from the token claim', async () => {
+        // Token emitido antes de cambiar la preferencia: su claim ya no vale
+        mockVerifyToken.mockReturnValue({ user_id: 7, preferred_units: 'imperial' });
+        mockFindPreferredUnits.mockResolvedValue('si');
+
+        await expect(resolveUnitSystem({ headers: { authorization: 'Bearer stale' } }))
+            .resolves.toEqual({ system: 'si', error: false });
+        expect(mockFindPreferredUnits).toHaveBeenCalledWith(7);
+
+        mockFindPreferredUnits.mockResolvedValue(null);
+        await expect(resolveUnitSystem({ headers: {}, user: { user_id: 7 } }))
+            .resolves.toEqual({ system: null, error: false });
+    });
+
+    it('should ignore an invalid token when reading the preference', async () => {
+        mockVerifyToken.mockImplementation(() => {
+            throw new Error('jwt expired');
+        });
+
+        await expect(resolveUnitSystem({ headers: { authorization: 'Bearer expired' } }))
+            .resolves.toEqual({ system: null, error: false });
+        expect(mockFindPreferredUnits).not.toHaveBeenCalled();
+    });
+});
@@ -176,7 +176,7 @@ describe('validation.middleware', () => {
         'working_width_m debe ser un número positivo',
         'working_depth_cm debe ser un número positivo',
         'weight_kg debe ser un número positivo',
-        'implement_type debe ser uno de: plow, harrow, seeder, sprayer, harvester, cultivator, mower, trailer, other',
+        'implement_type debe ser uno de: plow, harrow, seeder, sprayer, harvester, cultivator, mower, rotary_tiller, baler, trailer, other',
         'status debe ser uno de: available, maintenance, inactive',
       ],
     });
@@ -0,0 +1,51 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+
+const mockConnect = jest.fn();
+const mockClient = {
+  query: jest.fn(),
+  release: jest.fn(),
+};
+
+jest.unstable_mockModule('../../../src/config/db.js', () => ({
+  __esModule: true,
+  pool: {
+    connect: mockConnect,
+  },
+}));
+
+const { default: CalculationProfile } = await import('../../../src/models/CalculationProfile.js');
+
+const activationValues = () => mockClient.query.mock.calls
+  .find(([sql]) => sql.includes('previous_version = COALESCE'))[1];
+
+describe('CalculationProfile', () => {
+  beforeEach(() => {
+    [mockConnect, mockClient.query, mockClient.release].forEach((mockFn) => mockFn.mockReset());
+    mockConnect.mockResolvedValue(mockClient);
+  });
+
+  test('activate apunta previous_version al perfil que estaba activo', async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ version: 2 }] })
+      .mockResolvedValueOnce({ rows: [{ version: 3, previous_version: 2 }] })
+      .mockResolvedValueOnce({});
+
+    await expect(CalculationProfile.activate(3)).resolves.toEqual({ version: 3, previous_version: 2 });
+    expect(activationValues()).toEqual([3, 2]);
+    expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+
+  test('un rollback reactiva el perfil sin reescribir su puntero', async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ version: 3 }] })
+      .mockResolvedValueOnce({ rows: [{ version: 2, previous_version: 1 }] })
+      .mockResolvedValueOnce({});
+
+    await expect(CalculationProfile.activate(2, { rollback: true }))
+      .resolves.toEqual({ version: 2, previous_version: 1 });
+    // null deja previous_version como estaba (COALESCE)
+    expect(activationValues()).toEqual([2, null]);
+  });
+});
@@ -7,6 +7,7 @@ const getTractorById = jest.fn();
 const createTractor = jest.fn();
 const updateTractor = jest.fn();
 const deleteTractor = jest.fn();
+const getCompatibleImplements = jest.fn();
 
 const verifyTokenMiddleware = jest.fn((req, _res, next) => next?.());
 const isAdmin = jest.fn((req, _res, next) => next?.());
@@ -26,6 +27,7 @@ const loadRouter = async () => {
     createTractor,
     updateTractor,
     deleteTractor,
+    getCompatibleImplements,
   }));
 
   jest.unstable_mockModule("../../../src/middleware/auth.middleware.js", () => ({
@@ -0,0 +1,48 @@
+/**
+ * Tests unitarios para batchCalculationService
+ * Verifica el límite de tractores, el resumen de la matriz y las filas CSV.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import {
+  getTractorLimit,
+  summarizeMatrix,
+  toCsvRecord,
+  CONSTANTS,
+} from "../../../src/services/batchCalculationService.js";
+
+describe("batchCalculationService", () => {
+  test("limita los tractores para no superar el máximo de celdas", () => {
+    expect(getTractorLimit(1)).toBe(CONSTANTS.MAX_TRACTORS);
+    expect(getTractorLimit(20)).toBe(25);
+    expect(getTractorLimit(0)).toBe(CONSTANTS.MAX_TRACTORS);
+  });
+
+  test("resume la matriz con el mejor tractor por terreno e ignora celdas fallidas", () => {
+    const summary = summarizeMatrix([
+      { tractor_id: 1, terrain_id: 10, net_power_hp: 80, error: null },
+      { tractor_id: 2, terrain_id: 10, net_power_hp: 95, error: null },
+      { tractor_id: 3, terrain_id: 10, error: "Peso inválido" },
+      { tractor_id: 1, terrain_id: 11, error: "Peso inválido" },
+    ]);
+
+    expect(summary).toEqual({
+      total_cells: 4,
+      computed_cells: 2,
+      failed_cells: 2,
+      by_terrain: [
+        { terrain_id: 10, best_tractor_id: 2, net_power_hp: { min: 80, max: 95 } },
+        { terrain_id: 11, best_tractor_id: null, net_power_hp: null },
+      ],
+    });
+  });
+
+  test("las filas CSV tienen todas las columnas en orden", () => {
+    const record = toCsvRecord({ tractor_id: 1, terrain_id: 10, net_power_hp: 80, extra: true });
+
+    expect(Object.keys(record)).toEqual(CONSTANTS.CSV_COLUMNS);
+    expect(record.net_power_hp).toBe(80);
+    expect(record.error).toBeNull();
+    expect(record).not.toHaveProperty("extra");
+  });
+});
@@ -0,0 +1,175 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals';
+
+const mockFindActive = jest.fn();
+const mockFindByVersion = jest.fn();
+const mockCreate = jest.fn();
+const mockActivate = jest.fn();
+
+jest.unstable_mockModule('../../../src/models/CalculationProfile.js', () => ({
+  __esModule: true,
+  default: {
+    findActive: mockFindActive,
+    findByVersion: mockFindByVersion,
+    create: mockCreate,
+    activate: mockActivate,
+  },
+}));
+
+const service = await import('../../../src/services/calculationProfileService.js');
+const {
+  getDefaultCoefficients,
+  validateCoefficients,
+  validateCoefficientRanges,
+  mergeCoefficients,
+  getActiveProfile,
+  getProfileByVersion,
+  createProfile,
+  rollbackProfile,
+} = service;
+
+describe('calculationProfileService', () => {
+  beforeEach(() => {
+    [mockFindActive, mockFindByVersion, mockCreate, mockActivate]
+      .forEach((mockFn) => mockFn.mockReset());
+  });
+
+  test('los coeficientes por defecto salen de las constantes de cada servicio', () => {
+    const defaults = getDefaultCoefficients();
+
+    expect(defaults.powerLoss).toEqual({
+      BASE_TEMPERATURE_C: 15,
+      TEMP_LOSS_PER_5C: 1,
+      BASE_ALTITUDE_M: 0,
+      ALTITUDE_LOSS_PER_300M: 1,
+      DEFAULT_TRANSMISSION_LOSS: 0.13,
+    });
+    expect(defaults).not.toHaveProperty('soilCn');
+    expect(defaults.recommendation).not.toHaveProperty('SOIL_DIFFICULTY');
+    expect(defaults.minimumPower.SAFETY_MARGIN).toBe(0.15);
+    expect(defaults.recommendation.SCORING_CONFIG.TOP_RECOMMENDATIONS).toBe(5);
+
+    // Es una copia: modificarla no altera los valores del código
+    defaults.minimumPower.SAFETY_MARGIN = 0.5;
+    expect(getDefaultCoefficients().minimumPower.SAFETY_MARGIN).toBe(0.15);
+  });
+
+  test('validateCoefficients rechaza claves desconocidas y tipos incorrectos', () => {
+    expect(validateCoefficients({ minimumPower: { SAFETY_MARGIN: 0.2 } })).toEqual([]);
+    expect(validateCoefficients({
+      minimumPower: { SAFETY_MARGIN: 'alto' },
+      powerLoss: { KW_TO_HP: 1.3 },
+      extra: {},
+    })).toEqual([
+      'minimumPower.SAFETY_MARGIN debe ser un número',
+      'powerLoss.KW_TO_HP no es un coeficiente reconocido',
+      'extra no es un coeficiente reconocido',
+    ]);
+    expect(validateCoefficients([])).toEqual(['coefficients debe ser un objeto']);
+  });
+
+  test('validateCoefficientRanges verifica los rangos físicos y la suma de pesos', () => {
+    const defaults = getDefaultCoefficients();
+    expect(validateCoefficientRanges(defaults)).toEqual([]);
+
+    const invalid = mergeCoefficients(defaults, {
+      powerLoss: { DEFAULT_TRANSMISSION_LOSS: 1 },
+      minimumPower: { SAFETY_MARGIN: -0.1, STANDARD_DEPTH_M: 0 },
+      recommendation: { SCORING_CONFIG: { WEIGHTS: { EFFICIENCY: 50 }, TOP_RECOMMENDATIONS: 0 } },
+    });
+
+    expect(validateCoefficientRanges(invalid)).toEqual([
+      'powerLoss.DEFAULT_TRANSMISSION_LOSS debe estar entre 0 y 1',
+      'minimumPower.SAFETY_MARGIN no puede ser negativo',
+      'minimumPower.STANDARD_DEPTH_M debe ser mayor a 0',
+      'recommendation.SCORING_CONFIG.WEIGHTS debe sumar 100',
+      'recommendation.SCORING_CONFIG.TOP_RECOMMENDATIONS debe ser un entero mayor a 0',
+    ]);
+  });
+
+  test('mergeCoefficients combina en profundidad sin mutar la base', () => {
+    const base = { minimumPower: { SAFETY_MARGIN: 0.15, SOIL_FACTORS: { clay: 1.3, loam: 1 } } };
+    const merged = mergeCoefficients(base, { minimumPower: { SOIL_FACTORS: { clay: 1.4 } } });
+
+    expect(merged).toEqual({ minimumPower: { SAFETY_MARGIN: 0.15, SOIL_FACTORS: { clay: 1.4, loam: 1 } } });
+    expect(base.minimumPower.SOIL_FACTORS.clay).toBe(1.3);
+  });
+
+  test('getActiveProfile completa el perfil guardado con los valores por defecto', async () => {
+    mockFindActive.mockResolvedValue({
+      version: 2,
+      name: 'Calibración 2025',
+      coefficients: { minimumPower: { SAFETY_MARGIN: 0.2 } },
+    });
+
+    const profile = await getActiveProfile();
+
+    expect(profile.version).toBe(2);
+    expect(profile.name).toBe('Calibración 2025');
+    expect(profile.coefficients.minimumPower.SAFETY_MARGIN).toBe(0.2);
+    expect(profile.coefficients.minimumPower.STANDARD_DEPTH_M).toBe(0.25);
+    expect(profile.coefficients.powerLoss.DEFAULT_TRANSMISSION_LOSS).toBe(0.13);
+  });
+
+  test('getActiveProfile usa los valores por defecto con versión null si no hay perfil activo', async () => {
+    mockFindActive.mockResolvedValue(undefined);
+
+    await expect(getActiveProfile()).resolves.toEqual({
+      version: null,
+      name: 'Valores por defecto',
+      coefficients: getDefaultCoefficients(),
+    });
+  });
+
+  test('getProfileByVersion retorna null si la versión no existe', async () => {
+    mockFindByVersion.mockResolvedValue(undefined);
+
+    await expect(getProfileByVersion(9)).resolves.toBeNull();
+    expect(mockFindByVersion).toHaveBeenCalledWith(9);
+  });
+
+  test('createProfile guarda los coeficientes completos con el autor', async () => {
+    const coefficients = getDefaultCoefficients();
+    mockCreate.mockResolvedValue({ version: 3, is_active: false });
+
+    await createProfile({ name: 'Nuevo', coefficients, createdBy: 7 });
+
+    expect(mockCreate).toHaveBeenCalledWith({
+      name: 'Nuevo',
+      description: null,
+      coefficients,
+      created_by: 7,
+    });
+  });
+
+  test('rollbackProfile reactiva la versión activada antes de la actual', async () => {
+    mockFindActive.mockResolvedValue({ version: 2, previous_version: 3 });
+    mockActivate.mockResolvedValue({ version: 3, is_active: true });
+
+    // Se activó la v3 y después la v2: el rollback vuelve a la v3 aunque sea mayor
+    await expect(rollbackProfile()).resolves.toEqual({ version: 3, is_active: true });
+    expect(mockActivate).toHaveBeenCalledWith(3, { rollback: true });
+  });
+
+  test('dos rollbacks seguidos recorren la cadena hacia atrás sin volver a la última', async () => {
+    // v1 -> v2 -> v3: cada rollback conserva el puntero del perfil que reactiva
+    mockFindActive
+      .mockResolvedValueOnce({ version: 3, previous_version: 2 })
+      .mockResolvedValueOnce({ version: 2, previous_version: 1 });
+    mockActivate
+      .mockResolvedValueOnce({ version: 2, previous_version: 1, is_active: true })
+      .mockResolvedValueOnce({ version: 1, previous_version: null, is_active: true });
+
+    await expect(rollbackProfile()).resolves.toEqual(expect.objectContaining({ version: 2 }));
+    await expect(rollbackProfile()).resolves.toEqual(expect.objectContaining({ version: 1 }));
+    expect(mockActivate.mock.calls).toEqual([[2, { rollback: true }], [1, { rollback: true }]]);
+  });
+
+  test('rollbackProfile retorna null sin perfil activo o sin uno anterior', async () => {
+    mockFindActive.mockResolvedValueOnce(undefined);
+    await expect(rollbackProfile()).resolves.toBeNull();
+
+    mockFindActive.mockResolvedValueOnce({ version: 1, previous_version: null });
+    await expect(rollbackProfile()).resolves.toBeNull();
+    expect(mockActivate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests unitarios para calculationReplayService
+ * Verifica la instantánea de entradas, el registro de resultados y la comparación campo a campo.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import { calculateTotalLoss } from "../../../src/services/powerLossService.js";
+import {
+  getModelVersion,
+  buildInputSnapshot,
+  toResultRecord,
+  diffResults,
+  replayCalculation,
+} from "../../../src/services/calculationReplayService.js";
+
+const params = {
+  enginePower: 120,
+  altitudeMeters: 1500,
+  temperatureC: 25,
+  totalWeightKg: 5000,
+  soilCn: 35,
+  slopePercent: 8,
+  speedKmh: 7,
+  slippagePercent: 12,
+  hasTurbo: false,
+  coefficients: { DEFAULT_TRANSMISSION_LOSS: 0.13 },
+};
+
+describe("calculationReplayService", () => {
+  test("la instantánea guarda los parámetros, el body conocido y el suelo", () => {
+    const snapshot = buildInputSnapshot({
+      params,
+      request: { working_speed_kmh: 7, slippage_percent: 12, tractor_id: 4, user_id: 77 },
+      terrain: { soil_type: "arcilla", moisture_condition: "wet", name: "Lote" },
+    });
+
+    expect(snapshot).toEqual({
+      model_version: getModelVersion(),
+      params,
+      request: { working_speed_kmh: 7, slippage_percent: 12 },
+      terrain: { soil_type: "arcilla", moisture_condition: "wet" },
+    });
+    // Serializable a JSONB sin pérdidas
+    expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+  });
+
+  test("el registro incluye el desglose completo y las entradas clave", () => {
+    const results = calculateTotalLoss(params);
+    const record = toResultRecord(results, params);
+
+    expect(record).toEqual(expect.objectContaining({
+      temperature_loss_hp: results.losses.temperature,
+      transmission_loss_hp: results.losses.transmission,
+      total_loss_hp: results.losses.total,
+      net_power_hp: results.netPower,
+      slippage_percent: 12,
+      soil_cn: 35,
+      has_turbo: false,
+      temperature_celsius: 25,
+    }));
+  });
+
+  test("diffResults marca solo los campos que cambian más que la tolerancia", () => {
+    const { fields, changedFields } = diffResults(
+      { net_power_hp: "68.58", efficiency_percentage: 57.15, has_turbo: false, soil_cn: null },
+      { net_power_hp: 67.9, efficiency_percentage: 57.155, has_turbo: true, soil_cn: 35 },
+    );
+
+    expect(fields.net_power_hp).toEqual({ original: 68.58, replayed: 67.9, delta: -0.68, changed: true });
+    expect(fields.efficiency_percentage.changed).toBe(false);
+    expect(fields.has_turbo).toEqual({ original: false, replayed: true, delta: null, changed: true });
+    expect(fields.soil_cn).toEqual({ original: null, replayed: 35, delta: null, changed: true });
+    expect(changedFields).toEqual(["net_power_hp", "soil_cn", "has_turbo"]);
+  });
+
+  test("reproducir con el mismo modelo no produce diferencias", () => {
+    const snapshot = buildInputSnapshot({ params, terrain: { soil_type: "franco" } });
+    const original = toResultRecord(calculateTotalLoss(params), params);
+
+    const replay = replayCalculation({ snapshot, original });
+
+    expect(replay.modelVersion).toBe(getModelVersion());
+    expect(replay.changedFields).toEqual([]);
+    expect(replay.replayed).toEqual(original);
+  });
+
+  test("aplica los coeficientes y el Cn actuales al reproducir", () => {
+    const snapshot = buildInputSnapshot({ params, terrain: { soil_type: "arcilla" } });
+    const original = toResultRecord(calculateTotalLoss(params), params);
+
+    const replay = replayCalculation({
+      snapshot,
+      original,
+      coefficients: { DEFAULT_TRANSMISSION_LOSS: 0.2 },
+      soilCn: 25,
+    });
+
+    expect(replay.changedFields).toEqual(expect.arrayContaining(["transmission_loss_hp", "net_power_hp", "soil_cn"]));
+    expect(replay.diff.soil_cn).toEqual({ original: 35, replayed: 25, delta: -10, changed: true });
+    expect(replay.diff.net_power_hp.delta).toBeLessThan(0);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests unitarios para comparisonService
+ * Verifica la tabla alineada, el ganador por fila (sentido, empates y datos faltantes)
+ * y que el ganador general salga de los tractores compatibles.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import {
+  compareTractors,
+  evaluateTractor,
+  CONSTANTS,
+} from "../../../src/services/comparisonService.js";
+import { calculateScore } from "../../../src/services/recommendationService.js";
+
+const terrain = { soil_type: "loam", slope_percentage: 8 };
+const implement = { implement_type: "plow" };
+
+const tractor = (overrides = {}) => ({
+  tractor_id: 1,
+  name: "Tractor",
+  engine_power_hp: 100,
+  traction_type: "4x4",
+  status: "available",
+  ...overrides,
+});
+
+const rowByKey = (comparison, key) => comparison.rows.find((row) => row.key === key);
+
+describe("comparisonService", () => {
+  test("arma una fila por métrica con un valor por tractor en el orden pedido", () => {
+    const comparison = compareTractors({
+      tractors: [
+        tractor({ tractor_id: 7, engine_power_hp: 90 }),
+        tractor({ tractor_id: 3, engine_power_hp: 150 }),
+      ],
+      terrain,
+      implement,
+      requiredPower: 85,
+      fieldCapacity: { effectiveCapacityHaH: 1.2 },
+    });
+
+    expect(comparison.rows.map((row) => row.key)).toEqual(Object.keys(CONSTANTS.ROWS));
+    comparison.rows.forEach((row) => expect(row.values).toHaveLength(2));
+
+    expect(rowByKey(comparison, "nominal_power_hp").values).toEqual([90, 150]);
+    expect(rowByKey(comparison, "power_surplus_hp").values).toEqual([5, 65]);
+    expect(rowByKey(comparison, "score_total").values).toEqual([
+      calculateScore(tractor({ engine_power_hp: 90 }), implement, terrain, 85).total,
+      calculateScore(tractor({ engine_power_hp: 150 }), implement, terrain, 85).total,
+    ]);
+    expect(comparison.tractors.map((entry) => entry.tractor.tractor_id)).toEqual([7, 3]);
+  });
+
+  test("el ganador de cada fila respeta su sentido y no hay ganador con empate", () => {
+    const comparison = compareTractors({
+      tractors: [
+        tractor({ tractor_id: 1, engine_power_hp: 90, price_usd: 40000 }),
+        tractor({ tractor_id: 2, engine_power_hp: 150, price_usd: 65000 }),
+      ],
+      terrain,
+      implement,
+      requiredPower: 85,
+      fieldCapacity: { effectiveCapacityHaH: 1.2 },
+    });
+
+    // Mayor puntaje (menos sobredimensionado) y menor precio y consumo
+    expect(rowByKey(comparison, "score_total").winner).toBe(1);
+    expect(rowByKey(comparison, "purchase_price").winner).toBe(1);
+    expect(rowByKey(comparison, "fuel_liters_per_hour").winner).toBe(1);
+    // Sin derateo ambos entregan su nominal: gana el más potente
+    expect(rowByKey(comparison, "derated_power_hp").winner).toBe(2);
+    // Misma tracción, suelo y disponibilidad: empate
+    expect(rowByKey(comparison, "score_traction").winner).toBeNull();
+    // Filas informativas
+    expect(rowByKey(comparison, "nominal_power_hp").winner).toBeNull();
+
+    const wins = comparison.rows.filter((row) => row.winner === 1).length;
+    expect(comparison.summary.wins).toEqual([wins, 1]);
+  });
+
+  test("sin precio no hay costo y la fila la gana el único tractor con dato", () => {
+    const comparison = compareTractors({
+      tractors: [
+        tractor({ tractor_id: 1, price_usd: 50000 }),
+        tractor({ tractor_id: 2 }),
+      ],
+      terrain,
+      implement,
+      requiredPower: 85,
+      fieldCapacity: { effectiveCapacityHaH: 1 },
+    });
+
+    const [priced, unpriced] = comparison.tractors;
+    expect(priced.cost.totalPerHectare).toBeGreaterThan(0);
+    expect(unpriced.cost).toBeNull();
+    expect(rowByKey(comparison, "operating_cost_per_hectare").values).toEqual([
+      priced.cost.totalPerHectare,
+      null,
+    ]);
+    expect(rowByKey(comparison, "operating_cost_per_hectare").winner).toBe(1);
+  });
+
+  test("el ganador general sale de los compatibles aunque otro puntúe más", () => {
+    // Pendiente > 15%: el 4x2 queda excluido por la Regla de Oro
+    const steep = { soil_type: "loam", slope_percentage: 20 };
+    const comparison = compareTractors({
+      tractors: [
+        tractor({ tractor_id: 1, engine_power_hp: 90, traction_type: "4x2" }),
+        tractor({ tractor_id: 2, engine_power_hp: 200 }),
+      ],
+      terrain: steep,
+      implement,
+      requiredPower: 85,
+    });
+
+    const [excluded, compatible] = comparison.tractors;
+    expect(excluded.compatible).toBe(false);
+    expect(excluded.excludedBy).toBe("traction");
+    expect(compatible.compatible).toBe(true);
+    expect(rowByKey(comparison, "compatible").values).toEqual([false, true]);
+    expect(comparison.summary).toEqual(
+      expect.objectContaining({ compatibleCount: 1, overallWinner: 2 }),
+    );
+  });
+
+  test("con derateo informa la potencia en el terreno y la pérdida", () => {
+    const entry = evaluateTractor(tractor({ weight_kg: 4000 }), {
+      terrain: { ...terrain, altitude_meters: 2600 },
+      implement,
+      requiredPower: 60,
+      derating: { speedKmh: 6 },
+    });
+
+    expect(entry.power.deratedHP).toBeLessThan(100);
+    expect(entry.power.lossHP).toBeCloseTo(100 - entry.power.deratedHP, 2);
+    expect(entry.power.surplusHP).toBeCloseTo(entry.power.deratedHP - 60, 2);
+  });
+
+  test("rechaza menos de 2 o más de 3 tractores", () => {
+    const params = { terrain, implement, requiredPower: 85 };
+
+    expect(() => compareTractors({ ...params, tractors: [tractor()] })).toThrow(
+      "Se comparan entre 2 y 3 tractores",
+    );
+    expect(() =>
+      compareTractors({ ...params, tractors: [1, 2, 3, 4].map((id) => tractor({ tractor_id: id })) }),
+    ).toThrow("Se comparan entre 2 y 3 tractores");
+  });
+});
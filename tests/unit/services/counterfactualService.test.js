@@ -0,0 +1,180 @@
+/**
+ * Tests unitarios para counterfactualService
+ * Verifica el filtro que excluye a un tractor, el cambio mínimo que lo haría calificar,
+ * la distancia al top N y el lastre para no superar el 15% de patinaje.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import {
+  evaluateFilters,
+  assessSlip,
+  explainTractor,
+  CONSTANTS,
+} from "../../../src/services/counterfactualService.js";
+import { findCompatibleTractors } from "../../../src/services/recommendationService.js";
+
+const flatTerrain = { soil_type: "loam", slope_percentage: 5 };
+const steepTerrain = { soil_type: "loam", slope_percentage: 20 };
+
+const tractor = (overrides = {}) => ({
+  tractor_id: 1,
+  name: "Tractor",
+  engine_power_hp: 100,
+  traction_type: "4x4",
+  status: "available",
+  ...overrides,
+});
+
+const changeMessages = (explanation) => explanation.changes.map((change) => change.message);
+
+describe("counterfactualService", () => {
+  test("la potencia faltante se informa como HP adicionales", () => {
+    const explanation = explainTractor({
+      tractor: tractor({ engine_power_hp: 73 }),
+      tractors: [],
+      terrain: flatTerrain,
+      requiredPower: 85,
+    });
+
+    expect(explanation.qualifies).toBe(false);
+    expect(explanation.excludedBy).toBe("power");
+    expect(explanation.changes).toEqual([
+      { filter: "power", type: "engine_power", value: 12, unit: "HP", message: "+12 HP" },
+    ]);
+    expect(explanation.score).toBeNull();
+  });
+
+  test("con derateo busca la potencia nominal que entrega la requerida en el terreno", () => {
+    const derating = { speedKmh: 6 };
+    const terrain = { soil_type: "loam", slope_percentage: 5, altitude_meters: 2600 };
+    const slow = tractor({ engine_power_hp: 80, weight_kg: 3500, aspiration_type: "aspirated" });
+
+    const [power] = evaluateFilters(slow, { terrain, requiredPower: 80, derating });
+    const extraHP = power.changes[0].value;
+
+    expect(power.passed).toBe(false);
+    expect(power.deratedHP).toBeLessThan(80);
+    // El faltante nominal supera al derateado porque las pérdidas crecen con la potencia
+    expect(extraHP).toBeGreaterThanOrEqual(Math.ceil(power.shortfallHP));
+    expect(
+      findCompatibleTractors(terrain, [{ ...slow, engine_power_hp: 80 + extraHP }], 80, { derating }),
+    ).toHaveLength(1);
+    expect(
+      findCompatibleTractors(terrain, [{ ...slow, engine_power_hp: 80 + extraHP - 1 }], 80, { derating }),
+    ).toHaveLength(0);
+  });
+
+  test("informa todos los filtros que fallan en el orden de findCompatibleTractors", () => {
+    const candidate = tractor({
+      traction_type: "4x2",
+      status: "maintenance",
+      hitch_category: "1",
+      rear_lift_capacity_kg: 700,
+    });
+    const implement = { implement_type: "plow", hitch_category: "2", weight_kg: 900 };
+
+    const explanation = explainTractor({
+      tractor: candidate,
+      tractors: [],
+      terrain: steepTerrain,
+      implement,
+      requiredPower: 60,
+    });
+
+    expect(explanation.excludedBy).toBe("traction");
+    expect(explanation.checks.map((check) => check.filter)).toEqual(Object.values(CONSTANTS.FILTERS));
+    expect(changeMessages(explanation)).toEqual([
+      "Necesita tracción 4x4 (u orugas)",
+      "Enganche categoría 2 (tiene 1)",
+      "+200 kg de capacidad de levante",
+      "Debe estar disponible (estado actual: maintenance)",
+    ]);
+    expect(findCompatibleTractors(steepTerrain, [candidate], 60, { implement })).toHaveLength(0);
+  });
+
+  test("un tractor con riesgo de vuelco informa la pendiente máxima en la que es estable", () => {
+    const narrow = tractor({ track_width_mm: 1200, wheelbase_mm: 2000, cg_height_mm: 1300 });
+    const terrain = { soil_type: "loam", slope_percentage: 40 };
+
+    const stability = evaluateFilters(narrow, { terrain, requiredPower: 60 })
+      .find((check) => check.filter === "stability");
+
+    expect(stability.passed).toBe(false);
+    expect(stability.level).toBe("UNSAFE");
+    expect(stability.changes[0]).toEqual(expect.objectContaining({ type: "max_slope", unit: "%" }));
+    expect(stability.changes[0].value).toBeLessThan(40);
+
+    // En la pendiente informada ya no se excluye
+    const atLimit = evaluateFilters(narrow, {
+      terrain: { ...terrain, slope_percentage: stability.changes[0].value },
+      requiredPower: 60,
+    });
+    expect(atLimit.find((check) => check.filter === "stability").passed).toBe(true);
+  });
+
+  test("si pasa los filtros informa los puntos que le faltan para el top N", () => {
+    const catalog = [
+      tractor({ tractor_id: 1, engine_power_hp: 90 }),
+      tractor({ tractor_id: 2, engine_power_hp: 95 }),
+      tractor({ tractor_id: 3, engine_power_hp: 200 }),
+    ];
+
+    const explanation = explainTractor({
+      tractor: catalog[2],
+      tractors: catalog,
+      terrain: flatTerrain,
+      requiredPower: 85,
+      options: { limit: 2 },
+    });
+
+    expect(explanation.qualifies).toBe(true);
+    expect(explanation.recommended).toBe(false);
+    expect(explanation.excludedBy).toBeNull();
+    expect(explanation.score).toEqual(expect.objectContaining({ rank: 3, cutoffRank: 2, compatibleCount: 3 }));
+    expect(explanation.score.gap).toBeCloseTo(explanation.score.cutoffScore - explanation.score.total, 2);
+    expect(explanation.score.criteriaGaps[0].criterion).toBe("efficiency");
+    expect(explanation.changes).toEqual([
+      expect.objectContaining({
+        filter: "score",
+        value: explanation.score.gap,
+        message: `Le faltan ${explanation.score.gap} puntos para entrar al top 2 (sobre todo en eficiencia de potencia)`,
+      }),
+    ]);
+
+    const best = explainTractor({
+      tractor: catalog[1],
+      tractors: catalog,
+      terrain: flatTerrain,
+      requiredPower: 85,
+      options: { limit: 2 },
+    });
+    expect(best.recommended).toBe(true);
+    expect(best.changes).toEqual([]);
+  });
+
+  test("calcula el lastre mínimo para no superar el 15% de patinaje", () => {
+    const light = { weight_kg: 3800, traction_type: "4x4" };
+    const terrain = { soil_type: "clay", moisture_condition: "wet", slope_percentage: 18 };
+
+    const slip = assessSlip(light, terrain, { drawbarPullKn: 20 });
+
+    expect(slip.withinLimit).toBe(false);
+    expect(slip.slipPercent).toBeGreaterThan(CONSTANTS.MAX_SLIP_PERCENT);
+    expect(slip.ballastKg % CONSTANTS.BALLAST_STEP_KG).toBe(0);
+    expect(slip.change.message).toBe(`Lastre de ${slip.ballastKg} kg para no superar 15% de patinaje`);
+
+    // Con el lastre propuesto queda dentro del límite y con un paso menos no
+    const ballasted = assessSlip({ ...light, weight_kg: 3800 + slip.ballastKg }, terrain, { drawbarPullKn: 20 });
+    const short = assessSlip(
+      { ...light, weight_kg: 3800 + slip.ballastKg - CONSTANTS.BALLAST_STEP_KG },
+      terrain,
+      { drawbarPullKn: 20 },
+    );
+    expect(ballasted.withinLimit).toBe(true);
+    expect(short.withinLimit).toBe(false);
+
+    // Sin tiro conocido o sin peso no hay predicción
+    expect(assessSlip(light, terrain, null)).toBeNull();
+    expect(assessSlip({ traction_type: "4x4" }, terrain, { drawbarPullKn: 20 })).toBeNull();
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests unitarios para deratingService
+ * Verifica el tipo de aspiración y la potencia derateada de un tractor en un terreno.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import { calculateTotalLoss } from "../../../src/services/powerLossService.js";
+import {
+  normalizeAspirationType,
+  isTurbo,
+  calculateDeratedPower,
+} from "../../../src/services/deratingService.js";
+
+const andean = { altitude_meters: 2600, temperature_celsius: 25, slope_percentage: 3, soil_type: "loam" };
+const tractor = { engine_power_hp: 100, weight_kg: 4000, traction_type: "4x4" };
+
+describe("deratingService", () => {
+  test("normaliza el tipo de aspiración y sus sinónimos", () => {
+    expect(normalizeAspirationType("Turbo")).toBe("turbo");
+    expect(normalizeAspirationType("aspirado")).toBe("aspirated");
+    expect(normalizeAspirationType("aspirated")).toBe("aspirated");
+    expect(normalizeAspirationType("si")).toBeNull();
+    expect(normalizeAspirationType(true)).toBeNull();
+  });
+
+  test("un tractor sin aspiration_type se considera aspirado", () => {
+    expect(isTurbo({ aspiration_type: "turbo" })).toBe(true);
+    expect(isTurbo({ aspiration_type: "aspirated" })).toBe(false);
+    expect(isTurbo({})).toBe(false);
+  });
+
+  test("la potencia derateada solo descuenta altitud y temperatura", () => {
+    const power = calculateDeratedPower(
+      { ...tractor, aspiration_type: "aspirated" },
+      andean,
+      { speedKmh: 6, drawbarPullKn: 8 },
+    );
+    const { losses, netPower } = calculateTotalLoss({
+      enginePower: 100,
+      altitudeMeters: 2600,
+      temperatureC: 25,
+      totalWeightKg: 4000,
+      soilCn: 35,
+      slopePercent: 3,
+      speedKmh: 6,
+      hasTurbo: false,
+      traction: { tractionType: "4x4", drawbarPullKn: 8 },
+    });
+    const deratedHP = Math.round((100 - losses.altitude - losses.temperature) * 100) / 100;
+
+    // La transmisión, la rodadura y el patinaje ya están en minimumPowerHP
+    expect(power).toEqual({
+      nominalHP: 100,
+      deratedHP,
+      lossHP: Math.round((100 - deratedHP) * 100) / 100,
+      drawbarHP: netPower,
+      aspirationType: "aspirated",
+      hasTurbo: false,
+    });
+    expect(power.drawbarHP).toBeLessThan(power.deratedHP);
+  });
+
+  test("en altura un tractor turbo pierde menos que uno aspirado", () => {
+    const aspirated = calculateDeratedPower({ ...tractor, aspiration_type: "aspirated" }, andean, { speedKmh: 6 });
+    const turbo = calculateDeratedPower({ ...tractor, aspiration_type: "turbo" }, andean, { speedKmh: 6 });
+
+    expect(turbo.hasTurbo).toBe(true);
+    expect(turbo.deratedHP).toBeGreaterThan(aspirated.deratedHP);
+    expect(aspirated.deratedHP).toBeLessThan(aspirated.nominalHP);
+  });
+
+  test("sin peso la potencia en la barra solo descuenta atmósfera y transmisión", () => {
+    const power = calculateDeratedPower(
+      { engine_power_hp: 100 },
+      { altitude_meters: 3000, temperature_celsius: 15, slope_percentage: 0, soil_type: "loam" },
+    );
+
+    // 3000 m: 10% por altitud; 13% de transmisión sobre los 90 HP restantes
+    expect(power.deratedHP).toBe(90);
+    expect(power.drawbarHP).toBe(78.3);
+  });
+
+  test("un turbo 4x4 a nivel del mar y 20 °C conserva su potencia nominal", () => {
+    // Un requerimiento de motor justo por debajo de la nominal (95 HP) debe alcanzar
+    const power = calculateDeratedPower(
+      { ...tractor, aspiration_type: "turbo" },
+      { altitude_meters: 0, temperature_celsius: 20, slope_percentage: 0, soil_type: "loam" },
+      { speedKmh: 7 },
+    );
+
+    expect(power.deratedHP).toBe(100);
+    expect(power.deratedHP).toBeGreaterThanOrEqual(95);
+    expect(power.drawbarHP).toBeLessThan(95);
+  });
+
+  test("un tractor sin potencia nominal devuelve cero", () => {
+    expect(calculateDeratedPower({}, andean)).toEqual(
+      expect.objectContaining({ nominalHP: 0, deratedHP: 0 }),
+    );
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests unitarios para draftService
+ * Verifica el modelo de tiro ASABE D497 y la potencia requerida.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import {
+  calculateDraftForce,
+  calculatePtoPower,
+  calculateDraftPowerRequirement,
+  getSoilTexture,
+  supportsDraftModel,
+  CONSTANTS,
+} from "../../../src/services/draftService.js";
+
+describe("draftService", () => {
+  // ========================================================
+  // 1. AUXILIARES
+  // ========================================================
+  describe("auxiliares", () => {
+    test("clasifica la textura del suelo con default medio", () => {
+      expect(getSoilTexture("clay")).toBe("fine");
+      expect(getSoilTexture("rocky")).toBe("fine");
+      expect(getSoilTexture("loam")).toBe("medium");
+      expect(getSoilTexture("sandy")).toBe("coarse");
+      expect(getSoilTexture(undefined)).toBe("medium");
+    });
+
+    test("solo los tipos con coeficientes soportan el modelo de tiro", () => {
+      expect(supportsDraftModel("Plow")).toBe(true);
+      expect(supportsDraftModel("harrow")).toBe(true);
+      expect(supportsDraftModel("trailer")).toBe(false);
+      expect(supportsDraftModel(null)).toBe(false);
+    });
+  });
+
+  // ========================================================
+  // 2. FUERZA DE TIRO
+  // ========================================================
+  describe("calculateDraftForce", () => {
+    test("arado: D = F·(A + C·S²)·W·T", () => {
+      // 0.7 · (652 + 5.1·49) · 0.9 · 25 = 14204.9 N
+      const result = calculateDraftForce({
+        implementType: "plow",
+        soilType: "loam",
+        widthM: 0.9,
+        depthCm: 25,
+        speedKmh: 7,
+      });
+
+      expect(result.draftKn).toBeCloseTo(14.2, 2);
+      expect(result.soilTexture).toBe("medium");
+      expect(result.textureFactor).toBe(0.7);
+    });
+
+    test("suelo fino exige más tiro que suelo grueso", () => {
+      const params = { implementType: "cultivator", widthM: 3, depthCm: 10, speedKmh: 9 };
+      const clay = calculateDraftForce({ ...params, soilType: "clay" });
+      const sandy = calculateDraftForce({ ...params, soilType: "sandy" });
+
+      expect(clay.draftKn).toBeGreaterThan(sandy.draftKn);
+    });
+
+    test("usa velocidad y profundidad típicas cuando se omiten", () => {
+      const result = calculateDraftForce({ implementType: "harrow", widthM: 1.8 });
+
+      expect(result.speedKmh).toBe(CONSTANTS.TYPICAL_SPEED_KMH.harrow);
+      expect(result.depthCm).toBe(CONSTANTS.TYPICAL_DEPTH_CM.harrow);
+    });
+
+    test("la sembradora no depende de la profundidad", () => {
+      const shallow = calculateDraftForce({ implementType: "seeder", widthM: 3, depthCm: 3 });
+      const deep = calculateDraftForce({ implementType: "seeder", widthM: 3, depthCm: 8 });
+
+      expect(shallow.depthCm).toBeNull();
+      expect(shallow.draftKn).toBe(deep.draftKn);
+      expect(shallow.draftKn).toBeCloseTo(6.3, 2);
+    });
+
+    test("valida tipo y ancho", () => {
+      expect(() => calculateDraftForce({ implementType: "trailer", widthM: 2 })).toThrow(
+        "No hay coeficientes de tiro para el implemento 'trailer'",
+      );
+      expect(() => calculateDraftForce({ implementType: "plow", widthM: 0 })).toThrow(
+        "widthM debe ser un número positivo",
+      );
+    });
+  });
+
+  // ========================================================
+  // 3. POTENCIA
+  // ========================================================
+  describe("potencia requerida", () => {
+    test("potencia de TDF solo para implementos accionados", () => {
+      // 5.0 kW/m · 2.4 m = 12 kW ≈ 16.09 HP
+      expect(calculatePtoPower({ implementType: "mower", widthM: 2.4 })).toBeCloseTo(16.09, 2);
+      expect(calculatePtoPower({ implementType: "plow", widthM: 2.4 })).toBe(0);
+    });
+
+    test("lleva la potencia en la barra a potencia de motor", () => {
+      const result = calculateDraftPowerRequirement({
+        implementType: "plow",
+        soilType: "loam",
+        widthM: 0.9,
+        depthCm: 25,
+        speedKmh: 7,
+      });
+
+      // 14.2 kN · 7 km/h / 3.6 = 27.61 kW ≈ 37.03 HP
+      expect(result.drawbarPowerHP).toBeCloseTo(37.03, 1);
+      expect(result.ptoPowerHP).toBe(0);
+      expect(result.requiredPowerHP).toBeCloseTo(
+        result.drawbarPowerHP / (0.72 * CONSTANTS.TRANSMISSION_EFFICIENCY),
+        1,
+      );
+    });
+
+    test("la pendiente incrementa la potencia en la barra", () => {
+      const params = { implementType: "harrow", widthM: 1.8, depthCm: 10, speedKmh: 9 };
+      const flat = calculateDraftPowerRequirement(params);
+      const steep = calculateDraftPowerRequirement({ ...params, slopePercent: 20 });
+
+      expect(steep.slopeFactor).toBe(1.1);
+      expect(steep.drawbarPowerHP).toBeGreaterThan(flat.drawbarPowerHP);
+    });
+
+    test("suma la TDF del rotocultivador con las pérdidas del cardán", () => {
+      const result = calculateDraftPowerRequirement({
+        implementType: "rotary_tiller",
+        soilType: "loam",
+        widthM: 2.5,
+        ptoDistanceM: 2.5,
+      });
+
+      // Sin tiro; 10 kW/m · 2.5 m · (12 / 10) = 30 kW ≈ 40.23 HP en el eje, /0.955 en la TDF
+      expect(result.drawbarPowerHP).toBe(0);
+      expect(result.depthCm).toBe(12);
+      expect(result.ptoPowerHP).toBe(40.23);
+      expect(result.ptoDrivelineEfficiency).toBe(0.955);
+      expect(result.tractorPtoPowerHP).toBe(42.13);
+      expect(result.requiredPowerHP).toBeCloseTo(42.13 / CONSTANTS.TRANSMISSION_EFFICIENCY, 1);
+    });
+
+    test("retorna null sin modelo de tiro o sin ancho", () => {
+      expect(calculateDraftPowerRequirement({ implementType: "sprayer", widthM: 12 })).toBeNull();
+      expect(calculateDraftPowerRequirement({ implementType: "plow" })).toBeNull();
+    });
+  });
+});
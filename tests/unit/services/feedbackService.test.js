@@ -0,0 +1,174 @@
+/**
+ * Tests unitarios para feedbackService
+ * Verifica el criterio principal, los pesos y la marca aprendidos y el reporte de aceptación.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import {
+  getDominantCriterion,
+  learnWeights,
+  inferBrandPreference,
+  learnPreferences,
+  applyLearnedPreferences,
+  buildFeedbackReport,
+  CONSTANTS,
+} from "../../../src/services/feedbackService.js";
+
+const withBreakdown = (breakdown) => JSON.stringify({ score: { breakdown } });
+
+const powerWins = withBreakdown({ power_match: 38, price: 12, brand_preference: 20, fuel_efficiency: 5 });
+const fuelWins = withBreakdown({ power_match: 12, price: 10, brand_preference: 0, fuel_efficiency: 25 });
+
+const row = (overrides = {}) => ({
+  decision: "accepted",
+  reason_code: null,
+  rating: null,
+  purchased: false,
+  tractor_id: 1,
+  tractor_name: "John Deere 5075E",
+  tractor_brand: "John Deere",
+  observations: powerWins,
+  ...overrides,
+});
+
+const sumOf = (weights) => Object.values(weights).reduce((total, value) => total + value, 0);
+
+describe("feedbackService", () => {
+  test("el criterio principal es el mayor aporte del desglose, con los alias del puntaje estándar", () => {
+    expect(getDominantCriterion(powerWins)).toBe("power_match");
+    expect(getDominantCriterion({ score: { breakdown: { efficiency: 28, traction: 20, economic: 10 } } })).toBe("power_match");
+    expect(getDominantCriterion({ score: { breakdown: { efficiency: 5, traction: 20, economic: 10 } } })).toBe("traction");
+    expect(getDominantCriterion("texto libre")).toBeNull();
+    expect(getDominantCriterion(null)).toBeNull();
+  });
+
+  test("no ajusta pesos con menos feedback que el mínimo", () => {
+    const rows = Array.from({ length: CONSTANTS.MIN_FEEDBACK - 1 }, () => row());
+
+    expect(learnWeights(rows)).toBeNull();
+    expect(learnPreferences(rows).weights).toBeNull();
+  });
+
+  test("los rechazos por precio suben el peso del precio y los pesos suman 100", () => {
+    const rows = [
+      row(),
+      row(),
+      row({ decision: "rejected", reason_code: "too_expensive" }),
+      row({ decision: "rejected", reason_code: "too_expensive" }),
+      row({ decision: "rejected", reason_code: "availability" }),
+    ];
+
+    const { weights, adjustments } = learnWeights(rows);
+
+    expect(sumOf(weights)).toBe(100);
+    expect(weights.price).toBeGreaterThan(30);
+    expect(adjustments.price).toEqual(expect.objectContaining({ base: 30, rejectionsCited: 2, learned: weights.price }));
+    expect(adjustments.power_match).toEqual(expect.objectContaining({ dominantSamples: 5, satisfaction: 0.4 }));
+  });
+
+  test("gana peso el criterio cuyas recomendaciones satisfacen más que el promedio", () => {
+    const rows = [
+      row({ observations: fuelWins, purchased: true }),
+      row({ observations: fuelWins, rating: 5 }),
+      row({ observations: fuelWins, rating: 4 }),
+      row({ decision: "rejected", reason: "No me convenció" }),
+      row({ decision: "rejected", reason: "Muy grande" }),
+      row({ rating: 1 }),
+    ];
+
+    const { weights } = learnWeights(rows);
+
+    expect(sumOf(weights)).toBe(100);
+    expect(weights.fuel_efficiency).toBeGreaterThan(10);
+    expect(weights.power_match).toBeLessThan(40);
+    expect(weights.power_match).toBeGreaterThanOrEqual(CONSTANTS.WEIGHT_BOUNDS.MIN);
+  });
+
+  test("infiere la marca más aceptada, con las compras contando doble", () => {
+    const rows = [
+      row({ tractor_brand: "Kubota" }),
+      row({ tractor_brand: "Kubota" }),
+      row({ tractor_brand: "Kubota" }),
+      row({ tractor_brand: "John Deere", purchased: true }),
+      row({ tractor_brand: "John Deere", purchased: true }),
+      row({ tractor_brand: "Zetor", decision: "rejected", reason_code: "brand" }),
+    ];
+
+    expect(inferBrandPreference(rows)).toEqual({
+      brand: "John Deere",
+      accepted: 2,
+      purchased: 2,
+      feedbackCount: 2,
+      acceptanceRate: 100,
+    });
+
+    // Una sola aceptación o una tasa baja no alcanzan
+    expect(inferBrandPreference([row(), row({ decision: "rejected", reason_code: "other" })])).toBeNull();
+    expect(
+      inferBrandPreference([
+        row(),
+        row(),
+        row({ decision: "rejected", reason_code: "other" }),
+        row({ decision: "rejected", reason_code: "other" }),
+      ]),
+    ).toBeNull();
+  });
+
+  test("las preferencias aprendidas solo completan lo que el usuario no indicó", () => {
+    const preferences = {
+      weights: { power_match: 35, price: 40, brand_preference: 15, fuel_efficiency: 10 },
+      brandPreference: "Kubota",
+    };
+
+    expect(applyLearnedPreferences({ filters: { budget: 50000 } }, preferences)).toEqual({
+      filters: { budget: 50000, brandPreference: "Kubota" },
+      customWeights: preferences.weights,
+      applied: { weights: true, brandPreference: true },
+    });
+
+    const explicit = { power_match: 25, price: 25, brand_preference: 25, fuel_efficiency: 25 };
+    expect(
+      applyLearnedPreferences({ filters: { brandPreference: "Zetor" }, customWeights: explicit }, preferences),
+    ).toEqual({
+      filters: { brandPreference: "Zetor" },
+      customWeights: explicit,
+      applied: { weights: false, brandPreference: false },
+    });
+
+    expect(applyLearnedPreferences({}, null).applied).toEqual({ weights: false, brandPreference: false });
+  });
+
+  test("el reporte agrupa la aceptación por tractor, por criterio y por motivo de rechazo", () => {
+    const rows = [
+      row({ rating: 5, purchased: true }),
+      row({ rating: 3 }),
+      row({ decision: "rejected", reason_code: "too_expensive" }),
+      row({ tractor_id: 2, tractor_name: "Kubota M7060", tractor_brand: "Kubota", observations: fuelWins }),
+      row({ tractor_id: 2, tractor_name: "Kubota M7060", tractor_brand: "Kubota", decision: "rejected", reason_code: null }),
+    ];
+
+    const report = buildFeedbackReport(rows);
+
+    expect(report.overall).toEqual({
+      feedbackCount: 5,
+      accepted: 3,
+      rejected: 2,
+      purchased: 1,
+      acceptanceRate: 60,
+      purchaseRate: 20,
+      averageRating: 4,
+    });
+    expect(report.byTractor[0]).toEqual(
+      expect.objectContaining({ tractorId: 1, name: "John Deere 5075E", feedbackCount: 3, acceptanceRate: 66.67 }),
+    );
+    expect(report.byTractor[1]).toEqual(expect.objectContaining({ tractorId: 2, brand: "Kubota", acceptanceRate: 50 }));
+    expect(report.byCriterion).toEqual([
+      expect.objectContaining({ criterion: "power_match", feedbackCount: 4, accepted: 2 }),
+      expect.objectContaining({ criterion: "fuel_efficiency", feedbackCount: 1, acceptanceRate: 100 }),
+    ]);
+    expect(report.rejectionReasons).toEqual([
+      { reasonCode: "too_expensive", count: 1, share: 50 },
+      { reasonCode: "other", count: 1, share: 50 },
+    ]);
+  });
+});
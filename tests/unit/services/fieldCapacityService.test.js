@@ -0,0 +1,82 @@
+/**
+ * Tests unitarios para fieldCapacityService
+ * Verifica capacidad teórica/efectiva y duración de la labor.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import {
+  calculateFieldCapacity,
+  getFieldEfficiency,
+  getTypicalSpeed,
+  CONSTANTS,
+} from "../../../src/services/fieldCapacityService.js";
+
+describe("fieldCapacityService", () => {
+  describe("auxiliares", () => {
+    test("eficiencia de campo por operación con default", () => {
+      expect(getFieldEfficiency("Plow")).toBe(0.8);
+      expect(getFieldEfficiency("seeder")).toBe(0.65);
+      expect(getFieldEfficiency("desconocido")).toBe(CONSTANTS.DEFAULT_FIELD_EFFICIENCY);
+      expect(getFieldEfficiency(null)).toBe(CONSTANTS.DEFAULT_FIELD_EFFICIENCY);
+    });
+
+    test("velocidad típica comparte la del modelo de tiro", () => {
+      expect(getTypicalSpeed("plow")).toBe(7);
+      expect(getTypicalSpeed("sprayer")).toBe(10);
+      expect(getTypicalSpeed(undefined)).toBe(CONSTANTS.DEFAULT_SPEED_KMH);
+    });
+  });
+
+  describe("calculateFieldCapacity", () => {
+    test("calcula capacidad teórica, efectiva, horas y jornadas", () => {
+      // 0.9 m · 7 km/h / 10 = 0.63 ha/h; ×0.8 = 0.504 ha/h; 12 ha → 23.81 h → 3 jornadas
+      const result = calculateFieldCapacity({
+        implementType: "plow",
+        widthM: 0.9,
+        speedKmh: 7,
+        areaHectares: 12,
+      });
+
+      expect(result).toEqual({
+        theoreticalCapacityHaH: 0.63,
+        effectiveCapacityHaH: 0.5,
+        fieldEfficiency: 0.8,
+        widthM: 0.9,
+        speedKmh: 7,
+        areaHectares: 12,
+        totalHours: 23.81,
+        workdays: 3,
+        hoursPerWorkday: CONSTANTS.HOURS_PER_WORKDAY,
+      });
+    });
+
+    test("usa velocidad típica y respeta eficiencia y jornada personalizadas", () => {
+      const result = calculateFieldCapacity({
+        implementType: "harrow",
+        widthM: 2,
+        areaHectares: 10,
+        fieldEfficiency: 0.9,
+        hoursPerWorkday: 10,
+      });
+
+      // 2 · 9 / 10 = 1.8 ha/h; ×0.9 = 1.62 ha/h; 10 ha → 6.17 h → 1 jornada
+      expect(result.speedKmh).toBe(9);
+      expect(result.effectiveCapacityHaH).toBe(1.62);
+      expect(result.totalHours).toBe(6.17);
+      expect(result.workdays).toBe(1);
+    });
+
+    test("sin superficie retorna solo la capacidad", () => {
+      const result = calculateFieldCapacity({ implementType: "seeder", widthM: 3, speedKmh: 8 });
+
+      expect(result.effectiveCapacityHaH).toBe(1.56);
+      expect(result.totalHours).toBeNull();
+      expect(result.workdays).toBeNull();
+    });
+
+    test("retorna null sin ancho de trabajo válido", () => {
+      expect(calculateFieldCapacity({ implementType: "plow" })).toBeNull();
+      expect(calculateFieldCapacity({ implementType: "plow", widthM: 0 })).toBeNull();
+    });
+  });
+});
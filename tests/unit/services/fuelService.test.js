@@ -0,0 +1,108 @@
+/**
+ * Tests unitarios para fuelService
+ * Verifica la curva SFC de ASABE D497 y el costo por hectárea.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import {
+  calculateSpecificFuelConsumption,
+  estimateEngineLoadFromLosses,
+  calculateFuelConsumption,
+  CONSTANTS,
+} from "../../../src/services/fuelService.js";
+
+describe("fuelService", () => {
+  describe("calculateSpecificFuelConsumption", () => {
+    test("SFC = 0.22 + 0.096/X y crece a carga parcial", () => {
+      expect(calculateSpecificFuelConsumption(1)).toBeCloseTo(0.316);
+      expect(calculateSpecificFuelConsumption(0.5)).toBeCloseTo(0.412);
+      expect(calculateSpecificFuelConsumption(0.3)).toBeGreaterThan(
+        calculateSpecificFuelConsumption(0.6),
+      );
+    });
+
+    test("limita la carga al rango del modelo", () => {
+      expect(calculateSpecificFuelConsumption(0)).toBeCloseTo(
+        0.22 + 0.096 / CONSTANTS.MIN_LOAD_RATIO,
+      );
+      expect(calculateSpecificFuelConsumption(1.4)).toBeCloseTo(0.316);
+    });
+  });
+
+  describe("calculateFuelConsumption", () => {
+    test("consumo horario a plena carga: Q = 0.316 · P_nominal", () => {
+      // 100 HP = 74.57 kW · 0.316 = 23.56 L/h
+      const result = calculateFuelConsumption({ ratedPowerHP: 100, demandedPowerHP: 100 });
+
+      expect(result.loadPercent).toBe(100);
+      expect(result.litersPerHour).toBeCloseTo(23.56, 2);
+      expect(result.litersPerHectare).toBeNull();
+      expect(result.costPerHectare).toBeNull();
+      expect(result.fuelPricePerL).toBe(CONSTANTS.DEFAULT_FUEL_PRICE_PER_L);
+    });
+
+    test("calcula litros y costo por hectárea con precio configurable", () => {
+      const result = calculateFuelConsumption({
+        ratedPowerHP: 100,
+        demandedPowerHP: 50,
+        effectiveCapacityHaH: 2,
+        fuelPricePerL: 1.5,
+      });
+
+      // (0.22·0.5 + 0.096) · 74.57 = 15.36 L/h → 7.68 L/ha → 11.52 $/ha
+      expect(result.loadPercent).toBe(50);
+      expect(result.litersPerHour).toBeCloseTo(15.36, 2);
+      expect(result.litersPerHectare).toBeCloseTo(7.68, 2);
+      expect(result.costPerHour).toBeCloseTo(23.04, 2);
+      expect(result.costPerHectare).toBeCloseTo(11.52, 2);
+    });
+
+    test("un tractor sobredimensionado consume más por hectárea", () => {
+      const params = { demandedPowerHP: 60, effectiveCapacityHaH: 1 };
+      const matched = calculateFuelConsumption({ ...params, ratedPowerHP: 75 });
+      const oversized = calculateFuelConsumption({ ...params, ratedPowerHP: 180 });
+
+      expect(oversized.litersPerHectare).toBeGreaterThan(matched.litersPerHectare);
+      expect(oversized.specificFuelConsumptionLPerKwh).toBeGreaterThan(
+        matched.specificFuelConsumptionLPerKwh,
+      );
+    });
+
+    test("marca sobrecarga y retorna null sin potencia nominal", () => {
+      expect(
+        calculateFuelConsumption({ ratedPowerHP: 60, demandedPowerHP: 80 }).overloaded,
+      ).toBe(true);
+      expect(calculateFuelConsumption({ ratedPowerHP: 0, demandedPowerHP: 50 })).toBeNull();
+    });
+  });
+
+  describe("estimateEngineLoadFromLosses", () => {
+    const lossResult = {
+      grossPower: 100,
+      losses: {
+        altitude: 8,
+        temperature: 2,
+        transmission: 11.7,
+        rollingResistance: 6,
+        slope: 4,
+      },
+      traction: { slippagePercent: 10 },
+    };
+
+    test("sin tiro asume plena carga de la potencia disponible", () => {
+      expect(estimateEngineLoadFromLosses(lossResult)).toBe(90);
+    });
+
+    test("con tiro suma barra, rodadura y pendiente corregidas por patinaje y transmisión", () => {
+      // 15 kN · 7 km/h / 3.6 = 29.17 kW = 39.11 HP; (39.11 + 10) / 0.9 = 54.57; / 0.87 = 62.72
+      const load = estimateEngineLoadFromLosses(lossResult, { drawbarPullKn: 15, speedKmh: 7 });
+      expect(load).toBeCloseTo(62.72, 1);
+    });
+
+    test("no supera la potencia disponible", () => {
+      expect(
+        estimateEngineLoadFromLosses(lossResult, { drawbarPullKn: 60, speedKmh: 10 }),
+      ).toBe(90);
+    });
+  });
+});
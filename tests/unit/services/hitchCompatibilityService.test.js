@@ -0,0 +1,106 @@
+/**
+ * Tests unitarios para hitchCompatibilityService
+ * Verifica enganche de tres puntos, capacidad de levante, TDF e hidráulica.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import {
+  normalizeHitchCategory,
+  checkImplementCompatibility,
+  classifyImplements,
+} from "../../../src/services/hitchCompatibilityService.js";
+
+describe("hitchCompatibilityService", () => {
+  const tractor = {
+    hitch_category: "2",
+    rear_lift_capacity_kg: 1600,
+    pto_speed_rpm: 540,
+    hydraulic_flow_lpm: 40,
+  };
+
+  test("normaliza categorías numéricas, romanas y con prefijo", () => {
+    expect(normalizeHitchCategory(2)).toBe("2");
+    expect(normalizeHitchCategory("II")).toBe("2");
+    expect(normalizeHitchCategory("Cat. III")).toBe("3");
+    expect(normalizeHitchCategory("categoría 1")).toBe("1");
+    expect(normalizeHitchCategory("V")).toBeNull();
+    expect(normalizeHitchCategory(null)).toBeNull();
+  });
+
+  test("acepta un implemento montado dentro de la capacidad de levante", () => {
+    const result = checkImplementCompatibility(tractor, {
+      hitch_category: "II",
+      weight_kg: 1100,
+      pto_speed_rpm: 540,
+      implement_type: "seeder",
+    });
+
+    expect(result.compatible).toBe(true);
+    expect(result.reasons).toEqual([]);
+    expect(result.checks.liftCapacity).toEqual(
+      expect.objectContaining({ status: "ok", utilizationPercent: 68.75 }),
+    );
+  });
+
+  test("rechaza el par cuando el peso supera la capacidad de levante y explica por qué", () => {
+    const result = checkImplementCompatibility(tractor, {
+      hitch_category: "2",
+      weight_kg: 1800,
+      implement_type: "plow",
+    });
+
+    expect(result.compatible).toBe(false);
+    expect(result.reasons).toEqual([
+      {
+        check: "liftCapacity",
+        message: "El implemento pesa 1800 kg y supera la capacidad de levante del tractor (1600 kg)",
+      },
+    ]);
+  });
+
+  test("rechaza categorías de enganche distintas y TDF incompatible", () => {
+    const result = checkImplementCompatibility(tractor, {
+      hitch_category: "3",
+      weight_kg: 900,
+      pto_speed_rpm: 1000,
+    });
+
+    expect(result.compatible).toBe(false);
+    expect(result.reasons.map((reason) => reason.check)).toEqual(["hitchCategory", "ptoSpeed"]);
+    expect(result.reasons[0].message).toContain("categoría 3");
+  });
+
+  test("el caudal hidráulico insuficiente solo advierte", () => {
+    const result = checkImplementCompatibility(tractor, {
+      hitch_category: "2",
+      weight_kg: 900,
+      hydraulic_demand_lpm: 55,
+    });
+
+    expect(result.compatible).toBe(true);
+    expect(result.warnings).toHaveLength(1);
+    expect(result.checks.hydraulicFlow.status).toBe("warning");
+  });
+
+  test("los datos faltantes y los implementos de tiro no rechazan", () => {
+    const unknown = checkImplementCompatibility({}, { hitch_category: "2", weight_kg: 5000 });
+    expect(unknown.compatible).toBe(true);
+    expect(unknown.checks.hitchCategory.status).toBe("unknown");
+    expect(unknown.checks.liftCapacity.status).toBe("unknown");
+
+    const trailer = checkImplementCompatibility(tractor, { weight_kg: 4000, implement_type: "trailer" });
+    expect(trailer.compatible).toBe(true);
+    expect(trailer.checks.liftCapacity.status).toBe("not_applicable");
+  });
+
+  test("separa el catálogo en compatibles e incompatibles", () => {
+    const { compatible, incompatible } = classifyImplements(tractor, [
+      { implement_id: 1, hitch_category: "2", weight_kg: 650 },
+      { implement_id: 2, hitch_category: "2", weight_kg: 2200 },
+    ]);
+
+    expect(compatible.map((item) => item.implement.implement_id)).toEqual([1]);
+    expect(incompatible.map((item) => item.implement.implement_id)).toEqual([2]);
+    expect(incompatible[0].compatibility.reasons[0].check).toBe("liftCapacity");
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests unitarios para implementRecommendationService
+ * Verifica la recomendación inversa de implementos para un tractor en un terreno.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import { calculateMinimumPower } from "../../../src/services/minimumPowerService.js";
+import { calculateDeratedPower } from "../../../src/services/deratingService.js";
+import {
+  evaluateImplement,
+  recommendImplements,
+} from "../../../src/services/implementRecommendationService.js";
+
+const tractor = { engine_power_hp: 90, weight_kg: 4000, traction_type: "4x4", aspiration_type: "aspirated" };
+const terrain = { soil_type: "loam", slope_percentage: 5, altitude_meters: 2600, area_hectares: 20 };
+
+const plow3 = { implement_id: 1, implement_name: "Arado 3 discos", implement_type: "plow", power_requirement_hp: 60, working_width_m: 1.0, working_depth_cm: 25 };
+const plow4 = { implement_id: 2, implement_name: "Arado 4 discos", implement_type: "plow", power_requirement_hp: 80, working_width_m: 1.4, working_depth_cm: 25 };
+const harrow = { implement_id: 3, implement_name: "Rastra", implement_type: "harrow", power_requirement_hp: 50, working_width_m: 2.5 };
+const subsoiler = { implement_id: 4, implement_name: "Subsolador", implement_type: "subsoiler", power_requirement_hp: 85, working_width_m: 2.5, working_depth_cm: 45 };
+
+describe("implementRecommendationService", () => {
+  test("evalúa el implemento con la potencia mínima y la potencia derateada con su tiro", () => {
+    const evaluation = evaluateImplement(tractor, plow3, terrain);
+    const powerResult = calculateMinimumPower(
+      { power_requirement_hp: 60, working_depth_m: 0.25, implement_type: "plow", working_width_m: 1.0 },
+      terrain,
+    );
+    const power = calculateDeratedPower(tractor, terrain, {
+      speedKmh: powerResult.draft.speedKmh,
+      drawbarPullKn: powerResult.draft.draftKn,
+      implementType: "plow",
+    });
+
+    expect(evaluation.requiredPower).toBe(powerResult.minimumPowerHP);
+    expect(evaluation.tractorPower).toEqual({ nominalHP: 90, deratedHP: power.deratedHP });
+    expect(evaluation.fits).toBe(powerResult.minimumPowerHP <= power.deratedHP);
+    expect(evaluation.fieldCapacity).toEqual(
+      expect.objectContaining({ widthM: 1.0, areaHectares: 20 }),
+    );
+  });
+
+  test("sugiere el implemento más ancho de cada tipo que el tractor puede mover", () => {
+    const result = recommendImplements({
+      tractor,
+      terrain,
+      implements: [plow3, plow4, harrow, subsoiler],
+    });
+    const plow = result.recommendations.find((rec) => rec.implement.implement_type === "plow");
+
+    // El arado de 4 discos supera la potencia derateada en 2600 m
+    expect(plow.implement.implement_id).toBe(1);
+    expect(plow.fits).toBe(true);
+    expect(result.recommendations.map((rec) => rec.implement.implement_type)).toEqual(["plow", "harrow"]);
+  });
+
+  test("con más potencia elige el implemento más ancho del tipo", () => {
+    const result = recommendImplements({
+      tractor: { ...tractor, engine_power_hp: 160 },
+      terrain,
+      implements: [plow3, plow4],
+    });
+
+    expect(result.recommendations).toHaveLength(1);
+    expect(result.recommendations[0].implement.implement_id).toBe(2);
+    expect(result.recommendations[0].alternatives).toBe(1);
+  });
+
+  test("ordena las opciones por utilización y las clasifica", () => {
+    const { recommendations } = recommendImplements({ tractor, terrain, implements: [harrow, plow3] });
+
+    expect(recommendations.map((rec) => rec.rank)).toEqual([1, 2]);
+    expect(recommendations[0].utilizationPercent).toBeGreaterThan(recommendations[1].utilizationPercent);
+    expect(recommendations[0].classification.label).toBe("OPTIMAL");
+    expect(recommendations[0].fieldCapacity.totalHours).toBeGreaterThan(0);
+  });
+
+  test("informa los tipos sin ningún implemento compatible", () => {
+    const result = recommendImplements({ tractor, terrain, implements: [subsoiler, harrow] });
+
+    expect(result.unmatchedTypes).toEqual([
+      { implementType: "subsoiler", lightestRequirementHP: expect.any(Number) },
+    ]);
+    expect(result.unmatchedTypes[0].lightestRequirementHP).toBeGreaterThan(100);
+    expect(result.summary).toEqual({
+      evaluatedImplements: 2,
+      compatibleImplements: 1,
+      implementTypes: 2,
+      recommendedTypes: 1,
+    });
+  });
+
+  test("respeta el límite de opciones y una lista vacía", () => {
+    expect(recommendImplements({ tractor, terrain, implements: [harrow, plow3], limit: 1 }).recommendations)
+      .toHaveLength(1);
+    expect(recommendImplements({ tractor, terrain }).recommendations).toEqual([]);
+  });
+});
@@ -52,6 +52,84 @@ describe('minimumPowerService', () => {
     });
   });
 
+  test('calculateMinimumPower usa el modelo de tiro ASABE cuando el implemento lo permite', () => {
+    const result = calculateMinimumPower(
+      {
+        power_requirement_hp: 50,
+        implement_type: 'plow',
+        working_width_m: 0.9,
+        working_depth_m: 0.25,
+        working_speed_kmh: 7,
+      },
+      { soil_type: 'franco', slope_percentage: 0 },
+    );
+
+    expect(result.model).toBe('asabe_draft');
+    expect(result.draft.draftKn).toBeCloseTo(14.2, 2);
+    expect(result.draft.depthCm).toBe(25);
+    expect(result.calculatedPowerHP).toBe(result.draft.requiredPowerHP);
+    expect(result.minimumPowerHP).toBeCloseTo(
+      result.draft.requiredPowerHP * (1 + CONSTANTS.SAFETY_MARGIN),
+      1,
+    );
+    expect(result.factors).toEqual({
+      textureFactor: 0.7,
+      slopeFactor: 1,
+      tractiveEfficiency: 0.72,
+      transmissionEfficiency: 0.96,
+      safetyMargin: CONSTANTS.SAFETY_MARGIN,
+    });
+    expect(result.input.implementData).toEqual({
+      power_requirement_hp: 50,
+      working_depth_m: 0.25,
+      implement_type: 'plow',
+      working_width_m: 0.9,
+      working_speed_kmh: 7,
+    });
+  });
+
+  test('calculateMinimumPower conserva el modelo de catálogo sin coeficientes de tiro', () => {
+    const result = calculateMinimumPower(
+      { power_requirement_hp: 80, implement_type: 'trailer', working_width_m: 2.5 },
+      { soil_type: 'loam', slope_percentage: 0 },
+    );
+
+    expect(result.model).toBe('catalog');
+    expect(result.draft).toBeNull();
+    expect(result.minimumPowerHP).toBe(92);
+  });
+
+  test('calculateMinimumPower separa la demanda en barra y TDF', () => {
+    const tiller = calculateMinimumPower(
+      { power_requirement_hp: 40, implement_type: 'rotary_tiller', working_width_m: 2.5, pto_distance_m: 2.5 },
+      { soil_type: 'loam', slope_percentage: 0 },
+    );
+
+    expect(tiller.model).toBe('asabe_draft');
+    expect(tiller.powerDemand).toEqual({
+      drawbarPowerHP: 0,
+      ptoPowerHP: 42.13,
+      ptoShaftPowerHP: 40.23,
+      ptoDrivelineEfficiency: 0.955,
+      ptoDistanceM: 2.5,
+    });
+    expect(tiller.input.implementData.pto_distance_m).toBe(2.5);
+
+    // La pulverizadora conserva el modelo de catálogo pero informa su demanda de TDF
+    const sprayer = calculateMinimumPower(
+      { power_requirement_hp: 40, implement_type: 'sprayer', working_width_m: 12 },
+      { soil_type: 'loam', slope_percentage: 0 },
+    );
+    expect(sprayer.model).toBe('catalog');
+    expect(sprayer.powerDemand).toEqual(expect.objectContaining({ drawbarPowerHP: 0, ptoPowerHP: 6.22 }));
+
+    const trailer = calculateMinimumPower(
+      { power_requirement_hp: 80, implement_type: 'trailer', working_width_m: 2.5 },
+      { soil_type: 'loam', slope_percentage: 0 },
+    );
+    expect(trailer.powerDemand).toBeNull();
+  });
+
   test('findCompatibleTractors retorna vacio si la lista no existe y valida minimumPower positivo', () => {
     expect(findCompatibleTractors(80, [])).toEqual([]);
     expect(() => findCompatibleTractors(0, [{ engine_power_hp: 90 }])).toThrow(
@@ -84,6 +162,18 @@ describe('minimumPowerService', () => {
     expect(result[4].compatibility.rank).toBe(5);
   });
 
+  test('calculateMinimumPower aplica los coeficientes del perfil de cálculo', () => {
+    const result = calculateMinimumPower(
+      { power_requirement_hp: 100 },
+      { soil_type: 'loam', slope_percentage: 0 },
+      { SAFETY_MARGIN: 0.2, SOIL_FACTORS: { ...CONSTANTS.SOIL_FACTORS, loam: 1.1 } },
+    );
+
+    expect(result.calculatedPowerHP).toBe(110);
+    expect(result.minimumPowerHP).toBe(132);
+    expect(result.factors.safetyMargin).toBe(0.2);
+  });
+
   test('calculateAndMatch integra cálculo, resumen y topRecommendation', () => {
     const tractors = [
       { tractor_id: 10, engine_power_hp: 160, name: 'A' },
@@ -0,0 +1,141 @@
+/**
+ * Tests unitarios para operatingCostService
+ * Verifica los costos de propiedad y operación de ASABE EP496 / D497.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import {
+  getMachineAge,
+  calculateRemainingValue,
+  calculateRepairCost,
+  calculateMachineCost,
+  calculateOperatingCost,
+  CONSTANTS,
+} from "../../../src/services/operatingCostService.js";
+
+describe("operatingCostService", () => {
+  const tractor = {
+    price: 85000,
+    modelYear: 2019,
+    enginePowerHP: 110,
+    tractionType: "4x4",
+  };
+
+  describe("valor remanente y reparación", () => {
+    test("calcula la antigüedad a partir del año de modelo", () => {
+      expect(getMachineAge(2019, 2024)).toBe(5);
+      expect(getMachineAge(2026, 2024)).toBe(0);
+      expect(getMachineAge(undefined, 2024)).toBe(0);
+    });
+
+    test("VR = P·(C1 − C2·√n − C3·√h)²", () => {
+      // 0.942 − 0.1·√5 − 0.0008·√500 = 0.7005 → 85000 · 0.4907 = 41710
+      const value = calculateRemainingValue({
+        listPrice: 85000,
+        ageYears: 5,
+        annualHours: 500,
+        valueClass: "tractor_medium",
+      });
+
+      expect(value).toBeCloseTo(41710.08, 1);
+    });
+
+    test("el costo de mantenimiento de catálogo tiene prioridad sobre la curva ASABE", () => {
+      const params = { listPrice: 85000, ageYears: 5, annualHours: 500, repairClass: "tractor_4wd" };
+
+      expect(calculateRepairCost({ ...params, maintenanceCostPerHour: 4.5 })).toEqual({
+        perHour: 4.5,
+        source: "catalog",
+      });
+
+      // 85000 · 0.003 · (3² − 2.5²) / 500 = 1.40 por hora
+      const asabe = calculateRepairCost(params);
+      expect(asabe.source).toBe("asabe");
+      expect(asabe.perHour).toBeCloseTo(1.4, 2);
+    });
+
+    test("una máquina nueva deprecia desde el precio de lista", () => {
+      const cost = calculateMachineCost({
+        listPrice: 50000,
+        ageYears: 0,
+        annualHours: 400,
+        valueClass: "tractor_small",
+        repairClass: "tractor_2wd",
+      });
+
+      expect(cost.currentValue).toBe(50000);
+      expect(cost.endOfYearValue).toBeLessThan(50000);
+      expect(cost.perHour.insuranceAndHousing).toBe(1.25);
+    });
+  });
+
+  describe("calculateOperatingCost", () => {
+    test("desglosa el costo por hora y por hectárea del conjunto", () => {
+      const cost = calculateOperatingCost({
+        tractor,
+        implement: { type: "plow", price: 9000, modelYear: 2021 },
+        annualHours: 500,
+        demandedPowerHP: 70,
+        effectiveCapacityHaH: 0.5,
+        referenceYear: 2024,
+      });
+
+      expect(cost.breakdownPerHour).toEqual({
+        depreciation: 5.75,
+        interest: 7.12,
+        insuranceAndHousing: 1.88,
+        repairAndMaintenance: 8.75,
+        fuel: 23.23,
+        lubrication: 3.48,
+        labor: 5.5,
+      });
+      expect(cost.ownershipPerHour).toBe(14.75);
+      expect(cost.operatingPerHour).toBe(40.96);
+      expect(cost.totalPerHour).toBe(55.71);
+      expect(cost.totalPerHectare).toBe(111.42);
+      expect(cost.breakdownPerHectare.fuel).toBe(cost.fuel.costPerHectare);
+      expect(cost.annualTotal).toBe(27855);
+    });
+
+    test("más horas anuales reducen el costo de propiedad por hora", () => {
+      const params = { tractor, annualHours: 300, referenceYear: 2024 };
+      const low = calculateOperatingCost(params);
+      const high = calculateOperatingCost({ ...params, annualHours: 900 });
+
+      expect(high.ownershipPerHour).toBeLessThan(low.ownershipPerHour);
+    });
+
+    test("sin implemento ni capacidad no calcula costo por hectárea", () => {
+      const cost = calculateOperatingCost({
+        tractor: { ...tractor, maintenanceCostPerHour: 6 },
+        annualHours: 500,
+        laborCostPerHour: 0,
+        referenceYear: 2024,
+      });
+
+      expect(cost.implement).toBeNull();
+      expect(cost.totalPerHectare).toBeNull();
+      expect(cost.breakdownPerHectare).toBeNull();
+      expect(cost.breakdownPerHour.repairAndMaintenance).toBe(6);
+      expect(cost.breakdownPerHour.labor).toBe(0);
+      expect(cost.fuel.loadPercent).toBe(100);
+    });
+
+    test("valida precio del tractor y horas anuales", () => {
+      expect(() =>
+        calculateOperatingCost({ tractor: { ...tractor, price: 0 }, annualHours: 500 }),
+      ).toThrow("El tractor debe tener un precio de lista positivo");
+      expect(() => calculateOperatingCost({ tractor, annualHours: 0 })).toThrow(
+        "annualHours debe ser un número positivo",
+      );
+    });
+
+    test("la lubricación es una fracción del combustible", () => {
+      const cost = calculateOperatingCost({ tractor, annualHours: 500, referenceYear: 2024 });
+      expect(cost.breakdownPerHour.lubrication).toBeCloseTo(
+        cost.breakdownPerHour.fuel * CONSTANTS.LUBRICATION_FACTOR,
+        1,
+      );
+    });
+  });
+});
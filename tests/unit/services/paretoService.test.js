@@ -0,0 +1,104 @@
+/**
+ * Tests unitarios para paretoService
+ * Verifica la dominancia, el frente de Pareto y las métricas de cada objetivo.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import {
+  resolveObjectives,
+  dominates,
+  computeParetoFront,
+  findMaxSustainableSpeed,
+  evaluateObjectives,
+  generateParetoRecommendation,
+  CONSTANTS,
+} from "../../../src/services/paretoService.js";
+
+const terrain = { soil_type: "loam", slope_percentage: 5, altitude_meters: 1500 };
+const plow = { power_requirement_hp: 60, working_depth_m: 0.25, implement_type: "plow", working_width_m: 1.2 };
+
+const tractors = [
+  { tractor_id: 1, name: "A", engine_power_hp: 100, weight_kg: 4000, traction_type: "4x4", aspiration_type: "turbo", status: "available", price_usd: 60000, model_year: 2020 },
+  { tractor_id: 2, name: "B", engine_power_hp: 130, weight_kg: 5000, traction_type: "4x4", aspiration_type: "turbo", status: "available", price_usd: 90000, model_year: 2020 },
+  { tractor_id: 3, name: "C", engine_power_hp: 130, weight_kg: 5000, traction_type: "4x4", aspiration_type: "aspirated", status: "available", price_usd: 95000, model_year: 2020 },
+];
+
+describe("paretoService", () => {
+  test("valida los objetivos y usa todos por defecto", () => {
+    expect(resolveObjectives()).toEqual(CONSTANTS.DEFAULT_OBJECTIVES);
+    expect(resolveObjectives(["field_capacity", "purchase_price", "field_capacity"])).toEqual([
+      "field_capacity",
+      "purchase_price",
+    ]);
+    expect(() => resolveObjectives(["purchase_price"])).toThrow("al menos 2");
+    expect(() => resolveObjectives(["purchase_price", "color"])).toThrow("objectives debe incluir");
+  });
+
+  test("domina quien no es peor en ningún objetivo y es mejor en alguno", () => {
+    const objectives = ["purchase_price", "field_capacity"];
+
+    expect(dominates({ purchase_price: 50, field_capacity: 1 }, { purchase_price: 60, field_capacity: 1 }, objectives)).toBe(true);
+    expect(dominates({ purchase_price: 50, field_capacity: 1 }, { purchase_price: 50, field_capacity: 1 }, objectives)).toBe(false);
+    expect(dominates({ purchase_price: 50, field_capacity: 0.8 }, { purchase_price: 60, field_capacity: 1 }, objectives)).toBe(false);
+    // Sin dato cuenta como el peor valor
+    expect(dominates({ purchase_price: 99, field_capacity: 1 }, { purchase_price: null, field_capacity: 1 }, objectives)).toBe(true);
+  });
+
+  test("el frente lista primero los no dominados y a quién domina cada uno", () => {
+    const ranked = computeParetoFront(
+      [
+        { id: "cheap", metrics: { purchase_price: 50, field_capacity: 0.6 } },
+        { id: "fast", metrics: { purchase_price: 90, field_capacity: 1.0 } },
+        { id: "worse", metrics: { purchase_price: 95, field_capacity: 0.9 } },
+      ],
+      ["purchase_price", "field_capacity"],
+    );
+
+    expect(ranked.map((item) => [item.id, item.paretoOptimal])).toEqual([
+      ["fast", true],
+      ["cheap", true],
+      ["worse", false],
+    ]);
+    expect(ranked.find((item) => item.id === "worse").dominatedBy).toEqual(["fast"]);
+    expect(ranked.find((item) => item.id === "fast").dominatesCount).toBe(1);
+  });
+
+  test("la velocidad máxima sostenible crece con la potencia del tractor", () => {
+    const weak = findMaxSustainableSpeed(tractors[0], plow, terrain);
+    const strong = findMaxSustainableSpeed(tractors[1], plow, terrain);
+
+    expect(weak).toBeGreaterThan(0);
+    expect(strong).toBeGreaterThan(weak);
+    expect(findMaxSustainableSpeed({ ...tractors[0], engine_power_hp: 30 }, plow, terrain)).toBeNull();
+  });
+
+  test("mide cada objetivo del tractor", () => {
+    const { metrics, maxSpeedKmh } = evaluateObjectives(tractors[0], { implement: plow, terrain, requiredPower: 70 });
+
+    expect(metrics.purchase_price).toBe(60000);
+    expect(metrics.cost_per_hectare).toBeGreaterThan(0);
+    expect(metrics.field_capacity).toBeGreaterThan(0);
+    expect(maxSpeedKmh).toBeGreaterThan(0);
+    expect(evaluateObjectives({ ...tractors[0], price_usd: null }, { implement: plow, terrain, requiredPower: 70 }).metrics)
+      .toEqual(expect.objectContaining({ purchase_price: null, cost_per_hectare: null }));
+  });
+
+  test("genera el frente con los tractores compatibles y el presupuesto", () => {
+    const result = generateParetoRecommendation({ terrain, implement: plow, tractors, requiredPower: 70 });
+
+    expect(result.success).toBe(true);
+    expect(result.front.map((item) => item.id).sort()).toEqual([1, 2]);
+    expect(result.dominated.map((item) => item.id)).toEqual([3]);
+    expect(result.dominated[0].dominatedBy).toContain(2);
+    expect(result.summary).toEqual({ totalEvaluated: 3, compatibleCount: 3, frontSize: 2 });
+
+    const budget = generateParetoRecommendation({
+      terrain,
+      implement: plow,
+      tractors,
+      requiredPower: 70,
+      filters: { budget: 70000 },
+    });
+    expect(budget.front.map((item) => item.id)).toEqual([1]);
+  });
+});
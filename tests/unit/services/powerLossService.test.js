@@ -157,6 +157,34 @@ describe("powerLossService", () => {
       expect(result.netPower).toBeLessThan(120);
     });
 
+    test("aplica los coeficientes del perfil de cálculo", () => {
+      const params = {
+        enginePower: 100,
+        altitudeMeters: 600,
+        temperatureC: 15,
+        totalWeightKg: 4000,
+        soilCn: 35,
+        slopePercent: 0,
+        speedKmh: 6,
+        slippagePercent: 0,
+      };
+      const base = calculateTotalLoss(params);
+      const calibrated = calculateTotalLoss({
+        ...params,
+        coefficients: { ALTITUDE_LOSS_PER_300M: 2, DEFAULT_TRANSMISSION_LOSS: 0.1 },
+      });
+
+      expect(base.losses.altitude).toBe(2);
+      expect(calibrated.losses.altitude).toBe(4);
+      // La transmisión se descuenta sobre la potencia tras la altitud: 96 HP × 0.1
+      expect(calibrated.losses.transmission).toBe(9.6);
+      // Un transmissionLossFactor explícito sigue teniendo prioridad
+      expect(
+        calculateTotalLoss({ ...params, transmissionLossFactor: 0.2, coefficients: { DEFAULT_TRANSMISSION_LOSS: 0.1 } })
+          .losses.transmission,
+      ).toBe(19.6);
+    });
+
     test("maneja potencia insuficiente (netPower 0)", () => {
       // Caso extremo: pendiente imposible
       const result = calculateTotalLoss({
@@ -225,12 +253,60 @@ describe("powerLossService", () => {
       expect(result.losses.altitude).toBeGreaterThan(0);
       expect(result.losses.temperature).toBeGreaterThan(0);
     });
+
+    test("usa el patinaje del usuario cuando se provee", () => {
+      const result = calculateTotalLoss({
+        enginePower: 120,
+        altitudeMeters: 0,
+        temperatureC: 15,
+        totalWeightKg: 5000,
+        soilCn: 45,
+        slopePercent: 5,
+        speedKmh: 7,
+        slippagePercent: 12,
+      });
+
+      expect(result.traction).toEqual({
+        slippagePercent: 12,
+        source: "user",
+        prediction: null,
+      });
+    });
+
+    test("predice el patinaje con ASABE D497 cuando no se provee", () => {
+      const result = calculateTotalLoss({
+        enginePower: 120,
+        altitudeMeters: 0,
+        temperatureC: 15,
+        totalWeightKg: 5000,
+        soilCn: 45,
+        slopePercent: 5,
+        speedKmh: 7,
+        traction: { tractionType: "4x4", drawbarPullKn: 15 },
+      });
+
+      expect(result.traction.source).toBe("predicted");
+      expect(result.traction.prediction.mode).toBe("drawbar_pull");
+      expect(result.traction.slippagePercent).toBe(
+        result.traction.prediction.slipPercent,
+      );
+      expect(result.losses.slippage).toBeGreaterThan(0);
+    });
   });
 
   // ========================================================
   // 6. UTILIDADES
   // ========================================================
   describe("Utility Functions", () => {
+    test("getSoilCn toma el índice de cono del catálogo según la humedad", () => {
+      const { getSoilCn } = powerLossService;
+
+      expect(getSoilCn("Arcilla")).toBe(45);
+      expect(getSoilCn("arcilla", "wet")).toBe(25);
+      expect(getSoilCn("sandy", "dry")).toBe(20);
+      expect(getSoilCn("desconocido")).toBe(35);
+    });
+
     test("conversiones angulares correctas", () => {
       expect(degreesToRadians(180)).toBeCloseTo(Math.PI);
       expect(slopePercentToDegrees(100)).toBeCloseTo(45.0);
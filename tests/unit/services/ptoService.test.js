@@ -0,0 +1,105 @@
+/**
+ * Tests unitarios para ptoService
+ * Verifica la demanda de TDF, las pérdidas del cardán y la verificación separada de barra y TDF.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import {
+  isPtoDriven,
+  calculateDrivelineEfficiency,
+  calculatePtoDemand,
+  getTractorCapability,
+  assessPowerCapability,
+  assessPowerDemand,
+} from "../../../src/services/ptoService.js";
+
+describe("ptoService", () => {
+  test("identifica los implementos accionados por TDF", () => {
+    expect(isPtoDriven("Rotary_Tiller")).toBe(true);
+    expect(isPtoDriven("baler")).toBe(true);
+    expect(isPtoDriven("plow")).toBe(false);
+    expect(isPtoDriven(null)).toBe(false);
+  });
+
+  test("la eficiencia del cardán cae con la distancia y tiene un mínimo", () => {
+    expect(calculateDrivelineEfficiency()).toBe(0.97);
+    expect(calculateDrivelineEfficiency(0.8)).toBe(0.97);
+    expect(calculateDrivelineEfficiency(2.5)).toBe(0.955);
+    expect(calculateDrivelineEfficiency(50)).toBe(0.85);
+  });
+
+  test("el rotocultivador escala con la profundidad y suma las pérdidas del cardán", () => {
+    // 10 kW/m · 2.5 m · (12 / 10) = 30 kW = 40.23 HP en el eje
+    const demand = calculatePtoDemand({
+      implementType: "rotary_tiller",
+      widthM: 2.5,
+      depthCm: 12,
+      ptoDistanceM: 2.5,
+    });
+
+    expect(demand).toEqual({
+      shaftPowerHP: 40.23,
+      drivelineEfficiency: 0.955,
+      tractorPtoPowerHP: 42.13,
+      ptoDistanceM: 2.5,
+    });
+  });
+
+  test("la enfardadora usa la alimentación típica y los implementos de tiro no demandan TDF", () => {
+    expect(calculatePtoDemand({ implementType: "baler" }).shaftPowerHP).toBe(23.07);
+    expect(calculatePtoDemand({ implementType: "plow", widthM: 2 }).tractorPtoPowerHP).toBe(0);
+  });
+
+  test("estima la potencia en TDF si el catálogo no la declara", () => {
+    expect(getTractorCapability({ engine_power_hp: 90, traction_type: "4x4" }, "loam")).toEqual({
+      ptoPowerHP: 81,
+      ptoPowerSource: "estimated",
+      drawbarPowerHP: 62.37,
+      drawbarToPtoRatio: 0.77,
+      soilCondition: "firm",
+    });
+    expect(
+      getTractorCapability({ engine_power_hp: 90, pto_power_hp: 76, traction_type: "4x2" }, "sandy"),
+    ).toEqual(expect.objectContaining({ ptoPowerHP: 76, ptoPowerSource: "catalog", drawbarPowerHP: 41.8 }));
+  });
+
+  test("barra y TDF comparten el motor: cada una alcanza pero juntas no, y limita la TDF", () => {
+    const result = assessPowerCapability({
+      tractor: { engine_power_hp: 75, traction_type: "4x2" },
+      demand: { drawbarPowerHP: 10, ptoPowerHP: 55 },
+    });
+
+    expect(result.drawbar.sufficient).toBe(true);
+    expect(result.pto.sufficient).toBe(true);
+    expect(result.combinedUtilizationPercent).toBe(102.06);
+    expect(result.sufficient).toBe(false);
+    expect(result.limitingFactor).toBe("pto");
+  });
+
+  test("aplica el margen de seguridad a ambas demandas", () => {
+    const result = assessPowerCapability({
+      tractor: { engine_power_hp: 90, pto_power_hp: 76, traction_type: "4x4" },
+      demand: { drawbarPowerHP: 30, ptoPowerHP: 20 },
+      safetyMargin: 0.15,
+    });
+
+    expect(result.drawbar).toEqual({ requiredHP: 34.5, availableHP: 58.52, utilizationPercent: 58.95, sufficient: true });
+    expect(result.pto.requiredHP).toBe(23);
+    expect(result.sufficient).toBe(true);
+    expect(result.limitingFactor).toBe("drawbar");
+  });
+
+  test("assessPowerDemand usa la demanda del cálculo de potencia mínima", () => {
+    const powerResult = {
+      powerDemand: { drawbarPowerHP: 0, ptoPowerHP: 42.13 },
+      factors: { safetyMargin: 0.15 },
+      input: { terrainData: { soil_type: "loam" } },
+    };
+
+    expect(assessPowerDemand({ engine_power_hp: 75, traction_type: "4x2" }, powerResult)).toEqual(
+      expect.objectContaining({ sufficient: true, limitingFactor: "pto" }),
+    );
+    expect(assessPowerDemand({ engine_power_hp: 50, traction_type: "4x2" }, powerResult).sufficient).toBe(false);
+    expect(assessPowerDemand({ engine_power_hp: 75 }, { powerDemand: null })).toBeNull();
+  });
+});
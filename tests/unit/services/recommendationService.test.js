@@ -7,6 +7,7 @@
 
 import { jest, describe, test, expect } from "@jest/globals";
 import * as recommendationService from "../../../src/services/recommendationService.js";
+import { buildSoilCatalog } from "../../../src/services/soilService.js";
 
 describe("recommendationService", () => {
   const {
@@ -16,6 +17,7 @@ describe("recommendationService", () => {
     calculateAdvancedScore,
     generateRecommendation,
     generateAdvancedRecommendation,
+    generateFleetFirstRecommendation,
     normalizeSoilType,
     classifySlope,
     classifyTractorFit,
@@ -93,6 +95,34 @@ describe("recommendationService", () => {
       );
     });
 
+    test("la humedad del terreno cambia la dificultad y el índice de cono", () => {
+      const moist = analyzeTerrain({ slope_percentage: 0, soil_type: "arcilla" });
+      const wet = analyzeTerrain({ slope_percentage: 0, soil_type: "arcilla", moisture_condition: "wet" });
+
+      expect(moist.normalized).toEqual({ soilType: "clay", moisture: "moist", slopePercentage: 0 });
+      expect(moist.metrics.soilDifficulty).toBe(70);
+      expect(wet.metrics).toEqual(expect.objectContaining({ soilDifficulty: 95, coneIndex: 25 }));
+      expect(wet.classification.soilLabel).toBe("Extremo");
+      expect(wet.requirements.requiresTrack).toBe(true);
+    });
+
+    test("usa el catálogo de suelos recibido", () => {
+      const catalog = buildSoilCatalog(
+        [{
+          soil_code: "peat", name_es: "Turba", name_en: "Peat",
+          cn_dry: 15, cn_moist: 10, cn_wet: 6,
+          difficulty_dry: 75, difficulty_moist: 85, difficulty_wet: 98,
+          preferred_tire: "track",
+        }],
+        [{ synonym: "turboso", soil_code: "peat", moisture_condition: null }],
+      );
+      const result = analyzeTerrain({ slope_percentage: 0, soil_type: "Turboso" }, catalog);
+
+      expect(result.normalized.soilType).toBe("peat");
+      expect(result.metrics.soilDifficulty).toBe(85);
+      expect(result.classification.preferredTire).toBe("track");
+    });
+
     test("marca requiresTrack en wet_clay y clay con pendiente steep", () => {
       const wetClay = analyzeTerrain({ slope_percentage: 4, soil_type: "wet_clay" });
       const steepClay = analyzeTerrain({ slope_percentage: 20, soil_type: "arcilla" });
@@ -159,6 +189,35 @@ describe("recommendationService", () => {
       // Ahora C debe aparecer
       expect(filtered.map((t) => t.tractor_id)).toContain(3);
     });
+
+    test("excluye tractores con riesgo de vuelco en la pendiente", () => {
+      const geometry = { wheelbase_mm: 2400, cg_height_mm: 950, traction_type: "4x4", status: "available" };
+      const tractors = [
+        { tractor_id: 20, engine_power_hp: 120, track_width_mm: 1800, ...geometry },
+        { tractor_id: 21, engine_power_hp: 120, track_width_mm: 2400, ...geometry },
+        { tractor_id: 22, engine_power_hp: 120, traction_type: "4x4", status: "available" },
+      ];
+
+      const filtered = findCompatibleTractors({ slope_percentage: 45, soil_type: "loam" }, tractors, 80);
+
+      // 20 es UNSAFE; 21 (trocha ancha) queda en CAUTION; 22 no tiene geometría
+      expect(filtered.map((t) => t.tractor_id)).toEqual([21, 22]);
+    });
+
+    test("excluye tractores que no pueden acoplar o levantar el implemento", () => {
+      const tractors = [
+        { tractor_id: 30, engine_power_hp: 90, traction_type: "4x4", hitch_category: "2", rear_lift_capacity_kg: 2500 },
+        { tractor_id: 31, engine_power_hp: 90, traction_type: "4x4", hitch_category: "2", rear_lift_capacity_kg: 1000 },
+        { tractor_id: 32, engine_power_hp: 90, traction_type: "4x4", hitch_category: "1", rear_lift_capacity_kg: 2500 },
+        { tractor_id: 33, engine_power_hp: 90, traction_type: "4x4" },
+      ];
+      const implement = { power_requirement_hp: 50, hitch_category: "2", weight_kg: 1100 };
+
+      const filtered = findCompatibleTractors({ slope_percentage: 0, soil_type: "loam" }, tractors, 60, { implement });
+
+      // 31 no levanta 1100 kg; 32 tiene otra categoría; 33 no tiene datos de acople
+      expect(filtered.map((t) => t.tractor_id)).toEqual([30, 33]);
+    });
   });
 
   // ========================================================
@@ -338,6 +397,18 @@ describe("recommendationService", () => {
       );
     });
 
+    test("toma el límite por defecto del perfil de cálculo", () => {
+      const result = generateRecommendation({
+        terrain: { slope_percentage: 5, soil_type: "loam" },
+        tractors: mockTractors,
+        requiredPower: 40,
+        coefficients: { SCORING_CONFIG: { TOP_RECOMMENDATIONS: 1 } },
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.recommendations).toHaveLength(1);
+    });
+
     test("maneja caso sin compatibilidad (lista vacía)", () => {
       const result = generateRecommendation({
         terrain: { slope_percentage: 20 }, // Steep -> requiere 4WD
@@ -362,6 +433,90 @@ describe("recommendationService", () => {
       expect(result.summary.reason).toBe("No hay tractores con potencia suficiente");
     });
 
+    test("adjunta la estabilidad y explica la exclusión por riesgo de vuelco", () => {
+      const geometry = { wheelbase_mm: 2400, cg_height_mm: 950, traction_type: "4x4", status: "available" };
+      const terrain = { slope_percentage: 45, soil_type: "loam" };
+
+      const result = generateRecommendation({
+        terrain,
+        tractors: [{ tractor_id: 20, engine_power_hp: 120, track_width_mm: 2400, ...geometry }],
+        requiredPower: 100,
+      });
+      expect(result.recommendations[0].stability).toEqual(
+        expect.objectContaining({ level: "CAUTION", governingDirection: "crossSlope", safetyFactor: 1.51 }),
+      );
+
+      const excluded = generateRecommendation({
+        terrain,
+        tractors: [{ tractor_id: 21, engine_power_hp: 120, track_width_mm: 1800, ...geometry }],
+        requiredPower: 100,
+      });
+      expect(excluded.success).toBe(false);
+      expect(excluded.summary.reason).toBe(
+        "Los tractores con potencia suficiente tienen riesgo de vuelco en esta pendiente",
+      );
+    });
+
+    test("adjunta la compatibilidad de acople y explica el rechazo por capacidad de levante", () => {
+      const terrain = { slope_percentage: 5, soil_type: "loam" };
+      const implement = { power_requirement_hp: 50, hitch_category: "2", weight_kg: 1100, hydraulic_demand_lpm: 50 };
+      const tractor = { tractor_id: 40, engine_power_hp: 90, traction_type: "4x4", hitch_category: "2", hydraulic_flow_lpm: 40 };
+
+      const result = generateRecommendation({
+        terrain,
+        implement,
+        tractors: [{ ...tractor, rear_lift_capacity_kg: 2500 }],
+        requiredPower: 60,
+      });
+      expect(result.recommendations[0].implementCompatibility).toEqual(
+        expect.objectContaining({ compatible: true, warnings: [expect.objectContaining({ check: "hydraulicFlow" })] }),
+      );
+
+      const rejected = generateRecommendation({
+        terrain,
+        implement,
+        tractors: [{ ...tractor, rear_lift_capacity_kg: 900 }],
+        requiredPower: 60,
+      });
+      expect(rejected.success).toBe(false);
+      expect(rejected.summary.reason).toBe(
+        "Los tractores con potencia suficiente no pueden acoplar el implemento: El implemento pesa 1100 kg y supera la capacidad de levante del tractor (900 kg)",
+      );
+    });
+
+    test("verifica barra y TDF por separado y explica cuando limita la TDF", () => {
+      const terrain = { slope_percentage: 0, soil_type: "loam" };
+      const powerResult = {
+        powerDemand: { drawbarPowerHP: 0, ptoPowerHP: 42.13 },
+        factors: { safetyMargin: 0.15 },
+        input: { terrainData: { soil_type: "loam" } },
+      };
+      const weakPto = { tractor_id: 50, engine_power_hp: 60, pto_power_hp: 45, traction_type: "4x2" };
+      const strongPto = { tractor_id: 51, engine_power_hp: 75, traction_type: "4x2" };
+
+      const result = generateRecommendation({
+        terrain,
+        tractors: [weakPto, strongPto],
+        requiredPower: 50.47,
+        powerResult,
+      });
+      expect(result.recommendations.map((item) => item.tractor.tractor_id)).toEqual([51]);
+      expect(result.recommendations[0].powerCapability).toEqual(
+        expect.objectContaining({ sufficient: true, limitingFactor: "pto" }),
+      );
+
+      const rejected = generateRecommendation({
+        terrain,
+        tractors: [weakPto],
+        requiredPower: 50.47,
+        powerResult,
+      });
+      expect(rejected.success).toBe(false);
+      expect(rejected.summary.reason).toBe(
+        "Los tractores con potencia suficiente no entregan la potencia requerida en la TDF",
+      );
+    });
+
     test("clasifica ajuste del tractor (Fit Classification)", () => {
       const utilization85 = classifyTractorFit(86);
       expect(utilization85.label).toBe("OPTIMAL");
@@ -520,6 +675,45 @@ describe("recommendationService", () => {
       expect(score.breakdown.brand_preference).toBe(20);
     });
 
+    test("usa el consumo a carga parcial por hectárea como criterio económico", () => {
+      const tractors = [
+        { ...mockAdvancedTractors[0], tractor_id: 3, engine_power_hp: 95 },
+        { ...mockAdvancedTractors[1], tractor_id: 4, engine_power_hp: 200 },
+      ];
+
+      const result = generateAdvancedRecommendation({
+        terrain,
+        implement,
+        tractors,
+        requiredPower,
+        fuel: { demandedPowerHP: 70, effectiveCapacityHaH: 1.5, fuelPricePerL: 1 },
+        options: { limit: 5 },
+      });
+
+      const matched = result.recommendations.find((rec) => rec.tractor.tractor_id === 3);
+      const oversized = result.recommendations.find((rec) => rec.tractor.tractor_id === 4);
+
+      // El catálogo favorece al tractor 4 (9 L/h), pero a carga parcial consume más por hectárea
+      expect(matched.fuel.litersPerHectare).toBeLessThan(oversized.fuel.litersPerHectare);
+      expect(matched.fuel.costPerHectare).toBe(matched.fuel.litersPerHectare);
+      expect(matched.score.breakdown.fuel_efficiency).toBe(10);
+      expect(oversized.score.breakdown.fuel_efficiency).toBeLessThan(10);
+    });
+
+    test("sin datos de consumo mantiene el criterio de catálogo", () => {
+      const result = generateAdvancedRecommendation({
+        terrain,
+        implement,
+        tractors: mockAdvancedTractors,
+        requiredPower,
+        options: { limit: 5 },
+      });
+
+      expect(result.recommendations[0].fuel).toBeNull();
+      const efficient = result.recommendations.find((rec) => rec.tractor.tractor_id === 2);
+      expect(efficient.score.breakdown.fuel_efficiency).toBe(8);
+    });
+
     test("generateAdvancedRecommendation valida parámetros y caso sin compatibles", () => {
       expect(() =>
         generateAdvancedRecommendation({
@@ -558,4 +752,165 @@ describe("recommendationService", () => {
       expect(noMatch.summary.reason).toContain("presupuesto máximo");
     });
   });
+
+  // ========================================================
+  // 5. POTENCIA DERATEADA EN EL TERRENO
+  // ========================================================
+  describe("potencia derateada", () => {
+    const andean = {
+      slope_percentage: 3,
+      soil_type: "loam",
+      altitude_meters: 2600,
+      temperature_celsius: 25,
+    };
+    const derating = { speedKmh: 6, drawbarPullKn: 8 };
+    const highlandTractors = [
+      { tractor_id: 60, engine_power_hp: 100, weight_kg: 4000, traction_type: "4x4", aspiration_type: "aspirated" },
+      { tractor_id: 61, engine_power_hp: 100, weight_kg: 4000, traction_type: "4x4", aspiration_type: "turbo" },
+    ];
+
+    test("filtra con la potencia del motor en el terreno y no con la nominal", () => {
+      // 100 HP nominales: ~89 HP aspirado a 2600 m y 25 °C; el turbo no pierde
+      expect(findCompatibleTractors(andean, highlandTractors, 95).map((t) => t.tractor_id)).toEqual([60, 61]);
+      expect(
+        findCompatibleTractors(andean, highlandTractors, 95, { derating }).map((t) => t.tractor_id),
+      ).toEqual([61]);
+    });
+
+    test("no descuenta otra vez las pérdidas de transmisión que ya trae el requerimiento", () => {
+      // Turbo 4x4 a nivel del mar y 20 °C con un requerimiento justo bajo la nominal
+      const seaLevel = { slope_percentage: 0, soil_type: "loam", altitude_meters: 0, temperature_celsius: 20 };
+
+      expect(
+        findCompatibleTractors(seaLevel, [highlandTractors[1]], 95, { derating: { speedKmh: 7 } })
+          .map((t) => t.tractor_id),
+      ).toEqual([61]);
+    });
+
+    test("el desglose muestra la potencia nominal y la derateada", () => {
+      const result = generateRecommendation({
+        terrain: andean,
+        implement: { power_requirement_hp: 50 },
+        tractors: highlandTractors,
+        requiredPower: 75,
+        derating,
+      });
+
+      const aspirated = result.recommendations.find((rec) => rec.tractor.tractor_id === 60);
+      expect(aspirated.score.power.nominalHP).toBe(100);
+      expect(aspirated.score.power.deratedHP).toBeGreaterThan(75);
+      expect(aspirated.score.power.deratedHP).toBeLessThan(100);
+      expect(aspirated.compatibility).toEqual(
+        expect.objectContaining({
+          nominalPowerHP: 100,
+          deratedPowerHP: aspirated.score.power.deratedHP,
+          tractorPower: aspirated.score.power.deratedHP,
+        }),
+      );
+    });
+
+    test("sin contexto de derateo la potencia derateada queda en null", () => {
+      const score = calculateScore(highlandTractors[0], {}, andean, 75);
+      expect(score.power).toEqual({ nominalHP: 100, deratedHP: null });
+    });
+
+    test("explica cuando la potencia nominal alcanza pero no la entregada en el terreno", () => {
+      const result = generateRecommendation({
+        terrain: andean,
+        implement: { power_requirement_hp: 50 },
+        tractors: [highlandTractors[0]],
+        requiredPower: 95,
+        derating,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.summary.reason).toContain("potencia nominal suficiente no la entregan en este terreno");
+    });
+
+    test("la recomendación avanzada puntúa con la potencia derateada", () => {
+      const result = generateAdvancedRecommendation({
+        terrain: andean,
+        implement: { power_requirement_hp: 50 },
+        tractors: highlandTractors,
+        requiredPower: 95,
+        derating,
+      });
+
+      expect(result.recommendations.map((rec) => rec.tractor.tractor_id)).toEqual([61]);
+      expect(result.recommendations[0].compatibility.nominalPowerHP).toBe(100);
+      expect(result.recommendations[0].score.power.deratedHP).toBe(100);
+    });
+  });
+
+  describe("generateFleetFirstRecommendation", () => {
+    const terrain = { slope_percentage: 5, soil_type: "loam" };
+    const catalog = [
+      { tractor_id: 1, engine_power_hp: 100, traction_type: "4x4", status: "available", price_usd: 65000 },
+      { tractor_id: 2, engine_power_hp: 140, traction_type: "4x4", status: "available", price: 90000 },
+    ];
+
+    test("recomienda los tractores propios que califican con la compra evitada", () => {
+      const owned = [
+        { tractor_id: 50, engine_power_hp: 95, traction_type: "4x4", status: "available" },
+        { tractor_id: 51, engine_power_hp: 60, traction_type: "4x2", status: "available" },
+      ];
+      const catalogOnly = generateRecommendation({ terrain, tractors: catalog, requiredPower: 85 });
+      const result = generateFleetFirstRecommendation({
+        terrain,
+        tractors: catalog,
+        ownedTractors: owned,
+        requiredPower: 85,
+      });
+
+      expect(result.recommendations.map((rec) => rec.tractor.tractor_id)).toEqual([50]);
+      expect(result.recommendations[0]).toEqual(
+        expect.objectContaining({ source: "owned", capitalCost: 0 }),
+      );
+      // El mismo scoring que el modo catálogo
+      expect(result.recommendations[0].score).toEqual(
+        calculateScore(owned[0], undefined, terrain, 85),
+      );
+      expect(result.summary).toEqual(
+        expect.objectContaining({
+          source: "owned",
+          ownedEvaluated: 2,
+          ownedQualified: 1,
+          avoidedPurchase: catalogOnly.recommendations[0].tractor,
+        }),
+      );
+      expect(result.recommendations[0].capitalCostAvoided).toBe(
+        catalogOnly.recommendations[0].tractor.price_usd ?? catalogOnly.recommendations[0].tractor.price,
+      );
+    });
+
+    test("recurre al catálogo cuando ningún tractor propio califica", () => {
+      const result = generateFleetFirstRecommendation({
+        terrain,
+        tractors: catalog,
+        ownedTractors: [{ tractor_id: 51, engine_power_hp: 60, traction_type: "4x2", status: "available" }],
+        requiredPower: 85,
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.recommendations.every((rec) => rec.source === "purchase")).toBe(true);
+      expect(result.recommendations.map((rec) => rec.capitalCostAvoided)).toEqual([0, 0]);
+      expect(result.recommendations.map((rec) => rec.capitalCost).sort()).toEqual([65000, 90000]);
+      expect(result.summary).toEqual(
+        expect.objectContaining({ source: "purchase", ownedQualified: 0, avoidedPurchase: null }),
+      );
+    });
+
+    test("sin flota propia equivale al modo catálogo y valida la lista", () => {
+      const result = generateFleetFirstRecommendation({ terrain, tractors: catalog, requiredPower: 85 });
+
+      expect(result.summary.ownedEvaluated).toBe(0);
+      expect(result.recommendations.map((rec) => rec.tractor.tractor_id)).toEqual(
+        generateRecommendation({ terrain, tractors: catalog, requiredPower: 85 })
+          .recommendations.map((rec) => rec.tractor.tractor_id),
+      );
+      expect(() =>
+        generateFleetFirstRecommendation({ terrain, tractors: catalog, ownedTractors: null, requiredPower: 85 }),
+      ).toThrow("ownedTractors debe ser un array");
+    });
+  });
 });
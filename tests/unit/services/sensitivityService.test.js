@@ -0,0 +1,140 @@
+/**
+ * Tests unitarios para sensitivityService
+ * Verifica los barridos "what-if" y el ranking de sensibilidad de la potencia neta.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import {
+  buildRange,
+  applyParameter,
+  runSweep,
+  analyzeSensitivity,
+} from "../../../src/services/sensitivityService.js";
+import { calculateTotalLoss } from "../../../src/services/powerLossService.js";
+
+describe("sensitivityService", () => {
+  const baseParams = {
+    enginePower: 110,
+    altitudeMeters: 1500,
+    temperatureC: 20,
+    totalWeightKg: 5000,
+    soilCn: 35,
+    slopePercent: 8,
+    speedKmh: 7,
+    slippagePercent: 10,
+    hasTurbo: false,
+  };
+
+  describe("auxiliares", () => {
+    test("genera ejes equiespaciados con límite de puntos", () => {
+      expect(buildRange({ min: 4, max: 12, steps: 5 })).toEqual([4, 6, 8, 10, 12]);
+      expect(buildRange({ min: 0, max: 1, steps: 100 })).toHaveLength(25);
+      expect(buildRange({ min: 0, max: 10 })).toHaveLength(10);
+    });
+
+    test("el lastre se suma al peso base y las demás entradas se reemplazan", () => {
+      expect(applyParameter(baseParams, "ballast_weight_kg", 800).totalWeightKg).toBe(5800);
+      expect(applyParameter(baseParams, "altitude_m", 2500).altitudeMeters).toBe(2500);
+      expect(baseParams.totalWeightKg).toBe(5000);
+      expect(() => applyParameter(baseParams, "temperature", 30)).toThrow(
+        "Parámetro de barrido no soportado: 'temperature'",
+      );
+    });
+  });
+
+  describe("runSweep", () => {
+    test("una curva coincide punto a punto con calculateTotalLoss", () => {
+      const sweep = runSweep({
+        baseParams,
+        sweeps: [{ parameter: "slope_percent", min: 0, max: 20, steps: 3 }],
+      });
+
+      expect(sweep.axes).toEqual([
+        { parameter: "slope_percent", unit: "%", values: [0, 10, 20] },
+      ]);
+      expect(sweep.points).toHaveLength(3);
+      expect(sweep.points[1]).toEqual({
+        slope_percent: 10,
+        ...(({ netPower, efficiency }) => ({ netPower, efficiency }))(
+          calculateTotalLoss({ ...baseParams, slopePercent: 10 }),
+        ),
+      });
+      expect(sweep.points[2].netPower).toBeLessThan(sweep.points[0].netPower);
+      expect(sweep.viabilityTransitions).toBeNull();
+    });
+
+    test("una superficie evalúa todas las combinaciones", () => {
+      const sweep = runSweep({
+        baseParams,
+        sweeps: [
+          { parameter: "slippage_percent", min: 5, max: 25, steps: 3 },
+          { parameter: "ballast_weight_kg", min: 0, max: 1000, steps: 2 },
+        ],
+        minNetPowerHP: 50,
+      });
+
+      expect(sweep.points).toHaveLength(6);
+      expect(sweep.points[5]).toEqual(
+        expect.objectContaining({ slippage_percent: 25, ballast_weight_kg: 1000, viable: expect.any(Boolean) }),
+      );
+      expect(sweep.viabilityTransitions).toBeNull();
+    });
+
+    test("informa dónde el tractor deja de ser viable en una curva", () => {
+      const sweep = runSweep({
+        baseParams,
+        sweeps: [{ parameter: "slippage_percent", min: 0, max: 60, steps: 7 }],
+        minNetPowerHP: 50,
+      });
+
+      expect(sweep.points[0].viable).toBe(true);
+      expect(sweep.points[6].viable).toBe(false);
+      expect(sweep.viabilityTransitions).toHaveLength(1);
+      expect(sweep.viabilityTransitions[0].becomesViable).toBe(false);
+      expect(sweep.viabilityTransitions[0].to - sweep.viabilityTransitions[0].from).toBe(10);
+    });
+
+    test("valida cantidad y unicidad de ejes", () => {
+      expect(() => runSweep({ baseParams, sweeps: [] })).toThrow(
+        "sweeps debe contener al menos un parámetro",
+      );
+      const axis = { parameter: "altitude_m", min: 0, max: 3000 };
+      expect(() => runSweep({ baseParams, sweeps: [axis, axis] })).toThrow(
+        "No se puede barrer dos veces el mismo parámetro",
+      );
+      expect(() =>
+        runSweep({
+          baseParams,
+          sweeps: [
+            axis,
+            { parameter: "slope_percent", min: 0, max: 10 },
+            { parameter: "slippage_percent", min: 0, max: 10 },
+          ],
+        }),
+      ).toThrow("Se pueden barrer como máximo 2 parámetros");
+    });
+  });
+
+  describe("analyzeSensitivity", () => {
+    test("ordena las entradas por impacto absoluto en la potencia neta", () => {
+      const result = analyzeSensitivity(baseParams);
+
+      expect(result.baseNetPower).toBe(calculateTotalLoss(baseParams).netPower);
+      expect(result.ranking).toHaveLength(5);
+      expect(result.mostSensitive).toBe(result.ranking[0].parameter);
+
+      const deltas = result.ranking.map((entry) => Math.abs(entry.deltaNetPowerHP));
+      expect(deltas).toEqual([...deltas].sort((a, b) => b - a));
+    });
+
+    test("más patinaje y más pendiente reducen la potencia neta", () => {
+      const { ranking } = analyzeSensitivity(baseParams);
+      const byParameter = Object.fromEntries(ranking.map((entry) => [entry.parameter, entry]));
+
+      expect(byParameter.slippage_percent.deltaNetPowerHP).toBeLessThan(0);
+      expect(byParameter.slope_percent.deltaNetPowerHP).toBeLessThan(0);
+      expect(byParameter.slippage_percent.baseValue).toBe(10);
+      expect(byParameter.ballast_weight_kg.elasticity).toBeNull();
+    });
+  });
+});
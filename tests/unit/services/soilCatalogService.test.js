@@ -0,0 +1,78 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+
+const mockGetAll = jest.fn();
+const mockGetSynonyms = jest.fn();
+
+jest.unstable_mockModule('../../../src/models/SoilType.js', () => ({
+  __esModule: true,
+  default: {
+    getAll: mockGetAll,
+    getSynonyms: mockGetSynonyms,
+  },
+}));
+
+const { CONSTANTS: SOIL_CONSTANTS, DEFAULT_SOIL_CATALOG } = await import('../../../src/services/soilService.js');
+const {
+  CONSTANTS,
+  getSoilCatalog,
+  clearSoilCatalogCache,
+} = await import('../../../src/services/soilCatalogService.js');
+
+describe('soilCatalogService', () => {
+  beforeEach(() => {
+    clearSoilCatalogCache();
+    [mockGetAll, mockGetSynonyms].forEach((mockFn) => mockFn.mockReset());
+    mockGetAll.mockResolvedValue(SOIL_CONSTANTS.SOIL_TYPES);
+    mockGetSynonyms.mockResolvedValue([{ synonym: 'turba', soil_code: 'loam', moisture_condition: null }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lee el catálogo una sola vez mientras sigue vigente', async () => {
+    const [first, second] = await Promise.all([getSoilCatalog(), getSoilCatalog()]);
+    const third = await getSoilCatalog();
+
+    expect(first.soils.loam).toBeDefined();
+    expect(second).toBe(first);
+    expect(third).toBe(first);
+    expect(mockGetAll).toHaveBeenCalledTimes(1);
+    expect(mockGetSynonyms).toHaveBeenCalledTimes(1);
+  });
+
+  test('clearSoilCatalogCache obliga a releer el catálogo', async () => {
+    await getSoilCatalog();
+    clearSoilCatalogCache();
+    await getSoilCatalog();
+
+    expect(mockGetAll).toHaveBeenCalledTimes(2);
+  });
+
+  test('relee el catálogo cuando vence su vigencia', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1_000);
+    await getSoilCatalog();
+
+    now.mockReturnValue(1_000 + CONSTANTS.CACHE_TTL_MS - 1);
+    await getSoilCatalog();
+    expect(mockGetAll).toHaveBeenCalledTimes(1);
+
+    now.mockReturnValue(1_000 + CONSTANTS.CACHE_TTL_MS);
+    await getSoilCatalog();
+    expect(mockGetAll).toHaveBeenCalledTimes(2);
+  });
+
+  test('no guarda una lectura fallida', async () => {
+    mockGetAll.mockRejectedValueOnce(new Error('connection refused'));
+
+    await expect(getSoilCatalog()).rejects.toThrow('connection refused');
+    await expect(getSoilCatalog()).resolves.toEqual(expect.objectContaining({ soils: expect.any(Object) }));
+    expect(mockGetAll).toHaveBeenCalledTimes(2);
+  });
+
+  test('usa el catálogo por defecto si la tabla está vacía', async () => {
+    mockGetAll.mockResolvedValue([]);
+
+    await expect(getSoilCatalog()).resolves.toBe(DEFAULT_SOIL_CATALOG);
+  });
+});
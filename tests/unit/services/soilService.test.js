@@ -0,0 +1,105 @@
+/**
+ * Tests unitarios para soilService
+ * Verifica la normalización de suelos y sinónimos, la humedad y la construcción del catálogo.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import {
+  normalizeSoilKey,
+  normalizeMoisture,
+  getDifficultyLabel,
+  buildSoilCatalog,
+  normalizeSoilType,
+  resolveSoil,
+  listSoilTypes,
+} from "../../../src/services/soilService.js";
+
+describe("soilService", () => {
+  test("normaliza claves sin tildes, mayúsculas ni espacios", () => {
+    expect(normalizeSoilKey("  Arcilla Húmeda ")).toBe("arcilla_humeda");
+    expect(normalizeSoilKey("wet-clay")).toBe("wet_clay");
+    expect(normalizeSoilKey(null)).toBe("");
+  });
+
+  test("reconoce sinónimos en español e inglés y usa franco por defecto", () => {
+    expect(normalizeSoilType("Arcilla")).toBe("clay");
+    expect(normalizeSoilType("SANDY")).toBe("sandy");
+    expect(normalizeSoilType("Pedregoso")).toBe("rocky");
+    expect(normalizeSoilType("labrado")).toBe("soft");
+    expect(normalizeSoilType("turba")).toBe("loam");
+    expect(normalizeSoilType(undefined)).toBe("loam");
+  });
+
+  test("la humedad cambia el índice de cono y la dificultad", () => {
+    expect(normalizeMoisture("WET")).toBe("wet");
+    expect(normalizeMoisture("mojado")).toBe("moist");
+
+    expect(resolveSoil("arcilla", "dry")).toEqual(expect.objectContaining({
+      code: "clay", moisture: "dry", coneIndex: 60, difficulty: 60, difficultyLabel: "Difícil",
+    }));
+    expect(resolveSoil("arcilla")).toEqual(expect.objectContaining({
+      moisture: "moist", coneIndex: 45, difficulty: 70,
+    }));
+    expect(resolveSoil("arcilla", "wet")).toEqual(expect.objectContaining({
+      coneIndex: 25, difficulty: 95, difficultyLabel: "Extremo", preferredTire: "track",
+    }));
+  });
+
+  test("la humedad implícita del sinónimo prevalece sobre la recibida", () => {
+    const soil = resolveSoil("arcilla_humeda", "dry");
+
+    expect(soil.code).toBe("clay");
+    expect(soil.moisture).toBe("wet");
+    expect(soil.coneIndex).toBe(25);
+    expect(soil.recognized).toBe(true);
+    expect(resolveSoil("desconocido").recognized).toBe(false);
+  });
+
+  test("etiqueta la dificultad por rangos", () => {
+    expect(getDifficultyLabel(20)).toBe("Fácil");
+    expect(getDifficultyLabel(40)).toBe("Moderado");
+    expect(getDifficultyLabel(70)).toBe("Difícil");
+    expect(getDifficultyLabel(85)).toBe("Muy difícil");
+    expect(getDifficultyLabel(100)).toBe("Extremo");
+  });
+
+  test("construye el catálogo desde filas de la base de datos", () => {
+    const catalog = buildSoilCatalog(
+      [{
+        soil_code: "peat",
+        name_es: "Turboso",
+        name_en: "Peat",
+        cn_dry: "30",
+        cn_moist: "18",
+        cn_wet: "10",
+        difficulty_dry: 50,
+        difficulty_moist: 75,
+        difficulty_wet: 98,
+        preferred_tire: "track",
+      }],
+      [
+        { synonym: "Turba", soil_code: "peat", moisture_condition: null },
+        { synonym: "fango", soil_code: "mud", moisture_condition: "wet" },
+      ],
+    );
+
+    expect(normalizeSoilType("turba", catalog)).toBe("peat");
+    expect(normalizeSoilType("Turboso", catalog)).toBe("peat");
+    expect(catalog.synonyms).not.toHaveProperty("fango");
+    expect(resolveSoil("peat", "wet", catalog)).toEqual(expect.objectContaining({
+      coneIndex: 10, difficulty: 98, preferredTire: "track",
+    }));
+    // Un catálogo sin franco recurre al franco por defecto
+    expect(resolveSoil("desconocido", "moist", catalog).code).toBe("loam");
+
+    expect(listSoilTypes(catalog)).toEqual([
+      expect.objectContaining({
+        code: "peat",
+        synonyms: [
+          { synonym: "turboso", moisture: null },
+          { synonym: "turba", moisture: null },
+        ],
+      }),
+    ]);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests unitarios para speedOptimizerService
+ * Verifica la búsqueda de velocidad óptima, la ventana factible y la restricción activa.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import {
+  getSpeedRange,
+  evaluateSpeed,
+  findOptimalSpeed,
+} from "../../../src/services/speedOptimizerService.js";
+
+describe("speedOptimizerService", () => {
+  const baseParams = {
+    enginePower: 110,
+    altitudeMeters: 1500,
+    temperatureC: 20,
+    totalWeightKg: 5000,
+    soilCn: 35,
+    slopePercent: 8,
+    hasTurbo: false,
+    traction: { tractionType: "4x4", tireWidthMm: 520, tireDiameterMm: 1750 },
+  };
+  const plow = { type: "plow", widthM: 1.5, depthCm: 25, powerRequirementHP: 90 };
+  const sprayer = { type: "sprayer", widthM: 12, powerRequirementHP: 40 };
+
+  test("usa el rango del tipo de implemento y 'other' si no está catalogado", () => {
+    expect(getSpeedRange("Plow")).toEqual({ min: 5, max: 10 });
+    expect(getSpeedRange("desconocido")).toEqual({ min: 4, max: 12 });
+  });
+
+  test("el requerimiento del arado crece con la velocidad y usa el tiro para el patinaje", () => {
+    const slow = evaluateSpeed({ baseParams, implement: plow, soilType: "loam", speedKmh: 5 });
+    const fast = evaluateSpeed({ baseParams, implement: plow, soilType: "loam", speedKmh: 9 });
+
+    expect(fast.requiredPowerHP).toBeGreaterThan(slow.requiredPowerHP);
+    expect(fast.effectiveCapacityHaH).toBeGreaterThan(slow.effectiveCapacityHaH);
+    expect(slow.feasible).toBe(true);
+    expect(fast.feasible).toBe(false);
+  });
+
+  test("max_capacity recomienda la mayor velocidad factible y la potencia neta limita", () => {
+    const result = findOptimalSpeed({ baseParams, implement: plow, soilType: "franco" });
+
+    expect(result.feasibleWindow).toEqual({ min: 5, max: 7.25 });
+    expect(result.recommendedSpeedKmh).toBe(7.25);
+    expect(result.bindingConstraint).toBe("net_power");
+    expect(result.atRecommended.netPowerHP).toBeGreaterThanOrEqual(result.atRecommended.requiredPowerHP);
+    expect(result.evaluations).toHaveLength(21);
+  });
+
+  test("min_fuel puede quedar en un óptimo interior de la ventana factible", () => {
+    const result = findOptimalSpeed({
+      baseParams,
+      implement: plow,
+      soilType: "franco",
+      objective: "min_fuel",
+    });
+
+    expect(result.recommendedSpeedKmh).toBe(6.5);
+    expect(result.bindingConstraint).toBe("none");
+    const feasibleFuel = result.evaluations
+      .filter((evaluation) => evaluation.feasible)
+      .map((evaluation) => evaluation.litersPerHectare);
+    expect(result.atRecommended.litersPerHectare).toBe(Math.min(...feasibleFuel));
+  });
+
+  test("con requerimiento de catálogo el límite es el rango del implemento", () => {
+    const result = findOptimalSpeed({ baseParams, implement: sprayer, soilType: "franco" });
+
+    expect(result.feasibleWindow).toEqual({ min: 5, max: 11.5 });
+    expect(result.recommendedSpeedKmh).toBe(11.5);
+    expect(result.bindingConstraint).toBe("implement_speed_range");
+  });
+
+  test("sin velocidades factibles no recomienda y reporta la potencia neta", () => {
+    const result = findOptimalSpeed({
+      baseParams,
+      implement: { ...sprayer, powerRequirementHP: 200 },
+    });
+
+    expect(result.recommendedSpeedKmh).toBeNull();
+    expect(result.feasibleWindow).toBeNull();
+    expect(result.bindingConstraint).toBe("net_power");
+  });
+
+  test("rechaza objetivos no soportados", () => {
+    expect(() => findOptimalSpeed({ baseParams, implement: sprayer, objective: "max_speed" })).toThrow(
+      "Objetivo no soportado: 'max_speed'",
+    );
+  });
+});
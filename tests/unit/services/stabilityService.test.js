@@ -0,0 +1,89 @@
+/**
+ * Tests unitarios para stabilityService
+ * Verifica los ángulos estáticos de vuelco y los niveles de advertencia en pendiente.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import {
+  classifySafetyFactor,
+  calculateTipAngles,
+  assessStability,
+  isExcludedByStability,
+} from "../../../src/services/stabilityService.js";
+
+describe("stabilityService", () => {
+  const tractor = {
+    track_width_mm: 1800,
+    wheelbase_mm: 2400,
+    cg_height_mm: 950,
+    traction_type: "4x4",
+  };
+
+  test("clasifica el factor de seguridad en niveles", () => {
+    expect(classifySafetyFactor(null).level).toBe("SAFE");
+    expect(classifySafetyFactor(2.4).level).toBe("SAFE");
+    expect(classifySafetyFactor(1.7).level).toBe("CAUTION");
+    expect(classifySafetyFactor(1.3).level).toBe("DANGER");
+    expect(classifySafetyFactor(0.9).level).toBe("UNSAFE");
+  });
+
+  test("calcula los ángulos de vuelco con el triángulo de estabilidad en ruedas", () => {
+    const angles = calculateTipAngles({
+      trackWidthMm: 1800,
+      wheelbaseMm: 2400,
+      cgHeightMm: 950,
+      tractionType: "4x4",
+    });
+
+    expect(angles.crossSlope.tipAngleDeg).toBe(28.02);
+    expect(angles.uphill.tipAngleDeg).toBe(45.3);
+    expect(angles.downhill.tipAngleDeg).toBe(56.59);
+  });
+
+  test("las orugas vuelcan lateralmente sobre la media trocha", () => {
+    const angles = calculateTipAngles({
+      trackWidthMm: 1800,
+      wheelbaseMm: 2400,
+      cgHeightMm: 950,
+      tractionType: "track",
+    });
+
+    expect(angles.crossSlope.tipAngleDeg).toBe(43.45);
+  });
+
+  test("evalúa las tres direcciones y toma la más crítica", () => {
+    const stability = assessStability(tractor, 30);
+
+    expect(stability.slopeAngleDeg).toBe(16.7);
+    expect(stability.governingDirection).toBe("crossSlope");
+    expect(stability.safetyFactor).toBe(1.77);
+    expect(stability.safetyMarginDeg).toBe(11.32);
+    expect(stability.level).toBe("CAUTION");
+    expect(stability.directions.uphill.level).toBe("SAFE");
+    expect(isExcludedByStability(stability)).toBe(false);
+  });
+
+  test("excluye tractores inseguros en la pendiente", () => {
+    const stability = assessStability(tractor, 60);
+
+    expect(stability.level).toBe("UNSAFE");
+    expect(stability.safetyMarginDeg).toBeLessThan(0);
+    expect(isExcludedByStability(stability)).toBe(true);
+  });
+
+  test("en terreno plano no hay factor de seguridad y el tractor es estable", () => {
+    const stability = assessStability(tractor, 0);
+
+    expect(stability.safetyFactor).toBeNull();
+    expect(stability.safetyMarginDeg).toBe(28.02);
+    expect(stability.level).toBe("SAFE");
+  });
+
+  test("sin geometría informa UNKNOWN y no excluye", () => {
+    const stability = assessStability({ traction_type: "4x2", cg_height_mm: 900 }, 25);
+
+    expect(stability.level).toBe("UNKNOWN");
+    expect(stability.directions).toBeNull();
+    expect(isExcludedByStability(stability)).toBe(false);
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Tests unitarios para tractionService
+ * Verifica ecuaciones ASABE D497 y la predicción de patinaje.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import * as tractionService from "../../../src/services/tractionService.js";
+
+describe("tractionService", () => {
+  const {
+    calculateMobilityNumber,
+    calculateGrossTractionRatio,
+    calculateMotionResistanceRatio,
+    calculateNetTractionRatio,
+    calculateTractiveEfficiency,
+    calculateDynamicAxleLoad,
+    estimateDeflectionRatio,
+    soilCnToConeIndexKpa,
+    predictTraction,
+    getConstants,
+  } = tractionService;
+
+  const baseParams = {
+    tractionType: "4x4",
+    totalWeightKg: 5200,
+    soilCn: 45,
+    slopePercent: 8,
+    speedKmh: 7,
+  };
+
+  // ========================================================
+  // 1. ECUACIONES ASABE D497
+  // ========================================================
+  describe("calculateMobilityNumber", () => {
+    test("calcula Bn con la fórmula de Brixius", () => {
+      // (1000·0.5·1.5/10)·(1 + 5·0.2)/(1 + 3·0.5/1.5) = 75·2/2 = 75
+      const bn = calculateMobilityNumber({
+        coneIndexKpa: 1000,
+        tireWidthM: 0.5,
+        tireDiameterM: 1.5,
+        wheelLoadKn: 10,
+        deflectionRatio: 0.2,
+      });
+      expect(bn).toBeCloseTo(75);
+    });
+
+    test("lanza error si la carga por rueda no es positiva", () => {
+      expect(() =>
+        calculateMobilityNumber({
+          coneIndexKpa: 1000,
+          tireWidthM: 0.5,
+          tireDiameterM: 1.5,
+          wheelLoadKn: 0,
+        }),
+      ).toThrow("wheelLoadKn debe ser un número positivo");
+    });
+  });
+
+  describe("relaciones de tracción", () => {
+    test("GTR vale 0.04 sin patinaje y crece con el patinaje", () => {
+      expect(calculateGrossTractionRatio(50, 0)).toBeCloseTo(0.04);
+      expect(calculateGrossTractionRatio(50, 0.15)).toBeGreaterThan(
+        calculateGrossTractionRatio(50, 0.05),
+      );
+    });
+
+    test("MRR disminuye en suelos más firmes (Bn mayor)", () => {
+      expect(calculateMotionResistanceRatio(80, 0.1)).toBeLessThan(
+        calculateMotionResistanceRatio(20, 0.1),
+      );
+    });
+
+    test("NTR = GTR − MRR", () => {
+      const bn = 40;
+      const slip = 0.12;
+      expect(calculateNetTractionRatio(bn, slip)).toBeCloseTo(
+        calculateGrossTractionRatio(bn, slip) -
+          calculateMotionResistanceRatio(bn, slip),
+      );
+    });
+
+    test("eficiencia tractiva nunca es negativa y está por debajo de 1", () => {
+      expect(calculateTractiveEfficiency(40, 0)).toBe(0);
+      const te = calculateTractiveEfficiency(40, 0.1);
+      expect(te).toBeGreaterThan(0);
+      expect(te).toBeLessThan(1);
+    });
+  });
+
+  // ========================================================
+  // 2. AUXILIARES
+  // ========================================================
+  describe("auxiliares", () => {
+    test("deflexión por defecto sin presión y mayor a menor presión", () => {
+      const { DEFAULT_DEFLECTION_RATIO } = getConstants();
+      expect(estimateDeflectionRatio(null)).toBe(DEFAULT_DEFLECTION_RATIO);
+      expect(estimateDeflectionRatio(16)).toBeCloseTo(DEFAULT_DEFLECTION_RATIO);
+      expect(estimateDeflectionRatio(10)).toBeGreaterThan(estimateDeflectionRatio(20));
+    });
+
+    test("convierte Cn a índice de cono en kPa", () => {
+      const { CONE_INDEX_KPA_PER_CN } = getConstants();
+      expect(soilCnToConeIndexKpa(45)).toBe(45 * CONE_INDEX_KPA_PER_CN);
+    });
+
+    test("carga dinámica: 4x2 usa el eje trasero más la transferencia por tiro", () => {
+      const staticLoad = calculateDynamicAxleLoad({
+        totalWeightKg: 4000,
+        tractionType: "4x2",
+      });
+      const loaded = calculateDynamicAxleLoad({
+        totalWeightKg: 4000,
+        tractionType: "4x2",
+        drawbarPullKn: 10,
+      });
+      expect(staticLoad).toBeCloseTo(4000 * 9.81 * 0.65 / 1000);
+      expect(loaded).toBeCloseTo(staticLoad + 2);
+    });
+
+    test("carga dinámica: 4x4 usa todo el peso normal a la pendiente", () => {
+      const load = calculateDynamicAxleLoad({
+        totalWeightKg: 4000,
+        tractionType: "4WD",
+        slopePercent: 10,
+      });
+      expect(load).toBeCloseTo((4000 * 9.81 * Math.cos(Math.atan(0.1))) / 1000);
+    });
+  });
+
+  // ========================================================
+  // 3. PREDICCIÓN
+  // ========================================================
+  describe("predictTraction", () => {
+    test("valida peso y Cn", () => {
+      expect(() => predictTraction({ ...baseParams, totalWeightKg: 0 })).toThrow(
+        "totalWeightKg debe ser un número positivo",
+      );
+      expect(() => predictTraction({ ...baseParams, soilCn: null })).toThrow(
+        "soilCn debe ser un número positivo",
+      );
+    });
+
+    test("modo tiro conocido: alcanza el tiro pedido con patinaje razonable", () => {
+      const result = predictTraction({ ...baseParams, drawbarPullKn: 15 });
+
+      expect(result.mode).toBe("drawbar_pull");
+      expect(result.tractionLimited).toBe(false);
+      expect(result.drawbarPullKn).toBeCloseTo(15, 1);
+      expect(result.slipPercent).toBeGreaterThan(0);
+      expect(result.slipPercent).toBeLessThan(20);
+      expect(result.tractiveEfficiency).toBeGreaterThan(50);
+    });
+
+    test("modo plena carga: más potencia en el eje implica más patinaje", () => {
+      const low = predictTraction({ ...baseParams, axlePowerHp: 40 });
+      const high = predictTraction({ ...baseParams, axlePowerHp: 90 });
+
+      expect(low.mode).toBe("full_load");
+      expect(high.slipPercent).toBeGreaterThan(low.slipPercent);
+      expect(high.drawbarPullKn).toBeGreaterThan(low.drawbarPullKn);
+    });
+
+    test("más lastre reduce el patinaje para el mismo tiro", () => {
+      const light = predictTraction({ ...baseParams, tractionType: "4x2", drawbarPullKn: 14 });
+      const ballasted = predictTraction({
+        ...baseParams,
+        tractionType: "4x2",
+        totalWeightKg: 6200,
+        drawbarPullKn: 14,
+      });
+
+      expect(ballasted.slipPercent).toBeLessThan(light.slipPercent);
+    });
+
+    test("suelo blando aumenta el patinaje", () => {
+      const firm = predictTraction({ ...baseParams, soilCn: 50, drawbarPullKn: 15 });
+      const soft = predictTraction({ ...baseParams, soilCn: 20, drawbarPullKn: 15 });
+
+      expect(soft.slipPercent).toBeGreaterThan(firm.slipPercent);
+      expect(soft.mobilityNumber).toBeLessThan(firm.mobilityNumber);
+    });
+
+    test("marca tracción limitada cuando el tiro excede la capacidad", () => {
+      const result = predictTraction({
+        ...baseParams,
+        tractionType: "4x2",
+        totalWeightKg: 2500,
+        drawbarPullKn: 60,
+      });
+
+      expect(result.tractionLimited).toBe(true);
+      expect(result.drawbarPullKn).toBeLessThan(60);
+    });
+
+    test("orugas patinan menos que ruedas en las mismas condiciones", () => {
+      const wheels = predictTraction({ ...baseParams, soilCn: 20, drawbarPullKn: 20 });
+      const track = predictTraction({
+        ...baseParams,
+        tractionType: "oruga",
+        soilCn: 20,
+        drawbarPullKn: 20,
+      });
+
+      expect(track.tractionType).toBe("track");
+      expect(track.slipPercent).toBeLessThan(wheels.slipPercent);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests unitarios para uncertaintyService
+ * Verifica el muestreo de distribuciones, la reproducibilidad con semilla y los percentiles.
+ */
+
+import { describe, test, expect } from "@jest/globals";
+import {
+  createRandom,
+  normalizeDistribution,
+  getDistributionErrors,
+  sampleDistribution,
+  percentile,
+  runMonteCarlo,
+} from "../../../src/services/uncertaintyService.js";
+
+const baseParams = {
+  enginePower: 120,
+  altitudeMeters: 1500,
+  temperatureC: 20,
+  totalWeightKg: 5000,
+  soilCn: 35,
+  slopePercent: 8,
+  speedKmh: 7,
+  slippagePercent: 12,
+  hasTurbo: false,
+};
+
+describe("uncertaintyService", () => {
+  test("el generador con semilla es reproducible y queda en [0, 1)", () => {
+    const first = createRandom(42);
+    const second = createRandom(42);
+    const values = Array.from({ length: 100 }, () => first());
+
+    expect(values).toEqual(Array.from({ length: 100 }, () => second()));
+    expect(values.every((value) => value >= 0 && value < 1)).toBe(true);
+    expect(createRandom(43)()).not.toBe(values[0]);
+  });
+
+  test("normaliza números, estimaciones triangulares y distribuciones explícitas", () => {
+    expect(normalizeDistribution(8)).toEqual({ distribution: "fixed", value: 8 });
+    expect(normalizeDistribution({ min: 4, likely: 8, max: 14 })).toEqual({
+      distribution: "triangular", min: 4, likely: 8, max: 14,
+    });
+    expect(normalizeDistribution({ distribution: "normal", mean: 20, sd: 3, extra: 1 })).toEqual({
+      distribution: "normal", mean: 20, sd: 3,
+    });
+  });
+
+  test("valida las distribuciones contra los límites de cada entrada", () => {
+    expect(getDistributionErrors("slope_percent", { min: 4, likely: 8, max: 14 })).toEqual([]);
+    expect(getDistributionErrors("slope_percent", { min: 10, likely: 8, max: 14 })).toEqual([
+      "uncertainty.slope_percent requiere min <= likely <= max (min < max) entre 0 y 100 %",
+    ]);
+    expect(getDistributionErrors("ambient_temperature_c", { distribution: "normal", mean: 20, sd: 0 }))
+      .toHaveLength(1);
+    expect(getDistributionErrors("slippage_percent", { distribution: "beta" })).toHaveLength(1);
+    expect(getDistributionErrors("humidity", 50)[0]).toContain("no es una entrada soportada");
+  });
+
+  test("las muestras respetan el soporte de cada distribución", () => {
+    const random = createRandom(5);
+    const bounds = { min: 0, max: 100 };
+    const triangular = normalizeDistribution({ min: 4, likely: 8, max: 14 });
+    const normal = normalizeDistribution({ distribution: "normal", mean: 2, sd: 10 });
+
+    for (let i = 0; i < 500; i += 1) {
+      const t = sampleDistribution(triangular, random, bounds);
+      expect(t).toBeGreaterThanOrEqual(4);
+      expect(t).toBeLessThanOrEqual(14);
+      // La normal se trunca a los límites físicos de la entrada
+      expect(sampleDistribution(normal, random, bounds)).toBeGreaterThanOrEqual(0);
+    }
+  });
+
+  test("percentile interpola linealmente", () => {
+    expect(percentile([10, 20, 30, 40, 50], 50)).toBe(30);
+    expect(percentile([10, 20, 30, 40, 50], 10)).toBe(14);
+    expect(percentile([10, 20], 90)).toBe(19);
+  });
+
+  test("runMonteCarlo ordena los percentiles y es reproducible con la misma semilla", () => {
+    const options = {
+      baseParams,
+      uncertainties: {
+        slope_percent: { min: 4, likely: 8, max: 14 },
+        ambient_temperature_c: { distribution: "normal", mean: 24, sd: 4 },
+      },
+      iterations: 500,
+      seed: 42,
+      requiredPowerHP: 60,
+    };
+    const result = runMonteCarlo(options);
+
+    expect(result.iterations).toBe(500);
+    expect(result.netPower.min).toBeLessThanOrEqual(result.netPower.p10);
+    expect(result.netPower.p10).toBeLessThan(result.netPower.p50);
+    expect(result.netPower.p50).toBeLessThan(result.netPower.p90);
+    expect(result.netPower.p90).toBeLessThanOrEqual(result.netPower.max);
+    expect(result.efficiency.p10).toBeLessThan(result.efficiency.p90);
+    expect(result.probabilityBelowRequirement).toBeGreaterThanOrEqual(0);
+    expect(result.probabilityBelowRequirement).toBeLessThanOrEqual(1);
+
+    expect(runMonteCarlo(options)).toEqual(result);
+    expect(runMonteCarlo({ ...options, seed: 7 }).netPower).not.toEqual(result.netPower);
+  });
+
+  test("la probabilidad de no cubrir el requerimiento sigue al umbral", () => {
+    const uncertainties = { slope_percent: { distribution: "uniform", min: 0, max: 30 } };
+    const { netPower } = runMonteCarlo({ baseParams, uncertainties, iterations: 200 });
+
+    const low = runMonteCarlo({ baseParams, uncertainties, iterations: 200, requiredPowerHP: netPower.min - 1 });
+    const high = runMonteCarlo({ baseParams, uncertainties, iterations: 200, requiredPowerHP: netPower.max + 1 });
+
+    expect(low.probabilityBelowRequirement).toBe(0);
+    expect(high.probabilityBelowRequirement).toBe(1);
+    expect(runMonteCarlo({ baseParams, uncertainties, iterations: 200 }).probabilityBelowRequirement)
+      .toBeNull();
+  });
+
+  test("rechaza distribuciones inválidas", () => {
+    expect(() => runMonteCarlo({ baseParams, uncertainties: { slope_percent: { min: 5, max: 1 } } }))
+      .toThrow("uncertainty.slope_percent");
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, expect, test } from "@jest/globals";
+
+import {
+  DIMENSIONS,
+  UNIT_FIELDS,
+  normalizeUnitSystem,
+  getFieldDimension,
+  fromCanonical,
+  toCanonical,
+  convertResponse,
+  convertRequest,
+} from "../../../src/utils/units.util.js";
+
+describe("units.util", () => {
+  test("normalizes the unit system name", () => {
+    expect(normalizeUnitSystem(" Imperial ")).toBe("imperial");
+    expect(normalizeUnitSystem("SI")).toBe("si");
+    expect(normalizeUnitSystem("cubits")).toBeNull();
+    expect(normalizeUnitSystem(undefined)).toBeNull();
+  });
+
+  test("reads the dimension from the declared unit fields", () => {
+    expect(getFieldDimension("engine_power_hp")).toBe("power");
+    expect(getFieldDimension("minimumPowerHP")).toBe("power");
+    expect(getFieldDimension("totalWeightKg")).toBe("mass");
+    expect(getFieldDimension("working_speed_kmh")).toBe("speed");
+    expect(getFieldDimension("area_hectares")).toBe("area");
+    expect(getFieldDimension("ambient_temperature_c")).toBe("temperature");
+    expect(getFieldDimension("altitude_meters")).toBe("length");
+    expect(getFieldDimension("widthM")).toBe("length");
+    expect(getFieldDimension("wheelbase_mm")).toBe("millimeter");
+    expect(getFieldDimension("liters_per_hectare")).toBe("fuelPerArea");
+    expect(getFieldDimension("cost_per_hectare")).toBe("costPerArea");
+    expect(getFieldDimension("fuel_price_per_l")).toBe("pricePerVolume");
+    expect(getFieldDimension("effective_capacity_ha_h")).toBe("areaRate");
+    expect(getFieldDimension("effectiveCapacityHaH")).toBe("areaRate");
+    expect(getFieldDimension("theoreticalCapacityHaH")).toBe("areaRate");
+    expect(getFieldDimension("slope_percentage")).toBeNull();
+    expect(getFieldDimension("name")).toBeNull();
+    expect(getFieldDimension("toString")).toBeNull();
+  });
+
+  test("does not guess the unit of an undeclared field from its suffix", () => {
+    expect(getFieldDimension("seeds_per_hectare")).toBeNull();
+    expect(getFieldDimension("plantsPerHectare")).toBeNull();
+    expect(getFieldDimension("maxTorqueKgM")).toBeNull();
+    expect(getFieldDimension("fuel_liters_per_hectare")).toBe("fuelPerArea");
+  });
+
+  test("keeps a per-hectare field that is not a cost unchanged", () => {
+    const payload = convertResponse(
+      {
+        seeds_per_hectare: 80000,
+        fuel_liters_per_hectare: 10,
+        operating_cost_per_hectare: 100,
+        losses: { temperature: 1.5 },
+      },
+      "imperial",
+    );
+
+    expect(payload).toEqual({
+      seeds_per_hectare: 80000,
+      fuel_liters_per_hectare: 1.07,
+      operating_cost_per_hectare: 40.47,
+      losses: { temperature: 1.5 },
+      units: { fuel_liters_per_hectare: "gal/ac", operating_cost_per_hectare: "$/ac" },
+    });
+  });
+
+  test("declares every unit field with a single known dimension", () => {
+    Object.values(UNIT_FIELDS).forEach((fields) => {
+      Object.entries(fields).forEach(([field, dimension]) => {
+        expect(DIMENSIONS).toHaveProperty(dimension);
+        expect(getFieldDimension(field)).toBe(dimension);
+      });
+    });
+  });
+
+  test("converts values to and from the canonical system", () => {
+    expect(fromCanonical(100, "power", "si")).toBe(74.57);
+    expect(fromCanonical("4000.00", "mass", "imperial")).toBe(8818.49);
+    expect(fromCanonical(20, "temperature", "imperial")).toBe(68);
+    expect(fromCanonical(7, "speed", "metric")).toBe(7);
+    expect(fromCanonical("N/D", "power", "si")).toBe("N/D");
+
+    expect(toCanonical(68, "temperature", "imperial")).toBeCloseTo(20, 10);
+    expect(toCanonical("10", "area", "imperial")).toBeCloseTo(4.0469, 4);
+    expect(toCanonical(true, "power", "si")).toBe(true);
+  });
+
+  test("converts a response and labels every unit field without mutating it", () => {
+    const registered = new Date("2026-01-01T00:00:00Z");
+    const payload = {
+      success: true,
+      data: {
+        engine_power_hp: 100,
+        weight_kg: 4000,
+        slope_percentage: 8,
+        registration_date: registered,
+        feasible_window_kmh: { min: 5, max: 8 },
+        tractors: [{ name: "5075E", pto_power_hp: null }],
+      },
+    };
+
+    const converted = convertResponse(payload, "imperial");
+
+    expect(converted.data).toEqual({
+      engine_power_hp: 74.57,
+      weight_kg: 8818.49,
+      slope_percentage: 8,
+      registration_date: registered,
+      feasible_window_kmh: { min: 3.11, max: 4.97 },
+      tractors: [{ name: "5075E", pto_power_hp: null }],
+      units: {
+        engine_power_hp: "kW",
+        weight_kg: "lb",
+        feasible_window_kmh: "mph",
+      },
+    });
+    expect(converted).not.toHaveProperty("units");
+    expect(payload.data.engine_power_hp).toBe(100);
+  });
+
+  test("converts a request back to the canonical system", () => {
+    const body = convertRequest(
+      { tractor_id: 4, working_speed_kmh: 5, carried_objects_weight_kg: "1102.31" },
+      "imperial",
+    );
+
+    expect(body.tractor_id).toBe(4);
+    expect(body.working_speed_kmh).toBeCloseTo(8.0467, 4);
+    expect(body.carried_objects_weight_kg).toBeCloseTo(500, 2);
+  });
+
+  test("scales a standard deviation without the temperature offset", () => {
+    const body = convertRequest(
+      { uncertainty: { ambient_temperature_c: { distribution: "normal", mean: 77, sd: 9 } } },
+      "imperial",
+    );
+
+    expect(body.uncertainty.ambient_temperature_c.distribution).toBe("normal");
+    expect(body.uncertainty.ambient_temperature_c.mean).toBeCloseTo(25, 4);
+    expect(body.uncertainty.ambient_temperature_c.sd).toBeCloseTo(5, 4);
+  });
+
+  test("converts and labels the field capacity in ha/h", () => {
+    const payload = convertResponse(
+      { fieldCapacity: { theoreticalCapacityHaH: 2, effectiveCapacityHaH: 1.5, efficiency: 0.75 } },
+      "imperial",
+    );
+
+    expect(payload.fieldCapacity).toEqual({
+      theoreticalCapacityHaH: 4.94,
+      effectiveCapacityHaH: 3.71,
+      efficiency: 0.75,
+      units: { theoreticalCapacityHaH: "ac/h", effectiveCapacityHaH: "ac/h" },
+    });
+  });
+
+  test("converts sweep bounds with the dimension of their parameter", () => {
+    const body = convertRequest(
+      {
+        sweeps: [
+          { parameter: "working_speed_kmh", min: 3, max: 9, steps: 7 },
+          { parameter: "slope_percent", min: 0, max: 20 },
+        ],
+      },
+      "imperial",
+    );
+
+    expect(body.sweeps[0]).toEqual({
+      parameter: "working_speed_kmh",
+      min: expect.closeTo(4.828, 3),
+      max: expect.closeTo(14.484, 3),
+      steps: 7,
+    });
+    expect(body.sweeps[1]).toEqual({ parameter: "slope_percent", min: 0, max: 20 });
+  });
+});